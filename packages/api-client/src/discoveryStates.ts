@@ -0,0 +1,148 @@
+import { ApiDiscoveryState } from '@cumulus/types/api/discovery_states';
+import { invokeApi } from './cumulusApiClient';
+import { ApiGatewayLambdaHttpProxyResponse, InvokeApiFunction } from './types';
+
+/**
+ * Fetch a list of discovery states from the Cumulus API
+ *
+ * @param {Object} params            - params
+ * @param {string} params.prefix     - the prefix configured for the stack
+ * @param {Object} [params.query]    - `collectionId`, `provider`, `providerPath`
+ *                                     and `ruleName` filters of the states
+ * @param {Function} params.callback - async function to invoke the api lambda
+ *                                     that takes a prefix / user payload.  Defaults
+ *                                     to cumulusApiClient.invokeApi
+ * @returns {Promise<Object>}        - the discovery state list fetched by the API
+ */
+export const listDiscoveryStates = async (params: {
+  prefix: string,
+  query?: {
+    collectionId?: string,
+    provider?: string,
+    providerPath?: string,
+    ruleName?: string
+  },
+  callback?: InvokeApiFunction
+}): Promise<ApiGatewayLambdaHttpProxyResponse> => {
+  const { prefix, query, callback = invokeApi } = params;
+
+  return await callback({
+    prefix,
+    payload: {
+      httpMethod: 'GET',
+      resource: '/{proxy+}',
+      path: '/discoveryStates',
+      queryStringParameters: query,
+    },
+  });
+};
+
+/**
+ * Fetch the discovery state of a collection, provider, provider path and
+ * rule from the Cumulus API
+ *
+ * @param {Object} params              - params
+ * @param {string} params.prefix       - the prefix configured for the stack
+ * @param {string} params.collectionId - the collection ID of the state
+ * @param {string} params.provider     - the provider of the state
+ * @param {string} params.providerPath - the provider path of the state
+ * @param {string} [params.ruleName]   - the rule of the state. Defaults to the
+ *                                       state shared by rules.
+ * @param {Function} params.callback   - async function to invoke the api lambda
+ *                                       that takes a prefix / user payload.  Defaults
+ *                                       to cumulusApiClient.invokeApi
+ * @returns {Promise<Object|undefined>} - the discovery state, or undefined if
+ *                                        there is no state yet
+ */
+export const getDiscoveryState = async (params: {
+  prefix: string,
+  collectionId: string,
+  provider: string,
+  providerPath: string,
+  ruleName?: string,
+  callback?: InvokeApiFunction
+}): Promise<ApiDiscoveryState | undefined> => {
+  const {
+    prefix,
+    collectionId,
+    provider,
+    providerPath,
+    ruleName = '',
+    callback = invokeApi,
+  } = params;
+
+  const response = await listDiscoveryStates({
+    prefix,
+    query: { collectionId, provider, providerPath, ruleName },
+    callback,
+  });
+  return JSON.parse(response.body).results[0];
+};
+
+/**
+ * Create or replace a discovery state via the Cumulus API
+ *
+ * @param {Object} params                - params
+ * @param {string} params.prefix         - the prefix configured for the stack
+ * @param {Object} params.discoveryState - the discovery state
+ * @param {Function} params.callback     - async function to invoke the api lambda
+ *                                         that takes a prefix / user payload.  Defaults
+ *                                         to cumulusApiClient.invokeApi
+ * @returns {Promise<Object>}            - the discovery state saved by the API
+ */
+export const putDiscoveryState = async (params: {
+  prefix: string,
+  discoveryState: ApiDiscoveryState,
+  callback?: InvokeApiFunction
+}): Promise<ApiDiscoveryState> => {
+  const { prefix, discoveryState, callback = invokeApi } = params;
+
+  const response = await callback({
+    prefix,
+    payload: {
+      httpMethod: 'PUT',
+      resource: '/{proxy+}',
+      headers: { 'Content-Type': 'application/json' },
+      path: '/discoveryStates',
+      body: JSON.stringify(discoveryState),
+    },
+  });
+  return JSON.parse(response.body);
+};
+
+/**
+ * Reset the discovery states of a collection and provider via the Cumulus API
+ *
+ * @param {Object} params            - params
+ * @param {string} params.prefix     - the prefix configured for the stack
+ * @param {Object} params.query      - `collectionId` and `provider` of the
+ *                                     states, optionally narrowed down by
+ *                                     `providerPath` and `ruleName`
+ * @param {Function} params.callback - async function to invoke the api lambda
+ *                                     that takes a prefix / user payload.  Defaults
+ *                                     to cumulusApiClient.invokeApi
+ * @returns {Promise<Object>}        - promise that resolves to the output
+ *                                     of the API lambda
+ */
+export const resetDiscoveryStates = async (params: {
+  prefix: string,
+  query: {
+    collectionId: string,
+    provider: string,
+    providerPath?: string,
+    ruleName?: string
+  },
+  callback?: InvokeApiFunction
+}): Promise<ApiGatewayLambdaHttpProxyResponse> => {
+  const { prefix, query, callback = invokeApi } = params;
+
+  return await callback({
+    prefix,
+    payload: {
+      httpMethod: 'DELETE',
+      resource: '/{proxy+}',
+      path: '/discoveryStates',
+      queryStringParameters: query,
+    },
+  });
+};
@@ -30,6 +30,37 @@ export const createProvider = async (params: {
   });
 };
 
+/**
+ * Update a provider via the API
+ *
+ * @param {Object} params            - params
+ * @param {string} params.prefix     - the prefix configured for the stack
+ * @param {string} params.providerId - the id of the provider to update
+ * @param {Object} params.provider   - the updated provider object
+ * @param {Function} params.callback - function to invoke the api lambda
+ *                                     that takes a prefix / user payload
+ * @returns {Promise<Object>}        - promise that resolves to the output of the callback
+ */
+export const updateProvider = async (params: {
+  prefix: string,
+  providerId: string,
+  provider: object,
+  callback?: InvokeApiFunction
+}): Promise<ApiGatewayLambdaHttpProxyResponse> => {
+  const { prefix, providerId, provider, callback = invokeApi } = params;
+
+  return await callback({
+    prefix,
+    payload: {
+      httpMethod: 'PUT',
+      resource: '/{proxy+}',
+      headers: { 'Content-Type': 'application/json' },
+      path: `/providers/${providerId}`,
+      body: JSON.stringify(provider),
+    },
+  });
+};
+
 /**
  * Delete a provider from the Cumulus API
  *
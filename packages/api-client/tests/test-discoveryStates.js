@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('ava');
+const discoveryStatesApi = require('../discoveryStates');
+
+test.before((t) => {
+  t.context.testPrefix = 'unitTestStack';
+  t.context.discoveryState = {
+    collectionId: 'MOD09GQ___006',
+    provider: 'MODAPS',
+    providerPath: '/data',
+    lastModifiedAt: 1000,
+  };
+});
+
+test('listDiscoveryStates calls the callback with the expected object', async (t) => {
+  const query = { collectionId: 'MOD09GQ___006' };
+  const expected = {
+    prefix: t.context.testPrefix,
+    payload: {
+      httpMethod: 'GET',
+      resource: '/{proxy+}',
+      path: '/discoveryStates',
+      queryStringParameters: query,
+    },
+  };
+
+  const callback = (configObject) => {
+    t.deepEqual(configObject, expected);
+    return Promise.resolve({ body: '{"results": []}' });
+  };
+
+  await t.notThrowsAsync(discoveryStatesApi.listDiscoveryStates({
+    prefix: t.context.testPrefix,
+    query,
+    callback,
+  }));
+});
+
+test('getDiscoveryState queries the state shared by rules by default and returns it', async (t) => {
+  const { discoveryState } = t.context;
+  const callback = (configObject) => {
+    t.deepEqual(configObject.payload.queryStringParameters, {
+      collectionId: discoveryState.collectionId,
+      provider: discoveryState.provider,
+      providerPath: discoveryState.providerPath,
+      ruleName: '',
+    });
+    return Promise.resolve({ body: JSON.stringify({ results: [discoveryState] }) });
+  };
+
+  const result = await discoveryStatesApi.getDiscoveryState({
+    prefix: t.context.testPrefix,
+    collectionId: discoveryState.collectionId,
+    provider: discoveryState.provider,
+    providerPath: discoveryState.providerPath,
+    callback,
+  });
+
+  t.deepEqual(result, discoveryState);
+});
+
+test('getDiscoveryState returns undefined if there is no state', async (t) => {
+  const callback = () => Promise.resolve({ body: '{"results": []}' });
+
+  const result = await discoveryStatesApi.getDiscoveryState({
+    prefix: t.context.testPrefix,
+    collectionId: 'MOD09GQ___006',
+    provider: 'MODAPS',
+    providerPath: '/data',
+    ruleName: 'hourly',
+    callback,
+  });
+
+  t.is(result, undefined);
+});
+
+test('putDiscoveryState calls the callback with the expected object and returns the state', async (t) => {
+  const { discoveryState } = t.context;
+  const expected = {
+    prefix: t.context.testPrefix,
+    payload: {
+      httpMethod: 'PUT',
+      resource: '/{proxy+}',
+      headers: { 'Content-Type': 'application/json' },
+      path: '/discoveryStates',
+      body: JSON.stringify(discoveryState),
+    },
+  };
+
+  const callback = (configObject) => {
+    t.deepEqual(configObject, expected);
+    return Promise.resolve({ body: JSON.stringify(discoveryState) });
+  };
+
+  const result = await discoveryStatesApi.putDiscoveryState({
+    prefix: t.context.testPrefix,
+    discoveryState,
+    callback,
+  });
+
+  t.deepEqual(result, discoveryState);
+});
+
+test('resetDiscoveryStates calls the callback with the expected object', async (t) => {
+  const query = { collectionId: 'MOD09GQ___006', provider: 'MODAPS' };
+  const expected = {
+    prefix: t.context.testPrefix,
+    payload: {
+      httpMethod: 'DELETE',
+      resource: '/{proxy+}',
+      path: '/discoveryStates',
+      queryStringParameters: query,
+    },
+  };
+
+  const callback = (configObject) => {
+    t.deepEqual(configObject, expected);
+    return Promise.resolve();
+  };
+
+  await t.notThrowsAsync(discoveryStatesApi.resetDiscoveryStates({
+    prefix: t.context.testPrefix,
+    query,
+    callback,
+  }));
+});
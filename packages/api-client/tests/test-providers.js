@@ -31,6 +31,29 @@ test('createProvider calls the callback with the expected object', async (t) =>
   }));
 });
 
+test('updateProvider calls the callback with the expected object', async (t) => {
+  const expected = {
+    prefix: t.context.testPrefix,
+    payload: {
+      httpMethod: 'PUT',
+      resource: '/{proxy+}',
+      headers: { 'Content-Type': 'application/json' },
+      path: `/providers/${t.context.testProviderId}`,
+      body: JSON.stringify(t.context.testProvider),
+    },
+  };
+  const callback = (configObject) => {
+    t.deepEqual(configObject, expected);
+  };
+
+  await t.notThrowsAsync(providersApi.updateProvider({
+    prefix: t.context.testPrefix,
+    providerId: t.context.testProviderId,
+    provider: t.context.testProvider,
+    callback,
+  }));
+});
+
 test('deleteProvider calls the callback with the expected object', async (t) => {
   const expected = {
     prefix: t.context.testPrefix,
@@ -0,0 +1,273 @@
+'use strict';
+
+const crypto = require('crypto');
+const isEmpty = require('lodash/isEmpty');
+const omit = require('lodash/omit');
+
+const {
+  AsyncOperationPgModel,
+  AuditLogPgModel,
+  CollectionPgModel,
+  ExecutionPgModel,
+  getApiRoleAssignments,
+  getApiSubscriptions,
+  getKnexClient,
+  getUniqueGranuleByGranuleId,
+  PdrPgModel,
+  ProviderPgModel,
+  RulePgModel,
+  translateApiAuditLogEntryToPostgresAuditLogEntry,
+  translatePostgresAsyncOperationToApiAsyncOperation,
+  translatePostgresCollectionToApiCollection,
+  translatePostgresExecutionToApiExecution,
+  translatePostgresGranuleToApiGranule,
+  translatePostgresPdrToApiPdr,
+  translatePostgresProviderToApiProvider,
+  translatePostgresRuleToApiRule,
+} = require('@cumulus/db');
+const { RecordDoesNotExist } = require('@cumulus/errors');
+const Logger = require('@cumulus/logger');
+const { constructCollectionId, deconstructCollectionId } = require('@cumulus/message/Collections');
+
+const { getPathSegments } = require('./rbac');
+
+const log = new Logger({ sender: '@cumulus/api/audit' });
+
+const auditedMethods = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Get the record ID of a request from the first path segment, or from a
+ * property of the body for requests to create a record
+ *
+ * @param {string} bodyProperty - body property of the record ID
+ * @returns {Function} function returning the record ID of a request
+ */
+const pathOrBodyRecordId = (bodyProperty) => (req) => {
+  const [id] = getPathSegments(req);
+  if (id && req.method !== 'POST') return id;
+  return (req.body && req.body[bodyProperty]) || undefined;
+};
+
+/**
+ * Get the record ID of a request from the first path segment
+ *
+ * @param {Object} req - express request object
+ * @returns {string | undefined} the record ID
+ */
+const pathRecordId = (req) => getPathSegments(req)[0];
+
+/**
+ * Functions to get the ID of the record targeted by a request, and to load the
+ * API record with that ID for the before and after snapshots, by record type.
+ */
+const auditedRecordTypes = {
+  asyncOperations: {
+    getRecordId: pathRecordId,
+    getRecord: async (knex, id) => translatePostgresAsyncOperationToApiAsyncOperation(
+      await new AsyncOperationPgModel().get(knex, { id })
+    ),
+  },
+  collections: {
+    getRecordId: (req) => {
+      const [name, version] = getPathSegments(req);
+      if (name && version) return constructCollectionId(name, version);
+      const body = req.body || {};
+      return body.name && body.version
+        ? constructCollectionId(body.name, body.version)
+        : undefined;
+    },
+    getRecord: async (knex, id) => translatePostgresCollectionToApiCollection(
+      await new CollectionPgModel().get(knex, deconstructCollectionId(id))
+    ),
+  },
+  discoveryStates: {
+    getRecordId: (req) => {
+      const params = req.method === 'PUT' ? req.body || {} : req.query;
+      return [params.collectionId, params.provider, params.providerPath, params.ruleName]
+        .filter((value) => value !== undefined)
+        .join(':') || undefined;
+    },
+  },
+  executions: {
+    getRecordId: (req) => (req.method === 'POST' ? req.body && req.body.arn : pathRecordId(req)),
+    getRecord: async (knex, arn) => await translatePostgresExecutionToApiExecution(
+      await new ExecutionPgModel().get(knex, { arn }),
+      knex
+    ),
+  },
+  granules: {
+    getRecordId: (req) => {
+      const segments = getPathSegments(req);
+      // POST /:granuleName/executions targets a granule, other POST
+      // requests create a granule or start a bulk operation
+      if (req.method === 'POST' && segments.length < 2) {
+        return segments.length === 0 ? req.body && req.body.granuleId : undefined;
+      }
+      return segments[0];
+    },
+    getRecord: async (knex, granuleId) => await translatePostgresGranuleToApiGranule({
+      granulePgRecord: await getUniqueGranuleByGranuleId(knex, granuleId),
+      knexOrTransaction: knex,
+    }),
+  },
+  pdrs: {
+    getRecordId: pathRecordId,
+    getRecord: async (knex, name) => await translatePostgresPdrToApiPdr(
+      await new PdrPgModel().get(knex, { name }),
+      knex
+    ),
+  },
+  providers: {
+    getRecordId: pathOrBodyRecordId('id'),
+    // Do not copy provider credentials to the audit log
+    getRecord: async (knex, name) => omit(
+      translatePostgresProviderToApiProvider(await new ProviderPgModel().get(knex, { name })),
+      ['username', 'password', 'privateKey']
+    ),
+  },
+  reconciliationReports: {
+    getRecordId: pathRecordId,
+  },
+  roles: {
+    getRecordId: pathOrBodyRecordId('username'),
+    getRecord: async (knex, username) => {
+      const roleAssignments = await getApiRoleAssignments(knex, { username });
+      return roleAssignments.length > 0 ? roleAssignments : undefined;
+    },
+  },
+  rules: {
+    getRecordId: pathOrBodyRecordId('name'),
+    getRecord: async (knex, name) => await translatePostgresRuleToApiRule(
+      await new RulePgModel().get(knex, { name }),
+      knex
+    ),
+  },
+  subscriptions: {
+    getRecordId: (req) => getPathSegments(req)[0] || (req.body && req.body.name) || undefined,
+    // API subscriptions do not include their secret
+    getRecord: async (knex, name) => (await getApiSubscriptions(knex, { name }))[0],
+  },
+};
+
+/**
+ * Load the snapshot of a record for the audit log. Failing to load a
+ * snapshot does not fail the request.
+ *
+ * @param {Object} params
+ * @param {Function} [params.getRecord] - function loading the API record
+ * @param {Knex} params.knex - DB client
+ * @param {string} [params.recordId] - ID of the record
+ * @returns {Promise<Object | undefined>} the API record, or undefined if there
+ *   is no record
+ */
+const getRecordSnapshot = async ({ getRecord, knex, recordId }) => {
+  if (!getRecord || !recordId) return undefined;
+  try {
+    return await getRecord(knex, recordId);
+  } catch (error) {
+    if (!(error instanceof RecordDoesNotExist)) {
+      log.warn(`Could not load audit log snapshot of ${recordId}`, error);
+    }
+    return undefined;
+  }
+};
+
+/**
+ * Get the SHA-256 digest of the JSON body of a request
+ *
+ * @param {Object} req - express request object
+ * @returns {string | undefined} the hex digest, or undefined if the request
+ *   has no body
+ */
+const getRequestBodyDigest = (req) => {
+  if (isEmpty(req.body)) return undefined;
+  return crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex');
+};
+
+/**
+ * Create an express middleware that writes an audit log entry for every
+ * POST, PUT, PATCH and DELETE request to a router, with the user, route,
+ * record, request body digest, before and after snapshots of the record and
+ * the outcome of the request.
+ *
+ * The entry is written before the response is sent, so that it is not lost
+ * when the API Lambda function is frozen. Failing to write the entry does not
+ * fail the request.
+ *
+ * @param {string} recordType - type of the records managed by the router
+ * @param {Object} [params]
+ * @param {Function} [params.getRecordId] - function returning the ID of the
+ *   record targeted by a request. Defaults to the function for the record type.
+ * @param {Function} [params.getRecord] - function loading an API record by
+ *   ID. Defaults to the function for the record type.
+ * @param {Function} [params.getKnex] - function returning a DB client, only
+ *   used for testing
+ * @param {Object} [params.auditLogPgModel] - audit log PG model, only used for
+ *   testing
+ * @returns {Function} express middleware
+ */
+const auditRequest = (recordType, {
+  getRecordId = (auditedRecordTypes[recordType] || {}).getRecordId,
+  getRecord = (auditedRecordTypes[recordType] || {}).getRecord,
+  getKnex = getKnexClient,
+  auditLogPgModel = new AuditLogPgModel(),
+} = {}) =>
+  async (req, res, next) => {
+    if (!auditedMethods.includes(req.method)) {
+      return next();
+    }
+
+    let knex;
+    let recordId;
+    let before;
+    try {
+      knex = await getKnex();
+      recordId = getRecordId ? getRecordId(req) : undefined;
+      before = await getRecordSnapshot({ getRecord, knex, recordId });
+    } catch (error) {
+      log.error(`Failed to audit ${req.method} ${req.originalUrl}`, error);
+      return next();
+    }
+
+    const writeAuditLogEntry = async (statusCode) => {
+      const after = await getRecordSnapshot({ getRecord, knex, recordId });
+      await auditLogPgModel.create(
+        knex,
+        translateApiAuditLogEntryToPostgresAuditLogEntry({
+          username: req.authorizedMetadata && req.authorizedMetadata.userName,
+          method: req.method,
+          route: `${req.baseUrl}${req.path}`,
+          recordType,
+          recordId,
+          requestBodyDigest: getRequestBodyDigest(req),
+          before,
+          after,
+          statusCode,
+          outcome: statusCode < 400 ? 'success' : 'failure',
+        })
+      );
+    };
+
+    const end = res.end;
+    const writeAuditLogEntryAndEnd = async (args) => {
+      try {
+        await writeAuditLogEntry(res.statusCode);
+      } catch (error) {
+        log.error(`Failed to write audit log entry for ${req.method} ${req.originalUrl}`, error);
+      }
+      end.apply(res, args);
+    };
+    res.end = (...args) => {
+      res.end = end;
+      writeAuditLogEntryAndEnd(args);
+      return res;
+    };
+
+    return next();
+  };
+
+module.exports = {
+  auditRequest,
+  auditedRecordTypes,
+  getRequestBodyDigest,
+};
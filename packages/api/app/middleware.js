@@ -52,7 +52,12 @@ const jsonBodyParser = (req, res, next) => {
     }
   };
 
-  bodyParser.json()(req, res, nextWithErrorHandling);
+  // The raw body is kept to verify the signatures of signed requests
+  bodyParser.json({
+    verify: (request, _, buffer) => {
+      request.rawBody = buffer;
+    },
+  })(req, res, nextWithErrorHandling);
 };
 
 module.exports = {
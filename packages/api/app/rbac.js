@@ -0,0 +1,341 @@
+'use strict';
+
+const { getApiRoleAssignments, getKnexClient, TableNames } = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+// Each role includes the permissions of the roles before it
+const roles = ['read-only', 'operator', 'admin'];
+
+const defaultMethodRoles = {
+  GET: 'read-only',
+  HEAD: 'read-only',
+  OPTIONS: 'read-only',
+  POST: 'operator',
+  PUT: 'operator',
+  PATCH: 'operator',
+  DELETE: 'admin',
+};
+
+const roleRank = (role) => roles.indexOf(role);
+
+const isValidRole = (role) => roles.includes(role);
+
+/**
+ * Get the role that users without any role assignments are given
+ *
+ * When `API_DEFAULT_ROLE` is not set, users without role assignments are
+ * admins, as they were before roles were introduced. When it is set to an
+ * empty string, users without role assignments may not use the API.
+ *
+ * @param {Object} [env] - environment variables
+ * @returns {string | undefined} the default role
+ */
+const getDefaultRole = (env = process.env) => {
+  const defaultRole = env.API_DEFAULT_ROLE === undefined ? 'admin' : env.API_DEFAULT_ROLE;
+  return isValidRole(defaultRole) ? defaultRole : undefined;
+};
+
+/**
+ * Get the collection ID and provider that a request is for. Properties that
+ * are not known for the request are undefined.
+ *
+ * Requests for several records, such as a stored record and the update of
+ * its body, have an array of scopes, which role assignments must all apply to.
+ *
+ * @typedef {Object} RequestScope
+ * @property {string} [collectionId] - collection ID of the request
+ * @property {string} [provider] - provider ID of the request
+ */
+
+/**
+ * Check if a role assignment applies to a request. Unscoped assignments apply
+ * to every request, scoped assignments only apply to requests for the
+ * collection and provider they are scoped to.
+ *
+ * @param {Object} roleAssignment - API role assignment
+ * @param {RequestScope} scope - scope of the request
+ * @returns {boolean} true if the role assignment applies
+ */
+const roleAssignmentAppliesToScope = (roleAssignment, scope) =>
+  (!roleAssignment.collectionId || roleAssignment.collectionId === scope.collectionId)
+  && (!roleAssignment.provider || roleAssignment.provider === scope.provider);
+
+/**
+ * Get the highest role a user has for a request
+ *
+ * Reading does not depend on the scope of the request, so that users with
+ * scoped assignments can list the records they manage.
+ *
+ * @param {Object[]} roleAssignments - API role assignments of the user
+ * @param {RequestScope | RequestScope[]} scope - scope of the request
+ * @param {string} requiredRole - role required for the request
+ * @returns {string | undefined} the user's role for the request
+ */
+const getEffectiveRole = (roleAssignments, scope, requiredRole) => {
+  const scopes = [scope].flat();
+  const applicableAssignments = requiredRole === 'read-only'
+    ? roleAssignments
+    : roleAssignments.filter((assignment) => scopes.every(
+      (requestScope) => roleAssignmentAppliesToScope(assignment, requestScope)
+    ));
+  return applicableAssignments
+    .map(({ role }) => role)
+    .sort((a, b) => roleRank(b) - roleRank(a))[0];
+};
+
+/**
+ * Get the role required for a request
+ *
+ * @param {Object} req - express request object
+ * @param {Object} routeRoles - required roles by route
+ * @param {string} [routeRoles.role] - role required for every request
+ * @param {Object[]} [routeRoles.routes] - roles for specific routes, as
+ *   objects with `method`, a `path` regular expression matching the request
+ *   path within the router, and `role`
+ * @param {Object} [routeRoles.methods] - roles by HTTP method, overriding the
+ *   default roles for methods
+ * @returns {string} the required role
+ */
+const getRequiredRole = (req, { role, routes = [], methods = {} }) => {
+  if (role) return role;
+  const route = routes.find(
+    ({ method, path }) => method === req.method && path.test(req.path)
+  );
+  if (route) return route.role;
+  return methods[req.method] || defaultMethodRoles[req.method] || 'admin';
+};
+
+/**
+ * Create an express middleware that checks if the user of an authorized
+ * request has the role required for the request.
+ *
+ * By default reading requires the read-only role, writing requires the
+ * operator role and deleting requires the admin role.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.role] - role required for every request
+ * @param {Object[]} [params.routes] - roles for specific routes, see
+ *   `getRequiredRole`
+ * @param {Object} [params.methods] - roles by HTTP method
+ * @param {Function} [params.getScope] - async function returning the
+ *   `RequestScope` of a request, for routers of records that belong to a
+ *   collection or provider. It is only called for requests writing records
+ *   by users with role assignments.
+ * @param {Function} [params.getRoleAssignments] - function returning the API
+ *   role assignments of a username, only used for testing
+ * @returns {Function} express middleware
+ */
+const requireRole = ({
+  role: routerRole,
+  routes,
+  methods,
+  getScope = () => ({}),
+  getRoleAssignments = async (username) =>
+    await getApiRoleAssignments(await getKnexClient(), { username }),
+} = {}) =>
+  async (req, res, next) => {
+    // Private APIs do not authenticate users
+    if (process.env.auth_mode === 'private') {
+      return next();
+    }
+
+    const userName = req.authorizedMetadata && req.authorizedMetadata.userName;
+    if (!userName) {
+      return res.boom.forbidden('User role could not be determined');
+    }
+
+    const requiredRole = getRequiredRole(req, { role: routerRole, routes, methods });
+    const roleAssignments = await getRoleAssignments(userName);
+
+    let role;
+    if (roleAssignments.length === 0) {
+      role = getDefaultRole();
+    } else {
+      let scope = {};
+      if (requiredRole !== 'read-only') {
+        try {
+          scope = await getScope(req);
+        } catch (error) {
+          if (error instanceof URIError) {
+            return res.boom.badRequest(`Invalid request path ${req.path}`);
+          }
+          throw error;
+        }
+      }
+      role = getEffectiveRole(roleAssignments, scope, requiredRole);
+    }
+
+    if (role && roleRank(role) >= roleRank(requiredRole)) {
+      req.authorizedMetadata.role = role;
+      return next();
+    }
+
+    const currentRole = role ? `the ${role} role` : 'no role';
+    return res.boom.forbidden(
+      `User ${userName} requires the ${requiredRole} role to ${req.method} ${req.baseUrl}${req.path}, but has ${currentRole}`
+    );
+  };
+
+/**
+ * Get the collection ID of a request from the `collectionId` of the body or
+ * query string, or from the `collection` name and version of the body
+ *
+ * @param {Object} req - express request object
+ * @returns {string | undefined} the collection ID
+ */
+const getCollectionIdFromRequest = (req) => {
+  const body = req.body || {};
+  if (body.collectionId) return body.collectionId;
+  if (req.query && req.query.collectionId) return `${req.query.collectionId}`;
+  if (body.collection && body.collection.name) {
+    return constructCollectionId(body.collection.name, body.collection.version);
+  }
+  return undefined;
+};
+
+// Routes are not matched yet when the role is checked, so path parameters
+// are parsed from the request path
+const getPathSegments = (req) => req.path.split('/').filter(Boolean).map(decodeURIComponent);
+
+const collectionScope = (req) => {
+  const [name, version] = getPathSegments(req);
+  if (name && version) return { collectionId: constructCollectionId(name, version) };
+  const body = req.body || {};
+  // POST /validate validates the unsaved collection of the body
+  const collection = name === 'validate' ? body.collection || {} : body;
+  if (collection.name && collection.version) {
+    return { collectionId: constructCollectionId(collection.name, collection.version) };
+  }
+  return {};
+};
+
+const providerScope = (req) => {
+  const segments = getPathSegments(req);
+  const body = req.body || {};
+  // POST /test tests the connection to the unsaved provider of the body
+  if (req.method === 'POST' && segments.length === 1 && segments[0] === 'test') {
+    return { provider: body.provider && body.provider.id };
+  }
+  return { provider: segments[0] || body.id };
+};
+
+const bodyScope = (req) => ({
+  collectionId: getCollectionIdFromRequest(req),
+  provider: req.body && req.body.provider,
+});
+
+/**
+ * Get the scopes of the records of a table matching a query, from the
+ * collection and provider they are stored with
+ *
+ * @param {Knex} knex - DB client
+ * @param {string} tableName - table of the records
+ * @param {Object} where - query of the records
+ * @returns {Promise<RequestScope[]>} the scopes of the records
+ */
+const getStoredRecordScopes = async (knex, tableName, where) => {
+  const { collections, providers } = TableNames;
+  const records = await knex(tableName)
+    .select({
+      collectionName: `${collections}.name`,
+      collectionVersion: `${collections}.version`,
+      provider: `${providers}.name`,
+    })
+    .leftJoin(collections, `${tableName}.collection_cumulus_id`, `${collections}.cumulus_id`)
+    .leftJoin(providers, `${tableName}.provider_cumulus_id`, `${providers}.cumulus_id`)
+    .where(where);
+  return records.map(({ collectionName, collectionVersion, provider }) => ({
+    collectionId: collectionName
+      ? constructCollectionId(collectionName, collectionVersion)
+      : undefined,
+    provider: provider || undefined,
+  }));
+};
+
+// Bulk granule operations select granules by IDs or queries, whose
+// collections and providers are not known when the role is checked, so they
+// have an empty scope that only unscoped role assignments apply to
+const bulkGranuleRoutes = ['bulk', 'bulkDelete', 'bulkReingest', 'bulkCmrUpdate'];
+
+/**
+ * Get the scope of a granules request from the collection and provider of
+ * the stored granule, and of the body of requests creating or replacing a
+ * granule, so that callers cannot write granules outside of their scope by
+ * claiming another collection or provider
+ *
+ * @param {Object} req - express request object
+ * @param {Knex} [knex] - DB client
+ * @returns {Promise<RequestScope | RequestScope[]>} the scope of the request
+ */
+const granuleScope = async (req, knex) => {
+  const [granuleId] = getPathSegments(req);
+  if (!granuleId) {
+    // POST / creates the granule of the body
+    return req.method === 'POST' ? bodyScope(req) : {};
+  }
+  if (req.method === 'POST' && bulkGranuleRoutes.includes(granuleId)) return {};
+
+  const storedScopes = await getStoredRecordScopes(
+    knex || await getKnexClient(),
+    TableNames.granules,
+    { granule_id: granuleId }
+  );
+  // PUT without an action creates or replaces the granule of the body
+  if (req.method === 'PUT' && !(req.body && req.body.action)) {
+    return [...storedScopes, bodyScope(req)];
+  }
+  return storedScopes.length > 0 ? storedScopes : {};
+};
+
+/**
+ * Get the scope of a rules request from the collection and provider of the
+ * stored rule, and of the body of requests creating or replacing a rule
+ *
+ * @param {Object} req - express request object
+ * @param {Knex} [knex] - DB client
+ * @returns {Promise<RequestScope | RequestScope[]>} the scope of the request
+ */
+const ruleScope = async (req, knex) => {
+  const [name, action] = getPathSegments(req);
+  if (!name) {
+    // POST / creates the rule of the body
+    return req.method === 'POST' ? bodyScope(req) : {};
+  }
+  // POST /:name/testFilter tests the filter expression of a rule against the
+  // example message of the body, which does not define the scope
+  if (req.method === 'POST' && action === 'testFilter') return {};
+
+  const storedScopes = await getStoredRecordScopes(
+    knex || await getKnexClient(),
+    TableNames.rules,
+    { [`${TableNames.rules}.name`]: name }
+  );
+  if (req.method === 'PUT') return [...storedScopes, bodyScope(req)];
+  return storedScopes.length > 0 ? storedScopes : {};
+};
+
+// Discovery states are identified by the query string of GET and DELETE
+// requests, and by the body of PUT requests
+const discoveryStateScope = (req) => {
+  const params = req.method === 'PUT' ? req.body || {} : req.query || {};
+  return {
+    collectionId: params.collectionId && `${params.collectionId}`,
+    provider: params.provider && `${params.provider}`,
+  };
+};
+
+module.exports = {
+  collectionScope,
+  defaultMethodRoles,
+  discoveryStateScope,
+  getDefaultRole,
+  getEffectiveRole,
+  getPathSegments,
+  getRequiredRole,
+  granuleScope,
+  isValidRole,
+  providerScope,
+  requireRole,
+  roles,
+  ruleScope,
+};
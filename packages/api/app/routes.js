@@ -14,6 +14,7 @@ const rules = require('../endpoints/rules');
 const executionStatus = require('../endpoints/execution-status');
 const executions = require('../endpoints/executions');
 const asyncOperations = require('../endpoints/async-operations');
+const auditLog = require('../endpoints/audit-log');
 const instanceMeta = require('../endpoints/instance-meta');
 const logs = require('../endpoints/logs');
 const orca = require('../endpoints/orca');
@@ -27,8 +28,20 @@ const dashboard = require('../endpoints/dashboard');
 const elasticsearch = require('../endpoints/elasticsearch');
 const migrationCounts = require('../endpoints/migrationCounts');
 const deadLetterArchive = require('../endpoints/dead-letter-archive');
+const discoveryStates = require('../endpoints/discovery-states');
+const roles = require('../endpoints/roles');
+const subscriptions = require('../endpoints/subscriptions');
 const { launchpadProtectedAuth } = require('./launchpadAuth');
 const launchpadSaml = require('../endpoints/launchpadSaml');
+const { auditRequest } = require('./audit');
+const {
+  collectionScope,
+  discoveryStateScope,
+  granuleScope,
+  providerScope,
+  requireRole,
+  ruleScope,
+} = require('./rbac');
 
 const log = new Logger('@cumulus/api/routes');
 
@@ -41,63 +54,175 @@ if (process.env.FAKE_AUTH === 'true') {
 }
 
 // dead letters endpoint
-router.use('/deadLetterArchive', ensureAuthorized, deadLetterArchive.router);
+router.use(
+  '/deadLetterArchive',
+  ensureAuthorized,
+  auditRequest('deadLetterArchive'),
+  requireRole(),
+  deadLetterArchive.router
+);
 
 //migrationCounts endpoint
-router.use('/migrationCounts', ensureAuthorized, migrationCounts.router);
+router.use(
+  '/migrationCounts',
+  ensureAuthorized,
+  auditRequest('migrationCounts'),
+  requireRole(),
+  migrationCounts.router
+);
 
 // collections endpoints
-router.use('/collections', ensureAuthorized, collections.router);
+router.use(
+  '/collections',
+  ensureAuthorized,
+  auditRequest('collections'),
+  requireRole({
+    routes: [{ method: 'POST', path: /^\/validate\/?$/, role: 'operator' }],
+    methods: { POST: 'admin', PUT: 'admin' },
+    getScope: collectionScope,
+  }),
+  collections.router
+);
 
 // granules endpoints
-router.use('/granules', ensureAuthorized, granules.router);
+router.use(
+  '/granules',
+  ensureAuthorized,
+  auditRequest('granules'),
+  requireRole({
+    routes: [{ method: 'POST', path: /^\/bulkDelete\/?$/, role: 'admin' }],
+    getScope: granuleScope,
+  }),
+  granules.router
+);
 
 // granule csv endpoints
-router.use('/granule-csv', ensureAuthorized, granuleCsv);
+router.use('/granule-csv', ensureAuthorized, requireRole(), granuleCsv);
 
 // provider endpoints
-router.use('/providers', ensureAuthorized, providers.router);
+router.use(
+  '/providers',
+  ensureAuthorized,
+  auditRequest('providers'),
+  requireRole({
+    // Testing the connection to a provider does not change it
+    routes: [{ method: 'POST', path: /^\/([^/]+\/)?test\/?$/, role: 'operator' }],
+    methods: { POST: 'admin', PUT: 'admin' },
+    getScope: providerScope,
+  }),
+  providers.router
+);
 
 // pdr endpoints
-router.use('/pdrs', ensureAuthorized, pdrs.router);
+router.use('/pdrs', ensureAuthorized, auditRequest('pdrs'), requireRole(), pdrs.router);
 
 // rules endpoints
-router.use('/rules', ensureAuthorized, rules.router);
+// http rules are triggered by requests authenticated by the secret of the
+// rule rather than a token
+router.post('/rules/:name/trigger', rules.trigger);
+router.use(
+  '/rules',
+  ensureAuthorized,
+  auditRequest('rules'),
+  requireRole({
+    routes: [{ method: 'POST', path: /^\/[^/]+\/testFilter\/?$/, role: 'read-only' }],
+    getScope: ruleScope,
+  }),
+  rules.router
+);
+
+// discovery states endpoint
+router.use(
+  '/discoveryStates',
+  ensureAuthorized,
+  auditRequest('discoveryStates'),
+  requireRole({
+    // Resetting discovery states only makes the next discoveries list every file
+    methods: { DELETE: 'operator' },
+    getScope: discoveryStateScope,
+  }),
+  discoveryStates.router
+);
 
 // executions endpoints
-router.use('/executions/status', ensureAuthorized, executionStatus);
-router.use('/executions', ensureAuthorized, executions.router);
+router.use('/executions/status', ensureAuthorized, requireRole(), executionStatus);
+router.use(
+  '/executions',
+  ensureAuthorized,
+  auditRequest('executions'),
+  requireRole({
+    // These POST endpoints only search executions
+    routes: [
+      { method: 'POST', path: /^\/search-by-granules\/?$/, role: 'read-only' },
+      { method: 'POST', path: /^\/workflows-by-granules\/?$/, role: 'read-only' },
+    ],
+  }),
+  executions.router
+);
 
 // async operation endpoint
-router.use('/asyncOperations', ensureAuthorized, asyncOperations.router);
+router.use(
+  '/asyncOperations',
+  ensureAuthorized,
+  auditRequest('asyncOperations'),
+  requireRole(),
+  asyncOperations.router
+);
+
+// audit log endpoint
+router.use('/auditLog', ensureAuthorized, requireRole({ role: 'admin' }), auditLog.router);
 
 // instance meta endpoint
-router.use('/instanceMeta', ensureAuthorized, instanceMeta);
+router.use('/instanceMeta', ensureAuthorized, requireRole(), instanceMeta);
 
 // logs endpoint
-router.use('/logs', ensureAuthorized, logs);
+router.use('/logs', ensureAuthorized, requireRole(), logs);
 
 // orca endpoint
-router.use('/orca', ensureAuthorized, orca);
+router.use('/orca', ensureAuthorized, auditRequest('orca'), requireRole(), orca);
 
 // reconciliationReports endpoint
-router.use('/reconciliationReports', ensureAuthorized, reconcilliationReports.router);
+router.use(
+  '/reconciliationReports',
+  ensureAuthorized,
+  auditRequest('reconciliationReports'),
+  requireRole(),
+  reconcilliationReports.router
+);
 
 // replays endpoint
-router.use('/replays', ensureAuthorized, replays.router);
+router.use('/replays', ensureAuthorized, auditRequest('replays'), requireRole(), replays.router);
 
 // schemas endpoint
-router.use('/schemas', ensureAuthorized, schemas);
+router.use('/schemas', ensureAuthorized, requireRole(), schemas);
 
 // stats endpoint
-router.use('/stats', ensureAuthorized, stats);
+router.use('/stats', ensureAuthorized, requireRole(), stats);
 
 // version endpoint
 // this endpoint is not behind authentication
 router.use('/version', version);
 
+// role assignments endpoint
+router.use(
+  '/roles',
+  ensureAuthorized,
+  auditRequest('roles'),
+  requireRole({ role: 'admin' }),
+  roles.router
+);
+
+// subscriptions endpoint
+router.use(
+  '/subscriptions',
+  ensureAuthorized,
+  auditRequest('subscriptions'),
+  requireRole(),
+  subscriptions.router
+);
+
 // workflows endpoint
-router.use('/workflows', ensureAuthorized, workflows);
+router.use('/workflows', ensureAuthorized, requireRole(), workflows);
 
 // OAuth Token endpoints
 if (launchpadProtectedAuth()) {
@@ -118,7 +243,13 @@ router.delete('/tokenDelete/:token', token.deleteTokenEndpoint);
 
 router.use('/dashboard', dashboard);
 
-router.use('/elasticsearch', ensureAuthorized, elasticsearch.router);
+router.use(
+  '/elasticsearch',
+  ensureAuthorized,
+  auditRequest('elasticsearch'),
+  requireRole({ role: 'admin' }),
+  elasticsearch.router
+);
 
 // Catch and send the error message down (instead of just 500: internal server error)
 router.use(defaultErrorHandler);
@@ -6,6 +6,7 @@ const program = require('commander');
 const { lambda } = require('@cumulus/aws-client/services');
 const pckg = require('../package.json');
 const backup = require('./backup');
+const configSync = require('./config-sync');
 const restore = require('./restore');
 const { serveApi, serveDistributionApi, resetTables } = require('./serve');
 
@@ -71,6 +72,46 @@ program
     restore(file, cmd.table, concurrency).then(console.log).catch(console.error);
   });
 
+program
+  .command('config-plan <directory>')
+  .option('--prefix <prefix>', 'The prefix configured for the stack')
+  .option('--prune', 'Delete providers, collections and rules that are not defined')
+  .description(
+    'Show the changes needed for the providers, collections and rules of a stack'
+    + ' to match the definitions in a directory'
+  )
+  .action((directory, cmd) => {
+    if (!cmd.prefix) {
+      throw new Error('prefix is missing');
+    }
+
+    configSync.plan({ directory, prefix: cmd.prefix, prune: cmd.prune })
+      .then((plan) => console.log(configSync.formatPlan(plan)))
+      .catch(console.error);
+  });
+
+program
+  .command('config-apply <directory>')
+  .option('--prefix <prefix>', 'The prefix configured for the stack')
+  .option('--prune', 'Delete providers, collections and rules that are not defined')
+  .description(
+    'Create, update and delete the providers, collections and rules of a stack'
+    + ' to match the definitions in a directory'
+  )
+  .action((directory, cmd) => {
+    if (!cmd.prefix) {
+      throw new Error('prefix is missing');
+    }
+
+    configSync.plan({ directory, prefix: cmd.prefix, prune: cmd.prune })
+      .then((plan) => {
+        console.log(configSync.formatPlan(plan));
+        return configSync.applyPlan({ plan, prefix: cmd.prefix });
+      })
+      .then((plan) => console.log(`Applied ${plan.length} changes`))
+      .catch(console.error);
+  });
+
 program
   .command('serve')
   .option('--stackName <stackName>', 'stackname to serve (defaults to "localrun")', undefined)
@@ -0,0 +1,357 @@
+'use strict';
+
+const fs = require('fs');
+const isEqual = require('lodash/isEqual');
+const isPlainObject = require('lodash/isPlainObject');
+const isString = require('lodash/isString');
+const pEachSeries = require('p-each-series');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const collectionsApi = require('@cumulus/api-client/collections');
+const providersApi = require('@cumulus/api-client/providers');
+const rulesApi = require('@cumulus/api-client/rules');
+const { invokeApi } = require('@cumulus/api-client/cumulusApiClient');
+const { getSecretString } = require('@cumulus/aws-client/SecretsManager');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const definitionExtensions = ['.json', '.yaml', '.yml'];
+
+const listPageSize = 100;
+
+// Fields set by the API, which are not part of the definitions
+const apiManagedFields = ['createdAt', 'updatedAt', 'timestamp'];
+
+/**
+ * How each record type is identified, listed and written with the API client.
+ * Types are applied in this order, and deleted in the reverse order, so that
+ * rules are created after and deleted before the providers and collections
+ * they refer to.
+ */
+const recordTypes = {
+  providers: {
+    getId: (record) => record.id,
+    // Provider credentials are returned encrypted by the API, so they cannot
+    // be compared with the definitions
+    ignoredFields: ['encrypted', 'username', 'password', 'privateKey'],
+    list: providersApi.getProviders,
+    create: ({ prefix, record, callback }) =>
+      providersApi.createProvider({ prefix, provider: record, callback }),
+    update: ({ prefix, record, callback }) =>
+      providersApi.updateProvider({ prefix, providerId: record.id, provider: record, callback }),
+    delete: ({ prefix, id, callback }) =>
+      providersApi.deleteProvider({ prefix, providerId: id, callback }),
+  },
+  collections: {
+    getId: (record) => constructCollectionId(record.name, record.version),
+    ignoredFields: [],
+    list: ({ prefix, queryStringParameters, callback }) =>
+      collectionsApi.getCollections({ prefix, query: queryStringParameters, callback }),
+    create: ({ prefix, record, callback }) =>
+      collectionsApi.createCollection({ prefix, collection: record, callback }),
+    update: ({ prefix, record, callback }) =>
+      collectionsApi.updateCollection({ prefix, collection: record, callback }),
+    delete: ({ prefix, record, callback }) => collectionsApi.deleteCollection({
+      prefix,
+      collectionName: record.name,
+      collectionVersion: record.version,
+      callback,
+    }),
+  },
+  rules: {
+    getId: (record) => record.name,
+    // Trigger ARNs are created by the API for kinesis and sns rules
+    ignoredFields: ['rule.arn', 'rule.logEventArn'],
+    list: ({ prefix, queryStringParameters, callback }) =>
+      rulesApi.listRules({ prefix, query: queryStringParameters, callback }),
+    create: ({ prefix, record, callback }) =>
+      rulesApi.postRule({ prefix, rule: record, callback }),
+    update: ({ prefix, record, callback }) =>
+      rulesApi.updateRule({ prefix, ruleName: record.name, updateParams: record, callback }),
+    delete: ({ prefix, id, callback }) =>
+      rulesApi.deleteRule({ prefix, ruleName: id, callback }),
+  },
+};
+
+/**
+ * Check if a definition value is a reference to a secret, e.g.
+ * `{ secret: 'my-provider-credentials', key: 'password' }`
+ *
+ * @param {any} value - definition value
+ * @returns {boolean} true if the value is a secret reference
+ */
+const isSecretReference = (value) =>
+  isPlainObject(value) && isString(value.secret)
+  && Object.keys(value).every((key) => ['secret', 'key'].includes(key));
+
+/**
+ * Get the paths of the fields of a definition that reference secrets
+ *
+ * @param {Object} record - record definition
+ * @param {string} [prefix] - path of the record within its definition
+ * @returns {string[]} the paths of the fields
+ */
+const getSecretFields = (record, prefix = '') =>
+  Object.entries(record).flatMap(([key, value]) => {
+    const field = `${prefix}${key}`;
+    if (isSecretReference(value)) return [field];
+    return isPlainObject(value) ? getSecretFields(value, `${field}.`) : [];
+  });
+
+/**
+ * Resolve the secret references of a definition to the values of the secrets
+ * in AWS Secrets Manager. A reference with a `key` resolves to that property
+ * of a JSON secret.
+ *
+ * @param {Object} record - record definition
+ * @param {Function} [getSecretStringMethod] - function returning the value
+ *   of a secret, only used for testing
+ * @returns {Promise<Object>} the record with the secret values
+ */
+const resolveSecretReferences = async (record, getSecretStringMethod = getSecretString) => {
+  const resolved = {};
+  await Promise.all(Object.entries(record).map(async ([key, value]) => {
+    if (isSecretReference(value)) {
+      const secretString = await getSecretStringMethod(value.secret);
+      resolved[key] = value.key ? JSON.parse(secretString)[value.key] : secretString;
+    } else if (isPlainObject(value)) {
+      resolved[key] = await resolveSecretReferences(value, getSecretStringMethod);
+    } else {
+      resolved[key] = value;
+    }
+  }));
+  return resolved;
+};
+
+/**
+ * Read the record definitions of a directory. Definitions are JSON or YAML
+ * files in a `providers`, `collections` or `rules` subdirectory, each holding
+ * one record or a list of records.
+ *
+ * @param {string} directory - the definitions directory
+ * @returns {Promise<Object>} the definitions by record type and record ID
+ * @throws {Error} if a record is defined more than once
+ */
+const readDefinitions = async (directory) => {
+  const definitions = {};
+  await Promise.all(Object.entries(recordTypes).map(async ([type, { getId }]) => {
+    definitions[type] = {};
+    const typeDirectory = path.join(directory, type);
+    if (!fs.existsSync(typeDirectory)) return;
+
+    const fileNames = (await fs.promises.readdir(typeDirectory))
+      .filter((fileName) => definitionExtensions.includes(path.extname(fileName)))
+      .sort();
+    await Promise.all(fileNames.map(async (fileName) => {
+      const filePath = path.join(typeDirectory, fileName);
+      const contents = await fs.promises.readFile(filePath, 'utf8');
+      const records = path.extname(fileName) === '.json'
+        ? JSON.parse(contents)
+        : yaml.safeLoad(contents);
+      [records].flat().forEach((record) => {
+        const id = getId(record);
+        if (definitions[type][id]) {
+          throw new Error(`${type} record ${id} is defined more than once, in ${filePath}`);
+        }
+        definitions[type][id] = record;
+      });
+    }));
+  }));
+  return definitions;
+};
+
+/**
+ * List every record of a type from the API of a stack
+ *
+ * @param {Object} params
+ * @param {string} params.prefix - the prefix configured for the stack
+ * @param {string} params.type - record type
+ * @param {Function} [params.callback] - function invoking the API
+ * @returns {Promise<Object>} the live records by record ID
+ */
+const listLiveRecords = async ({ prefix, type, callback = invokeApi }) => {
+  const { getId, list } = recordTypes[type];
+  const records = {};
+  let page = 1;
+  let results;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await list({
+      prefix,
+      queryStringParameters: { limit: `${listPageSize}`, page: `${page}` },
+      callback,
+    });
+    ({ results } = JSON.parse(response.body));
+    results.forEach((record) => {
+      records[getId(record)] = record;
+    });
+    page += 1;
+  } while (results.length === listPageSize);
+  return records;
+};
+
+/**
+ * Flatten a record to the paths and values of its fields. Arrays are
+ * compared as a whole.
+ *
+ * @param {Object} record - the record
+ * @param {string} [prefix] - path of the record
+ * @returns {Object} values by field path
+ */
+const flattenFields = (record, prefix = '') =>
+  Object.entries(record).reduce((fields, [key, value]) => {
+    const field = `${prefix}${key}`;
+    if (isPlainObject(value) && !isSecretReference(value)) {
+      return { ...fields, ...flattenFields(value, `${field}.`) };
+    }
+    return { ...fields, [field]: value };
+  }, {});
+
+/**
+ * Get the field-level differences between a live record and its definition.
+ *
+ * Only the top-level fields of the definition are compared, so that fields
+ * the API defaults when they are not defined, such as `duplicateHandling` of
+ * collections or `state` of rules, are not listed as differences. Secret
+ * references and provider credentials are not compared, because the live
+ * records do not hold their plain values.
+ *
+ * @param {Object} params
+ * @param {Object} params.live - the live record
+ * @param {Object} params.desired - the record definition
+ * @param {string[]} params.ignoredFields - fields that are not compared
+ * @returns {Object[]} the changed fields, with their `field` path, `from`
+ *   live value and `to` defined value
+ */
+const diffRecords = ({ live, desired, ignoredFields }) => {
+  const skippedFields = [...apiManagedFields, ...ignoredFields, ...getSecretFields(desired)];
+  const isSkipped = (field) => skippedFields.some(
+    (skippedField) => field === skippedField || field.startsWith(`${skippedField}.`)
+  );
+  const isDefined = (field) => Object.keys(desired).some(
+    (key) => field === key || field.startsWith(`${key}.`)
+  );
+  const liveFields = flattenFields(live);
+  const desiredFields = flattenFields(desired);
+  return [...new Set([...Object.keys(liveFields), ...Object.keys(desiredFields)])]
+    .filter((field) => isDefined(field) && !isSkipped(field))
+    .filter((field) => !isEqual(liveFields[field], desiredFields[field]))
+    .sort()
+    .map((field) => ({ field, from: liveFields[field], to: desiredFields[field] }));
+};
+
+/**
+ * Compute the changes needed for the live records of a stack to match the
+ * definitions: records that are defined but not live are created, and
+ * records whose fields differ from their definitions are updated. Live
+ * records that are not defined are only deleted if `prune` is set.
+ *
+ * @param {Object} params
+ * @param {Object} params.definitions - definitions by record type and ID
+ * @param {Object} params.live - live records by record type and ID
+ * @param {boolean} [params.prune] - delete live records that are not defined
+ * @returns {Object[]} the changes, in the order they are applied, with the
+ *   `action`, record `type`, record `id`, defined `record` and field `diff`
+ */
+const computePlan = ({ definitions, live, prune = false }) => {
+  const types = Object.keys(recordTypes);
+  const changes = types.flatMap((type) => {
+    const { ignoredFields } = recordTypes[type];
+    return Object.entries(definitions[type] || {}).flatMap(([id, record]) => {
+      const liveRecord = (live[type] || {})[id];
+      if (!liveRecord) {
+        return [{ action: 'create', type, id, record }];
+      }
+      const diff = diffRecords({ live: liveRecord, desired: record, ignoredFields });
+      return diff.length > 0 ? [{ action: 'update', type, id, record, diff }] : [];
+    });
+  });
+
+  if (!prune) return changes;
+
+  const deletions = [...types].reverse().flatMap((type) =>
+    Object.entries(live[type] || {})
+      .filter(([id]) => !(definitions[type] || {})[id])
+      .map(([id, record]) => ({ action: 'delete', type, id, record })));
+  return [...deletions, ...changes];
+};
+
+/**
+ * Format a plan for display
+ *
+ * @param {Object[]} plan - changes returned by `computePlan`
+ * @returns {string} the formatted plan
+ */
+const formatPlan = (plan) => {
+  const symbols = { create: '+', update: '~', delete: '-' };
+  const lines = plan.flatMap(({ action, type, id, diff = [] }) => [
+    `${symbols[action]} ${action} ${type} ${id}`,
+    ...diff.map(({ field, from, to }) =>
+      `    ${field}: ${JSON.stringify(from)} => ${JSON.stringify(to)}`),
+  ]);
+  const count = (action) => plan.filter((change) => change.action === action).length;
+  lines.push(
+    `Plan: ${count('create')} to create, ${count('update')} to update, ${count('delete')} to delete`,
+    'Secret references and provider credentials are not compared with the live records'
+  );
+  return lines.join('\n');
+};
+
+/**
+ * Compute the plan for the definitions in a directory against a stack
+ *
+ * @param {Object} params
+ * @param {string} params.directory - the definitions directory
+ * @param {string} params.prefix - the prefix configured for the stack
+ * @param {boolean} [params.prune] - delete live records that are not defined
+ * @param {Function} [params.callback] - function invoking the API
+ * @returns {Promise<Object[]>} the plan
+ */
+const plan = async ({ directory, prefix, prune, callback = invokeApi }) => {
+  const definitions = await readDefinitions(directory);
+  const live = {};
+  await Promise.all(Object.keys(recordTypes).map(async (type) => {
+    live[type] = await listLiveRecords({ prefix, type, callback });
+  }));
+  return computePlan({ definitions, live, prune });
+};
+
+/**
+ * Apply a plan to a stack, one change at a time in the order of the plan.
+ * Secret references are resolved just before a record is written.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.plan - changes returned by `computePlan`
+ * @param {string} params.prefix - the prefix configured for the stack
+ * @param {Function} [params.callback] - function invoking the API
+ * @param {Function} [params.getSecretStringMethod] - function returning the
+ *   value of a secret, only used for testing
+ * @returns {Promise<Object[]>} the applied changes
+ */
+const applyPlan = async ({
+  plan: changes,
+  prefix,
+  callback = invokeApi,
+  getSecretStringMethod = getSecretString,
+}) => {
+  await pEachSeries(changes, async (change) => {
+    const { action, type, id } = change;
+    const record = action === 'delete'
+      ? change.record
+      : await resolveSecretReferences(change.record, getSecretStringMethod);
+    console.log(`${action} ${type} ${id}`);
+    await recordTypes[type][action]({ prefix, id, record, callback });
+  });
+  return changes;
+};
+
+module.exports = {
+  applyPlan,
+  computePlan,
+  diffRecords,
+  formatPlan,
+  listLiveRecords,
+  plan,
+  readDefinitions,
+  resolveSecretReferences,
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const router = require('express-promise-router')();
+
+const { AuditLogSearch } = require('@cumulus/db');
+const { ValidationError } = require('@cumulus/errors');
+
+/**
+ * List audit log entries, newest first. Entries may be filtered by `username`,
+ * `recordType`, `recordId`, `method` and `outcome`, and by time window with
+ * `timestamp__from` and `timestamp__to`.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function list(req, res) {
+  const { knex } = req.testContext || {};
+
+  let search;
+  try {
+    search = new AuditLogSearch({ queryStringParameters: req.query });
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
+  return res.send(await search.query(knex));
+}
+
+router.get('/', list);
+
+module.exports = {
+  list,
+  router,
+};
@@ -1,22 +1,33 @@
 'use strict';
 
+const isNil = require('lodash/isNil');
 const omit = require('lodash/omit');
 const router = require('express-promise-router')();
 const {
   InvalidRegexError,
   UnmatchedRegexError,
   RecordDoesNotExist,
+  ValidationError,
 } = require('@cumulus/errors');
 const Logger = require('@cumulus/logger');
+const { CMR } = require('@cumulus/cmr-client');
+const { getCmrSettings } = require('@cumulus/cmrjs/cmr-utils');
 const { constructCollectionId } = require('@cumulus/message/Collections');
+const { getJsonS3Object } = require('@cumulus/aws-client/S3');
+const BucketsConfig = require('@cumulus/common/BucketsConfig');
+const { getBucketsConfigKey } = require('@cumulus/common/stack');
+const { buildProviderClient } = require('@cumulus/ingest/providerClientUtils');
 
 const {
   CollectionPgModel,
+  CollectionSearch,
   createRejectableTransaction,
   getKnexClient,
   isCollisionError,
+  ProviderPgModel,
   translateApiCollectionToPostgresCollection,
   translatePostgresCollectionToApiCollection,
+  translatePostgresProviderToApiProvider,
 } = require('@cumulus/db');
 const { Search } = require('@cumulus/es-client/search');
 const {
@@ -30,8 +41,13 @@ const {
   publishCollectionUpdateSnsMessage,
 } = require('../lib/publishSnsMessageUtils');
 const models = require('../models');
+const {
+  getCollectionUMMCErrors,
+  validateCollectionFiles,
+} = require('../lib/collectionValidation');
 const { AssociatedRulesError, isBadRequestError } = require('../lib/errors');
 const insertMMTLinks = require('../lib/mmt');
+const { usePostgresSearch } = require('../lib/search');
 
 const log = new Logger({ sender: '@cumulus/api/collections' });
 
@@ -44,13 +60,23 @@ const log = new Logger({ sender: '@cumulus/api/collections' });
  */
 async function list(req, res) {
   const { getMMT, includeStats, ...queryStringParameters } = req.query;
-  const collection = new Collection(
-    { queryStringParameters },
-    undefined,
-    process.env.ES_INDEX,
-    includeStats === 'true'
-  );
-  let result = await collection.query();
+  let search;
+  try {
+    // Granule statistics are aggregated by Elasticsearch, so requests that
+    // include them are always served from Elasticsearch
+    search = usePostgresSearch('collections') && includeStats !== 'true'
+      ? new CollectionSearch({ queryStringParameters })
+      : new Collection(
+        { queryStringParameters },
+        undefined,
+        process.env.ES_INDEX,
+        includeStats === 'true'
+      );
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
+  let result = await search.query();
   if (getMMT === 'true') {
     result = await insertMMTLinks(result);
   }
@@ -117,13 +143,19 @@ async function post(req, res) {
     esClient = await Search.es(),
   } = req.testContext || {};
 
-  const collection = req.body || {};
+  // The CMR publishing state of a collection is only set by publishing it
+  const collection = omit(req.body || {}, ['published', 'cmrConceptId']);
   const { name, version } = collection;
 
   if (!name || !version) {
     return res.boom.badRequest('Field name and/or version is missing');
   }
 
+  const ummCErrors = getCollectionUMMCErrors(collection);
+  if (ummCErrors.length > 0) {
+    return res.boom.badRequest(`Invalid UMM-C metadata: ${JSON.stringify(ummCErrors)}`);
+  }
+
   collection.updatedAt = Date.now();
   collection.createdAt = Date.now();
 
@@ -185,7 +217,7 @@ async function put(req, res) {
   } = req.testContext || {};
 
   const { name, version } = req.params;
-  const collection = req.body;
+  const collection = omit(req.body, ['published', 'cmrConceptId']);
   let dynamoRecord;
   let oldCollection;
   let oldPgCollection;
@@ -196,6 +228,11 @@ async function put(req, res) {
       + ` and '${collection.version}' in payload`);
   }
 
+  const ummCErrors = getCollectionUMMCErrors(collection);
+  if (ummCErrors.length > 0) {
+    return res.boom.badRequest(`Invalid UMM-C metadata: ${JSON.stringify(ummCErrors)}`);
+  }
+
   try {
     oldPgCollection = await collectionPgModel.get(knex, { name, version });
   } catch (error) {
@@ -216,6 +253,9 @@ async function put(req, res) {
 
   collection.updatedAt = Date.now();
   collection.createdAt = oldPgCollection.created_at.getTime();
+  // Updates keep the CMR publishing state of the collection
+  if (!isNil(oldPgCollection.published)) collection.published = oldPgCollection.published;
+  if (oldPgCollection.cmr_concept_id) collection.cmrConceptId = oldPgCollection.cmr_concept_id;
 
   const postgresCollection = translateApiCollectionToPostgresCollection(collection);
 
@@ -263,8 +303,9 @@ async function del(req, res) {
   );
 
   let existingCollection;
+  let pgCollection;
   try {
-    await collectionPgModel.get(knex, { name, version });
+    pgCollection = await collectionPgModel.get(knex, { name, version });
   } catch (error) {
     if (error instanceof RecordDoesNotExist) {
       if (!(await esCollectionsClient.exists(collectionId))) {
@@ -277,6 +318,10 @@ async function del(req, res) {
     }
   }
 
+  if (pgCollection && pgCollection.published) {
+    return res.boom.conflict('You cannot delete a collection that is published to CMR. Remove it from CMR first');
+  }
+
   try {
     // Save DynamoDB collection record to recreate in case delete fails
     existingCollection = await collectionsModel.get({ name, version });
@@ -318,10 +363,265 @@ async function del(req, res) {
   }
 }
 
+/**
+ * List the files of a provider path for validating a collection
+ *
+ * @param {Object} params
+ * @param {Object} params.apiProvider - API provider
+ * @param {string} params.providerPath - path to list
+ * @param {Function} params.buildProviderClientMethod - function building a
+ *   provider client
+ * @returns {Promise<Object[]>} the listed files
+ */
+async function listProviderFiles({ apiProvider, providerPath, buildProviderClientMethod }) {
+  const providerClient = buildProviderClientMethod(apiProvider);
+  try {
+    await providerClient.connect();
+    return await providerClient.list(providerPath);
+  } finally {
+    await providerClient.end();
+  }
+}
+
+/**
+ * Validate a collection configuration against sample files without saving
+ * the collection or ingesting the files. The request body has the
+ * `collection` to validate and either a list of `fileNames` or the ID of a
+ * `provider` and a `path` to list the files of. A sample of CMR metadata for
+ * rendering `url_path` templates may be given as `cmrMetadata`.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function validate(req, res) {
+  const {
+    providerPgModel = new ProviderPgModel(),
+    knex = await getKnexClient(),
+    buildProviderClientMethod = buildProviderClient,
+    getBucketsConfig = async () => new BucketsConfig(
+      await getJsonS3Object(process.env.system_bucket, getBucketsConfigKey(process.env.stackName))
+    ),
+  } = req.testContext || {};
+
+  const {
+    collection,
+    fileNames,
+    provider,
+    path: providerPath = '/',
+    cmrMetadata,
+  } = req.body || {};
+
+  if (!collection || !collection.name || !collection.version) {
+    return res.boom.badRequest('Validating a collection requires a collection with a name and version');
+  }
+  if (!Array.isArray(fileNames) && !provider) {
+    return res.boom.badRequest('Validating a collection requires fileNames or a provider to list');
+  }
+
+  let files = fileNames;
+  if (!files) {
+    let apiProvider;
+    try {
+      apiProvider = translatePostgresProviderToApiProvider(
+        await providerPgModel.get(knex, { name: provider })
+      );
+    } catch (error) {
+      if (error instanceof RecordDoesNotExist) {
+        return res.boom.badRequest(`Provider ${provider} not found.`);
+      }
+      throw error;
+    }
+    try {
+      files = await listProviderFiles({ apiProvider, providerPath, buildProviderClientMethod });
+    } catch (error) {
+      return res.boom.badRequest(
+        `Cannot list path ${providerPath} of provider ${provider}: ${error.message}`
+      );
+    }
+  }
+
+  const bucketsConfig = await getBucketsConfig();
+  return res.send(validateCollectionFiles({
+    collection,
+    files,
+    bucketsConfig,
+    cmrMetadata,
+  }));
+}
+
 // express routes
+
+/**
+ * Write the CMR publishing state of a collection to PostgreSQL, DynamoDB and
+ * Elasticsearch
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {Object} params.collectionPgModel - Instance of the collections model
+ *   for PostgreSQL
+ * @param {Object} params.collectionsModel - Instance of the collections model
+ *   for DynamoDB
+ * @param {Object} params.esClient - Elasticsearch client
+ * @param {Object} params.pgCollection - PostgreSQL collection record
+ * @param {boolean} params.published - whether the collection is published
+ * @param {string} [params.cmrConceptId] - CMR concept ID of the collection
+ * @returns {Promise<Object>} the updated API collection
+ */
+async function updateCollectionCmrState({
+  knex,
+  collectionPgModel,
+  collectionsModel,
+  esClient,
+  pgCollection,
+  published,
+  cmrConceptId,
+}) {
+  const { name, version } = pgCollection;
+  let oldCollection;
+  let dynamoRecord;
+  try {
+    oldCollection = await collectionsModel.get({ name, version });
+  } catch (error) {
+    if (error.name !== 'RecordDoesNotExist') {
+      throw error;
+    }
+  }
+
+  try {
+    await createRejectableTransaction(knex, async (trx) => {
+      const [updatedPgCollection] = await collectionPgModel.update(
+        trx,
+        { cumulus_id: pgCollection.cumulus_id },
+        {
+          published,
+          cmr_concept_id: cmrConceptId || null,
+          updated_at: new Date(),
+        },
+        ['*']
+      );
+      dynamoRecord = await collectionsModel.create(
+        translatePostgresCollectionToApiCollection(updatedPgCollection)
+      );
+      // process.env.ES_INDEX is only used to isolate the index for
+      // each unit test suite
+      await indexCollection(esClient, dynamoRecord, process.env.ES_INDEX);
+      await publishCollectionUpdateSnsMessage(dynamoRecord);
+    });
+  } catch (error) {
+    // Revert Dynamo record update if any write fails
+    if (oldCollection) {
+      await collectionsModel.create(oldCollection);
+    }
+    throw error;
+  }
+  return dynamoRecord;
+}
+
+/**
+ * Publish the UMM-C metadata of a collection to the CMR
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function publish(req, res) {
+  const {
+    collectionsModel = new models.Collection(),
+    collectionPgModel = new CollectionPgModel(),
+    knex = await getKnexClient(),
+    esClient = await Search.es(),
+    cmr = new CMR(await getCmrSettings()),
+  } = req.testContext || {};
+
+  const { name, version } = req.params;
+  let pgCollection;
+  try {
+    pgCollection = await collectionPgModel.get(knex, { name, version });
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound(`Collection '${name}' version '${version}' not found`);
+    }
+    throw error;
+  }
+
+  if (!pgCollection.umm_c) {
+    return res.boom.badRequest(`Collection '${name}' version '${version}' has no UMM-C metadata to publish`);
+  }
+  const ummCErrors = getCollectionUMMCErrors({ name, version, ummC: pgCollection.umm_c });
+  if (ummCErrors.length > 0) {
+    return res.boom.badRequest(`Invalid UMM-C metadata: ${JSON.stringify(ummCErrors)}`);
+  }
+
+  const response = await cmr.ingestUMMCollection(
+    pgCollection.umm_c,
+    constructCollectionId(name, version)
+  );
+  log.info(`Published collection ${constructCollectionId(name, version)} to CMR as ${response['concept-id']}`);
+
+  const collection = await updateCollectionCmrState({
+    knex,
+    collectionPgModel,
+    collectionsModel,
+    esClient,
+    pgCollection,
+    published: true,
+    cmrConceptId: response['concept-id'],
+  });
+  return res.send(collection);
+}
+
+/**
+ * Remove the UMM-C metadata of a collection from the CMR
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function unpublish(req, res) {
+  const {
+    collectionsModel = new models.Collection(),
+    collectionPgModel = new CollectionPgModel(),
+    knex = await getKnexClient(),
+    esClient = await Search.es(),
+    cmr = new CMR(await getCmrSettings()),
+  } = req.testContext || {};
+
+  const { name, version } = req.params;
+  let pgCollection;
+  try {
+    pgCollection = await collectionPgModel.get(knex, { name, version });
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound(`Collection '${name}' version '${version}' not found`);
+    }
+    throw error;
+  }
+
+  if (!pgCollection.published) {
+    return res.boom.badRequest(`Collection '${name}' version '${version}' is not published to CMR`);
+  }
+
+  await cmr.deleteCollection(constructCollectionId(name, version));
+  log.info(`Removed collection ${constructCollectionId(name, version)} from CMR`);
+
+  const collection = await updateCollectionCmrState({
+    knex,
+    collectionPgModel,
+    collectionsModel,
+    esClient,
+    pgCollection,
+    published: false,
+  });
+  return res.send(collection);
+}
+
+router.post('/validate', validate);
 router.get('/:name/:version', get);
 router.put('/:name/:version', put);
 router.delete('/:name/:version', del);
+router.post('/:name/:version/publish', publish);
+router.delete('/:name/:version/publish', unpublish);
 router.post('/', post);
 router.get('/', list);
 router.get('/active', activeList);
@@ -329,6 +629,9 @@ router.get('/active', activeList);
 module.exports = {
   del,
   post,
+  publish,
   put,
   router,
+  unpublish,
+  validate,
 };
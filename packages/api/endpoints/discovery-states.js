@@ -0,0 +1,179 @@
+'use strict';
+
+const router = require('express-promise-router')();
+const isInteger = require('lodash/isInteger');
+const isPlainObject = require('lodash/isPlainObject');
+const isString = require('lodash/isString');
+
+const {
+  getApiDiscoveryStates,
+  getKnexClient,
+  CollectionPgModel,
+  DiscoveryStatePgModel,
+  ProviderPgModel,
+  translateApiDiscoveryStateToPostgresDiscoveryState,
+} = require('@cumulus/db');
+const { RecordDoesNotExist } = require('@cumulus/errors');
+const { deconstructCollectionId } = require('@cumulus/message/Collections');
+
+/**
+ * Get the reason an API discovery state is invalid
+ *
+ * @param {Object} discoveryState - API discovery state
+ * @returns {string | undefined} the reason, or undefined if the state is valid
+ */
+const getDiscoveryStateError = (discoveryState) => {
+  const { collectionId, provider, providerPath, lastModifiedAt, checkpoints } = discoveryState;
+  if (!collectionId || !provider || !isString(providerPath)) {
+    return 'Discovery states require a collectionId, provider and providerPath';
+  }
+  if (lastModifiedAt !== undefined && !isInteger(lastModifiedAt)) {
+    return `Discovery state lastModifiedAt must be a time in milliseconds since the epoch, received ${JSON.stringify(lastModifiedAt)}`;
+  }
+  if (checkpoints !== undefined && (!isPlainObject(checkpoints)
+    || !Object.values(checkpoints).every(isInteger))) {
+    return `Discovery state checkpoints must map paths to times in milliseconds since the epoch, received ${JSON.stringify(checkpoints)}`;
+  }
+  return undefined;
+};
+
+/**
+ * List discovery states, optionally filtered by `collectionId`, `provider`,
+ * `providerPath` and `ruleName`
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function list(req, res) {
+  const {
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+
+  const { collectionId, provider, providerPath, ruleName } = req.query;
+  const results = await getApiDiscoveryStates(knex, {
+    collectionId,
+    provider,
+    providerPath,
+    ruleName,
+  });
+  return res.send({
+    meta: {
+      name: 'cumulus-api',
+      stack: process.env.stackName,
+      table: 'discovery_states',
+      count: results.length,
+    },
+    results,
+  });
+}
+
+/**
+ * Create or replace the discovery state of a collection, provider, provider
+ * path and rule
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function put(req, res) {
+  const {
+    knex = await getKnexClient(),
+    collectionPgModel = new CollectionPgModel(),
+    providerPgModel = new ProviderPgModel(),
+    discoveryStatePgModel = new DiscoveryStatePgModel(),
+  } = req.testContext || {};
+
+  const apiDiscoveryState = req.body || {};
+  const error = getDiscoveryStateError(apiDiscoveryState);
+  if (error) return res.boom.badRequest(error);
+
+  let pgDiscoveryState;
+  try {
+    pgDiscoveryState = await translateApiDiscoveryStateToPostgresDiscoveryState(
+      apiDiscoveryState,
+      knex,
+      collectionPgModel,
+      providerPgModel
+    );
+  } catch (translateError) {
+    if (translateError instanceof RecordDoesNotExist) {
+      return res.boom.badRequest(
+        `Discovery state collection or provider does not exist: ${JSON.stringify({
+          collectionId: apiDiscoveryState.collectionId,
+          provider: apiDiscoveryState.provider,
+        })}`
+      );
+    }
+    throw translateError;
+  }
+
+  await discoveryStatePgModel.upsert(knex, pgDiscoveryState);
+  const [record] = await getApiDiscoveryStates(knex, {
+    collectionId: apiDiscoveryState.collectionId,
+    provider: apiDiscoveryState.provider,
+    providerPath: apiDiscoveryState.providerPath,
+    ruleName: apiDiscoveryState.ruleName || '',
+  });
+  return res.send(record);
+}
+
+/**
+ * Reset the discovery states of a collection and provider, so that the next
+ * discovery lists every file of the provider path. The states to reset may
+ * be narrowed down by `providerPath` and `ruleName`.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function del(req, res) {
+  const {
+    knex = await getKnexClient(),
+    collectionPgModel = new CollectionPgModel(),
+    providerPgModel = new ProviderPgModel(),
+    discoveryStatePgModel = new DiscoveryStatePgModel(),
+  } = req.testContext || {};
+
+  const { collectionId, provider, providerPath, ruleName } = req.query;
+  if (!collectionId || !provider) {
+    return res.boom.badRequest('Resetting discovery states requires a collectionId and provider');
+  }
+
+  let collectionCumulusId;
+  let providerCumulusId;
+  try {
+    collectionCumulusId = await collectionPgModel.getRecordCumulusId(
+      knex,
+      deconstructCollectionId(collectionId)
+    );
+    providerCumulusId = await providerPgModel.getRecordCumulusId(knex, { name: provider });
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound('No record found');
+    }
+    throw error;
+  }
+
+  const deletedCount = await discoveryStatePgModel.delete(knex, {
+    collection_cumulus_id: collectionCumulusId,
+    provider_cumulus_id: providerCumulusId,
+    ...(providerPath !== undefined && { provider_path: providerPath }),
+    ...(ruleName !== undefined && { rule_name: ruleName }),
+  });
+  if (deletedCount === 0) {
+    return res.boom.notFound('No record found');
+  }
+  return res.send({ message: `Reset ${deletedCount} discovery states` });
+}
+
+router.get('/', list);
+router.put('/', put);
+router.delete('/', del);
+
+module.exports = {
+  del,
+  list,
+  put,
+  router,
+};
@@ -2,7 +2,7 @@
 
 const router = require('express-promise-router')();
 
-const { RecordDoesNotExist } = require('@cumulus/errors');
+const { RecordDoesNotExist, ValidationError } = require('@cumulus/errors');
 const Logger = require('@cumulus/logger');
 const {
   getKnexClient,
@@ -10,6 +10,7 @@ const {
   getApiGranuleCumulusIds,
   getWorkflowNameIntersectFromGranuleIds,
   ExecutionPgModel,
+  ExecutionSearch,
   translatePostgresExecutionToApiExecution,
   createRejectableTransaction,
 } = require('@cumulus/db');
@@ -21,6 +22,7 @@ const { isBadRequestError } = require('../lib/errors');
 const { getGranulesForPayload } = require('../lib/granules');
 const { writeExecutionRecordFromApi } = require('../lib/writeRecords/write-execution');
 const { validateGranuleExecutionRequest } = require('../lib/request');
+const { usePostgresSearch } = require('../lib/search');
 
 const log = new Logger({ sender: '@cumulus/api/executions' });
 
@@ -128,11 +130,15 @@ async function update(req, res) {
  * @returns {Promise<Object>} the promise of express response object
  */
 async function list(req, res) {
-  const search = new Search(
-    { queryStringParameters: req.query },
-    'execution',
-    process.env.ES_INDEX
-  );
+  let search;
+  try {
+    search = usePostgresSearch('executions')
+      ? new ExecutionSearch({ queryStringParameters: req.query })
+      : new Search({ queryStringParameters: req.query }, 'execution', process.env.ES_INDEX);
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
   const response = await search.query();
   return res.send(response);
 }
@@ -4,18 +4,29 @@ const router = require('express-promise-router')();
 const isBoolean = require('lodash/isBoolean');
 const { v4: uuidv4 } = require('uuid');
 
+const {
+  getCmrSettings,
+  getS3UrlOfFile,
+  granuleToCmrFileObject,
+  metadataObjectFromCMRFile,
+  validateCMRMetadata,
+} = require('@cumulus/cmrjs/cmr-utils');
 const Logger = require('@cumulus/logger');
-const { deconstructCollectionId } = require('@cumulus/message/Collections');
+const { constructCollectionId, deconstructCollectionId } = require('@cumulus/message/Collections');
 const {
   RecordDoesNotExist,
+  ValidationError,
 } = require('@cumulus/errors');
 
 const {
   CollectionPgModel,
   ExecutionPgModel,
+  getApiGranuleHistory,
+  getEmbargoedGranulesQuery,
   getKnexClient,
   getUniqueGranuleByGranuleId,
   GranulePgModel,
+  GranuleSearch,
   translateApiGranuleToPostgresGranule,
   translatePostgresCollectionToApiCollection,
   translatePostgresGranuleToApiGranule,
@@ -27,6 +38,7 @@ const { chooseTargetExecution } = require('../lib/executions');
 const startAsyncOperation = require('../lib/startAsyncOperation');
 const {
   createGranuleFromApi,
+  updateGranuleCmrPublishState,
   updateGranuleFromApi,
   updateGranuleStatusToQueued,
   writeGranuleRecordAndPublishSns,
@@ -37,11 +49,26 @@ const Granule = require('../models/granules');
 const { moveGranule } = require('../lib/granules');
 const { reingestGranule, applyWorkflow } = require('../lib/ingest');
 const { unpublishGranule } = require('../lib/granule-remove-from-cmr');
+const { enqueueCmrPublishRequest } = require('../lib/cmrPublishQueue');
 const { addOrcaRecoveryStatus, getOrcaRecoveryStatusByGranuleId } = require('../lib/orca');
-const { validateBulkGranulesRequest, getFunctionNameFromRequestContext } = require('../lib/request');
+const {
+  getFunctionNameFromRequestContext,
+  validateBulkGranuleCmrUpdateRequest,
+  validateBulkGranulesRequest,
+} = require('../lib/request');
+const { usePostgresSearch } = require('../lib/search');
 
 const log = new Logger({ sender: '@cumulus/api/granules' });
 
+/**
+ * Get the name of the API user making a request, to record in the granule
+ * history
+ *
+ * @param {Object} req - express request object
+ * @returns {string | undefined} the username, if the API authenticates users
+ */
+const getActor = (req) => req.authorizedMetadata && req.authorizedMetadata.userName;
+
 /**
 * 200/201 helper method for .put update/create messages
 * @param {boolean} isNewRecord - Boolean variable representing if the granule is a new record
@@ -69,13 +96,17 @@ function _returnPutGranuleStatus(isNewRecord, granule, res) {
  */
 async function list(req, res) {
   const { getRecoveryStatus, ...queryStringParameters } = req.query;
-  const es = new Search(
-    { queryStringParameters },
-    'granule',
-    process.env.ES_INDEX
-  );
+  let search;
+  try {
+    search = usePostgresSearch('granules')
+      ? new GranuleSearch({ queryStringParameters })
+      : new Search({ queryStringParameters }, 'granule', process.env.ES_INDEX);
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
 
-  let result = await es.query();
+  let result = await search.query();
   if (getRecoveryStatus === 'true') {
     result = await addOrcaRecoveryStatus(result);
   }
@@ -118,7 +149,7 @@ const create = async (req, res) => {
   } catch (error) {
     return res.boom.badRequest(errorify(error));
   } try {
-    await createGranuleFromApi(granule, knex, esClient);
+    await createGranuleFromApi(granule, knex, esClient, getActor(req));
   } catch (error) {
     log.error('Could not write granule', error);
     return res.boom.badRequest(JSON.stringify(error, Object.getOwnPropertyNames(error)));
@@ -148,6 +179,10 @@ const putGranule = async (req, res) => {
     res.boom.badRequest('Granule update must include a valid CollectionId');
   }
 
+  if (apiGranule.publishAt && Number.isNaN(Date.parse(apiGranule.publishAt))) {
+    return res.boom.badRequest(`Invalid publishAt ${apiGranule.publishAt}, expected an ISO 8601 date-time`);
+  }
+
   try {
     pgCollection = await collectionPgModel.get(
       knex, deconstructCollectionId(apiGranule.collectionId)
@@ -177,7 +212,7 @@ const putGranule = async (req, res) => {
   }
 
   try {
-    await updateGranuleFromApi(apiGranule, knex, esClient);
+    await updateGranuleFromApi(apiGranule, knex, esClient, getActor(req));
   } catch (error) {
     log.error('failed to update granule', error);
     return res.boom.badRequest(errorify(error));
@@ -185,6 +220,50 @@ const putGranule = async (req, res) => {
   return _returnPutGranuleStatus(isNewRecord, apiGranule, res);
 };
 
+/**
+ * Mark a granule as pending and queue its deletion from CMR. The granule is
+ * marked as failed if the deletion cannot be queued.
+ *
+ * @param {Object} params
+ * @param {Object} params.granule - API granule
+ * @param {Knex} params.knex - DB client
+ * @param {string} params.actor - name of the API user removing the granule
+ * @param {Function} params.updateGranuleCmrPublishStateMethod
+ * @param {Function} params.enqueueCmrPublishRequestMethod
+ * @returns {Promise<void>}
+ * @throws {Error} if the deletion cannot be queued
+ */
+const queueGranuleRemovalFromCmr = async ({
+  granule,
+  knex,
+  actor,
+  updateGranuleCmrPublishStateMethod,
+  enqueueCmrPublishRequestMethod,
+}) => {
+  await updateGranuleCmrPublishStateMethod({
+    granule,
+    knex,
+    cmrPublishStatus: 'pending',
+    actor,
+  });
+  try {
+    await enqueueCmrPublishRequestMethod({
+      action: 'delete',
+      granuleId: granule.granuleId,
+      collectionId: granule.collectionId,
+    });
+  } catch (error) {
+    log.error(`Failed to queue CMR deletion of granule ${granule.granuleId}`, error);
+    await updateGranuleCmrPublishStateMethod({
+      granule,
+      knex,
+      cmrPublishStatus: 'failed',
+      actor,
+    });
+    throw error;
+  }
+};
+
 /**
  * Update a single granule.
  * Supported Actions: reingest, move, applyWorkflow, RemoveFromCMR.
@@ -202,6 +281,8 @@ async function put(req, res) {
     granulePgModel = new GranulePgModel(),
     reingestHandler = reingestGranule,
     updateGranuleStatusToQueuedMethod = updateGranuleStatusToQueued,
+    updateGranuleCmrPublishStateMethod = updateGranuleCmrPublishState,
+    enqueueCmrPublishRequestMethod = enqueueCmrPublishRequest,
   } = req.testContext || {};
 
   const granuleId = req.params.granuleName;
@@ -250,7 +331,7 @@ async function put(req, res) {
       log.info(`targetExecution has been specified for granule (${granuleId}) reingest: ${targetExecution}`);
     }
 
-    await updateGranuleStatusToQueuedMethod({ granule: apiGranule, knex });
+    await updateGranuleStatusToQueuedMethod({ granule: apiGranule, knex, actor: getActor(req) });
 
     await reingestHandler({
       granule: {
@@ -258,6 +339,7 @@ async function put(req, res) {
         ...(targetExecution && { execution: targetExecution }),
       },
       queueUrl: process.env.backgroundQueueUrl,
+      actor: getActor(req),
     });
 
     const response = {
@@ -273,7 +355,7 @@ async function put(req, res) {
   }
 
   if (action === 'applyWorkflow') {
-    await updateGranuleStatusToQueued({ granule: apiGranule, knex });
+    await updateGranuleStatusToQueued({ granule: apiGranule, knex, actor: getActor(req) });
     await applyWorkflow({
       granule: apiGranule,
       workflow: body.workflow,
@@ -288,10 +370,29 @@ async function put(req, res) {
   }
 
   if (action === 'removeFromCmr') {
+    // The granule is deleted from the CMR by the CMR publish queue, which
+    // retries the deletion while the CMR is unavailable
+    if (body.queue === true) {
+      await queueGranuleRemovalFromCmr({
+        granule: apiGranule,
+        knex,
+        actor: getActor(req),
+        updateGranuleCmrPublishStateMethod,
+        enqueueCmrPublishRequestMethod,
+      });
+
+      return res.send({
+        granuleId: apiGranule.granuleId,
+        action,
+        status: 'QUEUED',
+      });
+    }
+
     await unpublishGranule({
       knex,
       pgGranuleRecord: pgGranule,
       pgCollection: pgCollection,
+      actor: getActor(req),
     });
 
     return res.send({
@@ -412,6 +513,7 @@ const associateExecution = async (req, res) => {
       postgresGranuleRecord: updatedPgGranule,
       knex,
       snsEventType: 'Update',
+      actor: getActor(req),
     });
   } catch (error) {
     log.error(`failed to associate execution ${executionArn} with granule granuleId ${granuleId} collectionId ${collectionId}`, error);
@@ -515,6 +617,142 @@ async function get(req, res) {
   return res.send({ ...result, recoveryStatus });
 }
 
+/**
+ * Get the status history of a single granule, oldest entry first
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function history(req, res) {
+  const {
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+  const granuleId = req.params.granuleName;
+  let granule;
+  try {
+    granule = await getUniqueGranuleByGranuleId(knex, granuleId);
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound('Granule not found');
+    }
+
+    throw error;
+  }
+
+  const { name, version } = await new CollectionPgModel().get(
+    knex,
+    { cumulus_id: granule.collection_cumulus_id }
+  );
+  return res.send({
+    granuleId,
+    collectionId: constructCollectionId(name, version),
+    history: await getApiGranuleHistory(knex, granule.cumulus_id),
+  });
+}
+
+/**
+ * List the granules whose CMR publication is embargoed, in the order in which
+ * their embargoes expire. Like the other list endpoints, the granules are
+ * paginated with the `page` and `limit` query parameters, and at most 100
+ * granules are returned per page.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function embargoes(req, res) {
+  const {
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+  const { collectionId, page: pageParam, limit: limitParam } = req.query || {};
+  const page = Number.parseInt(pageParam || 1, 10);
+  const limit = Math.min(Number.parseInt(limitParam || 10, 10), 100);
+  if (!(page >= 1) || !(limit >= 1)) {
+    return res.boom.badRequest('page and limit must be positive integers');
+  }
+
+  const embargoedGranulesQuery = getEmbargoedGranulesQuery(
+    knex,
+    { collectionIds: collectionId }
+  );
+  const [{ count }] = await knex
+    .count('* as count')
+    .from(embargoedGranulesQuery.clone().as('embargoed_granules'));
+  const embargoedGranules = await embargoedGranulesQuery
+    .limit(limit)
+    .offset((page - 1) * limit);
+  const results = embargoedGranules.map((granule) => ({
+    granuleId: granule.granule_id,
+    collectionId: constructCollectionId(granule.collectionName, granule.collectionVersion),
+    provider: granule.providerName || undefined,
+    status: granule.status,
+    publishAt: granule.publish_at.toISOString(),
+  }));
+  return res.send({
+    meta: {
+      name: 'cumulus-api',
+      stack: process.env.stackName,
+      table: 'granules',
+      limit,
+      page,
+      count: Number(count),
+    },
+    results,
+  });
+}
+
+/**
+ * Validate the CMR metadata file of a single granule without publishing it.
+ * UMM-G metadata is validated against its UMM-G schema before it is validated
+ * by the CMR.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function validateMetadata(req, res) {
+  const {
+    knex = await getKnexClient(),
+    metadataObjectFromCMRFileMethod = metadataObjectFromCMRFile,
+    getCmrSettingsMethod = getCmrSettings,
+    validateCMRMetadataMethod = validateCMRMetadata,
+  } = req.testContext || {};
+  const granuleId = req.params.granuleName;
+  let granule;
+  try {
+    granule = await getUniqueGranuleByGranuleId(knex, granuleId);
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound('Granule not found');
+    }
+
+    throw error;
+  }
+
+  const apiGranule = await translatePostgresGranuleToApiGranule({
+    granulePgRecord: granule,
+    knexOrTransaction: knex,
+  });
+  const [cmrFile] = granuleToCmrFileObject(apiGranule);
+  if (!cmrFile) {
+    return res.boom.badRequest(`Granule ${granuleId} has no CMR metadata file`);
+  }
+
+  const metadataObject = await metadataObjectFromCMRFileMethod(getS3UrlOfFile(cmrFile));
+  const { filename, metadataFormat, errors } = await validateCMRMetadataMethod(
+    { ...cmrFile, metadataObject },
+    await getCmrSettingsMethod()
+  );
+  return res.send({
+    granuleId,
+    filename,
+    metadataFormat,
+    valid: errors.length === 0,
+    errors,
+  });
+}
+
 async function bulkOperations(req, res) {
   const payload = req.body;
 
@@ -646,9 +884,68 @@ async function bulkReingest(req, res) {
   return res.status(202).send({ id: asyncOperationId });
 }
 
+/**
+ * Start an AsyncOperation that will update the URLs of the CMR metadata of
+ * granules, e.g. after the distribution endpoint or the distribution bucket
+ * map changed, and republish the metadata of published granules
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function bulkCmrUpdate(req, res) {
+  const payload = req.body;
+
+  let description;
+  if (payload.collectionId) {
+    description = `Bulk granule CMR update run on collection ${payload.collectionId}`;
+  } else {
+    const numOfGranules = (payload.query && payload.query.size)
+      || (payload.ids && payload.ids.length);
+    description = `Bulk granule CMR update run on ${numOfGranules || ''} granules`;
+  }
+
+  const asyncOperationId = uuidv4();
+  const asyncOperationEvent = {
+    asyncOperationId,
+    callerLambdaName: getFunctionNameFromRequestContext(req),
+    lambdaName: process.env.BulkOperationLambda,
+    description,
+    operationType: 'Bulk Granule CMR Update',
+    payload: {
+      payload,
+      type: 'BULK_GRANULE_CMR_UPDATE',
+      envVars: {
+        cmr_client_id: process.env.cmr_client_id,
+        CMR_ENVIRONMENT: process.env.CMR_ENVIRONMENT,
+        cmr_oauth_provider: process.env.cmr_oauth_provider,
+        cmr_password_secret_name: process.env.cmr_password_secret_name,
+        cmr_provider: process.env.cmr_provider,
+        cmr_username: process.env.cmr_username,
+        DISTRIBUTION_ENDPOINT: process.env.DISTRIBUTION_ENDPOINT,
+        launchpad_api: process.env.launchpad_api,
+        launchpad_certificate: process.env.launchpad_certificate,
+        launchpad_passphrase_secret_name: process.env.launchpad_passphrase_secret_name,
+        METRICS_ES_HOST: process.env.METRICS_ES_HOST,
+        METRICS_ES_USER: process.env.METRICS_ES_USER,
+        METRICS_ES_PASS: process.env.METRICS_ES_PASS,
+        stackName: process.env.stackName,
+        system_bucket: process.env.system_bucket,
+      },
+    },
+  };
+
+  log.debug(`About to invoke lambda to start async operation ${asyncOperationId}`);
+  await startAsyncOperation.invokeStartAsyncOperationLambda(asyncOperationEvent);
+  return res.status(202).send({ id: asyncOperationId });
+}
+
+router.get('/embargoes', embargoes);
+router.get('/:granuleName/history', history);
 router.get('/:granuleName', get);
 router.get('/', list);
 router.post('/:granuleName/executions', associateExecution);
+router.post('/:granuleName/validateMetadata', validateMetadata);
 router.post('/', create);
 router.put('/:granuleName', put);
 
@@ -670,12 +967,22 @@ router.post(
   bulkReingest,
   asyncOperationEndpointErrorHandler
 );
+router.post(
+  '/bulkCmrUpdate',
+  validateBulkGranuleCmrUpdateRequest,
+  bulkCmrUpdate,
+  asyncOperationEndpointErrorHandler
+);
 router.delete('/:granuleName', del);
 
 module.exports = {
+  bulkCmrUpdate,
   bulkOperations,
   bulkReingest,
   bulkDelete,
+  embargoes,
+  history,
   put,
   router,
+  validateMetadata,
 };
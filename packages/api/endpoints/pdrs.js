@@ -5,14 +5,16 @@ const S3UtilsLib = require('@cumulus/aws-client/S3');
 const {
   getKnexClient,
   PdrPgModel,
+  PdrSearch,
   translatePostgresPdrToApiPdr,
   createRejectableTransaction,
 } = require('@cumulus/db');
-const { RecordDoesNotExist } = require('@cumulus/errors');
+const { RecordDoesNotExist, ValidationError } = require('@cumulus/errors');
 const { indexPdr, deletePdr } = require('@cumulus/es-client/indexer');
 const { Search } = require('@cumulus/es-client/search');
 const Logger = require('@cumulus/logger');
 const models = require('../models');
+const { usePostgresSearch } = require('../lib/search');
 
 const log = new Logger({ sender: '@cumulus/api/pdrs' });
 
@@ -24,11 +26,15 @@ const log = new Logger({ sender: '@cumulus/api/pdrs' });
  * @returns {Promise<Object>} the promise of express response object
  */
 async function list(req, res) {
-  const search = new Search(
-    { queryStringParameters: req.query },
-    'pdr',
-    process.env.ES_INDEX
-  );
+  let search;
+  try {
+    search = usePostgresSearch('pdrs')
+      ? new PdrSearch({ queryStringParameters: req.query })
+      : new Search({ queryStringParameters: req.query }, 'pdr', process.env.ES_INDEX);
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
   const result = await search.query();
   return res.send(result);
 }
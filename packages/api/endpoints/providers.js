@@ -7,6 +7,7 @@ const {
   getKnexClient,
   isCollisionError,
   ProviderPgModel,
+  ProviderSearch,
   translateApiProviderToPostgresProvider,
   translatePostgresProviderToApiProvider,
   validateProviderHost,
@@ -22,6 +23,8 @@ const { removeNilProperties } = require('@cumulus/common/util');
 
 const Provider = require('../models/providers');
 const { AssociatedRulesError, isBadRequestError } = require('../lib/errors');
+const { testProviderConnection } = require('../lib/providerConnectivity');
+const { usePostgresSearch } = require('../lib/search');
 const log = new Logger({ sender: '@cumulus/api/providers' });
 
 /**
@@ -32,11 +35,15 @@ const log = new Logger({ sender: '@cumulus/api/providers' });
  * @returns {Promise<Object>} the promise of express response object
  */
 async function list(req, res) {
-  const search = new Search(
-    { queryStringParameters: req.query },
-    'provider',
-    process.env.ES_INDEX
-  );
+  let search;
+  try {
+    search = usePostgresSearch('providers')
+      ? new ProviderSearch({ queryStringParameters: req.query })
+      : new Search({ queryStringParameters: req.query }, 'provider', process.env.ES_INDEX);
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
 
   const response = await search.query();
   return res.send(response);
@@ -272,7 +279,106 @@ async function del(req, res) {
   }
 }
 
+/**
+ * Send the diagnostics of testing the connection to a provider
+ *
+ * @param {Object} params
+ * @param {Object} params.apiProvider - API provider to test
+ * @param {Object} params.body - request body, with the optional `path` to list
+ *   and `filePath` of a file to get the size of
+ * @param {Function} params.testProviderConnectionMethod - function testing the
+ *   connection
+ * @param {Object} params.res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function sendProviderConnectionDiagnostics({
+  apiProvider,
+  body,
+  testProviderConnectionMethod,
+  res,
+}) {
+  let diagnostics;
+  try {
+    diagnostics = await testProviderConnectionMethod({
+      provider: apiProvider,
+      path: body.path,
+      filePath: body.filePath,
+    });
+  } catch (error) {
+    return res.boom.badRequest(`Cannot test provider ${apiProvider.id}: ${error.message}`);
+  }
+  return res.send(diagnostics);
+}
+
+/**
+ * Test the connection to an existing provider by connecting to it, listing a
+ * path and optionally getting the size of a file, without starting a workflow
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function testConnection(req, res) {
+  const {
+    providerPgModel = new ProviderPgModel(),
+    knex = await getKnexClient(),
+    testProviderConnectionMethod = testProviderConnection,
+  } = req.testContext || {};
+
+  const { id } = req.params;
+  let apiProvider;
+  try {
+    apiProvider = translatePostgresProviderToApiProvider(
+      await providerPgModel.get(knex, { name: id })
+    );
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) return res.boom.notFound(`Provider ${id} not found.`);
+    throw error;
+  }
+
+  return await sendProviderConnectionDiagnostics({
+    apiProvider,
+    body: req.body || {},
+    testProviderConnectionMethod,
+    res,
+  });
+}
+
+/**
+ * Test the connection to a provider that has not been saved, given as the
+ * `provider` of the request body
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function testUnsavedConnection(req, res) {
+  const {
+    testProviderConnectionMethod = testProviderConnection,
+  } = req.testContext || {};
+
+  const body = req.body || {};
+  const apiProvider = body.provider;
+  if (!apiProvider || !apiProvider.protocol || !apiProvider.host) {
+    return res.boom.badRequest('Testing a provider requires a provider with a protocol and host');
+  }
+  try {
+    validateProviderHost(apiProvider.host);
+  } catch (error) {
+    return res.boom.badRequest(error.detail || error.message);
+  }
+
+  return await sendProviderConnectionDiagnostics({
+    apiProvider,
+    body,
+    testProviderConnectionMethod,
+    res,
+  });
+}
+
 // express routes
+router.post('/test', testUnsavedConnection);
+router.post('/:id/test', testConnection);
 router.get('/:id', get);
 router.put('/:id', put);
 router.delete('/:id', del);
@@ -284,4 +390,6 @@ module.exports = {
   post,
   put,
   router,
+  testConnection,
+  testUnsavedConnection,
 };
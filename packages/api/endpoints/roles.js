@@ -0,0 +1,179 @@
+'use strict';
+
+const router = require('express-promise-router')();
+
+const {
+  getApiRoleAssignments,
+  getKnexClient,
+  CollectionPgModel,
+  ProviderPgModel,
+  RoleAssignmentPgModel,
+  translateApiRoleAssignmentToPostgresRoleAssignment,
+  translatePostgresRoleAssignmentToApiRoleAssignment,
+} = require('@cumulus/db');
+const { RecordDoesNotExist } = require('@cumulus/errors');
+const { deconstructCollectionId } = require('@cumulus/message/Collections');
+
+const { isValidRole, roles } = require('../app/rbac');
+
+/**
+ * List role assignments, optionally filtered by username
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function list(req, res) {
+  const {
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+
+  const results = await getApiRoleAssignments(knex, { username: req.query.username });
+  return res.send({
+    meta: {
+      name: 'cumulus-api',
+      stack: process.env.stackName,
+      table: 'role_assignments',
+      count: results.length,
+    },
+    results,
+  });
+}
+
+/**
+ * Get the role assignments of a user
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function get(req, res) {
+  const {
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+
+  const { username } = req.params;
+  const roleAssignments = await getApiRoleAssignments(knex, { username });
+  if (roleAssignments.length === 0) {
+    return res.boom.notFound(`No role assignments found for user ${username}`);
+  }
+  return res.send(roleAssignments);
+}
+
+/**
+ * Assign a role to a user, optionally scoped to a collection and/or provider.
+ * If the user already has a role for the same scope, the role is replaced.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function post(req, res) {
+  const {
+    knex = await getKnexClient(),
+    roleAssignmentPgModel = new RoleAssignmentPgModel(),
+    collectionPgModel = new CollectionPgModel(),
+    providerPgModel = new ProviderPgModel(),
+  } = req.testContext || {};
+
+  const apiRoleAssignment = req.body || {};
+  if (!apiRoleAssignment.username) {
+    return res.boom.badRequest('Role assignments require a username');
+  }
+  if (!isValidRole(apiRoleAssignment.role)) {
+    return res.boom.badRequest(
+      `Role assignments require a role of ${roles.join(', ')}, received ${apiRoleAssignment.role}`
+    );
+  }
+
+  let pgRoleAssignment;
+  try {
+    pgRoleAssignment = await translateApiRoleAssignmentToPostgresRoleAssignment(
+      apiRoleAssignment,
+      knex,
+      collectionPgModel,
+      providerPgModel
+    );
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.badRequest(
+        `Role assignment scope does not exist: ${JSON.stringify({
+          collectionId: apiRoleAssignment.collectionId,
+          provider: apiRoleAssignment.provider,
+        })}`
+      );
+    }
+    throw error;
+  }
+
+  const [record] = await roleAssignmentPgModel.upsert(knex, pgRoleAssignment);
+  return res.send({
+    record: await translatePostgresRoleAssignmentToApiRoleAssignment(
+      record,
+      knex,
+      collectionPgModel,
+      providerPgModel
+    ),
+    message: 'Record saved',
+  });
+}
+
+/**
+ * Delete a role assignment of a user. The scope of the role assignment is
+ * given by the `collectionId` and `provider` query string parameters.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function del(req, res) {
+  const {
+    knex = await getKnexClient(),
+    roleAssignmentPgModel = new RoleAssignmentPgModel(),
+    collectionPgModel = new CollectionPgModel(),
+    providerPgModel = new ProviderPgModel(),
+  } = req.testContext || {};
+
+  const { username } = req.params;
+  const { collectionId, provider } = req.query;
+
+  // Unscoped role assignments have null scope columns
+  /* eslint-disable unicorn/no-null */
+  let params;
+  try {
+    params = {
+      username,
+      collection_cumulus_id: collectionId
+        ? await collectionPgModel.getRecordCumulusId(knex, deconstructCollectionId(collectionId))
+        : null,
+      provider_cumulus_id: provider
+        ? await providerPgModel.getRecordCumulusId(knex, { name: provider })
+        : null,
+    };
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound('No record found');
+    }
+    throw error;
+  }
+  /* eslint-enable unicorn/no-null */
+
+  const deletedCount = await roleAssignmentPgModel.delete(knex, params);
+  if (deletedCount === 0) {
+    return res.boom.notFound('No record found');
+  }
+  return res.send({ message: 'Record deleted' });
+}
+
+router.get('/', list);
+router.get('/:username', get);
+router.post('/', post);
+router.delete('/:username', del);
+
+module.exports = {
+  del,
+  get,
+  list,
+  post,
+  router,
+};
@@ -2,13 +2,15 @@
 
 const router = require('express-promise-router')();
 
-const { RecordDoesNotExist } = require('@cumulus/errors');
+const { getSecretString } = require('@cumulus/aws-client/SecretsManager');
+const { RecordDoesNotExist, ValidationError } = require('@cumulus/errors');
 const Logger = require('@cumulus/logger');
 const {
   createRejectableTransaction,
   getKnexClient,
   isCollisionError,
   RulePgModel,
+  RuleSearch,
   translateApiRuleToPostgresRule,
   translateApiRuleToPostgresRuleRaw,
   translatePostgresRuleToApiRule,
@@ -17,6 +19,14 @@ const { Search } = require('@cumulus/es-client/search');
 const { indexRule, deleteRule } = require('@cumulus/es-client/indexer');
 
 const { isBadRequestError } = require('../lib/errors');
+const {
+  isHttpRuleRequestAuthorized,
+  isHttpRuleSecretId,
+  validateHttpRulePayload,
+} = require('../lib/httpRuleHelpers');
+const { evaluateRuleFilter } = require('../lib/ruleFilterHelpers');
+const { queueMessageForRule } = require('../lib/rulesHelpers');
+const { usePostgresSearch } = require('../lib/search');
 const models = require('../models');
 
 const log = new Logger({ sender: '@cumulus/api/rules' });
@@ -29,11 +39,15 @@ const log = new Logger({ sender: '@cumulus/api/rules' });
  * @returns {Promise<Object>} the promise of express response object
  */
 async function list(req, res) {
-  const search = new Search(
-    { queryStringParameters: req.query },
-    'rule',
-    process.env.ES_INDEX
-  );
+  let search;
+  try {
+    search = usePostgresSearch('rules')
+      ? new RuleSearch({ queryStringParameters: req.query })
+      : new Search({ queryStringParameters: req.query }, 'rule', process.env.ES_INDEX);
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
   const response = await search.query();
   return res.send(response);
 }
@@ -268,10 +282,125 @@ async function del(req, res) {
   return res.send({ message: 'Record deleted' });
 }
 
+/**
+ * Trigger an http rule, queueing its workflow with the body of the request as
+ * payload. The request is authenticated with the secret of the rule, as
+ * described by `isHttpRuleRequestAuthorized`.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object, which is
+ *    a Not Found (404) if there is no http rule with the specified name, an
+ *    Unauthorized (401) if the request is not authenticated, a Conflict (409)
+ *    if the rule is disabled or its secret may not be read, or a Bad Request
+ *    (400) if the request has no JSON body or its body does not match the
+ *    payload schema of the rule
+ */
+async function trigger(req, res) {
+  const {
+    rulePgModel = new RulePgModel(),
+    knex = await getKnexClient(),
+    getSecretStringMethod = getSecretString,
+    queueMessageForRuleMethod = queueMessageForRule,
+  } = req.testContext || {};
+
+  const { name } = req.params;
+
+  // The raw body, which signed requests are verified against, is only kept
+  // for JSON bodies
+  if (!req.rawBody) {
+    return res.boom.badRequest('Requests triggering a rule require a JSON body with the application/json content type');
+  }
+
+  let rule;
+  try {
+    rule = await translatePostgresRuleToApiRule(await rulePgModel.get(knex, { name }), knex);
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound(`Rule '${name}' not found`);
+    }
+    throw error;
+  }
+  // Rules of other types are hidden from unauthenticated requests
+  if (rule.rule.type !== 'http') {
+    return res.boom.notFound(`Rule '${name}' not found`);
+  }
+
+  // Rules created before their secrets were validated may refer to secrets
+  // the API is not permitted to read
+  if (!isHttpRuleSecretId(rule.rule.value)) {
+    return res.boom.conflict(`The secret of rule '${name}' is not named ${process.env.stackName}-rule-*, update the rule to use such a secret`);
+  }
+
+  const secret = await getSecretStringMethod(rule.rule.value);
+  const authorized = isHttpRuleRequestAuthorized({
+    rule,
+    secret,
+    headers: req.headers,
+    body: req.rawBody.toString(),
+  });
+  if (!authorized) {
+    return res.boom.unauthorized(`Invalid secret or signature for rule '${name}'`);
+  }
+
+  if (rule.state !== 'ENABLED') {
+    return res.boom.conflict(`Rule '${name}' is disabled`);
+  }
+
+  try {
+    validateHttpRulePayload(rule, req.body);
+  } catch (error) {
+    if (error instanceof ValidationError) return res.boom.badRequest(error.message);
+    throw error;
+  }
+
+  await queueMessageForRuleMethod(rule, req.body);
+  log.info(`Queued workflow ${rule.workflow} of rule ${name}`);
+  return res.status(202).send({ message: `Queued workflow ${rule.workflow} of rule ${name}` });
+}
+
+/**
+ * Test the filter expression of a rule against an example message
+ *
+ * @param {Object} req - express request object
+ * @param {string} req.params.name - name of the rule
+ * @param {Object} req.body - example message
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object, with
+ *    whether the rule `accepted` the message and the `result` of the filter
+ *    expression, or a Bad Request (400) if the filter expression fails to be
+ *    evaluated
+ */
+async function testFilter(req, res) {
+  const {
+    rulePgModel = new RulePgModel(),
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+
+  const { name } = req.params;
+
+  let rule;
+  try {
+    rule = await translatePostgresRuleToApiRule(await rulePgModel.get(knex, { name }), knex);
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound(`Rule '${name}' not found`);
+    }
+    throw error;
+  }
+
+  try {
+    return res.send(evaluateRuleFilter(rule, req.body));
+  } catch (error) {
+    return res.boom.badRequest(`Failed to evaluate the filter expression of rule '${name}': ${error.message}`);
+  }
+}
+
 router.get('/:name', get);
 router.get('/', list);
 router.put('/:name', put);
 router.post('/', post);
+router.post('/:name/testFilter', testFilter);
 router.delete('/:name', del);
 
 module.exports = {
@@ -279,4 +408,6 @@ module.exports = {
   post,
   put,
   del,
+  testFilter,
+  trigger,
 };
@@ -0,0 +1,362 @@
+'use strict';
+
+const crypto = require('crypto');
+const router = require('express-promise-router')();
+const isUndefined = require('lodash/isUndefined');
+const omitBy = require('lodash/omitBy');
+const uuidv4 = require('uuid/v4');
+
+const {
+  getApiSubscriptions,
+  getKnexClient,
+  CollectionPgModel,
+  ProviderPgModel,
+  SubscriptionDeliveryPgModel,
+  SubscriptionPgModel,
+  translateApiSubscriptionToPostgresSubscription,
+  translatePostgresSubscriptionDeliveryToApiSubscriptionDelivery,
+} = require('@cumulus/db');
+const { RecordDoesNotExist } = require('@cumulus/errors');
+
+const { attemptDelivery, deliveryLeaseMs } = require('../lib/subscriptions');
+
+const recordTypes = ['granule', 'execution', 'pdr'];
+const deliveryStatuses = ['pending', 'succeeded', 'dead_letter'];
+
+/**
+ * Get the reason an API subscription is invalid
+ *
+ * @param {Object} subscription - API subscription
+ * @returns {string | undefined} the reason, or undefined if the subscription
+ *   is valid
+ */
+const getSubscriptionError = (subscription) => {
+  if (!subscription.name) return 'Subscriptions require a name';
+
+  let url;
+  try {
+    url = new URL(subscription.url);
+  } catch (error) {
+    return `Subscriptions require a valid URL, received ${subscription.url}`;
+  }
+  if (url.protocol !== 'https:') {
+    return `Subscriptions require an HTTPS URL, received ${subscription.url}`;
+  }
+
+  const types = subscription.recordTypes;
+  if (!Array.isArray(types) || types.length === 0
+    || !types.every((type) => recordTypes.includes(type))) {
+    return `Subscriptions require recordTypes of ${recordTypes.join(', ')}, received ${JSON.stringify(types)}`;
+  }
+  if (subscription.statuses !== undefined && !Array.isArray(subscription.statuses)) {
+    return `Subscription statuses must be a list, received ${JSON.stringify(subscription.statuses)}`;
+  }
+  return undefined;
+};
+
+/**
+ * Translate an API subscription to a Postgres subscription, sending a 400
+ * response if it is invalid or its collection or provider does not exist
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @param {Object} apiSubscription - API subscription
+ * @returns {Promise<Object | undefined>} the Postgres subscription, or
+ *   undefined if a response was sent
+ */
+const translateSubscriptionOrRespond = async (req, res, apiSubscription) => {
+  const {
+    knex,
+    collectionPgModel = new CollectionPgModel(),
+    providerPgModel = new ProviderPgModel(),
+    encryptMethod,
+  } = req.testContext || {};
+
+  const error = getSubscriptionError(apiSubscription);
+  if (error) {
+    res.boom.badRequest(error);
+    return undefined;
+  }
+
+  try {
+    return omitBy(
+      await translateApiSubscriptionToPostgresSubscription(
+        apiSubscription,
+        knex || await getKnexClient(),
+        collectionPgModel,
+        providerPgModel,
+        encryptMethod
+      ),
+      isUndefined
+    );
+  } catch (translateError) {
+    if (translateError instanceof RecordDoesNotExist) {
+      res.boom.badRequest(
+        `Subscription filter does not exist: ${JSON.stringify({
+          collectionId: apiSubscription.collectionId,
+          provider: apiSubscription.provider,
+        })}`
+      );
+      return undefined;
+    }
+    throw translateError;
+  }
+};
+
+/**
+ * List subscriptions
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function list(req, res) {
+  const {
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+
+  const results = await getApiSubscriptions(knex);
+  return res.send({
+    meta: {
+      name: 'cumulus-api',
+      stack: process.env.stackName,
+      table: 'subscriptions',
+      count: results.length,
+    },
+    results,
+  });
+}
+
+/**
+ * Get a subscription
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function get(req, res) {
+  const {
+    knex = await getKnexClient(),
+  } = req.testContext || {};
+
+  const { name } = req.params;
+  const [subscription] = await getApiSubscriptions(knex, { name });
+  if (!subscription) {
+    return res.boom.notFound(`No record found for ${name}`);
+  }
+  return res.send(subscription);
+}
+
+/**
+ * Create a subscription. If the request has no secret, a secret is
+ * generated. The secret is only returned in the response to this request.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function post(req, res) {
+  const {
+    knex = await getKnexClient(),
+    subscriptionPgModel = new SubscriptionPgModel(),
+  } = req.testContext || {};
+
+  const secret = (req.body && req.body.secret) || crypto.randomBytes(32).toString('hex');
+  const apiSubscription = { ...req.body, secret };
+
+  if (apiSubscription.name
+    && await subscriptionPgModel.exists(knex, { name: apiSubscription.name })) {
+    return res.boom.conflict(`A record already exists for ${apiSubscription.name}`);
+  }
+
+  const pgSubscription = await translateSubscriptionOrRespond(req, res, apiSubscription);
+  if (!pgSubscription) return res;
+
+  await subscriptionPgModel.create(knex, pgSubscription);
+  const [record] = await getApiSubscriptions(knex, { name: apiSubscription.name });
+  return res.send({
+    record: { ...record, secret },
+    message: 'Record saved',
+  });
+}
+
+/**
+ * Replace a subscription. The secret of the subscription is only changed if
+ * the request has a secret.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function put(req, res) {
+  const {
+    knex = await getKnexClient(),
+    subscriptionPgModel = new SubscriptionPgModel(),
+  } = req.testContext || {};
+
+  const { name } = req.params;
+  const apiSubscription = req.body || {};
+  if (apiSubscription.name !== name) {
+    return res.boom.badRequest(
+      `Expected subscription name to be '${name}', but found '${apiSubscription.name}' in payload`
+    );
+  }
+  if (!await subscriptionPgModel.exists(knex, { name })) {
+    return res.boom.notFound(`Subscription '${name}' not found`);
+  }
+
+  const pgSubscription = await translateSubscriptionOrRespond(req, res, apiSubscription);
+  if (!pgSubscription) return res;
+
+  await subscriptionPgModel.update(
+    knex,
+    { name },
+    // Unset filters are cleared, and subscriptions are enabled unless disabled
+    { enabled: true, ...pgSubscription, updated_at: new Date() }
+  );
+  const [record] = await getApiSubscriptions(knex, { name });
+  return res.send(record);
+}
+
+/**
+ * Delete a subscription and its deliveries
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function del(req, res) {
+  const {
+    knex = await getKnexClient(),
+    subscriptionPgModel = new SubscriptionPgModel(),
+  } = req.testContext || {};
+
+  const deletedCount = await subscriptionPgModel.delete(knex, { name: req.params.name });
+  if (deletedCount === 0) {
+    return res.boom.notFound('No record found');
+  }
+  return res.send({ message: 'Record deleted' });
+}
+
+/**
+ * List the deliveries of a subscription, newest first, optionally filtered
+ * by status
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function listDeliveries(req, res) {
+  const {
+    knex = await getKnexClient(),
+    subscriptionPgModel = new SubscriptionPgModel(),
+    subscriptionDeliveryPgModel = new SubscriptionDeliveryPgModel(),
+  } = req.testContext || {};
+
+  const { name } = req.params;
+  const { status, limit = 100 } = req.query;
+  if (status && !deliveryStatuses.includes(status)) {
+    return res.boom.badRequest(
+      `Delivery status must be one of ${deliveryStatuses.join(', ')}, received ${status}`
+    );
+  }
+
+  let subscription;
+  try {
+    subscription = await subscriptionPgModel.get(knex, { name });
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound(`No record found for ${name}`);
+    }
+    throw error;
+  }
+
+  const deliveries = await subscriptionDeliveryPgModel.listDeliveries(
+    knex,
+    subscription.cumulus_id,
+    { status, limit: Number(limit) }
+  );
+  const results = deliveries.map(
+    (delivery) => translatePostgresSubscriptionDeliveryToApiSubscriptionDelivery(delivery, name)
+  );
+  return res.send({
+    meta: {
+      name: 'cumulus-api',
+      stack: process.env.stackName,
+      table: 'subscription_deliveries',
+      count: results.length,
+    },
+    results,
+  });
+}
+
+/**
+ * Redeliver a delivery of a subscription, e.g. a dead-lettered delivery once
+ * its endpoint is fixed. The redelivery is a new delivery of the same event,
+ * which is attempted immediately and retried like any other delivery.
+ *
+ * @param {Object} req - express request object
+ * @param {Object} res - express response object
+ * @returns {Promise<Object>} the promise of express response object
+ */
+async function redeliver(req, res) {
+  const {
+    knex = await getKnexClient(),
+    subscriptionPgModel = new SubscriptionPgModel(),
+    subscriptionDeliveryPgModel = new SubscriptionDeliveryPgModel(),
+    attemptDeliveryMethod = attemptDelivery,
+  } = req.testContext || {};
+
+  const { name, deliveryId } = req.params;
+  let subscription;
+  let delivery;
+  try {
+    subscription = await subscriptionPgModel.get(knex, { name });
+    delivery = await subscriptionDeliveryPgModel.get(knex, {
+      subscription_cumulus_id: subscription.cumulus_id,
+      delivery_id: deliveryId,
+    });
+  } catch (error) {
+    if (error instanceof RecordDoesNotExist) {
+      return res.boom.notFound(`No delivery ${deliveryId} found for ${name}`);
+    }
+    throw error;
+  }
+
+  const [redelivery] = await subscriptionDeliveryPgModel.create(
+    knex,
+    {
+      subscription_cumulus_id: subscription.cumulus_id,
+      delivery_id: uuidv4(),
+      record_type: delivery.record_type,
+      record_id: delivery.record_id,
+      event_type: delivery.event_type,
+      payload: delivery.payload,
+      next_attempt_at: new Date(Date.now() + deliveryLeaseMs),
+    },
+    '*'
+  );
+  const attempted = await attemptDeliveryMethod({ knex, delivery: redelivery, subscription });
+  return res.send(
+    translatePostgresSubscriptionDeliveryToApiSubscriptionDelivery(attempted, name)
+  );
+}
+
+router.get('/', list);
+router.get('/:name', get);
+router.get('/:name/deliveries', listDeliveries);
+router.post('/', post);
+router.post('/:name/deliveries/:deliveryId/redeliver', redeliver);
+router.put('/:name', put);
+router.delete('/:name', del);
+
+module.exports = {
+  del,
+  get,
+  list,
+  listDeliveries,
+  post,
+  put,
+  redeliver,
+  router,
+};
@@ -1,6 +1,17 @@
 const get = require('lodash/get');
 const pMap = require('p-map');
 
+const { getJsonS3Object } = require('@cumulus/aws-client/S3');
+const {
+  getCmrSettings,
+  getS3UrlOfFile,
+  isCMRFile,
+  metadataObjectFromCMRFile,
+  publish2CMR,
+  reconcileCMRMetadata,
+} = require('@cumulus/cmrjs/cmr-utils');
+const { getBucketsConfigKey } = require('@cumulus/common/stack');
+const { fetchDistributionBucketMap } = require('@cumulus/distribution-utils');
 const Logger = require('@cumulus/logger');
 const {
   GranulePgModel,
@@ -15,7 +26,11 @@ const GranuleModel = require('../models/granules');
 const { deleteGranuleAndFiles } = require('../src/lib/granule-delete');
 const { unpublishGranule } = require('../lib/granule-remove-from-cmr');
 const { updateGranuleStatusToQueued } = require('../lib/writeRecords/write-granules');
-const { getGranuleIdsForPayload } = require('../lib/granules');
+const {
+  getGranuleIdsForDatabaseQuery,
+  getGranuleIdsForPayload,
+} = require('../lib/granules');
+const { buildRateLimiter } = require('../lib/utils');
 const { reingestGranule, applyWorkflow } = require('../lib/ingest');
 
 const log = new Logger({ sender: '@cumulus/bulk-operation' });
@@ -68,6 +83,8 @@ async function applyWorkflowToGranules({
  * @param {Object} payload
  * @param {boolean} [payload.forceRemoveFromCmr]
  *   Whether published granule should be deleted from CMR before removal
+ * @param {Object} [payload.granuleQuery] - Optional PostgreSQL granule search
+ * parameters, see `getGranuleIdsForDatabaseQuery`
  * @param {Object} [payload.query] - Optional parameter of query to send to ES
  * @param {string} [payload.index] - Optional parameter of ES index to query.
  * Must exist if payload.query exists.
@@ -82,8 +99,8 @@ async function bulkGranuleDelete(
 ) {
   const deletedGranules = [];
   const forceRemoveFromCmr = payload.forceRemoveFromCmr === true;
-  const granuleIds = await getGranuleIdsForPayload(payload);
   const knex = await getKnexClient();
+  const granuleIds = await getGranuleIdsForPayload(payload, knex);
 
   await pMap(
     granuleIds,
@@ -137,6 +154,8 @@ async function bulkGranuleDelete(
  * @param {string} payload.workflowName - name of the workflow that will be applied to each granule.
  * @param {Object} [payload.meta] - Optional meta to add to workflow input
  * @param {string} [payload.queueUrl] - Optional name of queue that will be used to start workflows
+ * @param {Object} [payload.granuleQuery] - Optional PostgreSQL granule search
+ * parameters, see `getGranuleIdsForDatabaseQuery`
  * @param {Object} [payload.query] - Optional parameter of query to send to ES
  * @param {string} [payload.index] - Optional parameter of ES index to query.
  * Must exist if payload.query exists.
@@ -147,7 +166,7 @@ async function bulkGranuleDelete(
 async function bulkGranule(payload, applyWorkflowHandler) {
   const knex = await getKnexClient();
   const { queueUrl, workflowName, meta } = payload;
-  const granuleIds = await getGranuleIdsForPayload(payload);
+  const granuleIds = await getGranuleIdsForPayload(payload, knex);
   return await applyWorkflowToGranules({
     knex,
     granuleIds,
@@ -162,9 +181,9 @@ async function bulkGranuleReingest(
   payload,
   reingestHandler = reingestGranule
 ) {
-  const granuleIds = await getGranuleIdsForPayload(payload);
-  log.info(`Starting bulkGranuleReingest for ${JSON.stringify(granuleIds)}`);
   const knex = await getKnexClient();
+  const granuleIds = await getGranuleIdsForPayload(payload, knex);
+  log.info(`Starting bulkGranuleReingest for ${JSON.stringify(granuleIds)}`);
 
   const workflowName = payload.workflowName;
   return await pMap(
@@ -200,6 +219,184 @@ async function bulkGranuleReingest(
   );
 }
 
+/**
+ * Get the IDs of the granules of a bulk CMR update, from either the
+ * collection, the list of granule IDs, the PostgreSQL granule query or the ES
+ * query of the payload
+ *
+ * @param {Knex} knex - DB client
+ * @param {Object} payload - bulk CMR update payload
+ * @returns {Promise<string[]>} the granule IDs
+ */
+async function getGranuleIdsForCmrUpdate(knex, payload) {
+  if (!payload.collectionId) {
+    return await getGranuleIdsForPayload(payload, knex);
+  }
+  return await getGranuleIdsForDatabaseQuery(knex, { collectionIds: payload.collectionId });
+}
+
+/**
+ * Get the map of bucket names to bucket types of the buckets config of the
+ * stack
+ *
+ * @returns {Promise<Object>} the map of bucket names to bucket types
+ */
+async function getBucketTypes() {
+  const bucketsConfig = await getJsonS3Object(
+    process.env.system_bucket,
+    getBucketsConfigKey(process.env.stackName)
+  );
+  return Object.fromEntries(
+    Object.values(bucketsConfig).map(({ name, type }) => [name, type])
+  );
+}
+
+/**
+ * Update the URLs of the CMR metadata file of a granule. The file is only
+ * rewritten if its metadata changed, and then republished if the granule is
+ * published.
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {string} params.granuleId - granule ID
+ * @param {Function} params.waitForPublish - rate limiter of CMR publishes
+ * @param {Object} params.cmrSettings - CMR settings used to publish
+ * @param {Object} params.reconcileParams - parameters passed to
+ *   `reconcileCMRMetadata`
+ * @param {Object} params.methods - `reconcileCMRMetadata`,
+ *   `metadataObjectFromCMRFile` and `publish2CMR` implementations
+ * @returns {Promise<Object>} the `status` of the update, `updated` or
+ *   `skipped`, and the `reason` a granule was skipped
+ */
+async function updateGranuleCmrMetadata({
+  knex,
+  granuleId,
+  waitForPublish,
+  cmrSettings,
+  reconcileParams,
+  methods,
+}) {
+  const pgGranule = await getUniqueGranuleByGranuleId(knex, granuleId);
+  const granule = await translatePostgresGranuleToApiGranule({
+    granulePgRecord: pgGranule,
+    knexOrTransaction: knex,
+  });
+
+  const cmrFiles = (granule.files || []).filter(isCMRFile);
+  if (cmrFiles.length !== 1) {
+    return {
+      status: 'skipped',
+      reason: `Granule has ${cmrFiles.length} CMR metadata files, expected 1`,
+    };
+  }
+
+  const { etag, updated } = await methods.reconcileCMRMetadata({
+    ...reconcileParams,
+    granuleId,
+    updatedFiles: granule.files,
+    published: false,
+    skipUnchanged: true,
+  });
+  if (!updated) {
+    return { status: 'skipped', reason: 'CMR metadata is unchanged' };
+  }
+
+  if (granule.published) {
+    const filename = getS3UrlOfFile(cmrFiles[0]);
+    const metadataObject = await methods.metadataObjectFromCMRFile(filename, etag);
+    await waitForPublish();
+    await methods.publish2CMR({ filename, metadataObject, granuleId }, cmrSettings);
+  }
+  return { status: 'updated' };
+}
+
+/**
+ * Bulk update the URLs of the CMR metadata of granules, e.g. after the
+ * distribution endpoint or the distribution bucket map changed, for either a
+ * collection, a list of granules (IDs) or the query response from ES using the
+ * provided query and index. The metadata of published granules is
+ * republished if it changed.
+ *
+ * @param {Object} payload
+ * @param {string} [payload.collectionId] - Optional collection whose granules
+ * are updated
+ * @param {Object} [payload.ids] - Optional list of granule IDs to bulk operate on
+ * @param {Object} [payload.granuleQuery] - Optional PostgreSQL granule search
+ * parameters, see `getGranuleIdsForDatabaseQuery`
+ * @param {Object} [payload.query] - Optional parameter of query to send to ES
+ * @param {string} [payload.index] - Optional parameter of ES index to query.
+ * Must exist if payload.query exists.
+ * @param {string} [payload.distEndpoint] - Optional distribution endpoint,
+ * defaults to the distribution endpoint of the stack
+ * @param {Object} [payload.distributionBucketMap] - Optional distribution
+ * bucket map, defaults to the distribution bucket map of the stack
+ * @param {string} [payload.cmrGranuleUrlType] - Optional type of granule CMR
+ * URLs, defaults to `both`
+ * @param {number} [payload.concurrency] - Optional number of granules updated
+ * concurrently, defaults to 10
+ * @param {number} [payload.publishRate] - Optional maximum number of CMR
+ * publishes per second, defaults to 5
+ * @param {Object} [overrides] - Optional overrides of the bucket types, CMR
+ * settings and CMR methods. Useful for testing.
+ * @returns {Promise<Object>} the `updated` granule IDs, and the `skipped` and
+ * `failed` granules with the reason they were skipped or the error they
+ * failed with
+ */
+async function bulkGranuleCmrUpdate(payload, overrides = {}) {
+  const knex = await getKnexClient();
+  const granuleIds = await getGranuleIdsForCmrUpdate(knex, payload);
+  log.info(`Starting bulkGranuleCmrUpdate for ${granuleIds.length} granules`);
+
+  const reconcileParams = {
+    distEndpoint: payload.distEndpoint || process.env.DISTRIBUTION_ENDPOINT,
+    distributionBucketMap: payload.distributionBucketMap
+      || await fetchDistributionBucketMap(),
+    bucketTypes: overrides.bucketTypes || await getBucketTypes(),
+    cmrGranuleUrlType: payload.cmrGranuleUrlType || 'both',
+  };
+  const cmrSettings = overrides.cmrSettings || await getCmrSettings();
+  const methods = {
+    reconcileCMRMetadata,
+    metadataObjectFromCMRFile,
+    publish2CMR,
+    ...overrides.methods,
+  };
+  const waitForPublish = buildRateLimiter(payload.publishRate || 5);
+
+  const updated = [];
+  const skipped = [];
+  const failed = [];
+  await pMap(
+    granuleIds,
+    async (granuleId) => {
+      try {
+        const { status, reason } = await updateGranuleCmrMetadata({
+          knex,
+          granuleId,
+          waitForPublish,
+          cmrSettings,
+          reconcileParams,
+          methods,
+        });
+        if (status === 'updated') {
+          updated.push(granuleId);
+        } else {
+          skipped.push({ granuleId, reason });
+        }
+      } catch (error) {
+        log.error(`Granule ${granuleId} encountered an error`, error);
+        failed.push({ granuleId, error: error.message });
+      }
+    },
+    {
+      concurrency: payload.concurrency || 10,
+      stopOnError: false,
+    }
+  );
+  log.info(`bulkGranuleCmrUpdate updated ${updated.length}, skipped ${skipped.length} and failed ${failed.length} granules`);
+  return { updated, skipped, failed };
+}
+
 function setEnvVarsForOperation(event) {
   const envVars = get(event, 'envVars', {});
   Object.keys(envVars).forEach((envVarKey) => {
@@ -221,12 +418,16 @@ async function handler(event) {
   if (event.type === 'BULK_GRANULE_REINGEST') {
     return await bulkGranuleReingest(event.payload, event.reingestHandler);
   }
+  if (event.type === 'BULK_GRANULE_CMR_UPDATE') {
+    return await bulkGranuleCmrUpdate(event.payload);
+  }
   // throw an appropriate error here
   throw new TypeError(`Type ${event.type} could not be matched, no operation attempted.`);
 }
 
 module.exports = {
   applyWorkflowToGranules,
+  bulkGranuleCmrUpdate,
   bulkGranuleDelete,
   handler,
 };
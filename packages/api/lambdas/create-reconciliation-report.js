@@ -20,6 +20,7 @@ const {
   getFilesAndGranuleInfoQuery,
   getKnexClient,
   QuerySearchClient,
+  TableNames,
 } = require('@cumulus/db');
 const { ESCollectionGranuleQueue } = require('@cumulus/es-client/esCollectionGranuleQueue');
 const Collection = require('@cumulus/es-client/collections');
@@ -185,14 +186,18 @@ async function createReconciliationReportForBucket(Bucket, recReportParams) {
   const query = getFilesAndGranuleInfoQuery({
     knex: recReportParams.knex,
     searchParams: { bucket: Bucket },
-    sortColumns: ['key'],
     granuleColumns: ['granule_id'],
     collectionIds: recReportParams.collectionIds,
     providers: recReportParams.providers,
     granuleIds: recReportParams.granuleIds,
   });
 
-  const pgFileSearchClient = new QuerySearchClient(query, 100);
+  const pgFileSearchClient = new QuerySearchClient(query, 100, {
+    keysetColumns: [
+      { column: `${TableNames.files}.key` },
+      { column: `${TableNames.files}.cumulus_id` },
+    ],
+  });
 
   log.info(`createReconciliationReportForBucket(S3 vs. PostgreSQL): ${Bucket}: ${JSON.stringify(recReportParams)}`);
   let okCount = 0;
@@ -0,0 +1,103 @@
+'use strict';
+
+const pEachSeries = require('p-each-series');
+
+const { getKnexClient } = require('@cumulus/db');
+const Logger = require('@cumulus/logger');
+
+const {
+  attemptDelivery,
+  enqueueDeliveries,
+  retryDueDeliveries,
+} = require('../lib/subscriptions');
+
+const log = new Logger({ sender: '@cumulus/api/lambdas/deliver-subscriptions' });
+
+/**
+ * Get the record type of the messages of an SNS topic
+ *
+ * @param {string} topicArn - ARN of the SNS topic
+ * @returns {string | undefined} `granule`, `execution` or `pdr`
+ */
+const getTopicRecordType = (topicArn) => {
+  const topicRecordTypes = {
+    [process.env.granule_sns_topic_arn]: 'granule',
+    [process.env.execution_sns_topic_arn]: 'execution',
+    [process.env.pdr_sns_topic_arn]: 'pdr',
+  };
+  return topicRecordTypes[topicArn];
+};
+
+/**
+ * Create and attempt the deliveries of the record status events published
+ * to the granule, execution and PDR SNS topics.
+ *
+ * The deliveries of all records are created in one transaction before any is
+ * attempted, so that SNS can retry the records if creating them fails without
+ * sending any delivery twice. Failing to attempt a delivery does not fail the
+ * others, the delivery is retried by the scheduled invocations once its claim
+ * expires.
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {Object[]} params.records - SNS event records
+ * @param {Object} [params.deliveryOptions] - options passed to `attemptDelivery`
+ * @returns {Promise<void>}
+ */
+const deliverSnsRecords = async ({ knex, records, ...deliveryOptions }) => {
+  const deliveries = [];
+  await knex.transaction(async (trx) => {
+    await pEachSeries(records, async ({ Sns: { TopicArn, Message } }) => {
+      const recordType = getTopicRecordType(TopicArn);
+      if (!recordType) {
+        log.warn(`Ignoring message from unexpected topic ${TopicArn}`);
+        return;
+      }
+
+      deliveries.push(...await enqueueDeliveries({
+        knex: trx,
+        recordType,
+        message: JSON.parse(Message),
+      }));
+    });
+  });
+
+  // Failed attempts are retried by the scheduled invocations
+  await Promise.all(deliveries.map(async ({ delivery, subscription }) => {
+    try {
+      await attemptDelivery({
+        knex,
+        delivery,
+        subscription,
+        ...deliveryOptions,
+      });
+    } catch (error) {
+      log.error(`Failed to attempt delivery ${delivery.delivery_id} to subscription ${subscription.name}`, error);
+    }
+  }));
+};
+
+/**
+ * Lambda handler delivering record status events to subscriptions. It is
+ * invoked by the granule, execution and PDR SNS topics to deliver new
+ * events, and on a schedule to retry failed deliveries.
+ *
+ * @param {Object} event - SNS or scheduled event
+ * @returns {Promise<void>}
+ */
+async function handler(event) {
+  const knex = await getKnexClient();
+
+  if (event.Records) {
+    await deliverSnsRecords({ knex, records: event.Records });
+  } else {
+    const deliveries = await retryDueDeliveries({ knex });
+    log.info(`Retried ${deliveries.length} subscription deliveries`);
+  }
+}
+
+module.exports = {
+  deliverSnsRecords,
+  getTopicRecordType,
+  handler,
+};
@@ -31,6 +31,7 @@ const {
   convertToESGranuleSearchParams,
   convertToDBGranuleSearchParams,
   filterDBCollections,
+  granuleKeysetColumns,
   initialReportHeader,
   compareEsGranuleAndApiGranule,
 } = require('../lib/reconciliationReport');
@@ -258,12 +259,12 @@ async function reportForGranulesByCollectionId(collectionId, recReportParams) {
   });
   const granulesSearchQuery = getGranulesByApiPropertiesQuery(
     recReportParams.knex,
-    searchParams,
-    ['collectionName', 'collectionVersion', 'granule_id']
+    searchParams
   );
   const pgGranulesSearchClient = new QuerySearchClient(
     granulesSearchQuery,
-    100 // arbitrary limit on how items are fetched at once
+    100, // arbitrary limit on how items are fetched at once
+    { keysetColumns: granuleKeysetColumns }
   );
 
   let okCount = 0;
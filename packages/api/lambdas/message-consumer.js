@@ -12,6 +12,12 @@ const {
   lookupCollectionInEvent,
   queueMessageForRule,
 } = require('../lib/rulesHelpers');
+const {
+  addRejectedMessageCounts,
+  partitionRulesByFilter,
+  publishRejectedMessageCounts,
+} = require('../lib/ruleFilterHelpers');
+const { s3RuleMatchesObject } = require('../lib/s3RuleHelpers');
 
 /**
  * `validateMessage` validates an event as being valid for creating a workflow.
@@ -97,10 +103,12 @@ async function handleProcessRecordError(error, record, fromSNS, isKinesisRetry)
  *        encountered will cause the record to be published to a fallback SNS
  *        topic for further attempts at processing.
  * @param {Array<Object>} enabledRules - Array of all enabled rules in Cumulus API
+ * @param {Object} [rejectedMessageCounts] - counts of messages rejected by the
+ *        filter expression of each rule, updated in place
  * @returns {[Promises]} Array of promises. Each promise is resolved when a
  * message is queued for all associated kinesis rules.
  */
-async function processRecord(record, fromSNS, enabledRules) {
+async function processRecord(record, fromSNS, enabledRules, rejectedMessageCounts = {}) {
   let eventObject;
   let isKinesisRetry = false;
   let parsed = record;
@@ -147,7 +155,11 @@ async function processRecord(record, fromSNS, enabledRules) {
 
   try {
     await validateMessage(eventObject, originalMessageSource, validationSchema);
-    const applicableRules = await filterRulesByRuleParams(enabledRules, ruleParams);
+    const [applicableRules, rejectingRules] = partitionRulesByFilter(
+      await filterRulesByRuleParams(enabledRules, ruleParams),
+      eventObject
+    );
+    addRejectedMessageCounts(rejectedMessageCounts, rejectingRules);
     return await Promise.all(applicableRules.map((rule) => {
       if (originalMessageSource === 'sns') set(rule, 'meta.snsSourceArn', ruleParams.sourceArn);
       return queueMessageForRule(rule, eventObject);
@@ -158,6 +170,34 @@ async function processRecord(record, fromSNS, enabledRules) {
   }
 }
 
+/**
+ * Process an S3 object created event. Queue a workflow message for each
+ * enabled s3 rule matching the bucket and key of the object, with the
+ * bucket, key, size and ETag of the object as the payload.
+ *
+ * @param {Object} record - S3 event notification record
+ * @param {Array<Object>} enabledRules - Array of all enabled rules in Cumulus API
+ * @returns {Promise<Array>} resolved when a message is queued for all
+ *   matching s3 rules
+ */
+async function processS3Record(record, enabledRules) {
+  const { bucket, object } = record.s3;
+  const eventObject = {
+    bucket: bucket.name,
+    // Object keys are URL encoded in S3 event notifications
+    key: decodeURIComponent(object.key.replace(/\+/g, ' ')),
+    size: object.size,
+    etag: object.eTag,
+  };
+  const applicableRules = enabledRules.filter(
+    (rule) => s3RuleMatchesObject(rule, eventObject.bucket, eventObject.key)
+  );
+  log.info(`Found ${applicableRules.length} s3 rules for s3://${eventObject.bucket}/${eventObject.key}`);
+  return await Promise.all(
+    applicableRules.map((rule) => queueMessageForRule(rule, eventObject))
+  );
+}
+
 /**
  * `handler` Looks up enabled 'kinesis'-type rules associated with the collection
  * in the event argument. It enqueues a message for each kinesis-type rule to trigger
@@ -171,12 +211,21 @@ async function processRecord(record, fromSNS, enabledRules) {
 function handler(event, context, cb) {
   const records = event.Records;
 
+  const rejectedMessageCounts = {};
+
   // fetch enabled rules from the API and cache in memory so we don't need a ton of DB connections
   return fetchEnabledRules()
     .then((rules) => Promise.all(records.map(
-      (record) => processRecord(record, (record.EventSource === 'aws:sns'), rules)
+      (record) => (
+        record.eventSource === 'aws:s3'
+          ? processS3Record(record, rules)
+          : processRecord(record, (record.EventSource === 'aws:sns'), rules, rejectedMessageCounts)
+      )
     )))
-    .then((results) => cb(null, results.filter((r) => r !== undefined)))
+    .then(async (results) => {
+      await publishRejectedMessageCounts(rejectedMessageCounts);
+      return cb(null, results.filter((r) => r !== undefined));
+    })
     .catch((error) => {
       cb(error);
     });
@@ -184,5 +233,6 @@ function handler(event, context, cb) {
 
 module.exports = {
   processRecord,
+  processS3Record,
   handler,
 };
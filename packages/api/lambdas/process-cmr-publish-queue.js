@@ -0,0 +1,263 @@
+'use strict';
+
+const get = require('lodash/get');
+const omit = require('lodash/omit');
+
+const { sqs } = require('@cumulus/aws-client/services');
+const { parseSQSMessageBody, sendSQSMessage } = require('@cumulus/aws-client/SQS');
+const {
+  getCmrSettings,
+  getS3UrlOfFile,
+  isCMRFile,
+  metadataObjectFromCMRFile,
+  publish2CMR,
+} = require('@cumulus/cmrjs/cmr-utils');
+const {
+  CollectionPgModel,
+  getKnexClient,
+  GranulePgModel,
+  translatePostgresGranuleToApiGranule,
+} = require('@cumulus/db');
+const { Consumer } = require('@cumulus/ingest/consumer');
+const Logger = require('@cumulus/logger');
+const { deconstructCollectionId } = require('@cumulus/message/Collections');
+
+const {
+  buildCmrProviderRateLimiters,
+  getMaxAttempts,
+  getRetryDelaySeconds,
+  isRetryableCmrError,
+} = require('../lib/cmrPublishQueue');
+const { unpublishGranule } = require('../lib/granule-remove-from-cmr');
+const { updateGranuleCmrPublishState } = require('../lib/writeRecords/write-granules');
+
+const log = new Logger({ sender: '@cumulus/api/lambdas/process-cmr-publish-queue' });
+
+// Time allowed to process a message received just before the time limit of an
+// invocation, which stays within the 300 second timeout of the Lambda
+const maxMessageProcessingSeconds = 60;
+
+/**
+ * Get a granule and the PostgreSQL records of the granule and its collection
+ *
+ * @param {Knex} knex - DB client
+ * @param {string} granuleId - ID of the granule
+ * @param {string} collectionId - ID of the collection of the granule
+ * @returns {Promise<Object>} the API `granule`, and the `pgGranule` and
+ *   `pgCollection` records
+ */
+const getGranule = async (knex, granuleId, collectionId) => {
+  const pgCollection = await new CollectionPgModel().get(
+    knex,
+    deconstructCollectionId(collectionId)
+  );
+  const pgGranule = await new GranulePgModel().get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: pgCollection.cumulus_id }
+  );
+  const granule = await translatePostgresGranuleToApiGranule({
+    granulePgRecord: pgGranule,
+    collectionPgRecord: pgCollection,
+    knexOrTransaction: knex,
+  });
+  return { granule, pgGranule, pgCollection };
+};
+
+/**
+ * Process a request of the CMR publish queue, i.e. publish the CMR metadata
+ * file of a granule to the CMR, or delete the granule from the CMR, and clear
+ * the CMR publish status of the granule
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {Object} params.request - the request, with its `action`,
+ *   `granuleId`, `collectionId` and `cmrProvider`
+ * @param {Object} params.cmrSettings - CMR settings of the CMR provider
+ * @param {Object} params.methods - `metadataObjectFromCMRFile`, `publish2CMR`,
+ *   `unpublishGranule` and `updateGranuleCmrPublishState` implementations
+ * @returns {Promise<Object>} the updated API granule
+ */
+const processCmrPublishRequest = async ({
+  knex,
+  request,
+  cmrSettings,
+  methods,
+}) => {
+  const { action, granuleId, collectionId } = request;
+  const { granule, pgGranule, pgCollection } = await getGranule(knex, granuleId, collectionId);
+
+  if (action === 'delete') {
+    // A granule whose publication never succeeded has nothing to delete
+    if (granule.published) {
+      await methods.unpublishGranule({ knex, pgGranuleRecord: pgGranule, pgCollection });
+    }
+    const unpublishedGranule = { ...omit(granule, 'cmrLink'), published: false };
+    await methods.updateGranuleCmrPublishState({
+      granule: unpublishedGranule,
+      knex,
+      cmrPublishStatus: null,
+      published: false,
+    });
+    return unpublishedGranule;
+  }
+
+  const cmrFiles = (granule.files || []).filter(isCMRFile);
+  if (cmrFiles.length !== 1) {
+    throw new Error(`Granule ${granuleId} has ${cmrFiles.length} CMR metadata files, expected 1`);
+  }
+  const filename = getS3UrlOfFile(cmrFiles[0]);
+  const metadataObject = await methods.metadataObjectFromCMRFile(filename);
+  const result = await methods.publish2CMR({ filename, metadataObject, granuleId }, cmrSettings);
+  log.info(`Published granule ${granuleId} to the CMR at ${result.link}`);
+
+  await methods.updateGranuleCmrPublishState({
+    granule,
+    knex,
+    cmrPublishStatus: null,
+    published: true,
+    cmrLink: result.link,
+  });
+  return { ...omit(granule, 'cmrPublishStatus'), published: true, cmrLink: result.link };
+};
+
+/**
+ * Give up on a CMR publish request: mark the CMR publish status of its
+ * granule as failed and move the request to the dead letter queue of the CMR
+ * publish queue, from which it may be replayed
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {Object} params.request - the request
+ * @param {Object} params.methods - `updateGranuleCmrPublishState` implementation
+ * @returns {Promise<void>}
+ */
+const failCmrPublishRequest = async ({ knex, request, methods }) => {
+  const { granuleId, collectionId } = request;
+  try {
+    const { granule } = await getGranule(knex, granuleId, collectionId);
+    await methods.updateGranuleCmrPublishState({ granule, knex, cmrPublishStatus: 'failed' });
+  } catch (error) {
+    log.error(`Failed to update the CMR publish status of granule ${granuleId} to failed`, error);
+  }
+  await sendSQSMessage(process.env.cmr_publish_dead_letter_queue_url, request);
+};
+
+/**
+ * Process a message of the CMR publish queue. Requests which failed because
+ * the CMR is throttling requests or is unavailable are retried with
+ * exponential backoff, by delaying the next receipt of the message, up to
+ * the maximum number of attempts. Requests which failed otherwise or ran out
+ * of attempts are moved to the dead letter queue.
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {string} params.queueUrl - URL of the CMR publish queue
+ * @param {Object} params.message - SQS message
+ * @param {Function} params.waitForRateLimit - rate limiter of the CMR
+ *   requests of each CMR provider
+ * @param {Function} params.getProviderCmrSettings - function returning the
+ *   CMR settings of a CMR provider
+ * @param {Object} params.methods - implementations passed to
+ *   `processCmrPublishRequest`
+ * @returns {Promise<void>}
+ * @throws {Error} if the request is retried, so that the message is kept
+ */
+const processCmrPublishMessage = async ({
+  knex,
+  queueUrl,
+  message,
+  waitForRateLimit,
+  getProviderCmrSettings,
+  methods,
+}) => {
+  const body = parseSQSMessageBody(message);
+  const request = {
+    ...body,
+    cmrProvider: body.cmrProvider || process.env.cmr_provider,
+  };
+  const attemptCount = Number(get(message, 'Attributes.ApproximateReceiveCount', 1));
+  const maxAttempts = getMaxAttempts();
+
+  try {
+    await waitForRateLimit(request.cmrProvider);
+    const cmrSettings = await getProviderCmrSettings(request.cmrProvider);
+    await processCmrPublishRequest({
+      knex,
+      request,
+      cmrSettings,
+      methods,
+    });
+  } catch (error) {
+    const description = `CMR ${request.action} of granule ${request.granuleId}`;
+    if (isRetryableCmrError(error) && attemptCount < maxAttempts) {
+      const retryDelaySeconds = getRetryDelaySeconds(attemptCount);
+      log.warn(`${description} failed on attempt ${attemptCount} of ${maxAttempts}, retrying in ${retryDelaySeconds} seconds: ${error.message}`);
+      await sqs().changeMessageVisibility({
+        QueueUrl: queueUrl,
+        ReceiptHandle: message.ReceiptHandle,
+        VisibilityTimeout: retryDelaySeconds,
+      }).promise();
+      throw error;
+    }
+
+    log.error(`${description} failed on attempt ${attemptCount} of ${maxAttempts}, moving it to the dead letter queue`, error);
+    await failCmrPublishRequest({ knex, request, methods });
+  }
+};
+
+/**
+ * Lambda handler processing the requests of the CMR publish queue. It is
+ * invoked on a schedule.
+ *
+ * @param {Object} [event] - scheduled event
+ * @param {number} [event.messageLimit] - maximum number of messages
+ *   processed, defaults to 100
+ * @param {number} [event.timeLimit] - time limit in seconds, defaults to 240
+ * @param {Object} [overrides] - Optional overrides of the CMR methods. Useful
+ *   for testing.
+ * @returns {Promise<number>} the number of processed messages
+ */
+async function handler(event = {}, overrides = {}) {
+  const knex = await getKnexClient();
+  const methods = {
+    metadataObjectFromCMRFile,
+    publish2CMR,
+    unpublishGranule,
+    updateGranuleCmrPublishState,
+    ...overrides.methods,
+  };
+  const waitForRateLimit = buildCmrProviderRateLimiters();
+  const cmrSettingsByProvider = {};
+  const getProviderCmrSettings = (cmrProvider) => {
+    if (!cmrSettingsByProvider[cmrProvider]) {
+      cmrSettingsByProvider[cmrProvider] = (overrides.getCmrSettings || getCmrSettings)({
+        provider: cmrProvider,
+      });
+    }
+    return cmrSettingsByProvider[cmrProvider];
+  };
+
+  // Received messages stay hidden from the next scheduled invocation until
+  // those received just before the time limit are processed
+  const timeLimit = event.timeLimit || 240;
+  const consumer = new Consumer({
+    queueUrl: process.env.cmr_publish_queue_url,
+    messageLimit: event.messageLimit || 100,
+    timeLimit,
+    visibilityTimeout: timeLimit + maxMessageProcessingSeconds,
+  });
+  return await consumer.consume((queueUrl, message) => processCmrPublishMessage({
+    knex,
+    queueUrl,
+    message,
+    waitForRateLimit,
+    getProviderCmrSettings,
+    methods,
+  }));
+}
+
+module.exports = {
+  handler,
+  processCmrPublishMessage,
+  processCmrPublishRequest,
+};
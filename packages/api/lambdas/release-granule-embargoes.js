@@ -0,0 +1,114 @@
+'use strict';
+
+const pMap = require('p-map');
+
+const {
+  getEmbargoedGranulesQuery,
+  getKnexClient,
+  translatePostgresGranuleResultToApiGranule,
+} = require('@cumulus/db');
+const Logger = require('@cumulus/logger');
+
+const { enqueueCmrPublishRequest } = require('../lib/cmrPublishQueue');
+const { updateGranuleCmrPublishState } = require('../lib/writeRecords/write-granules');
+
+const log = new Logger({ sender: '@cumulus/api/lambdas/release-granule-embargoes' });
+
+/**
+ * Release the embargo of a granule: queue the publication of the granule to
+ * the CMR publish queue, which updates its `published` and `cmrLink` once
+ * published, then clear its `publishAt` time and mark it as pending
+ * publication.
+ *
+ * The request is queued first so that a failed update only leads to the
+ * publication being queued again by the next run.
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {Object} params.granule - API granule
+ * @param {Object} params.methods - `enqueueCmrPublishRequest` and
+ *   `updateGranuleCmrPublishState` implementations
+ * @returns {Promise<void>}
+ */
+const releaseGranuleEmbargo = async ({ knex, granule, methods }) => {
+  const { granuleId, collectionId } = granule;
+  await methods.enqueueCmrPublishRequest({
+    action: 'publish',
+    granuleId,
+    collectionId,
+  });
+  await methods.updateGranuleCmrPublishState({
+    granule,
+    knex,
+    cmrPublishStatus: 'pending',
+    releaseEmbargo: true,
+  });
+  log.info(`Released the embargo of granule ${granuleId} of collection ${collectionId}, which was due at ${granule.publishAt}`);
+};
+
+/**
+ * Release the embargoes of the granules whose `publishAt` time has passed
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {Date} [params.now] - current time
+ * @param {number} [params.concurrency] - number of embargoes released
+ *   concurrently
+ * @param {Object} [params.methods] - implementations passed to
+ *   `releaseGranuleEmbargo`
+ * @returns {Promise<Object>} the `released` and `failed` granule IDs
+ */
+const releaseExpiredEmbargoes = async ({
+  knex,
+  now = new Date(),
+  concurrency = 10,
+  methods = {},
+}) => {
+  const releaseMethods = {
+    enqueueCmrPublishRequest,
+    updateGranuleCmrPublishState,
+    ...methods,
+  };
+  const expiredGranules = await getEmbargoedGranulesQuery(knex, { publishAtTo: now });
+  log.info(`Found ${expiredGranules.length} granules whose embargo has expired`);
+
+  const released = [];
+  const failed = [];
+  await pMap(
+    expiredGranules,
+    async (dbResult) => {
+      try {
+        const granule = await translatePostgresGranuleResultToApiGranule(knex, dbResult);
+        await releaseGranuleEmbargo({ knex, granule, methods: releaseMethods });
+        released.push(dbResult.granule_id);
+      } catch (error) {
+        log.error(`Failed to release the embargo of granule ${dbResult.granule_id}`, error);
+        failed.push(dbResult.granule_id);
+      }
+    },
+    { concurrency }
+  );
+  return { released, failed };
+};
+
+/**
+ * Lambda handler releasing the expired granule embargoes. It is invoked on a
+ * schedule.
+ *
+ * @returns {Promise<Object>} the `released` and `failed` granule IDs
+ * @throws {Error} if the embargo of any granule failed to be released
+ */
+async function handler() {
+  const knex = await getKnexClient();
+  const result = await releaseExpiredEmbargoes({ knex });
+  if (result.failed.length > 0) {
+    throw new Error(`Failed to release the embargoes of granules ${result.failed.join(', ')}`);
+  }
+  return result;
+}
+
+module.exports = {
+  handler,
+  releaseExpiredEmbargoes,
+  releaseGranuleEmbargo,
+};
@@ -11,7 +11,10 @@ const {
   translatePostgresGranuleResultToApiGranule,
 } = require('@cumulus/db');
 const log = new Logger({ sender: '@api/lambdas/granule-inventory-report' });
-const { convertToDBGranuleSearchParams } = require('../../lib/reconciliationReport');
+const {
+  convertToDBGranuleSearchParams,
+  granuleKeysetColumns,
+} = require('../../lib/reconciliationReport');
 
 /**
  * Builds a CSV file of all granules in the Cumulus DB
@@ -42,12 +45,12 @@ async function createGranuleInventoryReport(recReportParams) {
 
   const granulesSearchQuery = getGranulesByApiPropertiesQuery(
     recReportParams.knex,
-    searchParams,
-    ['collectionName', 'collectionVersion', 'granule_id']
+    searchParams
   );
   const pgGranulesSearchClient = new QuerySearchClient(
     granulesSearchQuery,
-    100 // arbitrary limit on how items are fetched at once
+    100, // arbitrary limit on how items are fetched at once
+    { keysetColumns: granuleKeysetColumns }
   );
 
   let nextGranule = await pgGranulesSearchClient.peek();
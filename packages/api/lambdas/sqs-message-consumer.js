@@ -4,9 +4,14 @@ const get = require('lodash/get');
 const Logger = require('@cumulus/logger');
 const { Consumer } = require('@cumulus/ingest/consumer');
 const { sqs } = require('@cumulus/aws-client/services');
-const { sqsQueueExists } = require('@cumulus/aws-client/SQS');
-const { archiveSqsMessageToS3 } = require('@cumulus/ingest/sqs');
-
+const { deleteSQSMessage, sqsQueueExists } = require('@cumulus/aws-client/SQS');
+const { archiveSqsMessageToS3, deleteArchivedMessageFromS3 } = require('@cumulus/ingest/sqs');
+
+const {
+  addRejectedMessageCounts,
+  partitionRulesByFilter,
+  publishRejectedMessageCounts,
+} = require('../lib/ruleFilterHelpers');
 const rulesHelpers = require('../lib/rulesHelpers');
 
 const log = new Logger({ sender: '@cumulus/sqs-message-consumer' });
@@ -80,7 +85,18 @@ async function dispatch(queueUrl, message) {
   const eventObject = JSON.parse(message.Body);
   const eventCollection = rulesHelpers.lookupCollectionInEvent(eventObject);
 
-  const rulesToSchedule = rulesHelpers.filterRulesbyCollection(rulesForQueue, eventCollection);
+  const rulesForCollection = rulesHelpers.filterRulesbyCollection(rulesForQueue, eventCollection);
+  const [rulesToSchedule, rejectingRules] = partitionRulesByFilter(rulesForCollection, eventObject);
+  await publishRejectedMessageCounts(addRejectedMessageCounts({}, rejectingRules));
+
+  // A message rejected by the filter expressions of all of its rules is not
+  // retried
+  if (rulesForCollection.length > 0 && rulesToSchedule.length === 0) {
+    log.info(`message ${message.MessageId} from queue ${queueUrl} was rejected by the filter expressions of its rules, deleting it`);
+    await deleteSQSMessage(queueUrl, message.ReceiptHandle);
+    await deleteArchivedMessageFromS3(message.MessageId, queueUrl);
+    return [];
+  }
 
   return await Promise.all(rulesToSchedule.map((rule) => {
     if (get(rule, 'meta.retries', 3) < messageReceiveCount - 1) {
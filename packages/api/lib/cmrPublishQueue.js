@@ -0,0 +1,138 @@
+'use strict';
+
+const get = require('lodash/get');
+
+const { sendSQSMessage } = require('@cumulus/aws-client/SQS');
+const Logger = require('@cumulus/logger');
+
+const { buildRateLimiter } = require('./utils');
+
+const log = new Logger({ sender: '@cumulus/api/lib/cmrPublishQueue' });
+
+const defaultMaxAttempts = 10;
+const defaultRateLimit = 5;
+
+// Failed CMR requests are retried after 1, 2, 4, ... minutes, up to an hour
+const baseRetryDelaySeconds = 60;
+const maxRetryDelaySeconds = 60 * 60;
+
+// Network errors of requests to the CMR which may succeed when retried
+const retryableErrorCodes = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ETIMEDOUT',
+];
+
+const cmrPublishActions = ['publish', 'delete'];
+
+/**
+ * Queue a request to publish a granule to, or delete a granule from, the CMR
+ *
+ * @param {Object} params
+ * @param {string} params.action - `publish` or `delete`
+ * @param {string} params.granuleId - ID of the granule
+ * @param {string} params.collectionId - ID of the collection of the granule
+ * @param {string} [params.cmrProvider] - CMR provider of the granule, defaults
+ *   to the CMR provider of the stack
+ * @param {string} [params.queueUrl] - URL of the CMR publish queue, defaults
+ *   to the `cmr_publish_queue_url` environment variable
+ * @returns {Promise<Object>} the SQS response
+ * @throws {Error} if the action is invalid or the queue URL is not set
+ */
+const enqueueCmrPublishRequest = async ({
+  action,
+  granuleId,
+  collectionId,
+  cmrProvider,
+  queueUrl = process.env.cmr_publish_queue_url,
+}) => {
+  if (!cmrPublishActions.includes(action)) {
+    throw new Error(`Invalid CMR publish action ${action}, expected one of ${cmrPublishActions.join(', ')}`);
+  }
+  if (!queueUrl) {
+    throw new Error(`Cannot queue CMR ${action} of granule ${granuleId}, the CMR publish queue URL is not set`);
+  }
+
+  log.info(`Queueing CMR ${action} of granule ${granuleId} in collection ${collectionId}`);
+  return await sendSQSMessage(queueUrl, {
+    action,
+    granuleId,
+    collectionId,
+    cmrProvider,
+  });
+};
+
+/**
+ * Get the delay before retrying a failed CMR request
+ *
+ * @param {number} attemptCount - number of attempts of the request so far
+ * @returns {number} the delay in seconds
+ */
+const getRetryDelaySeconds = (attemptCount) =>
+  Math.min(baseRetryDelaySeconds * (2 ** (attemptCount - 1)), maxRetryDelaySeconds);
+
+/**
+ * Get the maximum number of attempts of a CMR request
+ *
+ * @returns {number} the `cmr_publish_max_attempts` environment variable, or
+ *   the default maximum number of attempts
+ */
+const getMaxAttempts = () =>
+  Number(process.env.cmr_publish_max_attempts) || defaultMaxAttempts;
+
+/**
+ * Check whether a failed CMR request may succeed when retried, i.e. whether
+ * it failed because the CMR was throttling requests, was unavailable or could
+ * not be reached
+ *
+ * @param {Error} error - the error of the request
+ * @returns {boolean} true if the request should be retried
+ */
+const isRetryableCmrError = (error) => {
+  if (error.name === 'CMRInternalError') return true;
+  if (retryableErrorCodes.includes(error.code)) return true;
+
+  // The CMR client reports the status code of failed requests in the message
+  const [, messageStatusCode] = /statusCode: (\w+)/.exec(error.message || '') || [];
+  const statusCode = String(get(error, 'response.statusCode', messageStatusCode));
+  return statusCode === '429'
+    || /^5\d\d$/.test(statusCode)
+    || retryableErrorCodes.includes(statusCode);
+};
+
+/**
+ * Build the rate limiters of the CMR requests of each CMR provider. The rate
+ * limits, in requests per second, are configured by provider in the
+ * `cmr_publish_rate_limits` JSON environment variable, and the
+ * `cmr_publish_default_rate_limit` environment variable applies to the other
+ * providers.
+ *
+ * @returns {Function} function taking a CMR provider and returning a promise
+ *   which resolves when the next request of the provider may be sent
+ */
+const buildCmrProviderRateLimiters = () => {
+  const rateLimits = JSON.parse(process.env.cmr_publish_rate_limits || '{}');
+  const defaultProviderRateLimit = Number(process.env.cmr_publish_default_rate_limit)
+    || defaultRateLimit;
+  const rateLimiters = {};
+
+  return (cmrProvider) => {
+    if (!rateLimiters[cmrProvider]) {
+      rateLimiters[cmrProvider] = buildRateLimiter(
+        rateLimits[cmrProvider] || defaultProviderRateLimit
+      );
+    }
+    return rateLimiters[cmrProvider]();
+  };
+};
+
+module.exports = {
+  buildCmrProviderRateLimiters,
+  cmrPublishActions,
+  enqueueCmrPublishRequest,
+  getMaxAttempts,
+  getRetryDelaySeconds,
+  isRetryableCmrError,
+};
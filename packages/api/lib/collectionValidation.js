@@ -0,0 +1,332 @@
+'use strict';
+
+const groupBy = require('lodash/groupBy');
+const isNil = require('lodash/isNil');
+const isString = require('lodash/isString');
+
+const { validateUMMCSchema } = require('@cumulus/cmr-client');
+const { removeNilProperties } = require('@cumulus/common/util');
+const { ValidationError } = require('@cumulus/errors');
+const { urlPathTemplate } = require('@cumulus/ingest/url-path-template');
+
+/**
+ * Compile a regular expression of a collection, recording an error if it is
+ * not valid
+ *
+ * @param {string} regex - the regular expression
+ * @param {string} field - name of the collection field of the expression
+ * @param {string[]} errors - collection errors to add to
+ * @returns {RegExp | undefined} the regular expression, or undefined if it is
+ *   missing or not valid
+ */
+const compileRegex = (regex, field, errors) => {
+  if (!regex) return undefined;
+  try {
+    return new RegExp(regex);
+  } catch (error) {
+    errors.push(`Invalid ${field}: ${error.message}`);
+    return undefined;
+  }
+};
+
+/**
+ * Get the errors of a collection that apply to every file, i.e. invalid
+ * regular expressions and `checksumFor` values that do not refer to another
+ * file config
+ *
+ * @param {Object} collection - API collection
+ * @returns {{ errors: string[], regexes: Object }} the errors and the compiled
+ *   regular expressions of the collection
+ */
+const getCollectionConfigErrors = (collection) => {
+  const errors = [];
+  const fileConfigs = collection.files || [];
+
+  const regexes = {
+    granuleIdExtraction: compileRegex(
+      collection.granuleIdExtraction,
+      'granuleIdExtraction',
+      errors
+    ),
+    granuleId: compileRegex(collection.granuleId, 'granuleId', errors),
+    files: fileConfigs.map(
+      (fileConfig, index) => compileRegex(fileConfig.regex, `files[${index}].regex`, errors)
+    ),
+  };
+
+  if (!collection.granuleIdExtraction) errors.push('Missing granuleIdExtraction');
+  if (fileConfigs.length === 0) errors.push('Collection has no file configs');
+
+  fileConfigs.forEach(({ checksumFor }, index) => {
+    if (!checksumFor) return;
+    const targets = fileConfigs.filter(({ regex }) => regex === checksumFor);
+    if (targets.length !== 1 || targets[0] === fileConfigs[index]) {
+      errors.push(
+        `files[${index}].checksumFor '${checksumFor}' must match the regex of exactly one other file`
+      );
+    }
+  });
+
+  return { errors, regexes };
+};
+
+/**
+ * Extract the granuleId from a file name with the `granuleIdExtraction` of a
+ * collection and check it against the `granuleId` regex
+ *
+ * @param {string} fileName - the file name
+ * @param {Object} collection - API collection
+ * @param {Object} regexes - compiled regular expressions of the collection
+ * @param {Function} addIssue - function adding an issue to the file result
+ * @returns {string | undefined} the granuleId, if one was extracted
+ */
+const extractGranuleId = (fileName, collection, regexes, addIssue) => {
+  if (!regexes.granuleIdExtraction) return undefined;
+  const match = fileName.match(regexes.granuleIdExtraction);
+  if (!match || !match[1]) {
+    addIssue(
+      'granuleIdExtraction',
+      `granuleIdExtraction "${collection.granuleIdExtraction}" did not extract a granuleId from ${fileName}`
+    );
+    return undefined;
+  }
+  const granuleId = match[1];
+  if (regexes.granuleId && !regexes.granuleId.test(granuleId)) {
+    addIssue(
+      'granuleId',
+      `Extracted granuleId ${granuleId} does not match granuleId regex "${collection.granuleId}"`
+    );
+  }
+  return granuleId;
+};
+
+/**
+ * Resolve the destination bucket and `url_path` of a file the way
+ * move-granules does
+ *
+ * @param {Object} params
+ * @param {Object} params.file - the file, with a `name`
+ * @param {Object} params.fileConfig - the collection file config of the file
+ * @param {Object} params.collection - API collection
+ * @param {string} [params.granuleId] - granuleId of the file
+ * @param {BucketsConfig} [params.bucketsConfig] - buckets of the stack
+ * @param {Object} params.cmrMetadata - sample CMR metadata
+ * @param {Function} params.addIssue - function adding an issue to the file
+ *   result
+ * @returns {Object} the destination `bucket` and `url_path`, if resolved
+ */
+const resolveDestination = ({
+  file,
+  fileConfig,
+  collection,
+  granuleId,
+  bucketsConfig,
+  cmrMetadata,
+  addIssue,
+}) => {
+  const destination = {};
+  if (bucketsConfig && bucketsConfig.keyExists(fileConfig.bucket)) {
+    destination.bucket = bucketsConfig.nameByKey(fileConfig.bucket);
+  } else if (bucketsConfig) {
+    addIssue('bucket', `Bucket key ${fileConfig.bucket} is not a configured bucket of the stack`);
+  }
+
+  const template = fileConfig.url_path || collection.url_path || '';
+  try {
+    destination.url_path = urlPathTemplate(template, {
+      file: { ...file, fileName: file.name, bucket: destination.bucket },
+      granule: { granuleId, dataType: collection.name, version: collection.version },
+      cmrMetadata,
+    });
+  } catch (error) {
+    addIssue('url_path', error.message);
+  }
+  return destination;
+};
+
+/**
+ * Validate a single file name against a collection
+ *
+ * @param {Object} params
+ * @param {Object} params.file - the file, with a `name`
+ * @param {Object} params.collection - API collection
+ * @param {Object} params.regexes - compiled regular expressions of the
+ *   collection
+ * @param {BucketsConfig} [params.bucketsConfig] - buckets of the stack
+ * @param {Object} params.cmrMetadata - sample CMR metadata for rendering
+ *   `url_path` templates
+ * @returns {Object} the validation result of the file
+ */
+const validateFile = ({
+  file,
+  collection,
+  regexes,
+  bucketsConfig,
+  cmrMetadata,
+}) => {
+  const issues = [];
+  const addIssue = (type, message) => issues.push({ type, message });
+
+  const matches = (collection.files || []).filter(
+    (_, index) => regexes.files[index] && regexes.files[index].test(file.name)
+  );
+  let fileConfig;
+  let matchedRegexes;
+  if (matches.length === 0) {
+    addIssue('unmatched', `File ${file.name} did not match any file regex`);
+  } else if (matches.length > 1) {
+    matchedRegexes = matches.map(({ regex }) => regex);
+    addIssue(
+      'ambiguous',
+      `File ${file.name} matched more than one file regex: ${matchedRegexes.join(', ')}`
+    );
+  } else {
+    fileConfig = matches[0];
+  }
+
+  const granuleId = extractGranuleId(file.name, collection, regexes, addIssue);
+  const destination = fileConfig
+    ? resolveDestination({
+      file,
+      fileConfig,
+      collection,
+      granuleId,
+      bucketsConfig,
+      cmrMetadata,
+      addIssue,
+    })
+    : {};
+
+  return removeNilProperties({
+    name: file.name,
+    fileConfig,
+    matchedRegexes,
+    granuleId,
+    ...destination,
+    issues,
+  });
+};
+
+/**
+ * Flag files matching a file config with `checksumFor` that have no file of
+ * the same granule matching the `checksumFor` regex
+ *
+ * @param {Object[]} results - validation results of the files
+ * @returns {undefined}
+ */
+const flagOrphanedChecksumFiles = (results) => {
+  const resultsByGranuleId = groupBy(
+    results.filter(({ granuleId }) => granuleId),
+    'granuleId'
+  );
+  results.forEach((result) => {
+    const checksumFor = result.fileConfig && result.fileConfig.checksumFor;
+    if (!checksumFor) return;
+    const granuleResults = resultsByGranuleId[result.granuleId] || [];
+    const hasDataFile = granuleResults.some(
+      ({ fileConfig }) => fileConfig && fileConfig.regex === checksumFor
+    );
+    if (!hasDataFile) {
+      result.issues.push({
+        type: 'orphanedChecksum',
+        message: `Checksum file ${result.name} has no file matching checksumFor '${checksumFor}'`,
+      });
+    }
+  });
+};
+
+/**
+ * Validate a collection configuration against a list of sample files without
+ * ingesting them. Each file is matched against the file configs of the
+ * collection, its granuleId is extracted, and its destination bucket and
+ * `url_path` are resolved the way they are during ingest.
+ *
+ * Files that match no file config, files that match more than one file config
+ * and checksum files without the file they are a checksum for are reported as
+ * issues of the file.
+ *
+ * @param {Object} params
+ * @param {Object} params.collection - API collection
+ * @param {Array<string|Object>} params.files - file names, or files with a
+ *   `name` and optionally `path`, `size` and `time`
+ * @param {BucketsConfig} [params.bucketsConfig] - buckets of the stack. If
+ *   not given, destination buckets are not resolved.
+ * @param {Object} [params.cmrMetadata] - sample CMR metadata for rendering
+ *   `url_path` templates that use CMR metadata
+ * @returns {Object} the validation result, with `valid`, collection `errors`,
+ *   a `summary` of issue counts and the `files` results
+ */
+const validateCollectionFiles = ({
+  collection,
+  files,
+  bucketsConfig,
+  cmrMetadata = {},
+}) => {
+  const { errors, regexes } = getCollectionConfigErrors(collection);
+
+  const results = files
+    .map((file) => (isString(file) ? { name: file } : file))
+    .map((file) => validateFile({
+      file,
+      collection,
+      regexes,
+      bucketsConfig,
+      cmrMetadata,
+    }));
+  flagOrphanedChecksumFiles(results);
+
+  const summary = { files: results.length, valid: 0 };
+  results.forEach(({ issues }) => {
+    if (issues.length === 0) summary.valid += 1;
+    issues.forEach(({ type }) => {
+      summary[type] = (summary[type] || 0) + 1;
+    });
+  });
+
+  return {
+    valid: errors.length === 0 && summary.valid === results.length,
+    errors,
+    summary,
+    files: results.map((result) => ({ ...result, valid: result.issues.length === 0 })),
+  };
+};
+
+/**
+ * Validate the UMM-C metadata of a collection against the UMM-C schema. The
+ * `ShortName` and `Version` of the metadata must be the name and version of
+ * the collection.
+ *
+ * @param {Object} collection - API collection
+ * @returns {Object[]} the validation errors, each with the `path` of the
+ *   invalid metadata and its `errors`. The list is empty if the collection has
+ *   no UMM-C metadata or the metadata is valid.
+ */
+const getCollectionUMMCErrors = (collection) => {
+  const { ummC } = collection;
+  if (isNil(ummC)) return [];
+
+  let errors;
+  try {
+    errors = validateUMMCSchema(ummC);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    return [{ path: ['MetadataSpecification', 'Version'], errors: [error.message] }];
+  }
+
+  const collectionFields = { ShortName: 'name', Version: 'version' };
+  Object.entries(collectionFields).forEach(([field, collectionField]) => {
+    const expected = collection[collectionField];
+    if (ummC[field] !== undefined && ummC[field] !== expected) {
+      errors.push({
+        path: [field],
+        errors: [`${field} '${ummC[field]}' does not match collection ${collectionField} '${expected}'`],
+      });
+    }
+  });
+  return errors;
+};
+
+module.exports = {
+  getCollectionUMMCErrors,
+  validateCollectionFiles,
+};
@@ -2,6 +2,7 @@ const { GranuleNotPublished } = require('@cumulus/errors');
 const { CMR } = require('@cumulus/cmr-client');
 const log = require('@cumulus/common/log');
 const {
+  createGranuleHistoryEntry,
   createRejectableTransaction,
   getGranuleCollectionId,
   GranulePgModel,
@@ -41,6 +42,7 @@ const _removeGranuleFromCmr = async (granule, collectionId) => {
  * @param {string} params.pgCollection - A Postgres Collection record
  * @param {Object} params.granulePgModel - Instance of granules model for PostgreSQL
  * @param {Object} params.granuleDynamoModel - Instance of granules model for DynamoDB
+ * @param {string} [params.actor] - Name of the API user removing the granule, if any
  * @returns {Object} - Updated granules
  * @returns {Object.dynamoGranule} - Updated Dynamo Granule
  * @returns {Object.pgGranule} - Updated Postgres Granule
@@ -51,6 +53,7 @@ const unpublishGranule = async ({
   pgCollection,
   granulePgModel = new GranulePgModel(),
   granuleDynamoModel = new models.Granule(),
+  actor,
 }) => {
   // If we cannot find a Postgres Collection or Postgres Granule,
   // don't update the Postgres Granule, continue to update the Dynamo granule
@@ -72,6 +75,7 @@ const unpublishGranule = async ({
         },
         ['*']
       );
+      await createGranuleHistoryEntry(trx, { granule: pgGranule, actor });
       const dynamoGranule = await granuleDynamoModel.update(
         { granuleId: pgGranuleRecord.granule_id },
         { published: false },
@@ -20,8 +20,11 @@ const {
 const {
   CollectionPgModel,
   FilePgModel,
+  getGranulesByApiPropertiesQuery,
   getKnexClient,
   GranulePgModel,
+  QuerySearchClient,
+  TableNames,
 } = require('@cumulus/db');
 const indexer = require('@cumulus/es-client/indexer');
 const { Search } = require('@cumulus/es-client/search');
@@ -250,22 +253,70 @@ async function granuleEsQuery({
 }
 
 /**
- * Return a unique list of granule IDs based on the provided list or the response from the
+ * Return the IDs of the granules matching PostgreSQL granule search
+ * parameters, paging through the granules by keyset. Unlike
+ * `getGranulesByApiPropertiesQuery`, `granuleIds` are matched exactly.
+ *
+ * @param {Knex} knex - DB client
+ * @param {Object} granuleQuery - the `getGranulesByApiPropertiesQuery`
+ * search parameters: `collectionIds`, `granuleIds`, `providerNames`,
+ * `status` and `updatedAtRange`
+ * @param {number} [pageSize] - number of granules fetched at once
+ * @returns {Promise<Array<string>>} the granule IDs
+ */
+async function getGranuleIdsForDatabaseQuery(knex, granuleQuery, pageSize = 1000) {
+  const { granuleIds: granuleIdFilters, ...propertiesQuery } = granuleQuery;
+  const query = getGranulesByApiPropertiesQuery(knex, propertiesQuery)
+    .clearSelect()
+    .select({ granuleId: `${TableNames.granules}.granule_id` })
+    .modify((queryBuilder) => {
+      if (granuleIdFilters) {
+        queryBuilder.whereIn(`${TableNames.granules}.granule_id`, [granuleIdFilters].flat());
+      }
+    });
+  const searchClient = new QuerySearchClient(
+    query,
+    pageSize,
+    { keysetColumns: [{ column: `${TableNames.granules}.cumulus_id` }] }
+  );
+
+  const granuleIds = [];
+  let granule = await searchClient.shift();
+  while (granule) {
+    granuleIds.push(granule.granuleId);
+    // eslint-disable-next-line no-await-in-loop
+    granule = await searchClient.shift();
+  }
+  return granuleIds;
+}
+
+/**
+ * Return a unique list of granule IDs based on the provided list, the granules
+ * matching the PostgreSQL granule query or the response from the
  * query to ES using the provided query and index.
  *
  * @param {Object} payload
+ * @param {Object} [payload.granuleQuery] - Optional PostgreSQL granule search
+ * parameters, see `getGranuleIdsForDatabaseQuery`
  * @param {Object} [payload.query] - Optional parameter of query to send to ES
  * @param {string} [payload.index] - Optional parameter of ES index to query.
  * Must exist if payload.query exists.
  * @param {Object} [payload.ids] - Optional list of granule IDs to bulk operate on
+ * @param {Knex} [knex] - Optional DB client used for the PostgreSQL granule query
  * @returns {Promise<Array<string>>}
  */
-async function getGranuleIdsForPayload(payload) {
+async function getGranuleIdsForPayload(payload, knex) {
   const { ids, index, query } = payload;
-  const granuleIds = ids || [];
-
-  // query ElasticSearch if needed
-  if (granuleIds.length === 0 && payload.query) {
+  let granuleIds = ids || [];
+
+  if (granuleIds.length === 0 && payload.granuleQuery) {
+    log.info('No granule ids detected. Searching for granules in PostgreSQL.');
+    granuleIds = await getGranuleIdsForDatabaseQuery(
+      knex || await getKnexClient(),
+      payload.granuleQuery
+    );
+  } else if (granuleIds.length === 0 && payload.query) {
+    // query ElasticSearch if needed
     log.info('No granule ids detected. Searching for granules in Elasticsearch.');
 
     const granules = await granuleEsQuery({
@@ -324,6 +375,7 @@ module.exports = {
   translateGranule,
   getExecutionProcessingTimeInfo,
   getGranulesForPayload,
+  getGranuleIdsForDatabaseQuery,
   getGranuleIdsForPayload,
   moveGranuleFilesAndUpdateDatastore,
 };
@@ -0,0 +1,132 @@
+'use strict';
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const isString = require('lodash/isString');
+
+const { ValidationError } = require('@cumulus/errors');
+
+const { signDelivery } = require('./subscriptions');
+
+// Signed requests older than this are rejected, so that they cannot be replayed
+const maxSignatureAgeMs = 5 * 60 * 1000;
+
+/**
+ * Compile the payload schema of an http rule. A rule without a payload schema
+ * accepts any payload.
+ *
+ * @param {Object} rule - http rule
+ * @returns {Function} the Ajv validation function
+ * @throws {ValidationError} if the payload schema is not a valid JSON schema
+ */
+const compileHttpRulePayloadSchema = (rule) => {
+  const ajv = new Ajv({ allErrors: true });
+  try {
+    return ajv.compile(rule.rule.payloadSchema || {});
+  } catch (error) {
+    throw new ValidationError(`Invalid payloadSchema of rule ${rule.name}: ${error.message}`);
+  }
+};
+
+/**
+ * Whether the secret of an http rule is one the API is permitted to read,
+ * i.e. whether its name, or the name in its ARN, starts with
+ * `<prefix>-rule-`
+ *
+ * @param {string} secretId - name or ARN of the Secrets Manager secret
+ * @param {string} [prefix] - prefix of the stack, defaults to the `stackName`
+ *   environment variable
+ * @returns {boolean}
+ */
+const isHttpRuleSecretId = (secretId, prefix = process.env.stackName) => {
+  if (!isString(secretId)) return false;
+  const secretName = secretId.replace(/^arn:[^:]+:secretsmanager:[^:]*:[^:]*:secret:/, '');
+  return secretName.startsWith(`${prefix}-rule-`);
+};
+
+/**
+ * Validate the secret and payload schema of an http rule
+ *
+ * @param {Object} rule - http rule
+ * @throws {ValidationError} if the rule has no secret, a secret the API may
+ *   not read, or an invalid payload schema
+ */
+const validateHttpRule = (rule) => {
+  if (!rule.rule.value) {
+    throw new ValidationError(`Rule ${rule.name} of type 'http' requires the ID of its Secrets Manager secret as rule.value`);
+  }
+  if (!isHttpRuleSecretId(rule.rule.value)) {
+    throw new ValidationError(`The secret of rule ${rule.name} must be named ${process.env.stackName}-rule-*, got ${rule.rule.value}`);
+  }
+  compileHttpRulePayloadSchema(rule);
+};
+
+/**
+ * Validate the payload of a request triggering an http rule against the
+ * payload schema of the rule
+ *
+ * @param {Object} rule - http rule
+ * @param {unknown} payload - body of the request
+ * @throws {ValidationError} if the payload does not match the schema
+ */
+const validateHttpRulePayload = (rule, payload) => {
+  const validate = compileHttpRulePayloadSchema(rule);
+  if (!validate(payload)) {
+    throw new ValidationError(`Invalid payload for rule ${rule.name}: ${new Ajv().errorsText(validate.errors)}`);
+  }
+};
+
+const safeEqual = (value, expected) => {
+  if (!isString(value)) return false;
+  const valueBuffer = Buffer.from(value);
+  const expectedBuffer = Buffer.from(expected);
+  return valueBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(valueBuffer, expectedBuffer);
+};
+
+/**
+ * Whether a request triggering an http rule is authenticated by the secret
+ * of the rule.
+ *
+ * Rules with the `secret` authentication type expect the secret in the
+ * `X-Cumulus-Secret` header. Rules with the `hmac` authentication type expect
+ * the time of the request, in milliseconds since the epoch, in the
+ * `X-Cumulus-Timestamp` header and its signature in the `X-Cumulus-Signature`
+ * header, signed the same way as subscription deliveries.
+ *
+ * @param {Object} params
+ * @param {Object} params.rule - http rule
+ * @param {string} params.secret - secret of the rule
+ * @param {Object} params.headers - headers of the request, with lowercase names
+ * @param {string} params.body - raw body of the request
+ * @param {number} [params.now] - current time, in milliseconds since the epoch
+ * @returns {boolean}
+ */
+const isHttpRuleRequestAuthorized = ({
+  rule,
+  secret,
+  headers,
+  body,
+  now = Date.now(),
+}) => {
+  if (!secret) return false;
+  if ((rule.rule.authType || 'secret') === 'secret') {
+    return safeEqual(headers['x-cumulus-secret'], secret);
+  }
+
+  const timestamp = Number(headers['x-cumulus-timestamp']);
+  if (!Number.isInteger(timestamp) || Math.abs(now - timestamp) > maxSignatureAgeMs) {
+    return false;
+  }
+  return safeEqual(
+    headers['x-cumulus-signature'],
+    signDelivery({ secret, timestamp, body })
+  );
+};
+
+module.exports = {
+  isHttpRuleRequestAuthorized,
+  isHttpRuleSecretId,
+  validateHttpRule,
+  validateHttpRulePayload,
+};
@@ -20,6 +20,7 @@ const { updateGranuleStatusToQueued } = require('./writeRecords/write-granules')
    * @param {Object} params.granule - the granule object
    * @param {Object} params.queueUrl - SQS queue URL to use for sending messages
    * @param {string} [params.asyncOperationId] - specify asyncOperationId origin
+   * @param {string} [params.actor] - name of the API user reingesting the granule, if any
    * @param {Granule} [params.granuleModel] - API Granule model (optional, for testing)
    * @param {GranulePgModel} [params.granulePgModel] - Postgres Granule model
    * (optional, for testing)
@@ -29,6 +30,7 @@ async function reingestGranule({
   granule,
   queueUrl,
   asyncOperationId = undefined,
+  actor,
   granuleModel = new Granule(),
   granulePgModel = new GranulePgModel(),
   updateGranuleStatusToQueuedMethod = updateGranuleStatusToQueued,
@@ -39,6 +41,7 @@ async function reingestGranule({
     knex,
     granulePgModel,
     granuleModel,
+    actor,
   });
 
   const executionArn = path.basename(granule.execution);
@@ -0,0 +1,320 @@
+'use strict';
+
+const dns = require('dns');
+const got = require('got');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+
+const { buildProviderClient } = require('@cumulus/ingest/providerClientUtils');
+const { buildURL } = require('@cumulus/common/URLUtils');
+const Logger = require('@cumulus/logger');
+
+const log = new Logger({ sender: '@cumulus/api/lib/providerConnectivity' });
+
+const defaultTimeoutMs = 10000;
+
+// Number of listed file names to include in the diagnostics
+const listingSampleSize = 10;
+
+const httpProtocols = ['http', 'https'];
+
+const fileHeaders = ['content-length', 'content-type', 'etag', 'last-modified'];
+
+// Errors from provider servers that indicate bad credentials, e.g. HTTP 401
+// and 403, FTP 530 "Not logged in" and SSH authentication failures
+const authErrorPattern = /\b(401|403|530)\b|auth|login|credentials|permission denied/i;
+
+/**
+ * Run a connectivity check and time it. A check that throws fails with the
+ * message of the error.
+ *
+ * @param {Function} checkFunction - async function returning the details of
+ *   the check
+ * @returns {Promise<Object>} the result of the check, with `success`,
+ *   `durationMs` and either the details of the check or an `error`
+ */
+const runCheck = async (checkFunction) => {
+  const start = Date.now();
+  try {
+    const details = await checkFunction();
+    return { success: true, ...details, durationMs: Date.now() - start };
+  } catch (error) {
+    return { success: false, error: error.message, durationMs: Date.now() - start };
+  }
+};
+
+/**
+ * Reject a promise that does not settle in time
+ *
+ * @param {Promise} promise - the promise
+ * @param {number} timeoutMs - time limit in milliseconds
+ * @param {string} description - description of the operation for the error
+ * @returns {Promise} the promise, or a promise rejected after the time limit
+ */
+const withTimeout = (promise, timeoutMs, description) => {
+  let timeout;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timeout = setTimeout(
+      () => reject(new Error(`${description} timed out after ${timeoutMs} ms`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeout));
+};
+
+const checkDns = async (host, timeoutMs) => {
+  const addresses = await withTimeout(
+    dns.promises.lookup(host, { all: true }),
+    timeoutMs,
+    `DNS lookup of ${host}`
+  );
+  return { addresses: addresses.map(({ address }) => address) };
+};
+
+const checkTls = ({ host, port, certificateAuthority, timeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(host) ? undefined : host,
+      ca: certificateAuthority,
+      // Report untrusted certificates instead of failing the handshake
+      rejectUnauthorized: false,
+      timeout: timeoutMs,
+    }, () => {
+      const certificate = socket.getPeerCertificate();
+      socket.end();
+      if (!socket.authorized) {
+        reject(new Error(`TLS certificate is not trusted: ${socket.authorizationError}`));
+        return;
+      }
+      resolve({
+        subject: certificate.subject && certificate.subject.CN,
+        issuer: certificate.issuer && certificate.issuer.CN,
+        validTo: certificate.valid_to,
+      });
+    });
+    socket.on('timeout', () => {
+      socket.destroy();
+      reject(new Error(`TLS handshake with ${host}:${port} timed out after ${timeoutMs} ms`));
+    });
+    socket.on('error', reject);
+  });
+
+const checkListing = async (providerClient, listPath) => {
+  const files = await providerClient.list(listPath);
+  return {
+    path: listPath,
+    count: files.length,
+    sample: files.slice(0, listingSampleSize).map(({ name }) => name),
+  };
+};
+
+/**
+ * Request a path on an HTTP provider with the credentials and redirect
+ * handling of the provider client, and report the redirects that were
+ * followed
+ *
+ * @param {Object} httpProviderClient - HTTP provider client
+ * @param {string} remotePath - path to request
+ * @param {number} timeoutMs - request time limit in milliseconds
+ * @returns {Promise<Object>} the response and redirect diagnostics
+ */
+const headHttpPath = async (httpProviderClient, remotePath, timeoutMs) => {
+  await httpProviderClient.setUpGotOptions();
+  await httpProviderClient.downloadTLSCertificate();
+  const url = buildURL({
+    protocol: httpProviderClient.protocol,
+    host: httpProviderClient.host,
+    port: httpProviderClient.port,
+    path: remotePath,
+  });
+  const response = await got.head(url, {
+    ...httpProviderClient.gotOptions,
+    timeout: timeoutMs,
+  });
+  const redirects = (response.redirectUrls || []).map((redirectUrl) => {
+    const { host } = new URL(redirectUrl);
+    return {
+      url: redirectUrl,
+      credentialsForwarded: httpProviderClient.allowedRedirects.includes(host),
+    };
+  });
+  return { response, redirects };
+};
+
+/**
+ * Whether an HTTP provider client sends credentials: a basic auth username,
+ * or the token or client certificate of its `httpAuth` type
+ *
+ * @param {Object} httpProviderClient - an HttpProviderClient
+ * @returns {boolean}
+ */
+const usesCredentials = (httpProviderClient) =>
+  Boolean(httpProviderClient.username)
+  || ['bearer', 'edl', 'certificate'].includes(httpProviderClient.authType);
+
+const checkHttpRedirects = async (httpProviderClient, remotePath, timeoutMs) => {
+  const { response, redirects } = await headHttpPath(httpProviderClient, remotePath, timeoutMs);
+  const hasCredentials = usesCredentials(httpProviderClient);
+  const blockedRedirect = redirects.find(({ credentialsForwarded }) => !credentialsForwarded);
+  if (hasCredentials && blockedRedirect) {
+    throw new Error(
+      `Redirected to ${blockedRedirect.url}, which is not in allowedRedirects, so credentials are not forwarded`
+    );
+  }
+  return { statusCode: response.statusCode, redirects };
+};
+
+const checkHttpFile = async (httpProviderClient, filePath, timeoutMs) => {
+  const { response, redirects } = await headHttpPath(httpProviderClient, filePath, timeoutMs);
+  const headers = {};
+  fileHeaders.forEach((header) => {
+    if (response.headers[header] !== undefined) headers[header] = response.headers[header];
+  });
+  const contentLength = response.headers['content-length'];
+  return {
+    path: filePath,
+    size: contentLength === undefined ? undefined : Number(contentLength),
+    headers,
+    redirects,
+  };
+};
+
+const checkListedFile = async (providerClient, filePath) => {
+  const fileName = path.basename(filePath);
+  const files = await providerClient.list(path.dirname(filePath));
+  const file = files.find(({ name }) => name === fileName);
+  if (!file) {
+    throw new Error(`File ${filePath} was not found on the provider`);
+  }
+  return { path: filePath, size: file.size, time: file.time };
+};
+
+/**
+ * Get the result of authenticating with the provider from the checks that
+ * used its credentials
+ *
+ * @param {Object} checks - results of the checks that were run
+ * @returns {Object} the result of the auth check
+ */
+const getAuthCheck = (checks) => {
+  const credentialedChecks = ['connection', 'listing', 'redirect', 'file']
+    .map((name) => checks[name])
+    .filter(Boolean);
+  const authFailure = credentialedChecks.find(
+    ({ success, error }) => !success && authErrorPattern.test(error)
+  );
+  if (authFailure) return { success: false, error: authFailure.error };
+  return { success: credentialedChecks.some(({ success }) => success) };
+};
+
+/**
+ * Test the connection to a provider without starting a workflow. Each step
+ * of connecting to the provider is reported as a check with its outcome and
+ * timing:
+ *
+ * - `dns`: resolving the provider host
+ * - `tls`: the TLS handshake with HTTPS providers, including whether the
+ *   certificate is trusted
+ * - `connection`: connecting to the provider with its provider client
+ * - `listing`: listing the requested path, with the number of files found
+ * - `redirect`: the redirects followed when requesting the path from
+ *   HTTP providers, and whether credentials are forwarded to them
+ * - `file`: the size of a file, and its headers for HTTP providers
+ * - `auth`: whether the provider accepted the credentials, for providers
+ *   with credentials
+ *
+ * Checks that depend on a failed check are not run.
+ *
+ * @param {Object} params
+ * @param {Object} params.provider - API provider, with encrypted or plain
+ *   text credentials
+ * @param {string} [params.path] - path to list, defaults to the root path
+ * @param {string} [params.filePath] - path of a file to get the size of
+ * @param {number} [params.timeoutMs] - time limit of DNS, TLS and HTTP
+ *   requests in milliseconds
+ * @param {Function} [params.buildProviderClientMethod] - function building a
+ *   provider client, only used for testing
+ * @returns {Promise<Object>} the diagnostics, with `success` true if every
+ *   check succeeded
+ * @throws {Error} if a provider client cannot be built for the provider
+ */
+const testProviderConnection = async ({
+  provider,
+  path: listPath = '/',
+  filePath,
+  timeoutMs = defaultTimeoutMs,
+  buildProviderClientMethod = buildProviderClient,
+}) => {
+  const start = Date.now();
+  const { protocol, host } = provider;
+  const providerClient = buildProviderClientMethod(provider);
+  const checks = {};
+
+  const runChecks = async () => {
+    // S3 provider hosts are bucket names
+    if (protocol !== 's3') {
+      checks.dns = await runCheck(() => checkDns(host, timeoutMs));
+      if (!checks.dns.success) return;
+    }
+
+    if (protocol === 'https') {
+      checks.tls = await runCheck(async () => {
+        await providerClient.downloadTLSCertificate();
+        return await checkTls({
+          host,
+          port: provider.port || 443,
+          certificateAuthority: providerClient.certificate,
+          timeoutMs,
+        });
+      });
+      if (!checks.tls.success) return;
+    }
+
+    checks.connection = await runCheck(async () => {
+      await providerClient.connect();
+    });
+    if (!checks.connection.success) return;
+
+    try {
+      checks.listing = await runCheck(() => checkListing(providerClient, listPath));
+      if (httpProtocols.includes(protocol)) {
+        checks.redirect = await runCheck(
+          () => checkHttpRedirects(providerClient, listPath, timeoutMs)
+        );
+      }
+      if (filePath) {
+        checks.file = await runCheck(() => (httpProtocols.includes(protocol)
+          ? checkHttpFile(providerClient, filePath, timeoutMs)
+          : checkListedFile(providerClient, filePath)));
+      }
+    } finally {
+      try {
+        await providerClient.end();
+      } catch (error) {
+        log.warn(`Failed to close connection to provider ${provider.id}`, error);
+      }
+    }
+  };
+
+  await runChecks();
+
+  if (provider.username || provider.privateKey) {
+    checks.auth = getAuthCheck(checks);
+  }
+
+  return {
+    provider: provider.id,
+    protocol,
+    host,
+    success: Object.values(checks).every(({ success }) => success),
+    durationMs: Date.now() - start,
+    checks,
+  };
+};
+
+module.exports = {
+  testProviderConnection,
+};
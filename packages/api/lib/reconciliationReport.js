@@ -4,11 +4,20 @@ const isEqual = require('lodash/isEqual');
 const omit = require('lodash/omit');
 
 const { removeNilProperties } = require('@cumulus/common/util');
+const { TableNames } = require('@cumulus/db');
 const { constructCollectionId, deconstructCollectionId } = require('@cumulus/message/Collections');
 const Logger = require('@cumulus/logger');
 
 const log = new Logger({ sender: '@api/lambdas/create-reconciliation-report' });
 
+// Keyset columns to page through the results of getGranulesByApiPropertiesQuery
+// in the same order as granules are compared against other data stores
+const granuleKeysetColumns = [
+  { column: `${TableNames.collections}.name` },
+  { column: `${TableNames.collections}.version` },
+  { column: `${TableNames.granules}.granule_id` },
+];
+
 /**
  * Extra search params to add to the cmrGranules searchConceptQueue
  *
@@ -293,6 +302,7 @@ module.exports = {
   convertToESGranuleSearchParamsWithCreatedAtRange,
   convertToOrcaGranuleSearchParams,
   filterDBCollections,
+  granuleKeysetColumns,
   initialReportHeader,
   searchParamsForCollectionIdArray,
   compareEsGranuleAndApiGranule,
@@ -1,4 +1,7 @@
 const get = require('lodash/get');
+const isEmpty = require('lodash/isEmpty');
+const isNumber = require('lodash/isNumber');
+const isPlainObject = require('lodash/isPlainObject');
 
 const log = require('@cumulus/common/log');
 
@@ -35,31 +38,106 @@ async function verifyJwtAuthorization(requestJwtToken) {
   return accessToken;
 }
 
+/**
+ * Get the error of the Elasticsearch query of a bulk granules request, if any
+ *
+ * @param {Object} payload - the bulk granules request payload
+ * @returns {string | undefined} the error message
+ */
+function getBulkGranulesEsQueryError(payload) {
+  if (!(process.env.METRICS_ES_HOST
+    && process.env.METRICS_ES_USER
+    && process.env.METRICS_ES_PASS)
+  ) {
+    return 'ELK Metrics stack not configured';
+  }
+
+  if (!payload.index) {
+    return 'Index is required if query is sent';
+  }
+
+  return undefined;
+}
+
+const granuleQueryKeys = [
+  'collectionIds',
+  'granuleIds',
+  'providerNames',
+  'status',
+  'updatedAtRange',
+];
+
+/**
+ * Get the error of the PostgreSQL granule query of a bulk granules request, if any
+ *
+ * @param {Object} granuleQuery - the `granuleQuery` of the request payload
+ * @returns {string | undefined} the error message
+ */
+function getBulkGranulesGranuleQueryError(granuleQuery) {
+  if (!isPlainObject(granuleQuery)) {
+    return `granuleQuery should be an object, received ${granuleQuery}`;
+  }
+
+  const unknownKeys = Object.keys(granuleQuery)
+    .filter((key) => !granuleQueryKeys.includes(key));
+  if (unknownKeys.length > 0) {
+    return `granuleQuery contains unsupported keys ${unknownKeys.join(', ')}, supported keys are ${granuleQueryKeys.join(', ')}`;
+  }
+
+  if (Object.values(granuleQuery).every(isEmpty)) {
+    return `granuleQuery should filter on at least one of ${granuleQueryKeys.join(', ')}`;
+  }
+
+  return undefined;
+}
+
 function validateBulkGranulesRequest(req, res, next) {
   const payload = req.body;
 
-  if (!payload.ids && !payload.query) {
-    return res.boom.badRequest('One of ids or query is required');
+  if (!payload.ids && !payload.query && !payload.granuleQuery) {
+    return res.boom.badRequest('One of ids, query or granuleQuery is required');
   }
 
   if (payload.ids && !Array.isArray(payload.ids)) {
     return res.boom.badRequest(`ids should be an array of values, received ${payload.ids}`);
   }
 
-  if (!payload.query && payload.ids && payload.ids.length === 0) {
+  if (!payload.query && !payload.granuleQuery && payload.ids && payload.ids.length === 0) {
     return res.boom.badRequest('no values provided for ids');
   }
 
-  if (payload.query
-    && !(process.env.METRICS_ES_HOST
-        && process.env.METRICS_ES_USER
-        && process.env.METRICS_ES_PASS)
-  ) {
-    return res.boom.badRequest('ELK Metrics stack not configured');
+  const granuleQueryError = payload.granuleQuery
+    && getBulkGranulesGranuleQueryError(payload.granuleQuery);
+  if (granuleQueryError) {
+    return res.boom.badRequest(granuleQueryError);
+  }
+
+  const esQueryError = payload.query && getBulkGranulesEsQueryError(payload);
+  if (esQueryError) {
+    return res.boom.badRequest(esQueryError);
+  }
+
+  return next();
+}
+
+function validateBulkGranuleCmrUpdateRequest(req, res, next) {
+  const payload = req.body;
+
+  const { concurrency, publishRate } = payload;
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    return res.boom.badRequest(`concurrency should be a positive integer, received ${concurrency}`);
+  }
+
+  if (publishRate !== undefined && !(isNumber(publishRate) && publishRate > 0)) {
+    return res.boom.badRequest(`publishRate should be a positive number, received ${publishRate}`);
+  }
+
+  if (!payload.collectionId) {
+    return validateBulkGranulesRequest(req, res, next);
   }
 
-  if (payload.query && !payload.index) {
-    return res.boom.badRequest('Index is required if query is sent');
+  if (payload.ids || payload.query || payload.granuleQuery) {
+    return res.boom.badRequest('Only one of collectionId, ids, query or granuleQuery is allowed');
   }
 
   return next();
@@ -111,6 +189,7 @@ function getFunctionNameFromRequestContext(req) {
 }
 
 module.exports = {
+  validateBulkGranuleCmrUpdateRequest,
   validateBulkGranulesRequest,
   validateGranuleExecutionRequest,
   verifyJwtAuthorization,
@@ -0,0 +1,143 @@
+'use strict';
+
+const isEmpty = require('lodash/isEmpty');
+const isPlainObject = require('lodash/isPlainObject');
+const isString = require('lodash/isString');
+const jmespath = require('jmespath');
+
+const { cloudwatch } = require('@cumulus/aws-client/services');
+const Logger = require('@cumulus/logger');
+const { ValidationError } = require('@cumulus/errors');
+
+const log = new Logger({ sender: '@cumulus/api/lib/ruleFilterHelpers' });
+
+const rejectedMessagesMetricNamespace = 'Cumulus';
+const rejectedMessagesMetricName = 'RuleFilterRejectedMessages';
+
+/**
+ * Validate the filter expression of a rule
+ *
+ * @param {Object} rule - rule
+ * @throws {ValidationError} if the filter expression is not a valid JMESPath
+ *   expression
+ */
+const validateRuleFilterExpression = (rule) => {
+  if (!rule.rule.filterExpression) return;
+  try {
+    jmespath.compile(rule.rule.filterExpression);
+  } catch (error) {
+    throw new ValidationError(`Invalid filterExpression of rule ${rule.name}: ${error.message}`);
+  }
+};
+
+// JMESPath truthiness: false, null and empty strings, arrays and objects are false
+const isTruthy = (value) => {
+  if (Array.isArray(value) || isPlainObject(value) || isString(value)) {
+    return !isEmpty(value);
+  }
+  return value !== false && value !== null && value !== undefined;
+};
+
+/**
+ * Evaluate the filter expression of a rule against a message. A rule
+ * accepts a message if it has no filter expression, or if its filter
+ * expression evaluates to a truthy JMESPath value.
+ *
+ * @param {Object} rule - rule
+ * @param {Object} message - incoming message
+ * @returns {Object} whether the rule `accepted` the message and the `result`
+ *   of the filter expression
+ * @throws {Error} if the filter expression fails to be evaluated
+ */
+const evaluateRuleFilter = (rule, message) => {
+  const { filterExpression } = rule.rule;
+  if (!filterExpression) return { accepted: true };
+
+  const result = jmespath.search(message, filterExpression);
+  return { accepted: isTruthy(result), result };
+};
+
+/**
+ * Split rules between the rules whose filter expression accepts a message
+ * and the rules whose filter expression rejects it. Rules whose filter
+ * expression fails to be evaluated reject the message.
+ *
+ * @param {Array<Object>} rules - rules
+ * @param {Object} message - incoming message
+ * @returns {Array<Array<Object>>} the accepting and rejecting rules
+ */
+const partitionRulesByFilter = (rules, message) => {
+  const accepting = [];
+  const rejecting = [];
+  rules.forEach((rule) => {
+    let accepted;
+    try {
+      ({ accepted } = evaluateRuleFilter(rule, message));
+    } catch (error) {
+      log.warn(`Failed to evaluate the filter expression of rule ${rule.name}, rejecting the message: ${error.message}`);
+      accepted = false;
+    }
+    (accepted ? accepting : rejecting).push(rule);
+  });
+  return [accepting, rejecting];
+};
+
+/**
+ * Add the rules rejecting a message to the counts of rejected messages by
+ * rule name
+ *
+ * @param {Object} counts - counts of rejected messages by rule name, updated
+ *   in place
+ * @param {Array<Object>} rejectingRules - rules rejecting a message
+ * @returns {Object} the updated counts
+ */
+const addRejectedMessageCounts = (counts, rejectingRules) => {
+  rejectingRules.forEach((rule) => {
+    // eslint-disable-next-line no-param-reassign
+    counts[rule.name] = (counts[rule.name] || 0) + 1;
+  });
+  return counts;
+};
+
+/**
+ * Publish the counts of messages rejected by the filter expressions of rules
+ * to the `RuleFilterRejectedMessages` CloudWatch metric of the `Cumulus`
+ * namespace, with `Stack` and `Rule` dimensions. Failures to publish the
+ * metric are logged rather than thrown, so that they do not fail the
+ * processing of the messages.
+ *
+ * @param {Object} counts - counts of rejected messages by rule name
+ * @returns {Promise<void>}
+ */
+const publishRejectedMessageCounts = async (counts) => {
+  const ruleNames = Object.keys(counts);
+  if (ruleNames.length === 0) return;
+
+  ruleNames.forEach((ruleName) => {
+    log.info(`Rule ${ruleName} rejected ${counts[ruleName]} messages with its filter expression`);
+  });
+  try {
+    await cloudwatch().putMetricData({
+      Namespace: rejectedMessagesMetricNamespace,
+      MetricData: ruleNames.map((ruleName) => ({
+        MetricName: rejectedMessagesMetricName,
+        Dimensions: [
+          { Name: 'Stack', Value: process.env.stackName },
+          { Name: 'Rule', Value: ruleName },
+        ],
+        Unit: 'Count',
+        Value: counts[ruleName],
+      })),
+    }).promise();
+  } catch (error) {
+    log.error('Failed to publish the counts of messages rejected by rule filter expressions', error);
+  }
+};
+
+module.exports = {
+  addRejectedMessageCounts,
+  evaluateRuleFilter,
+  partitionRulesByFilter,
+  publishRejectedMessageCounts,
+  validateRuleFilterExpression,
+};
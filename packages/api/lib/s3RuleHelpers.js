@@ -0,0 +1,72 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const getS3PermissionIdMaxLength = () => 100;
+const getS3PermissionIdSuffix = () => 'S3Permission';
+
+/**
+ * Get the ID of the statement of the message consumer Lambda policy allowing
+ * the bucket of an s3 rule to invoke it
+ *
+ * @param {Object} rule - s3 rule
+ * @returns {string} the statement ID
+ */
+function getS3TriggerPermissionId(rule) {
+  return `${rule.rule.value.replace(/\W/g, '_')}${getS3PermissionIdSuffix()}`.substring(
+    0,
+    getS3PermissionIdMaxLength()
+  );
+}
+
+/**
+ * Get the ID of the bucket notification configuration of an s3 rule. Rules of
+ * a stack with the same bucket and object key filters share the notification
+ * configuration, as S3 rejects overlapping configurations.
+ *
+ * @param {Object} rule - s3 rule
+ * @returns {string} the notification configuration ID
+ */
+function getS3TriggerNotificationId(rule) {
+  const { prefix = '', suffix = '' } = rule.rule;
+  const filterHash = crypto.createHash('sha256')
+    .update(JSON.stringify([prefix, suffix]))
+    .digest('hex')
+    .slice(0, 16);
+  return `${process.env.stackName}-rule-${filterHash}`;
+}
+
+/**
+ * Whether two s3 rules are triggered by the same objects
+ *
+ * @param {Object} rule - s3 rule
+ * @param {Object} otherRule - other s3 rule
+ * @returns {boolean}
+ */
+const s3RulesHaveSameTrigger = (rule, otherRule) =>
+  rule.rule.value === otherRule.rule.value
+  && (rule.rule.prefix || '') === (otherRule.rule.prefix || '')
+  && (rule.rule.suffix || '') === (otherRule.rule.suffix || '');
+
+/**
+ * Whether an object triggers an s3 rule
+ *
+ * @param {Object} rule - s3 rule
+ * @param {string} bucket - bucket of the object
+ * @param {string} key - key of the object
+ * @returns {boolean}
+ */
+const s3RuleMatchesObject = (rule, bucket, key) =>
+  rule.rule.type === 's3'
+  && rule.rule.value === bucket
+  && key.startsWith(rule.rule.prefix || '')
+  && key.endsWith(rule.rule.suffix || '');
+
+module.exports = {
+  getS3PermissionIdMaxLength,
+  getS3PermissionIdSuffix,
+  getS3TriggerNotificationId,
+  getS3TriggerPermissionId,
+  s3RuleMatchesObject,
+  s3RulesHaveSameTrigger,
+};
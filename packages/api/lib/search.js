@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Determine whether list requests to an API endpoint should be served from
+ * PostgreSQL rather than Elasticsearch. Endpoints are selected with the
+ * comma-separated POSTGRES_SEARCH_ENDPOINTS environment variable.
+ *
+ * @param {string} endpoint - the endpoint name, e.g. `granules`
+ * @param {Object} [env] - the environment to read the configuration from
+ * @returns {boolean} true if the endpoint should search PostgreSQL
+ */
+const usePostgresSearch = (endpoint, env = process.env) =>
+  (env.POSTGRES_SEARCH_ENDPOINTS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .includes(endpoint);
+
+module.exports = {
+  usePostgresSearch,
+};
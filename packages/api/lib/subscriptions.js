@@ -0,0 +1,279 @@
+'use strict';
+
+const crypto = require('crypto');
+const got = require('got');
+const pMap = require('p-map');
+const uuidv4 = require('uuid/v4');
+
+const KMS = require('@cumulus/aws-client/KMS');
+const {
+  getMatchingSubscriptions,
+  SubscriptionDeliveryPgModel,
+  SubscriptionPgModel,
+} = require('@cumulus/db');
+const Logger = require('@cumulus/logger');
+
+const log = new Logger({ sender: '@cumulus/api/lib/subscriptions' });
+
+const defaultMaxAttempts = 8;
+const defaultTimeoutMs = 10000;
+
+// Failed deliveries are retried after 1, 2, 4, ... minutes, up to an hour
+const baseRetryDelayMs = 60 * 1000;
+const maxRetryDelayMs = 60 * 60 * 1000;
+
+// Deliveries are claimed by the invocation attempting them for longer than
+// the time limit of the deliverSubscriptions lambda, so that they are not
+// attempted twice at the same time
+const deliveryLeaseMs = 10 * 60 * 1000;
+
+const signatureAlgorithm = 'sha256';
+
+/**
+ * Get the ID, collection, provider, status and event of a record from a
+ * message published to a granule, execution or PDR SNS topic
+ *
+ * @param {string} recordType - `granule`, `execution` or `pdr`
+ * @param {Object} message - the SNS message
+ * @returns {Object} the record and its properties used to match subscriptions
+ */
+const getRecordEvent = (recordType, message) => {
+  // Granule messages wrap the record with the event that produced it
+  const record = recordType === 'granule' ? message.record : message;
+  const recordIds = {
+    granule: record.granuleId,
+    execution: record.arn,
+    pdr: record.pdrName,
+  };
+  return {
+    record,
+    recordId: recordIds[recordType],
+    event: recordType === 'granule' ? message.event : undefined,
+    collectionId: record.collectionId,
+    provider: record.provider,
+    status: record.status,
+  };
+};
+
+/**
+ * Sign the body of a delivery. The signature covers the timestamp of the
+ * delivery as well as its body, so that receivers can reject replayed
+ * deliveries.
+ *
+ * @param {Object} params
+ * @param {string} params.secret - the secret of the subscription
+ * @param {number} params.timestamp - the time of the delivery, in
+ *   milliseconds since the epoch
+ * @param {string} params.body - the body of the delivery
+ * @returns {string} the signature, as `sha256=<hex digest>`
+ */
+const signDelivery = ({ secret, timestamp, body }) => {
+  const digest = crypto.createHmac(signatureAlgorithm, secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `${signatureAlgorithm}=${digest}`;
+};
+
+/**
+ * Get the delay before the next attempt of a delivery
+ *
+ * @param {number} attemptCount - number of attempts of the delivery so far
+ * @returns {number} the delay in milliseconds
+ */
+const getRetryDelayMs = (attemptCount) =>
+  Math.min(baseRetryDelayMs * (2 ** (attemptCount - 1)), maxRetryDelayMs);
+
+/**
+ * Create pending deliveries of a record status event for every subscription
+ * matching it. The deliveries are claimed by the caller, which is expected to
+ * attempt them.
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {string} params.recordType - `granule`, `execution` or `pdr`
+ * @param {Object} params.message - the message published to the SNS topic of
+ *   the record type
+ * @param {Function} [params.now] - function returning the current time, only
+ *   used for testing
+ * @returns {Promise<Object[]>} the created deliveries, as objects with the
+ *   Postgres `delivery` and its `subscription`
+ */
+const enqueueDeliveries = async ({
+  knex,
+  recordType,
+  message,
+  now = Date.now,
+}) => {
+  const {
+    record,
+    recordId,
+    event,
+    collectionId,
+    provider,
+    status,
+  } = getRecordEvent(recordType, message);
+  const subscriptions = await getMatchingSubscriptions(knex, {
+    recordType,
+    collectionId,
+    provider,
+    status,
+  });
+
+  const subscriptionDeliveryPgModel = new SubscriptionDeliveryPgModel();
+  return await pMap(
+    subscriptions,
+    async (subscription) => {
+      const [delivery] = await subscriptionDeliveryPgModel.create(
+        knex,
+        {
+          subscription_cumulus_id: subscription.cumulus_id,
+          delivery_id: uuidv4(),
+          record_type: recordType,
+          record_id: recordId,
+          event_type: event,
+          payload: record,
+          next_attempt_at: new Date(now() + deliveryLeaseMs),
+        },
+        '*'
+      );
+      return { delivery, subscription };
+    },
+    { concurrency: 5 }
+  );
+};
+
+/**
+ * Send a delivery to the URL of its subscription, and record the attempt.
+ * A delivery succeeds if the endpoint responds with a 2xx status. A failed
+ * delivery is retried with exponential backoff, and dead-lettered once it
+ * has been attempted `maxAttempts` times.
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {Object} params.delivery - the Postgres delivery
+ * @param {Object} params.subscription - the Postgres subscription of the delivery
+ * @param {number} [params.maxAttempts] - maximum number of attempts of a delivery
+ * @param {number} [params.timeoutMs] - time limit of an attempt, in milliseconds
+ * @param {Function} [params.gotMethod] - HTTP client, only used for testing
+ * @param {Function} [params.decryptMethod] - function decrypting the secret of
+ *   the subscription, only used for testing
+ * @param {Function} [params.now] - function returning the current time, only
+ *   used for testing
+ * @returns {Promise<Object>} the updated Postgres delivery
+ */
+const attemptDelivery = async ({
+  knex,
+  delivery,
+  subscription,
+  maxAttempts = Number(process.env.subscription_max_delivery_attempts || defaultMaxAttempts),
+  timeoutMs = defaultTimeoutMs,
+  gotMethod = got,
+  decryptMethod = KMS.decryptBase64String,
+  now = Date.now,
+}) => {
+  const timestamp = now();
+  const body = JSON.stringify({
+    deliveryId: delivery.delivery_id,
+    subscription: subscription.name,
+    recordType: delivery.record_type,
+    recordId: delivery.record_id,
+    event: delivery.event_type || undefined,
+    record: delivery.payload,
+  });
+
+  const attempt = { timestamp };
+  try {
+    const secret = await decryptMethod(subscription.secret);
+    const response = await gotMethod.post(subscription.url, {
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Cumulus-Delivery': delivery.delivery_id,
+        'X-Cumulus-Event': delivery.record_type,
+        'X-Cumulus-Signature': signDelivery({ secret, timestamp, body }),
+        'X-Cumulus-Timestamp': String(timestamp),
+      },
+      timeout: timeoutMs,
+      retry: 0,
+    });
+    attempt.statusCode = response.statusCode;
+  } catch (error) {
+    if (error.response) attempt.statusCode = error.response.statusCode;
+    attempt.error = error.message;
+  }
+  attempt.durationMs = now() - timestamp;
+
+  const attemptCount = delivery.attempts.length + 1;
+  let status = 'succeeded';
+  let nextAttemptAt = null; // eslint-disable-line unicorn/no-null
+  if (attempt.error) {
+    status = attemptCount >= maxAttempts ? 'dead_letter' : 'pending';
+    if (status === 'pending') {
+      nextAttemptAt = new Date(timestamp + getRetryDelayMs(attemptCount));
+    }
+    log.warn(`Delivery ${delivery.delivery_id} to subscription ${subscription.name} failed on attempt ${attemptCount}, it is now ${status}: ${attempt.error}`);
+  }
+
+  const [updated] = await new SubscriptionDeliveryPgModel().recordAttempt(
+    knex,
+    delivery.cumulus_id,
+    { attempt, status, nextAttemptAt }
+  );
+  return updated;
+};
+
+/**
+ * Claim and attempt the pending deliveries that are due for their next attempt
+ *
+ * @param {Object} params
+ * @param {Knex} params.knex - DB client
+ * @param {number} [params.limit] - maximum number of deliveries to attempt
+ * @param {Function} [params.now] - function returning the current time, only
+ *   used for testing
+ * @param {Object} [params.deliveryOptions] - options passed to `attemptDelivery`
+ * @returns {Promise<Object[]>} the updated Postgres deliveries
+ */
+const retryDueDeliveries = async ({
+  knex,
+  limit = 100,
+  now = Date.now,
+  ...deliveryOptions
+}) => {
+  const deliveries = await new SubscriptionDeliveryPgModel().claimDueDeliveries(
+    knex,
+    { now: new Date(now()), limit, leaseMs: deliveryLeaseMs }
+  );
+
+  const subscriptionPgModel = new SubscriptionPgModel();
+  const subscriptions = {};
+  return await pMap(
+    deliveries,
+    async (delivery) => {
+      const subscriptionCumulusId = delivery.subscription_cumulus_id;
+      if (!subscriptions[subscriptionCumulusId]) {
+        subscriptions[subscriptionCumulusId] = subscriptionPgModel.get(
+          knex,
+          { cumulus_id: subscriptionCumulusId }
+        );
+      }
+      return await attemptDelivery({
+        knex,
+        delivery,
+        subscription: await subscriptions[subscriptionCumulusId],
+        now,
+        ...deliveryOptions,
+      });
+    },
+    { concurrency: 5 }
+  );
+};
+
+module.exports = {
+  attemptDelivery,
+  deliveryLeaseMs,
+  enqueueDeliveries,
+  getRecordEvent,
+  getRetryDelayMs,
+  retryDueDeliveries,
+  signDelivery,
+};
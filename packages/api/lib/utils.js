@@ -94,7 +94,29 @@ function findCaseInsensitiveValue(obj, keyArg) {
   return obj[findCaseInsensitiveKey(obj, keyArg)];
 }
 
+/**
+ * Build a function which resolves when the next request may be sent, so that
+ * requests are sent at most `requestsPerSecond` times per second
+ *
+ * @param {number} requestsPerSecond - maximum number of requests per second
+ * @returns {Function} function returning a promise which resolves when the
+ *   next request may be sent
+ */
+function buildRateLimiter(requestsPerSecond) {
+  const interval = 1000 / requestsPerSecond;
+  let nextRequestTime = 0;
+  return async () => {
+    const now = Date.now();
+    const requestTime = Math.max(now, nextRequestTime);
+    nextRequestTime = requestTime + interval;
+    if (requestTime > now) {
+      await new Promise((resolve) => setTimeout(resolve, requestTime - now));
+    }
+  };
+}
+
 module.exports = {
+  buildRateLimiter,
   deconstructCollectionId,
   parseException,
   errorify,
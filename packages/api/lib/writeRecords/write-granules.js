@@ -1,8 +1,11 @@
 'use strict';
 
 const AggregateError = require('aggregate-error');
+const get = require('lodash/get');
 const isEmpty = require('lodash/isEmpty');
+const isUndefined = require('lodash/isUndefined');
 const omit = require('lodash/omit');
+const omitBy = require('lodash/omitBy');
 const pMap = require('p-map');
 
 const { s3 } = require('@cumulus/aws-client/services');
@@ -10,8 +13,10 @@ const cmrUtils = require('@cumulus/cmrjs/cmr-utils');
 const { buildURL } = require('@cumulus/common/URLUtils');
 const {
   CollectionPgModel,
+  createGranuleHistoryEntry,
   createRejectableTransaction,
   FilePgModel,
+  getExecutionInfoByGranuleCumulusId,
   GranulePgModel,
   translateApiFiletoPostgresFile,
   translateApiGranuleToPostgresGranule,
@@ -59,6 +64,7 @@ const { translatePostgresGranuleToApiGranule } = require('@cumulus/db/dist/trans
 const {
   RecordDoesNotExist,
 } = require('@cumulus/errors');
+const { enqueueCmrPublishRequest } = require('../cmrPublishQueue');
 const FileUtils = require('../FileUtils');
 const {
   getExecutionProcessingTimeInfo,
@@ -168,6 +174,7 @@ const getGranuleFromQueryResultOrLookup = async ({
  *   Cumulus ID for execution referenced in workflow message, if any
  * @param {Knex.transaction} params.trx - Transaction to interact with PostgreSQL database
  * @param {Object} params.granulePgModel - postgreSQL granule model
+ * @param {string} [params.actor] - Name of the API user writing the granule, if any
  *
  * @returns {Promise<number>} - Cumulus ID from PostgreSQL
  * @throws
@@ -177,6 +184,7 @@ const _writePostgresGranuleViaTransaction = async ({
   executionCumulusId,
   trx,
   granulePgModel,
+  actor,
 }) => {
   const upsertQueryResult = await upsertGranuleWithExecutionJoinRecord(
     trx,
@@ -201,6 +209,7 @@ const _writePostgresGranuleViaTransaction = async ({
     Successfully wrote granule with granuleId ${granuleRecord.granule_id}, collection_cumulus_id ${granuleRecord.collection_cumulus_id}
     to granule record with cumulus_id ${pgGranule.cumulus_id} in PostgreSQL
     `);
+    await createGranuleHistoryEntry(trx, { granule: pgGranule, executionCumulusId, actor });
   }
   return pgGranule;
 };
@@ -263,6 +272,10 @@ const _publishPostgresGranuleUpdateToSns = async ({
  * @param {Knex}    params.knex                  - Knex object
  * @param {string}  params.snsEventType          - SNS Event Type, defaults to 'Update'
  * @param {Object}  params.esClient              - Elasticsearch client
+ * @param {number}  [params.executionCumulusId]  - Cumulus ID of the execution to
+ *                                                 record in the granule history
+ * @param {string}  [params.actor]               - Name of the API user updating
+ *                                                 the granule, if any
  * returns {Promise}
  */
 const _updateGranule = async ({
@@ -276,6 +289,8 @@ const _updateGranule = async ({
   knex,
   snsEventType = 'Update',
   esClient,
+  executionCumulusId,
+  actor,
 }) => {
   const granuleId = apiGranule.granuleId;
   const esGranule = omit(apiGranule, apiFieldsToDelete);
@@ -288,6 +303,11 @@ const _updateGranule = async ({
       pgFieldUpdates,
       ['*']
     );
+    await createGranuleHistoryEntry(trx, {
+      granule: updatedPgGranule,
+      executionCumulusId,
+      actor,
+    });
     log.info(`Successfully wrote granule ${granuleId} to PostgreSQL`);
     try {
       await granuleModel.update({ granuleId }, apiFieldUpdates, apiFieldsToDelete);
@@ -332,6 +352,7 @@ const _updateGranule = async ({
  * @param {Object} params.granule - Granule from the payload
  * @param {Knex} params.knex - knex Client
  * @param {Object} params.error - error object to be set in the granule
+ * @param {string} [params.actor] - name of the API user updating the granule, if any
  * @returns {Promise}
  * @throws {Error}
  */
@@ -340,6 +361,7 @@ const updateGranuleStatusToFailed = async (params) => {
     granule,
     knex,
     error = {},
+    actor,
     collectionPgModel = new CollectionPgModel(),
     granuleModel = new Granule(),
     granulePgModel = new GranulePgModel(),
@@ -361,6 +383,13 @@ const updateGranuleStatusToFailed = async (params) => {
         collection_cumulus_id: collectionCumulusId,
       }
     );
+    // The granule failed in its latest execution
+    const [latestExecution] = await getExecutionInfoByGranuleCumulusId({
+      knexOrTransaction: knex,
+      granuleCumulusId: pgGranule.cumulus_id,
+      executionColumns: ['cumulus_id'],
+      limit: 1,
+    });
 
     await _updateGranule({
       apiGranule: granule,
@@ -372,6 +401,8 @@ const updateGranuleStatusToFailed = async (params) => {
       knex,
       snsEventType: 'Update',
       esClient,
+      executionCumulusId: latestExecution && latestExecution.cumulus_id,
+      actor,
     });
     log.debug(`Updated granule status to failed, Dynamo granuleId: ${granule.granuleId}, PostgreSQL cumulus_id: ${pgGranule.cumulus_id}`);
   } catch (thrownError) {
@@ -380,6 +411,83 @@ const updateGranuleStatusToFailed = async (params) => {
   }
 };
 
+/**
+ * Update the state of the CMR publication of a granule
+ *
+ * @param {Object} params
+ * @param {Object} params.granule - API granule
+ * @param {Knex} params.knex - knex Client
+ * @param {string|null} params.cmrPublishStatus - `pending` or `failed`, or
+ *   null when no CMR publish request of the granule is outstanding anymore
+ * @param {boolean} [params.published] - whether the granule is published
+ * @param {string} [params.cmrLink] - CMR link of the published granule
+ * @param {boolean} [params.releaseEmbargo] - whether to clear the `publishAt`
+ *   time of an embargoed granule
+ * @param {string} [params.actor] - name of the API user updating the granule, if any
+ * @returns {Promise}
+ * @throws {Error}
+ */
+const updateGranuleCmrPublishState = async (params) => {
+  const {
+    granule,
+    knex,
+    cmrPublishStatus,
+    published,
+    cmrLink,
+    releaseEmbargo = false,
+    actor,
+    collectionPgModel = new CollectionPgModel(),
+    granuleModel = new Granule(),
+    granulePgModel = new GranulePgModel(),
+    esClient = await Search.es(),
+  } = params;
+  const { granuleId, collectionId } = granule;
+  log.info(`updateGranuleCmrPublishState(): granuleId: ${granuleId}, collectionId: ${collectionId}, cmrPublishStatus: ${cmrPublishStatus}`);
+
+  const collectionCumulusId = await collectionPgModel.getRecordCumulusId(
+    knex,
+    deconstructCollectionId(collectionId)
+  );
+  const pgGranule = await granulePgModel.get(
+    knex,
+    {
+      granule_id: granuleId,
+      collection_cumulus_id: collectionCumulusId,
+    }
+  );
+
+  const status = cmrPublishStatus || null;
+  const apiFieldsToDelete = [
+    ...(status ? [] : ['cmrPublishStatus']),
+    ...(releaseEmbargo ? ['publishAt'] : []),
+  ];
+  // Cleared fields are deleted from DynamoDB, and set to null in
+  // Elasticsearch as its update merges the fields of the granule
+  await _updateGranule({
+    apiGranule: granule,
+    postgresGranule: pgGranule,
+    apiFieldUpdates: {
+      ...omitBy({ published, cmrLink }, isUndefined),
+      cmrPublishStatus: status,
+      ...(releaseEmbargo ? { publishAt: null } : {}),
+    },
+    pgFieldUpdates: omitBy({
+      published,
+      cmr_link: cmrLink,
+      cmr_publish_status: status,
+      publish_at: releaseEmbargo ? null : undefined,
+    }, isUndefined),
+    apiFieldsToDelete,
+    granuleModel,
+    granulePgModel,
+    knex,
+    snsEventType: 'Update',
+    esClient,
+    actor,
+  });
+  log.debug(`Updated CMR publish status of granule ${granuleId} to ${status}, PostgreSQL cumulus_id: ${pgGranule.cumulus_id}`);
+};
+
 /**
  * Generate file records based on workflow status, write files to
  * the database, and update granule status if file writes fail
@@ -477,6 +585,7 @@ const _writeGranuleRecords = async (params) => {
     granuleModel,
     executionCumulusId,
     granulePgModel,
+    actor,
   } = params;
   let pgGranule;
   log.info('About to write granule record %j to PostgreSQL', postgresGranuleRecord);
@@ -489,6 +598,7 @@ const _writeGranuleRecords = async (params) => {
         executionCumulusId,
         trx,
         granulePgModel,
+        actor,
       });
       await granuleModel.storeGranule(apiGranuleRecord);
       await upsertGranule({
@@ -607,6 +717,7 @@ const _writePostgresFilesFromApiGranuleFiles = async ({
  * @param {Object}          params.postgresGranuleRecord - PostgreSQL granule record to write
  *                                                         to database
  * @param {string}          params.snsEventType - SNS Event Type
+ * @param {string}          [params.actor] - Name of the API user writing the granule, if any
  * returns {Promise}
  */
 const _writeGranule = async ({
@@ -618,6 +729,7 @@ const _writeGranule = async ({
   granulePgModel,
   knex,
   snsEventType,
+  actor,
 }) => {
   const pgGranule = await _writeGranuleRecords({
     postgresGranuleRecord,
@@ -627,6 +739,7 @@ const _writeGranule = async ({
     granuleModel,
     executionCumulusId,
     granulePgModel,
+    actor,
   });
 
   await _writePostgresFilesFromApiGranuleFiles({
@@ -660,6 +773,7 @@ const _writeGranule = async ({
 * @param {Object}          params.postgresGranuleRecord - PostgreSQL granule record to write
 *                                                         to database
 * @param {string}          params.snsEventType - SNS Event Type
+* @param {string}          [params.actor] - Name of the API user writing the granule, if any
 * @returns {Promise}
 */
 const writeGranuleRecordAndPublishSns = async ({
@@ -671,6 +785,7 @@ const writeGranuleRecordAndPublishSns = async ({
   granulePgModel,
   knex,
   snsEventType = 'Update',
+  actor,
 }) => {
   const pgGranule = await _writeGranuleRecords({
     postgresGranuleRecord,
@@ -680,6 +795,7 @@ const writeGranuleRecordAndPublishSns = async ({
     granuleModel,
     executionCumulusId,
     granulePgModel,
+    actor,
   });
   await _publishPostgresGranuleUpdateToSns({
     snsEventType,
@@ -700,6 +816,8 @@ const writeGranuleRecordAndPublishSns = async ({
  *                               must already exist in database.
  * @param {string} [granule.cmrLink] - url to CMR information for this granule.
  * @param {boolean} [granule.published] - published to cmr
+ * @param {string} [granule.publishAt] - time at which the embargoed granule is
+ *   to be published to CMR
  * @param {string} [granule.pdrName] - pdr name
  * @param {string} [granule.provider] - provider
  * @param {Object} [granule.error = {}] - workflow errors
@@ -724,6 +842,7 @@ const writeGranuleRecordAndPublishSns = async ({
  * @param {Knex} knex - knex Client
  * @param {Object} esClient - Elasticsearch client
  * @param {string} snsEventType - SNS Event Type
+ * @param {string} [actor] - name of the API user writing the granule, if any
  * @returns {Promise}
  */
 const writeGranuleFromApi = async (
@@ -734,6 +853,7 @@ const writeGranuleFromApi = async (
     execution,
     cmrLink,
     published,
+    publishAt,
     pdrName,
     provider,
     error = {},
@@ -757,10 +877,11 @@ const writeGranuleFromApi = async (
   },
   knex,
   esClient,
-  snsEventType
+  snsEventType,
+  actor
 ) => {
   try {
-    const granule = { granuleId, cmrLink, published, files };
+    const granule = { granuleId, cmrLink, published, publishAt, files };
     const processingTimeInfo = {
       processingStartDateTime,
       processingEndDateTime,
@@ -816,6 +937,7 @@ const writeGranuleFromApi = async (
       granulePgModel,
       esClient,
       snsEventType,
+      actor,
     });
     return `Wrote Granule ${granule.granuleId}`;
   } catch (thrownError) {
@@ -824,12 +946,12 @@ const writeGranuleFromApi = async (
   }
 };
 
-const createGranuleFromApi = async (granule, knex, esClient) => {
-  await writeGranuleFromApi(granule, knex, esClient, 'Create');
+const createGranuleFromApi = async (granule, knex, esClient, actor) => {
+  await writeGranuleFromApi(granule, knex, esClient, 'Create', actor);
 };
 
-const updateGranuleFromApi = async (granule, knex, esClient) => {
-  await writeGranuleFromApi(granule, knex, esClient, 'Update');
+const updateGranuleFromApi = async (granule, knex, esClient, actor) => {
+  await writeGranuleFromApi(granule, knex, esClient, 'Update', actor);
 };
 
 /**
@@ -920,7 +1042,7 @@ const writeGranulesFromMessage = async ({
         knex
       );
 
-      return _writeGranule({
+      const writeResult = await _writeGranule({
         postgresGranuleRecord,
         apiGranuleRecord,
         executionCumulusId,
@@ -930,6 +1052,32 @@ const writeGranulesFromMessage = async ({
         esClient,
         snsEventType: 'Update',
       });
+
+      // The granule is queued for publication once its record is written,
+      // so that the CMR publish queue consumer finds its files. A granule
+      // which cannot be queued is marked as failed rather than left pending.
+      if (apiGranuleRecord.cmrPublishStatus === 'pending' && isStatusFinalState(status)) {
+        try {
+          await enqueueCmrPublishRequest({
+            action: 'publish',
+            granuleId: apiGranuleRecord.granuleId,
+            collectionId,
+            cmrProvider: get(cumulusMessage, 'meta.cmr.provider'),
+          });
+        } catch (enqueueError) {
+          log.error(`Failed to queue CMR publish of granule ${apiGranuleRecord.granuleId}`, enqueueError);
+          await updateGranuleCmrPublishState({
+            granule: apiGranuleRecord,
+            knex,
+            cmrPublishStatus: 'failed',
+            granuleModel,
+            granulePgModel,
+            esClient,
+          });
+          throw enqueueError;
+        }
+      }
+      return writeResult;
     }
   ));
   const failures = results.filter((result) => result.status === 'rejected');
@@ -948,6 +1096,7 @@ const writeGranulesFromMessage = async ({
  * @param {Object} params
  * @param {Object} params.granule - dynamo granule object
  * @param {Knex} params.knex - knex Client
+ * @param {string} [params.actor] - name of the API user updating the granule, if any
  * @returns {Promise}
  * @throws {Error}
  */
@@ -955,6 +1104,7 @@ const updateGranuleStatusToQueued = async (params) => {
   const {
     granule,
     knex,
+    actor,
     collectionPgModel = new CollectionPgModel(),
     granuleModel = new Granule(),
     granulePgModel = new GranulePgModel(),
@@ -988,6 +1138,7 @@ const updateGranuleStatusToQueued = async (params) => {
       knex,
       snsEventType: 'Update',
       esClient,
+      actor,
     });
 
     log.debug(`Updated granule status to queued, Dynamo granuleId: ${granule.granuleId}, PostgreSQL cumulus_id: ${pgGranule.cumulus_id}`);
@@ -1005,6 +1156,7 @@ module.exports = {
   updateGranuleFromApi,
   updateGranuleStatusToQueued,
   updateGranuleStatusToFailed,
+  updateGranuleCmrPublishState,
   writeGranuleFromApi,
   writeGranulesFromMessage,
   writeGranuleRecordAndPublishSns,
@@ -17,14 +17,29 @@ const { ValidationError } = require('@cumulus/errors');
 const Manager = require('./base');
 const { rule: ruleSchema } = require('./schemas');
 const { getSnsTriggerPermissionId } = require('../lib/snsRuleHelpers');
+const { validateHttpRule } = require('../lib/httpRuleHelpers');
+const { validateRuleFilterExpression } = require('../lib/ruleFilterHelpers');
+const {
+  getS3TriggerNotificationId,
+  getS3TriggerPermissionId,
+  s3RulesHaveSameTrigger,
+} = require('../lib/s3RuleHelpers');
 const { isResourceNotFoundException, ResourceNotFoundError } = require('../lib/errors');
 
 class Rule extends Manager {
+  static recordIsValid(item, schema, removeAdditional = false) {
+    super.recordIsValid(item, schema, removeAdditional);
+
+    if (item.rule.type === 'http') validateHttpRule(item);
+    validateRuleFilterExpression(item);
+  }
+
   constructor({
     SqsUtils = SQS,
     SqsClient = awsServices.sqs(),
     SnsClient = awsServices.sns(),
     LambdaClient = awsServices.lambda(),
+    S3Client = awsServices.s3(),
   } = {}) {
     super({
       tableName: process.env.RulesTable,
@@ -47,6 +62,7 @@ class Rule extends Manager {
     this.SqsClient = SqsClient;
     this.SnsClient = SnsClient;
     this.LambdaClient = LambdaClient;
+    this.S3Client = S3Client;
   }
 
   async addRule(item, payload) {
@@ -99,7 +115,13 @@ class Rule extends Manager {
     default:
       break;
     }
-    return super.delete({ name: item.name });
+    const response = await super.delete({ name: item.name });
+    // The trigger of an s3 rule is only deleted once the rule is, as the
+    // rules sharing the trigger are looked up in the table
+    if (item.rule.type === 's3' && item.state === 'ENABLED') {
+      await this.deleteS3Trigger(item);
+    }
+    return response;
   }
 
   async getAllRules() {
@@ -204,6 +226,9 @@ class Rule extends Manager {
     case 'sqs':
       updatedRuleItem = await this.validateAndUpdateSqsRule(updatedRuleItem);
       break;
+    case 's3':
+      await this.validateAndAddS3Trigger(updatedRuleItem);
+      break;
     default:
       break;
     }
@@ -302,6 +327,12 @@ class Rule extends Manager {
     case 'sqs':
       newRuleItem = await this.validateAndUpdateSqsRule(newRuleItem);
       break;
+    case 's3':
+      await this.validateAndAddS3Trigger(newRuleItem);
+      break;
+    case 'http':
+      // http rules are triggered by the `POST /rules/:name/trigger` endpoint
+      break;
     default:
       throw new ValidationError(`Rule type \'${newRuleItem.rule.type}\' not supported.`);
     }
@@ -529,11 +560,167 @@ class Rule extends Manager {
       }
       break;
     }
+    case 's3': {
+      if (item.state === 'ENABLED') {
+        await this.deleteS3Trigger(item);
+      }
+      break;
+    }
     default:
       break;
     }
   }
 
+  /**
+   * Validate the bucket of an s3 rule and add its trigger if it is enabled
+   *
+   * @param {Object} rule - the s3 rule
+   * @returns {Promise<void>}
+   * @throws {ValidationError} if the rule has no bucket
+   */
+  async validateAndAddS3Trigger(rule) {
+    if (!rule.rule.value) {
+      throw new ValidationError(`Rule ${rule.name} of type 's3' requires the name of its bucket as rule.value`);
+    }
+    if (rule.state === 'ENABLED') {
+      await this.addS3Trigger(rule);
+    }
+  }
+
+  /**
+   * Allow the bucket of an s3 rule to invoke the message consumer Lambda. The
+   * permission is shared by the rules of the bucket.
+   *
+   * @param {Object} item - the s3 rule
+   * @returns {Promise<void>}
+   */
+  async addS3TriggerPermission(item) {
+    try {
+      await this.LambdaClient.addPermission({
+        Action: 'lambda:InvokeFunction',
+        FunctionName: process.env.messageConsumer,
+        Principal: 's3.amazonaws.com',
+        SourceArn: `arn:aws:s3:::${item.rule.value}`,
+        StatementId: getS3TriggerPermissionId(item),
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ResourceConflictException') throw error;
+    }
+  }
+
+  /**
+   * Add the notification configuration invoking the message consumer Lambda
+   * when objects matching the prefix and suffix of an s3 rule are created in
+   * its bucket, unless it already exists
+   *
+   * @param {Object} item - the s3 rule
+   * @returns {Promise<string>} the ID of the notification configuration
+   */
+  async addS3Trigger(item) {
+    const bucket = item.rule.value;
+    const notificationId = getS3TriggerNotificationId(item);
+    // S3 validates the destination of the notification configuration
+    await this.addS3TriggerPermission(item);
+
+    const notificationConfiguration = await this.S3Client.getBucketNotificationConfiguration({
+      Bucket: bucket,
+    }).promise();
+    const lambdaConfigurations = notificationConfiguration.LambdaFunctionConfigurations || [];
+    if (lambdaConfigurations.some((configuration) => configuration.Id === notificationId)) {
+      return notificationId;
+    }
+
+    const filterRules = [
+      { Name: 'prefix', Value: item.rule.prefix },
+      { Name: 'suffix', Value: item.rule.suffix },
+    ].filter((filterRule) => filterRule.Value);
+    await this.S3Client.putBucketNotificationConfiguration({
+      Bucket: bucket,
+      NotificationConfiguration: {
+        ...notificationConfiguration,
+        LambdaFunctionConfigurations: [
+          ...lambdaConfigurations,
+          {
+            Id: notificationId,
+            LambdaFunctionArn: process.env.messageConsumer,
+            Events: ['s3:ObjectCreated:*'],
+            ...(filterRules.length > 0 ? { Filter: { Key: { FilterRules: filterRules } } } : {}),
+          },
+        ],
+      },
+    }).promise();
+    return notificationId;
+  }
+
+  /**
+   * Check if the trigger of an s3 rule is shared with enabled rules of the
+   * table with the same bucket, prefix and suffix
+   *
+   * @param {Object} item - the s3 rule
+   * @returns {Promise<boolean>} true if the trigger is shared
+   */
+  async isS3TriggerShared(item) {
+    const rules = await super.scan({
+      names: {
+        '#st': 'state',
+        '#rl': 'rule',
+        '#tp': 'type',
+        '#vl': 'value',
+      },
+      filter: '#st = :enabledState AND #rl.#tp = :ruleType AND #rl.#vl = :bucket',
+      values: {
+        ':enabledState': 'ENABLED',
+        ':ruleType': 's3',
+        ':bucket': item.rule.value,
+      },
+    });
+    return (rules.Items || []).some((rule) => s3RulesHaveSameTrigger(rule, item));
+  }
+
+  /**
+   * Delete the notification configuration of an s3 rule unless it is shared
+   * by other rules, and the permission of its bucket to invoke the message
+   * consumer Lambda once no notification configuration of the bucket
+   * invokes it
+   *
+   * @param {Object} item - the s3 rule
+   * @returns {Promise<void>}
+   */
+  async deleteS3Trigger(item) {
+    if (await this.isS3TriggerShared(item)) {
+      log.info(`S3 trigger of rule ${item.name} is shared by multiple rules, so it will not be deleted.`);
+      return;
+    }
+    const bucket = item.rule.value;
+    const notificationId = getS3TriggerNotificationId(item);
+    const notificationConfiguration = await this.S3Client.getBucketNotificationConfiguration({
+      Bucket: bucket,
+    }).promise();
+    const lambdaConfigurations = (notificationConfiguration.LambdaFunctionConfigurations || [])
+      .filter((configuration) => configuration.Id !== notificationId);
+    await this.S3Client.putBucketNotificationConfiguration({
+      Bucket: bucket,
+      NotificationConfiguration: {
+        ...notificationConfiguration,
+        LambdaFunctionConfigurations: lambdaConfigurations,
+      },
+    }).promise();
+
+    if (lambdaConfigurations.some(
+      (configuration) => configuration.LambdaFunctionArn === process.env.messageConsumer
+    )) {
+      return;
+    }
+    try {
+      await this.LambdaClient.removePermission({
+        FunctionName: process.env.messageConsumer,
+        StatementId: getS3TriggerPermissionId(item),
+      }).promise();
+    } catch (error) {
+      if (!isResourceNotFoundException(error)) throw error;
+    }
+  }
+
   /**
    * validate and update sqs rule with queue property
    *
@@ -577,7 +764,7 @@ class Rule extends Manager {
    * @param {string} queryParams.version - a collection version
    * @param {string} queryParams.sourceArn - the ARN of the message source for the rule
    * @param {string} queryParams.state - "ENABLED" or "DISABLED"
-   * @param {string} queryParams.type - "kinesis", "sns" "sqs", or "onetime"
+   * @param {string} queryParams.type - "kinesis", "sns" "sqs", "s3", or "onetime"
    * @returns {Array} List of zero or more rules found from table scan
    * @throws {Error}
    */
@@ -588,8 +775,8 @@ class Rule extends Manager {
     state = 'ENABLED',
     type,
   }) {
-    if (!['kinesis', 'sns', 'sqs', 'onetime'].includes(type)) {
-      throw new Error(`Unrecognized rule type: ${type}. Expected "kinesis", "sns", "sqs", or "onetime"`);
+    if (!['kinesis', 'sns', 'sqs', 's3', 'onetime'].includes(type)) {
+      throw new Error(`Unrecognized rule type: ${type}. Expected "kinesis", "sns", "sqs", "s3", or "onetime"`);
     }
     const names = {
       '#st': 'state',
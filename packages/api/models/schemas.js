@@ -50,7 +50,7 @@ module.exports.asyncOperation = {
     description: { type: 'string' },
     operationType: {
       type: 'string',
-      enum: ['Data Migration', 'Dead-Letter Processing', 'Migration Count Report', 'ES Index', 'Bulk Granules', 'Bulk Granule Delete', 'Bulk Granule Reingest', 'Kinesis Replay', 'Reconciliation Report', 'SQS Replay'],
+      enum: ['Data Migration', 'Dead-Letter Processing', 'Migration Count Report', 'ES Index', 'Bulk Granules', 'Bulk Granule Delete', 'Bulk Granule Reingest', 'Bulk Granule CMR Update', 'Kinesis Replay', 'Reconciliation Report', 'SQS Replay'],
     },
     output: {
       description: 'The result of the operation, stored as JSON',
@@ -228,6 +228,21 @@ module.exports.collection = {
         type: 'string',
       },
     },
+    ummC: {
+      title: 'Optional UMM-C metadata of the collection, published to CMR',
+      type: 'object',
+      additionalProperties: true,
+    },
+    published: {
+      title: 'Whether the UMM-C metadata of the collection is published to CMR',
+      type: 'boolean',
+      readonly: true,
+    },
+    cmrConceptId: {
+      title: 'Concept ID of the collection in CMR',
+      type: 'string',
+      readonly: true,
+    },
   },
   required: [
     'name',
@@ -299,6 +314,17 @@ module.exports.granule = {
       description: 'shows whether the granule is published to CMR',
       readonly: true,
     },
+    cmrPublishStatus: {
+      type: 'string',
+      enum: ['pending', 'failed'],
+      description: 'state of a queued CMR publish or delete request for the granule',
+      readonly: true,
+    },
+    publishAt: {
+      type: 'string',
+      format: 'date-time',
+      description: 'time at which the embargoed granule is to be published to CMR',
+    },
     duration: {
       title: 'Ingest duration',
       type: 'number',
@@ -475,14 +501,43 @@ module.exports.rule = {
         type: {
           title: 'Rule Type',
           type: 'string',
-          enum: ['onetime', 'scheduled', 'sns', 'kinesis', 'sqs'],
+          enum: ['onetime', 'scheduled', 'sns', 'kinesis', 'sqs', 's3', 'http'],
         },
         // Value is multi-use.   For a kinesis rule this is the target stream arn, for
         // a scheduled event it's the schedule pattern (e.g. cron), for a one-time rule.
+        // For an s3 rule it's the name of the bucket. For an http rule it's the
+        // ID of the Secrets Manager secret authenticating its requests.
         value: {
           title: 'Value for Rule Type',
           type: 'string',
         },
+        prefix: {
+          title: 'S3 Object Key Prefix',
+          description: 'Prefix of the keys of the objects triggering an s3 rule',
+          type: 'string',
+        },
+        suffix: {
+          title: 'S3 Object Key Suffix',
+          description: 'Suffix of the keys of the objects triggering an s3 rule',
+          type: 'string',
+        },
+        authType: {
+          title: 'HTTP Authentication Type',
+          description: 'How the requests triggering an http rule are authenticated: with the secret of the rule in the X-Cumulus-Secret header, or with an HMAC signature of the request made with the secret of the rule. Defaults to secret.',
+          type: 'string',
+          enum: ['hmac', 'secret'],
+        },
+        payloadSchema: {
+          title: 'HTTP Payload Schema',
+          description: 'JSON schema validating the bodies of the requests triggering an http rule',
+          type: 'object',
+          additionalProperties: true,
+        },
+        filterExpression: {
+          title: 'Message Filter Expression',
+          description: 'JMESPath expression evaluated against the messages received by an sns, kinesis or sqs rule. The rule only triggers its workflow for the messages for which the expression is truthy.',
+          type: 'string',
+        },
         // Kinesis scheduled event arn
         arn: {
           title: 'Kinesis Scheduled Event ARN',
@@ -630,7 +685,7 @@ module.exports.provider = {
     protocol: {
       title: 'Protocol',
       type: 'string',
-      enum: ['http', 'https', 'ftp', 'sftp', 's3'],
+      enum: ['http', 'https', 'ftp', 'ftps', 'sftp', 's3'],
       default: 'http',
     },
     host: {
@@ -681,6 +736,50 @@ module.exports.provider = {
       type: 'string',
       description: 'Optional SSL Certificate S3 URI for custom or self-signed SSL (TLS) certificate',
     },
+    httpListing: {
+      title: 'HTTP Listing',
+      description: 'For http and https providers: how provider paths are listed',
+      type: 'object',
+      properties: {
+        mode: {
+          description: 'html scrapes the links of index pages, json reads a JSON index file, stac traverses a STAC catalog or API and manifest reads a checksum manifest',
+          type: 'string',
+          enum: ['html', 'json', 'stac', 'manifest'],
+          default: 'html',
+        },
+        indexFile: {
+          description: 'Path of the index file relative to the listed path. Defaults to index.json, catalog.json or MD5SUMS.',
+          type: 'string',
+        },
+        checksumType: {
+          description: 'Checksum type of the manifest, inferred from the manifest name by default',
+          type: 'string',
+        },
+      },
+      additionalProperties: false,
+    },
+    httpAuth: {
+      title: 'HTTP Authentication',
+      description: 'For http and https providers: how requests to the provider are authenticated',
+      type: 'object',
+      properties: {
+        type: {
+          description: 'basic uses the username and password of the provider, bearer sends a static token, edl logs in to Earthdata Login and certificate authenticates with a client certificate',
+          type: 'string',
+          enum: ['basic', 'bearer', 'edl', 'certificate'],
+          default: 'basic',
+        },
+        secretId: {
+          description: 'ID of the Secrets Manager secret holding the bearer token, the Earthdata Login credentials or the client certificate',
+          type: 'string',
+        },
+        loginUrl: {
+          description: 'Earthdata Login URL of the edl type, https://urs.earthdata.nasa.gov by default',
+          type: 'string',
+        },
+      },
+      additionalProperties: false,
+    },
   },
   required: [
     'id',
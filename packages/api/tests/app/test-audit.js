@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  AuditLogPgModel,
+  destroyLocalTestDb,
+  generateLocalTestDb,
+  migrationDir,
+} = require('@cumulus/db');
+
+const { auditRequest, getRequestBodyDigest } = require('../../app/audit');
+
+const testDbName = `audit_${cryptoRandomString({ length: 10 })}`;
+
+const buildRequest = (params = {}) => ({
+  method: 'PUT',
+  baseUrl: '/rules',
+  path: '/rule1',
+  originalUrl: '/rules/rule1',
+  body: { name: 'rule1', state: 'DISABLED' },
+  authorizedMetadata: { userName: 'user1' },
+  ...params,
+});
+
+const buildResponse = () => {
+  const res = { statusCode: 200 };
+  res.end = sinon.fake(() => res);
+  return res;
+};
+
+// Wait for the response to be sent after the audit log entry is written
+const waitForEnd = async (end) => {
+  while (!end.called) {
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+  t.context.auditLogPgModel = new AuditLogPgModel();
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('getRequestBodyDigest() returns the SHA-256 digest of the request body', (t) => {
+  t.is(
+    getRequestBodyDigest({ body: { a: 1 } }),
+    '015abd7f5cc57a2dd94b7590f04ad8084273905ee33ec5cebeae62276a97f862'
+  );
+  t.is(getRequestBodyDigest({ body: {} }), undefined);
+});
+
+test.serial('auditRequest() writes an audit log entry with before and after snapshots', async (t) => {
+  const { auditLogPgModel, knex } = t.context;
+  const recordId = cryptoRandomString({ length: 10 });
+  const getRecord = sinon.stub();
+  getRecord.onFirstCall().resolves({ name: recordId, state: 'ENABLED' });
+  getRecord.onSecondCall().resolves({ name: recordId, state: 'DISABLED' });
+
+  const req = buildRequest({ path: `/${recordId}` });
+  const res = buildResponse();
+  const end = res.end;
+  const next = sinon.fake();
+
+  await auditRequest('rules', { getRecord, getKnex: () => knex })(req, res, next);
+  t.true(next.calledOnce);
+  t.true(getRecord.calledOnceWith(knex, recordId));
+
+  res.end('response body');
+  await waitForEnd(end);
+  t.true(end.calledOnceWith('response body'));
+
+  const [entry] = await auditLogPgModel.search(knex, { record_id: recordId });
+  t.like(entry, {
+    username: 'user1',
+    method: 'PUT',
+    route: `/rules/${recordId}`,
+    record_type: 'rules',
+    request_body_digest: getRequestBodyDigest(req),
+    before: { name: recordId, state: 'ENABLED' },
+    after: { name: recordId, state: 'DISABLED' },
+    status_code: 200,
+    outcome: 'success',
+  });
+});
+
+test.serial('auditRequest() records failed requests', async (t) => {
+  const { auditLogPgModel, knex } = t.context;
+  const recordId = cryptoRandomString({ length: 10 });
+
+  const res = buildResponse();
+  const end = res.end;
+  await auditRequest('rules', { getRecord: () => Promise.resolve(), getKnex: () => knex })(
+    buildRequest({ method: 'DELETE', path: `/${recordId}`, body: {} }),
+    res,
+    sinon.fake()
+  );
+  res.statusCode = 403;
+  res.end();
+  await waitForEnd(end);
+
+  const [entry] = await auditLogPgModel.search(knex, { record_id: recordId });
+  t.like(entry, {
+    method: 'DELETE',
+    status_code: 403,
+    outcome: 'failure',
+  });
+  t.falsy(entry.request_body_digest);
+  t.falsy(entry.before);
+});
+
+test.serial('auditRequest() does not audit reading requests', async (t) => {
+  const getKnex = sinon.fake();
+  const next = sinon.fake();
+
+  await auditRequest('rules', { getKnex })(buildRequest({ method: 'GET' }), buildResponse(), next);
+
+  t.true(next.calledOnce);
+  t.false(getKnex.called);
+});
+
+test.serial('auditRequest() sends the response if the audit log entry cannot be written', async (t) => {
+  const { knex } = t.context;
+  const auditLogPgModel = { create: sinon.fake.rejects(new Error('Database unavailable')) };
+
+  const res = buildResponse();
+  const end = res.end;
+  await auditRequest('rules', { auditLogPgModel, getKnex: () => knex })(
+    buildRequest(),
+    res,
+    sinon.fake()
+  );
+  res.end();
+  await waitForEnd(end);
+
+  t.true(auditLogPgModel.create.calledOnce);
+  t.true(end.calledOnce);
+});
+
+test.serial('auditRequest() handles the request if it cannot be audited', async (t) => {
+  const next = sinon.fake();
+  const res = buildResponse();
+  const end = res.end;
+
+  await auditRequest('rules', { getKnex: sinon.fake.rejects(new Error('Database unavailable')) })(
+    buildRequest(),
+    res,
+    next
+  );
+  await auditRequest('rules', {
+    getKnex: () => t.context.knex,
+    getRecordId: () => {
+      throw new URIError('URI malformed');
+    },
+  })(buildRequest(), res, next);
+
+  t.true(next.calledTwice);
+  t.is(res.end, end);
+});
@@ -0,0 +1,321 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  GranulePgModel,
+  ProviderPgModel,
+  RulePgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeGranuleRecordFactory,
+  fakeProviderRecordFactory,
+  fakeRuleRecordFactory,
+  generateLocalTestDb,
+  migrationDir,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const {
+  collectionScope,
+  discoveryStateScope,
+  getDefaultRole,
+  getEffectiveRole,
+  getRequiredRole,
+  granuleScope,
+  providerScope,
+  requireRole,
+  ruleScope,
+} = require('../../app/rbac');
+const { buildFakeExpressResponse } = require('../endpoints/utils');
+
+const username = 'test-user';
+
+const buildRequest = (params = {}) => ({
+  method: 'GET',
+  baseUrl: '/collections',
+  path: '/',
+  query: {},
+  body: {},
+  authorizedMetadata: { userName: username },
+  ...params,
+});
+
+const runMiddleware = async (options, req, roleAssignments) => {
+  const res = buildFakeExpressResponse();
+  const next = sinon.fake();
+  await requireRole({
+    ...options,
+    getRoleAssignments: () => Promise.resolve(roleAssignments),
+  })(req, res, next);
+  return { res, next };
+};
+
+const testDbName = `rbac_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  const collection = fakeCollectionRecordFactory();
+  const [pgCollection] = await new CollectionPgModel().create(knex, collection);
+  const provider = fakeProviderRecordFactory();
+  const [providerCumulusId] = await new ProviderPgModel().create(knex, provider);
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+  t.context.provider = provider.name;
+
+  t.context.granule = fakeGranuleRecordFactory({
+    collection_cumulus_id: pgCollection.cumulus_id,
+    provider_cumulus_id: providerCumulusId,
+  });
+  await new GranulePgModel().create(knex, t.context.granule);
+  t.context.rule = fakeRuleRecordFactory({
+    collection_cumulus_id: pgCollection.cumulus_id,
+    provider_cumulus_id: providerCumulusId,
+  });
+  await new RulePgModel().create(knex, t.context.rule);
+});
+
+test.beforeEach(() => {
+  delete process.env.API_DEFAULT_ROLE;
+  delete process.env.auth_mode;
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({ ...t.context, testDbName });
+});
+
+test.serial('getDefaultRole() returns admin if API_DEFAULT_ROLE is not set', (t) => {
+  t.is(getDefaultRole({}), 'admin');
+  t.is(getDefaultRole({ API_DEFAULT_ROLE: 'read-only' }), 'read-only');
+  t.is(getDefaultRole({ API_DEFAULT_ROLE: '' }), undefined);
+});
+
+test('getRequiredRole() uses the router role, then route roles, then method roles', (t) => {
+  const routes = [{ method: 'POST', path: /^\/bulkDelete\/?$/, role: 'admin' }];
+
+  t.is(getRequiredRole({ method: 'GET', path: '/' }, {}), 'read-only');
+  t.is(getRequiredRole({ method: 'POST', path: '/' }, { routes }), 'operator');
+  t.is(getRequiredRole({ method: 'POST', path: '/bulkDelete' }, { routes }), 'admin');
+  t.is(getRequiredRole({ method: 'PUT', path: '/' }, { methods: { PUT: 'admin' } }), 'admin');
+  t.is(getRequiredRole({ method: 'DELETE', path: '/a' }, {}), 'admin');
+  t.is(getRequiredRole({ method: 'GET', path: '/' }, { role: 'admin' }), 'admin');
+});
+
+test('getEffectiveRole() returns the highest role of the assignments for the scope', (t) => {
+  const roleAssignments = [
+    { username, role: 'read-only' },
+    { username, role: 'admin', collectionId: 'A___1' },
+    { username, role: 'operator', provider: 'p1' },
+  ];
+
+  t.is(getEffectiveRole(roleAssignments, { collectionId: 'A___1' }, 'admin'), 'admin');
+  t.is(getEffectiveRole(roleAssignments, { collectionId: 'B___1' }, 'operator'), 'read-only');
+  t.is(getEffectiveRole(roleAssignments, { collectionId: 'B___1', provider: 'p1' }, 'operator'), 'operator');
+  t.is(getEffectiveRole(roleAssignments, {}, 'operator'), 'read-only');
+});
+
+test('getEffectiveRole() ignores the scope of assignments for reading', (t) => {
+  const roleAssignments = [{ username, role: 'operator', collectionId: 'A___1' }];
+
+  t.is(getEffectiveRole(roleAssignments, {}, 'read-only'), 'operator');
+  t.is(getEffectiveRole(roleAssignments, {}, 'operator'), undefined);
+});
+
+test('scope functions get the collection and provider of requests', (t) => {
+  t.deepEqual(
+    collectionScope(buildRequest({ path: '/MOD09GQ/006' })),
+    { collectionId: 'MOD09GQ___006' }
+  );
+  t.deepEqual(
+    collectionScope(buildRequest({ method: 'POST', body: { name: 'MOD09GQ', version: '006' } })),
+    { collectionId: 'MOD09GQ___006' }
+  );
+  t.deepEqual(
+    collectionScope(buildRequest({
+      method: 'POST',
+      path: '/validate',
+      body: { collection: { name: 'MOD09GQ', version: '006' } },
+    })),
+    { collectionId: 'MOD09GQ___006' }
+  );
+  t.deepEqual(providerScope(buildRequest({ path: '/s3_provider' })), { provider: 's3_provider' });
+  t.deepEqual(
+    providerScope(buildRequest({ method: 'POST', path: '/test', body: { provider: { id: 'p1' } } })),
+    { provider: 'p1' }
+  );
+  t.deepEqual(
+    discoveryStateScope(buildRequest({
+      method: 'DELETE',
+      query: { collectionId: 'MOD09GQ___006', provider: 'p1' },
+    })),
+    { collectionId: 'MOD09GQ___006', provider: 'p1' }
+  );
+  t.deepEqual(
+    discoveryStateScope(buildRequest({
+      method: 'PUT',
+      query: { provider: 'p2' },
+      body: { collectionId: 'MOD09GQ___006', provider: 'p1' },
+    })),
+    { collectionId: 'MOD09GQ___006', provider: 'p1' }
+  );
+});
+
+test('granuleScope() gets the scope of stored granules rather than of the request', async (t) => {
+  const { knex, granule, collectionId, provider } = t.context;
+  const storedScope = { collectionId, provider };
+  const body = { collectionId: 'MOD09GQ___006', provider: 'p1' };
+
+  t.deepEqual(
+    await granuleScope(buildRequest({ method: 'DELETE', path: `/${granule.granule_id}`, query: { collectionId: 'MOD09GQ___006' } }), knex),
+    [storedScope]
+  );
+  t.deepEqual(
+    await granuleScope(buildRequest({ method: 'PUT', path: `/${granule.granule_id}`, body: { ...body, action: 'reingest' } }), knex),
+    [storedScope]
+  );
+  t.deepEqual(
+    await granuleScope(buildRequest({ method: 'PUT', path: `/${granule.granule_id}`, body }), knex),
+    [storedScope, body]
+  );
+  t.deepEqual(
+    await granuleScope(buildRequest({ method: 'POST', path: '/', body }), knex),
+    body
+  );
+  t.deepEqual(
+    await granuleScope(buildRequest({ method: 'DELETE', path: '/unknown-granule' }), knex),
+    {}
+  );
+  t.deepEqual(
+    await granuleScope(buildRequest({ method: 'POST', path: '/bulkDelete', body }), knex),
+    {}
+  );
+});
+
+test('ruleScope() gets the scope of stored rules rather than of the request', async (t) => {
+  const { knex, rule, collectionId, provider } = t.context;
+  const storedScope = { collectionId, provider };
+
+  t.deepEqual(
+    await ruleScope(buildRequest({ method: 'DELETE', path: `/${rule.name}`, query: { collectionId: 'MOD09GQ___006' } }), knex),
+    [storedScope]
+  );
+  t.deepEqual(
+    await ruleScope(buildRequest({ method: 'PUT', path: `/${rule.name}`, body: { provider: 'p1' } }), knex),
+    [storedScope, { collectionId: undefined, provider: 'p1' }]
+  );
+  t.deepEqual(
+    await ruleScope(buildRequest({ method: 'POST', path: `/${rule.name}/testFilter`, body: { provider: 'p1' } }), knex),
+    {}
+  );
+});
+
+test.serial('requireRole() forbids scoped users from writing records stored outside of their scope', async (t) => {
+  const { knex, granule } = t.context;
+  const getScope = (req) => granuleScope(req, knex);
+  const roleAssignments = [{ username, role: 'admin', collectionId: 'MOD09GQ___006' }];
+
+  const { next, res } = await runMiddleware(
+    { getScope },
+    buildRequest({
+      method: 'DELETE',
+      baseUrl: '/granules',
+      path: `/${granule.granule_id}`,
+      query: { collectionId: 'MOD09GQ___006' },
+    }),
+    roleAssignments
+  );
+  t.false(next.called);
+  t.true(res.boom.forbidden.calledOnce);
+
+  const bulk = await runMiddleware(
+    { getScope },
+    buildRequest({
+      method: 'POST',
+      baseUrl: '/granules',
+      path: '/bulk',
+      body: { collectionId: 'MOD09GQ___006', ids: [granule.granule_id] },
+    }),
+    roleAssignments
+  );
+  t.false(bulk.next.called);
+  t.true(bulk.res.boom.forbidden.calledOnce);
+});
+
+test.serial('requireRole() returns a bad request for malformed request paths', async (t) => {
+  const { next, res } = await runMiddleware(
+    { getScope: collectionScope },
+    buildRequest({ method: 'DELETE', path: '/MOD09GQ%/006' }),
+    [{ username, role: 'admin', collectionId: 'MOD09GQ___006' }]
+  );
+
+  t.false(next.called);
+  t.true(res.boom.badRequest.calledOnceWith('Invalid request path /MOD09GQ%/006'));
+});
+
+test.serial('requireRole() allows users without role assignments with the default role', async (t) => {
+  const req = buildRequest({ method: 'DELETE', path: '/MOD09GQ/006' });
+  const { next, res } = await runMiddleware({}, req, []);
+
+  t.true(next.calledOnce);
+  t.false(res.boom.forbidden.called);
+  t.is(req.authorizedMetadata.role, 'admin');
+});
+
+test.serial('requireRole() forbids users without role assignments if there is no default role', async (t) => {
+  process.env.API_DEFAULT_ROLE = '';
+  const { next, res } = await runMiddleware({}, buildRequest(), []);
+
+  t.false(next.called);
+  t.true(res.boom.forbidden.calledOnceWith(
+    `User ${username} requires the read-only role to GET /collections/, but has no role`
+  ));
+});
+
+test.serial('requireRole() forbids requests that require a higher role than the user has', async (t) => {
+  const req = buildRequest({ method: 'DELETE', path: '/MOD09GQ/006' });
+  const { next, res } = await runMiddleware(
+    { getScope: collectionScope },
+    req,
+    [{ username, role: 'operator' }]
+  );
+
+  t.false(next.called);
+  t.true(res.boom.forbidden.calledOnceWith(
+    `User ${username} requires the admin role to DELETE /collections/MOD09GQ/006, but has the operator role`
+  ));
+});
+
+test.serial('requireRole() allows requests within the scope of a role assignment', async (t) => {
+  const roleAssignments = [{ username, role: 'admin', collectionId: 'MOD09GQ___006' }];
+
+  const allowed = await runMiddleware(
+    { getScope: collectionScope },
+    buildRequest({ method: 'DELETE', path: '/MOD09GQ/006' }),
+    roleAssignments
+  );
+  t.true(allowed.next.calledOnce);
+
+  const forbidden = await runMiddleware(
+    { getScope: collectionScope },
+    buildRequest({ method: 'DELETE', path: '/MOD11A1/006' }),
+    roleAssignments
+  );
+  t.false(forbidden.next.called);
+  t.true(forbidden.res.boom.forbidden.calledOnce);
+});
+
+test.serial('requireRole() does not check roles for private APIs', async (t) => {
+  process.env.auth_mode = 'private';
+  const { next } = await runMiddleware(
+    { role: 'admin' },
+    buildRequest({ authorizedMetadata: undefined }),
+    []
+  );
+
+  t.true(next.calledOnce);
+});
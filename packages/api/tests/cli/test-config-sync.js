@@ -0,0 +1,258 @@
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const test = require('ava');
+const range = require('lodash/range');
+
+const {
+  applyPlan,
+  computePlan,
+  formatPlan,
+  listLiveRecords,
+  readDefinitions,
+  resolveSecretReferences,
+} = require('../../bin/config-sync');
+
+const provider = {
+  id: 'MODAPS',
+  protocol: 'https',
+  host: 'example.com',
+  username: { secret: 'modaps-credentials', key: 'username' },
+  password: { secret: 'modaps-credentials', key: 'password' },
+};
+
+const collection = {
+  name: 'MOD09GQ',
+  version: '006',
+  granuleIdExtraction: '(MOD09GQ\\..*)\\.hdf',
+  meta: { provider_path: '/data', granuleRecoveryWorkflow: 'Recover' },
+  files: [{ bucket: 'protected', regex: '^MOD09GQ\\..*\\.hdf$' }],
+};
+
+const rule = {
+  name: 'mod09gq_kinesis',
+  workflow: 'IngestGranule',
+  provider: 'MODAPS',
+  collection: { name: 'MOD09GQ', version: '006' },
+  rule: { type: 'kinesis', value: 'arn:aws:kinesis:us-east-1:000000000000:stream/mod09gq' },
+  state: 'ENABLED',
+};
+
+test.before(async (t) => {
+  t.context.directory = await fs.mkdtemp(`${os.tmpdir()}${path.sep}`);
+  const { directory } = t.context;
+  await fs.outputJson(path.join(directory, 'providers', 'modaps.json'), provider);
+  await fs.outputFile(
+    path.join(directory, 'collections', 'mod09gq.yml'),
+    [
+      'name: MOD09GQ',
+      'version: "006"',
+      "granuleIdExtraction: '(MOD09GQ\\..*)\\.hdf'",
+      'meta:',
+      '  provider_path: /data',
+      '  granuleRecoveryWorkflow: Recover',
+      'files:',
+      '  - bucket: protected',
+      "    regex: '^MOD09GQ\\..*\\.hdf$'",
+    ].join('\n')
+  );
+  await fs.outputJson(path.join(directory, 'rules', 'rules.json'), [rule]);
+  await fs.outputFile(path.join(directory, 'rules', 'README.md'), 'Not a definition');
+});
+
+test.after.always(async (t) => {
+  await fs.remove(t.context.directory);
+});
+
+test('readDefinitions() reads JSON and YAML definitions by record type and ID', async (t) => {
+  const definitions = await readDefinitions(t.context.directory);
+
+  t.deepEqual(definitions, {
+    providers: { MODAPS: provider },
+    collections: { MOD09GQ___006: collection },
+    rules: { mod09gq_kinesis: rule },
+  });
+});
+
+test('readDefinitions() throws if a record is defined more than once', async (t) => {
+  const directory = await fs.mkdtemp(`${os.tmpdir()}${path.sep}`);
+  await fs.outputJson(path.join(directory, 'rules', 'a.json'), rule);
+  await fs.outputJson(path.join(directory, 'rules', 'b.json'), rule);
+
+  await t.throwsAsync(readDefinitions(directory), { message: /defined more than once/ });
+  await fs.remove(directory);
+});
+
+test('computePlan() creates and updates records with field-level diffs', (t) => {
+  const definitions = {
+    providers: { MODAPS: provider },
+    collections: { MOD09GQ___006: collection },
+    rules: { mod09gq_kinesis: rule },
+  };
+  const live = {
+    providers: {
+      MODAPS: {
+        ...provider,
+        username: 'encrypted-username',
+        password: 'encrypted-password',
+        encrypted: true,
+        createdAt: 1,
+        updatedAt: 2,
+      },
+    },
+    collections: {
+      MOD09GQ___006: {
+        ...collection,
+        meta: { provider_path: '/old', granuleRecoveryWorkflow: 'Recover', extra: true },
+        createdAt: 1,
+      },
+    },
+    rules: {},
+  };
+
+  const plan = computePlan({ definitions, live });
+
+  t.deepEqual(plan.map(({ action, type, id }) => [action, type, id]), [
+    ['update', 'collections', 'MOD09GQ___006'],
+    ['create', 'rules', 'mod09gq_kinesis'],
+  ]);
+  t.deepEqual(plan[0].diff, [
+    { field: 'meta.extra', from: true, to: undefined },
+    { field: 'meta.provider_path', from: '/old', to: '/data' },
+  ]);
+});
+
+test('computePlan() ignores trigger ARNs created by the API', (t) => {
+  const plan = computePlan({
+    definitions: { rules: { mod09gq_kinesis: rule } },
+    live: {
+      rules: {
+        mod09gq_kinesis: {
+          ...rule,
+          rule: { ...rule.rule, arn: 'event-source-mapping', logEventArn: 'log-mapping' },
+        },
+      },
+    },
+  });
+
+  t.deepEqual(plan, []);
+});
+
+test('computePlan() does not compare fields that are not defined', (t) => {
+  const plan = computePlan({
+    definitions: {
+      collections: { MOD09GQ___006: collection },
+      rules: { mod09gq_kinesis: rule },
+    },
+    live: {
+      collections: {
+        MOD09GQ___006: { ...collection, duplicateHandling: 'error', reportToEms: true },
+      },
+      rules: {
+        mod09gq_kinesis: { ...rule, executionNamePrefix: 'ingest' },
+      },
+    },
+  });
+
+  t.deepEqual(plan, []);
+});
+
+test('computePlan() deletes records that are not defined only when pruning, rules first', (t) => {
+  const definitions = { providers: {}, collections: {}, rules: {} };
+  const live = {
+    providers: { MODAPS: provider },
+    collections: { MOD09GQ___006: collection },
+    rules: { mod09gq_kinesis: rule },
+  };
+
+  t.deepEqual(computePlan({ definitions, live }), []);
+
+  const plan = computePlan({ definitions, live, prune: true });
+  t.deepEqual(plan.map(({ action, type }) => [action, type]), [
+    ['delete', 'rules'],
+    ['delete', 'collections'],
+    ['delete', 'providers'],
+  ]);
+});
+
+test('formatPlan() lists the changes, their diffs and a summary', (t) => {
+  const formatted = formatPlan([
+    { action: 'create', type: 'rules', id: 'r1' },
+    { action: 'update', type: 'collections', id: 'c___1', diff: [{ field: 'url_path', from: 'a', to: 'b' }] },
+    { action: 'delete', type: 'providers', id: 'p1' },
+  ]);
+
+  t.is(formatted, [
+    '+ create rules r1',
+    '~ update collections c___1',
+    '    url_path: "a" => "b"',
+    '- delete providers p1',
+    'Plan: 1 to create, 1 to update, 1 to delete',
+    'Secret references and provider credentials are not compared with the live records',
+  ].join('\n'));
+});
+
+test('listLiveRecords() lists every page of records', async (t) => {
+  const requests = [];
+  const callback = ({ payload }) => {
+    requests.push(payload);
+    const page = Number(payload.queryStringParameters.page);
+    const count = page === 1 ? 100 : 5;
+    return Promise.resolve({
+      body: JSON.stringify({
+        results: range(count).map((index) => ({ name: `rule_${page}_${index}` })),
+      }),
+    });
+  };
+
+  const records = await listLiveRecords({ prefix: 'test', type: 'rules', callback });
+
+  t.is(Object.keys(records).length, 105);
+  t.deepEqual(requests.map(({ path: requestPath }) => requestPath), ['/rules', '/rules']);
+});
+
+test('resolveSecretReferences() resolves whole and JSON key secret references', async (t) => {
+  const getSecretStringMethod = (secretId) => Promise.resolve(
+    secretId === 'modaps-credentials'
+      ? JSON.stringify({ username: 'user', password: 'pass' })
+      : 'token'
+  );
+
+  const resolved = await resolveSecretReferences(
+    { ...provider, meta: { token: { secret: 'modaps-token' } } },
+    getSecretStringMethod
+  );
+
+  t.like(resolved, { username: 'user', password: 'pass', meta: { token: 'token' } });
+});
+
+test('applyPlan() writes the changes in order with resolved secrets', async (t) => {
+  const requests = [];
+  const callback = ({ payload }) => {
+    requests.push(payload);
+    return Promise.resolve({ statusCode: 200, body: '{}' });
+  };
+  const getSecretStringMethod = () => Promise.resolve('{"username":"user","password":"pass"}');
+
+  await applyPlan({
+    plan: [
+      { action: 'delete', type: 'rules', id: 'old_rule', record: { name: 'old_rule' } },
+      { action: 'update', type: 'providers', id: 'MODAPS', record: provider },
+      { action: 'create', type: 'collections', id: 'MOD09GQ___006', record: collection },
+      { action: 'create', type: 'rules', id: 'mod09gq_kinesis', record: rule },
+    ],
+    prefix: 'test',
+    callback,
+    getSecretStringMethod,
+  });
+
+  t.deepEqual(requests.map(({ httpMethod, path: requestPath }) => `${httpMethod} ${requestPath}`), [
+    'DELETE /rules/old_rule',
+    'PUT /providers/MODAPS',
+    'POST /collections',
+    'POST /rules',
+  ]);
+  t.like(JSON.parse(requests[1].body), { username: 'user', password: 'pass' });
+});
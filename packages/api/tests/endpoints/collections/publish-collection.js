@@ -0,0 +1,188 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const { sns } = require('@cumulus/aws-client/services');
+const { randomString } = require('@cumulus/common/test-utils');
+const {
+  CollectionPgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  generateLocalTestDb,
+  localStackConnectionEnv,
+  migrationDir,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+const {
+  createTestIndex,
+  cleanupTestIndex,
+} = require('@cumulus/es-client/testUtils');
+
+const models = require('../../../models');
+const { del, publish, unpublish } = require('../../../endpoints/collections');
+const { buildFakeExpressResponse } = require('../utils');
+
+process.env.CollectionsTable = randomString();
+
+const testDbName = randomString(12);
+process.env = {
+  ...process.env,
+  ...localStackConnectionEnv,
+  PG_DATABASE: testDbName,
+};
+
+const buildUmmC = (name, version) => ({
+  ShortName: name,
+  Version: version,
+  EntryTitle: `${name} version ${version}`,
+  Abstract: 'A test collection',
+  DOI: { MissingReason: 'Not Applicable' },
+  DataCenters: [{ Roles: ['ARCHIVER'], ShortName: 'CUMULUS' }],
+  ProcessingLevel: { Id: '2' },
+  ScienceKeywords: [{ Category: 'EARTH SCIENCE', Topic: 'LAND SURFACE', Term: 'SURFACE RADIATIVE PROPERTIES' }],
+  TemporalExtents: [{ RangeDateTimes: [{ BeginningDateTime: '2000-02-24T00:00:00.000Z' }] }],
+  SpatialExtent: { GranuleSpatialRepresentation: 'GEODETIC' },
+  Platforms: [{ ShortName: 'Terra' }],
+  CollectionProgress: 'ACTIVE',
+  MetadataSpecification: {
+    URL: 'https://cdn.earthdata.nasa.gov/umm/collection/v1.17.0',
+    Name: 'UMM-C',
+    Version: '1.17.0',
+  },
+});
+
+const buildFakeCmr = () => ({
+  ingestUMMCollection: sinon.stub().resolves({ 'concept-id': 'C1234-CUMULUS', 'revision-id': 1 }),
+  deleteCollection: sinon.stub().resolves(),
+});
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+  t.context.collectionPgModel = new CollectionPgModel();
+
+  const { esIndex, esClient } = await createTestIndex();
+  t.context.esIndex = esIndex;
+  t.context.esClient = esClient;
+
+  t.context.collectionsModel = new models.Collection({ tableName: process.env.CollectionsTable });
+  await t.context.collectionsModel.createTable();
+
+  const { TopicArn } = await sns().createTopic({ Name: randomString() }).promise();
+  process.env.collection_sns_topic_arn = TopicArn;
+  t.context.TopicArn = TopicArn;
+});
+
+test.beforeEach(async (t) => {
+  const pgCollection = fakeCollectionRecordFactory();
+  pgCollection.umm_c = buildUmmC(pgCollection.name, pgCollection.version);
+  const [pgRecord] = await t.context.collectionPgModel.create(t.context.knex, pgCollection);
+  t.context.pgCollection = pgRecord;
+  t.context.params = { name: pgRecord.name, version: pgRecord.version };
+  t.context.cmr = buildFakeCmr();
+  t.context.testContext = {
+    knex: t.context.knex,
+    collectionPgModel: t.context.collectionPgModel,
+    collectionsModel: t.context.collectionsModel,
+    esClient: t.context.esClient,
+    cmr: t.context.cmr,
+  };
+});
+
+test.after.always(async (t) => {
+  await t.context.collectionsModel.deleteTable();
+  await sns().deleteTopic({ TopicArn: t.context.TopicArn }).promise();
+  await cleanupTestIndex(t.context);
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test.serial('publish() publishes the UMM-C metadata of a collection and stores its concept ID', async (t) => {
+  const {
+    cmr,
+    collectionPgModel,
+    knex,
+    params,
+    pgCollection,
+    testContext,
+  } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await publish({ params, testContext }, res);
+
+  t.true(cmr.ingestUMMCollection.calledOnceWith(
+    pgCollection.umm_c,
+    constructCollectionId(params.name, params.version)
+  ));
+  t.like(res.send.firstCall.args[0], { published: true, cmrConceptId: 'C1234-CUMULUS' });
+
+  const updatedPgCollection = await collectionPgModel.get(knex, params);
+  t.true(updatedPgCollection.published);
+  t.is(updatedPgCollection.cmr_concept_id, 'C1234-CUMULUS');
+
+  const dynamoCollection = await t.context.collectionsModel.get(params);
+  t.like(dynamoCollection, { published: true, cmrConceptId: 'C1234-CUMULUS' });
+});
+
+test.serial('publish() returns 400 for a collection without UMM-C metadata', async (t) => {
+  const { collectionPgModel, knex, testContext } = t.context;
+  const [pgRecord] = await collectionPgModel.create(knex, fakeCollectionRecordFactory());
+  const res = buildFakeExpressResponse();
+
+  await publish({ params: { name: pgRecord.name, version: pgRecord.version }, testContext }, res);
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.false(t.context.cmr.ingestUMMCollection.called);
+});
+
+test.serial('publish() returns 404 for a collection that does not exist', async (t) => {
+  const res = buildFakeExpressResponse();
+
+  await publish({
+    params: { name: randomString(), version: '001' },
+    testContext: t.context.testContext,
+  }, res);
+
+  t.true(res.boom.notFound.calledOnce);
+});
+
+test.serial('unpublish() removes a collection from CMR and clears its concept ID', async (t) => {
+  const { cmr, collectionPgModel, knex, params, testContext } = t.context;
+  await publish({ params, testContext }, buildFakeExpressResponse());
+  const res = buildFakeExpressResponse();
+
+  await unpublish({ params, testContext }, res);
+
+  t.true(cmr.deleteCollection.calledOnceWith(constructCollectionId(params.name, params.version)));
+  const response = res.send.firstCall.args[0];
+  t.false(response.published);
+  t.is(response.cmrConceptId, undefined);
+
+  const updatedPgCollection = await collectionPgModel.get(knex, params);
+  t.false(updatedPgCollection.published);
+  t.is(updatedPgCollection.cmr_concept_id, null);
+});
+
+test.serial('unpublish() returns 400 for a collection that is not published', async (t) => {
+  const { params, testContext } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await unpublish({ params, testContext }, res);
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.false(t.context.cmr.deleteCollection.called);
+});
+
+test.serial('del() returns 409 for a collection that is published', async (t) => {
+  const { collectionPgModel, knex, params, testContext } = t.context;
+  await publish({ params, testContext }, buildFakeExpressResponse());
+  const res = buildFakeExpressResponse();
+
+  await del({ params, testContext }, res);
+
+  t.true(res.boom.conflict.calledOnce);
+  t.true(await collectionPgModel.exists(knex, params));
+});
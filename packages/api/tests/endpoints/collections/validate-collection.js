@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const BucketsConfig = require('@cumulus/common/BucketsConfig');
+const {
+  destroyLocalTestDb,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  migrationDir,
+  ProviderPgModel,
+} = require('@cumulus/db');
+
+const { validate } = require('../../../endpoints/collections');
+const { buildFakeExpressResponse } = require('../utils');
+
+const testDbName = `validate_collection_${cryptoRandomString({ length: 10 })}`;
+
+const collection = {
+  name: 'MOD09GQ',
+  version: '006',
+  granuleIdExtraction: '(MOD09GQ\\..*)\\.hdf',
+  granuleId: '^MOD09GQ\\..*$',
+  sampleFileName: 'MOD09GQ.A2017025.h21v00.006.2017034065104.hdf',
+  files: [
+    {
+      bucket: 'protected',
+      regex: '^MOD09GQ\\..*\\.hdf$',
+      url_path: '{granule.dataType}/{granule.granuleId}',
+    },
+  ],
+};
+
+const getBucketsConfig = () => Promise.resolve(new BucketsConfig({
+  protected: { name: 'test-protected', type: 'protected' },
+}));
+
+const buildFakeProviderClient = (files) => ({
+  connect: sinon.fake.resolves(),
+  list: sinon.fake.resolves(files),
+  end: sinon.fake.resolves(),
+});
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  t.context.pgProvider = fakeProviderRecordFactory({ protocol: 'sftp', host: 'localhost' });
+  await new ProviderPgModel().create(knex, t.context.pgProvider);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('validate() validates a collection against the file names of the request body', async (t) => {
+  const { knex } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await validate({
+    body: {
+      collection,
+      fileNames: ['MOD09GQ.A2017025.h21v00.006.2017034065104.hdf', 'browse.jpg'],
+    },
+    testContext: { knex, getBucketsConfig },
+  }, res);
+
+  const result = res.send.firstCall.args[0];
+  t.false(result.valid);
+  t.like(result.files[0], {
+    valid: true,
+    granuleId: 'MOD09GQ.A2017025.h21v00.006.2017034065104',
+    bucket: 'test-protected',
+    url_path: 'MOD09GQ/MOD09GQ.A2017025.h21v00.006.2017034065104',
+  });
+  t.is(result.files[1].issues[0].type, 'unmatched');
+});
+
+test('validate() validates a collection against the files listed from a provider path', async (t) => {
+  const { knex, pgProvider } = t.context;
+  const providerClient = buildFakeProviderClient([
+    { name: 'MOD09GQ.A2017025.h21v00.006.2017034065104.hdf', path: '/data', size: 100 },
+  ]);
+  const buildProviderClientMethod = sinon.fake.returns(providerClient);
+  const res = buildFakeExpressResponse();
+
+  await validate({
+    body: { collection, provider: pgProvider.name, path: '/data' },
+    testContext: { knex, buildProviderClientMethod, getBucketsConfig },
+  }, res);
+
+  t.like(buildProviderClientMethod.firstCall.args[0], { id: pgProvider.name, protocol: 'sftp' });
+  t.true(providerClient.list.calledOnceWith('/data'));
+  t.true(providerClient.end.calledOnce);
+  const result = res.send.firstCall.args[0];
+  t.true(result.valid);
+  t.deepEqual(result.summary, { files: 1, valid: 1 });
+});
+
+test('validate() returns 400 for a request without a collection or files', async (t) => {
+  const { knex } = t.context;
+
+  const withoutCollection = buildFakeExpressResponse();
+  await validate(
+    { body: { fileNames: [] }, testContext: { knex, getBucketsConfig } },
+    withoutCollection
+  );
+  t.true(withoutCollection.boom.badRequest.calledOnce);
+
+  const withoutFiles = buildFakeExpressResponse();
+  await validate({ body: { collection }, testContext: { knex, getBucketsConfig } }, withoutFiles);
+  t.true(withoutFiles.boom.badRequest.calledOnce);
+});
+
+test('validate() returns 400 if the provider cannot be listed', async (t) => {
+  const { knex, pgProvider } = t.context;
+  const providerClient = {
+    ...buildFakeProviderClient([]),
+    list: sinon.fake.rejects(new Error('Permission denied')),
+  };
+  const res = buildFakeExpressResponse();
+
+  await validate({
+    body: { collection, provider: pgProvider.name },
+    testContext: {
+      knex,
+      buildProviderClientMethod: () => providerClient,
+      getBucketsConfig,
+    },
+  }, res);
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.regex(res.boom.badRequest.firstCall.args[0], /Permission denied/);
+  t.true(providerClient.end.calledOnce);
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const sinon = require('sinon');
+const test = require('ava');
+
+const { s3 } = require('@cumulus/aws-client/services');
+const {
+  recursivelyDeleteS3Bucket,
+} = require('@cumulus/aws-client/S3');
+const { randomId, randomString } = require('@cumulus/common/test-utils');
+
+const startAsyncOperation = require('../../../lib/startAsyncOperation');
+const { createFakeJwtAuthToken, setAuthorizedOAuthUsers } = require('../../../lib/testUtils');
+
+const models = require('../../../models');
+
+const { app } = require('../../../app');
+
+process.env = {
+  ...process.env,
+  AccessTokensTable: randomId('AccessTokensTable'),
+  CollectionsTable: randomId('CollectionsTable'),
+  GranulesTable: randomId('GranulesTable'),
+  granule_sns_topic_arn: randomString(),
+  TOKEN_SECRET: randomId('tokenSecret'),
+  stackName: randomId('stackName'),
+  system_bucket: randomId('bucket'),
+  AsyncOperationsTable: randomId('AsyncOperationsTable'),
+  AsyncOperationTaskDefinition: randomId('taskDefinition'),
+  EcsCluster: randomId('EcsCluster'),
+  BulkOperationLambda: randomId('BulkOperationLambda'),
+  DISTRIBUTION_ENDPOINT: randomId('distributionEndpoint'),
+  METRICS_ES_HOST: randomId('metricsEsHost'),
+  METRICS_ES_USER: randomId('metricsEsUser'),
+  METRICS_ES_PASS: randomId('metricsEsPass'),
+};
+
+let accessTokenModel;
+let jwtAuthToken;
+
+test.before(async () => {
+  await s3().createBucket({ Bucket: process.env.system_bucket });
+
+  const username = randomId('username');
+  await setAuthorizedOAuthUsers([username]);
+
+  accessTokenModel = new models.AccessToken();
+  await accessTokenModel.createTable();
+
+  jwtAuthToken = await createFakeJwtAuthToken({ accessTokenModel, username });
+});
+
+test.beforeEach((t) => {
+  t.context.asyncOperationStartStub = sinon.stub(startAsyncOperation, 'invokeStartAsyncOperationLambda');
+});
+
+test.afterEach.always((t) => {
+  t.context.asyncOperationStartStub.restore();
+});
+
+test.after.always(async () => {
+  await Promise.all([
+    recursivelyDeleteS3Bucket(process.env.system_bucket),
+    accessTokenModel.deleteTable()]);
+});
+
+const expectedEnvVars = () => ({
+  cmr_client_id: process.env.cmr_client_id,
+  CMR_ENVIRONMENT: process.env.CMR_ENVIRONMENT,
+  cmr_oauth_provider: process.env.cmr_oauth_provider,
+  cmr_password_secret_name: process.env.cmr_password_secret_name,
+  cmr_provider: process.env.cmr_provider,
+  cmr_username: process.env.cmr_username,
+  DISTRIBUTION_ENDPOINT: process.env.DISTRIBUTION_ENDPOINT,
+  launchpad_api: process.env.launchpad_api,
+  launchpad_certificate: process.env.launchpad_certificate,
+  launchpad_passphrase_secret_name: process.env.launchpad_passphrase_secret_name,
+  METRICS_ES_HOST: process.env.METRICS_ES_HOST,
+  METRICS_ES_USER: process.env.METRICS_ES_USER,
+  METRICS_ES_PASS: process.env.METRICS_ES_PASS,
+  stackName: process.env.stackName,
+  system_bucket: process.env.system_bucket,
+});
+
+test.serial('POST /granules/bulkCmrUpdate starts an async-operation with the correct payload and list of IDs', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+  const body = {
+    ids: ['MOD09GQ.A8592978.nofTNT.006.4914003503063'],
+    distEndpoint: 'https://new-distribution.example.com',
+    publishRate: 2,
+  };
+
+  const response = await request(app)
+    .post('/granules/bulkCmrUpdate')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send(body)
+    .expect(202);
+
+  t.truthy(response.body.id);
+  t.true(asyncOperationStartStub.calledOnce);
+  const {
+    lambdaName,
+    description,
+    operationType,
+    payload,
+  } = asyncOperationStartStub.args[0][0];
+  t.is(lambdaName, process.env.BulkOperationLambda);
+  t.is(description, 'Bulk granule CMR update run on 1 granules');
+  t.is(operationType, 'Bulk Granule CMR Update');
+  t.deepEqual(payload, {
+    payload: body,
+    type: 'BULK_GRANULE_CMR_UPDATE',
+    envVars: expectedEnvVars(),
+  });
+});
+
+test.serial('POST /granules/bulkCmrUpdate starts an async-operation for a collection', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+  const body = { collectionId: 'MOD09GQ___006' };
+
+  await request(app)
+    .post('/granules/bulkCmrUpdate')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send(body)
+    .expect(202);
+
+  const { description, payload } = asyncOperationStartStub.args[0][0];
+  t.is(description, 'Bulk granule CMR update run on collection MOD09GQ___006');
+  t.deepEqual(payload.payload, body);
+});
+
+test.serial('POST /granules/bulkCmrUpdate returns 400 when a collection and IDs are provided', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+
+  await request(app)
+    .post('/granules/bulkCmrUpdate')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send({ collectionId: 'MOD09GQ___006', ids: ['MOD09GQ.A8592978.nofTNT.006.4914003503063'] })
+    .expect(400, /Only one of collectionId, ids, query or granuleQuery is allowed/);
+
+  t.true(asyncOperationStartStub.notCalled);
+});
+
+test.serial('POST /granules/bulkCmrUpdate returns 400 when no granules are provided', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+
+  await request(app)
+    .post('/granules/bulkCmrUpdate')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send({})
+    .expect(400, /One of ids, query or granuleQuery is required/);
+
+  t.true(asyncOperationStartStub.notCalled);
+});
+
+test.serial('POST /granules/bulkCmrUpdate returns 400 for an invalid publishRate', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+
+  await request(app)
+    .post('/granules/bulkCmrUpdate')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send({ collectionId: 'MOD09GQ___006', publishRate: 0 })
+    .expect(400, /publishRate should be a positive number/);
+
+  t.true(asyncOperationStartStub.notCalled);
+});
@@ -239,7 +239,7 @@ test.serial('POST /granules/bulkDelete returns 400 when no IDs or Query is provi
     .set('Accept', 'application/json')
     .set('Authorization', `Bearer ${jwtAuthToken}`)
     .send(body)
-    .expect(400, /One of ids or query is required/);
+    .expect(400, /One of ids, query or granuleQuery is required/);
 
   t.true(asyncOperationStartStub.notCalled);
 });
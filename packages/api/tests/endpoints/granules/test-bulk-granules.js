@@ -196,6 +196,68 @@ test.serial('POST /granules/bulk starts an async-operation with the correct payl
   });
 });
 
+test.serial('POST /granules/bulk starts an async-operation with a PostgreSQL granule query', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+  const body = {
+    workflowName: 'HelloWorldWorkflow',
+    granuleQuery: { collectionIds: ['MOD09GQ___006'], status: 'failed' },
+  };
+
+  const response = await request(app)
+    .post('/granules/bulk')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send(body)
+    .expect(202);
+
+  t.truthy(response.body.id);
+  t.true(asyncOperationStartStub.calledOnce);
+  t.deepEqual(asyncOperationStartStub.args[0][0].payload.payload, body);
+});
+
+test.serial('POST /granules/bulk returns 400 when granuleQuery is not an object', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+
+  await request(app)
+    .post('/granules/bulk')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send({ workflowName: 'HelloWorldWorkflow', granuleQuery: 'status:failed' })
+    .expect(400, /granuleQuery should be an object/);
+
+  t.true(asyncOperationStartStub.notCalled);
+});
+
+test.serial('POST /granules/bulk returns 400 when granuleQuery contains unsupported keys', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+
+  await request(app)
+    .post('/granules/bulk')
+    .set('Accept', 'application/json')
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .send({
+      workflowName: 'HelloWorldWorkflow',
+      granuleQuery: { status: 'failed', collectionId: 'MOD09GQ___006' },
+    })
+    .expect(400, /granuleQuery contains unsupported keys collectionId/);
+
+  t.true(asyncOperationStartStub.notCalled);
+});
+
+test.serial('POST /granules/bulk returns 400 when granuleQuery is empty', async (t) => {
+  const { asyncOperationStartStub } = t.context;
+
+  await Promise.all([{}, { granuleIds: [], updatedAtRange: {} }].map((granuleQuery) =>
+    request(app)
+      .post('/granules/bulk')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${jwtAuthToken}`)
+      .send({ workflowName: 'HelloWorldWorkflow', granuleQuery })
+      .expect(400, /granuleQuery should filter on at least one of/)));
+
+  t.true(asyncOperationStartStub.notCalled);
+});
+
 test.serial('POST /granules/bulk returns 400 when a query is provided with no index', async (t) => {
   const { asyncOperationStartStub } = t.context;
   const expectedQueueName = 'backgroundProcessing';
@@ -235,7 +297,7 @@ test.serial('POST /granules/bulk returns 400 when no IDs or query is provided',
     .set('Accept', 'application/json')
     .set('Authorization', `Bearer ${jwtAuthToken}`)
     .send(body)
-    .expect(400, /One of ids or query is required/);
+    .expect(400, /One of ids, query or granuleQuery is required/);
 
   t.true(asyncOperationStartStub.notCalled);
 });
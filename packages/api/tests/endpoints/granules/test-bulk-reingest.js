@@ -215,7 +215,7 @@ test.serial('POST /granules/bulkReingest returns 400 when no IDs or query is pro
     .set('Accept', 'application/json')
     .set('Authorization', `Bearer ${jwtAuthToken}`)
     .send(body)
-    .expect(400, /One of ids or query is required/);
+    .expect(400, /One of ids, query or granuleQuery is required/);
 
   t.true(asyncOperationStartStub.notCalled);
 });
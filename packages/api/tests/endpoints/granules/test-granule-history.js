@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  createGranuleHistoryEntry,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeGranuleRecordFactory,
+  generateLocalTestDb,
+  GranulePgModel,
+  migrationDir,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const { history } = require('../../../endpoints/granules');
+const { buildFakeExpressResponse } = require('../utils');
+
+const testDbName = `granule_history_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  const collection = fakeCollectionRecordFactory();
+  const [pgCollection] = await new CollectionPgModel().create(knex, collection);
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+
+  const granulePgModel = new GranulePgModel();
+  const [pgGranule] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({ collection_cumulus_id: pgCollection.cumulus_id, status: 'failed' }),
+    '*'
+  );
+  t.context.granuleId = pgGranule.granule_id;
+
+  await createGranuleHistoryEntry(knex, { granule: pgGranule });
+  const [queuedPgGranule] = await granulePgModel.update(
+    knex,
+    { cumulus_id: pgGranule.cumulus_id },
+    { status: 'queued' },
+    ['*']
+  );
+  await createGranuleHistoryEntry(knex, { granule: queuedPgGranule, actor: 'user1' });
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('history() returns the status history of a granule', async (t) => {
+  const { collectionId, granuleId, knex } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await history({ params: { granuleName: granuleId }, testContext: { knex } }, res);
+
+  t.true(res.send.calledOnce);
+  const response = res.send.firstCall.args[0];
+  t.is(response.granuleId, granuleId);
+  t.is(response.collectionId, collectionId);
+  t.deepEqual(response.history.map(({ status }) => status), ['failed', 'queued']);
+  t.is(response.history[1].actor, 'user1');
+});
+
+test('history() returns 404 for a granule that does not exist', async (t) => {
+  const { knex } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await history(
+    { params: { granuleName: cryptoRandomString({ length: 10 }) }, testContext: { knex } },
+    res
+  );
+
+  t.true(res.boom.notFound.calledOnce);
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeFileRecordFactory,
+  fakeGranuleRecordFactory,
+  FilePgModel,
+  generateLocalTestDb,
+  GranulePgModel,
+  migrationDir,
+} = require('@cumulus/db');
+
+const { validateMetadata } = require('../../../endpoints/granules');
+const { buildFakeExpressResponse } = require('../utils');
+
+const testDbName = `granule_validate_metadata_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  const [pgCollection] = await new CollectionPgModel().create(knex, fakeCollectionRecordFactory());
+  const granulePgModel = new GranulePgModel();
+  const filePgModel = new FilePgModel();
+
+  const [pgGranule] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({ collection_cumulus_id: pgCollection.cumulus_id }),
+    '*'
+  );
+  t.context.granuleId = pgGranule.granule_id;
+  t.context.bucket = cryptoRandomString({ length: 10 });
+  t.context.cmrFileKey = `${t.context.granuleId}.cmr.json`;
+  await filePgModel.create(knex, fakeFileRecordFactory({
+    granule_cumulus_id: pgGranule.cumulus_id,
+    bucket: t.context.bucket,
+    key: `${t.context.granuleId}.hdf`,
+  }));
+  await filePgModel.create(knex, fakeFileRecordFactory({
+    granule_cumulus_id: pgGranule.cumulus_id,
+    bucket: t.context.bucket,
+    key: t.context.cmrFileKey,
+  }));
+
+  const [pgGranuleWithoutMetadata] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({ collection_cumulus_id: pgCollection.cumulus_id }),
+    '*'
+  );
+  t.context.granuleIdWithoutMetadata = pgGranuleWithoutMetadata.granule_id;
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+const buildTestContext = (t, errors) => ({
+  knex: t.context.knex,
+  metadataObjectFromCMRFileMethod: sinon.stub().resolves({ GranuleUR: t.context.granuleId }),
+  getCmrSettingsMethod: sinon.stub().resolves({ provider: 'CUMULUS' }),
+  validateCMRMetadataMethod: sinon.stub().callsFake((cmrFile) => Promise.resolve({
+    granuleId: cmrFile.granuleId,
+    filename: `s3://${cmrFile.bucket}/${cmrFile.key}`,
+    metadataFormat: 'umm_json_v1_6_2',
+    errors,
+  })),
+});
+
+test('validateMetadata() validates the CMR metadata file of a granule', async (t) => {
+  const { bucket, cmrFileKey, granuleId } = t.context;
+  const testContext = buildTestContext(t, []);
+  const res = buildFakeExpressResponse();
+
+  await validateMetadata({ params: { granuleName: granuleId }, testContext }, res);
+
+  t.true(testContext.metadataObjectFromCMRFileMethod.calledOnceWith(`s3://${bucket}/${cmrFileKey}`));
+  const [cmrFile, cmrSettings] = testContext.validateCMRMetadataMethod.firstCall.args;
+  t.like(cmrFile, { granuleId, bucket, key: cmrFileKey, metadataObject: { GranuleUR: granuleId } });
+  t.deepEqual(cmrSettings, { provider: 'CUMULUS' });
+  t.deepEqual(res.send.firstCall.args[0], {
+    granuleId,
+    filename: `s3://${bucket}/${cmrFileKey}`,
+    metadataFormat: 'umm_json_v1_6_2',
+    valid: true,
+    errors: [],
+  });
+});
+
+test('validateMetadata() returns the itemized errors of invalid metadata', async (t) => {
+  const { granuleId } = t.context;
+  const errors = [
+    { source: 'schema', path: [], errors: ["should have required property 'ProviderDates'"] },
+    { source: 'schema', path: ['DataGranule', 'DayNightFlag'], errors: ['should be equal to one of the allowed values'] },
+  ];
+  const res = buildFakeExpressResponse();
+
+  await validateMetadata(
+    { params: { granuleName: granuleId }, testContext: buildTestContext(t, errors) },
+    res
+  );
+
+  const response = res.send.firstCall.args[0];
+  t.false(response.valid);
+  t.deepEqual(response.errors, errors);
+});
+
+test('validateMetadata() returns 400 for a granule without a CMR metadata file', async (t) => {
+  const testContext = buildTestContext(t, []);
+  const res = buildFakeExpressResponse();
+
+  await validateMetadata(
+    { params: { granuleName: t.context.granuleIdWithoutMetadata }, testContext },
+    res
+  );
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.false(testContext.validateCMRMetadataMethod.called);
+});
+
+test('validateMetadata() returns 404 for a granule that does not exist', async (t) => {
+  const res = buildFakeExpressResponse();
+
+  await validateMetadata(
+    {
+      params: { granuleName: cryptoRandomString({ length: 10 }) },
+      testContext: buildTestContext(t, []),
+    },
+    res
+  );
+
+  t.true(res.boom.notFound.calledOnce);
+});
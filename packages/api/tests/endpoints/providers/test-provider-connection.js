@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  destroyLocalTestDb,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  migrationDir,
+  ProviderPgModel,
+} = require('@cumulus/db');
+
+const {
+  testConnection,
+  testUnsavedConnection,
+} = require('../../../endpoints/providers');
+const { buildFakeExpressResponse } = require('../utils');
+
+const testDbName = `provider_connection_${cryptoRandomString({ length: 10 })}`;
+
+const fakeDiagnostics = { success: true, checks: {} };
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  t.context.pgProvider = fakeProviderRecordFactory({ protocol: 'sftp', host: 'localhost' });
+  await new ProviderPgModel().create(knex, t.context.pgProvider);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('testConnection() tests the connection to a saved provider', async (t) => {
+  const { knex, pgProvider } = t.context;
+  const testProviderConnectionMethod = sinon.fake.resolves(fakeDiagnostics);
+  const res = buildFakeExpressResponse();
+
+  await testConnection({
+    params: { id: pgProvider.name },
+    body: { path: '/data', filePath: '/data/file.hdf' },
+    testContext: { knex, testProviderConnectionMethod },
+  }, res);
+
+  t.true(res.send.calledOnceWith(fakeDiagnostics));
+  const { provider, path, filePath } = testProviderConnectionMethod.firstCall.args[0];
+  t.like(provider, { id: pgProvider.name, protocol: 'sftp', host: 'localhost' });
+  t.is(path, '/data');
+  t.is(filePath, '/data/file.hdf');
+});
+
+test('testConnection() returns 404 for a provider that does not exist', async (t) => {
+  const { knex } = t.context;
+  const testProviderConnectionMethod = sinon.fake.resolves(fakeDiagnostics);
+  const res = buildFakeExpressResponse();
+
+  await testConnection({
+    params: { id: cryptoRandomString({ length: 10 }) },
+    body: {},
+    testContext: { knex, testProviderConnectionMethod },
+  }, res);
+
+  t.true(res.boom.notFound.calledOnce);
+  t.false(testProviderConnectionMethod.called);
+});
+
+test('testUnsavedConnection() tests the connection to the provider of the request body', async (t) => {
+  const testProviderConnectionMethod = sinon.fake.resolves(fakeDiagnostics);
+  const res = buildFakeExpressResponse();
+  const provider = { id: 'new_provider', protocol: 'https', host: 'example.com' };
+
+  await testUnsavedConnection({
+    body: { provider, path: '/data' },
+    testContext: { testProviderConnectionMethod },
+  }, res);
+
+  t.true(res.send.calledOnceWith(fakeDiagnostics));
+  t.deepEqual(testProviderConnectionMethod.firstCall.args[0].provider, provider);
+});
+
+test('testUnsavedConnection() returns 400 for a provider without a host', async (t) => {
+  const testProviderConnectionMethod = sinon.fake.resolves(fakeDiagnostics);
+  const res = buildFakeExpressResponse();
+
+  await testUnsavedConnection({
+    body: { provider: { id: 'new_provider', protocol: 'https' } },
+    testContext: { testProviderConnectionMethod },
+  }, res);
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.false(testProviderConnectionMethod.called);
+});
+
+test('testUnsavedConnection() returns 400 if a provider client cannot be built', async (t) => {
+  const testProviderConnectionMethod = sinon.fake.rejects(
+    new Error('Protocol gopher is not supported.')
+  );
+  const res = buildFakeExpressResponse();
+
+  await testUnsavedConnection({
+    body: { provider: { id: 'new_provider', protocol: 'gopher', host: 'example.com' } },
+    testContext: { testProviderConnectionMethod },
+  }, res);
+
+  t.true(res.boom.badRequest.calledOnceWith(
+    'Cannot test provider new_provider: Protocol gopher is not supported.'
+  ));
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  destroyLocalTestDb,
+  fakeRuleRecordFactory,
+  generateLocalTestDb,
+  migrationDir,
+  RulePgModel,
+} = require('@cumulus/db');
+
+const { testFilter } = require('../../../endpoints/rules');
+const { buildFakeExpressResponse } = require('../utils');
+
+const testDbName = `rules_test_filter_${cryptoRandomString({ length: 10 })}`;
+
+const createRule = async (t, params) => {
+  const [pgRule] = await new RulePgModel().create(
+    t.context.knex,
+    fakeRuleRecordFactory({
+      type: 'kinesis',
+      value: 'arn:aws:kinesis:us-east-1:123456789012:stream/cnm',
+      ...params,
+    }),
+    '*'
+  );
+  return pgRule;
+};
+
+const runTestFilter = async (t, name, body) => {
+  const res = buildFakeExpressResponse();
+  await testFilter({
+    params: { name },
+    body,
+    testContext: { knex: t.context.knex },
+  }, res);
+  return res;
+};
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('testFilter() returns whether the filter expression of a rule accepts a message', async (t) => {
+  const pgRule = await createRule(t, {
+    filter_expression: "product.name == 'MOD09GQ' && length(product.files) > `1`",
+  });
+
+  const acceptedRes = await runTestFilter(t, pgRule.name, {
+    product: { name: 'MOD09GQ', files: [{}, {}] },
+  });
+  t.true(acceptedRes.send.calledOnceWithExactly({ accepted: true, result: true }));
+
+  const rejectedRes = await runTestFilter(t, pgRule.name, {
+    product: { name: 'MOD09GQ', files: [{}] },
+  });
+  t.true(rejectedRes.send.calledOnceWithExactly({ accepted: false, result: false }));
+});
+
+test('testFilter() accepts every message for a rule without a filter expression', async (t) => {
+  const pgRule = await createRule(t);
+
+  const res = await runTestFilter(t, pgRule.name, { product: {} });
+
+  t.true(res.send.calledOnceWithExactly({ accepted: true }));
+});
+
+test('testFilter() returns a Bad Request response if the filter expression fails to be evaluated', async (t) => {
+  const pgRule = await createRule(t, { filter_expression: 'length(product.files) > `1`' });
+
+  const res = await runTestFilter(t, pgRule.name, { product: {} });
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.false(res.send.called);
+});
+
+test('testFilter() returns a Not Found response for a missing rule', async (t) => {
+  const res = await runTestFilter(t, cryptoRandomString({ length: 10 }), {});
+
+  t.true(res.boom.notFound.calledOnce);
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+const sinon = require('sinon');
+
+const {
+  destroyLocalTestDb,
+  fakeRuleRecordFactory,
+  generateLocalTestDb,
+  migrationDir,
+  RulePgModel,
+} = require('@cumulus/db');
+
+const { trigger } = require('../../../endpoints/rules');
+const { signDelivery } = require('../../../lib/subscriptions');
+const { buildFakeExpressResponse } = require('../utils');
+
+const testDbName = `rules_trigger_${cryptoRandomString({ length: 10 })}`;
+const stackName = cryptoRandomString({ length: 10 });
+const secretId = `${stackName}-rule-secret`;
+const secret = cryptoRandomString({ length: 20 });
+
+const payloadSchema = {
+  type: 'object',
+  properties: { granuleId: { type: 'string' } },
+  required: ['granuleId'],
+};
+
+const createRule = async (t, params) => {
+  const [pgRule] = await new RulePgModel().create(
+    t.context.knex,
+    fakeRuleRecordFactory({
+      type: 'http',
+      value: secretId,
+      enabled: true,
+      payload_schema: payloadSchema,
+      ...params,
+    }),
+    '*'
+  );
+  return pgRule;
+};
+
+const buildRequest = (t, { name, headers = {}, body }) => ({
+  params: { name },
+  headers,
+  body,
+  rawBody: body === undefined ? undefined : Buffer.from(JSON.stringify(body)),
+  testContext: {
+    knex: t.context.knex,
+    getSecretStringMethod: sinon.stub().withArgs(secretId).resolves(secret),
+    queueMessageForRuleMethod: t.context.queueMessageForRuleMethod,
+  },
+});
+
+test.before(async (t) => {
+  process.env.stackName = stackName;
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+});
+
+test.beforeEach((t) => {
+  t.context.queueMessageForRuleMethod = sinon.stub().resolves();
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('trigger() queues the workflow of an http rule with the body of a request authenticated by the secret of the rule', async (t) => {
+  const pgRule = await createRule(t);
+  const body = { granuleId: 'granule-1' };
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': secret },
+    body,
+  }), res);
+
+  t.true(res.status.calledOnceWithExactly(202));
+  const [queuedRule, payload] = t.context.queueMessageForRuleMethod.firstCall.args;
+  t.is(queuedRule.name, pgRule.name);
+  t.is(queuedRule.workflow, pgRule.workflow);
+  t.deepEqual(payload, body);
+});
+
+test('trigger() queues the workflow of an http rule for a request with a valid HMAC signature', async (t) => {
+  const pgRule = await createRule(t, { auth_type: 'hmac' });
+  const body = { granuleId: 'granule-1' };
+  const timestamp = Date.now();
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: {
+      'x-cumulus-signature': signDelivery({ secret, timestamp, body: JSON.stringify(body) }),
+      'x-cumulus-timestamp': String(timestamp),
+    },
+    body,
+  }), res);
+
+  t.true(res.status.calledOnceWithExactly(202));
+  t.true(t.context.queueMessageForRuleMethod.calledOnce);
+});
+
+test('trigger() returns an Unauthorized response for a request with an invalid secret', async (t) => {
+  const pgRule = await createRule(t);
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': 'not-the-secret' },
+    body: { granuleId: 'granule-1' },
+  }), res);
+
+  t.true(res.boom.unauthorized.calledOnce);
+  t.false(t.context.queueMessageForRuleMethod.called);
+});
+
+test('trigger() returns an Unauthorized response for a request with the secret of an http rule authenticated by HMAC signatures', async (t) => {
+  const pgRule = await createRule(t, { auth_type: 'hmac' });
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': secret },
+    body: { granuleId: 'granule-1' },
+  }), res);
+
+  t.true(res.boom.unauthorized.calledOnce);
+  t.false(t.context.queueMessageForRuleMethod.called);
+});
+
+test('trigger() returns a Bad Request response for a body not matching the payload schema of the rule', async (t) => {
+  const pgRule = await createRule(t);
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': secret },
+    body: { granule: 'granule-1' },
+  }), res);
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.regex(res.boom.badRequest.firstCall.args[0], /granuleId/);
+  t.false(t.context.queueMessageForRuleMethod.called);
+});
+
+test('trigger() returns a Bad Request response for a request without a JSON body', async (t) => {
+  const pgRule = await createRule(t);
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': secret },
+  }), res);
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.regex(res.boom.badRequest.firstCall.args[0], /application\/json/);
+  t.false(t.context.queueMessageForRuleMethod.called);
+});
+
+test('trigger() returns a Conflict response for a rule whose secret is not a rule secret of the stack', async (t) => {
+  const pgRule = await createRule(t, { value: 'other-secret' });
+  const req = buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': secret },
+    body: { granuleId: 'granule-1' },
+  });
+  const res = buildFakeExpressResponse();
+
+  await trigger(req, res);
+
+  t.true(res.boom.conflict.calledOnce);
+  t.regex(res.boom.conflict.firstCall.args[0], new RegExp(`${stackName}-rule-`));
+  t.false(req.testContext.getSecretStringMethod.called);
+  t.false(t.context.queueMessageForRuleMethod.called);
+});
+
+test('trigger() returns a Conflict response for a disabled rule', async (t) => {
+  const pgRule = await createRule(t, { enabled: false });
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': secret },
+    body: { granuleId: 'granule-1' },
+  }), res);
+
+  t.true(res.boom.conflict.calledOnce);
+  t.false(t.context.queueMessageForRuleMethod.called);
+});
+
+test('trigger() returns a Not Found response for a rule of another type', async (t) => {
+  const pgRule = await createRule(t, {
+    type: 'sqs',
+    value: 'https://sqs.us-east-1.amazonaws.com/123456789012/queue',
+    payload_schema: undefined,
+  });
+  const res = buildFakeExpressResponse();
+
+  await trigger(buildRequest(t, {
+    name: pgRule.name,
+    headers: { 'x-cumulus-secret': secret },
+    body: { granuleId: 'granule-1' },
+  }), res);
+
+  t.true(res.boom.notFound.calledOnce);
+  t.false(t.context.queueMessageForRuleMethod.called);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  AuditLogPgModel,
+  destroyLocalTestDb,
+  generateLocalTestDb,
+  migrationDir,
+} = require('@cumulus/db');
+
+const { list } = require('../../endpoints/audit-log');
+const { buildFakeExpressResponse } = require('./utils');
+
+const testDbName = `audit_log_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  const entry = {
+    method: 'DELETE',
+    route: '/granules/granule1',
+    record_type: 'granules',
+    record_id: 'granule1',
+    status_code: 200,
+    outcome: 'success',
+  };
+  await new AuditLogPgModel().insert(knex, [
+    { ...entry, username: 'user1' },
+    { ...entry, username: 'user2', record_type: 'rules', route: '/rules/rule1', record_id: 'rule1' },
+  ]);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('list() returns audit log entries filtered by user', async (t) => {
+  const { knex } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await list({ query: { username: 'user2' }, testContext: { knex } }, res);
+
+  const { meta, results } = res.send.firstCall.args[0];
+  t.like(meta, { table: 'auditLog', count: 1 });
+  t.like(results[0], { username: 'user2', recordType: 'rules', recordId: 'rule1' });
+});
+
+test('list() returns a bad request response for unsupported filters', async (t) => {
+  const { knex } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await list({ query: { before: 'x' }, testContext: { knex } }, res);
+
+  t.true(res.boom.badRequest.calledOnceWith('Searching by field before is not supported'));
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  ProviderPgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  getApiDiscoveryStates,
+  migrationDir,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const {
+  del,
+  list,
+  put,
+} = require('../../endpoints/discovery-states');
+const { buildFakeExpressResponse } = require('./utils');
+
+const testDbName = `discovery_states_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+  t.context.testContext = { knex };
+
+  const collection = fakeCollectionRecordFactory();
+  await new CollectionPgModel().create(knex, collection);
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+
+  const provider = fakeProviderRecordFactory();
+  await new ProviderPgModel().create(knex, provider);
+  t.context.provider = provider.name;
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+const buildDiscoveryState = (t, params = {}) => ({
+  collectionId: t.context.collectionId,
+  provider: t.context.provider,
+  providerPath: `/${cryptoRandomString({ length: 10 })}`,
+  lastModifiedAt: 1000,
+  ...params,
+});
+
+test('put() creates and replaces a discovery state', async (t) => {
+  const { testContext } = t.context;
+  const discoveryState = buildDiscoveryState(t, { ruleName: 'hourly' });
+
+  await put({ testContext, body: discoveryState }, buildFakeExpressResponse());
+  const res = buildFakeExpressResponse();
+  await put(
+    { testContext, body: { ...discoveryState, lastModifiedAt: 2000, checkpoints: { '/a': 2000 } } },
+    res
+  );
+
+  t.like(res.send.firstCall.args[0], {
+    ...discoveryState,
+    lastModifiedAt: 2000,
+    checkpoints: { '/a': 2000 },
+  });
+});
+
+test('put() returns a 400 for an invalid discovery state', async (t) => {
+  const { testContext } = t.context;
+  const invalidStates = [
+    buildDiscoveryState(t, { providerPath: undefined }),
+    buildDiscoveryState(t, { lastModifiedAt: '2022-10-10' }),
+    buildDiscoveryState(t, { checkpoints: { '/a': 'yesterday' } }),
+  ];
+
+  await Promise.all(invalidStates.map(async (body) => {
+    const res = buildFakeExpressResponse();
+    await put({ testContext, body }, res);
+    t.true(res.boom.badRequest.calledOnce);
+  }));
+});
+
+test('put() returns a 400 for a discovery state of an unknown provider', async (t) => {
+  const { testContext } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await put({ testContext, body: buildDiscoveryState(t, { provider: 'unknown' }) }, res);
+
+  t.true(res.boom.badRequest.calledOnce);
+});
+
+test('list() filters discovery states by provider path', async (t) => {
+  const { testContext } = t.context;
+  const discoveryState = buildDiscoveryState(t);
+  await put({ testContext, body: discoveryState }, buildFakeExpressResponse());
+  const res = buildFakeExpressResponse();
+
+  await list({ testContext, query: { providerPath: discoveryState.providerPath } }, res);
+
+  const { meta, results } = res.send.firstCall.args[0];
+  t.is(meta.count, 1);
+  t.like(results[0], discoveryState);
+});
+
+test('del() resets the discovery states of a provider path', async (t) => {
+  const { collectionId, knex, provider, testContext } = t.context;
+  const discoveryState = buildDiscoveryState(t);
+  const { providerPath } = discoveryState;
+  await Promise.all([
+    put({ testContext, body: discoveryState }, buildFakeExpressResponse()),
+    put({ testContext, body: { ...discoveryState, ruleName: 'hourly' } }, buildFakeExpressResponse()),
+  ]);
+  const res = buildFakeExpressResponse();
+
+  await del({ testContext, query: { collectionId, provider, providerPath } }, res);
+
+  t.deepEqual(res.send.firstCall.args[0], { message: 'Reset 2 discovery states' });
+  t.deepEqual(await getApiDiscoveryStates(knex, { providerPath }), []);
+});
+
+test('del() returns a 400 without a collection ID and provider', async (t) => {
+  const { collectionId, testContext } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await del({ testContext, query: { collectionId } }, res);
+
+  t.true(res.boom.badRequest.calledOnce);
+});
+
+test('del() returns a 404 if there is no discovery state to reset', async (t) => {
+  const { collectionId, provider, testContext } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await del({ testContext, query: { collectionId, provider, providerPath: '/unknown' } }, res);
+
+  t.true(res.boom.notFound.calledOnce);
+});
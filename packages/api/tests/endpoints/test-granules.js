@@ -774,6 +774,81 @@ test.serial('remove a granule from CMR with launchpad authentication', async (t)
   }
 });
 
+test.serial('put() with removeFromCmr and queue marks the granule as pending and queues its deletion from CMR', async (t) => {
+  const {
+    s3Buckets,
+    newPgGranule,
+  } = await createGranuleAndFiles({
+    dbClient: t.context.knex,
+    esClient: t.context.esClient,
+    granuleParams: { published: true },
+  });
+  t.teardown(() => deleteS3Buckets([
+    s3Buckets.protected.name,
+    s3Buckets.public.name,
+  ]));
+
+  const granuleId = newPgGranule.granule_id;
+  const enqueueStub = sinon.stub().resolves();
+  const deleteGranuleSpy = sinon.spy(CMR.prototype, 'deleteGranule');
+  t.teardown(() => deleteGranuleSpy.restore());
+
+  const expressRequest = {
+    params: { granuleName: granuleId },
+    body: { action: 'removeFromCmr', queue: true },
+    testContext: {
+      knex: t.context.knex,
+      enqueueCmrPublishRequestMethod: enqueueStub,
+    },
+  };
+  const response = buildFakeExpressResponse();
+  await put(expressRequest, response);
+
+  t.true(response.send.calledWithMatch({ granuleId, action: 'removeFromCmr', status: 'QUEUED' }));
+  t.true(enqueueStub.calledOnceWithMatch({ action: 'delete', granuleId }));
+  t.false(deleteGranuleSpy.called);
+
+  const updatedPgGranule = await getUniqueGranuleByGranuleId(t.context.knex, granuleId);
+  t.is(updatedPgGranule.cmr_publish_status, 'pending');
+  t.true(updatedPgGranule.published);
+  const updatedDynamoGranule = await granuleModel.get({ granuleId });
+  t.is(updatedDynamoGranule.cmrPublishStatus, 'pending');
+});
+
+test.serial('put() with removeFromCmr and queue marks the granule as failed if its deletion from CMR cannot be queued', async (t) => {
+  const {
+    s3Buckets,
+    newPgGranule,
+  } = await createGranuleAndFiles({
+    dbClient: t.context.knex,
+    esClient: t.context.esClient,
+    granuleParams: { published: true },
+  });
+  t.teardown(() => deleteS3Buckets([
+    s3Buckets.protected.name,
+    s3Buckets.public.name,
+  ]));
+
+  const granuleId = newPgGranule.granule_id;
+  const expressRequest = {
+    params: { granuleName: granuleId },
+    body: { action: 'removeFromCmr', queue: true },
+    testContext: {
+      knex: t.context.knex,
+      enqueueCmrPublishRequestMethod: sinon.stub().rejects(new Error('failed to queue')),
+    },
+  };
+  const response = buildFakeExpressResponse();
+  await t.throwsAsync(put(expressRequest, response), { message: 'failed to queue' });
+
+  t.false(response.send.called);
+  const updatedPgGranule = await getUniqueGranuleByGranuleId(t.context.knex, granuleId);
+  t.is(updatedPgGranule.cmr_publish_status, 'failed');
+  t.true(updatedPgGranule.published);
+  const updatedDynamoGranule = await granuleModel.get({ granuleId });
+  t.is(updatedDynamoGranule.cmrPublishStatus, 'failed');
+});
+
 test.serial('DELETE returns 404 if granule does not exist', async (t) => {
   const granuleId = randomString();
   const response = await request(app)
@@ -2277,6 +2352,111 @@ test.serial('PUT adds granule if it does not exist', async (t) => {
   });
 });
 
+test.serial('PUT with publishAt embargoes the granule, which is listed by GET /granules/embargoes', async (t) => {
+  const { collectionId, knex } = t.context;
+  const publishAt = new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+  const newGranule = fakeGranuleFactoryV2({
+    collectionId,
+    execution: undefined,
+    published: false,
+    publishAt,
+  });
+
+  await request(app)
+    .put(`/granules/${newGranule.granuleId}`)
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .set('Accept', 'application/json')
+    .send(newGranule)
+    .expect(201);
+
+  const pgGranule = await getUniqueGranuleByGranuleId(knex, newGranule.granuleId);
+  t.is(pgGranule.publish_at.toISOString(), publishAt);
+  const dynamoGranule = await t.context.granuleModel.get({ granuleId: newGranule.granuleId });
+  t.is(dynamoGranule.publishAt, publishAt);
+
+  const response = await request(app)
+    .get('/granules/embargoes')
+    .query({ collectionId })
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .set('Accept', 'application/json')
+    .expect(200);
+
+  t.is(response.body.meta.table, 'granules');
+  t.is(response.body.meta.page, 1);
+  t.is(response.body.meta.limit, 10);
+  t.is(response.body.meta.count, response.body.results.length);
+  t.deepEqual(
+    response.body.results.find((result) => result.granuleId === newGranule.granuleId),
+    {
+      granuleId: newGranule.granuleId,
+      collectionId,
+      status: newGranule.status,
+      publishAt,
+    }
+  );
+});
+
+test.serial('GET /granules/embargoes paginates the embargoed granules', async (t) => {
+  const { collectionId } = t.context;
+  const publishAt = Date.now() + 24 * 3600 * 1000;
+  const newGranules = [0, 1, 2].map((index) => fakeGranuleFactoryV2({
+    collectionId,
+    execution: undefined,
+    published: false,
+    publishAt: new Date(publishAt + index * 1000).toISOString(),
+  }));
+  await Promise.all(newGranules.map((newGranule) => request(app)
+    .put(`/granules/${newGranule.granuleId}`)
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .set('Accept', 'application/json')
+    .send(newGranule)
+    .expect(201)));
+
+  const { body: { meta: { count } } } = await request(app)
+    .get('/granules/embargoes')
+    .query({ collectionId })
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .set('Accept', 'application/json')
+    .expect(200);
+  t.true(count >= newGranules.length);
+
+  const response = await request(app)
+    .get('/granules/embargoes')
+    .query({ collectionId, limit: 1, page: 2 })
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .set('Accept', 'application/json')
+    .expect(200);
+
+  t.is(response.body.meta.page, 2);
+  t.is(response.body.meta.limit, 1);
+  t.is(response.body.meta.count, count);
+  t.is(response.body.results.length, 1);
+
+  await request(app)
+    .get('/granules/embargoes')
+    .query({ collectionId, page: 0 })
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .set('Accept', 'application/json')
+    .expect(400);
+});
+
+test.serial('PUT returns 400 for an invalid publishAt', async (t) => {
+  const newGranule = fakeGranuleFactoryV2({
+    collectionId: t.context.collectionId,
+    execution: undefined,
+    publishAt: 'next tuesday',
+  });
+
+  const response = await request(app)
+    .put(`/granules/${newGranule.granuleId}`)
+    .set('Authorization', `Bearer ${jwtAuthToken}`)
+    .set('Accept', 'application/json')
+    .send(newGranule)
+    .expect(400);
+
+  t.is(response.body.message, 'Invalid publishAt next tuesday, expected an ISO 8601 date-time');
+});
+
 test.serial('PUT returns an updated granule with an undefined execution', async (t) => {
   const now = Date.now();
   const newGranule = fakeGranuleFactoryV2({
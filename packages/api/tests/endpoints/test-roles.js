@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  generateLocalTestDb,
+  migrationDir,
+  RoleAssignmentPgModel,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const {
+  del,
+  get,
+  list,
+  post,
+} = require('../../endpoints/roles');
+const { buildFakeExpressResponse } = require('./utils');
+
+const testDbName = `roles_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  t.context.roleAssignmentPgModel = new RoleAssignmentPgModel();
+
+  const collection = fakeCollectionRecordFactory();
+  await new CollectionPgModel().create(knex, collection);
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+});
+
+test.beforeEach((t) => {
+  t.context.username = cryptoRandomString({ length: 10 });
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('post() creates a role assignment scoped to a collection', async (t) => {
+  const { collectionId, knex, username } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await post({ body: { username, role: 'operator', collectionId }, testContext: { knex } }, res);
+
+  t.true(res.send.calledOnce);
+  const { record, message } = res.send.firstCall.args[0];
+  t.is(message, 'Record saved');
+  t.like(record, { username, role: 'operator', collectionId });
+});
+
+test('post() replaces the role of an existing assignment with the same scope', async (t) => {
+  const { knex, roleAssignmentPgModel, username } = t.context;
+
+  await post({ body: { username, role: 'read-only' }, testContext: { knex } }, buildFakeExpressResponse());
+  await post({ body: { username, role: 'admin' }, testContext: { knex } }, buildFakeExpressResponse());
+
+  const records = await roleAssignmentPgModel.search(knex, { username });
+  t.is(records.length, 1);
+  t.is(records[0].role, 'admin');
+});
+
+test('post() returns a bad request response for an invalid role', async (t) => {
+  const { knex, username } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await post({ body: { username, role: 'superuser' }, testContext: { knex } }, res);
+
+  t.true(res.boom.badRequest.calledOnceWith(
+    'Role assignments require a role of read-only, operator, admin, received superuser'
+  ));
+});
+
+test('post() returns a bad request response if the scoped collection does not exist', async (t) => {
+  const { knex, username } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await post({ body: { username, role: 'operator', collectionId: 'missing___1' }, testContext: { knex } }, res);
+
+  t.true(res.boom.badRequest.calledOnce);
+  t.false(res.send.called);
+});
+
+test('get() and list() return the role assignments of a user', async (t) => {
+  const {
+    collectionId,
+    knex,
+    roleAssignmentPgModel,
+    username,
+  } = t.context;
+  await roleAssignmentPgModel.create(knex, { username, role: 'read-only' });
+
+  const getResponse = buildFakeExpressResponse();
+  await get({ params: { username }, testContext: { knex } }, getResponse);
+  t.like(getResponse.send.firstCall.args[0][0], { username, role: 'read-only' });
+
+  await post({ body: { username, role: 'admin', collectionId }, testContext: { knex } }, buildFakeExpressResponse());
+  const listResponse = buildFakeExpressResponse();
+  await list({ query: { username }, testContext: { knex } }, listResponse);
+  const { meta, results } = listResponse.send.firstCall.args[0];
+  t.is(meta.count, 2);
+  t.deepEqual(results.map(({ role }) => role), ['read-only', 'admin']);
+});
+
+test('get() returns not found for a user without role assignments', async (t) => {
+  const { knex, username } = t.context;
+  const res = buildFakeExpressResponse();
+
+  await get({ params: { username }, testContext: { knex } }, res);
+
+  t.true(res.boom.notFound.calledOnce);
+});
+
+test('del() deletes the role assignment with the requested scope', async (t) => {
+  const {
+    collectionId,
+    knex,
+    roleAssignmentPgModel,
+    username,
+  } = t.context;
+  await post({ body: { username, role: 'read-only' }, testContext: { knex } }, buildFakeExpressResponse());
+  await post(
+    { body: { username, role: 'admin', collectionId }, testContext: { knex } },
+    buildFakeExpressResponse()
+  );
+
+  const res = buildFakeExpressResponse();
+  await del({ params: { username }, query: { collectionId }, testContext: { knex } }, res);
+
+  t.true(res.send.calledOnceWith({ message: 'Record deleted' }));
+  const records = await roleAssignmentPgModel.search(knex, { username });
+  t.deepEqual(records.map(({ role }) => role), ['read-only']);
+
+  const notFoundResponse = buildFakeExpressResponse();
+  await del(
+    { params: { username }, query: { collectionId }, testContext: { knex } },
+    notFoundResponse
+  );
+  t.true(notFoundResponse.boom.notFound.calledOnce);
+});
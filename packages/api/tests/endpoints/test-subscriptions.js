@@ -0,0 +1,221 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  generateLocalTestDb,
+  migrationDir,
+  SubscriptionDeliveryPgModel,
+  SubscriptionPgModel,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const {
+  del,
+  get,
+  listDeliveries,
+  post,
+  put,
+  redeliver,
+} = require('../../endpoints/subscriptions');
+const { buildFakeExpressResponse } = require('./utils');
+
+const testDbName = `subscriptions_${cryptoRandomString({ length: 10 })}`;
+
+const encryptMethod = (value) => Promise.resolve(`encrypted:${value}`);
+
+const buildSubscription = (params = {}) => ({
+  name: cryptoRandomString({ length: 10 }),
+  url: 'https://example.com/hook',
+  recordTypes: ['granule'],
+  ...params,
+});
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+  t.context.testContext = { knex, encryptMethod };
+
+  const collection = fakeCollectionRecordFactory();
+  await new CollectionPgModel().create(knex, collection);
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('post() creates a subscription and returns its generated secret once', async (t) => {
+  const { collectionId, knex, testContext } = t.context;
+  const subscription = buildSubscription({ collectionId, statuses: ['failed'] });
+  const res = buildFakeExpressResponse();
+
+  await post({ body: subscription, testContext }, res);
+
+  const { record, message } = res.send.firstCall.args[0];
+  t.is(message, 'Record saved');
+  t.like(record, { ...subscription, enabled: true });
+  t.regex(record.secret, /^[\da-f]{64}$/);
+
+  const pgSubscription = await new SubscriptionPgModel().get(knex, { name: subscription.name });
+  t.is(pgSubscription.secret, `encrypted:${record.secret}`);
+
+  const getRes = buildFakeExpressResponse();
+  await get({ params: { name: subscription.name }, testContext }, getRes);
+  t.like(getRes.send.firstCall.args[0], { name: subscription.name, collectionId });
+  t.false('secret' in getRes.send.firstCall.args[0]);
+});
+
+test('post() returns 400 for invalid subscriptions', async (t) => {
+  const { testContext } = t.context;
+
+  const invalidSubscriptions = [
+    buildSubscription({ url: 'http://example.com/hook' }),
+    buildSubscription({ url: 'not a url' }),
+    buildSubscription({ recordTypes: [] }),
+    buildSubscription({ recordTypes: ['collection'] }),
+    buildSubscription({ statuses: 'failed' }),
+    buildSubscription({ provider: 'missing-provider' }),
+  ];
+  const responses = await Promise.all(invalidSubscriptions.map(async (body) => {
+    const res = buildFakeExpressResponse();
+    await post({ body, testContext }, res);
+    return res;
+  }));
+
+  responses.forEach((res) => t.true(res.boom.badRequest.calledOnce));
+});
+
+test('post() returns 409 for an existing subscription', async (t) => {
+  const { testContext } = t.context;
+  const subscription = buildSubscription({ secret: 'shh' });
+  await post({ body: subscription, testContext }, buildFakeExpressResponse());
+
+  const res = buildFakeExpressResponse();
+  await post({ body: subscription, testContext }, res);
+
+  t.true(res.boom.conflict.calledOnce);
+});
+
+test('put() replaces a subscription and keeps its secret unless a secret is given', async (t) => {
+  const { collectionId, knex, testContext } = t.context;
+  const subscription = buildSubscription({ collectionId, secret: 'shh' });
+  await post({ body: subscription, testContext }, buildFakeExpressResponse());
+
+  const res = buildFakeExpressResponse();
+  await put({
+    params: { name: subscription.name },
+    body: { name: subscription.name, url: 'https://example.com/other', recordTypes: ['pdr'], enabled: false },
+    testContext,
+  }, res);
+
+  const record = res.send.firstCall.args[0];
+  t.like(record, { url: 'https://example.com/other', recordTypes: ['pdr'], enabled: false });
+  t.false('collectionId' in record);
+  const pgSubscription = await new SubscriptionPgModel().get(knex, { name: subscription.name });
+  t.is(pgSubscription.secret, 'encrypted:shh');
+});
+
+test('put() returns 400 for a mismatched name and 404 for a missing subscription', async (t) => {
+  const { testContext } = t.context;
+
+  const mismatched = buildFakeExpressResponse();
+  await put({ params: { name: 'a' }, body: buildSubscription({ name: 'b' }), testContext }, mismatched);
+  t.true(mismatched.boom.badRequest.calledOnce);
+
+  const missing = buildFakeExpressResponse();
+  await put({ params: { name: 'missing' }, body: buildSubscription({ name: 'missing' }), testContext }, missing);
+  t.true(missing.boom.notFound.calledOnce);
+});
+
+test('del() deletes a subscription', async (t) => {
+  const { knex, testContext } = t.context;
+  const subscription = buildSubscription({ secret: 'shh' });
+  await post({ body: subscription, testContext }, buildFakeExpressResponse());
+
+  const res = buildFakeExpressResponse();
+  await del({ params: { name: subscription.name }, testContext }, res);
+
+  t.deepEqual(res.send.firstCall.args[0], { message: 'Record deleted' });
+  t.false(await new SubscriptionPgModel().exists(knex, { name: subscription.name }));
+});
+
+test('listDeliveries() and redeliver() list and redeliver the deliveries of a subscription', async (t) => {
+  const { knex, testContext } = t.context;
+  const subscription = buildSubscription({ secret: 'shh' });
+  await post({ body: subscription, testContext }, buildFakeExpressResponse());
+  const pgSubscription = await new SubscriptionPgModel().get(knex, { name: subscription.name });
+  const subscriptionDeliveryPgModel = new SubscriptionDeliveryPgModel();
+  const [deadLetter] = await subscriptionDeliveryPgModel.create(knex, {
+    subscription_cumulus_id: pgSubscription.cumulus_id,
+    delivery_id: '7a1d36ad-5ba5-4a6e-8c3f-7b1c1d0b2f3e',
+    record_type: 'granule',
+    record_id: 'granule-1',
+    event_type: 'Update',
+    payload: { granuleId: 'granule-1', status: 'failed' },
+    status: 'dead_letter',
+    created_at: new Date(1000),
+  }, '*');
+
+  const listRes = buildFakeExpressResponse();
+  await listDeliveries({
+    params: { name: subscription.name },
+    query: { status: 'dead_letter' },
+    testContext,
+  }, listRes);
+  const { results } = listRes.send.firstCall.args[0];
+  t.is(results.length, 1);
+  t.like(results[0], {
+    deliveryId: deadLetter.delivery_id,
+    subscription: subscription.name,
+    status: 'dead_letter',
+  });
+
+  const attemptDeliveryMethod = sinon.fake(
+    ({ delivery }) => Promise.resolve({ ...delivery, status: 'succeeded' })
+  );
+  const redeliverRes = buildFakeExpressResponse();
+  await redeliver({
+    params: { name: subscription.name, deliveryId: deadLetter.delivery_id },
+    testContext: { ...testContext, attemptDeliveryMethod },
+  }, redeliverRes);
+
+  const redelivery = redeliverRes.send.firstCall.args[0];
+  t.not(redelivery.deliveryId, deadLetter.delivery_id);
+  t.like(redelivery, {
+    recordId: 'granule-1',
+    payload: { granuleId: 'granule-1', status: 'failed' },
+    status: 'succeeded',
+  });
+  t.is(attemptDeliveryMethod.firstCall.args[0].subscription.name, subscription.name);
+});
+
+test('listDeliveries() returns 400 for an invalid status and redeliver() returns 404 for a missing delivery', async (t) => {
+  const { testContext } = t.context;
+  const subscription = buildSubscription({ secret: 'shh' });
+  await post({ body: subscription, testContext }, buildFakeExpressResponse());
+
+  const invalidStatus = buildFakeExpressResponse();
+  await listDeliveries({
+    params: { name: subscription.name },
+    query: { status: 'done' },
+    testContext,
+  }, invalidStatus);
+  t.true(invalidStatus.boom.badRequest.calledOnce);
+
+  const missing = buildFakeExpressResponse();
+  await redeliver({
+    params: { name: subscription.name, deliveryId: '7a1d36ad-5ba5-4a6e-8c3f-000000000000' },
+    testContext,
+  }, missing);
+  t.true(missing.boom.notFound.calledOnce);
+});
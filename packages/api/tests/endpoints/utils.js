@@ -7,6 +7,9 @@ const buildFakeExpressResponse = () => ({
     badImplementation: sinon.fake(),
     badRequest: sinon.fake(),
     conflict: sinon.fake(),
+    forbidden: sinon.fake(),
+    notFound: sinon.fake(),
+    unauthorized: sinon.fake(),
   },
   send: sinon.fake(),
   status: sinon.stub().returns({
@@ -0,0 +1,226 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+const sinon = require('sinon');
+
+const {
+  CollectionPgModel,
+  FilePgModel,
+  GranulePgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeFileRecordFactory,
+  fakeGranuleRecordFactory,
+  generateLocalTestDb,
+  localStackConnectionEnv,
+  migrationDir,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const { bulkGranuleCmrUpdate } = require('../../lambdas/bulk-operation');
+
+const testDbName = `bulk_cmr_update_${cryptoRandomString({ length: 10 })}`;
+
+const createGranule = async (t, { collectionCumulusId, published, withCmrFile = true }) => {
+  const [pgGranule] = await new GranulePgModel().create(
+    t.context.knex,
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: collectionCumulusId,
+      published,
+    }),
+    '*'
+  );
+  const filePgModel = new FilePgModel();
+  await filePgModel.create(t.context.knex, fakeFileRecordFactory({
+    granule_cumulus_id: pgGranule.cumulus_id,
+    bucket: 'protected-bucket',
+    key: `${pgGranule.granule_id}.hdf`,
+  }));
+  if (withCmrFile) {
+    await filePgModel.create(t.context.knex, fakeFileRecordFactory({
+      granule_cumulus_id: pgGranule.cumulus_id,
+      bucket: 'public-bucket',
+      key: `${pgGranule.granule_id}.cmr.json`,
+    }));
+  }
+  return pgGranule.granule_id;
+};
+
+/**
+ * Build CMR method stubs where the metadata of the granules in
+ * `unchangedGranuleIds` is unchanged by `reconcileCMRMetadata`
+ *
+ * @param {string[]} [unchangedGranuleIds] - IDs of granules with unchanged metadata
+ * @returns {Object} the stubs
+ */
+const buildMethods = (unchangedGranuleIds = []) => ({
+  reconcileCMRMetadata: sinon.stub().callsFake(({ granuleId }) => Promise.resolve(
+    unchangedGranuleIds.includes(granuleId)
+      ? { granuleId, updated: false }
+      : { granuleId, etag: '"updated"', updated: true }
+  )),
+  metadataObjectFromCMRFile: sinon.stub().callsFake((filename, etag) => {
+    const url = etag ? 'https://new.example.com' : 'https://old.example.com';
+    return Promise.resolve({ RelatedUrls: [{ URL: url }] });
+  }),
+  publish2CMR: sinon.stub().resolves(),
+});
+
+const overrides = (methods) => ({
+  bucketTypes: { 'protected-bucket': 'protected', 'public-bucket': 'public' },
+  cmrSettings: { provider: 'CUMULUS' },
+  methods,
+});
+
+const payload = {
+  distEndpoint: 'https://new.example.com',
+  distributionBucketMap: { 'protected-bucket': 'protected-bucket', 'public-bucket': 'public-bucket' },
+};
+
+test.before(async (t) => {
+  process.env = {
+    ...process.env,
+    ...localStackConnectionEnv,
+    PG_DATABASE: testDbName,
+  };
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+});
+
+test.beforeEach(async (t) => {
+  const collection = fakeCollectionRecordFactory();
+  const [pgCollection] = await new CollectionPgModel().create(t.context.knex, collection);
+  t.context.collectionCumulusId = pgCollection.cumulus_id;
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test.serial('bulkGranuleCmrUpdate() updates the CMR metadata of granules and republishes published granules', async (t) => {
+  const { collectionCumulusId } = t.context;
+  const publishedGranuleId = await createGranule(t, { collectionCumulusId, published: true });
+  const unpublishedGranuleId = await createGranule(t, { collectionCumulusId, published: false });
+  const methods = buildMethods();
+
+  const result = await bulkGranuleCmrUpdate(
+    { ...payload, ids: [publishedGranuleId, unpublishedGranuleId] },
+    overrides(methods)
+  );
+
+  t.deepEqual(result.updated.sort(), [publishedGranuleId, unpublishedGranuleId].sort());
+  t.deepEqual(result.skipped, []);
+  t.deepEqual(result.failed, []);
+
+  const reconcileParams = methods.reconcileCMRMetadata.args.map(([params]) => params)
+    .find((params) => params.granuleId === publishedGranuleId);
+  t.like(reconcileParams, {
+    distEndpoint: payload.distEndpoint,
+    distributionBucketMap: payload.distributionBucketMap,
+    cmrGranuleUrlType: 'both',
+    published: false,
+    skipUnchanged: true,
+  });
+  t.is(reconcileParams.updatedFiles.length, 2);
+
+  t.true(methods.publish2CMR.calledOnce);
+  const [cmrPublishObject, cmrSettings] = methods.publish2CMR.firstCall.args;
+  t.deepEqual(cmrPublishObject, {
+    filename: `s3://public-bucket/${publishedGranuleId}.cmr.json`,
+    metadataObject: { RelatedUrls: [{ URL: 'https://new.example.com' }] },
+    granuleId: publishedGranuleId,
+  });
+  t.deepEqual(cmrSettings, { provider: 'CUMULUS' });
+});
+
+test.serial('bulkGranuleCmrUpdate() reports skipped and failed granules', async (t) => {
+  const { collectionCumulusId } = t.context;
+  const unchangedGranuleId = await createGranule(t, { collectionCumulusId, published: true });
+  const granuleIdWithoutCmrFile = await createGranule(
+    t,
+    { collectionCumulusId, published: true, withCmrFile: false }
+  );
+  const failingGranuleId = await createGranule(t, { collectionCumulusId, published: true });
+  const missingGranuleId = cryptoRandomString({ length: 10 });
+  const methods = buildMethods([unchangedGranuleId]);
+  methods.publish2CMR.withArgs(sinon.match({ granuleId: failingGranuleId }))
+    .rejects(new Error('CMR is unavailable'));
+
+  const result = await bulkGranuleCmrUpdate(
+    {
+      ...payload,
+      ids: [unchangedGranuleId, granuleIdWithoutCmrFile, failingGranuleId, missingGranuleId],
+    },
+    overrides(methods)
+  );
+
+  t.deepEqual(result.updated, []);
+  t.deepEqual(
+    result.skipped.sort((a, b) => a.reason.localeCompare(b.reason)),
+    [
+      { granuleId: unchangedGranuleId, reason: 'CMR metadata is unchanged' },
+      { granuleId: granuleIdWithoutCmrFile, reason: 'Granule has 0 CMR metadata files, expected 1' },
+    ]
+  );
+  t.is(result.failed.length, 2);
+  t.deepEqual(
+    result.failed.find(({ granuleId }) => granuleId === failingGranuleId),
+    { granuleId: failingGranuleId, error: 'CMR is unavailable' }
+  );
+  t.truthy(result.failed.find(({ granuleId }) => granuleId === missingGranuleId));
+  t.false(methods.publish2CMR.calledWith(sinon.match({ granuleId: unchangedGranuleId })));
+  t.false(methods.metadataObjectFromCMRFile.calledWith(sinon.match(unchangedGranuleId)));
+});
+
+test.serial('bulkGranuleCmrUpdate() updates the granules of a collection', async (t) => {
+  const { collectionCumulusId, collectionId } = t.context;
+  const granuleIds = await Promise.all([
+    createGranule(t, { collectionCumulusId, published: true }),
+    createGranule(t, { collectionCumulusId, published: true }),
+  ]);
+  const [otherPgCollection] = await new CollectionPgModel().create(
+    t.context.knex,
+    fakeCollectionRecordFactory()
+  );
+  await createGranule(t, { collectionCumulusId: otherPgCollection.cumulus_id, published: true });
+  const methods = buildMethods();
+
+  const result = await bulkGranuleCmrUpdate(
+    { ...payload, collectionId },
+    overrides(methods)
+  );
+
+  t.deepEqual(result.updated.sort(), granuleIds.sort());
+  t.is(methods.publish2CMR.callCount, 2);
+});
+
+test.serial('bulkGranuleCmrUpdate() limits the rate of CMR publishes', async (t) => {
+  const { collectionCumulusId } = t.context;
+  const granuleIds = await Promise.all([
+    createGranule(t, { collectionCumulusId, published: true }),
+    createGranule(t, { collectionCumulusId, published: true }),
+    createGranule(t, { collectionCumulusId, published: true }),
+  ]);
+  const methods = buildMethods();
+  const publishTimes = [];
+  methods.publish2CMR.callsFake(() => {
+    publishTimes.push(Date.now());
+    return Promise.resolve();
+  });
+
+  await bulkGranuleCmrUpdate(
+    { ...payload, ids: granuleIds, publishRate: 10 },
+    overrides(methods)
+  );
+
+  t.is(publishTimes.length, 3);
+  publishTimes.sort((a, b) => a - b);
+  // Allow for timer imprecision
+  t.true(publishTimes[2] - publishTimes[0] >= 190);
+});
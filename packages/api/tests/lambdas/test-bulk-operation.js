@@ -487,6 +487,82 @@ test.serial('bulk operation BULK_GRANULE applies workflow to granule IDs returne
   await verifyGranulesQueuedStatus(t);
 });
 
+test.serial('bulk operation BULK_GRANULE applies workflow to granule IDs returned by a PostgreSQL granule query', async (t) => {
+  const collection = fakeCollectionRecordFactory();
+  const [collectionPgRecord] = await new CollectionPgModel().create(
+    t.context.knex,
+    collection
+  );
+  const granules = ['completed', 'completed', 'failed'].map((status) =>
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: collectionPgRecord.cumulus_id,
+      status,
+    }));
+  await new GranulePgModel().create(t.context.knex, granules);
+  const completedGranuleIds = granules.slice(0, 2).map((granule) => granule.granule_id);
+
+  const dynamoGranuleModel = new Granule();
+  await Promise.all(completedGranuleIds.map((granuleId) =>
+    dynamoGranuleModel.create(fakeGranuleFactoryV2({
+      granuleId,
+      collectionId: constructCollectionId(collection.name, collection.version),
+    }))));
+
+  const workflowName = randomId('workflow');
+  await bulkOperation.handler({
+    type: 'BULK_GRANULE',
+    envVars,
+    payload: {
+      granuleQuery: {
+        collectionIds: [constructCollectionId(collection.name, collection.version)],
+        status: 'completed',
+      },
+      workflowName,
+    },
+    applyWorkflowHandler: applyWorkflowStub,
+  });
+
+  t.false(esSearchStub.called);
+  t.deepEqual(
+    applyWorkflowStub.args.map((callArgs) => callArgs[0].granule.granuleId).sort(),
+    completedGranuleIds.sort()
+  );
+});
+
+test.serial('bulk operation BULK_GRANULE matches the granuleIds of a PostgreSQL granule query exactly', async (t) => {
+  const collection = fakeCollectionRecordFactory();
+  const [collectionPgRecord] = await new CollectionPgModel().create(
+    t.context.knex,
+    collection
+  );
+  const granuleId = randomId('granule');
+  const granules = [granuleId, `${granuleId}-extra`, `prefix-${granuleId}`].map((id) =>
+    fakeGranuleRecordFactory({
+      granule_id: id,
+      collection_cumulus_id: collectionPgRecord.cumulus_id,
+    }));
+  await new GranulePgModel().create(t.context.knex, granules);
+  await new Granule().create(fakeGranuleFactoryV2({
+    granuleId,
+    collectionId: constructCollectionId(collection.name, collection.version),
+  }));
+
+  await bulkOperation.handler({
+    type: 'BULK_GRANULE',
+    envVars,
+    payload: {
+      granuleQuery: { granuleIds: [granuleId] },
+      workflowName: randomId('workflow'),
+    },
+    applyWorkflowHandler: applyWorkflowStub,
+  });
+
+  t.deepEqual(
+    applyWorkflowStub.args.map((callArgs) => callArgs[0].granule.granuleId),
+    [granuleId]
+  );
+});
+
 test.serial('applyWorkflowToGranules sets the granules status to queued', async (t) => {
   await setUpExistingDatabaseRecords(t);
   const workflowName = 'test-workflow';
@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  destroyLocalTestDb,
+  generateLocalTestDb,
+  migrationDir,
+  SubscriptionDeliveryPgModel,
+  SubscriptionPgModel,
+} = require('@cumulus/db');
+
+const {
+  deliverSnsRecords,
+  getTopicRecordType,
+} = require('../../lambdas/deliver-subscriptions');
+
+const testDbName = `deliver_subscriptions_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  process.env.granule_sns_topic_arn = 'arn:aws:sns:us-east-1:000000000000:granules';
+  process.env.execution_sns_topic_arn = 'arn:aws:sns:us-east-1:000000000000:executions';
+  process.env.pdr_sns_topic_arn = 'arn:aws:sns:us-east-1:000000000000:pdrs';
+
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  const [subscription] = await new SubscriptionPgModel().create(
+    knex,
+    {
+      name: 'execution-subscription',
+      url: 'https://example.com/hook',
+      record_types: ['execution'],
+      secret: 'secret',
+    },
+    '*'
+  );
+  t.context.subscription = subscription;
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('getTopicRecordType() returns the record type of a topic', (t) => {
+  t.is(getTopicRecordType(process.env.granule_sns_topic_arn), 'granule');
+  t.is(getTopicRecordType(process.env.execution_sns_topic_arn), 'execution');
+  t.is(getTopicRecordType(process.env.pdr_sns_topic_arn), 'pdr');
+  t.is(getTopicRecordType('arn:aws:sns:us-east-1:000000000000:other'), undefined);
+});
+
+test.serial('deliverSnsRecords() delivers the records of matching subscriptions', async (t) => {
+  const { knex, subscription } = t.context;
+  const gotMethod = { post: sinon.fake.resolves({ statusCode: 200 }) };
+  const execution = { arn: 'execution-arn', status: 'completed' };
+
+  await deliverSnsRecords({
+    knex,
+    records: [
+      {
+        Sns: { TopicArn: process.env.execution_sns_topic_arn, Message: JSON.stringify(execution) },
+      },
+      { Sns: { TopicArn: process.env.pdr_sns_topic_arn, Message: JSON.stringify({ pdrName: 'pdr' }) } },
+    ],
+    gotMethod,
+    decryptMethod: (value) => Promise.resolve(value),
+  });
+
+  t.true(gotMethod.post.calledOnce);
+  const deliveries = await new SubscriptionDeliveryPgModel().search(
+    knex,
+    { subscription_cumulus_id: subscription.cumulus_id }
+  );
+  t.is(deliveries.length, 1);
+  t.like(deliveries[0], { record_id: 'execution-arn', status: 'succeeded', payload: execution });
+});
+
+test.serial('deliverSnsRecords() leaves deliveries it fails to attempt for the scheduled retries', async (t) => {
+  const { knex } = t.context;
+  const gotMethod = { post: sinon.fake.resolves({ statusCode: 200 }) };
+  const recordAttempt = sinon.stub(SubscriptionDeliveryPgModel.prototype, 'recordAttempt')
+    .rejects(new Error('Database unavailable'));
+  t.teardown(() => recordAttempt.restore());
+  const execution = { arn: 'failed-execution-arn', status: 'completed' };
+
+  await t.notThrowsAsync(deliverSnsRecords({
+    knex,
+    records: [
+      {
+        Sns: { TopicArn: process.env.execution_sns_topic_arn, Message: JSON.stringify(execution) },
+      },
+    ],
+    gotMethod,
+    decryptMethod: (value) => Promise.resolve(value),
+  }));
+
+  const [delivery] = await new SubscriptionDeliveryPgModel().search(
+    knex,
+    { record_id: 'failed-execution-arn' }
+  );
+  t.like(delivery, { status: 'pending', attempts: [] });
+});
@@ -11,6 +11,7 @@ const stubPromiseReturn = { promise: () => Promise.resolve() };
 const fetchEnabledRulesStub = sandbox.stub();
 const publishMessageStub = sandbox.stub().returns(stubPromiseReturn);
 const queueMessageStub = sandbox.stub().resolves(true);
+const publishRejectedMessageCountsStub = sandbox.stub().resolves();
 
 const messageConsumer = proxyquire('../../lambdas/message-consumer', {
   '@cumulus/aws-client/services': { sns: () => ({ publish: publishMessageStub }) },
@@ -18,6 +19,9 @@ const messageConsumer = proxyquire('../../lambdas/message-consumer', {
     fetchEnabledRules: fetchEnabledRulesStub,
     queueMessageForRule: queueMessageStub,
   },
+  '../lib/ruleFilterHelpers': {
+    publishRejectedMessageCounts: publishRejectedMessageCountsStub,
+  },
 });
 
 test.before(() => {
@@ -28,7 +32,8 @@ test.before(() => {
 test.afterEach.always(() => {
   fetchEnabledRulesStub.reset();
   publishMessageStub.reset();
-  queueMessageStub.reset();
+  queueMessageStub.resetHistory();
+  publishRejectedMessageCountsStub.resetHistory();
 });
 
 test('handler processes records as expected', async (t) => {
@@ -117,3 +122,112 @@ test('handler processes records as expected', async (t) => {
 
   t.is(queueMessageStub.callCount, 3);
 });
+
+test.serial('handler queues a message with the object bucket, key, size and ETag for each s3 rule matching an S3 event', async (t) => {
+  const bucket = randomString();
+  const matchingRule = {
+    rule: {
+      type: 's3',
+      value: bucket,
+      prefix: 'incoming/',
+      suffix: '.h5',
+    },
+    state: 'ENABLED',
+  };
+  const bucketRule = {
+    rule: {
+      type: 's3',
+      value: bucket,
+    },
+    state: 'ENABLED',
+  };
+  const otherSuffixRule = {
+    rule: {
+      type: 's3',
+      value: bucket,
+      suffix: '.xml',
+    },
+    state: 'ENABLED',
+  };
+  const otherBucketRule = {
+    rule: {
+      type: 's3',
+      value: randomString(),
+    },
+    state: 'ENABLED',
+  };
+  fetchEnabledRulesStub.resolves([matchingRule, bucketRule, otherSuffixRule, otherBucketRule]);
+  const s3Record = {
+    eventSource: 'aws:s3',
+    eventName: 'ObjectCreated:Put',
+    s3: {
+      bucket: { name: bucket, arn: `arn:aws:s3:::${bucket}` },
+      object: {
+        key: 'incoming/granule+1%282%29.h5',
+        size: 1024,
+        eTag: 'd41d8cd98f00b204e9800998ecf8427e',
+      },
+    },
+  };
+
+  await messageConsumer.handler({ Records: [s3Record] }, {}, (error, data) => {
+    t.falsy(error);
+    t.deepEqual(data, [[true, true]]);
+  });
+
+  const expectedPayload = {
+    bucket,
+    key: 'incoming/granule 1(2).h5',
+    size: 1024,
+    etag: 'd41d8cd98f00b204e9800998ecf8427e',
+  };
+  t.is(queueMessageStub.callCount, 2);
+  t.true(queueMessageStub.calledWithExactly(matchingRule, expectedPayload));
+  t.true(queueMessageStub.calledWithExactly(bucketRule, expectedPayload));
+});
+
+test.serial('handler only queues messages for the rules whose filter expression accepts the message and counts the rejected messages', async (t) => {
+  const streamArn = randomString();
+  const collection = { name: randomString(), version: '1.0.0' };
+  const buildRule = (filterExpression) => ({
+    name: randomString(),
+    collection,
+    rule: {
+      type: 'kinesis',
+      value: streamArn,
+      filterExpression,
+    },
+    state: 'ENABLED',
+  });
+  const modisRule = buildRule("product.name == 'MOD09GQ' && length(product.files) > `1`");
+  const viirsRule = buildRule("product.name == 'VNP09GA'");
+  const unfilteredRule = buildRule();
+  fetchEnabledRulesStub.resolves([modisRule, viirsRule, unfilteredRule]);
+  const buildKinesisRecord = (product) => ({
+    EventSource: 'aws:kinesis',
+    eventSourceARN: streamArn,
+    kinesis: {
+      data: Buffer.from(JSON.stringify({
+        collection: collection.name,
+        product,
+      })).toString('base64'),
+    },
+  });
+  const modisMessage = buildKinesisRecord({ name: 'MOD09GQ', files: [{}, {}] });
+  const singleFileModisMessage = buildKinesisRecord({ name: 'MOD09GQ', files: [{}] });
+
+  await messageConsumer.handler(
+    { Records: [modisMessage, singleFileModisMessage] },
+    {},
+    (error) => t.falsy(error)
+  );
+
+  t.is(queueMessageStub.callCount, 3);
+  t.is(queueMessageStub.withArgs(modisRule).callCount, 1);
+  t.is(queueMessageStub.withArgs(unfilteredRule).callCount, 2);
+  t.false(queueMessageStub.calledWith(viirsRule));
+  t.true(publishRejectedMessageCountsStub.calledOnceWithExactly({
+    [modisRule.name]: 1,
+    [viirsRule.name]: 2,
+  }));
+});
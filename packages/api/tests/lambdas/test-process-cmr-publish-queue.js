@@ -0,0 +1,241 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+const sinon = require('sinon');
+
+const { sqs } = require('@cumulus/aws-client/services');
+const { receiveSQSMessages, sendSQSMessage } = require('@cumulus/aws-client/SQS');
+const { randomId } = require('@cumulus/common/test-utils');
+const {
+  CollectionPgModel,
+  FilePgModel,
+  GranulePgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeFileRecordFactory,
+  fakeGranuleRecordFactory,
+  generateLocalTestDb,
+  localStackConnectionEnv,
+  migrationDir,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const {
+  processCmrPublishMessage,
+  processCmrPublishRequest,
+} = require('../../lambdas/process-cmr-publish-queue');
+const { createSqsQueues } = require('../../lib/testUtils');
+
+const testDbName = `process_cmr_publish_queue_${cryptoRandomString({ length: 10 })}`;
+
+const createGranule = async (t, { published = false, withCmrFile = true } = {}) => {
+  const [pgGranule] = await new GranulePgModel().create(
+    t.context.knex,
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: t.context.collectionCumulusId,
+      published,
+      cmr_publish_status: 'pending',
+    }),
+    '*'
+  );
+  if (withCmrFile) {
+    await new FilePgModel().create(t.context.knex, fakeFileRecordFactory({
+      granule_cumulus_id: pgGranule.cumulus_id,
+      bucket: 'public-bucket',
+      key: `${pgGranule.granule_id}.cmr.json`,
+    }));
+  }
+  return pgGranule;
+};
+
+const buildMethods = () => ({
+  metadataObjectFromCMRFile: sinon.stub().resolves({ GranuleUR: 'granule' }),
+  publish2CMR: sinon.stub().callsFake(({ granuleId }) => Promise.resolve({
+    granuleId,
+    link: `https://cmr.example.com/search/granules.json?concept_id=G${granuleId}`,
+  })),
+  unpublishGranule: sinon.stub().resolves(),
+  updateGranuleCmrPublishState: sinon.stub().resolves(),
+});
+
+test.before(async (t) => {
+  process.env = {
+    ...process.env,
+    ...localStackConnectionEnv,
+    PG_DATABASE: testDbName,
+  };
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  const collection = fakeCollectionRecordFactory();
+  const [pgCollection] = await new CollectionPgModel().create(knex, collection);
+  t.context.collectionCumulusId = pgCollection.cumulus_id;
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('processCmrPublishRequest() publishes the CMR file of a granule and clears its CMR publish status', async (t) => {
+  const { knex, collectionId } = t.context;
+  const pgGranule = await createGranule(t);
+  const methods = buildMethods();
+  const cmrSettings = { provider: 'CUMULUS' };
+
+  const granule = await processCmrPublishRequest({
+    knex,
+    request: { action: 'publish', granuleId: pgGranule.granule_id, collectionId },
+    cmrSettings,
+    methods,
+  });
+
+  const [publishParams, publishSettings] = methods.publish2CMR.firstCall.args;
+  t.is(publishParams.granuleId, pgGranule.granule_id);
+  t.is(publishParams.filename, `s3://public-bucket/${pgGranule.granule_id}.cmr.json`);
+  t.deepEqual(publishParams.metadataObject, { GranuleUR: 'granule' });
+  t.is(publishSettings, cmrSettings);
+
+  const expectedLink = `https://cmr.example.com/search/granules.json?concept_id=G${pgGranule.granule_id}`;
+  t.like(methods.updateGranuleCmrPublishState.firstCall.args[0], {
+    cmrPublishStatus: null,
+    published: true,
+    cmrLink: expectedLink,
+  });
+  t.is(granule.cmrLink, expectedLink);
+  t.true(granule.published);
+  t.false('cmrPublishStatus' in granule);
+});
+
+test('processCmrPublishRequest() throws if the granule has no CMR file', async (t) => {
+  const { knex, collectionId } = t.context;
+  const pgGranule = await createGranule(t, { withCmrFile: false });
+  const methods = buildMethods();
+
+  await t.throwsAsync(
+    processCmrPublishRequest({
+      knex,
+      request: { action: 'publish', granuleId: pgGranule.granule_id, collectionId },
+      methods,
+    }),
+    { message: `Granule ${pgGranule.granule_id} has 0 CMR metadata files, expected 1` }
+  );
+  t.false(methods.publish2CMR.called);
+  t.false(methods.updateGranuleCmrPublishState.called);
+});
+
+test('processCmrPublishRequest() deletes a published granule from the CMR and clears its CMR publish status', async (t) => {
+  const { knex, collectionId } = t.context;
+  const pgGranule = await createGranule(t, { published: true });
+  const methods = buildMethods();
+
+  const granule = await processCmrPublishRequest({
+    knex,
+    request: { action: 'delete', granuleId: pgGranule.granule_id, collectionId },
+    methods,
+  });
+
+  t.is(methods.unpublishGranule.firstCall.args[0].pgGranuleRecord.cumulus_id, pgGranule.cumulus_id);
+  t.like(methods.updateGranuleCmrPublishState.firstCall.args[0], {
+    cmrPublishStatus: null,
+    published: false,
+  });
+  t.false(granule.published);
+});
+
+test('processCmrPublishRequest() does not delete an unpublished granule from the CMR', async (t) => {
+  const { knex, collectionId } = t.context;
+  const pgGranule = await createGranule(t, { published: false });
+  const methods = buildMethods();
+
+  await processCmrPublishRequest({
+    knex,
+    request: { action: 'delete', granuleId: pgGranule.granule_id, collectionId },
+    methods,
+  });
+
+  t.false(methods.unpublishGranule.called);
+  t.true(methods.updateGranuleCmrPublishState.calledOnce);
+});
+
+test.serial('processCmrPublishMessage() delays the retry of a request failing with a retryable CMR error', async (t) => {
+  const { knex, collectionId } = t.context;
+  const { queueUrl, deadLetterQueueUrl } = await createSqsQueues(randomId('cmrPublish'));
+  process.env.cmr_publish_dead_letter_queue_url = deadLetterQueueUrl;
+  t.teardown(() => delete process.env.cmr_publish_dead_letter_queue_url);
+
+  const pgGranule = await createGranule(t);
+  await sendSQSMessage(queueUrl, {
+    action: 'publish',
+    granuleId: pgGranule.granule_id,
+    collectionId,
+    cmrProvider: 'CUMULUS',
+  });
+  const [message] = await receiveSQSMessages(queueUrl, { numOfMessages: 1 });
+
+  const methods = buildMethods();
+  methods.publish2CMR.rejects(new Error('Failed to ingest, statusCode: 429, statusMessage: Too Many Requests'));
+  const waitForRateLimit = sinon.stub().resolves();
+
+  await t.throwsAsync(
+    processCmrPublishMessage({
+      knex,
+      queueUrl,
+      message,
+      waitForRateLimit,
+      getProviderCmrSettings: () => Promise.resolve({ provider: 'CUMULUS' }),
+      methods,
+    }),
+    { message: /statusCode: 429/ }
+  );
+
+  t.true(waitForRateLimit.calledOnceWith('CUMULUS'));
+  t.false(methods.updateGranuleCmrPublishState.called);
+  // The message is hidden until its retry
+  const { Attributes } = await sqs().getQueueAttributes({
+    QueueUrl: queueUrl,
+    AttributeNames: ['ApproximateNumberOfMessagesNotVisible'],
+  }).promise();
+  t.is(Attributes.ApproximateNumberOfMessagesNotVisible, '1');
+  t.is((await receiveSQSMessages(deadLetterQueueUrl, { numOfMessages: 1 })).length, 0);
+});
+
+test.serial('processCmrPublishMessage() marks the granule as failed and moves a request failing with a non-retryable error to the dead letter queue', async (t) => {
+  const { knex, collectionId } = t.context;
+  const { queueUrl, deadLetterQueueUrl } = await createSqsQueues(randomId('cmrPublish'));
+  process.env.cmr_publish_dead_letter_queue_url = deadLetterQueueUrl;
+  t.teardown(() => delete process.env.cmr_publish_dead_letter_queue_url);
+
+  const pgGranule = await createGranule(t);
+  const request = {
+    action: 'publish',
+    granuleId: pgGranule.granule_id,
+    collectionId,
+    cmrProvider: 'CUMULUS',
+  };
+  await sendSQSMessage(queueUrl, request);
+  const [message] = await receiveSQSMessages(queueUrl, { numOfMessages: 1 });
+
+  const methods = buildMethods();
+  methods.publish2CMR.rejects(new Error('Failed to ingest, statusCode: 422, statusMessage: Unprocessable Entity'));
+
+  await processCmrPublishMessage({
+    knex,
+    queueUrl,
+    message,
+    waitForRateLimit: () => Promise.resolve(),
+    getProviderCmrSettings: () => Promise.resolve({ provider: 'CUMULUS' }),
+    methods,
+  });
+
+  t.like(methods.updateGranuleCmrPublishState.firstCall.args[0], {
+    cmrPublishStatus: 'failed',
+  });
+  const [deadLetter] = await receiveSQSMessages(deadLetterQueueUrl, { numOfMessages: 1 });
+  t.deepEqual(JSON.parse(deadLetter.Body), request);
+});
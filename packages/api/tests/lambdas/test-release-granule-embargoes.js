@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+const sinon = require('sinon');
+
+const {
+  CollectionPgModel,
+  GranulePgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeGranuleRecordFactory,
+  generateLocalTestDb,
+  localStackConnectionEnv,
+  migrationDir,
+} = require('@cumulus/db');
+const { constructCollectionId } = require('@cumulus/message/Collections');
+
+const {
+  releaseExpiredEmbargoes,
+} = require('../../lambdas/release-granule-embargoes');
+
+const testDbName = `release_granule_embargoes_${cryptoRandomString({ length: 10 })}`;
+
+const createGranule = async (t, publishAt) => {
+  const [pgGranule] = await new GranulePgModel().create(
+    t.context.knex,
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: t.context.collectionCumulusId,
+      published: false,
+      publish_at: publishAt,
+    }),
+    '*'
+  );
+  return pgGranule;
+};
+
+const buildMethods = () => ({
+  enqueueCmrPublishRequest: sinon.stub().resolves(),
+  updateGranuleCmrPublishState: sinon.stub().resolves(),
+});
+
+test.before(async (t) => {
+  process.env = {
+    ...process.env,
+    ...localStackConnectionEnv,
+    PG_DATABASE: testDbName,
+  };
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+
+  const collection = fakeCollectionRecordFactory();
+  const [pgCollection] = await new CollectionPgModel().create(knex, collection);
+  t.context.collectionCumulusId = pgCollection.cumulus_id;
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test.serial('releaseExpiredEmbargoes() queues the publication of the granules whose embargo has expired and releases their embargo', async (t) => {
+  const { knex, collectionId } = t.context;
+  const now = new Date();
+  const expiredGranule = await createGranule(t, new Date(now.getTime() - 1000));
+  const embargoedGranule = await createGranule(t, new Date(now.getTime() + 3600 * 1000));
+  await createGranule(t, undefined);
+  const methods = buildMethods();
+
+  const result = await releaseExpiredEmbargoes({ knex, now, methods });
+
+  t.deepEqual(result, { released: [expiredGranule.granule_id], failed: [] });
+  t.true(methods.enqueueCmrPublishRequest.calledOnceWithExactly({
+    action: 'publish',
+    granuleId: expiredGranule.granule_id,
+    collectionId,
+  }));
+  const updateParams = methods.updateGranuleCmrPublishState.firstCall.args[0];
+  t.like(updateParams, {
+    cmrPublishStatus: 'pending',
+    releaseEmbargo: true,
+  });
+  t.like(updateParams.granule, {
+    granuleId: expiredGranule.granule_id,
+    collectionId,
+    publishAt: expiredGranule.publish_at.toISOString(),
+  });
+  t.false(methods.enqueueCmrPublishRequest.calledWithMatch({
+    granuleId: embargoedGranule.granule_id,
+  }));
+
+  await new GranulePgModel().delete(knex, { cumulus_id: expiredGranule.cumulus_id });
+});
+
+test.serial('releaseExpiredEmbargoes() does not release the embargo of a granule whose publication failed to be queued', async (t) => {
+  const { knex } = t.context;
+  const now = new Date();
+  const expiredGranule = await createGranule(t, new Date(now.getTime() - 1000));
+  const methods = buildMethods();
+  methods.enqueueCmrPublishRequest.rejects(new Error('SQS is unavailable'));
+
+  const result = await releaseExpiredEmbargoes({ knex, now, methods });
+
+  t.deepEqual(result, { released: [], failed: [expiredGranule.granule_id] });
+  t.false(methods.updateGranuleCmrPublishState.called);
+
+  await new GranulePgModel().delete(knex, { cumulus_id: expiredGranule.cumulus_id });
+});
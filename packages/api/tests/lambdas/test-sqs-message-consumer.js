@@ -480,3 +480,45 @@ test.serial('processQueues archives multiple messages', async (t) => {
     await cleanupQueues(queues);
   });
 });
+
+test.serial('SQS message consumer only queues workflows for the rules whose filter expression accepts the message and deletes messages rejected by all rules', async (t) => {
+  const { queueMessageStub } = t.context;
+
+  const queue = await createSqsQueues(randomId('queue'));
+  const buildRule = (filterExpression) => fakeRuleFactoryV2({
+    name: randomId('rule'),
+    rule: {
+      type: 'sqs',
+      value: queue.queueUrl,
+      filterExpression,
+    },
+    meta: {
+      visibilityTimeout: 0,
+    },
+    state: 'ENABLED',
+    workflow,
+  });
+  const rules = [
+    buildRule("product.dataVersion == '006'"),
+    buildRule("product.dataVersion == '061'"),
+  ];
+  t.context.fetchRulesStub.returns(rules);
+
+  await SQS.sendSQSMessage(queue.queueUrl, { product: { dataVersion: '006' } });
+  await handler(event);
+
+  t.is(queueMessageStub.callCount, 1);
+  t.is(queueMessageStub.firstCall.args[0], rules[0]);
+  queueMessageStub.resetHistory();
+
+  await SQS.sendSQSMessage(queue.queueUrl, { product: { dataVersion: '005' } });
+  await handler(event);
+
+  t.true(queueMessageStub.notCalled);
+  const numberOfMessages = await getSqsQueueMessageCounts(queue.queueUrl);
+  t.is(numberOfMessages.numberOfMessagesAvailable + numberOfMessages.numberOfMessagesNotVisible, 1);
+
+  t.teardown(async () => {
+    await cleanupQueues([queue]);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('ava');
+
+const { CMRInternalError } = require('@cumulus/errors');
+
+const {
+  buildCmrProviderRateLimiters,
+  enqueueCmrPublishRequest,
+  getMaxAttempts,
+  getRetryDelaySeconds,
+  isRetryableCmrError,
+} = require('../../lib/cmrPublishQueue');
+
+test('getRetryDelaySeconds() doubles the delay of each attempt up to an hour', (t) => {
+  t.is(getRetryDelaySeconds(1), 60);
+  t.is(getRetryDelaySeconds(2), 120);
+  t.is(getRetryDelaySeconds(3), 240);
+  t.is(getRetryDelaySeconds(7), 3600);
+  t.is(getRetryDelaySeconds(20), 3600);
+});
+
+test.serial('getMaxAttempts() returns the configured maximum number of attempts', (t) => {
+  t.teardown(() => {
+    delete process.env.cmr_publish_max_attempts;
+  });
+
+  t.is(getMaxAttempts(), 10);
+  process.env.cmr_publish_max_attempts = '3';
+  t.is(getMaxAttempts(), 3);
+});
+
+test('isRetryableCmrError() returns true for CMR throttling and unavailability errors', (t) => {
+  t.true(isRetryableCmrError(new CMRInternalError('Failed to ingest, statusCode: 503')));
+  t.true(isRetryableCmrError(new Error('Failed to ingest, statusCode: 429, statusMessage: Too Many Requests')));
+  t.true(isRetryableCmrError(new Error('Failed to delete, statusCode: 502, statusMessage: Bad Gateway')));
+  t.true(isRetryableCmrError(new Error('Failed to ingest, statusCode: ECONNRESET, statusMessage: undefined')));
+  t.true(isRetryableCmrError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })));
+  t.true(isRetryableCmrError(Object.assign(new Error('throttled'), { response: { statusCode: 429 } })));
+});
+
+test('isRetryableCmrError() returns false for other errors', (t) => {
+  t.false(isRetryableCmrError(new Error('Failed to ingest, statusCode: 422, statusMessage: Unprocessable Entity')));
+  t.false(isRetryableCmrError(new Error('Granule abc has 0 CMR metadata files, expected 1')));
+  t.false(isRetryableCmrError(Object.assign(new Error('forbidden'), { response: { statusCode: 401 } })));
+});
+
+test('enqueueCmrPublishRequest() throws for an invalid action', async (t) => {
+  await t.throwsAsync(
+    enqueueCmrPublishRequest({
+      action: 'update',
+      granuleId: 'granule',
+      collectionId: 'collection___1',
+      queueUrl: 'https://sqs.us-east-1.amazonaws.com/000000000000/queue',
+    }),
+    { message: /Invalid CMR publish action update/ }
+  );
+});
+
+test('enqueueCmrPublishRequest() throws if the queue URL is not set', async (t) => {
+  await t.throwsAsync(
+    enqueueCmrPublishRequest({
+      action: 'publish',
+      granuleId: 'granule',
+      collectionId: 'collection___1',
+      queueUrl: undefined,
+    }),
+    { message: /the CMR publish queue URL is not set/ }
+  );
+});
+
+test.serial('buildCmrProviderRateLimiters() rate limits the requests of each provider separately', async (t) => {
+  t.teardown(() => {
+    delete process.env.cmr_publish_rate_limits;
+    delete process.env.cmr_publish_default_rate_limit;
+  });
+  process.env.cmr_publish_rate_limits = JSON.stringify({ SLOW: 2 });
+  process.env.cmr_publish_default_rate_limit = '1000';
+
+  const waitForRateLimit = buildCmrProviderRateLimiters();
+
+  const fastStart = Date.now();
+  await Promise.all([1, 2, 3].map(() => waitForRateLimit('FAST')));
+  t.true(Date.now() - fastStart < 400);
+
+  const slowStart = Date.now();
+  await Promise.all([1, 2, 3].map(() => waitForRateLimit('SLOW')));
+  t.true(Date.now() - slowStart >= 990);
+});
@@ -0,0 +1,195 @@
+'use strict';
+
+const test = require('ava');
+
+const BucketsConfig = require('@cumulus/common/BucketsConfig');
+
+const {
+  getCollectionUMMCErrors,
+  validateCollectionFiles,
+} = require('../../lib/collectionValidation');
+
+const bucketsConfig = new BucketsConfig({
+  protected: { name: 'test-protected', type: 'protected' },
+  public: { name: 'test-public', type: 'public' },
+});
+
+const buildCollection = (overrides = {}) => ({
+  name: 'MOD09GQ',
+  version: '006',
+  granuleIdExtraction: '(MOD09GQ\\..*)\\.hdf',
+  granuleId: '^MOD09GQ\\.A[\\d]{7}\\.[\\S]{6}\\.006\\.[\\d]{13}$',
+  sampleFileName: 'MOD09GQ.A2017025.h21v00.006.2017034065104.hdf',
+  url_path: '{cmrMetadata.Granule.Collection.ShortName}',
+  files: [
+    {
+      bucket: 'protected',
+      regex: '^MOD09GQ\\.A[\\d]{7}\\.[\\S]{6}\\.006\\.[\\d]{13}\\.hdf$',
+      url_path: '{granule.dataType}___{granule.version}/{extractYear(file.time)}',
+    },
+    {
+      bucket: 'public',
+      regex: '^MOD09GQ\\.A[\\d]{7}\\.[\\S]{6}\\.006\\.[\\d]{13}\\.hdf\\.md5$',
+      checksumFor: '^MOD09GQ\\.A[\\d]{7}\\.[\\S]{6}\\.006\\.[\\d]{13}\\.hdf$',
+      url_path: 'checksums/{substring(file.name, 0, 7)}',
+    },
+  ],
+  ...overrides,
+});
+
+const dataFile = 'MOD09GQ.A2017025.h21v00.006.2017034065104.hdf';
+
+test('validateCollectionFiles() resolves the file config, granuleId, bucket and url_path of matching files', (t) => {
+  const result = validateCollectionFiles({
+    collection: buildCollection(),
+    files: [
+      { name: dataFile, time: '2017-02-03T00:00:00Z' },
+      `${dataFile}.md5`,
+    ],
+    bucketsConfig,
+  });
+
+  t.true(result.valid);
+  t.deepEqual(result.errors, []);
+  t.deepEqual(result.summary, { files: 2, valid: 2 });
+  t.like(result.files[0], {
+    name: dataFile,
+    valid: true,
+    granuleId: 'MOD09GQ.A2017025.h21v00.006.2017034065104',
+    bucket: 'test-protected',
+    url_path: 'MOD09GQ___006/2017',
+    issues: [],
+  });
+  t.is(result.files[0].fileConfig.bucket, 'protected');
+  t.like(result.files[1], {
+    valid: true,
+    bucket: 'test-public',
+    url_path: 'checksums/MOD09GQ',
+  });
+});
+
+test('validateCollectionFiles() flags unmatched and ambiguous files', (t) => {
+  const collection = buildCollection();
+  collection.files.push({ bucket: 'protected', regex: '^MOD09GQ\\..*\\.hdf$' });
+
+  const result = validateCollectionFiles({
+    collection,
+    files: [dataFile, 'MOD09GQ.A2017025.h21v00.006.2017034065104.jpg'],
+    bucketsConfig,
+  });
+
+  t.false(result.valid);
+  const [ambiguous, unmatched] = result.files;
+  t.deepEqual(ambiguous.issues.map(({ type }) => type), ['ambiguous']);
+  t.deepEqual(ambiguous.matchedRegexes, [collection.files[0].regex, collection.files[2].regex]);
+  t.is(ambiguous.fileConfig, undefined);
+  t.deepEqual(unmatched.issues.map(({ type }) => type), ['unmatched', 'granuleIdExtraction']);
+  t.like(result.summary, { files: 2, valid: 0, ambiguous: 1, unmatched: 1 });
+});
+
+test('validateCollectionFiles() flags checksum files without the file they are a checksum for', (t) => {
+  const result = validateCollectionFiles({
+    collection: buildCollection(),
+    files: [
+      `${dataFile}.md5`,
+      'MOD09GQ.A2017026.h21v00.006.2017034065105.hdf',
+    ],
+    bucketsConfig,
+  });
+
+  t.false(result.valid);
+  t.deepEqual(result.files[0].issues.map(({ type }) => type), ['orphanedChecksum']);
+  t.like(result.summary, { orphanedChecksum: 1 });
+});
+
+test('validateCollectionFiles() reports url_path templates and buckets that cannot be resolved', (t) => {
+  const collection = buildCollection();
+  collection.files[0] = { ...collection.files[0], bucket: 'private', url_path: undefined };
+
+  const withoutMetadata = validateCollectionFiles({
+    collection,
+    files: [dataFile],
+    bucketsConfig,
+  });
+  t.deepEqual(withoutMetadata.files[0].issues.map(({ type }) => type), ['bucket', 'url_path']);
+
+  const withMetadata = validateCollectionFiles({
+    collection,
+    files: [dataFile],
+    bucketsConfig,
+    cmrMetadata: { Granule: { Collection: { ShortName: 'MOD09GQ' } } },
+  });
+  t.is(withMetadata.files[0].url_path, 'MOD09GQ');
+});
+
+test('validateCollectionFiles() reports invalid collection regular expressions and checksumFor values', (t) => {
+  const collection = buildCollection({ granuleId: '(' });
+  collection.files[1] = { ...collection.files[1], checksumFor: '^nothing$' };
+
+  const result = validateCollectionFiles({ collection, files: [dataFile] });
+
+  t.false(result.valid);
+  t.is(result.errors.length, 2);
+  t.regex(result.errors[0], /Invalid granuleId/);
+  t.regex(result.errors[1], /files\[1]\.checksumFor/);
+  t.is(result.files[0].bucket, undefined);
+});
+
+const buildUmmC = (overrides = {}) => ({
+  ShortName: 'MOD09GQ',
+  Version: '006',
+  EntryTitle: 'MODIS/Terra Surface Reflectance Daily L2G Global 250m SIN Grid V006',
+  Abstract: 'The MOD09GQ product provides surface reflectance at 250 meter resolution.',
+  DOI: { MissingReason: 'Not Applicable' },
+  DataCenters: [{ Roles: ['ARCHIVER'], ShortName: 'LP DAAC' }],
+  ProcessingLevel: { Id: '2G' },
+  ScienceKeywords: [{ Category: 'EARTH SCIENCE', Topic: 'LAND SURFACE', Term: 'SURFACE RADIATIVE PROPERTIES' }],
+  TemporalExtents: [{ RangeDateTimes: [{ BeginningDateTime: '2000-02-24T00:00:00.000Z' }] }],
+  SpatialExtent: { GranuleSpatialRepresentation: 'GEODETIC' },
+  Platforms: [{ ShortName: 'Terra' }],
+  CollectionProgress: 'ACTIVE',
+  MetadataSpecification: {
+    URL: 'https://cdn.earthdata.nasa.gov/umm/collection/v1.17.0',
+    Name: 'UMM-C',
+    Version: '1.17.0',
+  },
+  ...overrides,
+});
+
+test('getCollectionUMMCErrors() returns no errors for a collection without UMM-C metadata', (t) => {
+  t.deepEqual(getCollectionUMMCErrors(buildCollection()), []);
+});
+
+test('getCollectionUMMCErrors() returns no errors for valid UMM-C metadata', (t) => {
+  t.deepEqual(getCollectionUMMCErrors(buildCollection({ ummC: buildUmmC() })), []);
+});
+
+test('getCollectionUMMCErrors() reports UMM-C schema errors', (t) => {
+  const ummC = buildUmmC({ CollectionProgress: 'FINISHED' });
+  delete ummC.Platforms;
+
+  t.deepEqual(
+    getCollectionUMMCErrors(buildCollection({ ummC })),
+    [
+      { path: ['CollectionProgress'], errors: ['should be equal to one of the allowed values'] },
+      { path: [], errors: ["should have required property 'Platforms'"] },
+    ]
+  );
+});
+
+test('getCollectionUMMCErrors() reports UMM-C metadata of another collection', (t) => {
+  const ummC = buildUmmC({ ShortName: 'MOD09GA', Version: '006' });
+
+  t.deepEqual(
+    getCollectionUMMCErrors(buildCollection({ ummC })),
+    [{ path: ['ShortName'], errors: ["ShortName 'MOD09GA' does not match collection name 'MOD09GQ'"] }]
+  );
+});
+
+test('getCollectionUMMCErrors() reports unsupported UMM-C versions', (t) => {
+  const ummC = buildUmmC({ MetadataSpecification: { Version: '1.9.0' } });
+
+  const [error] = getCollectionUMMCErrors(buildCollection({ ummC }));
+  t.deepEqual(error.path, ['MetadataSpecification', 'Version']);
+  t.regex(error.errors[0], /No local UMM-C schema for version 1.9.0/);
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('ava');
+const { ValidationError } = require('@cumulus/errors');
+
+const {
+  isHttpRuleRequestAuthorized,
+  isHttpRuleSecretId,
+  validateHttpRule,
+  validateHttpRulePayload,
+} = require('../../lib/httpRuleHelpers');
+const { signDelivery } = require('../../lib/subscriptions');
+
+process.env.stackName = 'test-stack';
+
+const secret = 'rule-secret';
+const body = JSON.stringify({ granuleId: 'granule-1' });
+
+const buildRule = (params = {}) => ({
+  name: 'httpRule',
+  rule: {
+    type: 'http',
+    value: 'test-stack-rule-secret-id',
+    ...params,
+  },
+});
+
+test('isHttpRuleRequestAuthorized() authenticates requests by the secret of the rule by default', (t) => {
+  const rule = buildRule();
+  t.true(isHttpRuleRequestAuthorized({
+    rule,
+    secret,
+    headers: { 'x-cumulus-secret': secret },
+    body,
+  }));
+  t.false(isHttpRuleRequestAuthorized({
+    rule,
+    secret,
+    headers: { 'x-cumulus-secret': `${secret}x` },
+    body,
+  }));
+  t.false(isHttpRuleRequestAuthorized({ rule, secret, headers: {}, body }));
+});
+
+test('isHttpRuleRequestAuthorized() authenticates requests by their signature for rules with the hmac authentication type', (t) => {
+  const rule = buildRule({ authType: 'hmac' });
+  const now = Date.now();
+  const timestamp = now - 1000;
+  const headers = {
+    'x-cumulus-signature': signDelivery({ secret, timestamp, body }),
+    'x-cumulus-timestamp': String(timestamp),
+  };
+
+  t.true(isHttpRuleRequestAuthorized({ rule, secret, headers, body, now }));
+  t.false(isHttpRuleRequestAuthorized({ rule, secret, headers, body: '{}', now }));
+  t.false(isHttpRuleRequestAuthorized({
+    rule,
+    secret,
+    headers: { 'x-cumulus-secret': secret },
+    body,
+    now,
+  }));
+});
+
+test('isHttpRuleRequestAuthorized() rejects signed requests with a stale timestamp', (t) => {
+  const rule = buildRule({ authType: 'hmac' });
+  const now = Date.now();
+  const timestamp = now - 10 * 60 * 1000;
+  const headers = {
+    'x-cumulus-signature': signDelivery({ secret, timestamp, body }),
+    'x-cumulus-timestamp': String(timestamp),
+  };
+
+  t.false(isHttpRuleRequestAuthorized({ rule, secret, headers, body, now }));
+});
+
+test('isHttpRuleSecretId() accepts the names and ARNs of the rule secrets of the stack', (t) => {
+  t.true(isHttpRuleSecretId('test-stack-rule-secret'));
+  t.true(isHttpRuleSecretId('arn:aws:secretsmanager:us-east-1:123456789012:secret:test-stack-rule-secret-AbCdEf'));
+  t.false(isHttpRuleSecretId('other-stack-rule-secret'));
+  t.false(isHttpRuleSecretId('arn:aws:secretsmanager:us-east-1:123456789012:secret:other-secret'));
+  t.false(isHttpRuleSecretId(undefined));
+  t.true(isHttpRuleSecretId('other-stack-rule-secret', 'other-stack'));
+});
+
+test('validateHttpRule() throws a ValidationError for a rule without a secret, with a secret of another stack or with an invalid payload schema', (t) => {
+  t.notThrows(() => validateHttpRule(buildRule({ payloadSchema: { type: 'object' } })));
+  t.throws(
+    () => validateHttpRule(buildRule({ value: undefined })),
+    { instanceOf: ValidationError }
+  );
+  t.throws(
+    () => validateHttpRule(buildRule({ value: 'other-secret' })),
+    { instanceOf: ValidationError, message: /test-stack-rule-/ }
+  );
+  t.throws(
+    () => validateHttpRule(buildRule({ payloadSchema: { type: 'not-a-type' } })),
+    { instanceOf: ValidationError }
+  );
+});
+
+test('validateHttpRulePayload() validates payloads against the payload schema of the rule', (t) => {
+  const rule = buildRule({
+    payloadSchema: {
+      type: 'object',
+      properties: { granuleId: { type: 'string' } },
+      required: ['granuleId'],
+    },
+  });
+
+  t.notThrows(() => validateHttpRulePayload(rule, { granuleId: 'granule-1' }));
+  t.throws(
+    () => validateHttpRulePayload(rule, { granule: 'granule-1' }),
+    { instanceOf: ValidationError, message: /granuleId/ }
+  );
+  t.notThrows(() => validateHttpRulePayload(buildRule(), { anything: true }));
+});
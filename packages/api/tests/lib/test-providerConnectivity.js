@@ -0,0 +1,168 @@
+'use strict';
+
+const http = require('http');
+const test = require('ava');
+
+const { testProviderConnection } = require('../../lib/providerConnectivity');
+
+const buildFakeProviderClient = (overrides = {}) => ({
+  connect: async () => {},
+  end: async () => {},
+  list: () => Promise.resolve([
+    { name: 'file1.hdf', path: '/data', size: 100, time: 1 },
+    { name: 'file2.hdf', path: '/data', size: 200, time: 2 },
+  ]),
+  ...overrides,
+});
+
+// An HTTP provider client with the redirect handling of HttpProviderClient
+const buildFakeHttpProviderClient = ({ port, username, authType = 'basic' }) => buildFakeProviderClient({
+  protocol: 'http',
+  host: '127.0.0.1',
+  port,
+  username,
+  authType,
+  allowedRedirects: [`127.0.0.1:${port}`],
+  gotOptions: {},
+  setUpGotOptions: async () => {},
+  downloadTLSCertificate: async () => {},
+});
+
+test.before(async (t) => {
+  t.context.server = http.createServer((req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: `http://localhost:${t.context.port}/data/file1.hdf` });
+    } else {
+      res.writeHead(200, { 'Content-Length': '5', 'Content-Type': 'application/x-hdf' });
+    }
+    res.end();
+  });
+  await new Promise((resolve) => t.context.server.listen(0, '127.0.0.1', resolve));
+  t.context.port = t.context.server.address().port;
+});
+
+test.after.always(async (t) => {
+  await new Promise((resolve) => t.context.server.close(resolve));
+});
+
+test('testProviderConnection() reports the listing and file of a provider', async (t) => {
+  const diagnostics = await testProviderConnection({
+    provider: { id: 'sftp_provider', protocol: 'sftp', host: 'localhost', username: 'user' },
+    path: '/data',
+    filePath: '/data/file2.hdf',
+    buildProviderClientMethod: () => buildFakeProviderClient(),
+  });
+
+  t.true(diagnostics.success);
+  t.like(diagnostics, { provider: 'sftp_provider', protocol: 'sftp', host: 'localhost' });
+  t.true(diagnostics.checks.dns.success);
+  t.true(diagnostics.checks.connection.success);
+  t.like(diagnostics.checks.listing, { success: true, path: '/data', count: 2 });
+  t.deepEqual(diagnostics.checks.listing.sample, ['file1.hdf', 'file2.hdf']);
+  t.like(diagnostics.checks.file, { success: true, size: 200 });
+  t.true(diagnostics.checks.auth.success);
+  t.is(typeof diagnostics.durationMs, 'number');
+});
+
+test('testProviderConnection() reports rejected credentials', async (t) => {
+  const diagnostics = await testProviderConnection({
+    provider: { id: 'ftp_provider', protocol: 'ftp', host: 'localhost', username: 'user' },
+    buildProviderClientMethod: () => buildFakeProviderClient({
+      list: () => Promise.reject(new Error('530 Login incorrect.')),
+    }),
+  });
+
+  t.false(diagnostics.success);
+  t.like(diagnostics.checks.listing, { success: false, error: '530 Login incorrect.' });
+  t.deepEqual(diagnostics.checks.auth, { success: false, error: '530 Login incorrect.' });
+});
+
+test('testProviderConnection() does not connect to a provider whose host does not resolve', async (t) => {
+  let connected = false;
+  const diagnostics = await testProviderConnection({
+    provider: { id: 'ftp_provider', protocol: 'ftp', host: 'provider.invalid' },
+    timeoutMs: 5000,
+    buildProviderClientMethod: () => buildFakeProviderClient({
+      connect: () => {
+        connected = true;
+        return Promise.resolve();
+      },
+    }),
+  });
+
+  t.false(diagnostics.success);
+  t.false(diagnostics.checks.dns.success);
+  t.is(diagnostics.checks.connection, undefined);
+  t.false(connected);
+});
+
+test('testProviderConnection() reports the headers of a file on an HTTP provider', async (t) => {
+  const { port } = t.context;
+  const diagnostics = await testProviderConnection({
+    provider: { id: 'http_provider', protocol: 'http', host: '127.0.0.1', port },
+    path: '/data',
+    filePath: '/data/file1.hdf',
+    buildProviderClientMethod: () => buildFakeHttpProviderClient({ port }),
+  });
+
+  t.true(diagnostics.success);
+  t.like(diagnostics.checks.redirect, { success: true, statusCode: 200, redirects: [] });
+  t.like(diagnostics.checks.file, {
+    success: true,
+    size: 5,
+    headers: { 'content-length': '5', 'content-type': 'application/x-hdf' },
+  });
+});
+
+test('testProviderConnection() reports redirects that credentials are not forwarded to', async (t) => {
+  const { port } = t.context;
+  const diagnostics = await testProviderConnection({
+    provider: { id: 'http_provider', protocol: 'http', host: '127.0.0.1', port, username: 'user' },
+    path: '/redirect',
+    buildProviderClientMethod: () => buildFakeHttpProviderClient({ port, username: 'user' }),
+  });
+
+  t.false(diagnostics.success);
+  t.false(diagnostics.checks.redirect.success);
+  t.regex(diagnostics.checks.redirect.error, /not in allowedRedirects/);
+});
+
+test('testProviderConnection() reports redirects that httpAuth credentials are not forwarded to', async (t) => {
+  const { port } = t.context;
+
+  await Promise.all(['bearer', 'edl', 'certificate'].map(async (authType) => {
+    const diagnostics = await testProviderConnection({
+      provider: {
+        id: 'http_provider',
+        protocol: 'http',
+        host: '127.0.0.1',
+        port,
+        httpAuth: { type: authType, secretId: 'secret' },
+      },
+      path: '/redirect',
+      buildProviderClientMethod: () => buildFakeHttpProviderClient({ port, authType }),
+    });
+
+    t.false(diagnostics.checks.redirect.success, authType);
+    t.regex(diagnostics.checks.redirect.error, /not in allowedRedirects/);
+  }));
+});
+
+test('testProviderConnection() allows redirects of a provider without credentials', async (t) => {
+  const { port } = t.context;
+  const diagnostics = await testProviderConnection({
+    provider: { id: 'http_provider', protocol: 'http', host: '127.0.0.1', port },
+    path: '/redirect',
+    buildProviderClientMethod: () => buildFakeHttpProviderClient({ port }),
+  });
+
+  t.true(diagnostics.checks.redirect.success);
+  t.is(diagnostics.checks.redirect.redirects[0].credentialsForwarded, false);
+});
+
+test('testProviderConnection() throws if a provider client cannot be built', async (t) => {
+  await t.throwsAsync(
+    testProviderConnection({ provider: { id: 'provider', protocol: 'gopher', host: 'localhost' } }),
+    { message: 'Protocol gopher is not supported.' }
+  );
+});
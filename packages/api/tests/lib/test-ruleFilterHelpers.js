@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('ava');
+const { ValidationError } = require('@cumulus/errors');
+
+const {
+  addRejectedMessageCounts,
+  evaluateRuleFilter,
+  partitionRulesByFilter,
+  validateRuleFilterExpression,
+} = require('../../lib/ruleFilterHelpers');
+
+const buildRule = (name, filterExpression) => ({
+  name,
+  rule: {
+    type: 'kinesis',
+    value: 'arn:aws:kinesis:us-east-1:123456789012:stream/cnm',
+    filterExpression,
+  },
+});
+
+test('validateRuleFilterExpression() throws a ValidationError for an invalid JMESPath expression', (t) => {
+  t.notThrows(() => validateRuleFilterExpression(buildRule('rule1')));
+  t.notThrows(() => validateRuleFilterExpression(buildRule('rule1', "product.name == 'MOD09GQ'")));
+  t.throws(
+    () => validateRuleFilterExpression(buildRule('rule1', "product.name == = 'MOD09GQ'")),
+    { instanceOf: ValidationError }
+  );
+});
+
+test('evaluateRuleFilter() accepts messages for which the filter expression is truthy', (t) => {
+  const message = {
+    product: {
+      name: 'MOD09GQ',
+      files: [{ name: 'granule.hdf' }],
+    },
+  };
+
+  t.deepEqual(evaluateRuleFilter(buildRule('rule1'), message), { accepted: true });
+  t.deepEqual(
+    evaluateRuleFilter(buildRule('rule1', "product.name == 'MOD09GQ'"), message),
+    { accepted: true, result: true }
+  );
+  t.deepEqual(
+    evaluateRuleFilter(buildRule('rule1', 'length(product.files) > `1`'), message),
+    { accepted: false, result: false }
+  );
+  t.deepEqual(
+    evaluateRuleFilter(buildRule('rule1', 'product.files[?name == `other.hdf`]'), message),
+    { accepted: false, result: [] }
+  );
+  t.deepEqual(
+    evaluateRuleFilter(buildRule('rule1', 'product.missing'), message),
+    { accepted: false, result: null }
+  );
+});
+
+test('partitionRulesByFilter() splits the rules accepting and rejecting a message', (t) => {
+  const acceptingRule = buildRule('accepting', "product.name == 'MOD09GQ'");
+  const rejectingRule = buildRule('rejecting', "product.name == 'VNP09GA'");
+  const failingRule = buildRule('failing', 'length(product.missing) > `1`');
+  const unfilteredRule = buildRule('unfiltered');
+
+  const [accepting, rejecting] = partitionRulesByFilter(
+    [acceptingRule, rejectingRule, failingRule, unfilteredRule],
+    { product: { name: 'MOD09GQ' } }
+  );
+
+  t.deepEqual(accepting, [acceptingRule, unfilteredRule]);
+  t.deepEqual(rejecting, [rejectingRule, failingRule]);
+});
+
+test('addRejectedMessageCounts() counts the messages rejected by each rule', (t) => {
+  const counts = {};
+  addRejectedMessageCounts(counts, [buildRule('rule1'), buildRule('rule2')]);
+  addRejectedMessageCounts(counts, [buildRule('rule1')]);
+
+  t.deepEqual(counts, { rule1: 2, rule2: 1 });
+});
@@ -0,0 +1,74 @@
+const test = require('ava');
+
+const { randomId } = require('@cumulus/common/test-utils');
+
+const {
+  getS3PermissionIdMaxLength,
+  getS3TriggerNotificationId,
+  getS3TriggerPermissionId,
+  s3RuleMatchesObject,
+  s3RulesHaveSameTrigger,
+} = require('../../lib/s3RuleHelpers');
+const { fakeRuleFactoryV2 } = require('../../lib/testUtils');
+
+test.before(() => {
+  process.env.stackName = randomId('stack');
+});
+
+test('getS3TriggerPermissionId() returns a permission ID based on the bucket of the rule', (t) => {
+  const rule = fakeRuleFactoryV2({
+    rule: {
+      type: 's3',
+      value: 'landing.bucket-name',
+    },
+  });
+  t.is(getS3TriggerPermissionId(rule), 'landing_bucket_nameS3Permission');
+});
+
+test('getS3TriggerPermissionId() limits the ID length to 100 characters', (t) => {
+  const rule = fakeRuleFactoryV2({
+    rule: {
+      type: 's3',
+      value: 'a'.repeat(120),
+    },
+  });
+  t.is(getS3TriggerPermissionId(rule).length, getS3PermissionIdMaxLength());
+});
+
+test('getS3TriggerNotificationId() returns the same ID for rules with the same object key filters', (t) => {
+  const rule = fakeRuleFactoryV2({
+    rule: { type: 's3', value: 'bucket', prefix: 'incoming/', suffix: '.h5' },
+  });
+  const sameFilterRule = fakeRuleFactoryV2({
+    rule: { type: 's3', value: 'bucket', prefix: 'incoming/', suffix: '.h5' },
+  });
+  const otherFilterRule = fakeRuleFactoryV2({
+    rule: { type: 's3', value: 'bucket', prefix: 'incoming/.h5' },
+  });
+
+  t.is(getS3TriggerNotificationId(rule), getS3TriggerNotificationId(sameFilterRule));
+  t.not(getS3TriggerNotificationId(rule), getS3TriggerNotificationId(otherFilterRule));
+  t.true(getS3TriggerNotificationId(rule).startsWith(`${process.env.stackName}-rule-`));
+});
+
+test('s3RulesHaveSameTrigger() compares the bucket, prefix and suffix of rules', (t) => {
+  const rule = fakeRuleFactoryV2({ rule: { type: 's3', value: 'bucket', prefix: '' } });
+  t.true(s3RulesHaveSameTrigger(rule, fakeRuleFactoryV2({ rule: { type: 's3', value: 'bucket' } })));
+  t.false(s3RulesHaveSameTrigger(rule, fakeRuleFactoryV2({ rule: { type: 's3', value: 'other' } })));
+  t.false(s3RulesHaveSameTrigger(rule, fakeRuleFactoryV2({ rule: { type: 's3', value: 'bucket', suffix: '.h5' } })));
+});
+
+test('s3RuleMatchesObject() matches objects of the bucket of the rule by prefix and suffix', (t) => {
+  const rule = fakeRuleFactoryV2({
+    rule: { type: 's3', value: 'bucket', prefix: 'incoming/', suffix: '.h5' },
+  });
+  t.true(s3RuleMatchesObject(rule, 'bucket', 'incoming/granule.h5'));
+  t.false(s3RuleMatchesObject(rule, 'bucket', 'outgoing/granule.h5'));
+  t.false(s3RuleMatchesObject(rule, 'bucket', 'incoming/granule.xml'));
+  t.false(s3RuleMatchesObject(rule, 'other', 'incoming/granule.h5'));
+  t.false(s3RuleMatchesObject(
+    fakeRuleFactoryV2({ rule: { type: 'sns', value: 'bucket' } }),
+    'bucket',
+    'incoming/granule.h5'
+  ));
+});
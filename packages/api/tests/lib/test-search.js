@@ -0,0 +1,18 @@
+'use strict';
+
+const test = require('ava');
+
+const { usePostgresSearch } = require('../../lib/search');
+
+test('usePostgresSearch() returns true for endpoints configured to search PostgreSQL', (t) => {
+  const env = { POSTGRES_SEARCH_ENDPOINTS: 'granules, providers' };
+
+  t.true(usePostgresSearch('granules', env));
+  t.true(usePostgresSearch('providers', env));
+  t.false(usePostgresSearch('rules', env));
+});
+
+test('usePostgresSearch() returns false if no endpoints are configured', (t) => {
+  t.false(usePostgresSearch('granules', {}));
+  t.false(usePostgresSearch('granules', { POSTGRES_SEARCH_ENDPOINTS: '' }));
+});
@@ -0,0 +1,233 @@
+'use strict';
+
+const crypto = require('crypto');
+const test = require('ava');
+const sinon = require('sinon');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  destroyLocalTestDb,
+  generateLocalTestDb,
+  migrationDir,
+  SubscriptionDeliveryPgModel,
+  SubscriptionPgModel,
+} = require('@cumulus/db');
+
+const {
+  attemptDelivery,
+  deliveryLeaseMs,
+  enqueueDeliveries,
+  getRetryDelayMs,
+  retryDueDeliveries,
+  signDelivery,
+} = require('../../lib/subscriptions');
+
+const testDbName = `subscriptions_lib_${cryptoRandomString({ length: 10 })}`;
+
+const decryptMethod = (value) => Promise.resolve(value.replace(/^encrypted:/, ''));
+
+const granuleMessage = {
+  event: 'Update',
+  record: {
+    granuleId: 'granule-1',
+    collectionId: 'MOD09GQ___006',
+    provider: 'MODAPS',
+    status: 'failed',
+  },
+};
+
+test.before(async (t) => {
+  const { knex, knexAdmin } = await generateLocalTestDb(testDbName, migrationDir);
+  t.context.knex = knex;
+  t.context.knexAdmin = knexAdmin;
+  t.context.subscriptionDeliveryPgModel = new SubscriptionDeliveryPgModel();
+});
+
+test.beforeEach(async (t) => {
+  const [subscription] = await new SubscriptionPgModel().create(
+    t.context.knex,
+    {
+      name: cryptoRandomString({ length: 10 }),
+      url: 'https://example.com/hook',
+      record_types: ['granule'],
+      statuses: ['failed'],
+      secret: 'encrypted:shh',
+    },
+    '*'
+  );
+  t.context.subscription = subscription;
+});
+
+test.afterEach.always(async (t) => {
+  await new SubscriptionPgModel().delete(t.context.knex, { name: t.context.subscription.name });
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('getRetryDelayMs() backs off exponentially up to an hour', (t) => {
+  t.is(getRetryDelayMs(1), 60 * 1000);
+  t.is(getRetryDelayMs(3), 4 * 60 * 1000);
+  t.is(getRetryDelayMs(10), 60 * 60 * 1000);
+});
+
+test.serial('enqueueDeliveries() creates a pending delivery for each matching subscription', async (t) => {
+  const { knex, subscription } = t.context;
+
+  const deliveries = await enqueueDeliveries({
+    knex,
+    recordType: 'granule',
+    message: granuleMessage,
+    now: () => 1000,
+  });
+
+  t.is(deliveries.length, 1);
+  t.is(deliveries[0].subscription.name, subscription.name);
+  t.like(deliveries[0].delivery, {
+    record_type: 'granule',
+    record_id: 'granule-1',
+    event_type: 'Update',
+    payload: granuleMessage.record,
+    status: 'pending',
+    next_attempt_at: new Date(1000 + deliveryLeaseMs),
+  });
+
+  t.deepEqual(
+    await enqueueDeliveries({
+      knex,
+      recordType: 'granule',
+      message: { ...granuleMessage, record: { ...granuleMessage.record, status: 'completed' } },
+    }),
+    []
+  );
+});
+
+test.serial('attemptDelivery() posts a signed delivery and records a successful attempt', async (t) => {
+  const { knex, subscription } = t.context;
+  const [{ delivery }] = await enqueueDeliveries({
+    knex,
+    recordType: 'granule',
+    message: granuleMessage,
+  });
+  const gotMethod = { post: sinon.fake.resolves({ statusCode: 204 }) };
+
+  const updated = await attemptDelivery({
+    knex,
+    delivery,
+    subscription,
+    gotMethod,
+    decryptMethod,
+    now: () => 5000,
+  });
+
+  t.like(updated, { status: 'succeeded', next_attempt_at: null }); // eslint-disable-line unicorn/no-null
+  t.deepEqual(updated.attempts, [{ timestamp: 5000, durationMs: 0, statusCode: 204 }]);
+
+  const [url, { body, headers }] = gotMethod.post.firstCall.args;
+  t.is(url, subscription.url);
+  t.like(JSON.parse(body), {
+    deliveryId: delivery.delivery_id,
+    subscription: subscription.name,
+    recordType: 'granule',
+    event: 'Update',
+    record: granuleMessage.record,
+  });
+  const expectedSignature = crypto.createHmac('sha256', 'shh').update(`5000.${body}`).digest('hex');
+  t.like(headers, {
+    'X-Cumulus-Delivery': delivery.delivery_id,
+    'X-Cumulus-Event': 'granule',
+    'X-Cumulus-Signature': `sha256=${expectedSignature}`,
+    'X-Cumulus-Timestamp': '5000',
+  });
+  t.is(signDelivery({ secret: 'shh', timestamp: 5000, body }), headers['X-Cumulus-Signature']);
+});
+
+test.serial('attemptDelivery() retries failed deliveries with backoff and dead-letters them after the last attempt', async (t) => {
+  const { knex, subscription } = t.context;
+  const [{ delivery }] = await enqueueDeliveries({
+    knex,
+    recordType: 'granule',
+    message: granuleMessage,
+  });
+  const error = Object.assign(new Error('Response code 500'), { response: { statusCode: 500 } });
+  const gotMethod = { post: sinon.fake.rejects(error) };
+  const options = {
+    knex,
+    subscription,
+    gotMethod,
+    decryptMethod,
+    maxAttempts: 2,
+    now: () => 5000,
+  };
+
+  const retried = await attemptDelivery({ ...options, delivery });
+  t.like(retried, { status: 'pending', next_attempt_at: new Date(5000 + 60 * 1000) });
+  t.like(retried.attempts[0], { statusCode: 500, error: 'Response code 500' });
+
+  const deadLettered = await attemptDelivery({ ...options, delivery: retried });
+  t.like(deadLettered, { status: 'dead_letter', next_attempt_at: null }); // eslint-disable-line unicorn/no-null
+  t.is(deadLettered.attempts.length, 2);
+});
+
+test.serial('retryDueDeliveries() attempts the deliveries that are due', async (t) => {
+  const { knex, subscriptionDeliveryPgModel } = t.context;
+  const [{ delivery: due }] = await enqueueDeliveries({
+    knex,
+    recordType: 'granule',
+    message: granuleMessage,
+    now: () => 1000,
+  });
+  const [{ delivery: notDue }] = await enqueueDeliveries({
+    knex,
+    recordType: 'granule',
+    message: granuleMessage,
+    now: () => 9000,
+  });
+  const gotMethod = { post: sinon.fake.resolves({ statusCode: 200 }) };
+
+  const retried = await retryDueDeliveries({
+    knex,
+    gotMethod,
+    decryptMethod,
+    now: () => 5000 + deliveryLeaseMs,
+  });
+
+  t.deepEqual(retried.map((delivery) => delivery.delivery_id), [due.delivery_id]);
+  const notDueRecord = await subscriptionDeliveryPgModel.get(
+    knex,
+    { cumulus_id: notDue.cumulus_id }
+  );
+  t.is(notDueRecord.status, 'pending');
+});
+
+test.serial('retryDueDeliveries() does not attempt deliveries claimed by another invocation', async (t) => {
+  const { knex } = t.context;
+  const [{ delivery }] = await enqueueDeliveries({
+    knex,
+    recordType: 'granule',
+    message: granuleMessage,
+    now: () => 1000,
+  });
+  const gotMethod = { post: sinon.fake.resolves({ statusCode: 200 }) };
+  const options = {
+    knex,
+    gotMethod,
+    decryptMethod,
+    now: () => 5000 + deliveryLeaseMs,
+  };
+
+  const [retried, retriedConcurrently] = await Promise.all([
+    retryDueDeliveries(options),
+    retryDueDeliveries(options),
+  ]);
+
+  t.deepEqual(
+    [...retried, ...retriedConcurrently].map((retriedDelivery) => retriedDelivery.delivery_id),
+    [delivery.delivery_id]
+  );
+  t.true(gotMethod.post.calledOnce);
+});
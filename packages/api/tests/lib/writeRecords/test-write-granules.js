@@ -22,6 +22,7 @@ const {
   fakeProviderRecordFactory,
   generateLocalTestDb,
   destroyLocalTestDb,
+  getApiGranuleHistory,
   TableNames,
   translatePostgresGranuleToApiGranule,
   translateApiGranuleToPostgresGranule,
@@ -50,6 +51,7 @@ const {
   writeGranuleFromApi,
   writeGranulesFromMessage,
   _writeGranule,
+  updateGranuleCmrPublishState,
   updateGranuleStatusToQueued,
   updateGranuleStatusToFailed,
 } = require('../../../lib/writeRecords/write-granules');
@@ -458,6 +460,99 @@ test.serial('writeGranulesFromMessage() saves granule records to DynamoDB/Postgr
   t.is(Messages.length, 1);
 });
 
+test.serial('writeGranulesFromMessage() queues the CMR publication of completed granules pending publication', async (t) => {
+  const {
+    cumulusMessage,
+    granuleModel,
+    knex,
+    collectionCumulusId,
+    collectionId,
+    executionCumulusId,
+    granuleId,
+  } = t.context;
+
+  const { QueueUrl: cmrPublishQueueUrl } = await sqs().createQueue({
+    QueueName: cryptoRandomString({ length: 10 }),
+  }).promise();
+  process.env.cmr_publish_queue_url = cmrPublishQueueUrl;
+  t.teardown(async () => {
+    delete process.env.cmr_publish_queue_url;
+    await sqs().deleteQueue({ QueueUrl: cmrPublishQueueUrl }).promise();
+  });
+
+  cumulusMessage.meta.status = 'completed';
+  cumulusMessage.meta.cmr = { provider: 'CUMULUS' };
+  cumulusMessage.payload.granules[0] = {
+    ...cumulusMessage.payload.granules[0],
+    cmrLink: undefined,
+    published: false,
+    cmrPublishStatus: 'pending',
+  };
+
+  await writeGranulesFromMessage({
+    cumulusMessage,
+    executionCumulusId,
+    knex,
+    granuleModel,
+  });
+
+  const pgGranule = await t.context.granulePgModel.get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: collectionCumulusId }
+  );
+  t.is(pgGranule.cmr_publish_status, 'pending');
+  t.false(pgGranule.published);
+  t.is((await granuleModel.get({ granuleId })).cmrPublishStatus, 'pending');
+
+  const { Messages } = await sqs().receiveMessage({
+    QueueUrl: cmrPublishQueueUrl,
+    WaitTimeSeconds: 10,
+  }).promise();
+  t.is(Messages.length, 1);
+  t.deepEqual(JSON.parse(Messages[0].Body), {
+    action: 'publish',
+    granuleId,
+    collectionId,
+    cmrProvider: 'CUMULUS',
+  });
+});
+
+test.serial('writeGranulesFromMessage() marks a completed granule as failed if its CMR publication cannot be queued', async (t) => {
+  const {
+    cumulusMessage,
+    granuleModel,
+    knex,
+    collectionCumulusId,
+    executionCumulusId,
+    granuleId,
+  } = t.context;
+
+  delete process.env.cmr_publish_queue_url;
+
+  cumulusMessage.meta.status = 'completed';
+  cumulusMessage.payload.granules[0] = {
+    ...cumulusMessage.payload.granules[0],
+    cmrLink: undefined,
+    published: false,
+    cmrPublishStatus: 'pending',
+  };
+
+  await t.throwsAsync(writeGranulesFromMessage({
+    cumulusMessage,
+    executionCumulusId,
+    knex,
+    granuleModel,
+  }));
+
+  const pgGranule = await t.context.granulePgModel.get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: collectionCumulusId }
+  );
+  t.is(pgGranule.cmr_publish_status, 'failed');
+  t.false(pgGranule.published);
+  t.is((await granuleModel.get({ granuleId })).cmrPublishStatus, 'failed');
+});
+
 test.serial('writeGranulesFromMessage() saves the same values to DynamoDB, PostgreSQL and Elasticsearch', async (t) => {
   const {
     collectionCumulusId,
@@ -1698,6 +1793,97 @@ test.serial('updateGranuleStatusToQueued() updates granule status in DynamoDB/Po
   t.is(publishedMessage.event, 'Update');
 });
 
+test.serial('updateGranuleCmrPublishState() updates and clears the CMR publish status of a granule in DynamoDB/PostgreSQL/Elasticsearch', async (t) => {
+  const {
+    collectionCumulusId,
+    esGranulesClient,
+    esClient,
+    granule,
+    granuleId,
+    granuleModel,
+    granulePgModel,
+    knex,
+  } = t.context;
+
+  await writeGranuleFromApi({ ...granule, published: false }, knex, esClient, 'Create');
+  const dynamoRecord = await granuleModel.get({ granuleId });
+
+  await updateGranuleCmrPublishState({
+    granule: dynamoRecord,
+    knex,
+    cmrPublishStatus: 'pending',
+  });
+
+  let pgRecord = await granulePgModel.get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: collectionCumulusId }
+  );
+  t.is(pgRecord.cmr_publish_status, 'pending');
+  t.is((await granuleModel.get({ granuleId })).cmrPublishStatus, 'pending');
+  t.is((await esGranulesClient.get(granuleId, granule.collectionId)).cmrPublishStatus, 'pending');
+
+  const cmrLink = 'https://cmr.example.com/search/granules.json?concept_id=G1-CUMULUS';
+  await updateGranuleCmrPublishState({
+    granule: await granuleModel.get({ granuleId }),
+    knex,
+    cmrPublishStatus: null,
+    published: true,
+    cmrLink,
+  });
+
+  pgRecord = await granulePgModel.get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: collectionCumulusId }
+  );
+  const updatedDynamoRecord = await granuleModel.get({ granuleId });
+  const updatedEsRecord = await esGranulesClient.get(granuleId, granule.collectionId);
+  t.is(pgRecord.cmr_publish_status, null);
+  t.true(pgRecord.published);
+  t.is(pgRecord.cmr_link, cmrLink);
+  t.is(updatedDynamoRecord.cmrPublishStatus, undefined);
+  t.true(updatedDynamoRecord.published);
+  t.is(updatedDynamoRecord.cmrLink, cmrLink);
+  t.is(updatedEsRecord.cmrPublishStatus, null);
+  t.true(updatedEsRecord.published);
+});
+
+test.serial('updateGranuleCmrPublishState() with releaseEmbargo clears the publishAt time of a granule in DynamoDB/PostgreSQL/Elasticsearch', async (t) => {
+  const {
+    collectionCumulusId,
+    esGranulesClient,
+    esClient,
+    granule,
+    granuleId,
+    granuleModel,
+    granulePgModel,
+    knex,
+  } = t.context;
+  const publishAt = new Date(Date.now() - 1000).toISOString();
+
+  await writeGranuleFromApi({ ...granule, published: false, publishAt }, knex, esClient, 'Create');
+  const dynamoRecord = await granuleModel.get({ granuleId });
+  t.is(dynamoRecord.publishAt, publishAt);
+
+  await updateGranuleCmrPublishState({
+    granule: dynamoRecord,
+    knex,
+    cmrPublishStatus: 'pending',
+    releaseEmbargo: true,
+  });
+
+  const pgRecord = await granulePgModel.get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: collectionCumulusId }
+  );
+  const updatedDynamoRecord = await granuleModel.get({ granuleId });
+  const updatedEsRecord = await esGranulesClient.get(granuleId, granule.collectionId);
+  t.is(pgRecord.publish_at, null);
+  t.is(pgRecord.cmr_publish_status, 'pending');
+  t.is(updatedDynamoRecord.publishAt, undefined);
+  t.is(updatedDynamoRecord.cmrPublishStatus, 'pending');
+  t.is(updatedEsRecord.publishAt, null);
+});
+
 test.serial('updateGranuleStatusToQueued() throws error if record does not exist in pg', async (t) => {
   const {
     esClient,
@@ -2040,3 +2226,66 @@ test.serial('updateGranuleStatusToFailed() throws error if record does not exist
     }
   );
 });
+
+test.serial('writeGranulesFromMessage() appends the execution of the message to the granule history', async (t) => {
+  const {
+    collectionCumulusId,
+    cumulusMessage,
+    esClient,
+    executionArn,
+    executionCumulusId,
+    granuleId,
+    granuleModel,
+    granulePgModel,
+    knex,
+  } = t.context;
+
+  await writeGranulesFromMessage({
+    cumulusMessage,
+    executionCumulusId,
+    knex,
+    granuleModel,
+    esClient,
+  });
+
+  const pgGranule = await granulePgModel.get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: collectionCumulusId }
+  );
+  const history = await getApiGranuleHistory(knex, pgGranule.cumulus_id);
+  t.is(history.length, 1);
+  t.like(history[0], { status: 'running', executionArn });
+  t.is(history[0].actor, undefined);
+});
+
+test.serial('writeGranuleFromApi() and updateGranuleStatusToQueued() append the API user to the granule history', async (t) => {
+  const {
+    collectionCumulusId,
+    esClient,
+    granule,
+    granuleId,
+    granulePgModel,
+    granuleModel,
+    knex,
+  } = t.context;
+
+  await writeGranuleFromApi({ ...granule, status: 'failed' }, knex, esClient, 'Create', 'user1');
+  await updateGranuleStatusToQueued({
+    granule: await granuleModel.get({ granuleId }),
+    knex,
+    actor: 'user2',
+  });
+
+  const pgGranule = await granulePgModel.get(
+    knex,
+    { granule_id: granuleId, collection_cumulus_id: collectionCumulusId }
+  );
+  const history = await getApiGranuleHistory(knex, pgGranule.cumulus_id);
+  t.deepEqual(
+    history.map(({ status, actor }) => ({ status, actor })),
+    [
+      { status: 'failed', actor: 'user1' },
+      { status: 'queued', actor: 'user2' },
+    ]
+  );
+});
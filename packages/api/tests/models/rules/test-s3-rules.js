@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const test = require('ava');
+
+const awsServices = require('@cumulus/aws-client/services');
+const {
+  createBucket,
+  putJsonS3Object,
+  recursivelyDeleteS3Bucket,
+} = require('@cumulus/aws-client/S3');
+const { randomId, randomString } = require('@cumulus/common/test-utils');
+const { ValidationError } = require('@cumulus/errors');
+
+const { fakeRuleFactoryV2 } = require('../../../lib/testUtils');
+const Rule = require('../../../models/rules');
+const { getS3TriggerNotificationId } = require('../../../lib/s3RuleHelpers');
+
+const workflow = randomString();
+let rulesModel;
+
+const getLambdaConfigurations = async (bucket) => {
+  const notificationConfiguration = await awsServices.s3().getBucketNotificationConfiguration({
+    Bucket: bucket,
+  }).promise();
+  return notificationConfiguration.LambdaFunctionConfigurations || [];
+};
+
+test.before(async () => {
+  process.env.RulesTable = `RulesTable_${randomString()}`;
+  process.env.stackName = randomString();
+  process.env.KinesisInboundEventLogger = randomString();
+  process.env.system_bucket = randomString();
+
+  const lambda = await awsServices.lambda().createFunction({
+    Code: {
+      ZipFile: fs.readFileSync(require.resolve('@cumulus/test-data/fake-lambdas/hello.zip')),
+    },
+    FunctionName: randomId('messageConsumer'),
+    Role: randomId('role'),
+    Handler: 'index.handler',
+    Runtime: 'nodejs14.x',
+  }).promise();
+  process.env.messageConsumer = lambda.FunctionArn;
+
+  rulesModel = new Rule();
+  await rulesModel.createTable();
+
+  await createBucket(process.env.system_bucket);
+
+  const workflowfile = `${process.env.stackName}/workflows/${workflow}.json`;
+  const templateFile = `${process.env.stackName}/workflow_template.json`;
+  await Promise.all([
+    putJsonS3Object(
+      process.env.system_bucket,
+      workflowfile,
+      {}
+    ),
+    putJsonS3Object(
+      process.env.system_bucket,
+      templateFile,
+      {}
+    ),
+  ]);
+});
+
+test.beforeEach(async (t) => {
+  t.context.bucket = randomId('landing');
+  await createBucket(t.context.bucket);
+});
+
+test.afterEach.always(async (t) => {
+  await recursivelyDeleteS3Bucket(t.context.bucket);
+});
+
+test.after.always(async () => {
+  await rulesModel.deleteTable();
+  await recursivelyDeleteS3Bucket(process.env.system_bucket);
+});
+
+test.serial('creating an enabled s3 rule adds a bucket notification configuration with the object key filters of the rule', async (t) => {
+  const { bucket } = t.context;
+  const item = fakeRuleFactoryV2({
+    workflow,
+    rule: {
+      type: 's3',
+      value: bucket,
+      prefix: 'incoming/',
+      suffix: '.h5',
+    },
+    state: 'ENABLED',
+  });
+
+  const rule = await rulesModel.create(await rulesModel.createRuleTrigger(item));
+  t.teardown(() => rulesModel.delete(rule));
+
+  const [lambdaConfiguration] = await getLambdaConfigurations(bucket);
+  t.is(lambdaConfiguration.Id, getS3TriggerNotificationId(rule));
+  t.is(lambdaConfiguration.LambdaFunctionArn, process.env.messageConsumer);
+  t.deepEqual(lambdaConfiguration.Events, ['s3:ObjectCreated:*']);
+  t.deepEqual(
+    lambdaConfiguration.Filter.Key.FilterRules.map(
+      ({ Name, Value }) => [Name.toLowerCase(), Value]
+    ),
+    [['prefix', 'incoming/'], ['suffix', '.h5']]
+  );
+});
+
+test.serial('creating a disabled s3 rule adds no bucket notification configuration', async (t) => {
+  const { bucket } = t.context;
+  const item = fakeRuleFactoryV2({
+    workflow,
+    rule: {
+      type: 's3',
+      value: bucket,
+    },
+    state: 'DISABLED',
+  });
+
+  const rule = await rulesModel.create(await rulesModel.createRuleTrigger(item));
+  t.teardown(() => rulesModel.delete(rule));
+
+  t.deepEqual(await getLambdaConfigurations(bucket), []);
+});
+
+test.serial('creating an s3 rule without a bucket throws a ValidationError', async (t) => {
+  const item = fakeRuleFactoryV2({
+    workflow,
+    rule: {
+      type: 's3',
+    },
+    state: 'ENABLED',
+  });
+
+  await t.throwsAsync(rulesModel.createRuleTrigger(item), { instanceOf: ValidationError });
+});
+
+test.serial('disabling an s3 rule removes its bucket notification configuration', async (t) => {
+  const { bucket } = t.context;
+  const item = fakeRuleFactoryV2({
+    workflow,
+    rule: {
+      type: 's3',
+      value: bucket,
+      prefix: 'incoming/',
+    },
+    state: 'ENABLED',
+  });
+
+  const rule = await rulesModel.create(await rulesModel.createRuleTrigger(item));
+  t.teardown(() => rulesModel.delete(rule));
+  t.is((await getLambdaConfigurations(bucket)).length, 1);
+
+  const ruleWithUpdatedTrigger = await rulesModel.updateRuleTrigger(rule, { state: 'DISABLED' });
+  await rulesModel.update(ruleWithUpdatedTrigger);
+  await rulesModel.deleteOldEventSourceMappings(rule);
+
+  t.deepEqual(await getLambdaConfigurations(bucket), []);
+});
+
+test.serial('updating the object key filters of an s3 rule replaces its bucket notification configuration', async (t) => {
+  const { bucket } = t.context;
+  const item = fakeRuleFactoryV2({
+    workflow,
+    rule: {
+      type: 's3',
+      value: bucket,
+      suffix: '.h5',
+    },
+    state: 'ENABLED',
+  });
+
+  const rule = await rulesModel.create(await rulesModel.createRuleTrigger(item));
+
+  const ruleWithUpdatedTrigger = await rulesModel.updateRuleTrigger(
+    rule,
+    { rule: { suffix: '.nc' } }
+  );
+  const updatedRule = await rulesModel.update(ruleWithUpdatedTrigger);
+  t.teardown(() => rulesModel.delete(updatedRule));
+  await rulesModel.deleteOldEventSourceMappings(rule);
+
+  const lambdaConfigurations = await getLambdaConfigurations(bucket);
+  t.deepEqual(
+    lambdaConfigurations.map((configuration) => configuration.Id),
+    [getS3TriggerNotificationId(updatedRule)]
+  );
+});
+
+test.serial('s3 rules with the same bucket and object key filters share their bucket notification configuration', async (t) => {
+  const { bucket } = t.context;
+  const buildRule = () => fakeRuleFactoryV2({
+    workflow,
+    rule: {
+      type: 's3',
+      value: bucket,
+      prefix: 'incoming/',
+    },
+    state: 'ENABLED',
+  });
+
+  const rule1 = await rulesModel.create(await rulesModel.createRuleTrigger(buildRule()));
+  const rule2 = await rulesModel.create(await rulesModel.createRuleTrigger(buildRule()));
+  t.is((await getLambdaConfigurations(bucket)).length, 1);
+
+  await rulesModel.delete(rule1);
+  t.is((await getLambdaConfigurations(bucket)).length, 1);
+
+  await rulesModel.delete(rule2);
+  t.deepEqual(await getLambdaConfigurations(bucket), []);
+});
@@ -28,6 +28,7 @@ module.exports = {
     cleanExecutions: './lambdas/cleanExecutions.js',
     createReconciliationReport: './lambdas/create-reconciliation-report.js',
     dbIndexer: './lambdas/db-indexer.js',
+    deliverSubscriptions: './lambdas/deliver-subscriptions.js',
     distribution: './app/distribution.js',
     executeMigrations: './lambdas/executeMigrations.js',
     granuleFilesCacheUpdater: './lambdas/granuleFilesCacheUpdater.js',
@@ -35,11 +36,13 @@ module.exports = {
     manualConsumer: './lambdas/manual-consumer.js',
     messageConsumer: './lambdas/message-consumer.js',
     payloadLogger: './lambdas/payload-logger.js',
+    processCmrPublishQueue: './lambdas/process-cmr-publish-queue.js',
     processDeadLetterArchive: './lambdas/process-s3-dead-letter-archive.js',
     publishCollections: './lambdas/publish-collections.js',
     publishExecutions: './lambdas/publish-executions.js',
     publishGranules: './lambdas/publish-granules.js',
     publishPdrs: './lambdas/publish-pdrs.js',
+    releaseGranuleEmbargoes: './lambdas/release-granule-embargoes.js',
     replaySqsMessages: './lambdas/replay-sqs-messages.js',
     sfEventSqsToDbRecords: './lambdas/sf-event-sqs-to-db-records/index.js',
     sfScheduler: './lambdas/sf-scheduler.js',
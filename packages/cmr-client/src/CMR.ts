@@ -1,17 +1,18 @@
 import get from 'lodash/get';
+import isString from 'lodash/isString';
 import got, { Headers } from 'got';
 import publicIp from 'public-ip';
 import { CMRInternalError } from '@cumulus/errors';
 import Logger from '@cumulus/logger';
 import * as secretsManagerUtils from '@cumulus/aws-client/SecretsManager';
 
-import { CMRResponseBody, CMRErrorResponseBody } from './types';
+import { CMRResponseBody, CMRErrorResponseBody, MetadataValidationError } from './types';
 import { searchConcept } from './searchConcept';
 import ingestConcept from './ingestConcept';
 import deleteConcept from './deleteConcept';
 import getConceptMetadata from './getConcept';
-import { getIngestUrl, getTokenUrl } from './getUrl';
-import { UmmMetadata, ummVersion } from './UmmUtils';
+import { getIngestUrl, getTokenUrl, getValidateUrl } from './getUrl';
+import { UmmMetadata, supportedUMMCVersions, ummVersion } from './UmmUtils';
 
 const log = new Logger({ sender: 'cmr-client' });
 
@@ -21,6 +22,26 @@ const logDetails: { [key: string]: string } = {
 
 const IP_TIMEOUT_MS = 1 * 1000;
 
+const ISO_SMAP_GRANULE_CONTENT_TYPE = 'application/iso:smap+xml';
+const ISO_19115_GRANULE_CONTENT_TYPE = 'application/iso19115+xml';
+
+/**
+ * Returns the content type of a granule ISO XML document from its root
+ * element: ISO 19115-2 for an `MI_Metadata` root, and ISO-SMAP for the
+ * `DS_Series` that wraps the `MI_Metadata` of ISO-SMAP documents
+ *
+ * @param {string} xml - the granule ISO XML document
+ * @returns {string} the content type of the document
+ */
+const getISOGranuleContentType = (xml: string): string => {
+  // Skip the XML declaration, processing instructions and comments
+  const rootElementMatch = /^\s*(?:(?:<\?[\S\s]*?\?>|<!--[\S\s]*?-->)\s*)*<([\w.:-]+)/.exec(xml);
+  const rootElement = rootElementMatch ? rootElementMatch[1] : '';
+  return /(?:^|:)MI_Metadata$/.test(rootElement)
+    ? ISO_19115_GRANULE_CONTENT_TYPE
+    : ISO_SMAP_GRANULE_CONTENT_TYPE;
+};
+
 const userIpAddress = (): Promise<string> =>
   publicIp.v4({ timeout: IP_TIMEOUT_MS })
     .catch(() => '127.0.0.1');
@@ -186,6 +207,8 @@ export class CMR {
    * @param {string} [params.token] - CMR request token
    * @param {string} [params.ummgVersion] - UMMG metadata version string or null if echo10 metadata
    * @param {string} [params.cmrRevisionId] - CMR Revision ID
+   * @param {string} [params.contentType] - Content-type of the metadata,
+   *   overriding the UMMG or echo10 content type
    * @returns {Object} CMR headers object
    */
   getWriteHeaders(
@@ -193,11 +216,13 @@ export class CMR {
       token?: string,
       ummgVersion?: string,
       cmrRevisionId?:string,
+      contentType?: string,
     } = {}
   ): Headers {
-    const contentType = params.ummgVersion
+    let contentType = params.ummgVersion
       ? `application/vnd.nasa.cmr.umm+json;version=${params.ummgVersion}`
       : 'application/echo10+xml';
+    if (params.contentType) contentType = params.contentType;
 
     const headers: Headers = {
       'Client-Id': this.clientId,
@@ -257,6 +282,24 @@ export class CMR {
     return await ingestConcept('granule', xml, 'Granule.GranuleUR', this.provider, headers);
   }
 
+  /**
+   * Adds a granule record in ISO 19115-2 or ISO-SMAP XML to the CMR
+   *
+   * @param {string} xml - the granule ISO XML document
+   * @param {string} granuleId - the granule's native id in the CMR
+   * @param {string} cmrRevisionId - Optional CMR Revision ID
+   * @returns {Promise.<Object>} the CMR response
+   */
+  async ingestISOGranule(xml: string, granuleId: string, cmrRevisionId?: string)
+    : Promise<unknown> {
+    const headers = this.getWriteHeaders({
+      token: await this.getToken(),
+      cmrRevisionId,
+      contentType: getISOGranuleContentType(xml),
+    });
+    return await ingestConcept('granule', xml, '', this.provider, headers, granuleId);
+  }
+
   /**
    * Adds/Updates UMMG json metadata in the CMR
    *
@@ -275,11 +318,57 @@ export class CMR {
     const granuleId = ummgMetadata.GranuleUR || 'no GranuleId found on input metadata';
     logDetails.granuleId = granuleId;
 
+    return await this.ingestUMMConcept('granules', granuleId, ummgMetadata, headers);
+  }
+
+  /**
+   * Adds/Updates UMM-C json metadata in the CMR
+   *
+   * @param {Object} ummcMetadata - UMM-C metadata object
+   * @param {string} nativeId - the collection's native id in the CMR
+   * @param {string} cmrRevisionId - Optional CMR Revision ID
+   * @returns {Promise<Object>} to the CMR response object, with the
+   *   `concept-id` and `revision-id` of the collection
+   */
+  async ingestUMMCollection(
+    ummcMetadata: UmmMetadata,
+    nativeId: string,
+    cmrRevisionId?: string
+  ): Promise<CMRResponseBody | CMRErrorResponseBody> {
+    const version = ummcMetadata.MetadataSpecification?.Version
+      ?? supportedUMMCVersions[supportedUMMCVersions.length - 1];
+    const headers = this.getWriteHeaders({
+      token: await this.getToken(),
+      cmrRevisionId,
+      contentType: `application/vnd.nasa.cmr.umm+json;version=${version}`,
+    });
+    headers.Accept = 'application/json';
+
+    return await this.ingestUMMConcept('collections', nativeId, ummcMetadata, headers);
+  }
+
+  /**
+   * Puts UMM json metadata of a concept to the CMR
+   *
+   * @param {string} type - the concept type, `collections` or `granules`
+   * @param {string} nativeId - the concept's native id in the CMR
+   * @param {Object} metadata - UMM metadata object
+   * @param {Object} headers - the CMR headers
+   * @returns {Promise<Object>} to the CMR response object.
+   *
+   * @private
+   */
+  private async ingestUMMConcept(
+    type: 'collections' | 'granules',
+    nativeId: string,
+    metadata: UmmMetadata,
+    headers: Headers
+  ): Promise<CMRResponseBody | CMRErrorResponseBody> {
     try {
       const response = await got.put(
-        `${getIngestUrl({ provider: this.provider })}granules/${granuleId}`,
+        `${getIngestUrl({ provider: this.provider })}${type}/${nativeId}`,
         {
-          json: ummgMetadata,
+          json: metadata,
           responseType: 'json',
           headers,
         }
@@ -306,6 +395,58 @@ export class CMR {
     }
   }
 
+  /**
+   * Validates granule metadata with the CMR, without ingesting it
+   *
+   * @param {Object|string} metadata - UMMG metadata object, or granule ECHO10
+   *   or ISO XML document
+   * @param {string} granuleId - the granule's native id in the CMR
+   * @param {string} [xmlFormat] - format of an XML document, `echo10` or `iso`
+   * @returns {Promise<Array<Object>>} the errors returned by the CMR, each
+   *   with the `path` of the invalid metadata and its `errors`. The list is
+   *   empty if the metadata is valid.
+   */
+  async validateGranule(
+    metadata: UmmMetadata | string,
+    granuleId: string,
+    xmlFormat: 'echo10' | 'iso' = 'echo10'
+  ): Promise<MetadataValidationError[]> {
+    const isXml = isString(metadata);
+    const headers = this.getWriteHeaders({
+      token: await this.getToken(),
+      ummgVersion: isXml ? undefined : ummVersion(metadata),
+      contentType: isXml && xmlFormat === 'iso'
+        ? getISOGranuleContentType(metadata as string)
+        : undefined,
+    });
+    // Ask for JSON errors for XML documents as well
+    headers.Accept = 'application/json';
+
+    const { statusCode, body } = await got.post(
+      `${getValidateUrl({ provider: this.provider })}granule/${granuleId}`,
+      {
+        ...(isXml ? { body: metadata } : { json: metadata }),
+        responseType: 'json',
+        headers,
+        throwHttpErrors: false,
+      }
+    );
+
+    if (statusCode === 200) return [];
+
+    const errorMessage = `Failed to validate granule ${granuleId}, statusCode: ${statusCode}`;
+    if (statusCode >= 500 && statusCode < 600) {
+      throw new CMRInternalError(errorMessage);
+    }
+
+    const errors = <(string | MetadataValidationError)[] | undefined>get(body, 'errors');
+    if (errors) {
+      // Errors of XML documents are messages without paths
+      return errors.map((error) => (isString(error) ? { path: [], errors: [error] } : error));
+    }
+    throw new Error(`${errorMessage}, response: ${JSON.stringify(body)}`);
+  }
+
   /**
    * Deletes a collection record from the CMR
    *
@@ -1,9 +1,13 @@
+import Ajv from 'ajv';
 import got from 'got';
 import { CMRInternalError, ValidationError } from '@cumulus/errors';
 import { getValidateUrl } from './getUrl';
+import { MetadataValidationError } from './types';
 
 export interface UmmMetadata {
   GranuleUR?: string,
+  ShortName?: string,
+  Version?: string,
   MetadataSpecification?: {
     Version?: string
   }
@@ -20,6 +24,128 @@ export interface UmmMetadata {
 export const ummVersion = (umm: UmmMetadata): string =>
   umm?.MetadataSpecification?.Version ?? '1.4';
 
+// The UMM-G JSON schemas shipped with this package. The schemas are required
+// with literal paths so that bundlers include them.
+const ummGSchema14 = require('./schemas/umm-g/v1.4.json');
+const ummGSchema15 = require('./schemas/umm-g/v1.5.json');
+const ummGSchema162 = require('./schemas/umm-g/v1.6.2.json');
+
+const ummGSchemas: { [version: string]: object } = {
+  1.4: ummGSchema14,
+  1.5: ummGSchema15,
+  '1.6.2': ummGSchema162,
+};
+
+const ummGSchemaValidators: { [version: string]: Ajv.ValidateFunction } = {};
+
+/**
+ * The UMM versions that UMM-G metadata can be validated against locally
+ */
+export const supportedUMMGVersions = Object.keys(ummGSchemas);
+
+const ummCSchema1170 = require('./schemas/umm-c/v1.17.0.json');
+
+const ummCSchemas: { [version: string]: object } = {
+  '1.17.0': ummCSchema1170,
+};
+
+const ummCSchemaValidators: { [version: string]: Ajv.ValidateFunction } = {};
+
+/**
+ * The UMM versions that UMM-C metadata can be validated against locally
+ */
+export const supportedUMMCVersions = Object.keys(ummCSchemas);
+
+/**
+ * Convert the data path of a JSON schema validation error to a CMR error path
+ *
+ * @param {string} dataPath - data path, e.g. `.RelatedUrls[0].Type`
+ * @returns {Array<string|number>} CMR error path, e.g. `['RelatedUrls', 0, 'Type']`
+ */
+const dataPathToErrorPath = (dataPath: string): (string | number)[] =>
+  (dataPath.match(/[^.[\]]+/g) ?? []).map(
+    (key) => (/^\d+$/.test(key) ? Number(key) : key.replace(/^'(.*)'$/, '$1'))
+  );
+
+/**
+ * Validates metadata with a JSON schema validator
+ *
+ * @param {Function} validateSchema - the JSON schema validator
+ * @param {Object} metadata - the metadata object
+ * @returns {Array<Object>} the validation errors, grouped by path
+ */
+const schemaValidationErrors = (
+  validateSchema: Ajv.ValidateFunction,
+  metadata: object
+): MetadataValidationError[] => {
+  if (validateSchema(metadata)) return [];
+
+  const errorsByPath = new Map<string, MetadataValidationError>();
+  (validateSchema.errors ?? []).forEach((error) => {
+    const additionalProperty = (<Ajv.AdditionalPropertiesParams>error.params).additionalProperty;
+    const message = additionalProperty
+      ? `${error.message}: ${additionalProperty}`
+      : <string>error.message;
+    const pathErrors = errorsByPath.get(error.dataPath)
+      ?? { path: dataPathToErrorPath(error.dataPath), errors: [] };
+    if (!pathErrors.errors.includes(message)) pathErrors.errors.push(message);
+    errorsByPath.set(error.dataPath, pathErrors);
+  });
+  return [...errorsByPath.values()];
+};
+
+/**
+ * Validates UMM-G metadata against the UMM-G JSON schema of its UMM version,
+ * without sending it to the CMR
+ *
+ * @param {Object} ummMetadata - the UMM object
+ * @returns {Array<Object>} the validation errors, grouped by path like the
+ *   errors of the CMR validate endpoint. The list is empty if the metadata is
+ *   valid.
+ * @throws {ValidationError} if there is no local schema for the UMM version
+ *   of the metadata
+ */
+export const validateUMMGSchema = (ummMetadata: UmmMetadata): MetadataValidationError[] => {
+  const version = ummVersion(ummMetadata);
+  if (!ummGSchemas[version]) {
+    throw new ValidationError(
+      `No local UMM-G schema for version ${version}, supported versions are ${supportedUMMGVersions.join(', ')}`
+    );
+  }
+  if (!ummGSchemaValidators[version]) {
+    ummGSchemaValidators[version] = new Ajv({ allErrors: true }).compile(ummGSchemas[version]);
+  }
+
+  return schemaValidationErrors(ummGSchemaValidators[version], ummMetadata);
+};
+
+/**
+ * Validates UMM-C metadata against the UMM-C JSON schema of its UMM version,
+ * without sending it to the CMR. Metadata without a version is validated
+ * against the latest supported version.
+ *
+ * @param {Object} ummMetadata - the UMM-C object
+ * @returns {Array<Object>} the validation errors, grouped by path like the
+ *   errors of the CMR validate endpoint. The list is empty if the metadata is
+ *   valid.
+ * @throws {ValidationError} if there is no local schema for the UMM version
+ *   of the metadata
+ */
+export const validateUMMCSchema = (ummMetadata: UmmMetadata): MetadataValidationError[] => {
+  const version = ummMetadata?.MetadataSpecification?.Version
+    ?? supportedUMMCVersions[supportedUMMCVersions.length - 1];
+  if (!ummCSchemas[version]) {
+    throw new ValidationError(
+      `No local UMM-C schema for version ${version}, supported versions are ${supportedUMMCVersions.join(', ')}`
+    );
+  }
+  if (!ummCSchemaValidators[version]) {
+    ummCSchemaValidators[version] = new Ajv({ allErrors: true }).compile(ummCSchemas[version]);
+  }
+
+  return schemaValidationErrors(ummCSchemaValidators[version], ummMetadata);
+};
+
 /**
  * Posts a given XML string to the validate endpoint of CMR and throws an
  * exception if it is not valid
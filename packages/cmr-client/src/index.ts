@@ -1,4 +1,10 @@
 export { CMR } from './CMR';
 export { getSearchUrl } from './getUrl';
-export { ummVersion } from './UmmUtils';
+export {
+  supportedUMMCVersions,
+  supportedUMMGVersions,
+  ummVersion,
+  validateUMMCSchema,
+  validateUMMGSchema,
+} from './UmmUtils';
 export { CMRSearchConceptQueue } from './CMRSearchConceptQueue';
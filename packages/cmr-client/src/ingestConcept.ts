@@ -23,6 +23,8 @@ const logDetails: { [key: string]: string } = {
  * @param {string} identifierPath - the concept's unique identifier
  * @param {string} provider - the CMR provider id
  * @param {Object} headers - the CMR headers
+ * @param {string} [nativeId] - the concept's unique identifier, for records
+ *   whose identifier is not found at identifierPath
  * @returns {Promise.<Object>} the CMR response object
  */
 async function ingestConcept(
@@ -30,11 +32,12 @@ async function ingestConcept(
   xmlString: string,
   identifierPath: string,
   provider: string,
-  headers: Headers
+  headers: Headers,
+  nativeId?: string
 ): Promise<CMRResponseBody | CMRErrorResponseBody> {
   const xmlObject = await parseXMLString(xmlString);
 
-  const identifier = <string>property(identifierPath)(xmlObject);
+  const identifier = nativeId ?? <string>property(identifierPath)(xmlObject);
   logDetails.granuleId = identifier;
 
   try {
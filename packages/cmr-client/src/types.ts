@@ -9,3 +9,8 @@ export interface CMRErrorResponseBody {
     error?: string
   }
 }
+
+export interface MetadataValidationError {
+  path: (string | number)[],
+  errors: string[]
+}
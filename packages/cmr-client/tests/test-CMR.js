@@ -98,6 +98,18 @@ test('getWriteHeaders returns correct Content-type for xml metadata by default',
   t.is(headers.Accept, undefined);
 });
 
+test('getWriteHeaders returns the given Content-type', (t) => {
+  const cmrInstance = new CMR({
+    provider: 'provider',
+    clientId: 'clientID',
+    username: 'username',
+    password: 'password',
+  });
+  const headers = cmrInstance.getWriteHeaders({ contentType: 'application/iso:smap+xml' });
+  t.is(headers['Content-type'], 'application/iso:smap+xml');
+  t.is(headers.Accept, undefined);
+});
+
 test('getWriteHeaders returns Cmr-Revision-Id when provided', (t) => {
   const cmrInstance = new CMR({
     provider: 'provider',
@@ -220,6 +232,119 @@ test.serial('ingestUMMGranule() throws an exception if the input fails validatio
   );
 });
 
+test.serial('ingestISOGranule() puts ISO XML to CMR with the granule ID as native id', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+  const xml = '<gmd:DS_Series><gmd:composedOf/></gmd:DS_Series>';
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov', {
+    reqheaders: { 'Content-type': 'application/iso:smap+xml', 'Cmr-Revision-Id': '5' },
+  })
+    .put(`/ingest/providers/${cmrSearch.provider}/granules/granule-1`, xml)
+    .reply(200, '<result><concept-id>G1-CUMULUS</concept-id><revision-id>5</revision-id></result>');
+
+  const response = await cmrSearch.ingestISOGranule(xml, 'granule-1', '5');
+  t.is(response.result['concept-id'], 'G1-CUMULUS');
+});
+
+test.serial('ingestISOGranule() puts unwrapped ISO 19115-2 XML to CMR with the ISO 19115 content type', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+  const xml = '<?xml version="1.0" encoding="UTF-8"?>\n<!-- granule -->\n<gmi:MI_Metadata><gmd:fileIdentifier/></gmi:MI_Metadata>';
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov', {
+    reqheaders: { 'Content-type': 'application/iso19115+xml' },
+  })
+    .put(`/ingest/providers/${cmrSearch.provider}/granules/granule-1`, xml)
+    .reply(200, '<result><concept-id>G1-CUMULUS</concept-id><revision-id>1</revision-id></result>');
+
+  const response = await cmrSearch.ingestISOGranule(xml, 'granule-1');
+  t.is(response.result['concept-id'], 'G1-CUMULUS');
+});
+
+test.serial('validateGranule() posts UMMG metadata to the CMR validate endpoint', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+  const ummgMetadata = { GranuleUR: 'granule-1', MetadataSpecification: { Version: '1.6.2' } };
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov', {
+    reqheaders: {
+      Accept: 'application/json',
+      'Content-type': 'application/vnd.nasa.cmr.umm+json;version=1.6.2',
+    },
+  })
+    .post(`/ingest/providers/${cmrSearch.provider}/validate/granule/granule-1`, ummgMetadata)
+    .reply(200);
+
+  t.deepEqual(await cmrSearch.validateGranule(ummgMetadata, 'granule-1'), []);
+  t.true(nock.isDone());
+});
+
+test.serial('validateGranule() returns the errors of invalid metadata', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+  const errors = [{ path: ['Temporal'], errors: ['Granule start date is later than granule end date.'] }];
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov')
+    .post(`/ingest/providers/${cmrSearch.provider}/validate/granule/granule-1`)
+    .reply(422, { errors });
+
+  t.deepEqual(await cmrSearch.validateGranule({ GranuleUR: 'granule-1' }, 'granule-1'), errors);
+});
+
+test.serial('validateGranule() posts ISO XML with the ISO content type and returns its errors with empty paths', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+  const xml = '<gmd:DS_Series><gmd:composedOf/></gmd:DS_Series>';
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov', {
+    reqheaders: { Accept: 'application/json', 'Content-type': 'application/iso:smap+xml' },
+  })
+    .post(`/ingest/providers/${cmrSearch.provider}/validate/granule/granule-1`, xml)
+    .reply(400, { errors: ['Line 1 - cvc-elt.1: Cannot find the declaration of element'] });
+
+  t.deepEqual(
+    await cmrSearch.validateGranule(xml, 'granule-1', 'iso'),
+    [{ path: [], errors: ['Line 1 - cvc-elt.1: Cannot find the declaration of element'] }]
+  );
+});
+
+test.serial('validateGranule() posts unwrapped ISO 19115-2 XML with the ISO 19115 content type', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+  const xml = '<gmi:MI_Metadata><gmd:fileIdentifier/></gmi:MI_Metadata>';
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov', {
+    reqheaders: { Accept: 'application/json', 'Content-type': 'application/iso19115+xml' },
+  })
+    .post(`/ingest/providers/${cmrSearch.provider}/validate/granule/granule-1`, xml)
+    .reply(200);
+
+  t.deepEqual(await cmrSearch.validateGranule(xml, 'granule-1', 'iso'), []);
+  t.true(nock.isDone());
+});
+
+test.serial('validateGranule() throws CMRInternalError when CMR is down', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov')
+    .post(`/ingest/providers/${cmrSearch.provider}/validate/granule/granule-1`)
+    .reply(503, { errors: ['Service Unavailable'] });
+
+  await t.throwsAsync(
+    cmrSearch.validateGranule('<Granule/>', 'granule-1'),
+    { instanceOf: CMRInternalError }
+  );
+});
+
 test('getCmrPassword returns the set password if no secret exists', async (t) => {
   const cmr = new CMR({ password: 'test-password' });
 
@@ -245,3 +370,44 @@ test('getCmrPassword returns password from AWS secret when set', async (t) => {
     }).promise();
   }
 });
+
+test.serial('ingestUMMCollection() puts UMM-C metadata to CMR with the given native id', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+  const ummcMetadata = {
+    ShortName: 'MOD09GQ',
+    Version: '006',
+    MetadataSpecification: { Version: '1.17.0' },
+  };
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov', {
+    reqheaders: {
+      Accept: 'application/json',
+      'Content-type': 'application/vnd.nasa.cmr.umm+json;version=1.17.0',
+    },
+  })
+    .put(`/ingest/providers/${cmrSearch.provider}/collections/MOD09GQ___006`, ummcMetadata)
+    .reply(201, { 'concept-id': 'C1-CUMULUS', 'revision-id': 1 });
+
+  const response = await cmrSearch.ingestUMMCollection(ummcMetadata, 'MOD09GQ___006');
+  t.deepEqual(response, { 'concept-id': 'C1-CUMULUS', 'revision-id': 1 });
+});
+
+test.serial('ingestUMMCollection() throws an exception if the input fails validation', async (t) => {
+  const cmrSearch = new CMR({ provider: 'my-provider', token: 'abc', clientId: 'client' });
+
+  process.env.CMR_ENVIRONMENT = 'SIT';
+
+  nock('https://cmr.sit.earthdata.nasa.gov')
+    .put(`/ingest/providers/${cmrSearch.provider}/collections/MOD09GQ___006`)
+    .reply(422, { errors: [{ path: ['Platforms'], errors: ['oh snap'] }] });
+
+  await t.throwsAsync(
+    () => cmrSearch.ingestUMMCollection({ ShortName: 'MOD09GQ' }, 'MOD09GQ___006'),
+    {
+      name: 'Error',
+      message: 'Failed to ingest, statusCode: 422, statusMessage: Unprocessable Entity, CMR error message: [{"path":["Platforms"],"errors":["oh snap"]}]',
+    }
+  );
+});
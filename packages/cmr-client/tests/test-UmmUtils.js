@@ -4,7 +4,12 @@ const test = require('ava');
 const nock = require('nock');
 const { CMRInternalError, ValidationError } = require('@cumulus/errors');
 const validate = require('../validate');
-const { ummVersion, validateUMMG } = require('../UmmUtils');
+const {
+  ummVersion,
+  validateUMMCSchema,
+  validateUMMG,
+  validateUMMGSchema,
+} = require('../UmmUtils');
 
 const cmrError = 'Granule start date [2016-01-09T11:41:12.027Z] is later than granule end date [2016-01-09T11:40:45.032Z].';
 
@@ -184,3 +189,138 @@ test('ummVersion returns default version 1.4 if object has no metadata specifica
 
   t.is(ummVersion(metadata), '1.4');
 });
+
+const buildUmmG = (version = '1.6.2') => ({
+  GranuleUR: granuleId,
+  ProviderDates: [{ Date: '2018-12-19T17:30:31.424Z', Type: 'Insert' }],
+  CollectionReference: { ShortName: 'MOD09GQ', Version: '006' },
+  DataGranule: {
+    DayNightFlag: 'Unspecified',
+    ProductionDateTime: '2016-01-09T11:40:45.032Z',
+  },
+  TemporalExtent: {
+    RangeDateTime: {
+      BeginningDateTime: '2016-01-09T11:40:45.032Z',
+      EndingDateTime: '2016-01-09T11:41:12.027Z',
+    },
+  },
+  RelatedUrls: [{
+    URL: 's3://bucket/MOD09GQ.A3411593.1itJ_e.006.9747594822314.hdf',
+    Type: 'GET DATA VIA DIRECT ACCESS',
+  }],
+  MetadataSpecification: {
+    URL: `https://cdn.earthdata.nasa.gov/umm/granule/v${version}`,
+    Name: 'UMM-G',
+    Version: version,
+  },
+});
+
+test('validateUMMGSchema returns no errors for valid metadata', (t) => {
+  t.deepEqual(validateUMMGSchema(buildUmmG()), []);
+});
+
+test('validateUMMGSchema returns the errors of invalid metadata grouped by path', (t) => {
+  const metadata = buildUmmG();
+  delete metadata.ProviderDates;
+  metadata.DataGranule.DayNightFlag = 'Dusk';
+  metadata.RelatedUrls.push({ URL: 'https://example.com/file.hdf', Type: 'GET DATA', Foo: 'bar' });
+
+  const errors = validateUMMGSchema(metadata);
+
+  t.deepEqual(
+    errors.find(({ path }) => path.length === 0),
+    { path: [], errors: ["should have required property 'ProviderDates'"] }
+  );
+  t.deepEqual(
+    errors.find(({ path }) => path.join('.') === 'DataGranule.DayNightFlag'),
+    { path: ['DataGranule', 'DayNightFlag'], errors: ['should be equal to one of the allowed values'] }
+  );
+  t.deepEqual(
+    errors.find(({ path }) => path.join('.') === 'RelatedUrls.1'),
+    { path: ['RelatedUrls', 1], errors: ['should NOT have additional properties: Foo'] }
+  );
+});
+
+test('validateUMMGSchema validates metadata against the schema of its UMM version', (t) => {
+  // Direct S3 access URLs are not valid until UMM-G 1.6.2
+  const errors = validateUMMGSchema(buildUmmG('1.5'));
+  t.deepEqual(errors.map(({ path }) => path), [['RelatedUrls', 0, 'Type']]);
+
+  const metadata = buildUmmG();
+  delete metadata.MetadataSpecification;
+  metadata.RelatedUrls[0].Type = 'GET DATA';
+  t.deepEqual(validateUMMGSchema(metadata), []);
+});
+
+test('validateUMMGSchema throws a ValidationError for unsupported UMM versions', (t) => {
+  t.throws(
+    () => validateUMMGSchema(buildUmmG('0.9')),
+    { instanceOf: ValidationError, message: /No local UMM-G schema for version 0.9/ }
+  );
+});
+
+const buildUmmC = () => ({
+  ShortName: 'MOD09GQ',
+  Version: '006',
+  EntryTitle: 'MODIS/Terra Surface Reflectance Daily L2G Global 250m SIN Grid V006',
+  Abstract: 'The MOD09GQ product provides surface reflectance at 250 meter resolution.',
+  DOI: { DOI: '10.5067/MODIS/MOD09GQ.006' },
+  DataCenters: [{ Roles: ['ARCHIVER'], ShortName: 'NASA/GSFC/SED/ESD/TISL/LP DAAC' }],
+  ProcessingLevel: { Id: '2G' },
+  ScienceKeywords: [{ Category: 'EARTH SCIENCE', Topic: 'LAND SURFACE', Term: 'SURFACE RADIATIVE PROPERTIES' }],
+  TemporalExtents: [{ RangeDateTimes: [{ BeginningDateTime: '2000-02-24T00:00:00.000Z' }] }],
+  SpatialExtent: { GranuleSpatialRepresentation: 'GEODETIC' },
+  Platforms: [{ ShortName: 'Terra', Instruments: [{ ShortName: 'MODIS' }] }],
+  CollectionProgress: 'ACTIVE',
+  MetadataSpecification: {
+    URL: 'https://cdn.earthdata.nasa.gov/umm/collection/v1.17.0',
+    Name: 'UMM-C',
+    Version: '1.17.0',
+  },
+});
+
+test('validateUMMCSchema returns no errors for valid metadata', (t) => {
+  t.deepEqual(validateUMMCSchema(buildUmmC()), []);
+});
+
+test('validateUMMCSchema returns the errors of invalid metadata grouped by path', (t) => {
+  const metadata = buildUmmC();
+  delete metadata.Abstract;
+  metadata.CollectionProgress = 'FINISHED';
+  metadata.Platforms.push({ LongName: 'Aqua' });
+
+  const errors = validateUMMCSchema(metadata);
+
+  t.deepEqual(
+    errors.find(({ path }) => path.length === 0),
+    { path: [], errors: ["should have required property 'Abstract'"] }
+  );
+  t.deepEqual(
+    errors.find(({ path }) => path.join('.') === 'CollectionProgress'),
+    { path: ['CollectionProgress'], errors: ['should be equal to one of the allowed values'] }
+  );
+  t.deepEqual(
+    errors.find(({ path }) => path.join('.') === 'Platforms.1'),
+    { path: ['Platforms', 1], errors: ["should have required property 'ShortName'"] }
+  );
+});
+
+test('validateUMMCSchema validates metadata without a version against the latest schema', (t) => {
+  const metadata = buildUmmC();
+  delete metadata.MetadataSpecification;
+
+  t.deepEqual(
+    validateUMMCSchema(metadata),
+    [{ path: [], errors: ["should have required property 'MetadataSpecification'"] }]
+  );
+});
+
+test('validateUMMCSchema throws a ValidationError for unsupported UMM versions', (t) => {
+  const metadata = buildUmmC();
+  metadata.MetadataSpecification.Version = '1.9.0';
+
+  t.throws(
+    () => validateUMMCSchema(metadata),
+    { instanceOf: ValidationError, message: /No local UMM-C schema for version 1.9.0/ }
+  );
+});
@@ -1,8 +1,11 @@
 'use strict';
 
 const got = require('got');
+const cloneDeep = require('lodash/cloneDeep');
 const flatten = require('lodash/flatten');
 const get = require('lodash/get');
+const isEqual = require('lodash/isEqual');
+const isString = require('lodash/isString');
 const pick = require('lodash/pick');
 const set = require('lodash/set');
 const { promisify } = require('util');
@@ -25,10 +28,17 @@ const { getSecretString } = require('@cumulus/aws-client/SecretsManager');
 const launchpad = require('@cumulus/launchpad-auth');
 const Logger = require('@cumulus/logger');
 const errors = require('@cumulus/errors');
-const { CMR, getSearchUrl, ummVersion } = require('@cumulus/cmr-client');
+const {
+  CMR,
+  getSearchUrl,
+  supportedUMMGVersions,
+  ummVersion,
+  validateUMMGSchema,
+} = require('@cumulus/cmr-client');
 const { constructDistributionUrl } = require('@cumulus/distribution-utils');
 const { getBucketAccessUrl } = require('@cumulus/cmr-client/getUrl');
 const {
+  isoXmlParseOptions,
   xmlParseOptions,
   ummVersionToMetadataFormat,
 } = require('./utils');
@@ -74,6 +84,36 @@ const isCMRFilename = (filename) => isECHO10Filename(filename)
   || isUMMGFilename(filename)
   || isCMRISOFilename(filename);
 
+// Paths of the MI_Metadata element of ISO-SMAP granule metadata, and of ISO
+// 19115-2 granule metadata that is not wrapped in a DS_Series
+const isoMetadataPaths = [
+  'gmd:DS_Series.gmd:composedOf.gmd:DS_DataSet.gmd:has.gmi:MI_Metadata',
+  'gmi:MI_Metadata',
+];
+
+// Child elements of an ISO CI_OnlineResource, in schema order
+const isoOnlineResourceElements = [
+  'gmd:linkage',
+  'gmd:protocol',
+  'gmd:applicationProfile',
+  'gmd:name',
+  'gmd:description',
+  'gmd:function',
+];
+
+/**
+ * Returns the CMR metadata format of ISO granule metadata: `iso19115` for
+ * an unwrapped ISO 19115-2 `MI_Metadata` document, and `iso_smap` for an
+ * ISO-SMAP document
+ *
+ * @param {Object} metadataObject - ISO metadata object
+ * @returns {string} the metadata format
+ */
+const getISOMetadataFormat = (metadataObject) =>
+  (Object.keys(metadataObject).some((rootElement) => /(?:^|:)MI_Metadata$/.test(rootElement))
+    ? 'iso19115'
+    : 'iso_smap');
+
 const constructCmrConceptLink = (conceptId, extension) => `${getSearchUrl()}concepts/${conceptId}.${extension}`;
 
 /**
@@ -202,8 +242,40 @@ async function publishUMMGJSON2CMR(cmrFile, cmrClient, revisionId) {
 }
 
 /**
- * Determines what type of metadata object and posts either ECHO10XML or UMMG
- * JSON data to CMR.
+ * Posts CMR ISO XML files from S3 to CMR.
+ *
+ * @param {Object} cmrFile - an object representing the CMR file
+ * @param {string} cmrFile.granuleId - the granuleId of the cmr xml File
+ * @param {string} cmrFile.filename - the s3 uri to the cmr xml file
+ * @param {Object} cmrFile.metadataObject - the ISO metadata, parsed with its
+ *    attributes
+ * @param {Object} cmrClient - a CMR instance
+ * @param {string} revisionId - Optional CMR Revision ID
+ * @returns {Object} CMR's success response which includes the concept-id
+ */
+async function publishISOXML2CMR(cmrFile, cmrClient, revisionId) {
+  const builder = new xml2js.Builder();
+  const xml = builder.buildObject(cmrFile.metadataObject);
+  const res = await cmrClient.ingestISOGranule(xml, cmrFile.granuleId, revisionId);
+  const conceptId = res.result['concept-id'];
+  let resultLog = `Published ISO ${cmrFile.granuleId} to the CMR. conceptId: ${conceptId}`;
+
+  if (revisionId) resultLog += `, revisionId: ${revisionId}`;
+  log.info(resultLog);
+
+  const metadataFormat = getISOMetadataFormat(cmrFile.metadataObject);
+  return {
+    granuleId: cmrFile.granuleId,
+    filename: getS3UrlOfFile(cmrFile),
+    conceptId,
+    metadataFormat,
+    link: constructCmrConceptLink(conceptId, metadataFormat),
+  };
+}
+
+/**
+ * Determines what type of metadata object and posts either ECHO10XML, ISO XML
+ * or UMMG JSON data to CMR.
  *
  * @param {Object} cmrPublishObject -
  * @param {string} cmrPublishObject.filename - the cmr filename
@@ -229,10 +301,69 @@ async function publish2CMR(cmrPublishObject, creds, cmrRevisionId) {
   if (isUMMGFilename(cmrFileName)) {
     return await publishUMMGJSON2CMR(cmrPublishObject, cmrClient, cmrRevisionId);
   }
+  if (isCMRISOFilename(cmrFileName)) {
+    return await publishISOXML2CMR(cmrPublishObject, cmrClient, cmrRevisionId);
+  }
 
   throw new Error(`invalid cmrPublishObject passed to publis2CMR ${JSON.stringify(cmrPublishObject)}`);
 }
 
+/**
+ * Validates the metadata of a CMR file without publishing it. UMMG JSON
+ * metadata is first validated against its local UMM-G schema, and only sent
+ * to the CMR validate endpoint if it matches the schema. ECHO10 and ISO XML
+ * metadata is validated by the CMR.
+ *
+ * @param {Object} cmrPublishObject - CMR file object with its metadata
+ * @param {string} cmrPublishObject.filename - the cmr filename
+ * @param {Object} cmrPublishObject.metadataObject - the cmr metadata
+ * @param {string} cmrPublishObject.granuleId - the granuleId of the cmr file
+ * @param {Object} creds - credentials needed to use the CMR service, as for
+ *    `publish2CMR`
+ * @returns {Promise<Object>} the `granuleId`, `filename` and `metadataFormat`
+ *    of the file, with a list of `errors`, each with the `source` of the
+ *    error (`schema` or `cmr`), the `path` of the invalid metadata and its
+ *    `errors`. The list is empty if the metadata is valid.
+ */
+async function validateCMRMetadata(cmrPublishObject, creds) {
+  const cmrClient = new CMR(creds);
+  const cmrFileName = getFilename(cmrPublishObject);
+  const { granuleId, metadataObject } = cmrPublishObject;
+  const withSource = (source) => (cmrErrors) => cmrErrors.map((error) => ({ source, ...error }));
+
+  let metadataFormat;
+  let validationErrors;
+  if (isECHO10Filename(cmrFileName)) {
+    metadataFormat = 'echo10';
+    const xml = new xml2js.Builder().buildObject(metadataObject);
+    const granuleUR = get(metadataObject, 'Granule.GranuleUR', granuleId);
+    validationErrors = await cmrClient.validateGranule(xml, granuleUR).then(withSource('cmr'));
+  } else if (isUMMGFilename(cmrFileName)) {
+    const version = ummVersion(metadataObject);
+    metadataFormat = ummVersionToMetadataFormat(version);
+    validationErrors = supportedUMMGVersions.includes(version)
+      ? withSource('schema')(validateUMMGSchema(metadataObject))
+      : [];
+    if (validationErrors.length === 0) {
+      validationErrors = await cmrClient.validateGranule(metadataObject, metadataObject.GranuleUR)
+        .then(withSource('cmr'));
+    }
+  } else if (isCMRISOFilename(cmrFileName)) {
+    metadataFormat = getISOMetadataFormat(metadataObject);
+    const xml = new xml2js.Builder().buildObject(metadataObject);
+    validationErrors = await cmrClient.validateGranule(xml, granuleId, 'iso').then(withSource('cmr'));
+  } else {
+    throw new Error(`invalid cmrPublishObject passed to validateCMRMetadata ${JSON.stringify(cmrPublishObject)}`);
+  }
+
+  return {
+    granuleId,
+    filename: getS3UrlOfFile(cmrPublishObject),
+    metadataFormat,
+    errors: validationErrors,
+  };
+}
+
 /**
  * Returns the S3 object identified by the specified S3 URI and (optional)
  * entity tag, retrying up to 5 times, if necessary.
@@ -302,19 +433,37 @@ const metadataObjectFromCMRXMLFile = (cmrFilename, etag) =>
   getXMLMetadataAsString(cmrFilename, etag).then(parseXmlString);
 
 /**
- * Returns CMR metadata object from a CMR ECHO-10 XML file or CMR UMMG JSON
- * file in S3.
+ * Returns metadata object from CMR ISO XML file in S3. Unlike ECHO10 metadata
+ * objects, attributes of the XML elements are kept, so that the XML can be
+ * rebuilt from the object.
+ *
+ * @param {string} cmrFilename - S3 path to XML file
+ * @param {string} [etag] - optional entity tag for the desired version of the
+ *    CMR file
+ * @returns {Promise<Object>} CMR ISO metadata object
+ */
+const metadataObjectFromCMRISOFile = (cmrFilename, etag) =>
+  getXMLMetadataAsString(cmrFilename, etag)
+    .then((xml) => promisify(xml2js.parseString)(xml, isoXmlParseOptions));
+
+/**
+ * Returns CMR metadata object from a CMR ECHO-10 XML file, CMR ISO XML file or
+ * CMR UMMG JSON file in S3.
  *
  * @param {string} cmrFilename - S3 path to CMR file
  * @param {string} [etag] - optional entity tag for the desired version of the
  *    CMR file
  * @returns {Promise<Object>} metadata object from the file
  * @throws {Error} if the specified filename does not represent an ECHO-10 XML
- *    file or a UMMG file
+ *    file, a CMR ISO XML file or a UMMG file
  * @see isECHO10Filename
+ * @see isCMRISOFilename
  * @see isUMMGFilename
  */
 function metadataObjectFromCMRFile(cmrFilename, etag) {
+  if (isCMRISOFilename(cmrFilename)) {
+    return metadataObjectFromCMRISOFile(cmrFilename, etag);
+  }
   if (isECHO10Filename(cmrFilename) || isISOFilename(cmrFilename)) {
     return metadataObjectFromCMRXMLFile(cmrFilename, etag);
   }
@@ -662,8 +811,14 @@ function mergeURLs(original, updated = [], removed = []) {
  * @returns {Promise} returns promised promiseS3Upload response
  */
 async function uploadUMMGJSONCMRFile(metadataObject, cmrFile) {
-  const tags = await s3GetObjectTagging(cmrFile.bucket, getS3KeyOfFile(cmrFile));
-  const tagsQueryString = s3TagSetToQueryString(tags.TagSet);
+  let tagsQueryString;
+  try {
+    const tags = await s3GetObjectTagging(cmrFile.bucket, getS3KeyOfFile(cmrFile));
+    tagsQueryString = s3TagSetToQueryString(tags.TagSet);
+  } catch (error) {
+    // A CMR file which does not exist yet has no tags to preserve
+    if (error.name !== 'NoSuchKey') throw error;
+  }
   return promiseS3Upload({
     params: {
       Bucket: cmrFile.bucket,
@@ -704,9 +859,12 @@ function shouldUseDirectS3Type(metadataObject) {
  * @param {string} params.cmrGranuleUrlType - cmrGranuleUrlType from config
  * @param {Object} params.distributionBucketMap - Object with bucket:tea-path
  *    mapping for all distribution buckets
- * @returns {Promise<{ metadataObject: Object, etag: string}>} an object
- *    containing a `metadataObject` (the updated UMMG metadata object) and the
- *    `etag` of the uploaded CMR file
+ * @param {boolean} [params.skipUnchanged] - do not upload the CMR file if its
+ *    metadata is unchanged
+ * @returns {Promise<{ metadataObject: Object, etag: string, updated: boolean }>}
+ *    an object containing a `metadataObject` (the updated UMMG metadata
+ *    object), the `etag` of the uploaded CMR file, and whether the file was
+ *    `updated`
  */
 async function updateUMMGMetadata({
   cmrFile,
@@ -715,9 +873,11 @@ async function updateUMMGMetadata({
   bucketTypes,
   cmrGranuleUrlType = 'both',
   distributionBucketMap,
+  skipUnchanged = false,
 }) {
   const filename = getS3UrlOfFile(cmrFile);
   const metadataObject = await metadataObjectFromCMRJSONFile(filename);
+  const originalMetadataObject = cloneDeep(metadataObject);
   const useDirectS3Type = shouldUseDirectS3Type(metadataObject);
 
   const newURLs = constructRelatedUrls({
@@ -734,8 +894,11 @@ async function updateUMMGMetadata({
   const mergedURLs = mergeURLs(originalURLs, newURLs, removedURLs);
   set(metadataObject, 'RelatedUrls', mergedURLs);
 
+  if (skipUnchanged && isEqual(metadataObject, originalMetadataObject)) {
+    return { metadataObject, updated: false };
+  }
   const { ETag: etag } = await uploadUMMGJSONCMRFile(metadataObject, cmrFile);
-  return { metadataObject, etag };
+  return { metadataObject, etag, updated: true };
 }
 
 /**
@@ -859,8 +1022,11 @@ function buildMergedEchoURLObject(URLlist = [], originalURLlist = [], removedURL
  * @param {Object} params.bucketTypes - map of bucket names to bucket types
  * @param {Object} params.distributionBucketMap - Object with bucket:tea-path
  *    mapping for all distribution buckets
- * @returns {Promise<{ metadataObject: Object, etag: string}>} an object
- *    containing a `metadataObject` and the `etag` of the uploaded CMR file
+ * @param {boolean} [params.skipUnchanged] - do not upload the CMR file if its
+ *    metadata is unchanged
+ * @returns {Promise<{ metadataObject: Object, etag: string, updated: boolean }>}
+ *    an object containing a `metadataObject`, the `etag` of the uploaded CMR
+ *    file, and whether the file was `updated`
  */
 async function updateEcho10XMLMetadata({
   cmrFile,
@@ -870,11 +1036,13 @@ async function updateEcho10XMLMetadata({
   s3CredsEndpoint = 's3credentials',
   cmrGranuleUrlType = 'both',
   distributionBucketMap,
+  skipUnchanged = false,
 }) {
   // add/replace the OnlineAccessUrls
   const filename = getS3UrlOfFile(cmrFile);
   const metadataObject = await metadataObjectFromCMRXMLFile(filename);
   const metadataGranule = metadataObject.Granule;
+  const originalGranule = cloneDeep(metadataGranule);
   const updatedGranule = { ...metadataGranule };
 
   const originalOnlineAccessURLs = [].concat(get(metadataGranule,
@@ -908,8 +1076,164 @@ async function updateEcho10XMLMetadata({
 
   metadataObject.Granule = updatedGranule;
   const xml = generateEcho10XMLString(updatedGranule);
+  // Single elements are parsed as objects and merged as lists, so the
+  // metadata is compared as XML
+  if (skipUnchanged && xml === generateEcho10XMLString(originalGranule)) {
+    return { metadataObject, updated: false };
+  }
   const { ETag: etag } = await uploadEcho10CMRFile(xml, cmrFile);
-  return { metadataObject, etag };
+  return { metadataObject, etag, updated: true };
+}
+
+/**
+ * Returns the path of the MI_Metadata element of an ISO metadata object
+ *
+ * @param {Object} metadataObject - ISO metadata object
+ * @returns {string | undefined} path of the MI_Metadata element
+ */
+function getISOMetadataPath(metadataObject) {
+  return isoMetadataPaths.find((metadataPath) => get(metadataObject, metadataPath));
+}
+
+/**
+ * Returns a URL object for an ISO distributor transfer option with a single
+ * online resource, keeping the online resource to merge into updated URLs
+ *
+ * @param {Object} transferOption - ISO distributorTransferOptions element
+ * @returns {Object | undefined} URL object, or undefined if the transfer
+ *    option has no online resource URL
+ */
+function isoTransferOptionToURLObject(transferOption) {
+  const onlineResource = get(
+    transferOption,
+    'gmd:MD_DigitalTransferOptions.gmd:onLine.gmd:CI_OnlineResource'
+  );
+  const URL = get(onlineResource, 'gmd:linkage.gmd:URL');
+  if (!isString(URL)) return undefined;
+  return {
+    URL,
+    Description: get(onlineResource, 'gmd:description.gco:CharacterString'),
+    onlineResource,
+  };
+}
+
+/**
+ * Returns an ISO distributor transfer option for a URL object. Elements of
+ * the original online resource of the URL, such as its application profile,
+ * are kept.
+ *
+ * @param {Object} urlObject - URL object
+ * @returns {Object} ISO distributorTransferOptions element
+ */
+function urlObjectToISOTransferOption(urlObject) {
+  const { URL, Description, onlineResource = {} } = urlObject;
+  const elements = {
+    ...onlineResource,
+    'gmd:linkage': { 'gmd:URL': URL },
+  };
+  if (Description) elements['gmd:description'] = { 'gco:CharacterString': Description };
+
+  const orderedElements = {
+    ...pick(elements, ['$', ...isoOnlineResourceElements]),
+    ...omit(elements, ['$', ...isoOnlineResourceElements]),
+  };
+  return {
+    'gmd:MD_DigitalTransferOptions': {
+      'gmd:onLine': { 'gmd:CI_OnlineResource': orderedElements },
+    },
+  };
+}
+
+/**
+ * After files are moved, creates new online access URLs and then updates
+ * the distributor transfer options of the S3 CMR ISO XML file with this
+ * information.
+ *
+ * @param {Object} params - parameter object
+ * @param {Object} params.cmrFile - cmr_iso.xml file object to be updated
+ * @param {Array<Object>} params.files - array of file objects
+ * @param {string} params.distEndpoint - distribution endpoint from config
+ * @param {Object} params.bucketTypes - map of bucket names to bucket types
+ * @param {string} params.s3CredsEndpoint - Optional endpoint for acquiring
+ *    temporary s3 creds
+ * @param {string} params.cmrGranuleUrlType - cmrGranuleUrlType from config
+ * @param {Object} params.distributionBucketMap - Object with bucket:tea-path
+ *    mapping for all distribution buckets
+ * @param {boolean} [params.skipUnchanged] - do not upload the CMR file if its
+ *    metadata is unchanged
+ * @returns {Promise<{ metadataObject: Object, etag: string, updated: boolean }>}
+ *    an object containing a `metadataObject`, the `etag` of the uploaded CMR
+ *    file, and whether the file was `updated`
+ */
+async function updateISOMetadata({
+  cmrFile,
+  files,
+  distEndpoint,
+  bucketTypes,
+  s3CredsEndpoint = 's3credentials',
+  cmrGranuleUrlType = 'both',
+  distributionBucketMap,
+  skipUnchanged = false,
+}) {
+  const filename = getS3UrlOfFile(cmrFile);
+  const metadataObject = await metadataObjectFromCMRISOFile(filename);
+  const originalMetadataObject = cloneDeep(metadataObject);
+  const metadataPath = getISOMetadataPath(metadataObject);
+  if (!metadataPath) {
+    throw new errors.CMRMetaFileNotFound(`No MI_Metadata found in ISO file: ${filename}`);
+  }
+
+  const distributionPath = `${metadataPath}.gmd:distributionInfo.gmd:MD_Distribution.gmd:distributor`;
+  const distributorPath = Array.isArray(get(metadataObject, distributionPath))
+    ? `${distributionPath}[0].gmd:MD_Distributor`
+    : `${distributionPath}.gmd:MD_Distributor`;
+  const transferOptionsPath = `${distributorPath}.gmd:distributorTransferOptions`;
+
+  const originalTransferOptions = [].concat(get(metadataObject, transferOptionsPath, []));
+  const originalURLs = originalTransferOptions
+    .map(isoTransferOptionToURLObject)
+    .filter((urlObject) => urlObject);
+  const otherTransferOptions = originalTransferOptions
+    .filter((transferOption) => !isoTransferOptionToURLObject(transferOption));
+
+  const removedURLs = onlineAccessURLsToRemove(files, bucketTypes);
+  const newURLs = constructOnlineAccessUrls({
+    files,
+    distEndpoint,
+    bucketTypes,
+    cmrGranuleUrlType,
+    distributionBucketMap,
+  });
+  newURLs.push(getS3CredentialsObject(urljoin(distEndpoint, s3CredsEndpoint)));
+
+  // Granule files usually have both an HTTPS and an S3 URL with the same
+  // basename, so the online resource of each new URL is taken from the
+  // original URL with the same basename and scheme
+  const urlKey = ({ URL }) => `${URL.split('://')[0]}:${path.basename(URL)}`;
+  const mergedURLs = mergeURLs(
+    originalURLs,
+    newURLs.map((urlObj) => {
+      const original = originalURLs.find((url) => urlKey(url) === urlKey(urlObj));
+      return {
+        ...omit(urlObj, 'URLDescription'),
+        ...(original && { onlineResource: original.onlineResource }),
+      };
+    }),
+    removedURLs
+  );
+  set(metadataObject, transferOptionsPath, [
+    ...otherTransferOptions,
+    ...mergedURLs.map(urlObjectToISOTransferOption),
+  ]);
+
+  const builder = new xml2js.Builder();
+  const xml = builder.buildObject(metadataObject);
+  if (skipUnchanged && xml === builder.buildObject(originalMetadataObject)) {
+    return { metadataObject, updated: false };
+  }
+  // ISO metadata is uploaded as XML, like ECHO10 metadata
+  const { ETag: etag } = await uploadEcho10CMRFile(xml, cmrFile);
+  return { metadataObject, etag, updated: true };
 }
 
 /**
@@ -925,8 +1249,10 @@ async function updateEcho10XMLMetadata({
  * @param {string} params.cmrGranuleUrlType - type of granule CMR url
  * @param {Object} params.distributionBucketMap - Object with bucket:tea-path
  *    mapping for all distribution buckets
+ * @param {boolean} [params.skipUnchanged] - neither upload nor publish the
+ *    metadata file if its metadata is unchanged
  * @returns {Promise<Object>} CMR file object with the `etag` of the newly
- *    updated metadata file
+ *    updated metadata file, and whether it was `updated`
  */
 async function updateCMRMetadata({
   granuleId,
@@ -937,6 +1263,7 @@ async function updateCMRMetadata({
   bucketTypes,
   cmrGranuleUrlType = 'both',
   distributionBucketMap,
+  skipUnchanged = false,
 }) {
   const filename = getS3UrlOfFile(cmrFile);
 
@@ -950,19 +1277,28 @@ async function updateCMRMetadata({
     bucketTypes,
     cmrGranuleUrlType,
     distributionBucketMap,
+    skipUnchanged,
   };
 
   let metadataObject;
   let etag;
+  let updated;
 
   if (isECHO10Filename(filename)) {
-    ({ metadataObject, etag } = await updateEcho10XMLMetadata(params));
+    ({ metadataObject, etag, updated } = await updateEcho10XMLMetadata(params));
   } else if (isUMMGFilename(filename)) {
-    ({ metadataObject, etag } = await updateUMMGMetadata(params));
+    ({ metadataObject, etag, updated } = await updateUMMGMetadata(params));
+  } else if (isCMRISOFilename(filename)) {
+    ({ metadataObject, etag, updated } = await updateISOMetadata(params));
   } else {
     throw new errors.CMRMetaFileNotFound(`Invalid CMR filetype: ${filename}`);
   }
 
+  if (skipUnchanged && !updated) {
+    log.debug(`cmrjs.updateCMRMetadata metadata of ${filename} is unchanged`);
+    return { ...cmrFile, updated };
+  }
+
   if (published) {
     // post metadata Object to CMR
     const cmrPublishObject = {
@@ -971,10 +1307,10 @@ async function updateCMRMetadata({
       granuleId,
     };
 
-    return { ...await publish2CMR(cmrPublishObject, cmrCredentials), etag };
+    return { ...await publish2CMR(cmrPublishObject, cmrCredentials), etag, updated };
   }
 
-  return { ...cmrFile, etag };
+  return { ...cmrFile, etag, updated };
 }
 
 /**
@@ -990,6 +1326,8 @@ async function updateCMRMetadata({
  * @param {string} params.cmrGranuleUrlType - type of granule CMR url
  * @param {distributionBucketMap} params.distributionBucketMap - Object with bucket:tea-path mapping
  *                                                               for all distribution buckets
+ * @param {boolean} [params.skipUnchanged] - neither upload nor publish the CMR
+ *   metadata file if its metadata is unchanged
  */
 async function reconcileCMRMetadata({
   granuleId,
@@ -999,6 +1337,7 @@ async function reconcileCMRMetadata({
   bucketTypes,
   cmrGranuleUrlType = 'both',
   distributionBucketMap,
+  skipUnchanged = false,
 }) {
   const cmrMetadataFiles = getCmrFileObjs(updatedFiles);
   if (cmrMetadataFiles.length === 1) {
@@ -1011,6 +1350,7 @@ async function reconcileCMRMetadata({
       cmrGranuleUrlType,
       distributionBucketMap,
       bucketTypes,
+      skipUnchanged,
     });
   }
   if (cmrMetadataFiles.length > 1) {
@@ -1097,13 +1437,14 @@ async function getGranuleTemporalInfo(granule) {
 
   if (isCMRISOFilename(cmrFilename)) {
     const metadata = await metadataObjectFromCMRXMLFile(cmrFilename);
-    const metadataMI = get(
-      metadata,
-      'gmd:DS_Series.gmd:composedOf.gmd:DS_DataSet.gmd:has.gmi:MI_Metadata'
-    );
+    const metadataPath = getISOMetadataPath(metadata);
+    if (!metadataPath) {
+      throw new errors.CMRMetaFileNotFound(`No MI_Metadata found in ISO file: ${cmrFilename}`);
+    }
+    const metadataMI = get(metadata, metadataPath);
 
     // Get beginning and ending date time from beginPosition and endPosition
-    const identificationInfo = metadataMI['gmd:identificationInfo'];
+    const identificationInfo = [].concat(metadataMI['gmd:identificationInfo']);
     const dataIdentification = identificationInfo.find((dataIdObject) =>
       Object.keys(dataIdObject).filter((key) =>
         Object.keys(dataIdObject[key]).includes('gmd:extent')));
@@ -1217,6 +1558,7 @@ module.exports = {
   constructCmrConceptLink,
   constructOnlineAccessUrl,
   constructOnlineAccessUrls,
+  constructRelatedUrls,
   generateEcho10XMLString,
   generateFileUrl,
   granuleToCmrFileObject,
@@ -1243,4 +1585,5 @@ module.exports = {
   updateCMRMetadata,
   uploadEcho10CMRFile,
   uploadUMMGJSONCMRFile,
+  validateCMRMetadata,
 };
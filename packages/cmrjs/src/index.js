@@ -18,6 +18,7 @@ const {
   reconcileCMRMetadata,
   removeEtagsFromFileObjects,
   updateCMRMetadata,
+  validateCMRMetadata,
 } = require('./cmr-utils');
 
 module.exports = {
@@ -36,4 +37,5 @@ module.exports = {
   removeEtagsFromFileObjects,
   granulesToCmrFileObjects,
   updateCMRMetadata,
+  validateCMRMetadata,
 };
@@ -9,6 +9,12 @@ const xmlParseOptions = {
   explicitArray: false,
 };
 
+// ISO metadata is rebuilt from the parsed object, so its attributes,
+// including namespace declarations, are kept
+const isoXmlParseOptions = {
+  explicitArray: false,
+};
+
 /**
  * Transform UMM version number to metadata format string.
  *
@@ -22,6 +28,7 @@ function ummVersionToMetadataFormat(versionNumber, ummFormat = 'json') {
 
 module.exports = {
   ValidationError,
+  isoXmlParseOptions,
   ummVersionToMetadataFormat,
   validate,
   xmlParseOptions,
@@ -34,7 +34,7 @@ const {
 } = require('../../cmr-utils');
 const cmrUtil = rewire('../../cmr-utils');
 const { isCMRFile, isISOFile, getGranuleTemporalInfo } = cmrUtil;
-const { xmlParseOptions } = require('../../utils');
+const { isoXmlParseOptions, xmlParseOptions } = require('../../utils');
 const uploadEcho10CMRFile = cmrUtil.__get__('uploadEcho10CMRFile');
 const uploadUMMGJSONCMRFile = cmrUtil.__get__('uploadUMMGJSONCMRFile');
 const buildCMRQuery = cmrUtil.__get__('buildCMRQuery');
@@ -469,6 +469,24 @@ test.serial('uploadUMMGJSONCMRFile uploads CMR File to S3 correctly, preserving
   }
 });
 
+test.serial('uploadUMMGJSONCMRFile uploads a new CMR File to S3', async (t) => {
+  const cmrFile = {
+    bucket: randomId('ummg-file-bucket'),
+    key: 'new-metadata.cmr.json',
+  };
+  await s3().createBucket({ Bucket: cmrFile.bucket });
+  try {
+    const fakeMetadataObject = { newFake: 'granule' };
+    await uploadUMMGJSONCMRFile(fakeMetadataObject, cmrFile);
+
+    t.deepEqual(await getJsonS3Object(cmrFile.bucket, cmrFile.key), fakeMetadataObject);
+    const tags = await s3GetObjectTagging(cmrFile.bucket, cmrFile.key);
+    t.deepEqual(tags.TagSet, []);
+  } finally {
+    recursivelyDeleteS3Bucket(cmrFile.bucket);
+  }
+});
+
 test.serial('updateEcho10XMLMetadata adds granule files correctly to OnlineAccessURLs/OnlineResources', async (t) => {
   const { bucketTypes, distributionBucketMap } = t.context;
 
@@ -561,6 +579,99 @@ test.serial('updateEcho10XMLMetadata adds granule files correctly to OnlineAcces
   }
 });
 
+test.serial('updateISOMetadata updates granule file URLs in distributor transfer options', async (t) => {
+  const { bucketTypes, distributionBucketMap } = t.context;
+
+  const expectedEtag = '"abc"';
+  const uploadEchoSpy = sinon.spy(() => Promise.resolve({ ETag: expectedEtag }));
+  const cmrXml = await fs.readFile(
+    path.join(__dirname, '../fixtures/ATL03_fixture.cmr_iso.xml'),
+    'utf8'
+  );
+  const cmrMetadata = await promisify(xml2js.parseString)(cmrXml, isoXmlParseOptions);
+  const granuleFilename = 'ATL03_20190101000418_00540208_004_01.h5';
+  const files = [{
+    bucket: 'cumulus-test-sandbox-protected',
+    key: `ATLAS/ATL03/004/2019/01/01/${granuleFilename}`,
+    fileName: granuleFilename,
+  }];
+
+  const distEndpoint = 'https://distendpoint.com';
+
+  const updateISOMetadata = cmrUtil.__get__('updateISOMetadata');
+  const revertMetaObject = cmrUtil.__set__('metadataObjectFromCMRISOFile', () => cmrMetadata);
+  const revertMockUpload = cmrUtil.__set__('uploadEcho10CMRFile', uploadEchoSpy);
+
+  const cmrFile = { filename: 's3://cumulus-test-sandbox-private/notUsed.cmr_iso.xml' };
+  try {
+    const { metadataObject, etag } = await updateISOMetadata({
+      cmrFile,
+      files,
+      distEndpoint,
+      bucketTypes,
+      distributionBucketMap,
+    });
+
+    t.is(etag, expectedEtag, "ETag doesn't match");
+
+    const metadataMI = metadataObject['gmd:DS_Series']['gmd:composedOf']['gmd:DS_DataSet']['gmd:has']['gmi:MI_Metadata'];
+    const distributor = metadataMI['gmd:distributionInfo']['gmd:MD_Distribution']['gmd:distributor'];
+    const transferOptions = distributor['gmd:MD_Distributor']['gmd:distributorTransferOptions'];
+    const onlineResources = transferOptions
+      .map((option) => option['gmd:MD_DigitalTransferOptions']['gmd:onLine'])
+      .filter((onLine) => onLine)
+      .map((onLine) => onLine['gmd:CI_OnlineResource']);
+    const granuleURLs = onlineResources
+      .filter((resource) => resource['gmd:linkage']['gmd:URL'].endsWith(granuleFilename));
+
+    t.deepEqual(
+      granuleURLs.map((resource) => resource['gmd:linkage']['gmd:URL']).sort(),
+      [
+        `${distEndpoint}/cumulus-test-sandbox-protected/ATLAS/ATL03/004/2019/01/01/${granuleFilename}`,
+        `s3://cumulus-test-sandbox-protected/ATLAS/ATL03/004/2019/01/01/${granuleFilename}`,
+      ]
+    );
+    granuleURLs.forEach((resource) => {
+      t.is(resource['gmd:applicationProfile']['gco:CharacterString'], 'application/x-hdf5');
+      t.deepEqual(
+        Object.keys(resource),
+        ['gmd:linkage', 'gmd:applicationProfile', 'gmd:description']
+      );
+    });
+    t.true(onlineResources.some(
+      (resource) => resource['gmd:linkage']['gmd:URL'] === `${distEndpoint}/s3credentials`
+    ));
+    t.true(onlineResources.some(
+      (resource) => resource['gmd:linkage']['gmd:URL'].endsWith('ATL03_20190101000418_00540208_004_01.iso.xml')
+    ));
+    t.truthy(transferOptions[0]['gmd:MD_DigitalTransferOptions']['gmd:transferSize']);
+
+    const [uploadedXml, uploadedFile] = uploadEchoSpy.getCall(0).args;
+    t.deepEqual(uploadedFile, cmrFile);
+    t.true(uploadedXml.includes('xmlns:gmd="http://www.isotc211.org/2005/gmd"'));
+    t.true(uploadedXml.includes(`<gmd:URL>${distEndpoint}/s3credentials</gmd:URL>`));
+  } finally {
+    revertMetaObject();
+    revertMockUpload();
+  }
+});
+
+test.serial('updateISOMetadata throws CMRMetaFileNotFound if the file has no MI_Metadata', async (t) => {
+  const updateISOMetadata = cmrUtil.__get__('updateISOMetadata');
+  const revertMetaObject = cmrUtil.__set__('metadataObjectFromCMRISOFile', () => ({ foo: 'bar' }));
+  t.teardown(revertMetaObject);
+
+  await t.throwsAsync(
+    updateISOMetadata({
+      cmrFile: { filename: 's3://cumulus-test-sandbox-private/notUsed.cmr_iso.xml' },
+      files: [],
+      distEndpoint: 'https://distendpoint.com',
+      bucketTypes: t.context.bucketTypes,
+    }),
+    { instanceOf: errors.CMRMetaFileNotFound }
+  );
+});
+
 test.serial('updateUMMGMetadata adds Type correctly to RelatedURLs for granule with UMM-G version 1.5 ', async (t) => {
   const { bucketTypes, distributionBucketMap } = t.context;
 
@@ -725,6 +836,42 @@ test.serial('updateUMMGMetadata adds Type correctly to RelatedURLs for granule w
   }
 });
 
+test.serial('updateUMMGMetadata does not upload unchanged metadata if skipUnchanged is set', async (t) => {
+  const { bucketTypes, distributionBucketMap } = t.context;
+  const cmrMetadata = await readJsonFixture(
+    path.join(__dirname, '../fixtures/MOD09GQ.A3411593.1itJ_e.006.9747594822314_v1.6.2.cmr.json')
+  );
+  const filesObject = await readJsonFixture(
+    path.join(__dirname, '../fixtures/UMMGFilesObjectFixture.json')
+  );
+  const params = {
+    cmrFile: { filename: 's3://cumulus-test-sandbox-private/notUsed' },
+    files: filesObject,
+    distEndpoint: 'https://distendpoint.com',
+    bucketTypes,
+    distributionBucketMap,
+    skipUnchanged: true,
+  };
+  const updateUMMGMetadata = cmrUtil.__get__('updateUMMGMetadata');
+  const uploadSpy = sinon.spy(() => Promise.resolve({ ETag: '"abc"' }));
+  const revertMockUpload = cmrUtil.__set__('uploadUMMGJSONCMRFile', uploadSpy);
+  t.teardown(revertMockUpload);
+
+  const revertMetaObject = cmrUtil.__set__('metadataObjectFromCMRJSONFile', () => cmrMetadata);
+  const updated = await updateUMMGMetadata(params);
+  revertMetaObject();
+  t.like(updated, { etag: '"abc"', updated: true });
+
+  const revertUpdatedMetaObject = cmrUtil.__set__(
+    'metadataObjectFromCMRJSONFile',
+    () => JSON.parse(JSON.stringify(updated.metadataObject))
+  );
+  t.teardown(revertUpdatedMetaObject);
+  const unchanged = await updateUMMGMetadata(params);
+
+  t.like(unchanged, { etag: undefined, updated: false });
+  t.true(uploadSpy.calledOnce);
+});
 test.serial('getGranuleTemporalInfo returns temporal information from granule CMR json file with RangeDateTime', async (t) => {
   const cmrJSON = await fs.readFile('./tests/fixtures/MOD09GQ.A3411593.1itJ_e.006.9747594822314.cmr.json', 'utf8');
   const cmrMetadata = JSON.parse(cmrJSON);
@@ -941,6 +1088,48 @@ test.serial('getGranuleTemporalInfo returns temporal information from granule CM
   }
 });
 
+test.serial('getGranuleTemporalInfo throws if a granule CMR ISO XML file has no MI_Metadata', async (t) => {
+  const revertMetaObject = cmrUtil.__set__(
+    'metadataObjectFromCMRXMLFile',
+    () => ({ 'gmd:DS_Series': {} })
+  );
+  t.teardown(revertMetaObject);
+
+  await t.throwsAsync(
+    getGranuleTemporalInfo({
+      granuleId: 'testGranuleId',
+      files: [{ bucket: 'bucket', key: 'test.cmr_iso.xml' }],
+    }),
+    { name: 'CMRMetaFileNotFound', message: 'No MI_Metadata found in ISO file: s3://bucket/test.cmr_iso.xml' }
+  );
+});
+
+test.serial('getGranuleTemporalInfo returns temporal information from granule CMR ISO XML file rooted at MI_Metadata', async (t) => {
+  const cmrXml = await fs.readFile('./tests/fixtures/ATL03_fixture.cmr_iso.xml', 'utf8');
+  const cmrMetadata = await (promisify(xml2js.parseString))(cmrXml, xmlParseOptions);
+  const metadataMI = cmrMetadata['gmd:DS_Series']['gmd:composedOf']['gmd:DS_DataSet']['gmd:has']['gmi:MI_Metadata'];
+  const revertMetaObject = cmrUtil.__set__(
+    'metadataObjectFromCMRXMLFile',
+    () => ({ 'gmi:MI_Metadata': metadataMI })
+  );
+  t.teardown(revertMetaObject);
+
+  const temporalInfo = await getGranuleTemporalInfo({
+    granuleId: 'testGranuleId',
+    files: [{
+      bucket: 'bucket',
+      key: 'test.cmr_iso.xml',
+    }],
+  });
+
+  t.deepEqual(temporalInfo, {
+    beginningDateTime: '2019-01-01T00:04:18.809303Z',
+    endingDateTime: '2019-01-01T00:11:20.899913Z',
+    productionDateTime: '2021-02-05T04:23:58.000000Z',
+    lastUpdateDateTime: '2021-05-07T09:10:59.891292Z',
+  });
+});
+
 test.serial('generateFileUrl generates correct url for cmrGranuleUrlType distribution', (t) => {
   const filename = 's3://fake-bucket/folder/key.txt';
   const distEndpoint = 'www.example.com/';
@@ -1262,6 +1451,137 @@ test.serial('publish2CMR passes cmrRevisionId to publishUMMGJSON2CMR', async (t)
   t.is(publishUMMGJSON2CMRSpy.getCall(0).args[2], cmrRevisionId);
 });
 
+test.serial('publish2CMR passes cmrRevisionId to publishISOXML2CMR', async (t) => {
+  const cmrFileObject = { filename: 'test.cmr_iso.xml', granuleId: 'testGranuleId', metadataObject: {} };
+  const cmrRevisionId = Math.floor(Math.random() * 100);
+  const credentials = {};
+
+  const publishISOXML2CMRSpy = sinon.spy(() => Promise.resolve());
+  const revertPublishISOXML2CMRSpy = cmrUtil.__set__('publishISOXML2CMR', publishISOXML2CMRSpy);
+
+  t.teardown(() => {
+    revertPublishISOXML2CMRSpy();
+  });
+
+  await cmrUtil.publish2CMR(cmrFileObject, credentials, cmrRevisionId);
+  t.is(publishISOXML2CMRSpy.getCall(0).args[2], cmrRevisionId);
+});
+
+test.serial('publishISOXML2CMR ingests the ISO XML with the granule ID and cmrRevisionId', async (t) => {
+  const metadataObject = {
+    'gmi:MI_Metadata': {
+      $: { 'xmlns:gmi': 'http://www.isotc211.org/2005/gmi' },
+      'gmd:fileIdentifier': { 'gco:CharacterString': 'testGranuleId' },
+    },
+  };
+  const cmrFileObject = {
+    filename: 's3://bucket/test.cmr_iso.xml',
+    granuleId: 'testGranuleId',
+    metadataObject,
+  };
+  const conceptId = randomString();
+  const cmrRevisionId = Math.floor(Math.random() * 100);
+
+  const ingestISOGranuleSpy = sinon.spy(() => Promise.resolve({ result: { 'concept-id': conceptId } }));
+  const publishISOXML2CMR = cmrUtil.__get__('publishISOXML2CMR');
+
+  const result = await publishISOXML2CMR(
+    cmrFileObject,
+    { ingestISOGranule: ingestISOGranuleSpy },
+    cmrRevisionId
+  );
+
+  const [xml, granuleId, revisionId] = ingestISOGranuleSpy.getCall(0).args;
+  t.true(xml.includes('<gmi:MI_Metadata xmlns:gmi="http://www.isotc211.org/2005/gmi">'));
+  t.is(granuleId, 'testGranuleId');
+  t.is(revisionId, cmrRevisionId);
+  t.is(result.conceptId, conceptId);
+  t.is(result.metadataFormat, 'iso19115');
+  t.is(result.link, constructCmrConceptLink(conceptId, 'iso19115'));
+});
+
+test.serial('publishISOXML2CMR returns the ISO-SMAP metadata format of ISO-SMAP XML', async (t) => {
+  const metadataObject = {
+    'gmd:DS_Series': {
+      'gmd:composedOf': { 'gmd:DS_DataSet': { 'gmd:has': { 'gmi:MI_Metadata': {} } } },
+    },
+  };
+  const conceptId = randomString();
+  const publishISOXML2CMR = cmrUtil.__get__('publishISOXML2CMR');
+
+  const result = await publishISOXML2CMR(
+    { filename: 's3://bucket/test.cmr_iso.xml', granuleId: 'testGranuleId', metadataObject },
+    { ingestISOGranule: () => Promise.resolve({ result: { 'concept-id': conceptId } }) }
+  );
+
+  t.is(result.metadataFormat, 'iso_smap');
+  t.is(result.link, constructCmrConceptLink(conceptId, 'iso_smap'));
+});
+
+test.serial('validateCMRMetadata returns local schema errors of UMMG metadata without calling CMR', async (t) => {
+  const metadataObject = await readJsonFixture(
+    path.join(__dirname, '../fixtures/MOD09GQ.A3411593.1itJ_e.006.9747594822314_v1.6.2.cmr.json')
+  );
+  delete metadataObject.ProviderDates;
+  const validateGranuleStub = sinon.stub(CMR.prototype, 'validateGranule').resolves([]);
+  t.teardown(() => validateGranuleStub.restore());
+
+  const result = await cmrUtil.validateCMRMetadata(
+    { filename: 's3://bucket/test.cmr.json', granuleId: 'testGranuleId', metadataObject },
+    {}
+  );
+
+  t.deepEqual(result, {
+    granuleId: 'testGranuleId',
+    filename: 's3://bucket/test.cmr.json',
+    metadataFormat: 'umm_json_v1_6_2',
+    errors: [{ source: 'schema', path: [], errors: ["should have required property 'ProviderDates'"] }],
+  });
+  t.false(validateGranuleStub.called);
+});
+
+test.serial('validateCMRMetadata validates UMMG metadata matching its schema with CMR', async (t) => {
+  const metadataObject = await readJsonFixture(
+    path.join(__dirname, '../fixtures/MOD09GQ.A3411593.1itJ_e.006.9747594822314_v1.6.2.cmr.json')
+  );
+  const cmrErrors = [{ path: ['CollectionReference'], errors: ['Collection does not exist'] }];
+  const validateGranuleStub = sinon.stub(CMR.prototype, 'validateGranule').resolves(cmrErrors);
+  t.teardown(() => validateGranuleStub.restore());
+
+  const result = await cmrUtil.validateCMRMetadata(
+    { filename: 's3://bucket/test.cmr.json', granuleId: 'testGranuleId', metadataObject },
+    {}
+  );
+
+  t.deepEqual(result.errors, [{ source: 'cmr', ...cmrErrors[0] }]);
+  t.deepEqual(
+    validateGranuleStub.getCall(0).args,
+    [metadataObject, 'MOD09GQ.A3411593.1itJ_e.006.9747594822314']
+  );
+});
+
+test.serial('validateCMRMetadata validates ISO XML metadata with CMR', async (t) => {
+  const metadataObject = {
+    'gmi:MI_Metadata': {
+      $: { 'xmlns:gmi': 'http://www.isotc211.org/2005/gmi' },
+    },
+  };
+  const validateGranuleStub = sinon.stub(CMR.prototype, 'validateGranule').resolves([]);
+  t.teardown(() => validateGranuleStub.restore());
+
+  const result = await cmrUtil.validateCMRMetadata(
+    { filename: 's3://bucket/test.cmr_iso.xml', granuleId: 'testGranuleId', metadataObject },
+    {}
+  );
+
+  t.is(result.metadataFormat, 'iso19115');
+  t.deepEqual(result.errors, []);
+  const [xml, granuleId, xmlFormat] = validateGranuleStub.getCall(0).args;
+  t.true(xml.includes('<gmi:MI_Metadata xmlns:gmi="http://www.isotc211.org/2005/gmi"/>'));
+  t.is(granuleId, 'testGranuleId');
+  t.is(xmlFormat, 'iso');
+});
+
 test.serial('publishECHO10XML2CMR passes cmrRevisionId to ingestGranule', async (t) => {
   const cmrFileObject = { filename: 'test.cmr.xml', granuleId: 'testGranuleId', metadataObject: {} };
   const conceptId = randomString();
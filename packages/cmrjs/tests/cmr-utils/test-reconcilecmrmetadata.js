@@ -105,6 +105,7 @@ test('reconcileCMRMetadata calls updateCMRMetadata if metadatafile present', asy
         cmrGranuleUrlType: 'both',
         distributionBucketMap,
         bucketTypes,
+        skipUnchanged: false,
       })
     );
   } finally {
@@ -173,6 +174,7 @@ test('reconcileCMRMetadata calls updateEcho10XMLMetadata but not publishECHO10XM
       cmrGranuleUrlType: 'both',
       bucketTypes,
       distributionBucketMap,
+      skipUnchanged: false,
     };
 
     // assert
@@ -235,6 +237,7 @@ test('reconcileCMRMetadata calls updateEcho10XMLMetadata and publishECHO10XML2CM
       cmrGranuleUrlType: 'both',
       bucketTypes,
       distributionBucketMap,
+      skipUnchanged: false,
     };
 
     t.deepEqual(fakeUpdateCMRMetadata.firstCall.args[0],
@@ -303,6 +306,7 @@ test('reconcileCMRMetadata calls updateUMMGMetadata and publishUMMGJSON2CMR if i
       cmrGranuleUrlType: 'both',
       bucketTypes,
       distributionBucketMap,
+      skipUnchanged: false,
     };
 
     // assert
@@ -36,10 +36,19 @@ export {
   PostgresAsyncOperation,
   PostgresAsyncOperationRecord,
 } from './types/async_operation';
+export {
+  PostgresAuditLogEntry,
+  PostgresAuditLogEntryRecord,
+  PostgresAuditLogOutcome,
+} from './types/audit_log';
 export {
   PostgresCollection,
   PostgresCollectionRecord,
 } from './types/collection';
+export {
+  PostgresDiscoveryState,
+  PostgresDiscoveryStateRecord,
+} from './types/discovery_state';
 export {
   PostgresExecution,
   PostgresExecutionRecord,
@@ -53,9 +62,14 @@ export {
   PostgresRuleRecord,
 } from './types/rule';
 export {
+  CmrPublishStatus,
   PostgresGranule,
   PostgresGranuleRecord,
 } from './types/granule';
+export {
+  PostgresGranuleHistoryEntry,
+  PostgresGranuleHistoryEntryRecord,
+} from './types/granule_history';
 export {
   PostgresPdr,
   PostgresPdrRecord,
@@ -64,11 +78,31 @@ export {
   PostgresFile,
   PostgresFileRecord,
 } from './types/file';
+export {
+  PostgresRole,
+  PostgresRoleAssignment,
+  PostgresRoleAssignmentRecord,
+} from './types/role_assignment';
+export {
+  PostgresSubscription,
+  PostgresSubscriptionRecord,
+  PostgresSubscriptionRecordType,
+} from './types/subscription';
+export {
+  PostgresSubscriptionDelivery,
+  PostgresSubscriptionDeliveryAttempt,
+  PostgresSubscriptionDeliveryRecord,
+  PostgresSubscriptionDeliveryStatus,
+} from './types/subscription_delivery';
 
 export {
   translateApiAsyncOperationToPostgresAsyncOperation,
   translatePostgresAsyncOperationToApiAsyncOperation,
 } from './translate/async_operations';
+export {
+  translateApiAuditLogEntryToPostgresAuditLogEntry,
+  translatePostgresAuditLogEntryToApiAuditLogEntry,
+} from './translate/audit_log';
 export {
   translateApiFiletoPostgresFile,
   translatePostgresFileToApiFile,
@@ -78,6 +112,10 @@ export {
   translateApiCollectionToPostgresCollection,
   translatePostgresCollectionToApiCollection,
 } from './translate/collections';
+export {
+  translateApiDiscoveryStateToPostgresDiscoveryState,
+  translatePostgresDiscoveryStateToApiDiscoveryState,
+} from './translate/discovery_states';
 
 export {
   translateApiProviderToPostgresProvider,
@@ -97,14 +135,28 @@ export {
   translatePostgresGranuleToApiGranule,
   translatePostgresGranuleResultToApiGranule,
 } from './translate/granules';
+export {
+  translatePostgresGranuleHistoryEntryToApiGranuleHistoryEntry,
+} from './translate/granule_history';
 export {
   translateApiPdrToPostgresPdr,
   translatePostgresPdrToApiPdr,
 } from './translate/pdr';
+export {
+  translateApiRoleAssignmentToPostgresRoleAssignment,
+  translatePostgresRoleAssignmentToApiRoleAssignment,
+} from './translate/role_assignments';
+export {
+  translateApiSubscriptionToPostgresSubscription,
+  translatePostgresSubscriptionDeliveryToApiSubscriptionDelivery,
+} from './translate/subscriptions';
 
 export {
   getCollectionsByGranuleIds,
 } from './lib/collection';
+export {
+  getApiDiscoveryStates,
+} from './lib/discovery_state';
 
 export {
   executionArnsFromGranuleIdsAndWorkflowNames,
@@ -126,19 +178,49 @@ export {
   getUniqueGranuleByGranuleId,
   upsertGranuleWithExecutionJoinRecord,
   getGranulesByApiPropertiesQuery,
+  getEmbargoedGranulesQuery,
 } from './lib/granule';
+export {
+  createGranuleHistoryEntry,
+  getApiGranuleHistory,
+} from './lib/granule_history';
+
+export {
+  getApiRoleAssignments,
+} from './lib/role_assignment';
+export {
+  getApiSubscriptions,
+  getMatchingSubscriptions,
+} from './lib/subscription';
 
 export {
   QuerySearchClient,
 } from './lib/QuerySearchClient';
+export { KeysetColumn } from './lib/keyset';
+
+export { AuditLogSearch } from './search/AuditLogSearch';
+export { BaseSearch } from './search/BaseSearch';
+export { CollectionSearch } from './search/CollectionSearch';
+export { ExecutionSearch } from './search/ExecutionSearch';
+export { GranuleSearch } from './search/GranuleSearch';
+export { PdrSearch } from './search/PdrSearch';
+export { ProviderSearch } from './search/ProviderSearch';
+export { RuleSearch } from './search/RuleSearch';
+export { convertQueryStringToDbQueryParameters } from './search/queries';
 
 export { AsyncOperationPgModel } from './models/async_operation';
+export { AuditLogPgModel } from './models/audit_log';
 export { BasePgModel } from './models/base';
 export { CollectionPgModel } from './models/collection';
+export { DiscoveryStatePgModel } from './models/discovery_state';
 export { ExecutionPgModel } from './models/execution';
 export { FilePgModel } from './models/file';
 export { GranulePgModel } from './models/granule';
+export { GranuleHistoryPgModel } from './models/granule_history';
 export { GranulesExecutionsPgModel } from './models/granules-executions';
 export { PdrPgModel } from './models/pdr';
 export { ProviderPgModel } from './models/provider';
+export { RoleAssignmentPgModel } from './models/role_assignment';
 export { RulePgModel } from './models/rule';
+export { SubscriptionPgModel } from './models/subscription';
+export { SubscriptionDeliveryPgModel } from './models/subscription_delivery';
@@ -1,25 +1,95 @@
 import { Knex } from 'knex';
 
 import { BaseRecord } from '../types/base';
+import {
+  decodeCursor,
+  encodeCursor,
+  getKeysetValues,
+  KeysetColumn,
+  KeysetValues,
+  omitKeysetValues,
+  orderByKeyset,
+  selectKeysetValues,
+  whereAfterKeyset,
+} from './keyset';
 
 /**
  * Class to handle fetching results for an arbitrary PostgreSQL query and
  * paging through them.
+ *
+ * By default results are paged with offset/limit. If keyset columns are
+ * provided, the query is ordered by those columns and each page of results
+ * is fetched by selecting the records that follow the last record fetched,
+ * which is faster for large tables and is not affected by records being
+ * inserted while paging. The keyset columns must uniquely identify a record.
  */
 class QuerySearchClient<RecordType extends BaseRecord> {
   readonly query: Knex.QueryBuilder;
   readonly limit: number;
+  readonly keysetColumns?: KeysetColumn[];
   offset: number;
   records: RecordType[];
+  cursor?: string;
+  private recordCursors: string[];
+  private lastKeysetValues?: KeysetValues;
 
+  /**
+   * @param {Knex.QueryBuilder} query - the query to page through
+   * @param {number} limit - the number of records to fetch at once
+   * @param {Object} [options]
+   * @param {KeysetColumn[]} [options.keysetColumns] - columns to page through
+   *   the results by. Any ordering of the query is replaced by these columns.
+   * @param {string} [options.cursor] - cursor returned by a previous client
+   *   for the same query and keyset columns, to resume paging after the last
+   *   record it returned
+   */
   constructor(
     query: Knex.QueryBuilder,
-    limit: number
+    limit: number,
+    {
+      keysetColumns,
+      cursor,
+    }: {
+      keysetColumns?: KeysetColumn[],
+      cursor?: string,
+    } = {}
   ) {
     this.query = query;
     this.limit = limit;
+    this.keysetColumns = keysetColumns;
     this.offset = 0;
     this.records = [];
+    this.recordCursors = [];
+    this.cursor = cursor;
+    if (keysetColumns && cursor) {
+      this.lastKeysetValues = decodeCursor(cursor, keysetColumns.length);
+    }
+  }
+
+  /**
+   * Query the PostgreSQL database for the next page of records using the
+   * keyset columns
+   *
+   * @param {KeysetColumn[]} keysetColumns - the keyset columns
+   * @returns {Promise<void>}
+   */
+  private async fetchRecordsAfterKeyset(keysetColumns: KeysetColumn[]) {
+    const query = this.query.clone().clearOrder();
+
+    selectKeysetValues(query, keysetColumns);
+    orderByKeyset(query, keysetColumns);
+    if (this.lastKeysetValues) {
+      whereAfterKeyset(query, keysetColumns, this.lastKeysetValues);
+    }
+
+    const records: RecordType[] = await query.limit(this.limit);
+    const keysetValues = records.map((record) => getKeysetValues(record, keysetColumns));
+
+    this.records = records.map((record) => omitKeysetValues(record, keysetColumns));
+    this.recordCursors = keysetValues.map(encodeCursor);
+    if (keysetValues.length > 0) {
+      this.lastKeysetValues = keysetValues[keysetValues.length - 1];
+    }
   }
 
   /**
@@ -29,6 +99,10 @@ class QuerySearchClient<RecordType extends BaseRecord> {
    * @throws
    */
   private async fetchRecords() {
+    if (this.keysetColumns) {
+      await this.fetchRecordsAfterKeyset(this.keysetColumns);
+      return;
+    }
     this.records = await (
       this.query
         .offset(this.offset)
@@ -52,10 +126,15 @@ class QuerySearchClient<RecordType extends BaseRecord> {
   /**
    * Remove and return the next item in the results
    *
+   * When paging by keyset columns, `cursor` is updated to the cursor of the
+   * returned record.
+   *
    * @returns {Promise<RecordType>} - record from PostgreSQL table
    */
   async shift() {
     if (this.records.length === 0) await this.fetchRecords();
+    const recordCursor = this.recordCursors.shift();
+    if (recordCursor) this.cursor = recordCursor;
     return this.records.shift();
   }
 }
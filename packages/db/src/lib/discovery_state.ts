@@ -0,0 +1,79 @@
+import { Knex } from 'knex';
+import { deconstructCollectionId } from '@cumulus/message/Collections';
+import { ApiDiscoveryState } from '@cumulus/types/api/discovery_states';
+
+import { TableNames } from '../tables';
+import { translatePostgresDiscoveryStateToApiDiscoveryState } from '../translate/discovery_states';
+
+/**
+ * Get discovery states, with the IDs of their collection and provider, as API
+ * discovery states. States are only filtered by the given parameters, so that
+ * e.g. all the states of a collection and provider may be fetched.
+ *
+ * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+ * @param {Object} [params]
+ * @param {string} [params.collectionId] - only get the states of this collection
+ * @param {string} [params.provider] - only get the states of this provider
+ * @param {string} [params.providerPath] - only get the states of this provider path
+ * @param {string} [params.ruleName] - only get the states of this rule, or the
+ *   states shared by rules if empty
+ * @returns {Promise<ApiDiscoveryState[]>} the discovery states
+ */
+export const getApiDiscoveryStates = async (
+  knexOrTransaction: Knex | Knex.Transaction,
+  {
+    collectionId,
+    provider,
+    providerPath,
+    ruleName,
+  }: {
+    collectionId?: string,
+    provider?: string,
+    providerPath?: string,
+    ruleName?: string,
+  } = {}
+): Promise<ApiDiscoveryState[]> => {
+  const {
+    collections: collectionsTable,
+    discoveryStates: discoveryStatesTable,
+    providers: providersTable,
+  } = TableNames;
+
+  const query = knexOrTransaction(discoveryStatesTable)
+    .select(
+      `${discoveryStatesTable}.*`,
+      `${collectionsTable}.name as collection_name`,
+      `${collectionsTable}.version as collection_version`,
+      `${providersTable}.name as provider_name`
+    )
+    .innerJoin(collectionsTable, `${discoveryStatesTable}.collection_cumulus_id`, `${collectionsTable}.cumulus_id`)
+    .innerJoin(providersTable, `${discoveryStatesTable}.provider_cumulus_id`, `${providersTable}.cumulus_id`)
+    .orderBy([
+      `${collectionsTable}.name`,
+      `${collectionsTable}.version`,
+      `${providersTable}.name`,
+      `${discoveryStatesTable}.provider_path`,
+      `${discoveryStatesTable}.rule_name`,
+    ]);
+
+  if (collectionId) {
+    const { name, version } = deconstructCollectionId(collectionId);
+    query.where({
+      [`${collectionsTable}.name`]: name,
+      [`${collectionsTable}.version`]: version,
+    });
+  }
+  if (provider) query.where(`${providersTable}.name`, provider);
+  if (providerPath !== undefined) query.where(`${discoveryStatesTable}.provider_path`, providerPath);
+  if (ruleName !== undefined) query.where(`${discoveryStatesTable}.rule_name`, ruleName);
+
+  const records = await query;
+  return records.map(
+    ({ collection_name, collection_version, provider_name, ...record }) =>
+      translatePostgresDiscoveryStateToApiDiscoveryState(record, {
+        collectionName: collection_name,
+        collectionVersion: collection_version,
+        providerName: provider_name,
+      })
+  );
+};
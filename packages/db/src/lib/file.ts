@@ -15,7 +15,7 @@ import { PostgresGranuleRecord } from '../types/granule';
  * @param {Knex} params.knex - Knex client object
  * @param {Partial<PostgresFileRecord>} params.searchParams
  *   Query search parameters for files table
- * @param {Array<string>} params.sortColumns
+ * @param {Array<string>} [params.sortColumns]
  *   Columns to sort results by
  * @param {Array<string>} [params.granuleColumns]
  *   Columns to return from granules table
@@ -37,7 +37,7 @@ export const getFilesAndGranuleInfoQuery = ({
 }: {
   knex: Knex;
   searchParams: Partial<PostgresFileRecord>;
-  sortColumns: (keyof PostgresFileRecord)[];
+  sortColumns?: (keyof PostgresFileRecord)[];
   granuleColumns?: (keyof PostgresGranuleRecord)[];
   limit?: number;
   collectionIds?: string[];
@@ -64,8 +64,10 @@ export const getFilesAndGranuleInfoQuery = ({
         );
       }
     })
-    .where(searchParams)
-    .orderBy(sortColumns);
+    .where(searchParams);
+  if (sortColumns) {
+    query.orderBy(sortColumns);
+  }
   if (limit) {
     query.limit(limit);
   }
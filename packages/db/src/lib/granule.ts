@@ -250,3 +250,38 @@ export const getGranulesByApiPropertiesQuery = (
     .groupBy(`${collectionsTable}.cumulus_id`)
     .groupBy(`${providersTable}.cumulus_id`);
 };
+
+/**
+ * Helper to build a query to search granules whose CMR publication is
+ * embargoed, in the order in which their embargoes expire.
+ *
+ * @param {Knex} knex - DB client
+ * @param {Object} searchParams
+ * @param {string | Array<string>} [searchParams.collectionIds] - Collection ID
+ * @param {Date} [searchParams.publishAtTo] - Only return the granules whose
+ *   embargo expires at or before this date
+ * @returns {Knex.QueryBuilder}
+ */
+export const getEmbargoedGranulesQuery = (
+  knex: Knex,
+  {
+    collectionIds,
+    publishAtTo,
+  }: {
+    collectionIds?: string | string[],
+    publishAtTo?: Date,
+  } = {}
+): Knex.QueryBuilder => {
+  const { granules: granulesTable } = TableNames;
+  return getGranulesByApiPropertiesQuery(
+    knex,
+    { collectionIds },
+    [`${granulesTable}.publish_at`, `${granulesTable}.cumulus_id`]
+  )
+    .whereNotNull(`${granulesTable}.publish_at`)
+    .modify((queryBuilder) => {
+      if (publishAtTo) {
+        queryBuilder.where(`${granulesTable}.publish_at`, '<=', publishAtTo);
+      }
+    });
+};
@@ -0,0 +1,80 @@
+import { Knex } from 'knex';
+import { ApiGranuleHistoryEntry } from '@cumulus/types/api/granule_history';
+
+import { ExecutionPgModel } from '../models/execution';
+import { GranuleHistoryPgModel } from '../models/granule_history';
+import { TableNames } from '../tables';
+import { translatePostgresGranuleHistoryEntryToApiGranuleHistoryEntry } from '../translate/granule_history';
+import { PostgresGranuleRecord } from '../types/granule';
+import { PostgresGranuleHistoryEntryRecord } from '../types/granule_history';
+
+/**
+ * Append an entry with the current state of a granule to its history. The
+ * execution ARN and workflow name are looked up from the execution that wrote
+ * the granule, if any.
+ *
+ * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+ * @param {Object} params
+ * @param {PostgresGranuleRecord} params.granule - granule record after the write
+ * @param {number} [params.executionCumulusId] - cumulus_id of the execution that
+ *   wrote the granule
+ * @param {string} [params.actor] - name of the API user who wrote the granule
+ * @param {GranuleHistoryPgModel} [params.granuleHistoryPgModel] - granule history
+ *   PG model, only used for testing
+ * @param {ExecutionPgModel} [params.executionPgModel] - execution PG model, only
+ *   used for testing
+ * @returns {Promise<PostgresGranuleHistoryEntryRecord>} the history entry
+ */
+export const createGranuleHistoryEntry = async (
+  knexOrTransaction: Knex | Knex.Transaction,
+  {
+    granule,
+    executionCumulusId,
+    actor,
+    granuleHistoryPgModel = new GranuleHistoryPgModel(),
+    executionPgModel = new ExecutionPgModel(),
+  }: {
+    granule: PostgresGranuleRecord,
+    executionCumulusId?: number,
+    actor?: string,
+    granuleHistoryPgModel?: GranuleHistoryPgModel,
+    executionPgModel?: ExecutionPgModel,
+  }
+): Promise<PostgresGranuleHistoryEntryRecord> => {
+  const execution = executionCumulusId
+    ? await executionPgModel.get(knexOrTransaction, { cumulus_id: executionCumulusId })
+    : undefined;
+  const [historyEntry] = <PostgresGranuleHistoryEntryRecord[]>(await granuleHistoryPgModel.create(
+    knexOrTransaction,
+    {
+      granule_cumulus_id: granule.cumulus_id,
+      status: granule.status,
+      published: granule.published,
+      execution_arn: execution?.arn,
+      workflow_name: execution?.workflow_name,
+      error: granule.error,
+      actor,
+    },
+    '*'
+  ));
+  return historyEntry;
+};
+
+/**
+ * Get the history of a granule, oldest entry first
+ *
+ * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+ * @param {number} granuleCumulusId - cumulus_id of the granule
+ * @returns {Promise<ApiGranuleHistoryEntry[]>} the API history entries
+ */
+export const getApiGranuleHistory = async (
+  knexOrTransaction: Knex | Knex.Transaction,
+  granuleCumulusId: number
+): Promise<ApiGranuleHistoryEntry[]> => {
+  const records: PostgresGranuleHistoryEntryRecord[] = await knexOrTransaction(
+    TableNames.granuleHistory
+  )
+    .where({ granule_cumulus_id: granuleCumulusId })
+    .orderBy(['created_at', 'cumulus_id']);
+  return records.map(translatePostgresGranuleHistoryEntryToApiGranuleHistoryEntry);
+};
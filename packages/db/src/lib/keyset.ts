@@ -0,0 +1,164 @@
+import { Knex } from 'knex';
+
+import { ValidationError } from '@cumulus/errors';
+
+export type SortOrder = 'asc' | 'desc';
+
+/**
+ * A column, or SQL expression, that a query is ordered and paged by. This is
+ * never built from user input.
+ */
+export interface KeysetColumn {
+  column: string,
+  order?: SortOrder,
+}
+
+export type KeysetValues = (string | null)[];
+
+const keysetAlias = (index: number) => `keyset_value_${index}`;
+
+/**
+ * Encode the keyset values of a record as an opaque, URL safe, cursor token
+ *
+ * @param {KeysetValues} values - the keyset values
+ * @returns {string} the cursor
+ */
+export const encodeCursor = (values: KeysetValues): string =>
+  Buffer.from(JSON.stringify(values))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * Decode a cursor token created by `encodeCursor`
+ *
+ * @param {string} cursor - the cursor
+ * @param {number} columnCount - the number of keyset columns of the query
+ * @returns {KeysetValues} the keyset values
+ * @throws {ValidationError} if the cursor is not valid for the query
+ */
+export const decodeCursor = (cursor: string, columnCount: number): KeysetValues => {
+  let values;
+  try {
+    // Node decodes both the standard and the URL safe base64 alphabets
+    values = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (error) {
+    throw new ValidationError(`Invalid cursor ${cursor}`);
+  }
+
+  if (
+    !Array.isArray(values)
+    || values.length !== columnCount
+    || values.some((value) => value !== null && typeof value !== 'string')
+  ) {
+    throw new ValidationError(`Invalid cursor ${cursor}`);
+  }
+
+  return values;
+};
+
+/**
+ * Select the keyset values of each record as text, so that they round trip
+ * through a cursor without losing precision
+ *
+ * @param {Knex.QueryBuilder} queryBuilder - the query
+ * @param {KeysetColumn[]} keysetColumns - the keyset columns
+ * @returns {Knex.QueryBuilder} the query
+ */
+export const selectKeysetValues = (
+  queryBuilder: Knex.QueryBuilder,
+  keysetColumns: KeysetColumn[]
+): Knex.QueryBuilder => {
+  const { client } = queryBuilder as unknown as { client: Knex.Client };
+  return queryBuilder.select(keysetColumns.map(
+    ({ column }, index) => client.raw(`(${column})::text as ${keysetAlias(index)}`)
+  ));
+};
+
+/**
+ * Order a query by its keyset columns. Null values are sorted last.
+ *
+ * @param {Knex.QueryBuilder} queryBuilder - the query
+ * @param {KeysetColumn[]} keysetColumns - the keyset columns
+ * @returns {Knex.QueryBuilder} the query
+ */
+export const orderByKeyset = (
+  queryBuilder: Knex.QueryBuilder,
+  keysetColumns: KeysetColumn[]
+): Knex.QueryBuilder => {
+  keysetColumns.forEach(({ column, order = 'asc' }) => {
+    queryBuilder.orderByRaw(`${column} ${order} NULLS LAST`);
+  });
+  return queryBuilder;
+};
+
+/**
+ * Restrict a query ordered by `orderByKeyset` to the records that follow the
+ * record with the given keyset values
+ *
+ * @param {Knex.QueryBuilder} queryBuilder - the query
+ * @param {KeysetColumn[]} keysetColumns - the keyset columns
+ * @param {KeysetValues} values - the keyset values of the last record seen
+ * @returns {Knex.QueryBuilder} the query
+ */
+export const whereAfterKeyset = (
+  queryBuilder: Knex.QueryBuilder,
+  keysetColumns: KeysetColumn[],
+  values: KeysetValues
+): Knex.QueryBuilder => queryBuilder.where((keysetBuilder) => {
+  // A record follows the last record seen if it has the same values for the
+  // first N - 1 keyset columns, and a following value for the Nth column
+  keysetColumns.forEach(({ column, order = 'asc' }, index) => {
+    const value = values[index];
+    // Null values are sorted last, so no value follows a null value
+    if (value === null) return;
+
+    keysetBuilder.orWhere((columnBuilder) => {
+      keysetColumns.slice(0, index).forEach((previous, previousIndex) => {
+        const previousValue = values[previousIndex];
+        if (previousValue === null) {
+          columnBuilder.whereRaw(`${previous.column} IS NULL`);
+        } else {
+          columnBuilder.whereRaw(`${previous.column} = ?`, [previousValue]);
+        }
+      });
+      columnBuilder.whereRaw(
+        `(${column} ${order === 'asc' ? '>' : '<'} ? OR ${column} IS NULL)`,
+        [value]
+      );
+    });
+  });
+  // If every keyset value is null, no record follows
+  keysetBuilder.orWhereRaw('false');
+});
+
+/**
+ * Get the keyset values selected by `selectKeysetValues` from a record
+ *
+ * @param {Object} record - the record
+ * @param {KeysetColumn[]} keysetColumns - the keyset columns
+ * @returns {KeysetValues} the keyset values
+ */
+export const getKeysetValues = (
+  record: { [key: string]: any },
+  keysetColumns: KeysetColumn[]
+): KeysetValues => keysetColumns.map((_, index) => record[keysetAlias(index)]);
+
+/**
+ * Remove the keyset values selected by `selectKeysetValues` from a record
+ *
+ * @param {Object} record - the record
+ * @param {KeysetColumn[]} keysetColumns - the keyset columns
+ * @returns {Object} the record without its keyset values
+ */
+export const omitKeysetValues = <RecordType extends { [key: string]: any }>(
+  record: RecordType,
+  keysetColumns: KeysetColumn[]
+): RecordType => {
+  const result = { ...record };
+  keysetColumns.forEach((_, index) => {
+    delete result[keysetAlias(index)];
+  });
+  return result;
+};
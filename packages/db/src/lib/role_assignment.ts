@@ -0,0 +1,52 @@
+import { Knex } from 'knex';
+import { removeNilProperties } from '@cumulus/common/util';
+import { constructCollectionId } from '@cumulus/message/Collections';
+import { ApiRoleAssignment } from '@cumulus/types/api/role_assignments';
+
+import { TableNames } from '../tables';
+
+/**
+ * Get role assignments, with their collection and provider scopes, as API
+ * role assignments
+ *
+ * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+ * @param {Object} [params]
+ * @param {string} [params.username] - only get the role assignments of this user
+ * @returns {Promise<ApiRoleAssignment[]>} the role assignments
+ */
+export const getApiRoleAssignments = async (
+  knexOrTransaction: Knex | Knex.Transaction,
+  { username }: { username?: string } = {}
+): Promise<ApiRoleAssignment[]> => {
+  const {
+    collections: collectionsTable,
+    providers: providersTable,
+    roleAssignments: roleAssignmentsTable,
+  } = TableNames;
+
+  const query = knexOrTransaction(roleAssignmentsTable)
+    .select(
+      `${roleAssignmentsTable}.*`,
+      `${collectionsTable}.name as collection_name`,
+      `${collectionsTable}.version as collection_version`,
+      `${providersTable}.name as provider_name`
+    )
+    .leftJoin(collectionsTable, `${roleAssignmentsTable}.collection_cumulus_id`, `${collectionsTable}.cumulus_id`)
+    .leftJoin(providersTable, `${roleAssignmentsTable}.provider_cumulus_id`, `${providersTable}.cumulus_id`)
+    .orderBy([`${roleAssignmentsTable}.username`, `${roleAssignmentsTable}.cumulus_id`]);
+  if (username) {
+    query.where(`${roleAssignmentsTable}.username`, username);
+  }
+
+  const records = await query;
+  return records.map((record) => <ApiRoleAssignment>removeNilProperties({
+    username: record.username,
+    role: record.role,
+    collectionId: record.collection_name
+      ? constructCollectionId(record.collection_name, record.collection_version)
+      : undefined,
+    provider: record.provider_name,
+    createdAt: record.created_at.getTime(),
+    updatedAt: record.updated_at.getTime(),
+  }));
+};
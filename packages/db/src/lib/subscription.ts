@@ -0,0 +1,112 @@
+import { Knex } from 'knex';
+import { removeNilProperties } from '@cumulus/common/util';
+import { constructCollectionId } from '@cumulus/message/Collections';
+import { ApiSubscription } from '@cumulus/types/api/subscriptions';
+
+import { TableNames } from '../tables';
+import {
+  PostgresSubscriptionRecord,
+  PostgresSubscriptionRecordType,
+} from '../types/subscription';
+
+const buildSubscriptionsQuery = (knexOrTransaction: Knex | Knex.Transaction) => {
+  const {
+    collections: collectionsTable,
+    providers: providersTable,
+    subscriptions: subscriptionsTable,
+  } = TableNames;
+
+  return knexOrTransaction(subscriptionsTable)
+    .select(
+      `${subscriptionsTable}.*`,
+      `${collectionsTable}.name as collection_name`,
+      `${collectionsTable}.version as collection_version`,
+      `${providersTable}.name as provider_name`
+    )
+    .leftJoin(collectionsTable, `${subscriptionsTable}.collection_cumulus_id`, `${collectionsTable}.cumulus_id`)
+    .leftJoin(providersTable, `${subscriptionsTable}.provider_cumulus_id`, `${providersTable}.cumulus_id`);
+};
+
+/**
+ * Get subscriptions, with their collection and provider filters, as API
+ * subscriptions. The secrets of the subscriptions are omitted.
+ *
+ * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+ * @param {Object} [params]
+ * @param {string} [params.name] - only get the subscription with this name
+ * @returns {Promise<ApiSubscription[]>} the subscriptions
+ */
+export const getApiSubscriptions = async (
+  knexOrTransaction: Knex | Knex.Transaction,
+  { name }: { name?: string } = {}
+): Promise<ApiSubscription[]> => {
+  const { subscriptions: subscriptionsTable } = TableNames;
+
+  const query = buildSubscriptionsQuery(knexOrTransaction)
+    .orderBy(`${subscriptionsTable}.name`);
+  if (name) {
+    query.where(`${subscriptionsTable}.name`, name);
+  }
+
+  const records = await query;
+  return records.map((record) => <ApiSubscription>removeNilProperties({
+    name: record.name,
+    url: record.url,
+    recordTypes: record.record_types,
+    collectionId: record.collection_name
+      ? constructCollectionId(record.collection_name, record.collection_version)
+      : undefined,
+    provider: record.provider_name,
+    statuses: record.statuses,
+    enabled: record.enabled,
+    createdAt: record.created_at.getTime(),
+    updatedAt: record.updated_at.getTime(),
+  }));
+};
+
+/**
+ * Get the enabled subscriptions whose filters match a status event of a
+ * record. A subscription without a collection, provider or statuses filter
+ * matches any collection, provider or status.
+ *
+ * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+ * @param {Object} params
+ * @param {PostgresSubscriptionRecordType} params.recordType - type of the record
+ * @param {string} [params.collectionId] - collection ID of the record
+ * @param {string} [params.provider] - provider name of the record
+ * @param {string} [params.status] - status of the record
+ * @returns {Promise<PostgresSubscriptionRecord[]>} the matching subscriptions
+ */
+export const getMatchingSubscriptions = async (
+  knexOrTransaction: Knex | Knex.Transaction,
+  {
+    recordType,
+    collectionId,
+    provider,
+    status,
+  }: {
+    recordType: PostgresSubscriptionRecordType,
+    collectionId?: string,
+    provider?: string,
+    status?: string,
+  }
+): Promise<PostgresSubscriptionRecord[]> => {
+  const { subscriptions: subscriptionsTable } = TableNames;
+
+  const records = await buildSubscriptionsQuery(knexOrTransaction)
+    .where(`${subscriptionsTable}.enabled`, true)
+    .whereRaw(`? = ANY(${subscriptionsTable}.record_types)`, [recordType])
+    .where((builder) => {
+      builder.whereNull(`${subscriptionsTable}.statuses`);
+      if (status) builder.orWhereRaw(`? = ANY(${subscriptionsTable}.statuses)`, [status]);
+    })
+    .orderBy(`${subscriptionsTable}.cumulus_id`);
+
+  return records
+    .filter((record) => !record.collection_name || constructCollectionId(
+      record.collection_name,
+      record.collection_version
+    ) === collectionId)
+    .filter((record) => !record.provider_name || record.provider_name === provider)
+    .map(({ collection_name, collection_version, provider_name, ...record }) => record);
+};
@@ -0,0 +1,43 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.schema.createTable('role_assignments', (table) => {
+    table
+      .increments('cumulus_id')
+      .primary();
+    table
+      .text('username')
+      .comment('Name of the user the role is assigned to')
+      .notNullable();
+    table
+      .enum('role', ['read-only', 'operator', 'admin'])
+      .comment('Role assigned to the user')
+      .notNullable();
+    table
+      .integer('collection_cumulus_id')
+      .comment('Optional collection the role assignment is scoped to');
+    table.foreign('collection_cumulus_id')
+      .references('cumulus_id')
+      .inTable('collections')
+      .onDelete('CASCADE');
+    table
+      .integer('provider_cumulus_id')
+      .comment('Optional provider the role assignment is scoped to');
+    table.foreign('provider_cumulus_id')
+      .references('cumulus_id')
+      .inTable('providers')
+      .onDelete('CASCADE');
+    table
+      .timestamps(false, true);
+    table.index('username');
+  });
+  // A user may only have one role for each scope. Unscoped assignments have
+  // null scope columns, which are not equal to each other in a unique index.
+  await knex.raw(`
+    CREATE UNIQUE INDEX role_assignments_username_scope_unique
+    ON role_assignments (username, COALESCE(collection_cumulus_id, 0), COALESCE(provider_cumulus_id, 0))
+  `);
+};
+
+export const down = async (knex: Knex): Promise<void> => await knex.schema
+  .dropTableIfExists('role_assignments');
@@ -0,0 +1,51 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> =>
+  await knex.schema.createTable('audit_log', (table) => {
+    table
+      .bigIncrements('cumulus_id')
+      .primary();
+    table
+      .text('username')
+      .comment('Name of the user who made the request, if the API authenticates users');
+    table
+      .text('method')
+      .comment('HTTP method of the request')
+      .notNullable();
+    table
+      .text('route')
+      .comment('Path of the request')
+      .notNullable();
+    table
+      .text('record_type')
+      .comment('Type of the records managed by the requested endpoint, e.g. collections')
+      .notNullable();
+    table
+      .text('record_id')
+      .comment('Identifier of the record targeted by the request, if any');
+    table
+      .text('request_body_digest')
+      .comment('SHA-256 digest of the JSON request body, if any');
+    table
+      .jsonb('before')
+      .comment('API record targeted by the request before the request');
+    table
+      .jsonb('after')
+      .comment('API record targeted by the request after the request');
+    table
+      .integer('status_code')
+      .comment('HTTP status code of the response')
+      .notNullable();
+    table
+      .enum('outcome', ['success', 'failure'])
+      .comment('Whether the request succeeded')
+      .notNullable();
+    table
+      .timestamps(false, true);
+    table.index('username');
+    table.index(['record_type', 'record_id']);
+    table.index('created_at');
+  });
+
+export const down = async (knex: Knex): Promise<void> => await knex.schema
+  .dropTableIfExists('audit_log');
@@ -0,0 +1,41 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> =>
+  await knex.schema.createTable('granule_history', (table) => {
+    table
+      .bigIncrements('cumulus_id')
+      .primary();
+    table
+      .bigInteger('granule_cumulus_id')
+      .comment('Granule the history entry belongs to')
+      .notNullable();
+    table.foreign('granule_cumulus_id')
+      .references('cumulus_id')
+      .inTable('granules')
+      .onDelete('CASCADE');
+    table
+      .text('status')
+      .comment('Ingest status of the granule after the write')
+      .notNullable();
+    table
+      .boolean('published')
+      .comment('Whether the granule was published to CMR after the write');
+    table
+      .text('execution_arn')
+      .comment('ARN of the execution that wrote the granule, if any');
+    table
+      .text('workflow_name')
+      .comment('Name of the workflow of the execution that wrote the granule, if any');
+    table
+      .jsonb('error')
+      .comment('Error of the granule after the write');
+    table
+      .text('actor')
+      .comment('Name of the API user who wrote the granule, if any');
+    table
+      .timestamps(false, true);
+    table.index(['granule_cumulus_id', 'created_at']);
+  });
+
+export const down = async (knex: Knex): Promise<void> => await knex.schema
+  .dropTableIfExists('granule_history');
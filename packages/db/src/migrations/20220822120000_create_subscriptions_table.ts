@@ -0,0 +1,52 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> =>
+  await knex.schema.createTable('subscriptions', (table) => {
+    table
+      .increments('cumulus_id')
+      .primary();
+    table
+      .text('name')
+      .comment('Subscription name')
+      .unique()
+      .notNullable();
+    table
+      .text('url')
+      .comment('HTTPS endpoint that events are delivered to')
+      .notNullable();
+    table
+      .specificType('record_types', 'text ARRAY')
+      .comment('Record types the subscription receives events for')
+      .notNullable();
+    table
+      .specificType('statuses', 'text ARRAY')
+      .comment('Optional record statuses the subscription receives events for');
+    table
+      .integer('collection_cumulus_id')
+      .comment('Optional collection the subscription receives events for');
+    table.foreign('collection_cumulus_id')
+      .references('cumulus_id')
+      .inTable('collections')
+      .onDelete('CASCADE');
+    table
+      .integer('provider_cumulus_id')
+      .comment('Optional provider the subscription receives events for');
+    table.foreign('provider_cumulus_id')
+      .references('cumulus_id')
+      .inTable('providers')
+      .onDelete('CASCADE');
+    table
+      .text('secret')
+      .comment('Encrypted secret used to sign the payloads of deliveries')
+      .notNullable();
+    table
+      .boolean('enabled')
+      .comment('Whether events are delivered to the subscription')
+      .defaultTo(true)
+      .notNullable();
+    table
+      .timestamps(false, true);
+  });
+
+export const down = async (knex: Knex): Promise<void> => await knex.schema
+  .dropTableIfExists('subscriptions');
@@ -0,0 +1,56 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> =>
+  await knex.schema.createTable('subscription_deliveries', (table) => {
+    table
+      .bigIncrements('cumulus_id')
+      .primary();
+    table
+      .integer('subscription_cumulus_id')
+      .comment('Subscription the event is delivered to')
+      .notNullable();
+    table.foreign('subscription_cumulus_id')
+      .references('cumulus_id')
+      .inTable('subscriptions')
+      .onDelete('CASCADE');
+    table
+      .uuid('delivery_id')
+      .comment('Unique ID of the delivery, sent with each attempt')
+      .unique()
+      .notNullable();
+    table
+      .enum('record_type', ['granule', 'execution', 'pdr'])
+      .comment('Type of the record of the event')
+      .notNullable();
+    table
+      .text('record_id')
+      .comment('ID of the record of the event')
+      .notNullable();
+    table
+      .text('event_type')
+      .comment('Event type, e.g. Create, Update or Delete');
+    table
+      .jsonb('payload')
+      .comment('Payload delivered to the subscription')
+      .notNullable();
+    table
+      .enum('status', ['pending', 'succeeded', 'dead_letter'])
+      .comment('Delivery status')
+      .defaultTo('pending')
+      .notNullable();
+    table
+      .jsonb('attempts')
+      .comment('Delivery attempts, with their outcomes')
+      .defaultTo('[]')
+      .notNullable();
+    table
+      .timestamp('next_attempt_at')
+      .comment('Time of the next attempt of a pending delivery');
+    table
+      .timestamps(false, true);
+    table.index(['status', 'next_attempt_at']);
+    table.index(['subscription_cumulus_id', 'created_at']);
+  });
+
+export const down = async (knex: Knex): Promise<void> => await knex.schema
+  .dropTableIfExists('subscription_deliveries');
@@ -0,0 +1,23 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('collections', (table) => {
+    table
+      .jsonb('umm_c')
+      .comment('UMM-C metadata of the collection, published to the CMR');
+    table
+      .boolean('published')
+      .comment('Flag that shows if the UMM-C metadata of the collection has been published in CMR');
+    table
+      .text('cmr_concept_id')
+      .comment('Concept ID of the collection in the CMR');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('collections', (table) => {
+    table.dropColumn('umm_c');
+    table.dropColumn('published');
+    table.dropColumn('cmr_concept_id');
+  });
+};
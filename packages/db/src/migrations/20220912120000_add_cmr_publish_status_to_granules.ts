@@ -0,0 +1,15 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('granules', (table) => {
+    table
+      .enum('cmr_publish_status', ['pending', 'failed'])
+      .comment('State of a queued CMR publish or delete request for the granule, null when none is outstanding');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('granules', (table) => {
+    table.dropColumn('cmr_publish_status');
+  });
+};
@@ -0,0 +1,15 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('granules', (table) => {
+    table
+      .timestamp('publish_at')
+      .comment('Time at which the embargoed granule is to be published to the CMR, null when the granule is not embargoed');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('granules', (table) => {
+    table.dropColumn('publish_at');
+  });
+};
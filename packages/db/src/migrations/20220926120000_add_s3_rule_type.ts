@@ -0,0 +1,38 @@
+import { Knex } from 'knex';
+
+const ruleTypes = ['onetime', 'scheduled', 'sns', 'kinesis', 'sqs'];
+
+const formatAlterTableEnumSql = (
+  tableName: string,
+  columnName: string,
+  enums: Array<string>
+) => {
+  const constraintName = `${tableName}_${columnName}_check`;
+  return [
+    `ALTER TABLE ${tableName}`,
+    `DROP CONSTRAINT IF EXISTS ${constraintName};`,
+    `ALTER TABLE ${tableName} ADD CONSTRAINT ${constraintName} CHECK (${columnName} = ANY (ARRAY['${enums.join(
+      "'::text, '"
+    )}'::text]));`,
+  ].join('\n');
+};
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.raw(formatAlterTableEnumSql('rules', 'type', [...ruleTypes, 's3']));
+  await knex.schema.table('rules', (table) => {
+    table
+      .text('key_prefix')
+      .comment('For s3 rules: prefix of the keys of the objects triggering the rule');
+    table
+      .text('key_suffix')
+      .comment('For s3 rules: suffix of the keys of the objects triggering the rule');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('rules', (table) => {
+    table.dropColumn('key_prefix');
+    table.dropColumn('key_suffix');
+  });
+  await knex.raw(formatAlterTableEnumSql('rules', 'type', ruleTypes));
+};
@@ -0,0 +1,38 @@
+import { Knex } from 'knex';
+
+const ruleTypes = ['onetime', 'scheduled', 'sns', 'kinesis', 'sqs', 's3'];
+
+const formatAlterTableEnumSql = (
+  tableName: string,
+  columnName: string,
+  enums: Array<string>
+) => {
+  const constraintName = `${tableName}_${columnName}_check`;
+  return [
+    `ALTER TABLE ${tableName}`,
+    `DROP CONSTRAINT IF EXISTS ${constraintName};`,
+    `ALTER TABLE ${tableName} ADD CONSTRAINT ${constraintName} CHECK (${columnName} = ANY (ARRAY['${enums.join(
+      "'::text, '"
+    )}'::text]));`,
+  ].join('\n');
+};
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.raw(formatAlterTableEnumSql('rules', 'type', [...ruleTypes, 'http']));
+  await knex.schema.table('rules', (table) => {
+    table
+      .enum('auth_type', ['hmac', 'secret'])
+      .comment('For http rules: how the requests triggering the rule are authenticated');
+    table
+      .jsonb('payload_schema')
+      .comment('For http rules: JSON schema of the bodies of the requests triggering the rule');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('rules', (table) => {
+    table.dropColumn('auth_type');
+    table.dropColumn('payload_schema');
+  });
+  await knex.raw(formatAlterTableEnumSql('rules', 'type', ruleTypes));
+};
@@ -0,0 +1,15 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('rules', (table) => {
+    table
+      .text('filter_expression')
+      .comment('For sns, kinesis and sqs rules: JMESPath expression selecting the messages triggering the rule');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('rules', (table) => {
+    table.dropColumn('filter_expression');
+  });
+};
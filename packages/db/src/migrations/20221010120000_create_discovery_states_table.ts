@@ -0,0 +1,45 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> =>
+  await knex.schema.createTable('discovery_states', (table) => {
+    table
+      .increments('cumulus_id')
+      .primary();
+    table
+      .integer('collection_cumulus_id')
+      .comment('Collection the discovery state belongs to')
+      .notNullable();
+    table.foreign('collection_cumulus_id')
+      .references('cumulus_id')
+      .inTable('collections')
+      .onDelete('CASCADE');
+    table
+      .integer('provider_cumulus_id')
+      .comment('Provider the discovery state belongs to')
+      .notNullable();
+    table.foreign('provider_cumulus_id')
+      .references('cumulus_id')
+      .inTable('providers')
+      .onDelete('CASCADE');
+    table
+      .text('provider_path')
+      .comment('Provider path listed by the discovery')
+      .notNullable();
+    table
+      .text('rule_name')
+      .comment('Name of the rule running the discovery, empty if the state is shared by rules')
+      .defaultTo('')
+      .notNullable();
+    table
+      .timestamp('last_modified_at')
+      .comment('Latest modification time of the files seen by the discovery');
+    table
+      .jsonb('checkpoints')
+      .comment('Latest modification time of the files seen by the discovery, by listed directory');
+    table
+      .timestamps(false, true);
+    table.unique(['collection_cumulus_id', 'provider_cumulus_id', 'provider_path', 'rule_name']);
+  });
+
+export const down = async (knex: Knex): Promise<void> => await knex.schema
+  .dropTableIfExists('discovery_states');
@@ -0,0 +1,15 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('providers', (table) => {
+    table
+      .jsonb('http_listing')
+      .comment('For http and https providers: listing mode (html, json, stac or manifest), index file and checksum type used to list provider paths');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('providers', (table) => {
+    table.dropColumn('http_listing');
+  });
+};
@@ -0,0 +1,15 @@
+import { Knex } from 'knex';
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('providers', (table) => {
+    table
+      .jsonb('http_auth')
+      .comment('For http and https providers: authentication type (basic, bearer, edl or certificate) and Secrets Manager secret of its credentials');
+  });
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.schema.table('providers', (table) => {
+    table.dropColumn('http_auth');
+  });
+};
@@ -0,0 +1,26 @@
+import { Knex } from 'knex';
+
+const protocols = ['http', 'https', 'ftp', 'sftp', 's3'];
+
+const formatAlterTableEnumSql = (
+  tableName: string,
+  columnName: string,
+  enums: Array<string>
+) => {
+  const constraintName = `${tableName}_${columnName}_check`;
+  return [
+    `ALTER TABLE ${tableName}`,
+    `DROP CONSTRAINT IF EXISTS ${constraintName};`,
+    `ALTER TABLE ${tableName} ADD CONSTRAINT ${constraintName} CHECK (${columnName} = ANY (ARRAY['${enums.join(
+      "'::text, '"
+    )}'::text]));`,
+  ].join('\n');
+};
+
+export const up = async (knex: Knex): Promise<void> => {
+  await knex.raw(formatAlterTableEnumSql('providers', 'protocol', [...protocols, 'ftps']));
+};
+
+export const down = async (knex: Knex): Promise<void> => {
+  await knex.raw(formatAlterTableEnumSql('providers', 'protocol', protocols));
+};
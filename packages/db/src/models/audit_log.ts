@@ -0,0 +1,17 @@
+import { BasePgModel } from './base';
+import { TableNames } from '../tables';
+
+import {
+  PostgresAuditLogEntry,
+  PostgresAuditLogEntryRecord,
+} from '../types/audit_log';
+
+class AuditLogPgModel extends BasePgModel<PostgresAuditLogEntry, PostgresAuditLogEntryRecord> {
+  constructor() {
+    super({
+      tableName: TableNames.auditLog,
+    });
+  }
+}
+
+export { AuditLogPgModel };
@@ -0,0 +1,39 @@
+import { Knex } from 'knex';
+
+import { BasePgModel } from './base';
+import { TableNames } from '../tables';
+
+import {
+  PostgresDiscoveryState,
+  PostgresDiscoveryStateRecord,
+} from '../types/discovery_state';
+
+class DiscoveryStatePgModel
+  extends BasePgModel<PostgresDiscoveryState, PostgresDiscoveryStateRecord> {
+  constructor() {
+    super({
+      tableName: TableNames.discoveryStates,
+    });
+  }
+
+  /**
+   * Create or replace the discovery state of a collection, provider, provider
+   * path and rule
+   *
+   * @param {Knex | Knex.Transaction} knexOrTrx - DB client or transaction
+   * @param {PostgresDiscoveryState} discoveryState - discovery state
+   * @returns {Promise<PostgresDiscoveryStateRecord[]>} the upserted record
+   */
+  async upsert(
+    knexOrTrx: Knex | Knex.Transaction,
+    discoveryState: PostgresDiscoveryState
+  ): Promise<PostgresDiscoveryStateRecord[]> {
+    return await knexOrTrx(this.tableName)
+      .insert(discoveryState)
+      .onConflict(['collection_cumulus_id', 'provider_cumulus_id', 'provider_path', 'rule_name'])
+      .merge({ ...discoveryState, updated_at: new Date() })
+      .returning('*');
+  }
+}
+
+export { DiscoveryStatePgModel };
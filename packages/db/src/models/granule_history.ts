@@ -0,0 +1,18 @@
+import { BasePgModel } from './base';
+import { TableNames } from '../tables';
+
+import {
+  PostgresGranuleHistoryEntry,
+  PostgresGranuleHistoryEntryRecord,
+} from '../types/granule_history';
+
+class GranuleHistoryPgModel
+  extends BasePgModel<PostgresGranuleHistoryEntry, PostgresGranuleHistoryEntryRecord> {
+  constructor() {
+    super({
+      tableName: TableNames.granuleHistory,
+    });
+  }
+}
+
+export { GranuleHistoryPgModel };
@@ -0,0 +1,55 @@
+import { Knex } from 'knex';
+
+import { BasePgModel } from './base';
+import { TableNames } from '../tables';
+
+import {
+  PostgresRoleAssignment,
+  PostgresRoleAssignmentRecord,
+} from '../types/role_assignment';
+
+class RoleAssignmentPgModel extends BasePgModel<
+PostgresRoleAssignment,
+PostgresRoleAssignmentRecord
+> {
+  constructor() {
+    super({
+      tableName: TableNames.roleAssignments,
+    });
+  }
+
+  /**
+   * Create a role assignment, or update the role of the existing assignment
+   * for the same user and scope
+   *
+   * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+   * @param {PostgresRoleAssignment} roleAssignment - role assignment to write
+   * @returns {Promise<PostgresRoleAssignmentRecord[]>} the written record
+   */
+  async upsert(
+    knexOrTransaction: Knex | Knex.Transaction,
+    roleAssignment: PostgresRoleAssignment
+  ): Promise<PostgresRoleAssignmentRecord[]> {
+    /* eslint-disable unicorn/no-null */
+    const existingRecords = await this.search(knexOrTransaction, {
+      username: roleAssignment.username,
+      collection_cumulus_id: roleAssignment.collection_cumulus_id ?? null,
+      provider_cumulus_id: roleAssignment.provider_cumulus_id ?? null,
+    });
+    /* eslint-enable unicorn/no-null */
+    if (existingRecords.length === 0) {
+      return <PostgresRoleAssignmentRecord[]>(
+        await this.create(knexOrTransaction, roleAssignment, '*')
+      );
+    }
+    return await knexOrTransaction(this.tableName)
+      .where({ cumulus_id: existingRecords[0].cumulus_id })
+      .update({
+        role: roleAssignment.role,
+        updated_at: roleAssignment.updated_at ?? new Date(),
+      })
+      .returning('*');
+  }
+}
+
+export { RoleAssignmentPgModel };
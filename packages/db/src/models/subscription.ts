@@ -0,0 +1,17 @@
+import { BasePgModel } from './base';
+import { TableNames } from '../tables';
+
+import {
+  PostgresSubscription,
+  PostgresSubscriptionRecord,
+} from '../types/subscription';
+
+class SubscriptionPgModel extends BasePgModel<PostgresSubscription, PostgresSubscriptionRecord> {
+  constructor() {
+    super({
+      tableName: TableNames.subscriptions,
+    });
+  }
+}
+
+export { SubscriptionPgModel };
@@ -0,0 +1,132 @@
+import { Knex } from 'knex';
+
+import { BasePgModel } from './base';
+import { TableNames } from '../tables';
+
+import {
+  PostgresSubscriptionDelivery,
+  PostgresSubscriptionDeliveryAttempt,
+  PostgresSubscriptionDeliveryRecord,
+  PostgresSubscriptionDeliveryStatus,
+} from '../types/subscription_delivery';
+
+class SubscriptionDeliveryPgModel
+  extends BasePgModel<PostgresSubscriptionDelivery, PostgresSubscriptionDeliveryRecord> {
+  constructor() {
+    super({
+      tableName: TableNames.subscriptionDeliveries,
+    });
+  }
+
+  /**
+   * Claim the pending deliveries that are due for their next attempt, oldest
+   * first. Claiming a delivery moves its next attempt to the end of the
+   * lease, in the same statement that selects it, so that concurrent callers
+   * claim different deliveries. A delivery whose attempt is not recorded
+   * before its lease expires is claimed again.
+   *
+   * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+   * @param {Object} [params]
+   * @param {Date} [params.now] - current time
+   * @param {number} [params.limit] - maximum number of deliveries to claim
+   * @param {number} [params.leaseMs] - time the deliveries are claimed for, in
+   *   milliseconds
+   * @returns {Promise<PostgresSubscriptionDeliveryRecord[]>} the claimed deliveries
+   */
+  async claimDueDeliveries(
+    knexOrTransaction: Knex | Knex.Transaction,
+    {
+      now = new Date(),
+      limit = 100,
+      leaseMs = 10 * 60 * 1000,
+    }: { now?: Date, limit?: number, leaseMs?: number } = {}
+  ): Promise<PostgresSubscriptionDeliveryRecord[]> {
+    const dueDeliveries = knexOrTransaction(this.tableName)
+      .select('cumulus_id')
+      .where({ status: 'pending' })
+      .where('next_attempt_at', '<=', now)
+      .orderBy(['next_attempt_at', 'cumulus_id'])
+      .limit(limit)
+      .forUpdate()
+      .skipLocked();
+    const claimed: PostgresSubscriptionDeliveryRecord[] = await knexOrTransaction(this.tableName)
+      .whereIn('cumulus_id', dueDeliveries)
+      .update({
+        next_attempt_at: new Date(now.getTime() + leaseMs),
+        updated_at: new Date(),
+      })
+      .returning('*');
+    return claimed.sort((a, b) => a.cumulus_id - b.cumulus_id);
+  }
+
+  /**
+   * Get the deliveries of a subscription, newest first
+   *
+   * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+   * @param {number} subscriptionCumulusId - cumulus_id of the subscription
+   * @param {Object} [params]
+   * @param {PostgresSubscriptionDeliveryStatus} [params.status] - only get
+   *   deliveries with this status
+   * @param {number} [params.limit] - maximum number of deliveries to get
+   * @returns {Promise<PostgresSubscriptionDeliveryRecord[]>} the deliveries
+   */
+  async listDeliveries(
+    knexOrTransaction: Knex | Knex.Transaction,
+    subscriptionCumulusId: number,
+    {
+      status,
+      limit = 100,
+    }: { status?: PostgresSubscriptionDeliveryStatus, limit?: number } = {}
+  ): Promise<PostgresSubscriptionDeliveryRecord[]> {
+    const query = knexOrTransaction(this.tableName)
+      .where({ subscription_cumulus_id: subscriptionCumulusId })
+      .orderBy([
+        { column: 'created_at', order: 'desc' },
+        { column: 'cumulus_id', order: 'desc' },
+      ])
+      .limit(limit);
+    if (status) {
+      query.where({ status });
+    }
+    return await query;
+  }
+
+  /**
+   * Record an attempt of a delivery and the resulting status of the delivery
+   *
+   * @param {Knex | Knex.Transaction} knexOrTransaction - DB client or transaction
+   * @param {number} cumulusId - cumulus_id of the delivery
+   * @param {Object} params
+   * @param {PostgresSubscriptionDeliveryAttempt} params.attempt - the attempt
+   * @param {PostgresSubscriptionDeliveryStatus} params.status - the status of
+   *   the delivery after the attempt
+   * @param {Date | null} params.nextAttemptAt - time of the next attempt, if
+   *   the delivery is still pending
+   * @returns {Promise<PostgresSubscriptionDeliveryRecord[]>} the updated delivery
+   */
+  async recordAttempt(
+    knexOrTransaction: Knex | Knex.Transaction,
+    cumulusId: number,
+    {
+      attempt,
+      status,
+      nextAttemptAt,
+    }: {
+      attempt: PostgresSubscriptionDeliveryAttempt,
+      status: PostgresSubscriptionDeliveryStatus,
+      nextAttemptAt: Date | null,
+    }
+  ): Promise<PostgresSubscriptionDeliveryRecord[]> {
+    return await knexOrTransaction(this.tableName)
+      .where({ cumulus_id: cumulusId })
+      .update({
+        status,
+        next_attempt_at: nextAttemptAt,
+        attempts: knexOrTransaction.raw('attempts || ?::jsonb', [JSON.stringify([attempt])]),
+        updated_at: new Date(),
+      })
+      .returning('*');
+  }
+}
+
+export { SubscriptionDeliveryPgModel };
@@ -0,0 +1,32 @@
+import { Knex } from 'knex';
+import { ApiAuditLogEntry } from '@cumulus/types/api/audit_log';
+
+import { TableNames } from '../tables';
+import { translatePostgresAuditLogEntryToApiAuditLogEntry } from '../translate/audit_log';
+import { PostgresAuditLogEntryRecord } from '../types/audit_log';
+import { BaseSearch, SearchEvent } from './BaseSearch';
+
+const { auditLog } = TableNames;
+
+/**
+ * Class to search audit log entries in PostgreSQL
+ */
+class AuditLogSearch extends BaseSearch<PostgresAuditLogEntryRecord, ApiAuditLogEntry> {
+  constructor(event: SearchEvent) {
+    super(event, 'auditLog', auditLog);
+  }
+
+  protected get identifierColumn() {
+    return `${auditLog}.record_id`;
+  }
+
+  protected buildBaseQuery(knex: Knex) {
+    return knex(auditLog);
+  }
+
+  protected async translatePostgresRecordsToApiRecords(records: PostgresAuditLogEntryRecord[]) {
+    return await Promise.resolve(records.map(translatePostgresAuditLogEntryToApiAuditLogEntry));
+  }
+}
+
+export { AuditLogSearch };
@@ -0,0 +1,243 @@
+import { Knex } from 'knex';
+import pick from 'lodash/pick';
+
+import { getKnexClient } from '../connection';
+import {
+  decodeCursor,
+  encodeCursor,
+  getKeysetValues,
+  KeysetColumn,
+  KeysetValues,
+  omitKeysetValues,
+  orderByKeyset,
+  selectKeysetValues,
+  whereAfterKeyset,
+} from '../lib/keyset';
+import { TableNames } from '../tables';
+import { BaseRecord } from '../types/base';
+import { fieldMappings, FieldMapping } from './field-mapping';
+import {
+  convertQueryStringToDbQueryParameters,
+  DbQueryParameters,
+  QueryStringParameters,
+} from './queries';
+
+export type SearchType = keyof typeof fieldMappings;
+
+export interface SearchEvent {
+  queryStringParameters?: QueryStringParameters,
+}
+
+export interface SearchMeta {
+  name: string,
+  stack?: string,
+  table: string,
+  limit: number,
+  page: number,
+  count: number,
+  nextCursor: string | null,
+}
+
+export interface SearchResponse<ApiRecordType> {
+  meta: SearchMeta,
+  results: Partial<ApiRecordType>[],
+}
+
+/**
+ * Class to search records in PostgreSQL using the query string parameters
+ * supported by the Cumulus API list endpoints
+ */
+abstract class BaseSearch<RecordType extends BaseRecord, ApiRecordType> {
+  readonly type: SearchType;
+  readonly tableName: TableNames;
+  readonly fieldMapping: FieldMapping;
+  readonly dbQueryParameters: DbQueryParameters;
+  readonly keysetColumns: KeysetColumn[];
+  readonly cursorValues?: KeysetValues;
+
+  constructor(
+    event: SearchEvent,
+    type: SearchType,
+    tableName: TableNames,
+    {
+      defaultSortField = 'timestamp',
+    }: {
+      defaultSortField?: string
+    } = {}
+  ) {
+    this.type = type;
+    this.tableName = tableName;
+    this.fieldMapping = fieldMappings[type];
+    this.dbQueryParameters = convertQueryStringToDbQueryParameters({
+      fieldMapping: this.fieldMapping,
+      queryStringParameters: event.queryStringParameters || {},
+      defaultSortField,
+    });
+    // Break ties so that paging through results is deterministic
+    this.keysetColumns = [
+      ...this.dbQueryParameters.sort.map(({ field, order }) => ({ column: field.column, order })),
+      { column: `${tableName}.cumulus_id`, order: 'asc' },
+    ];
+    const { cursor } = this.dbQueryParameters;
+    if (cursor) {
+      this.cursorValues = decodeCursor(cursor, this.keysetColumns.length);
+    }
+  }
+
+  /**
+   * The column matched by the `prefix` and `infix` query string parameters
+   */
+  protected abstract get identifierColumn(): string;
+
+  /**
+   * Build the query selecting from the record table and joining any tables
+   * needed to filter on related records
+   *
+   * @param {Knex} knex - DB client
+   * @returns {Knex.QueryBuilder} the base query
+   */
+  protected abstract buildBaseQuery(knex: Knex): Knex.QueryBuilder;
+
+  /**
+   * Select the columns needed to translate the matching records to API records
+   *
+   * @param {Knex.QueryBuilder} queryBuilder - the search query
+   * @returns {Knex.QueryBuilder} the search query with its selected columns
+   */
+  protected buildSelect(queryBuilder: Knex.QueryBuilder): Knex.QueryBuilder {
+    return queryBuilder.select(`${this.tableName}.*`);
+  }
+
+  /**
+   * Translate PostgreSQL records to API records
+   *
+   * @param {RecordType[]} records - PostgreSQL records
+   * @param {Knex} knex - DB client
+   * @returns {Promise<ApiRecordType[]>} the API records
+   */
+  protected abstract translatePostgresRecordsToApiRecords(
+    records: RecordType[],
+    knex: Knex
+  ): Promise<ApiRecordType[]>;
+
+  /**
+   * Add the filters from the query string parameters to a query
+   *
+   * @param {Knex.QueryBuilder} queryBuilder - the query to filter
+   * @returns {Knex.QueryBuilder} the filtered query
+   */
+  protected buildFilters(queryBuilder: Knex.QueryBuilder): Knex.QueryBuilder {
+    const {
+      term,
+      terms,
+      not,
+      exists,
+      range,
+      prefix,
+      infix,
+    } = this.dbQueryParameters;
+
+    term.forEach(({ field, value }) => {
+      queryBuilder.whereRaw(`${field.column} = ?`, [value]);
+    });
+    terms.forEach(({ field, values }) => {
+      queryBuilder.whereRaw(
+        `${field.column} IN (${values.map(() => '?').join(',')})`,
+        values
+      );
+    });
+    not.forEach(({ field, value }) => {
+      queryBuilder.whereRaw(`${field.column} IS DISTINCT FROM ?`, [value]);
+    });
+    exists.forEach(({ field, exists: fieldExists }) => {
+      queryBuilder.whereRaw(`${field.column} IS ${fieldExists ? 'NOT ' : ''}NULL`);
+    });
+    range.forEach(({ field, from, to }) => {
+      if (from !== undefined) queryBuilder.whereRaw(`${field.column} >= ?`, [from]);
+      if (to !== undefined) queryBuilder.whereRaw(`${field.column} <= ?`, [to]);
+    });
+    if (prefix) {
+      queryBuilder.where(this.identifierColumn, 'LIKE', `${prefix}%`);
+    }
+    if (infix) {
+      queryBuilder.where(this.identifierColumn, 'LIKE', `%${infix}%`);
+    }
+
+    return queryBuilder;
+  }
+
+  /**
+   * Build the queries for a page of matching records and for the total count
+   * of matching records.
+   *
+   * If a cursor was requested, the page of records follows the record the
+   * cursor was returned for. Otherwise the page is selected by offset. One
+   * record more than the limit is fetched to determine if there is a next page.
+   *
+   * @param {Knex} knex - DB client
+   * @returns {{ countQuery: Knex.QueryBuilder, searchQuery: Knex.QueryBuilder }}
+   *   the count and search queries
+   */
+  buildSearchQueries(knex: Knex) {
+    const { limit, offset } = this.dbQueryParameters;
+    const filteredQuery = this.buildFilters(this.buildBaseQuery(knex));
+
+    const countQuery = filteredQuery.clone().count('* as count');
+
+    const searchQuery = this.buildSelect(filteredQuery.clone())
+      .modify((queryBuilder) => {
+        selectKeysetValues(queryBuilder, this.keysetColumns);
+        orderByKeyset(queryBuilder, this.keysetColumns);
+        if (this.cursorValues) {
+          whereAfterKeyset(queryBuilder, this.keysetColumns, this.cursorValues);
+        } else {
+          queryBuilder.offset(offset);
+        }
+      })
+      .limit(limit + 1);
+
+    return { countQuery, searchQuery };
+  }
+
+  /**
+   * Search PostgreSQL for the records matching the query string parameters
+   *
+   * @param {Knex} [testKnex] - DB client to use, only used for testing
+   * @returns {Promise<SearchResponse<ApiRecordType>>} the search metadata and
+   *   the matching page of API records
+   */
+  async query(testKnex?: Knex): Promise<SearchResponse<ApiRecordType>> {
+    const knex = testKnex ?? await getKnexClient();
+    const { countQuery, searchQuery } = this.buildSearchQueries(knex);
+    const { limit, page, fields } = this.dbQueryParameters;
+
+    const [countResult, results] = await Promise.all([countQuery, searchQuery]);
+    const records = results.slice(0, limit);
+    const lastRecord = records[records.length - 1];
+    const nextCursor = results.length > limit
+      ? encodeCursor(getKeysetValues(lastRecord, this.keysetColumns))
+      : null;
+
+    const apiRecords = await this.translatePostgresRecordsToApiRecords(
+      records.map((record: RecordType) => omitKeysetValues(record, this.keysetColumns)),
+      knex
+    );
+
+    return {
+      meta: {
+        name: 'cumulus-api',
+        stack: process.env.stackName,
+        table: this.type,
+        limit,
+        page,
+        count: Number(countResult[0].count),
+        nextCursor,
+      },
+      results: fields
+        ? apiRecords.map((record) => pick(record, fields))
+        : apiRecords,
+    };
+  }
+}
+
+export { BaseSearch };
@@ -0,0 +1,32 @@
+import { Knex } from 'knex';
+import { CollectionRecord } from '@cumulus/types/api/collections';
+
+import { TableNames } from '../tables';
+import { translatePostgresCollectionToApiCollection } from '../translate/collections';
+import { PostgresCollectionRecord } from '../types/collection';
+import { BaseSearch, SearchEvent } from './BaseSearch';
+
+const { collections } = TableNames;
+
+/**
+ * Class to search collections in PostgreSQL
+ */
+class CollectionSearch extends BaseSearch<PostgresCollectionRecord, CollectionRecord> {
+  constructor(event: SearchEvent) {
+    super(event, 'collection', collections, { defaultSortField: 'updatedAt' });
+  }
+
+  protected get identifierColumn() {
+    return `${collections}.name`;
+  }
+
+  protected buildBaseQuery(knex: Knex) {
+    return knex(collections);
+  }
+
+  protected async translatePostgresRecordsToApiRecords(records: PostgresCollectionRecord[]) {
+    return await Promise.resolve(records.map(translatePostgresCollectionToApiCollection));
+  }
+}
+
+export { CollectionSearch };
@@ -0,0 +1,49 @@
+import { Knex } from 'knex';
+import { ExecutionRecord } from '@cumulus/types/api/executions';
+
+import { TableNames } from '../tables';
+import { translatePostgresExecutionToApiExecution } from '../translate/executions';
+import { PostgresExecutionRecord } from '../types/execution';
+import { BaseSearch, SearchEvent } from './BaseSearch';
+import { parentExecutionsAlias } from './field-mapping';
+
+const {
+  asyncOperations,
+  collections,
+  executions,
+} = TableNames;
+
+/**
+ * Class to search executions in PostgreSQL
+ */
+class ExecutionSearch extends BaseSearch<PostgresExecutionRecord, ExecutionRecord> {
+  constructor(event: SearchEvent) {
+    super(event, 'execution', executions);
+  }
+
+  protected get identifierColumn() {
+    return `${executions}.arn`;
+  }
+
+  protected buildBaseQuery(knex: Knex) {
+    return knex(executions)
+      .leftJoin(collections, `${executions}.collection_cumulus_id`, `${collections}.cumulus_id`)
+      .leftJoin(asyncOperations, `${executions}.async_operation_cumulus_id`, `${asyncOperations}.cumulus_id`)
+      .leftJoin(
+        `${executions} as ${parentExecutionsAlias}`,
+        `${executions}.parent_cumulus_id`,
+        `${parentExecutionsAlias}.cumulus_id`
+      );
+  }
+
+  protected async translatePostgresRecordsToApiRecords(
+    records: PostgresExecutionRecord[],
+    knex: Knex
+  ) {
+    return await Promise.all(records.map(
+      (record) => translatePostgresExecutionToApiExecution(record, knex)
+    ));
+  }
+}
+
+export { ExecutionSearch };
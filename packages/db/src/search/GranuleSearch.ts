@@ -0,0 +1,54 @@
+import { Knex } from 'knex';
+import { ApiGranule } from '@cumulus/types/api/granules';
+
+import { TableNames } from '../tables';
+import { translatePostgresGranuleResultToApiGranule } from '../translate/granules';
+import { GranuleWithProviderAndCollectionInfo } from '../types/query';
+import { BaseSearch, SearchEvent } from './BaseSearch';
+
+const {
+  collections,
+  granules,
+  pdrs,
+  providers,
+} = TableNames;
+
+/**
+ * Class to search granules in PostgreSQL
+ */
+class GranuleSearch extends BaseSearch<GranuleWithProviderAndCollectionInfo, ApiGranule> {
+  constructor(event: SearchEvent) {
+    super(event, 'granule', granules);
+  }
+
+  protected get identifierColumn() {
+    return `${granules}.granule_id`;
+  }
+
+  protected buildBaseQuery(knex: Knex) {
+    return knex(granules)
+      .innerJoin(collections, `${granules}.collection_cumulus_id`, `${collections}.cumulus_id`)
+      .leftJoin(providers, `${granules}.provider_cumulus_id`, `${providers}.cumulus_id`)
+      .leftJoin(pdrs, `${granules}.pdr_cumulus_id`, `${pdrs}.cumulus_id`);
+  }
+
+  protected buildSelect(queryBuilder: Knex.QueryBuilder) {
+    return super.buildSelect(queryBuilder)
+      .select({
+        providerName: `${providers}.name`,
+        collectionName: `${collections}.name`,
+        collectionVersion: `${collections}.version`,
+      });
+  }
+
+  protected async translatePostgresRecordsToApiRecords(
+    records: GranuleWithProviderAndCollectionInfo[],
+    knex: Knex
+  ) {
+    return await Promise.all(records.map(
+      (record) => translatePostgresGranuleResultToApiGranule(knex, record)
+    ));
+  }
+}
+
+export { GranuleSearch };
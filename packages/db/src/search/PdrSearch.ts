@@ -0,0 +1,45 @@
+import { Knex } from 'knex';
+import { ApiPdr } from '@cumulus/types/api/pdrs';
+
+import { TableNames } from '../tables';
+import { translatePostgresPdrToApiPdr } from '../translate/pdr';
+import { PostgresPdrRecord } from '../types/pdr';
+import { BaseSearch, SearchEvent } from './BaseSearch';
+
+const {
+  collections,
+  executions,
+  pdrs,
+  providers,
+} = TableNames;
+
+/**
+ * Class to search PDRs in PostgreSQL
+ */
+class PdrSearch extends BaseSearch<PostgresPdrRecord, ApiPdr> {
+  constructor(event: SearchEvent) {
+    super(event, 'pdr', pdrs);
+  }
+
+  protected get identifierColumn() {
+    return `${pdrs}.name`;
+  }
+
+  protected buildBaseQuery(knex: Knex) {
+    return knex(pdrs)
+      .innerJoin(collections, `${pdrs}.collection_cumulus_id`, `${collections}.cumulus_id`)
+      .innerJoin(providers, `${pdrs}.provider_cumulus_id`, `${providers}.cumulus_id`)
+      .leftJoin(executions, `${pdrs}.execution_cumulus_id`, `${executions}.cumulus_id`);
+  }
+
+  protected async translatePostgresRecordsToApiRecords(
+    records: PostgresPdrRecord[],
+    knex: Knex
+  ) {
+    return await Promise.all(records.map(
+      (record) => translatePostgresPdrToApiPdr(record, knex)
+    ));
+  }
+}
+
+export { PdrSearch };
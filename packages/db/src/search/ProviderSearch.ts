@@ -0,0 +1,32 @@
+import { Knex } from 'knex';
+import { ApiProvider } from '@cumulus/types/api/providers';
+
+import { TableNames } from '../tables';
+import { translatePostgresProviderToApiProvider } from '../translate/providers';
+import { PostgresProviderRecord } from '../types/provider';
+import { BaseSearch, SearchEvent } from './BaseSearch';
+
+const { providers } = TableNames;
+
+/**
+ * Class to search providers in PostgreSQL
+ */
+class ProviderSearch extends BaseSearch<PostgresProviderRecord, ApiProvider> {
+  constructor(event: SearchEvent) {
+    super(event, 'provider', providers, { defaultSortField: 'updatedAt' });
+  }
+
+  protected get identifierColumn() {
+    return `${providers}.name`;
+  }
+
+  protected buildBaseQuery(knex: Knex) {
+    return knex(providers);
+  }
+
+  protected async translatePostgresRecordsToApiRecords(records: PostgresProviderRecord[]) {
+    return await Promise.resolve(records.map(translatePostgresProviderToApiProvider));
+  }
+}
+
+export { ProviderSearch };
@@ -0,0 +1,43 @@
+import { Knex } from 'knex';
+import { RuleRecord } from '@cumulus/types/api/rules';
+
+import { TableNames } from '../tables';
+import { translatePostgresRuleToApiRule } from '../translate/rules';
+import { PostgresRuleRecord } from '../types/rule';
+import { BaseSearch, SearchEvent } from './BaseSearch';
+
+const {
+  collections,
+  providers,
+  rules,
+} = TableNames;
+
+/**
+ * Class to search rules in PostgreSQL
+ */
+class RuleSearch extends BaseSearch<PostgresRuleRecord, RuleRecord> {
+  constructor(event: SearchEvent) {
+    super(event, 'rule', rules, { defaultSortField: 'updatedAt' });
+  }
+
+  protected get identifierColumn() {
+    return `${rules}.name`;
+  }
+
+  protected buildBaseQuery(knex: Knex) {
+    return knex(rules)
+      .leftJoin(collections, `${rules}.collection_cumulus_id`, `${collections}.cumulus_id`)
+      .leftJoin(providers, `${rules}.provider_cumulus_id`, `${providers}.cumulus_id`);
+  }
+
+  protected async translatePostgresRecordsToApiRecords(
+    records: PostgresRuleRecord[],
+    knex: Knex
+  ) {
+    return await Promise.all(records.map(
+      (record) => translatePostgresRuleToApiRule(record, knex)
+    ));
+  }
+}
+
+export { RuleSearch };
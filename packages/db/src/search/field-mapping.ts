@@ -0,0 +1,183 @@
+import { Knex } from 'knex';
+
+import { collectionIdSeparator } from '@cumulus/message/Collections';
+
+import { TableNames } from '../tables';
+
+export type SearchFieldType = 'string' | 'number' | 'boolean' | 'date';
+
+/**
+ * Describes how an API record field maps to a PostgreSQL column or expression
+ */
+export interface SearchField {
+  // SQL expression for the field. This is never built from user input.
+  column: string,
+  type?: SearchFieldType,
+  // Converts a query string value to the value stored in PostgreSQL
+  convert?: (value: string) => Knex.Value,
+}
+
+export type FieldMapping = { [apiField: string]: SearchField };
+
+const {
+  asyncOperations,
+  auditLog,
+  collections,
+  executions,
+  granules,
+  pdrs,
+  providers,
+  rules,
+} = TableNames;
+
+export const parentExecutionsAlias = 'parent_executions';
+
+const collectionIdColumn = `(${collections}.name || '${collectionIdSeparator}' || ${collections}.version)`;
+
+const timestampFields = (tableName: string, { timestamp = true } = {}): FieldMapping => ({
+  createdAt: { column: `${tableName}.created_at`, type: 'date' },
+  updatedAt: { column: `${tableName}.updated_at`, type: 'date' },
+  ...(timestamp ? { timestamp: { column: `${tableName}.timestamp`, type: 'date' } } : {}),
+});
+
+const granuleFields: FieldMapping = {
+  ...timestampFields(granules),
+  granuleId: { column: `${granules}.granule_id` },
+  status: { column: `${granules}.status` },
+  cmrLink: { column: `${granules}.cmr_link` },
+  published: { column: `${granules}.published`, type: 'boolean' },
+  duration: { column: `${granules}.duration`, type: 'number' },
+  productVolume: { column: `${granules}.product_volume`, type: 'number' },
+  timeToPreprocess: { column: `${granules}.time_to_process`, type: 'number' },
+  timeToArchive: { column: `${granules}.time_to_archive`, type: 'number' },
+  beginningDateTime: { column: `${granules}.beginning_date_time`, type: 'date' },
+  endingDateTime: { column: `${granules}.ending_date_time`, type: 'date' },
+  productionDateTime: { column: `${granules}.production_date_time`, type: 'date' },
+  lastUpdateDateTime: { column: `${granules}.last_update_date_time`, type: 'date' },
+  processingStartDateTime: { column: `${granules}.processing_start_date_time`, type: 'date' },
+  processingEndDateTime: { column: `${granules}.processing_end_date_time`, type: 'date' },
+  'error.Error': { column: `${granules}.error->>'Error'` },
+  collectionId: { column: collectionIdColumn },
+  provider: { column: `${providers}.name` },
+  pdrName: { column: `${pdrs}.name` },
+};
+
+const executionFields: FieldMapping = {
+  ...timestampFields(executions),
+  arn: { column: `${executions}.arn` },
+  // The execution name is the last segment of the execution ARN
+  name: { column: `split_part(${executions}.arn, ':', 8)` },
+  status: { column: `${executions}.status` },
+  type: { column: `${executions}.workflow_name` },
+  execution: { column: `${executions}.url` },
+  duration: { column: `${executions}.duration`, type: 'number' },
+  cumulusVersion: { column: `${executions}.cumulus_version` },
+  'error.Error': { column: `${executions}.error->>'Error'` },
+  collectionId: { column: collectionIdColumn },
+  asyncOperationId: { column: `${asyncOperations}.id` },
+  parentArn: { column: `${parentExecutionsAlias}.arn` },
+};
+
+const collectionFields: FieldMapping = {
+  ...timestampFields(collections, { timestamp: false }),
+  name: { column: `${collections}.name` },
+  version: { column: `${collections}.version` },
+  process: { column: `${collections}.process` },
+  duplicateHandling: { column: `${collections}.duplicate_handling` },
+  reportToEms: { column: `${collections}.report_to_ems`, type: 'boolean' },
+  sampleFileName: { column: `${collections}.sample_file_name` },
+  url_path: { column: `${collections}.url_path` },
+  granuleId: { column: `${collections}.granule_id_validation_regex` },
+  granuleIdExtraction: { column: `${collections}.granule_id_extraction_regex` },
+};
+
+const providerFields: FieldMapping = {
+  ...timestampFields(providers, { timestamp: false }),
+  id: { column: `${providers}.name` },
+  protocol: { column: `${providers}.protocol` },
+  host: { column: `${providers}.host` },
+  port: { column: `${providers}.port`, type: 'number' },
+  globalConnectionLimit: { column: `${providers}.global_connection_limit`, type: 'number' },
+};
+
+const ruleFields: FieldMapping = {
+  ...timestampFields(rules, { timestamp: false }),
+  name: { column: `${rules}.name` },
+  workflow: { column: `${rules}.workflow` },
+  state: {
+    column: `${rules}.enabled`,
+    convert: (value: string) => value === 'ENABLED',
+  },
+  'rule.type': { column: `${rules}.type` },
+  'rule.value': { column: `${rules}.value` },
+  'rule.arn': { column: `${rules}.arn` },
+  'rule.logEventArn': { column: `${rules}.log_event_arn` },
+  executionNamePrefix: { column: `${rules}.execution_name_prefix` },
+  queueUrl: { column: `${rules}.queue_url` },
+  provider: { column: `${providers}.name` },
+  'collection.name': { column: `${collections}.name` },
+  'collection.version': { column: `${collections}.version` },
+};
+
+const pdrFields: FieldMapping = {
+  ...timestampFields(pdrs),
+  pdrName: { column: `${pdrs}.name` },
+  status: { column: `${pdrs}.status` },
+  progress: { column: `${pdrs}.progress`, type: 'number' },
+  PANSent: { column: `${pdrs}.pan_sent`, type: 'boolean' },
+  PANmessage: { column: `${pdrs}.pan_message` },
+  address: { column: `${pdrs}.address` },
+  originalUrl: { column: `${pdrs}.original_url` },
+  duration: { column: `${pdrs}.duration`, type: 'number' },
+  execution: { column: `${executions}.url` },
+  collectionId: { column: collectionIdColumn },
+  provider: { column: `${providers}.name` },
+};
+
+const auditLogFields: FieldMapping = {
+  ...timestampFields(auditLog, { timestamp: false }),
+  // Audit log entries are not updated, so their timestamp is their creation time
+  timestamp: { column: `${auditLog}.created_at`, type: 'date' },
+  username: { column: `${auditLog}.username` },
+  method: { column: `${auditLog}.method` },
+  route: { column: `${auditLog}.route` },
+  recordType: { column: `${auditLog}.record_type` },
+  recordId: { column: `${auditLog}.record_id` },
+  statusCode: { column: `${auditLog}.status_code`, type: 'number' },
+  outcome: { column: `${auditLog}.outcome` },
+};
+
+export const fieldMappings = {
+  auditLog: auditLogFields,
+  collection: collectionFields,
+  execution: executionFields,
+  granule: granuleFields,
+  pdr: pdrFields,
+  provider: providerFields,
+  rule: ruleFields,
+};
+
+/**
+ * Convert a query string value to the type of a search field
+ *
+ * Dates may be given either as milliseconds since the epoch, as used by the
+ * API `createdAt`, `updatedAt` and `timestamp` fields, or as date strings.
+ *
+ * @param {SearchField} field - the search field
+ * @param {string} value - the query string value
+ * @returns {Knex.Value} the converted value
+ */
+export const convertFieldValue = (field: SearchField, value: string): Knex.Value => {
+  if (field.convert) return field.convert(value);
+
+  switch (field.type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === 'true';
+    case 'date':
+      return /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    default:
+      return value;
+  }
+};
@@ -0,0 +1,234 @@
+import { Knex } from 'knex';
+import omit from 'lodash/omit';
+
+import { ValidationError } from '@cumulus/errors';
+
+import { SortOrder } from '../lib/keyset';
+import { convertFieldValue, FieldMapping, SearchField } from './field-mapping';
+
+export type QueryStringParameters = {
+  [key: string]: string | string[] | undefined
+};
+
+export interface SortField {
+  field: SearchField,
+  order: SortOrder,
+}
+
+export interface FieldCondition {
+  field: SearchField,
+  value: Knex.Value,
+}
+
+export interface FieldValuesCondition {
+  field: SearchField,
+  values: Knex.Value[],
+}
+
+export interface RangeCondition {
+  field: SearchField,
+  from?: Knex.Value,
+  to?: Knex.Value,
+}
+
+export interface ExistsCondition {
+  field: SearchField,
+  exists: boolean,
+}
+
+export interface DbQueryParameters {
+  limit: number,
+  page: number,
+  offset: number,
+  cursor?: string,
+  fields?: string[],
+  sort: SortField[],
+  term: FieldCondition[],
+  terms: FieldValuesCondition[],
+  not: FieldCondition[],
+  exists: ExistsCondition[],
+  range: RangeCondition[],
+  prefix?: string,
+  infix?: string,
+}
+
+// These match the query string conventions supported by
+// @cumulus/es-client/queries
+const regexes = {
+  terms: /^(.*)__in$/,
+  not: /^(.*)__not$/,
+  exists: /^(.*)__exists$/,
+  range: /^(.*)__(from|to)$/,
+};
+
+const reservedParameters = [
+  'limit',
+  'page',
+  'cursor',
+  'skip',
+  'sort_by',
+  'sort_key',
+  'order',
+  'prefix',
+  'infix',
+  'fields',
+];
+
+const defaultLimit = 10;
+
+const toArray = (value: string | string[]) => [value].flat();
+
+const getSearchField = (
+  fieldMapping: FieldMapping,
+  apiField: string
+): SearchField => {
+  const field = fieldMapping[apiField];
+  if (!field) {
+    throw new ValidationError(`Searching by field ${apiField} is not supported`);
+  }
+  return field;
+};
+
+const splitValues = (value: string | string[]): string[] =>
+  toArray(value).flatMap((v) => v.split(','));
+
+const parsePositiveInteger = (
+  name: string,
+  value: string | string[] | undefined,
+  defaultValue: number
+): number => {
+  if (value === undefined || value === '') return defaultValue;
+  const parsed = /^\d+$/.test(`${value}`) ? Number(value) : Number.NaN;
+  if (!Number.isSafeInteger(parsed) || parsed < 1) {
+    throw new ValidationError(`${name} must be a positive integer, got ${value}`);
+  }
+  return parsed;
+};
+
+/**
+ * Build the sort fields from the query string parameters
+ *
+ * @param {FieldMapping} fieldMapping - search fields for the record type
+ * @param {QueryStringParameters} params - query string parameters
+ * @param {string} defaultSortField - API field to sort by if none is requested
+ * @returns {SortField[]} the sort fields
+ */
+const buildSort = (
+  fieldMapping: FieldMapping,
+  params: QueryStringParameters,
+  defaultSortField: string
+): SortField[] => {
+  const { sort_by: sortBy, order, sort_key: sortKey } = params;
+
+  if (sortBy && order) {
+    return [{
+      field: getSearchField(fieldMapping, `${sortBy}`),
+      order: order === 'asc' ? 'asc' : 'desc',
+    }];
+  }
+
+  if (sortKey) {
+    return toArray(sortKey).map((key) => ({
+      field: getSearchField(fieldMapping, key.replace(/^[+-]/, '')),
+      order: key.startsWith('-') ? 'desc' : 'asc',
+    }));
+  }
+
+  return [{ field: getSearchField(fieldMapping, defaultSortField), order: 'desc' }];
+};
+
+/**
+ * Convert API query string parameters, as supported by
+ * the es-client queries module, to parameters for a PostgreSQL search
+ *
+ * @param {Object} params
+ * @param {FieldMapping} params.fieldMapping - search fields for the record type
+ * @param {QueryStringParameters} params.queryStringParameters - query string parameters
+ * @param {string} params.defaultSortField - API field to sort by if none is requested
+ * @returns {DbQueryParameters} the PostgreSQL search parameters
+ * @throws {ValidationError} if a parameter refers to an unsupported field, or if
+ *   the limit or page is not a positive integer
+ */
+export const convertQueryStringToDbQueryParameters = ({
+  fieldMapping,
+  queryStringParameters,
+  defaultSortField,
+}: {
+  fieldMapping: FieldMapping,
+  queryStringParameters: QueryStringParameters,
+  defaultSortField: string,
+}): DbQueryParameters => {
+  const params = queryStringParameters;
+
+  if (params.q) {
+    throw new ValidationError('Free text search with the "q" parameter is not supported');
+  }
+
+  const limit = parsePositiveInteger('limit', params.limit, defaultLimit);
+  const pageParameter = params.skip ? 'skip' : 'page';
+  const page = parsePositiveInteger(pageParameter, params[pageParameter], 1);
+
+  const dbQueryParameters: DbQueryParameters = {
+    limit,
+    page,
+    offset: (page - 1) * limit,
+    cursor: params.cursor ? `${params.cursor}` : undefined,
+    fields: params.fields ? splitValues(params.fields) : undefined,
+    sort: buildSort(fieldMapping, params, defaultSortField),
+    term: [],
+    terms: [],
+    not: [],
+    exists: [],
+    range: [],
+    prefix: params.prefix ? `${params.prefix}` : undefined,
+    infix: params.infix ? `${params.infix}` : undefined,
+  };
+
+  const ranges: { [apiField: string]: RangeCondition } = {};
+
+  Object.entries(omit(params, reservedParameters)).forEach(([name, value]) => {
+    if (value === undefined) return;
+
+    let match = name.match(regexes.terms);
+    if (match) {
+      const field = getSearchField(fieldMapping, match[1]);
+      dbQueryParameters.terms.push({
+        field,
+        values: splitValues(value).map((v) => convertFieldValue(field, v)),
+      });
+      return;
+    }
+
+    match = name.match(regexes.not);
+    if (match) {
+      const field = getSearchField(fieldMapping, match[1]);
+      dbQueryParameters.not.push({ field, value: convertFieldValue(field, `${value}`) });
+      return;
+    }
+
+    match = name.match(regexes.exists);
+    if (match) {
+      dbQueryParameters.exists.push({
+        field: getSearchField(fieldMapping, match[1]),
+        exists: `${value}` === 'true',
+      });
+      return;
+    }
+
+    match = name.match(regexes.range);
+    if (match) {
+      const field = getSearchField(fieldMapping, match[1]);
+      const range = ranges[match[1]] || { field };
+      range[match[2] as 'from' | 'to'] = convertFieldValue(field, `${value}`);
+      ranges[match[1]] = range;
+      return;
+    }
+
+    const field = getSearchField(fieldMapping, name);
+    dbQueryParameters.term.push({ field, value: convertFieldValue(field, `${value}`) });
+  });
+
+  dbQueryParameters.range = Object.values(ranges);
+
+  return dbQueryParameters;
+};
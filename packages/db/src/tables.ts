@@ -1,11 +1,17 @@
 export enum TableNames {
   asyncOperations = 'async_operations',
+  auditLog = 'audit_log',
   collections = 'collections',
+  discoveryStates = 'discovery_states',
   executions = 'executions',
   files = 'files',
   granules = 'granules',
+  granuleHistory = 'granule_history',
   granulesExecutions = 'granules_executions',
   pdrs = 'pdrs',
   providers = 'providers',
-  rules = 'rules'
+  roleAssignments = 'role_assignments',
+  rules = 'rules',
+  subscriptionDeliveries = 'subscription_deliveries',
+  subscriptions = 'subscriptions'
 }
@@ -0,0 +1,42 @@
+import { removeNilProperties } from '@cumulus/common/util';
+import { ApiAuditLogEntry } from '@cumulus/types/api/audit_log';
+
+import { PostgresAuditLogEntry, PostgresAuditLogEntryRecord } from '../types/audit_log';
+
+export const translatePostgresAuditLogEntryToApiAuditLogEntry = (
+  record: PostgresAuditLogEntryRecord
+): ApiAuditLogEntry => <ApiAuditLogEntry>removeNilProperties({
+  username: record.username,
+  method: record.method,
+  route: record.route,
+  recordType: record.record_type,
+  recordId: record.record_id,
+  requestBodyDigest: record.request_body_digest,
+  before: record.before,
+  after: record.after,
+  statusCode: record.status_code,
+  outcome: record.outcome,
+  createdAt: record.created_at.getTime(),
+});
+
+/**
+ * Translate an API audit log entry to a Postgres audit log entry
+ *
+ * @param {ApiAuditLogEntry} record - API audit log entry
+ * @returns {PostgresAuditLogEntry} the Postgres audit log entry
+ */
+export const translateApiAuditLogEntryToPostgresAuditLogEntry = (
+  record: ApiAuditLogEntry
+): PostgresAuditLogEntry => <PostgresAuditLogEntry>removeNilProperties({
+  username: record.username,
+  method: record.method,
+  route: record.route,
+  record_type: record.recordType,
+  record_id: record.recordId,
+  request_body_digest: record.requestBodyDigest,
+  before: record.before,
+  after: record.after,
+  status_code: record.statusCode,
+  outcome: record.outcome,
+  created_at: record.createdAt ? new Date(record.createdAt) : undefined,
+});
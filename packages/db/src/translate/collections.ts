@@ -25,6 +25,9 @@ export const translatePostgresCollectionToApiCollection = (
   ignoreFilesConfigForDiscovery: collectionRecord.ignore_files_config_for_discovery,
   meta: collectionRecord.meta,
   tags: collectionRecord.tags,
+  ummC: collectionRecord.umm_c,
+  published: collectionRecord.published,
+  cmrConceptId: collectionRecord.cmr_concept_id,
 }));
 
 /**
@@ -52,6 +55,9 @@ export const translateApiCollectionToPostgresCollection = (
     meta: record.meta,
     // have to stringify on an array of values
     tags: (record.tags ? JSON.stringify(record.tags) : undefined),
+    umm_c: record.ummC,
+    published: record.published,
+    cmr_concept_id: record.cmrConceptId,
   };
   if (record.createdAt !== undefined) {
     translatedRecord.created_at = new Date(record.createdAt);
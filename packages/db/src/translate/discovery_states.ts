@@ -0,0 +1,73 @@
+import { Knex } from 'knex';
+import { removeNilProperties } from '@cumulus/common/util';
+import { constructCollectionId, deconstructCollectionId } from '@cumulus/message/Collections';
+import { ApiDiscoveryState } from '@cumulus/types/api/discovery_states';
+
+import { CollectionPgModel } from '../models/collection';
+import { ProviderPgModel } from '../models/provider';
+import { PostgresDiscoveryState, PostgresDiscoveryStateRecord } from '../types/discovery_state';
+
+/**
+ * Translate an API discovery state to a Postgres discovery state
+ *
+ * @param {ApiDiscoveryState} record - API discovery state
+ * @param {Knex | Knex.Transaction} knex - DB client or transaction
+ * @param {CollectionPgModel} collectionPgModel - Instance of the collection database model
+ * @param {ProviderPgModel} providerPgModel - Instance of the provider database model
+ * @returns {Promise<PostgresDiscoveryState>} the Postgres discovery state
+ * @throws {RecordDoesNotExist} if the collection or provider does not exist
+ */
+export const translateApiDiscoveryStateToPostgresDiscoveryState = async (
+  record: ApiDiscoveryState,
+  knex: Knex | Knex.Transaction,
+  collectionPgModel = new CollectionPgModel(),
+  providerPgModel = new ProviderPgModel()
+): Promise<PostgresDiscoveryState> => ({
+  /* eslint-disable unicorn/no-null */
+  collection_cumulus_id: await collectionPgModel.getRecordCumulusId(
+    knex,
+    deconstructCollectionId(record.collectionId)
+  ),
+  provider_cumulus_id: await providerPgModel.getRecordCumulusId(
+    knex,
+    { name: record.provider }
+  ),
+  provider_path: record.providerPath,
+  rule_name: record.ruleName || '',
+  last_modified_at: record.lastModifiedAt ? new Date(record.lastModifiedAt) : null,
+  checkpoints: record.checkpoints ?? null,
+  /* eslint-enable unicorn/no-null */
+});
+
+/**
+ * Translate a Postgres discovery state, with the name and version of its
+ * collection and the name of its provider, to an API discovery state
+ *
+ * @param {PostgresDiscoveryStateRecord} record - Postgres discovery state
+ * @param {Object} names - collection and provider names
+ * @param {string} names.collectionName - name of the collection
+ * @param {string} names.collectionVersion - version of the collection
+ * @param {string} names.providerName - name of the provider
+ * @returns {ApiDiscoveryState} the API discovery state
+ */
+export const translatePostgresDiscoveryStateToApiDiscoveryState = (
+  record: PostgresDiscoveryStateRecord,
+  {
+    collectionName,
+    collectionVersion,
+    providerName,
+  }: {
+    collectionName: string,
+    collectionVersion: string,
+    providerName: string,
+  }
+): ApiDiscoveryState => <ApiDiscoveryState>removeNilProperties({
+  collectionId: constructCollectionId(collectionName, collectionVersion),
+  provider: providerName,
+  providerPath: record.provider_path,
+  ruleName: record.rule_name || undefined,
+  lastModifiedAt: record.last_modified_at ? record.last_modified_at.getTime() : undefined,
+  checkpoints: record.checkpoints,
+  createdAt: record.created_at.getTime(),
+  updatedAt: record.updated_at.getTime(),
+});
@@ -0,0 +1,16 @@
+import { removeNilProperties } from '@cumulus/common/util';
+import { ApiGranuleHistoryEntry } from '@cumulus/types/api/granule_history';
+
+import { PostgresGranuleHistoryEntryRecord } from '../types/granule_history';
+
+export const translatePostgresGranuleHistoryEntryToApiGranuleHistoryEntry = (
+  record: PostgresGranuleHistoryEntryRecord
+): ApiGranuleHistoryEntry => <ApiGranuleHistoryEntry>removeNilProperties({
+  status: record.status,
+  published: record.published,
+  executionArn: record.execution_arn,
+  workflowName: record.workflow_name,
+  error: record.error,
+  actor: record.actor,
+  timestamp: record.created_at.getTime(),
+});
@@ -89,6 +89,7 @@ export const translatePostgresGranuleToApiGranule = async ({
   const apiGranule: ApiGranule = removeNilProperties({
     beginningDateTime: granulePgRecord.beginning_date_time?.toISOString(),
     cmrLink: granulePgRecord.cmr_link,
+    cmrPublishStatus: granulePgRecord.cmr_publish_status ?? undefined,
     collectionId: constructCollectionId(collection.name, collection.version),
     createdAt: granulePgRecord.created_at?.getTime(),
     duration: granulePgRecord.duration,
@@ -104,6 +105,7 @@ export const translatePostgresGranuleToApiGranule = async ({
     productionDateTime: granulePgRecord.production_date_time?.toISOString(),
     productVolume: granulePgRecord.product_volume,
     provider: provider ? provider.name : undefined,
+    publishAt: granulePgRecord.publish_at?.toISOString(),
     published: granulePgRecord.published,
     queryFields: granulePgRecord.query_fields,
     status: granulePgRecord.status as GranuleStatus,
@@ -116,6 +118,20 @@ export const translatePostgresGranuleToApiGranule = async ({
   return apiGranule;
 };
 
+/**
+ * Translate the `publishAt` time of an API granule. A null `publishAt` clears
+ * the embargo of the granule, so it is kept rather than ignored.
+ *
+ * @param {string | null} [publishAt] - `publishAt` of the API granule
+ * @returns {Date | null | undefined} the `publish_at` of the PG granule
+ */
+const translateApiPublishAtToPostgres = (
+  publishAt?: string | null
+): Date | null | undefined => {
+  if (publishAt === null) return null;
+  return publishAt ? new Date(publishAt) : undefined;
+};
+
 /**
  * Generate a Postgres granule record from a DynamoDB record.
  *
@@ -150,6 +166,8 @@ export const translateApiGranuleToPostgresGranule = async (
     product_volume: dynamoRecord.productVolume,
     error: dynamoRecord.error,
     cmr_link: dynamoRecord.cmrLink,
+    cmr_publish_status: dynamoRecord.cmrPublishStatus,
+    publish_at: translateApiPublishAtToPostgres(dynamoRecord.publishAt),
     pdr_cumulus_id: dynamoRecord.pdrName
       ? await pdrPgModel.getRecordCumulusId(
         knexOrTransaction,
@@ -29,6 +29,8 @@ export const translatePostgresProviderToApiProvider = (
     username: record.username,
     password: record.password,
     allowedRedirects: record.allowed_redirects,
+    httpListing: record.http_listing,
+    httpAuth: record.http_auth,
   } as ApiProvider;
   if (record.username || record.password) {
     apiProvider.encrypted = true;
@@ -67,6 +69,8 @@ export const translateApiProviderToPostgresProvider = async (
     host: record.host,
     protocol: record.protocol,
     allowed_redirects: record.allowedRedirects,
+    http_listing: record.httpListing,
+    http_auth: record.httpAuth,
     username,
     password,
   });
@@ -0,0 +1,67 @@
+import { Knex } from 'knex';
+import { removeNilProperties } from '@cumulus/common/util';
+import { constructCollectionId, deconstructCollectionId } from '@cumulus/message/Collections';
+import { ApiRoleAssignment } from '@cumulus/types/api/role_assignments';
+
+import { CollectionPgModel } from '../models/collection';
+import { ProviderPgModel } from '../models/provider';
+import {
+  PostgresRoleAssignment,
+  PostgresRoleAssignmentRecord,
+} from '../types/role_assignment';
+
+export const translatePostgresRoleAssignmentToApiRoleAssignment = async (
+  record: PostgresRoleAssignmentRecord,
+  knex: Knex | Knex.Transaction,
+  collectionPgModel = new CollectionPgModel(),
+  providerPgModel = new ProviderPgModel()
+): Promise<ApiRoleAssignment> => {
+  const collection = record.collection_cumulus_id
+    ? await collectionPgModel.get(knex, { cumulus_id: record.collection_cumulus_id })
+    : undefined;
+  const provider = record.provider_cumulus_id
+    ? await providerPgModel.get(knex, { cumulus_id: record.provider_cumulus_id })
+    : undefined;
+
+  return <ApiRoleAssignment>removeNilProperties({
+    username: record.username,
+    role: record.role,
+    collectionId: collection
+      ? constructCollectionId(collection.name, collection.version)
+      : undefined,
+    provider: provider ? provider.name : undefined,
+    createdAt: record.created_at.getTime(),
+    updatedAt: record.updated_at.getTime(),
+  });
+};
+
+/**
+ * Translate an API role assignment to a Postgres role assignment
+ *
+ * @param {ApiRoleAssignment} record - API role assignment
+ * @param {Knex | Knex.Transaction} knex - DB client or transaction
+ * @param {CollectionPgModel} collectionPgModel - Instance of the collection database model
+ * @param {ProviderPgModel} providerPgModel - Instance of the provider database model
+ * @returns {Promise<PostgresRoleAssignment>} the Postgres role assignment
+ * @throws {RecordDoesNotExist} if the scoped collection or provider does not exist
+ */
+export const translateApiRoleAssignmentToPostgresRoleAssignment = async (
+  record: ApiRoleAssignment,
+  knex: Knex | Knex.Transaction,
+  collectionPgModel = new CollectionPgModel(),
+  providerPgModel = new ProviderPgModel()
+): Promise<PostgresRoleAssignment> => ({
+  /* eslint-disable unicorn/no-null */
+  username: record.username,
+  role: record.role,
+  collection_cumulus_id: record.collectionId
+    ? await collectionPgModel.getRecordCumulusId(
+      knex,
+      deconstructCollectionId(record.collectionId)
+    )
+    : null,
+  provider_cumulus_id: record.provider
+    ? await providerPgModel.getRecordCumulusId(knex, { name: record.provider })
+    : null,
+  /* eslint-enable unicorn/no-null */
+});
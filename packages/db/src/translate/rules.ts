@@ -32,6 +32,11 @@ export const translatePostgresRuleToApiRule = async (
       arn: pgRule.arn,
       logEventArn: pgRule.log_event_arn,
       value: pgRule.value,
+      prefix: pgRule.key_prefix,
+      suffix: pgRule.key_suffix,
+      authType: pgRule.auth_type,
+      payloadSchema: pgRule.payload_schema,
+      filterExpression: pgRule.filter_expression,
     }),
     state: pgRule.enabled ? 'ENABLED' : 'DISABLED',
     meta: pgRule.meta,
@@ -77,6 +82,11 @@ export const translateApiRuleToPostgresRuleRaw = async (
   type: record.rule.type,
   value: record.rule.value,
   log_event_arn: record.rule.logEventArn,
+  key_prefix: record.rule.prefix,
+  key_suffix: record.rule.suffix,
+  auth_type: record.rule.authType,
+  payload_schema: record.rule.payloadSchema,
+  filter_expression: record.rule.filterExpression,
   enabled: (record.state === undefined) || (record.state === 'ENABLED'),
   tags: (record.tags ? JSON.stringify(record.tags) : undefined),
   execution_name_prefix: record.executionNamePrefix,
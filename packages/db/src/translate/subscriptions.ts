@@ -0,0 +1,69 @@
+import { Knex } from 'knex';
+import { removeNilProperties } from '@cumulus/common/util';
+import { deconstructCollectionId } from '@cumulus/message/Collections';
+import { ApiSubscription, ApiSubscriptionDelivery } from '@cumulus/types/api/subscriptions';
+
+import { CollectionPgModel } from '../models/collection';
+import { ProviderPgModel } from '../models/provider';
+import { encryptValueWithKMS } from './providers';
+import { PostgresSubscription } from '../types/subscription';
+import { PostgresSubscriptionDeliveryRecord } from '../types/subscription_delivery';
+
+/**
+ * Translate an API subscription to a Postgres subscription. The secret of
+ * the subscription is encrypted, and omitted if the API subscription has no
+ * secret.
+ *
+ * @param {ApiSubscription} record - API subscription
+ * @param {Knex | Knex.Transaction} knex - DB client or transaction
+ * @param {CollectionPgModel} collectionPgModel - Instance of the collection database model
+ * @param {ProviderPgModel} providerPgModel - Instance of the provider database model
+ * @param {Function} [encryptMethod] - The encryption method to use, defaults to
+ *   encryptValueWithKMS
+ * @returns {Promise<PostgresSubscription>} the Postgres subscription
+ * @throws {RecordDoesNotExist} if the collection or provider does not exist
+ */
+export const translateApiSubscriptionToPostgresSubscription = async (
+  record: ApiSubscription,
+  knex: Knex | Knex.Transaction,
+  collectionPgModel = new CollectionPgModel(),
+  providerPgModel = new ProviderPgModel(),
+  encryptMethod: Function = encryptValueWithKMS
+): Promise<Omit<PostgresSubscription, 'secret'> & { secret?: string }> => ({
+  /* eslint-disable unicorn/no-null */
+  name: record.name,
+  url: record.url,
+  record_types: record.recordTypes,
+  statuses: record.statuses ?? null,
+  collection_cumulus_id: record.collectionId
+    ? await collectionPgModel.getRecordCumulusId(
+      knex,
+      deconstructCollectionId(record.collectionId)
+    )
+    : null,
+  provider_cumulus_id: record.provider
+    ? await providerPgModel.getRecordCumulusId(knex, { name: record.provider })
+    : null,
+  /* eslint-enable unicorn/no-null */
+  secret: record.secret ? await encryptMethod(record.secret) : undefined,
+  enabled: record.enabled,
+  created_at: record.createdAt ? new Date(record.createdAt) : undefined,
+  updated_at: record.updatedAt ? new Date(record.updatedAt) : undefined,
+});
+
+export const translatePostgresSubscriptionDeliveryToApiSubscriptionDelivery = (
+  record: PostgresSubscriptionDeliveryRecord,
+  subscriptionName: string
+): ApiSubscriptionDelivery => <ApiSubscriptionDelivery>removeNilProperties({
+  deliveryId: record.delivery_id,
+  subscription: subscriptionName,
+  recordType: record.record_type,
+  recordId: record.record_id,
+  event: record.event_type,
+  payload: record.payload,
+  status: record.status,
+  attempts: record.attempts,
+  nextAttemptAt: record.next_attempt_at ? record.next_attempt_at.getTime() : undefined,
+  createdAt: record.created_at.getTime(),
+  updatedAt: record.updated_at.getTime(),
+});
@@ -0,0 +1,36 @@
+export type PostgresAuditLogOutcome = 'success' | 'failure';
+
+/**
+ * PostgresAuditLogEntry
+ *
+ * This interface describes an audit log entry object in postgres compatible
+ * format that is ready for write to Cumulus's postgres database instance
+ */
+export interface PostgresAuditLogEntry {
+  username?: string | null,
+  method: string,
+  route: string,
+  record_type: string,
+  record_id?: string | null,
+  request_body_digest?: string | null,
+  before?: object | null,
+  after?: object | null,
+  status_code: number,
+  outcome: PostgresAuditLogOutcome,
+  created_at?: Date,
+  updated_at?: Date,
+}
+
+/**
+ * PostgresAuditLogEntryRecord
+ *
+ * This interface describes an audit log entry record that has been retrieved
+ * from postgres for reading. It differs from the PostgresAuditLogEntry
+ * interface in that it types the autogenerated/required fields in the
+ * Postgres database as required
+ */
+export interface PostgresAuditLogEntryRecord extends PostgresAuditLogEntry {
+  cumulus_id: number,
+  created_at: Date,
+  updated_at: Date,
+}
@@ -14,6 +14,9 @@ export interface PostgresCollection {
   ignore_files_config_for_discovery?: boolean,
   meta?: object,
   tags?: string,
+  umm_c?: object,
+  published?: boolean,
+  cmr_concept_id?: string,
   created_at?: Date,
   updated_at?: Date,
 }
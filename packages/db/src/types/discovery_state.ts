@@ -0,0 +1,31 @@
+/**
+ * PostgresDiscoveryState
+ *
+ * This interface describes a discovery state object in postgres compatible
+ * format that is ready for write to Cumulus's postgres database instance
+ */
+export interface PostgresDiscoveryState {
+  collection_cumulus_id: number,
+  provider_cumulus_id: number,
+  provider_path: string,
+  rule_name?: string,
+  last_modified_at?: Date | null,
+  checkpoints?: { [path: string]: number } | null,
+  created_at?: Date,
+  updated_at?: Date,
+}
+
+/**
+ * PostgresDiscoveryStateRecord
+ *
+ * This interface describes a discovery state record that has been retrieved
+ * from postgres for reading. It differs from the PostgresDiscoveryState
+ * interface in that it types the autogenerated/required fields in the
+ * Postgres database as required
+ */
+export interface PostgresDiscoveryStateRecord extends PostgresDiscoveryState {
+  cumulus_id: number,
+  rule_name: string,
+  created_at: Date,
+  updated_at: Date,
+}
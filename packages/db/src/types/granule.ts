@@ -1,3 +1,5 @@
+export type CmrPublishStatus = 'pending' | 'failed';
+
 export interface PostgresGranuleUniqueColumns {
   granule_id: string,
   collection_cumulus_id: number,
@@ -8,6 +10,8 @@ export interface PostgresGranule extends PostgresGranuleUniqueColumns {
   cmr_link?: string,
   error?: object,
   published?: boolean,
+  cmr_publish_status?: CmrPublishStatus | null,
+  publish_at?: Date | null,
   duration?: number,
   product_volume?: number,
   time_to_process?: number,
@@ -0,0 +1,32 @@
+/**
+ * PostgresGranuleHistoryEntry
+ *
+ * This interface describes a granule history entry object in postgres
+ * compatible format that is ready for write to Cumulus's postgres database
+ * instance
+ */
+export interface PostgresGranuleHistoryEntry {
+  granule_cumulus_id: number,
+  status: string,
+  published?: boolean | null,
+  execution_arn?: string | null,
+  workflow_name?: string | null,
+  error?: object | null,
+  actor?: string | null,
+  created_at?: Date,
+  updated_at?: Date,
+}
+
+/**
+ * PostgresGranuleHistoryEntryRecord
+ *
+ * This interface describes a granule history entry record that has been
+ * retrieved from postgres for reading. It differs from the
+ * PostgresGranuleHistoryEntry interface in that it types the
+ * autogenerated/required fields in the Postgres database as required
+ */
+export interface PostgresGranuleHistoryEntryRecord extends PostgresGranuleHistoryEntry {
+  cumulus_id: number,
+  created_at: Date,
+  updated_at: Date,
+}
@@ -19,7 +19,9 @@ export interface PostgresProvider {
   protocol: string,
   updated_at?: Date | null,
   username?: string | null,
-  allowed_redirects?: string[]
+  allowed_redirects?: string[],
+  http_listing?: object | null,
+  http_auth?: object | null,
 }
 
 /**
@@ -0,0 +1,30 @@
+export type PostgresRole = 'read-only' | 'operator' | 'admin';
+
+/**
+ * PostgresRoleAssignment
+ *
+ * This interface describes a role assignment object in postgres compatible
+ * format that is ready for write to Cumulus's postgres database instance
+ */
+export interface PostgresRoleAssignment {
+  username: string,
+  role: PostgresRole,
+  collection_cumulus_id?: number | null,
+  provider_cumulus_id?: number | null,
+  created_at?: Date,
+  updated_at?: Date,
+}
+
+/**
+ * PostgresRoleAssignmentRecord
+ *
+ * This interface describes a role assignment record that has been retrieved
+ * from postgres for reading. It differs from the PostgresRoleAssignment
+ * interface in that it types the autogenerated/required fields in the
+ * Postgres database as required
+ */
+export interface PostgresRoleAssignmentRecord extends PostgresRoleAssignment {
+  cumulus_id: number,
+  created_at: Date,
+  updated_at: Date,
+}
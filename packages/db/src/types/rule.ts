@@ -1,4 +1,4 @@
-import { RuleType, RuleMeta } from '@cumulus/types/api/rules';
+import { HttpRuleAuthType, RuleType, RuleMeta } from '@cumulus/types/api/rules';
 
 export interface PostgresRule {
   name: string,
@@ -11,6 +11,11 @@ export interface PostgresRule {
   value?: string,
   arn?: string,
   log_event_arn?: string,
+  key_prefix?: string,
+  key_suffix?: string,
+  auth_type?: HttpRuleAuthType,
+  payload_schema?: object,
+  filter_expression?: string,
   payload?: object,
   meta?: RuleMeta,
   tags?: string,
@@ -0,0 +1,35 @@
+export type PostgresSubscriptionRecordType = 'granule' | 'execution' | 'pdr';
+
+/**
+ * PostgresSubscription
+ *
+ * This interface describes a subscription object in postgres compatible
+ * format that is ready for write to Cumulus's postgres database instance
+ */
+export interface PostgresSubscription {
+  name: string,
+  url: string,
+  record_types: PostgresSubscriptionRecordType[],
+  statuses?: string[] | null,
+  collection_cumulus_id?: number | null,
+  provider_cumulus_id?: number | null,
+  secret: string,
+  enabled?: boolean,
+  created_at?: Date,
+  updated_at?: Date,
+}
+
+/**
+ * PostgresSubscriptionRecord
+ *
+ * This interface describes a subscription record that has been retrieved
+ * from postgres for reading. It differs from the PostgresSubscription
+ * interface in that it types the autogenerated/required fields in the
+ * Postgres database as required
+ */
+export interface PostgresSubscriptionRecord extends PostgresSubscription {
+  cumulus_id: number,
+  enabled: boolean,
+  created_at: Date,
+  updated_at: Date,
+}
@@ -0,0 +1,47 @@
+import { PostgresSubscriptionRecordType } from './subscription';
+
+export type PostgresSubscriptionDeliveryStatus = 'pending' | 'succeeded' | 'dead_letter';
+
+export interface PostgresSubscriptionDeliveryAttempt {
+  timestamp: number,
+  durationMs: number,
+  statusCode?: number,
+  error?: string,
+}
+
+/**
+ * PostgresSubscriptionDelivery
+ *
+ * This interface describes a subscription delivery object in postgres
+ * compatible format that is ready for write to Cumulus's postgres database
+ * instance
+ */
+export interface PostgresSubscriptionDelivery {
+  subscription_cumulus_id: number,
+  delivery_id: string,
+  record_type: PostgresSubscriptionRecordType,
+  record_id: string,
+  event_type?: string | null,
+  payload: object,
+  status?: PostgresSubscriptionDeliveryStatus,
+  attempts?: PostgresSubscriptionDeliveryAttempt[],
+  next_attempt_at?: Date | null,
+  created_at?: Date,
+  updated_at?: Date,
+}
+
+/**
+ * PostgresSubscriptionDeliveryRecord
+ *
+ * This interface describes a subscription delivery record that has been
+ * retrieved from postgres for reading. It differs from the
+ * PostgresSubscriptionDelivery interface in that it types the
+ * autogenerated/required fields in the Postgres database as required
+ */
+export interface PostgresSubscriptionDeliveryRecord extends PostgresSubscriptionDelivery {
+  cumulus_id: number,
+  status: PostgresSubscriptionDeliveryStatus,
+  attempts: PostgresSubscriptionDeliveryAttempt[],
+  created_at: Date,
+  updated_at: Date,
+}
@@ -259,3 +259,85 @@ test('QuerySearchClient pages through multiple sets of results', async (t) => {
   t.is(queryLimitSpy.getCall(2).args[0], 1);
   t.is(queryLimitSpy.getCall(3).args[0], 1);
 });
+
+test('QuerySearchClient pages through results by keyset columns', async (t) => {
+  const { knex, bucket } = t.context;
+
+  const records = await createFileRecords(t.context, 5);
+
+  const query = getFilesAndGranuleInfoQuery({
+    knex,
+    searchParams: { bucket },
+    granuleColumns: ['granule_id'],
+  });
+  const queryOffsetSpy = sinon.spy(query, 'offset');
+
+  const querySearchClient = new QuerySearchClient(
+    query,
+    2,
+    { keysetColumns: [{ column: 'files.key' }, { column: 'files.cumulus_id' }] }
+  );
+
+  const results = [];
+  /* eslint-disable no-await-in-loop */
+  while (await querySearchClient.peek()) {
+    results.push(await querySearchClient.shift());
+  }
+  /* eslint-enable no-await-in-loop */
+
+  t.is(queryOffsetSpy.callCount, 0);
+  t.deepEqual(
+    results.map((record) => record.key),
+    orderBy(records, ['key']).map((record) => record.key)
+  );
+  t.deepEqual(Object.keys(results[0]).sort(), [...Object.keys(records[0]), 'granule_id'].sort());
+});
+
+test('QuerySearchClient resumes paging by keyset columns from a cursor', async (t) => {
+  const { knex, bucket } = t.context;
+
+  const records = orderBy(await createFileRecords(t.context, 5), ['key']);
+  const keysetColumns = [{ column: 'files.key' }, { column: 'files.cumulus_id' }];
+  const buildQuery = () => getFilesAndGranuleInfoQuery({
+    knex,
+    searchParams: { bucket },
+  });
+
+  const firstSearchClient = new QuerySearchClient(buildQuery(), 2, { keysetColumns });
+  await firstSearchClient.shift();
+  await firstSearchClient.shift();
+  await firstSearchClient.shift();
+
+  // Records inserted before the cursor position are not returned on resuming
+  await createFileRecords(t.context, 1);
+
+  const resumedSearchClient = new QuerySearchClient(
+    buildQuery(),
+    2,
+    { keysetColumns, cursor: firstSearchClient.cursor }
+  );
+  const results = [];
+  /* eslint-disable no-await-in-loop */
+  while (await resumedSearchClient.peek()) {
+    results.push(await resumedSearchClient.shift());
+  }
+  /* eslint-enable no-await-in-loop */
+
+  t.deepEqual(
+    results.map((record) => record.key),
+    records.slice(3).map((record) => record.key)
+  );
+});
+
+test('QuerySearchClient throws a ValidationError for an invalid cursor', (t) => {
+  const { knex, bucket } = t.context;
+
+  t.throws(
+    () => new QuerySearchClient(
+      getFilesAndGranuleInfoQuery({ knex, searchParams: { bucket } }),
+      2,
+      { keysetColumns: [{ column: 'files.key' }], cursor: 'not-a-cursor' }
+    ),
+    { name: 'ValidationError' }
+  );
+});
@@ -0,0 +1,114 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  DiscoveryStatePgModel,
+  ProviderPgModel,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  getApiDiscoveryStates,
+  migrationDir,
+  translateApiDiscoveryStateToPostgresDiscoveryState,
+} = require('../../dist');
+
+const testDbName = `discovery_state_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  t.context.collection = fakeCollectionRecordFactory();
+  await new CollectionPgModel().create(knex, t.context.collection);
+  t.context.collectionId = `${t.context.collection.name}___${t.context.collection.version}`;
+
+  t.context.provider = fakeProviderRecordFactory();
+  await new ProviderPgModel().create(knex, t.context.provider);
+
+  t.context.discoveryStatePgModel = new DiscoveryStatePgModel();
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test.serial('DiscoveryStatePgModel.upsert() creates and replaces the discovery state of a collection, provider, path and rule', async (t) => {
+  const { collectionId, discoveryStatePgModel, knex, provider } = t.context;
+  const apiDiscoveryState = {
+    collectionId,
+    provider: provider.name,
+    providerPath: '/data',
+    ruleName: 'hourly',
+    lastModifiedAt: 1000,
+    checkpoints: { '/data/2022': 1000 },
+  };
+
+  await discoveryStatePgModel.upsert(
+    knex,
+    await translateApiDiscoveryStateToPostgresDiscoveryState(apiDiscoveryState, knex)
+  );
+  const [updatedRecord] = await discoveryStatePgModel.upsert(
+    knex,
+    await translateApiDiscoveryStateToPostgresDiscoveryState(
+      { ...apiDiscoveryState, lastModifiedAt: 2000, checkpoints: { '/data/2022': 2000 } },
+      knex
+    )
+  );
+
+  t.is(updatedRecord.last_modified_at.getTime(), 2000);
+  const [discoveryState, ...otherStates] = await getApiDiscoveryStates(knex, { collectionId });
+  t.is(otherStates.length, 0);
+  t.like(discoveryState, {
+    ...apiDiscoveryState,
+    lastModifiedAt: 2000,
+    checkpoints: { '/data/2022': 2000 },
+  });
+
+  await discoveryStatePgModel.delete(knex, { cumulus_id: updatedRecord.cumulus_id });
+});
+
+test.serial('getApiDiscoveryStates() filters discovery states by provider path and rule name', async (t) => {
+  const { collectionId, discoveryStatePgModel, knex, provider } = t.context;
+  const buildState = (params) => ({
+    collectionId,
+    provider: provider.name,
+    providerPath: '/data',
+    lastModifiedAt: 1000,
+    ...params,
+  });
+  const apiDiscoveryStates = [
+    buildState({}),
+    buildState({ ruleName: 'hourly' }),
+    buildState({ providerPath: '/other' }),
+  ];
+  await Promise.all(apiDiscoveryStates.map(async (apiDiscoveryState) =>
+    await discoveryStatePgModel.upsert(
+      knex,
+      await translateApiDiscoveryStateToPostgresDiscoveryState(apiDiscoveryState, knex)
+    )));
+
+  const sharedStates = await getApiDiscoveryStates(knex, {
+    collectionId,
+    provider: provider.name,
+    providerPath: '/data',
+    ruleName: '',
+  });
+  t.is(sharedStates.length, 1);
+  t.is(sharedStates[0].ruleName, undefined);
+
+  const pathStates = await getApiDiscoveryStates(knex, { providerPath: '/data' });
+  t.deepEqual(pathStates.map(({ ruleName }) => ruleName), [undefined, 'hourly']);
+
+  t.is((await getApiDiscoveryStates(knex, { provider: 'unknown' })).length, 0);
+
+  await discoveryStatePgModel.delete(knex, {});
+});
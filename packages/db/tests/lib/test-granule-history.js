@@ -0,0 +1,114 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  ExecutionPgModel,
+  GranulePgModel,
+  createGranuleHistoryEntry,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  fakeCollectionRecordFactory,
+  fakeExecutionRecordFactory,
+  fakeGranuleRecordFactory,
+  getApiGranuleHistory,
+  migrationDir,
+} = require('../../dist');
+
+const testDbName = `granule_history_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  const [pgCollection] = await new CollectionPgModel().create(
+    knex,
+    fakeCollectionRecordFactory()
+  );
+  t.context.collectionCumulusId = pgCollection.cumulus_id;
+
+  t.context.execution = fakeExecutionRecordFactory({ workflow_name: 'IngestGranule' });
+  const [pgExecution] = await new ExecutionPgModel().create(knex, t.context.execution);
+  t.context.executionCumulusId = pgExecution.cumulus_id;
+
+  t.context.granulePgModel = new GranulePgModel();
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('createGranuleHistoryEntry() records the state of the granule and its execution', async (t) => {
+  const { knex, collectionCumulusId, execution, executionCumulusId, granulePgModel } = t.context;
+
+  const [granule] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: collectionCumulusId,
+      status: 'failed',
+      published: false,
+      error: { Error: 'Ingest failed' },
+    }),
+    '*'
+  );
+
+  const historyEntry = await createGranuleHistoryEntry(knex, {
+    granule,
+    executionCumulusId,
+    actor: 'user1',
+  });
+
+  t.like(historyEntry, {
+    granule_cumulus_id: granule.cumulus_id,
+    status: 'failed',
+    published: false,
+    execution_arn: execution.arn,
+    workflow_name: 'IngestGranule',
+    error: { Error: 'Ingest failed' },
+    actor: 'user1',
+  });
+});
+
+test('getApiGranuleHistory() returns the history of a granule, oldest entry first', async (t) => {
+  const { knex, collectionCumulusId, execution, executionCumulusId, granulePgModel } = t.context;
+
+  const [granule] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({ collection_cumulus_id: collectionCumulusId, status: 'running' }),
+    '*'
+  );
+  const [otherGranule] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({ collection_cumulus_id: collectionCumulusId, status: 'running' }),
+    '*'
+  );
+
+  await createGranuleHistoryEntry(knex, { granule, executionCumulusId });
+  await createGranuleHistoryEntry(knex, { granule: otherGranule, executionCumulusId });
+  const [queuedGranule] = await granulePgModel.update(
+    knex,
+    { cumulus_id: granule.cumulus_id },
+    { status: 'queued' },
+    ['*']
+  );
+  await createGranuleHistoryEntry(knex, { granule: queuedGranule, actor: 'user1' });
+
+  const history = await getApiGranuleHistory(knex, granule.cumulus_id);
+
+  t.is(history.length, 2);
+  t.like(history[0], {
+    status: 'running',
+    executionArn: execution.arn,
+    workflowName: 'IngestGranule',
+  });
+  t.like(history[1], { status: 'queued', actor: 'user1' });
+  t.is(history[1].executionArn, undefined);
+  t.true(history[0].timestamp <= history[1].timestamp);
+});
@@ -22,6 +22,7 @@ const {
   getUniqueGranuleByGranuleId,
   migrationDir,
   getGranulesByApiPropertiesQuery,
+  getEmbargoedGranulesQuery,
   createRejectableTransaction,
 } = require('../../dist');
 
@@ -1024,3 +1025,52 @@ test('getUniqueGranuleByGranuleId() throws an error if no granules are found', a
     { instanceOf: RecordDoesNotExist }
   );
 });
+
+test('getEmbargoedGranulesQuery() returns embargoed granules in order of their embargo expiration', async (t) => {
+  const {
+    knex,
+    collectionPgModel,
+    granulePgModel,
+  } = t.context;
+  const collection = fakeCollectionRecordFactory();
+  const collectionId = constructCollectionId(collection.name, collection.version);
+  const [{ cumulus_id: collectionCumulusId }] = await collectionPgModel.create(knex, collection);
+
+  const now = Date.now();
+  const [[laterGranule], [earlierGranule], [futureGranule]] = await Promise.all([
+    new Date(now - 1000),
+    new Date(now - 2000),
+    new Date(now + 3600 * 1000),
+  ].map((publishAt) => granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: collectionCumulusId,
+      publish_at: publishAt,
+      published: false,
+    }),
+    '*'
+  )));
+  await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({ collection_cumulus_id: collectionCumulusId })
+  );
+
+  const embargoedGranules = await getEmbargoedGranulesQuery(knex, { collectionIds: collectionId });
+  t.deepEqual(
+    embargoedGranules.map((granule) => granule.granule_id),
+    [earlierGranule, laterGranule, futureGranule].map((granule) => granule.granule_id)
+  );
+  t.like(embargoedGranules[0], {
+    collectionName: collection.name,
+    collectionVersion: collection.version,
+  });
+
+  const expiredGranules = await getEmbargoedGranulesQuery(
+    knex,
+    { collectionIds: collectionId, publishAtTo: new Date(now) }
+  );
+  t.deepEqual(
+    expiredGranules.map((granule) => granule.granule_id),
+    [earlierGranule, laterGranule].map((granule) => granule.granule_id)
+  );
+});
@@ -96,3 +96,17 @@ test('ProviderPgModel.upsert() creates provider with allowed_redirects', async (
     updatedRecord
   );
 });
+
+test('ProviderPgModel.create() creates a provider with the ftps protocol', async (t) => {
+  const {
+    knex,
+    providerPgModel,
+  } = t.context;
+
+  const providerRecord = fakeProviderRecordFactory({ protocol: 'ftps' });
+  await providerPgModel.create(knex, providerRecord);
+  t.like(
+    await providerPgModel.get(knex, { name: providerRecord.name }),
+    { protocol: 'ftps' }
+  );
+});
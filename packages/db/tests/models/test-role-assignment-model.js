@@ -0,0 +1,176 @@
+/* eslint-disable unicorn/no-null */
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  ProviderPgModel,
+  RoleAssignmentPgModel,
+  fakeCollectionRecordFactory,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  getApiRoleAssignments,
+  migrationDir,
+  translateApiRoleAssignmentToPostgresRoleAssignment,
+} = require('../../dist');
+
+const testDbName = `role_assignment_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  t.context.roleAssignmentPgModel = new RoleAssignmentPgModel();
+
+  t.context.collection = fakeCollectionRecordFactory();
+  const [pgCollection] = await new CollectionPgModel().create(
+    knex,
+    t.context.collection
+  );
+  t.context.collectionCumulusId = pgCollection.cumulus_id;
+  t.context.provider = fakeProviderRecordFactory();
+  const [pgProvider] = await new ProviderPgModel().create(
+    knex,
+    t.context.provider,
+    '*'
+  );
+  t.context.providerCumulusId = pgProvider.cumulus_id;
+});
+
+test.beforeEach((t) => {
+  t.context.username = cryptoRandomString({ length: 10 });
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('RoleAssignmentPgModel.upsert() creates a new role assignment', async (t) => {
+  const { knex, roleAssignmentPgModel, username } = t.context;
+
+  const [record] = await roleAssignmentPgModel.upsert(knex, { username, role: 'operator' });
+
+  t.like(record, { username, role: 'operator', collection_cumulus_id: null });
+  t.is((await roleAssignmentPgModel.search(knex, { username })).length, 1);
+});
+
+test('RoleAssignmentPgModel.upsert() updates the role of an assignment with the same scope', async (t) => {
+  const {
+    collectionCumulusId,
+    knex,
+    roleAssignmentPgModel,
+    username,
+  } = t.context;
+
+  await roleAssignmentPgModel.upsert(knex, { username, role: 'read-only' });
+  await roleAssignmentPgModel.upsert(knex, {
+    username,
+    role: 'operator',
+    collection_cumulus_id: collectionCumulusId,
+  });
+  const [updated] = await roleAssignmentPgModel.upsert(knex, {
+    username,
+    role: 'admin',
+    collection_cumulus_id: collectionCumulusId,
+  });
+
+  t.like(updated, { role: 'admin', collection_cumulus_id: collectionCumulusId });
+  const records = await roleAssignmentPgModel.search(knex, { username });
+  t.deepEqual(records.map(({ role }) => role).sort(), ['admin', 'read-only']);
+});
+
+test('A user may not have two unscoped role assignments', async (t) => {
+  const { knex, roleAssignmentPgModel, username } = t.context;
+
+  await roleAssignmentPgModel.create(knex, { username, role: 'read-only' });
+  await t.throwsAsync(
+    roleAssignmentPgModel.create(knex, { username, role: 'admin' }),
+    { message: /role_assignments_username_scope_unique/ }
+  );
+});
+
+test('getApiRoleAssignments() returns the role assignments of a user with their scopes', async (t) => {
+  const {
+    collection,
+    collectionCumulusId,
+    knex,
+    provider,
+    providerCumulusId,
+    roleAssignmentPgModel,
+    username,
+  } = t.context;
+
+  await roleAssignmentPgModel.create(knex, { username, role: 'read-only' });
+  await roleAssignmentPgModel.create(knex, {
+    username,
+    role: 'operator',
+    collection_cumulus_id: collectionCumulusId,
+    provider_cumulus_id: providerCumulusId,
+  });
+  await roleAssignmentPgModel.create(knex, {
+    username: cryptoRandomString({ length: 10 }),
+    role: 'admin',
+  });
+
+  const roleAssignments = await getApiRoleAssignments(knex, { username });
+
+  t.is(roleAssignments.length, 2);
+  t.like(roleAssignments[0], { username, role: 'read-only' });
+  t.false('collectionId' in roleAssignments[0]);
+  t.like(roleAssignments[1], {
+    username,
+    role: 'operator',
+    collectionId: `${collection.name}___${collection.version}`,
+    provider: provider.name,
+  });
+  t.is(typeof roleAssignments[1].createdAt, 'number');
+});
+
+test('translateApiRoleAssignmentToPostgresRoleAssignment() looks up the scoped collection and provider', async (t) => {
+  const {
+    collection,
+    collectionCumulusId,
+    knex,
+    provider,
+    providerCumulusId,
+    username,
+  } = t.context;
+
+  t.deepEqual(
+    await translateApiRoleAssignmentToPostgresRoleAssignment(
+      {
+        username,
+        role: 'operator',
+        collectionId: `${collection.name}___${collection.version}`,
+        provider: provider.name,
+      },
+      knex
+    ),
+    {
+      username,
+      role: 'operator',
+      collection_cumulus_id: collectionCumulusId,
+      provider_cumulus_id: providerCumulusId,
+    }
+  );
+});
+
+test('translateApiRoleAssignmentToPostgresRoleAssignment() throws if the scoped collection does not exist', async (t) => {
+  const { knex, username } = t.context;
+
+  await t.throwsAsync(
+    translateApiRoleAssignmentToPostgresRoleAssignment(
+      { username, role: 'operator', collectionId: 'missing___1' },
+      knex
+    ),
+    { name: 'RecordDoesNotExist' }
+  );
+});
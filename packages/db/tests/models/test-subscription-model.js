@@ -0,0 +1,315 @@
+/* eslint-disable unicorn/no-null */
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+const { v4: uuidv4 } = require('uuid');
+
+const {
+  CollectionPgModel,
+  ProviderPgModel,
+  SubscriptionDeliveryPgModel,
+  SubscriptionPgModel,
+  fakeCollectionRecordFactory,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  getApiSubscriptions,
+  getMatchingSubscriptions,
+  migrationDir,
+  translateApiSubscriptionToPostgresSubscription,
+  translatePostgresSubscriptionDeliveryToApiSubscriptionDelivery,
+} = require('../../dist');
+
+const testDbName = `subscription_${cryptoRandomString({ length: 10 })}`;
+
+const fakeSubscriptionRecordFactory = (params = {}) => ({
+  name: cryptoRandomString({ length: 10 }),
+  url: 'https://example.com/hook',
+  record_types: ['granule'],
+  secret: 'encrypted-secret',
+  ...params,
+});
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  t.context.subscriptionPgModel = new SubscriptionPgModel();
+  t.context.subscriptionDeliveryPgModel = new SubscriptionDeliveryPgModel();
+
+  t.context.collection = fakeCollectionRecordFactory();
+  const [pgCollection] = await new CollectionPgModel().create(
+    knex,
+    t.context.collection
+  );
+  t.context.collectionCumulusId = pgCollection.cumulus_id;
+  t.context.provider = fakeProviderRecordFactory();
+  const [pgProvider] = await new ProviderPgModel().create(
+    knex,
+    t.context.provider,
+    '*'
+  );
+  t.context.providerCumulusId = pgProvider.cumulus_id;
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test.serial('getMatchingSubscriptions() returns the enabled subscriptions matching a record event', async (t) => {
+  const {
+    collection,
+    collectionCumulusId,
+    knex,
+    provider,
+    providerCumulusId,
+    subscriptionPgModel,
+  } = t.context;
+  const collectionId = `${collection.name}___${collection.version}`;
+
+  const [all] = await subscriptionPgModel.create(
+    knex,
+    fakeSubscriptionRecordFactory({ record_types: ['granule', 'pdr'] }),
+    '*'
+  );
+  const [scoped] = await subscriptionPgModel.create(
+    knex,
+    fakeSubscriptionRecordFactory({
+      collection_cumulus_id: collectionCumulusId,
+      provider_cumulus_id: providerCumulusId,
+      statuses: ['failed'],
+    }),
+    '*'
+  );
+  await subscriptionPgModel.create(
+    knex,
+    fakeSubscriptionRecordFactory({ enabled: false })
+  );
+  await subscriptionPgModel.create(
+    knex,
+    fakeSubscriptionRecordFactory({ record_types: ['execution'] })
+  );
+
+  const failed = await getMatchingSubscriptions(knex, {
+    recordType: 'granule',
+    collectionId,
+    provider: provider.name,
+    status: 'failed',
+  });
+  t.deepEqual(failed.map(({ name }) => name), [all.name, scoped.name]);
+  t.is(failed[1].secret, 'encrypted-secret');
+  t.false('collection_name' in failed[1]);
+
+  const completed = await getMatchingSubscriptions(knex, {
+    recordType: 'granule',
+    collectionId,
+    provider: provider.name,
+    status: 'completed',
+  });
+  t.deepEqual(completed.map(({ name }) => name), [all.name]);
+
+  const otherCollection = await getMatchingSubscriptions(knex, {
+    recordType: 'granule',
+    collectionId: 'other___1',
+    provider: provider.name,
+    status: 'failed',
+  });
+  t.deepEqual(otherCollection.map(({ name }) => name), [all.name]);
+
+  await knex(subscriptionPgModel.tableName).del();
+});
+
+test.serial('getApiSubscriptions() returns subscriptions with their filters and without secrets', async (t) => {
+  const {
+    collection,
+    collectionCumulusId,
+    knex,
+    subscriptionPgModel,
+  } = t.context;
+
+  const [subscription] = await subscriptionPgModel.create(
+    knex,
+    fakeSubscriptionRecordFactory({
+      collection_cumulus_id: collectionCumulusId,
+      statuses: ['completed'],
+    }),
+    '*'
+  );
+
+  const [apiSubscription] = await getApiSubscriptions(knex, { name: subscription.name });
+
+  t.like(apiSubscription, {
+    name: subscription.name,
+    url: subscription.url,
+    recordTypes: ['granule'],
+    collectionId: `${collection.name}___${collection.version}`,
+    statuses: ['completed'],
+    enabled: true,
+  });
+  t.false('secret' in apiSubscription);
+  t.false('provider' in apiSubscription);
+
+  await knex(subscriptionPgModel.tableName).del();
+});
+
+test.serial('SubscriptionDeliveryPgModel claims due deliveries and records attempts', async (t) => {
+  const { knex, subscriptionDeliveryPgModel, subscriptionPgModel } = t.context;
+
+  const [subscription] = await subscriptionPgModel.create(
+    knex,
+    fakeSubscriptionRecordFactory(),
+    '*'
+  );
+  const now = new Date();
+  const [due] = await subscriptionDeliveryPgModel.create(
+    knex,
+    {
+      subscription_cumulus_id: subscription.cumulus_id,
+      delivery_id: uuidv4(),
+      record_type: 'granule',
+      record_id: 'granule-1',
+      event_type: 'Update',
+      payload: { granuleId: 'granule-1' },
+      next_attempt_at: new Date(now.getTime() - 1000),
+    },
+    '*'
+  );
+  await subscriptionDeliveryPgModel.create(knex, {
+    subscription_cumulus_id: subscription.cumulus_id,
+    delivery_id: uuidv4(),
+    record_type: 'granule',
+    record_id: 'granule-2',
+    payload: {},
+    next_attempt_at: new Date(now.getTime() + 60000),
+  });
+
+  const claimed = await subscriptionDeliveryPgModel.claimDueDeliveries(
+    knex,
+    { now, leaseMs: 30000 }
+  );
+  t.deepEqual(claimed.map((delivery) => delivery.record_id), ['granule-1']);
+  t.like(claimed[0], {
+    status: 'pending',
+    attempts: [],
+    next_attempt_at: new Date(now.getTime() + 30000),
+  });
+  t.deepEqual(await subscriptionDeliveryPgModel.claimDueDeliveries(knex, { now }), []);
+
+  const attempt = { timestamp: now.getTime(), durationMs: 10, statusCode: 500 };
+  await subscriptionDeliveryPgModel.recordAttempt(knex, due.cumulus_id, {
+    attempt,
+    status: 'pending',
+    nextAttemptAt: new Date(now.getTime() + 30000),
+  });
+  const [updated] = await subscriptionDeliveryPgModel.recordAttempt(knex, due.cumulus_id, {
+    attempt: { ...attempt, statusCode: 200 },
+    status: 'succeeded',
+    nextAttemptAt: null,
+  });
+
+  t.like(updated, { status: 'succeeded', next_attempt_at: null });
+  t.deepEqual(updated.attempts.map(({ statusCode }) => statusCode), [500, 200]);
+  t.deepEqual(await subscriptionDeliveryPgModel.claimDueDeliveries(knex, { now }), []);
+
+  const apiDelivery = translatePostgresSubscriptionDeliveryToApiSubscriptionDelivery(
+    updated,
+    subscription.name
+  );
+  t.like(apiDelivery, {
+    deliveryId: due.delivery_id,
+    subscription: subscription.name,
+    recordType: 'granule',
+    recordId: 'granule-1',
+    event: 'Update',
+    payload: { granuleId: 'granule-1' },
+    status: 'succeeded',
+  });
+  t.false('nextAttemptAt' in apiDelivery);
+});
+
+test('translateApiSubscriptionToPostgresSubscription() looks up filters and encrypts the secret', async (t) => {
+  const {
+    collection,
+    collectionCumulusId,
+    knex,
+    provider,
+    providerCumulusId,
+  } = t.context;
+  const encryptMethod = (value) => Promise.resolve(`encrypted:${value}`);
+
+  const record = await translateApiSubscriptionToPostgresSubscription(
+    {
+      name: 'subscription',
+      url: 'https://example.com/hook',
+      recordTypes: ['granule', 'execution'],
+      collectionId: `${collection.name}___${collection.version}`,
+      provider: provider.name,
+      secret: 'shh',
+    },
+    knex,
+    undefined,
+    undefined,
+    encryptMethod
+  );
+
+  t.like(record, {
+    name: 'subscription',
+    record_types: ['granule', 'execution'],
+    statuses: null,
+    collection_cumulus_id: collectionCumulusId,
+    provider_cumulus_id: providerCumulusId,
+    secret: 'encrypted:shh',
+  });
+});
+
+test('translateApiSubscriptionToPostgresSubscription() omits the secret if there is none', async (t) => {
+  const { knex } = t.context;
+
+  const record = await translateApiSubscriptionToPostgresSubscription(
+    { name: 'subscription', url: 'https://example.com/hook', recordTypes: ['pdr'] },
+    knex
+  );
+
+  t.is(record.secret, undefined);
+  t.is(record.collection_cumulus_id, null);
+});
+
+test.serial('SubscriptionDeliveryPgModel.listDeliveries() lists the deliveries of a subscription, newest first', async (t) => {
+  const { knex, subscriptionDeliveryPgModel, subscriptionPgModel } = t.context;
+
+  const [subscription] = await subscriptionPgModel.create(
+    knex,
+    fakeSubscriptionRecordFactory(),
+    '*'
+  );
+  const createDelivery = (recordId, params) => subscriptionDeliveryPgModel.create(knex, {
+    subscription_cumulus_id: subscription.cumulus_id,
+    delivery_id: uuidv4(),
+    record_type: 'pdr',
+    record_id: recordId,
+    payload: {},
+    ...params,
+  });
+  await createDelivery('pdr-1', { created_at: new Date(1000), status: 'dead_letter' });
+  await createDelivery('pdr-2', { created_at: new Date(2000), status: 'succeeded' });
+  await createDelivery('pdr-3', { created_at: new Date(3000), status: 'dead_letter' });
+
+  const deliveries = await subscriptionDeliveryPgModel.listDeliveries(
+    knex,
+    subscription.cumulus_id
+  );
+  t.deepEqual(deliveries.map((delivery) => delivery.record_id), ['pdr-3', 'pdr-2', 'pdr-1']);
+
+  const deadLetters = await subscriptionDeliveryPgModel.listDeliveries(
+    knex,
+    subscription.cumulus_id,
+    { status: 'dead_letter', limit: 1 }
+  );
+  t.deepEqual(deadLetters.map((delivery) => delivery.record_id), ['pdr-3']);
+});
@@ -0,0 +1,100 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  AuditLogPgModel,
+  AuditLogSearch,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  migrationDir,
+  translateApiAuditLogEntryToPostgresAuditLogEntry,
+} = require('../../dist');
+
+const testDbName = `audit_log_search_${cryptoRandomString({ length: 10 })}`;
+
+const fakeAuditLogEntry = (params) => ({
+  username: 'user1',
+  method: 'PUT',
+  route: '/rules/rule1',
+  recordType: 'rules',
+  recordId: 'rule1',
+  statusCode: 200,
+  outcome: 'success',
+  ...params,
+});
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  t.context.entries = [
+    fakeAuditLogEntry({
+      before: { name: 'rule1', state: 'ENABLED' },
+      after: { name: 'rule1', state: 'DISABLED' },
+      createdAt: new Date('2022-08-01T00:00:00Z').getTime(),
+    }),
+    fakeAuditLogEntry({
+      username: 'user2',
+      method: 'DELETE',
+      route: '/granules/granule1',
+      recordType: 'granules',
+      recordId: 'granule1',
+      createdAt: new Date('2022-08-02T00:00:00Z').getTime(),
+    }),
+    fakeAuditLogEntry({
+      username: 'user2',
+      method: 'DELETE',
+      route: '/collections/A/1',
+      recordType: 'collections',
+      recordId: 'A___1',
+      statusCode: 403,
+      outcome: 'failure',
+      createdAt: new Date('2022-08-03T00:00:00Z').getTime(),
+    }),
+  ];
+  await new AuditLogPgModel().insert(
+    knex,
+    t.context.entries.map(translateApiAuditLogEntryToPostgresAuditLogEntry)
+  );
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('AuditLogSearch returns the newest entries first', async (t) => {
+  const { meta, results } = await new AuditLogSearch({}).query(t.context.knex);
+
+  t.like(meta, { table: 'auditLog', count: 3 });
+  t.deepEqual(results.map(({ recordId }) => recordId), ['A___1', 'granule1', 'rule1']);
+  t.deepEqual(results[2], t.context.entries[0]);
+});
+
+test('AuditLogSearch filters entries by user, record type and time window', async (t) => {
+  const { knex } = t.context;
+
+  const byUser = await new AuditLogSearch({
+    queryStringParameters: { username: 'user2', recordType: 'granules' },
+  }).query(knex);
+  t.deepEqual(byUser.results.map(({ recordId }) => recordId), ['granule1']);
+
+  const byTime = await new AuditLogSearch({
+    queryStringParameters: {
+      timestamp__from: `${new Date('2022-08-01T12:00:00Z').getTime()}`,
+      timestamp__to: '2022-08-03T00:00:00Z',
+    },
+  }).query(knex);
+  t.deepEqual(byTime.results.map(({ recordId }) => recordId), ['A___1', 'granule1']);
+
+  const failures = await new AuditLogSearch({
+    queryStringParameters: { outcome: 'failure' },
+  }).query(knex);
+  t.like(failures.results[0], { statusCode: 403, username: 'user2' });
+});
@@ -0,0 +1,54 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  CollectionSearch,
+  fakeCollectionRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  migrationDir,
+} = require('../../dist');
+
+const testDbName = `collection_search_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  await new CollectionPgModel().insert(knex, [
+    fakeCollectionRecordFactory({ name: 'MOD09GQ', version: '006', updated_at: new Date(2020, 0, 1) }),
+    fakeCollectionRecordFactory({ name: 'MOD09GQ', version: '007', updated_at: new Date(2020, 0, 2) }),
+    fakeCollectionRecordFactory({ name: 'MYD13Q1', version: '006', updated_at: new Date(2020, 0, 3) }),
+  ]);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('CollectionSearch returns collections sorted by most recently updated', async (t) => {
+  const { meta, results } = await new CollectionSearch({}).query(t.context.knex);
+
+  t.like(meta, { table: 'collection', count: 3 });
+  t.deepEqual(
+    results.map(({ name, version }) => `${name}___${version}`),
+    ['MYD13Q1___006', 'MOD09GQ___007', 'MOD09GQ___006']
+  );
+});
+
+test('CollectionSearch filters collections', async (t) => {
+  const { meta, results } = await new CollectionSearch({
+    queryStringParameters: { prefix: 'MOD', version: '006', fields: 'name,version' },
+  }).query(t.context.knex);
+
+  t.is(meta.count, 1);
+  t.deepEqual(results, [{ name: 'MOD09GQ', version: '006' }]);
+});
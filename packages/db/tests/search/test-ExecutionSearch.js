@@ -0,0 +1,105 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const { constructCollectionId } = require('@cumulus/message/Collections');
+const {
+  AsyncOperationPgModel,
+  CollectionPgModel,
+  ExecutionPgModel,
+  ExecutionSearch,
+  fakeAsyncOperationRecordFactory,
+  fakeCollectionRecordFactory,
+  fakeExecutionRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  migrationDir,
+} = require('../../dist');
+
+const testDbName = `execution_search_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  const [collection] = await new CollectionPgModel().create(
+    knex,
+    fakeCollectionRecordFactory(),
+    '*'
+  );
+  t.context.collectionId = constructCollectionId(collection.name, collection.version);
+
+  const [asyncOperation] = await new AsyncOperationPgModel().create(
+    knex,
+    fakeAsyncOperationRecordFactory(),
+    '*'
+  );
+  t.context.asyncOperationId = asyncOperation.id;
+
+  const executionPgModel = new ExecutionPgModel();
+  const [parentExecution] = await executionPgModel.create(
+    knex,
+    fakeExecutionRecordFactory({ status: 'completed' }),
+    '*'
+  );
+  t.context.parentArn = parentExecution.arn;
+
+  const [childExecution] = await executionPgModel.create(
+    knex,
+    fakeExecutionRecordFactory({
+      status: 'failed',
+      workflow_name: 'IngestGranule',
+      collection_cumulus_id: collection.cumulus_id,
+      async_operation_cumulus_id: asyncOperation.cumulus_id,
+      parent_cumulus_id: parentExecution.cumulus_id,
+    }),
+    '*'
+  );
+  t.context.childExecution = childExecution;
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('ExecutionSearch returns all executions by default', async (t) => {
+  const { meta, results } = await new ExecutionSearch({}).query(t.context.knex);
+
+  t.like(meta, { table: 'execution', count: 2 });
+  t.is(results.length, 2);
+});
+
+test('ExecutionSearch filters by related collection, async operation and parent execution', async (t) => {
+  const {
+    knex,
+    asyncOperationId,
+    childExecution,
+    collectionId,
+    parentArn,
+  } = t.context;
+
+  const { meta, results } = await new ExecutionSearch({
+    queryStringParameters: {
+      collectionId,
+      asyncOperationId,
+      parentArn,
+      type: 'IngestGranule',
+      name: childExecution.arn.split(':').pop(),
+    },
+  }).query(knex);
+
+  t.is(meta.count, 1);
+  t.like(results[0], {
+    arn: childExecution.arn,
+    status: 'failed',
+    collectionId,
+    asyncOperationId,
+    parentArn,
+  });
+});
@@ -0,0 +1,181 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+const range = require('lodash/range');
+
+const { constructCollectionId } = require('@cumulus/message/Collections');
+const {
+  CollectionPgModel,
+  GranulePgModel,
+  GranuleSearch,
+  PdrPgModel,
+  ProviderPgModel,
+  fakeCollectionRecordFactory,
+  fakeGranuleRecordFactory,
+  fakePdrRecordFactory,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  migrationDir,
+} = require('../../dist');
+
+const testDbName = `granule_search_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  const collectionPgModel = new CollectionPgModel();
+  const [collection1, collection2] = await Promise.all([
+    fakeCollectionRecordFactory({ name: 'COLLECTION_A' }),
+    fakeCollectionRecordFactory({ name: 'COLLECTION_B' }),
+  ].map(async (record) => {
+    const [pgCollection] = await collectionPgModel.create(knex, record, '*');
+    return pgCollection;
+  }));
+  t.context.collectionId1 = constructCollectionId(collection1.name, collection1.version);
+
+  const [provider] = await new ProviderPgModel().create(
+    knex,
+    fakeProviderRecordFactory(),
+    '*'
+  );
+  t.context.providerName = provider.name;
+
+  const [pdr] = await new PdrPgModel().create(knex, fakePdrRecordFactory({
+    collection_cumulus_id: collection1.cumulus_id,
+    provider_cumulus_id: provider.cumulus_id,
+  }), '*');
+  t.context.pdrName = pdr.name;
+
+  const granulePgModel = new GranulePgModel();
+  t.context.granuleIds = range(12).map((i) => `granule-${`${i}`.padStart(2, '0')}`);
+  await granulePgModel.insert(
+    knex,
+    t.context.granuleIds.map((granuleId, i) => fakeGranuleRecordFactory({
+      granule_id: granuleId,
+      collection_cumulus_id: i % 2 ? collection2.cumulus_id : collection1.cumulus_id,
+      provider_cumulus_id: i < 3 ? provider.cumulus_id : undefined,
+      pdr_cumulus_id: i < 3 ? pdr.cumulus_id : undefined,
+      status: i < 4 ? 'failed' : 'completed',
+      cmr_link: i < 6 ? `https://cmr.uat.earthdata.nasa.gov/${granuleId}` : undefined,
+      timestamp: new Date(2020, 0, i + 1),
+      updated_at: new Date(2020, 0, i + 1),
+    }))
+  );
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('GranuleSearch returns the default page of granules sorted by timestamp', async (t) => {
+  const { knex, granuleIds } = t.context;
+
+  const { meta, results } = await new GranuleSearch({}).query(knex);
+
+  t.like(meta, { name: 'cumulus-api', table: 'granule', limit: 10, page: 1, count: 12 });
+  t.deepEqual(
+    results.map((granule) => granule.granuleId),
+    granuleIds.slice().reverse().slice(0, 10)
+  );
+});
+
+test('GranuleSearch pages through granules', async (t) => {
+  const { knex, granuleIds } = t.context;
+
+  const { meta, results } = await new GranuleSearch({
+    queryStringParameters: { limit: '5', page: '3', sort_by: 'granuleId', order: 'asc' },
+  }).query(knex);
+
+  t.is(meta.count, 12);
+  t.deepEqual(results.map((granule) => granule.granuleId), granuleIds.slice(10));
+});
+
+test('GranuleSearch filters by term, terms, not, exists and range parameters', async (t) => {
+  const { knex, collectionId1, granuleIds } = t.context;
+
+  const { meta, results } = await new GranuleSearch({
+    queryStringParameters: {
+      collectionId: collectionId1,
+      status__in: 'completed,running',
+      granuleId__not: 'granule-08',
+      cmrLink__exists: 'true',
+      timestamp__from: `${new Date(2020, 0, 2).getTime()}`,
+      sort_by: 'granuleId',
+      order: 'asc',
+    },
+  }).query(knex);
+
+  t.is(meta.count, 1);
+  t.deepEqual(results.map((granule) => granule.granuleId), [granuleIds[4]]);
+  t.is(results[0].collectionId, collectionId1);
+});
+
+test('GranuleSearch filters by related provider and PDR', async (t) => {
+  const { knex, pdrName, providerName } = t.context;
+
+  const { meta, results } = await new GranuleSearch({
+    queryStringParameters: { provider: providerName, pdrName },
+  }).query(knex);
+
+  t.is(meta.count, 3);
+  results.forEach((granule) => {
+    t.is(granule.provider, providerName);
+    t.is(granule.pdrName, pdrName);
+  });
+});
+
+test('GranuleSearch supports prefix, infix and fields parameters', async (t) => {
+  const { knex } = t.context;
+
+  const { meta, results } = await new GranuleSearch({
+    queryStringParameters: { prefix: 'granule-1', fields: 'granuleId,status', sort_key: ['+granuleId'] },
+  }).query(knex);
+
+  t.is(meta.count, 2);
+  t.deepEqual(results, [
+    { granuleId: 'granule-10', status: 'completed' },
+    { granuleId: 'granule-11', status: 'completed' },
+  ]);
+
+  const infixResponse = await new GranuleSearch({
+    queryStringParameters: { infix: 'ule-0' },
+  }).query(knex);
+  t.is(infixResponse.meta.count, 10);
+});
+
+test('GranuleSearch pages through granules with cursors', async (t) => {
+  const { knex, granuleIds } = t.context;
+  // The first 4 granules are failed and the rest are completed
+  const queryStringParameters = { limit: '5', sort_key: ['-status', '+granuleId'] };
+
+  const firstPage = await new GranuleSearch({ queryStringParameters }).query(knex);
+  const secondPage = await new GranuleSearch({
+    queryStringParameters: { ...queryStringParameters, cursor: firstPage.meta.nextCursor },
+  }).query(knex);
+  const lastPage = await new GranuleSearch({
+    queryStringParameters: { ...queryStringParameters, cursor: secondPage.meta.nextCursor },
+  }).query(knex);
+
+  t.is(lastPage.meta.count, 12);
+  t.is(lastPage.meta.nextCursor, null);
+  t.deepEqual(
+    [...firstPage.results, ...secondPage.results, ...lastPage.results]
+      .map((granule) => granule.granuleId),
+    granuleIds
+  );
+});
+
+test('GranuleSearch throws a ValidationError for an invalid cursor', (t) => {
+  t.throws(
+    () => new GranuleSearch({ queryStringParameters: { cursor: 'WyJmb28iXQ' } }),
+    { name: 'ValidationError' }
+  );
+});
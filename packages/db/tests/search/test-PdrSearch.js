@@ -0,0 +1,90 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  ExecutionPgModel,
+  PdrPgModel,
+  PdrSearch,
+  ProviderPgModel,
+  fakeCollectionRecordFactory,
+  fakeExecutionRecordFactory,
+  fakePdrRecordFactory,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  migrationDir,
+} = require('../../dist');
+
+const testDbName = `pdr_search_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  const [collection] = await new CollectionPgModel().create(
+    knex,
+    fakeCollectionRecordFactory(),
+    '*'
+  );
+  const [provider] = await new ProviderPgModel().create(
+    knex,
+    fakeProviderRecordFactory(),
+    '*'
+  );
+  const [execution] = await new ExecutionPgModel().create(
+    knex,
+    fakeExecutionRecordFactory(),
+    '*'
+  );
+  t.context.executionUrl = execution.url;
+
+  await new PdrPgModel().insert(knex, [
+    fakePdrRecordFactory({
+      name: 'completed.PDR',
+      status: 'completed',
+      pan_sent: true,
+      collection_cumulus_id: collection.cumulus_id,
+      provider_cumulus_id: provider.cumulus_id,
+      execution_cumulus_id: execution.cumulus_id,
+      timestamp: new Date(2020, 0, 2),
+    }),
+    fakePdrRecordFactory({
+      name: 'failed.PDR',
+      status: 'failed',
+      pan_sent: false,
+      collection_cumulus_id: collection.cumulus_id,
+      provider_cumulus_id: provider.cumulus_id,
+      timestamp: new Date(2020, 0, 1),
+    }),
+  ]);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('PdrSearch returns PDRs sorted by timestamp', async (t) => {
+  const { meta, results } = await new PdrSearch({}).query(t.context.knex);
+
+  t.like(meta, { table: 'pdr', count: 2 });
+  t.deepEqual(results.map(({ pdrName }) => pdrName), ['completed.PDR', 'failed.PDR']);
+});
+
+test('PdrSearch filters PDRs', async (t) => {
+  const { knex, executionUrl } = t.context;
+
+  const { meta, results } = await new PdrSearch({
+    queryStringParameters: { PANSent: 'true', execution: executionUrl },
+  }).query(knex);
+
+  t.is(meta.count, 1);
+  t.like(results[0], { pdrName: 'completed.PDR', status: 'completed', execution: executionUrl });
+});
@@ -0,0 +1,55 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  ProviderPgModel,
+  ProviderSearch,
+  fakeProviderRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  migrationDir,
+} = require('../../dist');
+
+const testDbName = `provider_search_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  await new ProviderPgModel().insert(knex, [
+    fakeProviderRecordFactory({ name: 's3_provider', protocol: 's3' }),
+    fakeProviderRecordFactory({ name: 'http_provider', protocol: 'http', host: 'example.com', port: 8080 }),
+    fakeProviderRecordFactory({ name: 'https_provider', protocol: 'https', host: 'example.com' }),
+  ]);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('ProviderSearch filters providers by API field names', async (t) => {
+  const { meta, results } = await new ProviderSearch({
+    queryStringParameters: { protocol__in: 'http,https', port__exists: 'false' },
+  }).query(t.context.knex);
+
+  t.like(meta, { table: 'provider', count: 1 });
+  t.like(results[0], { id: 'https_provider', protocol: 'https', host: 'example.com' });
+});
+
+test('ProviderSearch supports sorting by the provider ID', async (t) => {
+  const { results } = await new ProviderSearch({
+    queryStringParameters: { sort_by: 'id', order: 'asc' },
+  }).query(t.context.knex);
+
+  t.deepEqual(
+    results.map(({ id }) => id),
+    ['http_provider', 'https_provider', 's3_provider']
+  );
+});
@@ -0,0 +1,86 @@
+const test = require('ava');
+const cryptoRandomString = require('crypto-random-string');
+
+const {
+  CollectionPgModel,
+  ProviderPgModel,
+  RulePgModel,
+  RuleSearch,
+  fakeCollectionRecordFactory,
+  fakeProviderRecordFactory,
+  fakeRuleRecordFactory,
+  generateLocalTestDb,
+  destroyLocalTestDb,
+  migrationDir,
+} = require('../../dist');
+
+const testDbName = `rule_search_${cryptoRandomString({ length: 10 })}`;
+
+test.before(async (t) => {
+  const { knexAdmin, knex } = await generateLocalTestDb(
+    testDbName,
+    migrationDir
+  );
+  t.context.knexAdmin = knexAdmin;
+  t.context.knex = knex;
+
+  const [collection] = await new CollectionPgModel().create(
+    knex,
+    fakeCollectionRecordFactory(),
+    '*'
+  );
+  t.context.collection = collection;
+  const [provider] = await new ProviderPgModel().create(
+    knex,
+    fakeProviderRecordFactory(),
+    '*'
+  );
+  t.context.provider = provider;
+
+  await new RulePgModel().insert(knex, [
+    fakeRuleRecordFactory({
+      name: 'enabledRule',
+      enabled: true,
+      collection_cumulus_id: collection.cumulus_id,
+      provider_cumulus_id: provider.cumulus_id,
+    }),
+    fakeRuleRecordFactory({ name: 'disabledRule', enabled: false }),
+  ]);
+});
+
+test.after.always(async (t) => {
+  await destroyLocalTestDb({
+    ...t.context,
+    testDbName,
+  });
+});
+
+test('RuleSearch filters rules by state', async (t) => {
+  const { meta, results } = await new RuleSearch({
+    queryStringParameters: { state: 'DISABLED' },
+  }).query(t.context.knex);
+
+  t.like(meta, { table: 'rule', count: 1 });
+  t.like(results[0], { name: 'disabledRule', state: 'DISABLED' });
+});
+
+test('RuleSearch filters rules by related collection and provider', async (t) => {
+  const { knex, collection, provider } = t.context;
+
+  const { meta, results } = await new RuleSearch({
+    queryStringParameters: {
+      'collection.name': collection.name,
+      'collection.version': collection.version,
+      provider: provider.name,
+      'rule.type': 'onetime',
+    },
+  }).query(knex);
+
+  t.is(meta.count, 1);
+  t.like(results[0], {
+    name: 'enabledRule',
+    state: 'ENABLED',
+    provider: provider.name,
+    collection: { name: collection.name, version: collection.version },
+  });
+});
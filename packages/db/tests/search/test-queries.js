@@ -0,0 +1,119 @@
+const test = require('ava');
+
+const { ValidationError } = require('@cumulus/errors');
+const {
+  convertQueryStringToDbQueryParameters,
+} = require('../../dist');
+const { fieldMappings } = require('../../dist/search/field-mapping');
+
+const convertGranuleQuery = (queryStringParameters) =>
+  convertQueryStringToDbQueryParameters({
+    fieldMapping: fieldMappings.granule,
+    queryStringParameters,
+    defaultSortField: 'timestamp',
+  });
+
+test('convertQueryStringToDbQueryParameters() returns default paging and sort parameters', (t) => {
+  const dbQueryParameters = convertGranuleQuery({});
+
+  t.is(dbQueryParameters.limit, 10);
+  t.is(dbQueryParameters.page, 1);
+  t.is(dbQueryParameters.offset, 0);
+  t.deepEqual(
+    dbQueryParameters.sort,
+    [{ field: fieldMappings.granule.timestamp, order: 'desc' }]
+  );
+  t.deepEqual(dbQueryParameters.term, []);
+});
+
+test('convertQueryStringToDbQueryParameters() converts the limit and page to an offset', (t) => {
+  const dbQueryParameters = convertGranuleQuery({ limit: '500', page: '3' });
+
+  t.is(dbQueryParameters.limit, 500);
+  t.is(dbQueryParameters.page, 3);
+  t.is(dbQueryParameters.offset, 1000);
+
+  t.is(convertGranuleQuery({ limit: '20', skip: '2' }).offset, 20);
+});
+
+test('convertQueryStringToDbQueryParameters() throws a ValidationError for a limit or page that is not a positive integer', (t) => {
+  [
+    { limit: 'abc' },
+    { limit: '0' },
+    { limit: '-5' },
+    { limit: '1.5' },
+    { page: '0' },
+    { page: 'abc' },
+    { skip: '-1' },
+  ].forEach((queryStringParameters) => {
+    t.throws(
+      () => convertGranuleQuery(queryStringParameters),
+      { instanceOf: ValidationError, message: /must be a positive integer/ },
+      JSON.stringify(queryStringParameters)
+    );
+  });
+});
+
+test('convertQueryStringToDbQueryParameters() converts sort_by/order and sort_key parameters', (t) => {
+  t.deepEqual(
+    convertGranuleQuery({ sort_by: 'granuleId', order: 'asc' }).sort,
+    [{ field: fieldMappings.granule.granuleId, order: 'asc' }]
+  );
+  t.deepEqual(
+    convertGranuleQuery({ sort_key: ['-status', '+granuleId'] }).sort,
+    [
+      { field: fieldMappings.granule.status, order: 'desc' },
+      { field: fieldMappings.granule.granuleId, order: 'asc' },
+    ]
+  );
+});
+
+test('convertQueryStringToDbQueryParameters() converts term, terms, not, exists and range parameters', (t) => {
+  const dbQueryParameters = convertGranuleQuery({
+    status: 'completed',
+    granuleId__in: 'granule-1,granule-2',
+    provider__not: 'some-provider',
+    cmrLink__exists: 'false',
+    published: 'true',
+    updatedAt__from: '1000',
+    updatedAt__to: '2020-01-01T00:00:00.000Z',
+    fields: 'granuleId,status',
+    prefix: 'MOD',
+  });
+
+  t.deepEqual(dbQueryParameters.term, [
+    { field: fieldMappings.granule.status, value: 'completed' },
+    { field: fieldMappings.granule.published, value: true },
+  ]);
+  t.deepEqual(dbQueryParameters.terms, [
+    { field: fieldMappings.granule.granuleId, values: ['granule-1', 'granule-2'] },
+  ]);
+  t.deepEqual(dbQueryParameters.not, [
+    { field: fieldMappings.granule.provider, value: 'some-provider' },
+  ]);
+  t.deepEqual(dbQueryParameters.exists, [
+    { field: fieldMappings.granule.cmrLink, exists: false },
+  ]);
+  t.deepEqual(dbQueryParameters.range, [{
+    field: fieldMappings.granule.updatedAt,
+    from: new Date(1000),
+    to: new Date('2020-01-01T00:00:00.000Z'),
+  }]);
+  t.deepEqual(dbQueryParameters.fields, ['granuleId', 'status']);
+  t.is(dbQueryParameters.prefix, 'MOD');
+});
+
+test('convertQueryStringToDbQueryParameters() throws a ValidationError for unsupported fields', (t) => {
+  t.throws(
+    () => convertGranuleQuery({ notAField: 'value' }),
+    { instanceOf: ValidationError }
+  );
+  t.throws(
+    () => convertGranuleQuery({ sort_by: 'notAField', order: 'asc' }),
+    { instanceOf: ValidationError }
+  );
+  t.throws(
+    () => convertGranuleQuery({ q: 'granuleId:abc' }),
+    { instanceOf: ValidationError }
+  );
+});
@@ -62,3 +62,40 @@ test('translateApiCollectionToPostgresCollection converts API collection to Post
     expectedPostgresCollection
   );
 });
+
+test('translatePostgresCollectionToApiCollection converts the UMM-C metadata and CMR publishing state', (t) => {
+  const ummC = { ShortName: 'COLL', Version: '001' };
+  const collectionRecord = fakeCollectionRecordFactory({
+    umm_c: ummC,
+    published: true,
+    cmr_concept_id: 'C1234-CUMULUS',
+    updated_at: new Date(),
+    created_at: new Date(),
+  });
+
+  t.like(translatePostgresCollectionToApiCollection(collectionRecord), {
+    ummC,
+    published: true,
+    cmrConceptId: 'C1234-CUMULUS',
+  });
+});
+
+test('translateApiCollectionToPostgresCollection converts the UMM-C metadata and CMR publishing state', (t) => {
+  const ummC = { ShortName: 'COLL', Version: '001' };
+  const apiCollection = {
+    name: 'COLL',
+    version: '001',
+    granuleIdExtraction: '.*',
+    granuleId: '.*',
+    files: [],
+    ummC,
+    published: false,
+    cmrConceptId: 'C1234-CUMULUS',
+  };
+
+  t.like(translateApiCollectionToPostgresCollection(apiCollection), {
+    umm_c: ummC,
+    published: false,
+    cmr_concept_id: 'C1234-CUMULUS',
+  });
+});
@@ -614,6 +614,58 @@ test('translatePostgresGranuleToApiGranule handles granule with no associated ex
   );
 });
 
+test('translatePostgresGranuleToApiGranule includes cmrPublishStatus when set', async (t) => {
+  const {
+    knex,
+    collectionCumulusId,
+    granulePgModel,
+  } = t.context;
+
+  const [granule] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: collectionCumulusId,
+      cmr_publish_status: 'pending',
+      published: false,
+    }),
+    '*'
+  );
+
+  const result = await translatePostgresGranuleToApiGranule({
+    granulePgRecord: granule,
+    knexOrTransaction: knex,
+  });
+
+  t.is(result.cmrPublishStatus, 'pending');
+  t.false(result.published);
+});
+
+test('translatePostgresGranuleToApiGranule includes publishAt of an embargoed granule', async (t) => {
+  const {
+    knex,
+    collectionCumulusId,
+    granulePgModel,
+  } = t.context;
+  const publishAt = new Date(Date.now() + 3600 * 1000);
+
+  const [granule] = await granulePgModel.create(
+    knex,
+    fakeGranuleRecordFactory({
+      collection_cumulus_id: collectionCumulusId,
+      publish_at: publishAt,
+      published: false,
+    }),
+    '*'
+  );
+
+  const result = await translatePostgresGranuleToApiGranule({
+    granulePgRecord: granule,
+    knexOrTransaction: knex,
+  });
+
+  t.is(result.publishAt, publishAt.toISOString());
+});
+
 test('translateApiGranuleToPostgresGranule converts API granule to Postgres', async (t) => {
   const collectionCumulusId = 1;
   const providerCumulusId = 2;
@@ -628,6 +680,7 @@ test('translateApiGranuleToPostgresGranule converts API granule to Postgres', as
     pdrName: 'pdr-name',
     provider: 'provider',
     published: false,
+    publishAt: new Date(Date.now() + 3600 * 1000).toISOString(),
     status: 'running',
     files: [
       {
@@ -664,6 +717,7 @@ test('translateApiGranuleToPostgresGranule converts API granule to Postgres', as
   const expectedPostgresGranule = {
     beginning_date_time: new Date(apiGranule.beginningDateTime),
     cmr_link: apiGranule.cmrLink,
+    cmr_publish_status: apiGranule.cmrPublishStatus,
     collection_cumulus_id: collectionCumulusId,
     created_at: new Date(apiGranule.createdAt),
     duration: apiGranule.duration,
@@ -677,6 +731,7 @@ test('translateApiGranuleToPostgresGranule converts API granule to Postgres', as
     product_volume: apiGranule.productVolume,
     production_date_time: new Date(apiGranule.productionDateTime),
     provider_cumulus_id: providerCumulusId,
+    publish_at: new Date(apiGranule.publishAt),
     published: apiGranule.published,
     query_fields: apiGranule.query_fields,
     status: apiGranule.status,
@@ -700,6 +755,29 @@ test('translateApiGranuleToPostgresGranule converts API granule to Postgres', as
   );
 });
 
+test('translateApiGranuleToPostgresGranule translates a null publishAt to a null publish_at', async (t) => {
+  const fakeModel = {
+    getRecordCumulusId: () => Promise.resolve(1),
+  };
+  const apiGranule = {
+    granuleId: cryptoRandomString({ length: 5 }),
+    collectionId: constructCollectionId('name', 'version'),
+    status: 'completed',
+    publishAt: null,
+  };
+
+  const result = await translateApiGranuleToPostgresGranule(
+    apiGranule,
+    {},
+    fakeModel,
+    fakeModel,
+    fakeModel
+  );
+
+  t.true('publish_at' in result);
+  t.is(result.publish_at, null);
+});
+
 test('translatePostgresGranuleResultToApiGranule converts DB result to API granule', async (t) => {
   const {
     postgresGranule,
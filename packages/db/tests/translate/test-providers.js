@@ -12,6 +12,8 @@ test.beforeEach(() => {
 
 test('translatePostgresProviderToApiProvider translates the expected API record', (t) => {
   const allowedRedirects = ['host-1', 'host-2'];
+  const httpListing = { mode: 'manifest', indexFile: 'SHA256SUMS' };
+  const httpAuth = { type: 'bearer', secretId: 'provider-token' };
   const postgresProviderObject = {
     certificate_uri: 'fakeUri',
     cm_key_id: 'fakecmId',
@@ -26,6 +28,8 @@ test('translatePostgresProviderToApiProvider translates the expected API record'
     updated_at: new Date(5678),
     username: 'fakeEncryptedUsernameString',
     allowed_redirects: allowedRedirects,
+    http_listing: httpListing,
+    http_auth: httpAuth,
   };
 
   const expected = {
@@ -43,6 +47,8 @@ test('translatePostgresProviderToApiProvider translates the expected API record'
     updatedAt: 5678,
     username: 'fakeEncryptedUsernameString',
     allowedRedirects,
+    httpListing,
+    httpAuth,
   };
 
   const result = translatePostgresProviderToApiProvider(postgresProviderObject);
@@ -83,6 +89,8 @@ test('translatePostgresProviderToApiProvider does not return encrypted key if us
 test('translateApiProviderToPostgresProvider translates a Cumulus Provider object to a Postgres Provider object', async (t) => {
   const fakeEncryptFunction = (str) => Promise.resolve(`encrypted[${str}]`);
   const allowedRedirects = ['host-1', 'host-2'];
+  const httpListing = { mode: 'manifest', indexFile: 'SHA256SUMS' };
+  const httpAuth = { type: 'bearer', secretId: 'provider-token' };
   const cumulusProviderObject = {
     id: 'testId',
     globalConnectionLimit: 1,
@@ -98,6 +106,8 @@ test('translateApiProviderToPostgresProvider translates a Cumulus Provider objec
     cmKeyId: 'fakecmId',
     certificateUri: 'fakeUri',
     allowedRedirects,
+    httpListing,
+    httpAuth,
   };
 
   const expected = {
@@ -114,6 +124,8 @@ test('translateApiProviderToPostgresProvider translates a Cumulus Provider objec
     updated_at: new Date(5678),
     username: 'encrypted[fakeUsername]',
     allowed_redirects: allowedRedirects,
+    http_listing: httpListing,
+    http_auth: httpAuth,
   };
   const result = await translateApiProviderToPostgresProvider(
     cumulusProviderObject,
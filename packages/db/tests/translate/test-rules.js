@@ -38,6 +38,11 @@ test('translateApiRuleToPostgresRuleRaw converts API rule to Postgres and keeps
     type: record.rule.type,
     value: record.rule.value,
     log_event_arn: undefined,
+    key_prefix: undefined,
+    key_suffix: undefined,
+    auth_type: undefined,
+    payload_schema: undefined,
+    filter_expression: undefined,
     enabled: true,
     tags: undefined,
     execution_name_prefix: undefined,
@@ -219,6 +224,94 @@ test('translatePostgresRuleToApiRule converts Postgres rule to API rule', async
   );
 });
 
+test('translateApiRuleToPostgresRule and translatePostgresRuleToApiRule convert the object key filters of s3 rules', async (t) => {
+  const record = {
+    name: 'name',
+    workflow: 'workflow_name',
+    state: 'ENABLED',
+    rule: {
+      type: 's3',
+      value: 'landing-bucket',
+      prefix: 'incoming/',
+      suffix: '.h5',
+    },
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+
+  const pgRule = await translateApiRuleToPostgresRule(record, {});
+  t.like(pgRule, {
+    type: 's3',
+    value: 'landing-bucket',
+    key_prefix: 'incoming/',
+    key_suffix: '.h5',
+  });
+
+  const apiRule = await translatePostgresRuleToApiRule(
+    { ...pgRule, created_at: new Date(record.createdAt), updated_at: new Date(record.updatedAt) },
+    {}
+  );
+  t.deepEqual(apiRule.rule, record.rule);
+});
+
+test('translateApiRuleToPostgresRule and translatePostgresRuleToApiRule convert the authentication type and payload schema of http rules', async (t) => {
+  const record = {
+    name: 'name',
+    workflow: 'workflow_name',
+    state: 'ENABLED',
+    rule: {
+      type: 'http',
+      value: 'rule-secret',
+      authType: 'hmac',
+      payloadSchema: {
+        type: 'object',
+        properties: { granuleId: { type: 'string' } },
+        required: ['granuleId'],
+      },
+    },
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+
+  const pgRule = await translateApiRuleToPostgresRule(record, {});
+  t.like(pgRule, {
+    type: 'http',
+    value: 'rule-secret',
+    auth_type: 'hmac',
+  });
+  t.deepEqual(pgRule.payload_schema, record.rule.payloadSchema);
+
+  const apiRule = await translatePostgresRuleToApiRule(
+    { ...pgRule, created_at: new Date(record.createdAt), updated_at: new Date(record.updatedAt) },
+    {}
+  );
+  t.deepEqual(apiRule.rule, record.rule);
+});
+
+test('translateApiRuleToPostgresRule and translatePostgresRuleToApiRule convert the filter expression of rules', async (t) => {
+  const record = {
+    name: 'name',
+    workflow: 'workflow_name',
+    state: 'ENABLED',
+    rule: {
+      type: 'kinesis',
+      value: 'arn:aws:kinesis:us-east-1:123456789012:stream/cnm',
+      filterExpression: "product.dataVersion == '006'",
+    },
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+
+  const pgRule = await translateApiRuleToPostgresRule(record, {});
+  t.is(pgRule.filter_expression, record.rule.filterExpression);
+
+  const apiRule = await translatePostgresRuleToApiRule(
+    { ...pgRule, created_at: new Date(record.createdAt), updated_at: new Date(record.updatedAt) },
+    {}
+  );
+  t.deepEqual(apiRule.rule, record.rule);
+});
+
 test('translatePostgresRuleToApiRule handles optional fields', async (t) => {
   const pgRecord = {
     name: 'testRule',
@@ -2,8 +2,10 @@ import JSFtp, { ListError } from 'jsftp';
 import { PassThrough } from 'stream';
 import isNil from 'lodash/isNil';
 import * as S3 from '@cumulus/aws-client/S3';
+import { RemoteResourceError } from '@cumulus/errors';
 import Logger from '@cumulus/logger';
 import { Socket } from 'net';
+import { buildExplicitTlsSocketFactory } from './ftpsSocket';
 import { recursion } from './recursion';
 import { lookupMimeType, decrypt } from './util';
 import {
@@ -13,8 +15,10 @@ import {
 } from './types';
 
 interface FtpProviderClientConstructorParams {
+  protocol?: string;
   host: string;
   port?: number;
+  certificateUri?: string;
   useList?: boolean;
   username?: string;
   password?: string;
@@ -29,8 +33,10 @@ const logger = new Logger({ sender: '@cumulus/ingest/FtpProviderClient' });
 
 class FtpProviderClient implements ProviderClient {
   private readonly providerConfig: FtpProviderClientConstructorParams;
+  private readonly protocol: string;
   private readonly host: string;
   private ftpClient?: JSFtp;
+  private certificate?: string;
   private plaintextUsername?: string;
   private plaintextPassword?: string;
 
@@ -38,8 +44,13 @@ class FtpProviderClient implements ProviderClient {
   // servers return inconsistent results when using
   // 'STAT' command. We can use 'LIST' in those cases by
   // setting the variable `useList` to true
+  //
+  // Providers with the 'ftps' protocol connect with explicit TLS, verifying
+  // the server certificate against the CA certificate of `certificateUri` if
+  // set, or the default CA certificates otherwise
   constructor(providerConfig: FtpProviderClientConstructorParams) {
     this.providerConfig = providerConfig;
+    this.protocol = providerConfig.protocol ?? 'ftp';
     this.host = providerConfig.host;
 
     if ((providerConfig.encrypted ?? false) === false) {
@@ -78,14 +89,33 @@ class FtpProviderClient implements ProviderClient {
     return this.plaintextPassword;
   }
 
+  async downloadTLSCertificate(): Promise<void> {
+    if (!this.providerConfig.certificateUri || this.certificate !== undefined) return;
+    try {
+      const { Bucket, Key } = S3.parseS3Uri(this.providerConfig.certificateUri);
+      this.certificate = await S3.getTextObject(Bucket, Key);
+    } catch (error) {
+      throw new RemoteResourceError(`Failed to fetch CA certificate: ${error}`);
+    }
+  }
+
   async buildFtpClient(): Promise<JSFtp> {
     if (isNil(this.ftpClient)) {
+      let createSocket;
+      if (this.protocol === 'ftps') {
+        await this.downloadTLSCertificate();
+        createSocket = buildExplicitTlsSocketFactory({
+          host: this.host,
+          tlsOptions: this.certificate ? { ca: this.certificate } : {},
+        });
+      }
       this.ftpClient = new JSFtp({
         host: this.host,
         port: this.providerConfig.port ?? 21,
         user: await this.getUsername(),
         pass: await this.getPassword(),
         useList: this.providerConfig.useList ?? false,
+        ...(createSocket && { createSocket }),
       });
     }
     return this.ftpClient;
@@ -123,7 +153,7 @@ class FtpProviderClient implements ProviderClient {
   }): Promise<string> {
     const { remotePath, localPath } = params;
 
-    const remoteUrl = `ftp://${this.host}/${remotePath}`;
+    const remoteUrl = `${this.protocol}://${this.host}/${remotePath}`;
     logger.info(`Downloading ${remoteUrl} to ${localPath}`);
 
     const client = await this.buildFtpClient();
@@ -201,6 +231,38 @@ class FtpProviderClient implements ProviderClient {
     }));
   }
 
+  /**
+   * Upload a local file to the FTP server
+   *
+   * @param {Object} params             - parameter object
+   * @param {string} params.localPath   - the full path of the local file to upload
+   * @param {string} params.uploadPath  - the full remote destination file path
+   * @returns {Promise.<string>}        - the URL of the uploaded file
+   */
+  async upload(params: {
+    localPath: string,
+    uploadPath: string,
+  }): Promise<string> {
+    const { localPath, uploadPath } = params;
+
+    const remoteUrl = `${this.protocol}://${this.host}/${uploadPath}`;
+    logger.info(`Uploading ${localPath} to ${remoteUrl}`);
+
+    const client = await this.buildFtpClient();
+
+    return new Promise((resolve, reject) => {
+      client.on('error', this.errorHandler.bind(this, reject));
+      client.put(localPath, uploadPath, (err) => {
+        if (err) {
+          return this.errorHandler(reject, err);
+        }
+        logger.info(`Finished uploading ${localPath} to ${remoteUrl}`);
+        client.destroy();
+        return resolve(remoteUrl);
+      });
+    });
+  }
+
   /**
    * Download the remote file to a given s3 location
    *
@@ -217,7 +279,7 @@ class FtpProviderClient implements ProviderClient {
     destinationKey: string
   }): Promise<{ s3uri: string, etag?: string }> {
     const { fileRemotePath, destinationBucket, destinationKey } = params;
-    const remoteUrl = `ftp://${this.host}/${fileRemotePath}`;
+    const remoteUrl = `${this.protocol}://${this.host}/${fileRemotePath}`;
     const s3uri = S3.buildS3Uri(destinationBucket, destinationKey);
     logger.info(`Sync ${remoteUrl} to ${s3uri}`);
 
@@ -3,7 +3,7 @@
 const fs = require('fs');
 const https = require('https');
 const isIp = require('is-ip');
-const { basename } = require('path');
+const { basename, posix } = require('path');
 const { pipeline } = require('stream');
 const Crawler = require('simplecrawler');
 const got = require('got');
@@ -22,6 +22,20 @@ const { buildURL } = require('@cumulus/common/URLUtils');
 const errors = require('@cumulus/errors');
 
 const { lookupMimeType, decrypt } = require('./util');
+const {
+  getBearerToken,
+  getClientCertificate,
+  getEarthdataLoginToken,
+} = require('./httpAuth');
+const {
+  getIndexFilePath,
+  getManifestChecksumType,
+  getStacItemAssetFiles,
+  getStacItems,
+  getStacLinkUrls,
+  parseChecksumManifest,
+  parseJsonIndex,
+} = require('./httpListing');
 
 const validateHost = (host) => {
   if (isValidHostname(host) || isIp(host)) return;
@@ -31,6 +45,9 @@ const validateHost = (host) => {
 
 const redirectCodes = new Set([300, 301, 302, 303, 304, 307, 308]);
 
+// Maximum number of concurrent HEAD requests looking up file stats
+const statConcurrency = 10;
+
 class HttpProviderClient {
   constructor(providerConfig) {
     this.providerConfig = providerConfig;
@@ -38,6 +55,9 @@ class HttpProviderClient {
     this.host = providerConfig.host;
     this.port = providerConfig.port;
     this.httpListTimeout = providerConfig.httpListTimeout;
+    this.httpListing = providerConfig.httpListing || {};
+    this.httpAuth = providerConfig.httpAuth || {};
+    this.authType = this.httpAuth.type || 'basic';
     this.gotOptions = {};
     this.certificateUri = providerConfig.certificateUri;
     if (providerConfig.username && !providerConfig.password) {
@@ -56,19 +76,70 @@ class HttpProviderClient {
     });
   }
 
-  async setUpGotOptions() {
-    if (this.encrypted === true) {
-      this.username = await decrypt(this.providerConfig.username);
-      this.password = await decrypt(this.providerConfig.password);
-    } else {
-      this.username = this.providerConfig.username;
-      this.password = this.providerConfig.password;
+  /**
+   * Load the credentials of the authentication type of the provider's
+   * `httpAuth.type`:
+   *
+   * - `basic` (default) uses the provider's username and password
+   * - `bearer` sends the token of the `httpAuth.secretId` Secrets Manager
+   *   secret in an `Authorization: Bearer` header
+   * - `edl` logs in to Earthdata Login with the application and user
+   *   credentials of the `httpAuth.secretId` secret, at `httpAuth.loginUrl`,
+   *   and sends the access token in an `Authorization: Bearer` header
+   * - `certificate` authenticates with the client certificate and key of the
+   *   `httpAuth.secretId` secret
+   *
+   * Credentials are loaded once per client.
+   */
+  async setUpAuthentication() {
+    switch (this.authType) {
+    case 'basic':
+      if (this.encrypted === true) {
+        this.username = await decrypt(this.providerConfig.username);
+        this.password = await decrypt(this.providerConfig.password);
+      } else {
+        this.username = this.providerConfig.username;
+        this.password = this.providerConfig.password;
+      }
+      break;
+    case 'bearer':
+      if (this.authorization === undefined) {
+        this.authorization = `Bearer ${await getBearerToken(this.httpAuth)}`;
+      }
+      break;
+    case 'edl':
+      if (this.authorization === undefined) {
+        this.authorization = `Bearer ${await getEarthdataLoginToken(this.httpAuth)}`;
+      }
+      break;
+    case 'certificate':
+      if (this.clientCertificate === undefined) {
+        this.clientCertificate = await getClientCertificate(this.httpAuth);
+      }
+      break;
+    default:
+      throw new TypeError(`provider.httpAuth.type is not a supported authentication type: ${this.authType}`);
     }
+  }
+
+  async setUpGotOptions() {
+    await this.setUpAuthentication();
 
     this.gotOptions.cookieJar = new CookieJar();
 
     if (this.username) this.gotOptions.username = this.username;
     if (this.password) this.gotOptions.password = this.password;
+    if (this.authorization) {
+      this.gotOptions.headers = { authorization: this.authorization };
+    }
+    if (this.clientCertificate) {
+      this.gotOptions.https = {
+        ...this.gotOptions.https,
+        certificate: this.clientCertificate.certificate,
+        key: this.clientCertificate.key,
+        passphrase: this.clientCertificate.passphrase,
+      };
+    }
 
     const RedirectHandler = {
       // Need to use named function and not fat arrow
@@ -87,8 +158,12 @@ class HttpProviderClient {
 
         if (redirectCodes.has(response.statusCode)) {
           /* eslint-disable no-param-reassign */
-          options.url.username = this.username;
-          options.url.password = this.password;
+          if (this.authorization) {
+            options.headers.authorization = this.authorization;
+          } else {
+            options.url.username = this.username;
+            options.url.password = this.password;
+          }
           /* eslint-enable no-param-reassign */
         }
       },
@@ -114,13 +189,46 @@ class HttpProviderClient {
   }
 
   /**
-   * List all PDR files from a given endpoint
+   * List all files from a given endpoint, with the listing mode of the
+   * provider's `httpListing.mode`:
+   *
+   * - `html` (default) scrapes the links of the HTML index page of the path
+   * - `json` reads a JSON index file of the path, `index.json` by default
+   * - `stac` traverses a STAC catalog or API, `catalog.json` by default, and
+   *   lists the assets of its items
+   * - `manifest` reads a checksum manifest of the path, `MD5SUMS` by default
+   *
+   * The index file of the structured modes is set by `httpListing.indexFile`,
+   * relative to the listed path.
    *
    * @param {string} path - the remote path to list
    * @returns {Promise<Array>} a list of files
    */
   async list(path) {
+    const mode = this.httpListing.mode || 'html';
+    switch (mode) {
+    case 'html':
+      return await this.listHtml(path);
+    case 'json':
+      return await this.listJsonIndex(path);
+    case 'stac':
+      return await this.listStacCatalog(path);
+    case 'manifest':
+      return await this.listChecksumManifest(path);
+    default:
+      throw new TypeError(`provider.httpListing.mode is not a supported listing mode: ${mode}`);
+    }
+  }
+
+  /**
+   * List the files linked from the HTML index page of a path
+   *
+   * @param {string} path - the remote path to list
+   * @returns {Promise<Array>} a list of files
+   */
+  async listHtml(path) {
     validateHost(this.host);
+    await this.setUpAuthentication();
     await this.downloadTLSCertificate();
 
     // Make pattern case-insensitive and return all matches
@@ -137,8 +245,24 @@ class HttpProviderClient {
       })
     );
 
-    if (this.protocol === 'https' && this.certificate !== undefined) {
-      c.httpsAgent = new https.Agent({ ca: this.certificate });
+    if (this.protocol === 'https'
+      && (this.certificate !== undefined || this.clientCertificate !== undefined)) {
+      c.httpsAgent = new https.Agent({
+        ca: this.certificate,
+        ...(this.clientCertificate && {
+          cert: this.clientCertificate.certificate,
+          key: this.clientCertificate.key,
+          passphrase: this.clientCertificate.passphrase,
+        }),
+      });
+    }
+    if (this.username) {
+      c.needsAuth = true;
+      c.authUser = this.username;
+      c.authPass = this.password;
+    }
+    if (this.authorization) {
+      c.customHeaders = { Authorization: this.authorization };
     }
     if (this.httpListTimeout) {
       c.timeout = this.httpListTimeout * 1000;
@@ -203,6 +327,172 @@ class HttpProviderClient {
     });
   }
 
+  /**
+   * Fetch a document of a structured listing
+   *
+   * @param {string} remoteUrl - the URL of the document
+   * @param {string} responseType - `json` or `text`
+   * @returns {Promise<unknown>} the parsed body of the document
+   */
+  async fetchListingDocument(remoteUrl, responseType) {
+    log.info(`Fetching listing document ${remoteUrl}`);
+    try {
+      return await got(remoteUrl, {
+        ...this.gotOptions,
+        responseType,
+        resolveBodyOnly: true,
+        ...(this.httpListTimeout && { timeout: this.httpListTimeout * 1000 }),
+      });
+    } catch (error) {
+      throw new errors.RemoteResourceError(`Failed to fetch listing document ${remoteUrl}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the files of a path from a JSON index file, see
+   * `@cumulus/ingest/httpListing.parseJsonIndex`
+   *
+   * @param {string} path - the remote path to list
+   * @returns {Promise<Array>} a list of files
+   */
+  async listJsonIndex(path) {
+    validateHost(this.host);
+    await this.setUpGotOptions();
+    await this.downloadTLSCertificate();
+
+    const index = await this.fetchListingDocument(
+      buildURL({
+        protocol: this.protocol,
+        host: this.host,
+        port: this.port,
+        path: getIndexFilePath(path, this.httpListing),
+      }),
+      'json'
+    );
+    return parseJsonIndex(index, path);
+  }
+
+  /**
+   * List the files of a path from a checksum manifest, see
+   * `@cumulus/ingest/httpListing.parseChecksumManifest`. The checksum type
+   * of the manifest is `httpListing.checksumType`, or inferred from its name.
+   *
+   * @param {string} path - the remote path to list
+   * @returns {Promise<Array>} a list of files
+   */
+  async listChecksumManifest(path) {
+    validateHost(this.host);
+    await this.setUpGotOptions();
+    await this.downloadTLSCertificate();
+
+    const manifestPath = getIndexFilePath(path, this.httpListing);
+    const manifest = await this.fetchListingDocument(
+      buildURL({
+        protocol: this.protocol,
+        host: this.host,
+        port: this.port,
+        path: manifestPath,
+      }),
+      'text'
+    );
+    return parseChecksumManifest(
+      manifest,
+      path,
+      this.httpListing.checksumType || getManifestChecksumType(manifestPath)
+    );
+  }
+
+  /**
+   * List the assets of the items of a STAC catalog or API, following the
+   * child, item and next page links of the catalog from its root document.
+   * Documents and assets hosted on another host than the provider are
+   * skipped.
+   *
+   * @param {string} path - the remote path to list
+   * @returns {Promise<Array>} a list of files
+   */
+  async listStacCatalog(path) {
+    validateHost(this.host);
+    await this.setUpGotOptions();
+    await this.downloadTLSCertificate();
+
+    const providerHost = new URL(this.endpoint).host;
+    const files = [];
+    const visitedUrls = new Set();
+    const documentUrls = [
+      buildURL({
+        protocol: this.protocol,
+        host: this.host,
+        port: this.port,
+        path: getIndexFilePath(path, this.httpListing),
+      }),
+    ];
+
+    while (documentUrls.length > 0) {
+      const documentUrl = documentUrls.shift();
+      if (new URL(documentUrl).host !== providerHost) {
+        log.info(`Skipping STAC document ${documentUrl} hosted on another host than the provider`);
+      } else if (!visitedUrls.has(documentUrl)) {
+        visitedUrls.add(documentUrl);
+        // eslint-disable-next-line no-await-in-loop
+        const document = await this.fetchListingDocument(documentUrl, 'json');
+        getStacItems(document).forEach((item) => {
+          files.push(...getStacItemAssetFiles(item, documentUrl, providerHost));
+        });
+        documentUrls.push(...getStacLinkUrls(document, documentUrl));
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Add the modification time and size of listed files that the listing did
+   * not include, from the `Last-Modified` and `Content-Length` headers of HEAD
+   * requests. Files whose HEAD request fails are returned unchanged.
+   *
+   * @param {Array<Object>} files - files returned by `list`
+   * @returns {Promise<Array<Object>>} the files, with their modification time
+   *   and size when the server sent them
+   */
+  async statFiles(files) {
+    validateHost(this.host);
+    await this.setUpGotOptions();
+    await this.downloadTLSCertificate();
+
+    const statFile = async (file) => {
+      if (file.time !== undefined && file.size !== undefined) return file;
+
+      const remoteUrl = buildURL({
+        protocol: this.protocol,
+        host: this.host,
+        port: this.port,
+        path: posix.join(file.path || '', file.name),
+      });
+      try {
+        const { headers } = await got.head(remoteUrl, this.gotOptions);
+        const time = Date.parse(headers['last-modified']);
+        const size = Number.parseInt(headers['content-length'], 10);
+        // Listed files may have undefined `time` and `size` properties, which
+        // must not hide those taken from the HEAD response
+        return {
+          ...file,
+          ...(!Number.isNaN(time) && { time }),
+          ...(!Number.isNaN(size) && { size }),
+        };
+      } catch (error) {
+        log.info(`HEAD failed for ${remoteUrl} with error: ${error}.`);
+        return file;
+      }
+    };
+
+    const statted = [];
+    for (let i = 0; i < files.length; i += statConcurrency) {
+      // eslint-disable-next-line no-await-in-loop
+      statted.push(...await Promise.all(files.slice(i, i + statConcurrency).map(statFile)));
+    }
+    return statted;
+  }
+
   /**
    * Download a remote file to disk
    *
@@ -241,6 +531,41 @@ class HttpProviderClient {
     return localPath;
   }
 
+  /**
+   * Upload a local file to the provider by POSTing it to the remote path
+   *
+   * @param {Object} params
+   * @param {string} params.localPath - the full path of the local file to upload
+   * @param {string} params.uploadPath - the remote path to upload the file to
+   * @returns {Promise<string>} - the URL the file was uploaded to
+   */
+  async upload(params) {
+    const { localPath, uploadPath } = params;
+    validateHost(this.host);
+    await this.setUpGotOptions();
+    await this.downloadTLSCertificate();
+
+    const remoteUrl = buildURL({
+      protocol: this.protocol,
+      host: this.host,
+      port: this.port,
+      path: uploadPath,
+    });
+
+    log.info(`Uploading ${localPath} to ${remoteUrl}`);
+    await got.post(remoteUrl, {
+      ...this.gotOptions,
+      body: fs.createReadStream(localPath),
+      headers: {
+        ...this.gotOptions.headers,
+        'Content-Type': lookupMimeType(localPath) || 'application/octet-stream',
+      },
+    });
+    log.info(`Finished uploading ${localPath} to ${remoteUrl}`);
+
+    return remoteUrl;
+  }
+
   /**
    * Download the remote file to a given s3 location
    *
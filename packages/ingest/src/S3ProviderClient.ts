@@ -76,6 +76,28 @@ class S3ProviderClient implements ProviderClient {
     });
   }
 
+  /**
+   * Upload a local file to the provider bucket
+   *
+   * @param {Object} params
+   * @param {string} params.localPath - the full path of the local file to upload
+   * @param {string} params.uploadPath - the destination key in the provider bucket
+   * @returns {Promise<string>} - the S3 URI of the uploaded file
+   */
+  async upload(params: {
+    localPath: string,
+    uploadPath: string,
+  }): Promise<string> {
+    const { localPath, uploadPath } = params;
+    const s3uri = S3.buildS3Uri(this.bucket, uploadPath);
+
+    log.info(`Uploading ${localPath} to ${s3uri}`);
+    await S3.putFile(this.bucket, uploadPath, localPath);
+    log.info(`Finished uploading ${localPath} to ${s3uri}`);
+
+    return s3uri;
+  }
+
   /**
    * Download the remote file to a given s3 location
    *
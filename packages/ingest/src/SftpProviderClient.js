@@ -136,6 +136,21 @@ class SftpProviderClient {
     return files.map((file) => omit(file, 'type'));
   }
 
+  /**
+   * Upload a local file to the SFTP server
+   *
+   * @param {Object} params             - parameter object
+   * @param {string} params.localPath   - the full path of the local file to upload
+   * @param {string} params.uploadPath  - the full remote destination file path
+   * @returns {Promise<string>}        - the URL of the uploaded file
+   */
+  async upload(params) {
+    const { localPath, uploadPath } = params;
+    const sftpClient = this.getSftpClient();
+    await sftpClient.upload(localPath, uploadPath);
+    return sftpClient.buildRemoteUrl(uploadPath);
+  }
+
   /**
    * Transfer the remote file to a given s3 location
    *
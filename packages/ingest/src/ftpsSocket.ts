@@ -0,0 +1,229 @@
+import { Duplex } from 'stream';
+import isIp from 'is-ip';
+import net, { Socket } from 'net';
+import tls, { ConnectionOptions, TLSSocket } from 'tls';
+import Logger from '@cumulus/logger';
+
+const logger = new Logger({ sender: '@cumulus/ingest/ftpsSocket' });
+
+interface FtpReply {
+  code: number,
+  text: string,
+}
+
+// The last line of an FTP reply starts with its code followed by a space
+const lastReplyLinePattern = /^(\d{3}) .*$/m;
+
+/**
+ * Read the next reply of an FTP server from a control connection
+ *
+ * @param {Socket} socket - the control connection
+ * @returns {Promise<FtpReply>} the reply
+ */
+const readReply = (socket: Socket): Promise<FtpReply> =>
+  new Promise((resolve, reject) => {
+    let text = '';
+    const listeners: { [event: string]: (...args: any[]) => void } = {};
+    const cleanUp = () => Object.entries(listeners).forEach(
+      ([event, listener]) => socket.removeListener(event, listener)
+    );
+    listeners.data = (chunk: Buffer) => {
+      text += chunk.toString();
+      const match = lastReplyLinePattern.exec(text);
+      if (match && text.endsWith('\n')) {
+        cleanUp();
+        resolve({ code: Number(match[1]), text: text.trim() });
+      }
+    };
+    listeners.error = (error: Error) => {
+      cleanUp();
+      reject(error);
+    };
+    listeners.close = () => {
+      cleanUp();
+      reject(new Error('FTPS control connection closed during the TLS negotiation'));
+    };
+    Object.entries(listeners).forEach(([event, listener]) => socket.on(event, listener));
+  });
+
+/**
+ * Send a command on a control connection and check the code of its reply
+ *
+ * @param {Socket} socket - the control connection
+ * @param {string} command - the command
+ * @param {number} expectedCode - the expected reply code
+ * @returns {Promise<FtpReply>} the reply
+ * @throws {Error} if the reply has another code
+ */
+const sendCommand = async (
+  socket: Socket,
+  command: string,
+  expectedCode: number
+): Promise<FtpReply> => {
+  const reply = readReply(socket);
+  socket.write(`${command}\r\n`);
+  const { code, text } = await reply;
+  if (code !== expectedCode) {
+    throw new Error(`FTPS server replied to ${command} with: ${text}`);
+  }
+  return { code, text };
+};
+
+/**
+ * A control connection upgraded to TLS with the FTPS explicit TLS
+ * negotiation of RFC 4217: once the server greeting is received, the
+ * connection is upgraded with `AUTH TLS`, and the data connections are
+ * protected with `PBSZ 0` and `PROT P`. Commands written before the end of
+ * the negotiation are buffered, and the server replies are only passed on
+ * after it, so that jsftp can use the connection as a plain socket.
+ */
+class ExplicitTlsControlSocket extends Duplex {
+  private readonly plainSocket: Socket;
+  private tlsSocket?: TLSSocket;
+  private readonly pendingWrites: [Buffer, (error?: Error | null) => void][] = [];
+  session?: Buffer;
+
+  constructor(
+    params: {
+      host: string,
+      port: number,
+      tlsOptions: ConnectionOptions,
+      onConnect?: () => void,
+    }
+  ) {
+    super();
+    const { host, port, tlsOptions, onConnect } = params;
+    this.plainSocket = net.connect(port, host);
+    this.plainSocket.on('timeout', () => this.emit('timeout'));
+    this.negotiate(host, tlsOptions, onConnect)
+      .catch((error) => this.destroy(error));
+  }
+
+  private async negotiate(
+    host: string,
+    tlsOptions: ConnectionOptions,
+    onConnect?: () => void
+  ): Promise<void> {
+    const greeting = await readReply(this.plainSocket);
+    if (greeting.code !== 220) {
+      throw new Error(`FTPS server greeted with: ${greeting.text}`);
+    }
+    await sendCommand(this.plainSocket, 'AUTH TLS', 234);
+
+    const tlsSocket = tls.connect({
+      host,
+      ...tlsOptions,
+      socket: this.plainSocket,
+    });
+    tlsSocket.on('session', (session) => {
+      this.session = session;
+    });
+    await new Promise<void>((resolve, reject) => {
+      tlsSocket.once('secureConnect', resolve);
+      tlsSocket.once('error', reject);
+    });
+    this.session = this.session ?? tlsSocket.getSession();
+
+    await sendCommand(tlsSocket, 'PBSZ 0', 200);
+    await sendCommand(tlsSocket, 'PROT P', 200);
+    logger.debug(`Negotiated explicit TLS with FTPS server ${host}`);
+
+    this.tlsSocket = tlsSocket;
+    tlsSocket.on('data', (chunk) => this.push(chunk));
+    tlsSocket.on('end', () => this.push(null));
+    tlsSocket.on('error', (error) => this.destroy(error));
+    tlsSocket.on('close', () => this.destroy());
+    this.pendingWrites.splice(0).forEach(([chunk, callback]) => {
+      tlsSocket.write(chunk, callback);
+    });
+    this.emit('connect');
+    if (onConnect) onConnect();
+  }
+
+  _write(chunk: Buffer, _: string, callback: (error?: Error | null) => void) {
+    if (this.tlsSocket) {
+      this.tlsSocket.write(chunk, callback);
+    } else {
+      this.pendingWrites.push([chunk, callback]);
+    }
+  }
+
+  _final(callback: (error?: Error | null) => void) {
+    if (this.tlsSocket) {
+      this.tlsSocket.end(callback);
+    } else {
+      this.plainSocket.end(callback);
+    }
+  }
+
+  // Replies are pushed as the server sends them
+  _read() {}
+
+  _destroy(error: Error | null, callback: (error: Error | null) => void) {
+    if (this.tlsSocket) this.tlsSocket.destroy();
+    this.plainSocket.destroy();
+    callback(error);
+  }
+
+  setTimeout(timeout: number): this {
+    this.plainSocket.setTimeout(timeout);
+    return this;
+  }
+}
+
+/**
+ * Build the `createSocket` option of jsftp for an FTPS server using
+ * explicit TLS.
+ *
+ * jsftp creates a control connection when it connects to the server, and a
+ * passive mode data connection for each transfer or listing. Control
+ * connections negotiate TLS with `AUTH TLS` and protect the data connections
+ * with `PROT P`, and data connections are TLS connections resuming the TLS
+ * session of the control connection, which servers such as vsftpd require.
+ *
+ * @param {Object} params
+ * @param {string} params.host - the host of the FTPS server, used for the
+ *   server name of its certificate
+ * @param {ConnectionOptions} [params.tlsOptions] - TLS options of the
+ *   connections, such as the `ca` certificates of the server
+ * @returns {Function} the `createSocket` option of jsftp
+ */
+export const buildExplicitTlsSocketFactory = (
+  params: {
+    host: string,
+    tlsOptions?: ConnectionOptions,
+  }
+) => {
+  const { host, tlsOptions = {} } = params;
+  // Data connections are made to the address of the passive mode reply, so
+  // the certificates of all connections are checked against the server host
+  const serverTlsOptions: ConnectionOptions = {
+    ...tlsOptions,
+    ...(isIp(host)
+      ? { checkServerIdentity: (_, cert) => tls.checkServerIdentity(host, cert) }
+      : { servername: host }),
+  };
+  let controlSocket: ExplicitTlsControlSocket | undefined;
+
+  return (
+    options: { port: number, host: string },
+    onConnect?: () => void
+  ): Socket => {
+    if (controlSocket === undefined || controlSocket.destroyed) {
+      controlSocket = new ExplicitTlsControlSocket({
+        host: options.host,
+        port: options.port,
+        tlsOptions: serverTlsOptions,
+        onConnect,
+      });
+      return <Socket><unknown>controlSocket;
+    }
+
+    return tls.connect({
+      ...serverTlsOptions,
+      host: options.host,
+      port: options.port,
+      session: controlSocket.session,
+    });
+  };
+};
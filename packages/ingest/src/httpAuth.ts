@@ -0,0 +1,127 @@
+import got from 'got';
+import { getSecretString } from '@cumulus/aws-client/SecretsManager';
+import { RemoteResourceError, ValidationError } from '@cumulus/errors';
+import { EarthdataLoginClient } from '@cumulus/oauth-client';
+
+export type HttpAuthType = 'basic' | 'bearer' | 'edl' | 'certificate';
+
+export interface HttpAuth {
+  type?: HttpAuthType,
+  secretId?: string,
+  loginUrl?: string,
+}
+
+export interface EarthdataLoginCredentials {
+  clientId: string,
+  clientPassword: string,
+  redirectUri: string,
+  username: string,
+  password: string,
+}
+
+export interface ClientCertificate {
+  certificate: string,
+  key: string,
+  passphrase?: string,
+}
+
+export const defaultEarthdataLoginUrl = 'https://urs.earthdata.nasa.gov';
+
+const getRequiredSecretString = async (auth: HttpAuth): Promise<string> => {
+  if (!auth.secretId) {
+    throw new ValidationError(`provider.httpAuth.secretId is required for ${auth.type} authentication`);
+  }
+  const secretString = await getSecretString(auth.secretId);
+  if (!secretString) {
+    throw new ValidationError(`Secret ${auth.secretId} of provider.httpAuth has no secret string`);
+  }
+  return secretString;
+};
+
+const getJsonSecret = async <T>(auth: HttpAuth, requiredKeys: string[]): Promise<T> => {
+  const secretString = await getRequiredSecretString(auth);
+  let secret: { [key: string]: unknown };
+  try {
+    secret = JSON.parse(secretString);
+  } catch (error) {
+    throw new ValidationError(`Secret ${auth.secretId} of provider.httpAuth is not valid JSON`);
+  }
+  const missingKeys = requiredKeys.filter((key) => !secret[key]);
+  if (missingKeys.length > 0) {
+    throw new ValidationError(`Secret ${auth.secretId} of provider.httpAuth is missing ${missingKeys.join(', ')}`);
+  }
+  return <T><unknown>secret;
+};
+
+/**
+ * Get the static bearer token of a provider from its Secrets Manager secret,
+ * whose secret string is the token
+ *
+ * @param {HttpAuth} auth - the HTTP authentication settings of the provider
+ * @returns {Promise<string>} the bearer token
+ */
+export const getBearerToken = async (auth: HttpAuth): Promise<string> =>
+  (await getRequiredSecretString(auth)).trim();
+
+/**
+ * Get the client certificate of a provider from its Secrets Manager secret,
+ * a JSON object with the PEM encoded `certificate` and `key`, and the
+ * `passphrase` of the key if it is encrypted
+ *
+ * @param {HttpAuth} auth - the HTTP authentication settings of the provider
+ * @returns {Promise<ClientCertificate>} the client certificate
+ */
+export const getClientCertificate = (auth: HttpAuth): Promise<ClientCertificate> =>
+  getJsonSecret<ClientCertificate>(auth, ['certificate', 'key']);
+
+/**
+ * Log in to Earthdata Login and get an access token for the provider.
+ *
+ * The Secrets Manager secret of the provider is a JSON object with the
+ * `clientId`, `clientPassword` and `redirectUri` of an Earthdata Login
+ * application and the `username` and `password` of an Earthdata Login user
+ * who authorized the application. The user is authenticated at the
+ * authorization URL of the application, and the authorization code it
+ * redirects to is exchanged for an access token.
+ *
+ * @param {HttpAuth} auth - the HTTP authentication settings of the provider
+ * @returns {Promise<string>} the Earthdata Login access token
+ * @throws {RemoteResourceError} if Earthdata Login does not authorize the user
+ */
+export const getEarthdataLoginToken = async (auth: HttpAuth): Promise<string> => {
+  const {
+    clientId,
+    clientPassword,
+    redirectUri,
+    username,
+    password,
+  } = await getJsonSecret<EarthdataLoginCredentials>(
+    auth,
+    ['clientId', 'clientPassword', 'redirectUri', 'username', 'password']
+  );
+  const earthdataLoginClient = new EarthdataLoginClient({
+    clientId,
+    clientPassword,
+    loginUrl: auth.loginUrl || defaultEarthdataLoginUrl,
+    redirectUri,
+  });
+
+  const authorizationResponse = await got(earthdataLoginClient.getAuthorizationUrl(), {
+    username,
+    password,
+    followRedirect: false,
+    throwHttpErrors: false,
+  });
+  const { location } = authorizationResponse.headers;
+  const authorizationCode = location && new URL(location, redirectUri).searchParams.get('code');
+  if (!authorizationCode) {
+    throw new RemoteResourceError(
+      `Earthdata Login did not authorize user ${username} for application ${clientId}, responding with status code ${authorizationResponse.statusCode}`
+    );
+  }
+
+  const { accessToken } = <{ accessToken: string }>(
+    await earthdataLoginClient.getAccessToken(authorizationCode)
+  );
+  return accessToken;
+};
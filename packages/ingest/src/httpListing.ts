@@ -0,0 +1,245 @@
+import isNil from 'lodash/isNil';
+import isPlainObject from 'lodash/isPlainObject';
+import { posix } from 'path';
+import { ValidationError } from '@cumulus/errors';
+import Logger from '@cumulus/logger';
+
+const logger = new Logger({ sender: '@cumulus/ingest/httpListing' });
+
+export type HttpListingMode = 'html' | 'json' | 'stac' | 'manifest';
+
+export interface HttpListing {
+  mode?: HttpListingMode,
+  indexFile?: string,
+  checksumType?: string,
+}
+
+export interface HttpListItem {
+  name: string,
+  path: string,
+  size?: number,
+  time?: number,
+  checksum?: string,
+  checksumType?: string,
+}
+
+// Index file listed by each structured listing mode, relative to the listed path
+export const defaultIndexFiles: { [mode: string]: string } = {
+  json: 'index.json',
+  stac: 'catalog.json',
+  manifest: 'MD5SUMS',
+};
+
+/**
+ * Get the provider path of the index file of a structured listing
+ *
+ * @param {string} path - the listed provider path
+ * @param {HttpListing} httpListing - the listing settings of the provider
+ * @returns {string} the path of the index file
+ */
+export const getIndexFilePath = (path: string, httpListing: HttpListing): string =>
+  posix.join(
+    path || '/',
+    httpListing.indexFile ?? defaultIndexFiles[httpListing.mode ?? 'html']
+  );
+
+const parseTime = (time: unknown): number | undefined => {
+  if (isNil(time)) return undefined;
+  const parsed = typeof time === 'number' ? time : Date.parse(String(time));
+  return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+const splitFilePath = (path: string, name: string): { name: string, path: string } => {
+  const directory = posix.dirname(name);
+  return directory === '.'
+    ? { name, path }
+    : { name: posix.basename(name), path: posix.join(path, directory) };
+};
+
+/**
+ * Parse a JSON index file into list items.
+ *
+ * The index is either an array of files or an object with a `files` array.
+ * Each file has a `name`, which may include subdirectories of the listed
+ * path, and optionally a `path` overriding the listed path, a `size` in bytes,
+ * a modification `time`, in milliseconds since the epoch or as an ISO 8601
+ * date, a `checksum` and a `checksumType`.
+ *
+ * @param {unknown} index - the parsed JSON index
+ * @param {string} path - the listed provider path
+ * @returns {Array<HttpListItem>} the listed files
+ * @throws {ValidationError} if the index is not an array of named files
+ */
+export const parseJsonIndex = (index: unknown, path: string): HttpListItem[] => {
+  const files = isPlainObject(index) ? (index as { files?: unknown }).files : index;
+  if (!Array.isArray(files)) {
+    throw new ValidationError('JSON index must be an array of files or an object with a files array');
+  }
+
+  return files.map((file) => {
+    if (!isPlainObject(file) || typeof file.name !== 'string') {
+      throw new ValidationError(`JSON index files require a name, received ${JSON.stringify(file)}`);
+    }
+    const item: HttpListItem = splitFilePath(file.path ?? path, file.name);
+    const time = parseTime(file.time);
+    if (Number.isInteger(file.size)) item.size = file.size;
+    if (time !== undefined) item.time = time;
+    if (!isNil(file.checksum)) item.checksum = String(file.checksum);
+    if (typeof file.checksumType === 'string') item.checksumType = file.checksumType;
+    return item;
+  });
+};
+
+/**
+ * Get the checksum type of a checksum manifest from its name, e.g. `sha256`
+ * for `SHA256SUMS`
+ *
+ * @param {string} manifestName - the name of the manifest
+ * @returns {string} the checksum type, `md5` if the name does not tell
+ */
+export const getManifestChecksumType = (manifestName: string): string => {
+  const match = /^(md5|sha1|sha256|sha512)sums?\b/i.exec(posix.basename(manifestName));
+  return match ? match[1].toLowerCase() : 'md5';
+};
+
+// GNU coreutils format: `<checksum>  <name>`, with `*` marking binary mode
+const gnuManifestLinePattern = /^([\dA-Fa-f]+) [ *](.+)$/;
+// BSD format: `<TYPE> (<name>) = <checksum>`
+const bsdManifestLinePattern = /^(\w+) ?\((.+)\) ?= ?([\dA-Fa-f]+)$/;
+
+/**
+ * Parse a checksum manifest, such as an `MD5SUMS` file, into list items.
+ * Lines are either in the GNU coreutils format, `<checksum>  <name>`, or in
+ * the BSD format, `MD5 (<name>) = <checksum>`. Names may include
+ * subdirectories of the listed path. Blank lines and lines starting with `#`
+ * are ignored.
+ *
+ * @param {string} manifest - the contents of the manifest
+ * @param {string} path - the listed provider path
+ * @param {string} checksumType - the checksum type of GNU format lines
+ * @returns {Array<HttpListItem>} the listed files
+ * @throws {ValidationError} if a line is in neither format
+ */
+export const parseChecksumManifest = (
+  manifest: string,
+  path: string,
+  checksumType: string
+): HttpListItem[] =>
+  manifest.split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const gnuMatch = gnuManifestLinePattern.exec(line);
+      if (gnuMatch) {
+        return {
+          ...splitFilePath(path, gnuMatch[2]),
+          checksum: gnuMatch[1].toLowerCase(),
+          checksumType,
+        };
+      }
+      const bsdMatch = bsdManifestLinePattern.exec(line);
+      if (bsdMatch) {
+        return {
+          ...splitFilePath(path, bsdMatch[2]),
+          checksum: bsdMatch[3].toLowerCase(),
+          checksumType: bsdMatch[1].toLowerCase(),
+        };
+      }
+      throw new ValidationError(`Invalid checksum manifest line: ${line}`);
+    });
+
+// Multihash code prefixes of the digests of the STAC file extension
+const multihashPrefixes: [string, string][] = [
+  ['d50110', 'md5'],
+  ['1114', 'sha1'],
+  ['1220', 'sha256'],
+  ['1340', 'sha512'],
+];
+
+/**
+ * Decode the multihash `file:checksum` of a STAC asset
+ *
+ * @param {string} multihash - the hex-encoded multihash
+ * @returns {Object | undefined} the `checksum` and `checksumType`, or
+ *   `undefined` if the hash function is not supported
+ */
+export const decodeMultihash = (
+  multihash: string
+): { checksum: string, checksumType: string } | undefined => {
+  const lowerCaseMultihash = multihash.toLowerCase();
+  const prefix = multihashPrefixes.find(([code]) => lowerCaseMultihash.startsWith(code));
+  if (!prefix) return undefined;
+  return {
+    checksum: lowerCaseMultihash.slice(prefix[0].length),
+    checksumType: prefix[1],
+  };
+};
+
+/**
+ * Get the URLs of the STAC documents linked from a STAC document: the
+ * children and items of catalogs and collections, and the next page of item
+ * collections
+ *
+ * @param {Object} document - a STAC catalog, collection or item collection
+ * @param {string} documentUrl - the URL of the document
+ * @returns {Array<string>} the URLs of the linked documents
+ */
+export const getStacLinkUrls = (document: any, documentUrl: string): string[] =>
+  (Array.isArray(document.links) ? document.links : [])
+    .filter((link: any) => ['child', 'item', 'items', 'next'].includes(link.rel) && link.href)
+    .map((link: any) => new URL(link.href, documentUrl).toString());
+
+/**
+ * Get the items of a STAC document: the document itself if it is an item,
+ * or the features of an item collection
+ *
+ * @param {Object} document - a STAC document
+ * @returns {Array<Object>} the STAC items
+ */
+export const getStacItems = (document: any): any[] => {
+  if (document.type === 'Feature') return [document];
+  if (document.type === 'FeatureCollection' && Array.isArray(document.features)) {
+    return document.features;
+  }
+  return [];
+};
+
+/**
+ * Convert the assets of a STAC item into list items. Assets hosted on
+ * another host than the provider cannot be fetched through the provider and
+ * are skipped, as are assets whose URL has a query string, since files are
+ * fetched by their path and name only. The size and checksum come from the
+ * `file:size` and `file:checksum` fields of the STAC file extension, and the
+ * modification time from the `updated` field of the asset or item.
+ *
+ * @param {Object} item - a STAC item
+ * @param {string} itemUrl - the URL of the document the item was read from
+ * @param {string} providerHost - the host of the provider, with its port if
+ *   the provider has one
+ * @returns {Array<HttpListItem>} the listed files
+ */
+export const getStacItemAssetFiles = (
+  item: any,
+  itemUrl: string,
+  providerHost: string
+): HttpListItem[] =>
+  Object.values(item.assets ?? {}).flatMap((asset: any) => {
+    if (!asset.href) return [];
+    const assetUrl = new URL(asset.href, itemUrl);
+    if (assetUrl.host !== providerHost) return [];
+    if (assetUrl.search) {
+      logger.info(`Skipping asset ${asset.href} of STAC item ${item.id}, files with a query string in their URL cannot be fetched`);
+      return [];
+    }
+
+    const assetPath = decodeURIComponent(assetUrl.pathname);
+    const file: HttpListItem = {
+      name: posix.basename(assetPath),
+      path: posix.dirname(assetPath),
+    };
+    const time = parseTime(asset.updated ?? item.properties?.updated);
+    const checksum = asset['file:checksum'] && decodeMultihash(asset['file:checksum']);
+    if (Number.isInteger(asset['file:size'])) file.size = asset['file:size'];
+    if (time !== undefined) file.time = time;
+    return [{ ...file, ...checksum }];
+  });
@@ -0,0 +1,125 @@
+import isNil from 'lodash/isNil';
+import moment from 'moment';
+import { ValidationError } from '@cumulus/errors';
+import Logger from '@cumulus/logger';
+
+const logger = new Logger({ sender: '@cumulus/ingest/listFilters' });
+
+export interface ListFilters {
+  modifiedAfter?: string,
+  modifiedBefore?: string,
+  minSize?: number,
+  maxSize?: number,
+  exclude?: string | string[],
+}
+
+// Task config keys of list filters
+export const listFilterKeys = ['modifiedAfter', 'modifiedBefore', 'minSize', 'maxSize', 'exclude'];
+
+export interface FilterableListItem {
+  name: string,
+  path?: string,
+  size?: number,
+  time?: number | Date,
+}
+
+/**
+ * Parse a modification time bound of a list filter, either an ISO 8601 date
+ * or an ISO 8601 duration before the current time, e.g. `P3D` for three days
+ * ago
+ *
+ * @param {string} value - the bound
+ * @param {number} [now] - the current time, in milliseconds since the epoch
+ * @returns {number} the bound, in milliseconds since the epoch
+ * @throws {ValidationError} if the bound is neither a date nor a duration
+ */
+export const parseModificationTimeBound = (
+  value: string,
+  now: number = Date.now()
+): number => {
+  if (value.startsWith('P')) {
+    const duration = moment.duration(value);
+    if (duration.isValid() && duration.toISOString() !== 'P0D') {
+      return moment.utc(now).subtract(duration).valueOf();
+    }
+  } else {
+    const date = moment.utc(value, moment.ISO_8601, true);
+    if (date.isValid()) return date.valueOf();
+  }
+  throw new ValidationError(`Invalid modification time ${value}, expected an ISO 8601 date or duration`);
+};
+
+/**
+ * Whether list filters filter on the modification time or size of files
+ *
+ * @param {ListFilters} filters - list filters
+ * @returns {boolean}
+ */
+export const listFiltersRequireFileStats = (filters: ListFilters): boolean =>
+  [filters.modifiedAfter, filters.modifiedBefore, filters.minSize, filters.maxSize]
+    .some((filter) => filter !== undefined);
+
+const getTime = (time?: number | Date): number | undefined =>
+  (isNil(time) ? undefined : new Date(time).getTime());
+
+/**
+ * Filter the files listed by a provider client.
+ *
+ * Files are kept if they were modified at or after `modifiedAfter` and before
+ * `modifiedBefore`, if their size in bytes is between `minSize` and `maxSize`,
+ * inclusive, and if their name matches none of the `exclude` regular
+ * expressions. Files whose modification time or size was not listed are not
+ * filtered on it.
+ *
+ * @param {Array<Object>} files - files listed by a provider client
+ * @param {ListFilters} [filters] - list filters
+ * @param {number} [now] - the current time, in milliseconds since the epoch,
+ *   which relative modification times are relative to
+ * @returns {Array<Object>} the files matching the filters
+ * @throws {ValidationError} if a modification time or regular expression is
+ *   invalid
+ */
+export const filterListedFiles = <T extends FilterableListItem>(
+  files: T[],
+  filters: ListFilters = {},
+  now: number = Date.now()
+): T[] => {
+  const modifiedAfter = filters.modifiedAfter
+    ? parseModificationTimeBound(filters.modifiedAfter, now)
+    : undefined;
+  const modifiedBefore = filters.modifiedBefore
+    ? parseModificationTimeBound(filters.modifiedBefore, now)
+    : undefined;
+  const excludeRegexes = [filters.exclude ?? []].flat().map((exclude) => {
+    try {
+      return new RegExp(exclude);
+    } catch (error) {
+      throw new ValidationError(`Invalid exclude regular expression ${exclude}: ${error.message}`);
+    }
+  });
+
+  let unfilteredCount = 0;
+  const filteredFiles = files.filter((file) => {
+    if (excludeRegexes.some((regex) => regex.test(file.name))) return false;
+
+    const time = getTime(file.time);
+    if ((modifiedAfter !== undefined || modifiedBefore !== undefined) && time === undefined) {
+      unfilteredCount += 1;
+    }
+    if (time !== undefined) {
+      if (modifiedAfter !== undefined && time < modifiedAfter) return false;
+      if (modifiedBefore !== undefined && time >= modifiedBefore) return false;
+    }
+
+    if (file.size !== undefined) {
+      if (filters.minSize !== undefined && file.size < filters.minSize) return false;
+      if (filters.maxSize !== undefined && file.size > filters.maxSize) return false;
+    }
+    return true;
+  });
+
+  if (unfilteredCount > 0) {
+    logger.warn(`${unfilteredCount} files were not filtered on their modification time, which was not listed`);
+  }
+  return filteredFiles;
+};
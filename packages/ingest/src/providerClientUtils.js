@@ -8,6 +8,7 @@ const FtpProviderClient = require('./FtpProviderClient');
 const HttpProviderClient = require('./HttpProviderClient');
 const S3ProviderClient = require('./S3ProviderClient');
 const SftpProviderClient = require('./SftpProviderClient');
+const { filterListedFiles, listFiltersRequireFileStats } = require('./listFilters');
 
 /**
  * Create a provider client appropriate for the provider config
@@ -18,6 +19,7 @@ const SftpProviderClient = require('./SftpProviderClient');
 const buildProviderClient = (providerConfig = {}) => {
   switch (providerConfig.protocol) {
   case 'ftp':
+  case 'ftps':
     return new FtpProviderClient(providerConfig);
   case 'http':
   case 'https':
@@ -31,6 +33,40 @@ const buildProviderClient = (providerConfig = {}) => {
   }
 };
 
+/**
+ * List the files of a provider path matching list filters, see
+ * `filterListedFiles`. When filtering on modification time or size, or when
+ * `statFiles` is set, provider clients that can look up the stats missing from
+ * their listings, like the HTTP client with HEAD requests, do so for the files
+ * not excluded by name.
+ *
+ * @param {Object} params
+ * @param {Object} params.providerClient - a connected provider client
+ * @param {string} params.path - the provider path to list
+ * @param {Object} [params.filters] - list filters
+ * @param {boolean} [params.statFiles] - whether to look up the stats of the
+ *   files even if no filter requires them
+ * @param {number} [params.now] - the current time, in milliseconds since the
+ *   epoch, which relative modification times are relative to
+ * @returns {Promise<Array<Object>>} the files matching the filters
+ */
+const listFilteredFiles = async ({
+  providerClient,
+  path: providerPath,
+  filters = {},
+  statFiles = false,
+  now = Date.now(),
+}) => {
+  let files = filterListedFiles(
+    await providerClient.list(providerPath),
+    { exclude: filters.exclude }
+  );
+  if ((statFiles || listFiltersRequireFileStats(filters)) && providerClient.statFiles) {
+    files = await providerClient.statFiles(files);
+  }
+  return filterListedFiles(files, filters, now);
+};
+
 /**
  * Fetch a file from a provider and return it as a string
  *
@@ -55,4 +91,5 @@ const fetchTextFile = async ({ providerClient, remotePath, remoteAltBucket }) =>
 module.exports = {
   buildProviderClient,
   fetchTextFile,
+  listFilteredFiles,
 };
@@ -34,6 +34,13 @@ export interface ProviderClient {
 
   list(path: string): Promise<ProviderClientListItem[]>
 
+  upload(
+    params: {
+      localPath: string,
+      uploadPath: string,
+    }
+  ): Promise<string>
+
   sync(
     params: {
       fileRemotePath: string,
@@ -5,6 +5,7 @@ const proxyquire = require('proxyquire');
 const test = require('ava');
 const JSFtp = require('jsftp');
 const KMS = require('@cumulus/aws-client/KMS');
+const { RemoteResourceError } = require('@cumulus/errors');
 const S3 = require('@cumulus/aws-client/S3');
 const { S3KeyPairProvider } = require('@cumulus/common/key-pair-provider');
 const {
@@ -155,6 +156,63 @@ test('useList defaults to false when not assigned', async (t) => {
   t.is(jsftpSpy.getCall(0).args[0].useList, false);
 });
 
+test('ftps providers build the jsftp client with an explicit TLS socket factory', async (t) => {
+  const jsftpStub = sinon.stub();
+  const ProxiedFtpProviderClient = proxyquire('../FtpProviderClient', {
+    jsftp: jsftpStub,
+  });
+
+  await new ProxiedFtpProviderClient({
+    protocol: 'ftp',
+    host: '127.0.0.1',
+  }).buildFtpClient();
+  await new ProxiedFtpProviderClient({
+    protocol: 'ftps',
+    host: '127.0.0.1',
+  }).buildFtpClient();
+
+  t.is(jsftpStub.getCall(0).args[0].createSocket, undefined);
+  t.is(typeof jsftpStub.getCall(1).args[0].createSocket, 'function');
+});
+
+test('ftps providers verify the server certificate with the CA certificate of certificateUri', async (t) => {
+  const certificateKey = `${randomString()}/ca.pem`;
+  await S3.s3PutObject({
+    Bucket: process.env.system_bucket,
+    Key: certificateKey,
+    Body: 'ca-certificate',
+  });
+  const buildExplicitTlsSocketFactory = sinon.stub().returns(() => undefined);
+  const ProxiedFtpProviderClient = proxyquire('../FtpProviderClient', {
+    jsftp: sinon.stub(),
+    './ftpsSocket': { buildExplicitTlsSocketFactory },
+  });
+
+  await new ProxiedFtpProviderClient({
+    protocol: 'ftps',
+    host: 'ftps.example.com',
+    certificateUri: `s3://${process.env.system_bucket}/${certificateKey}`,
+  }).buildFtpClient();
+
+  t.deepEqual(buildExplicitTlsSocketFactory.getCall(0).args[0], {
+    host: 'ftps.example.com',
+    tlsOptions: { ca: 'ca-certificate' },
+  });
+});
+
+test('ftps providers throw a RemoteResourceError if the CA certificate cannot be fetched', async (t) => {
+  const myFtpProviderClient = new FtpProviderClient({
+    protocol: 'ftps',
+    host: '127.0.0.1',
+    certificateUri: `s3://${process.env.system_bucket}/${randomString()}/ca.pem`,
+  });
+
+  await t.throwsAsync(
+    myFtpProviderClient.buildFtpClient(),
+    { instanceOf: RemoteResourceError, message: /Failed to fetch CA certificate/ }
+  );
+});
+
 test('Download remote file to s3 with correct content-type', async (t) => {
   const myFtpProviderClient = new FtpProviderClient({
     host: '127.0.0.1',
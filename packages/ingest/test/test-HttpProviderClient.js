@@ -16,8 +16,8 @@ const {
   headObject,
   s3ObjectExists,
 } = require('@cumulus/aws-client/S3');
-const { s3 } = require('@cumulus/aws-client/services');
-const { randomString } = require('@cumulus/common/test-utils');
+const { s3, secretsManager } = require('@cumulus/aws-client/services');
+const { randomId, randomString } = require('@cumulus/common/test-utils');
 const HttpProviderClient = rewire('../HttpProviderClient');
 
 const testListWith = (discoverer, event, ...args) => {
@@ -264,6 +264,352 @@ test.serial('download() downloads a file', async (t) => {
   }
 });
 
+test.serial('upload() POSTs a local file to the remote path', async (t) => {
+  const { httpProviderClient } = t.context;
+  const localPath = path.join(tmpdir(), `${randomString()}.PAN`);
+  const fileContent = 'MESSAGE_TYPE = "SHORTPAN";\n';
+  await promisify(fs.writeFile)(localPath, fileContent);
+
+  let receivedBody;
+  const scope = nock('http://localhost:3030')
+    .post('/pdrs/upload/test.PAN', (body) => {
+      receivedBody = body;
+      return true;
+    })
+    .reply(201);
+
+  try {
+    const remoteUrl = await httpProviderClient.upload({
+      localPath,
+      uploadPath: 'pdrs/upload/test.PAN',
+    });
+    t.is(remoteUrl, 'http://localhost:3030/pdrs/upload/test.PAN');
+    t.true(scope.isDone());
+    t.is(receivedBody, fileContent);
+  } finally {
+    await promisify(fs.unlink)(localPath);
+  }
+});
+
+test.serial('statFiles() adds the modification time and size of files from HEAD requests', async (t) => {
+  const { httpProviderClient } = t.context;
+  const lastModified = 'Mon, 03 Oct 2022 12:00:00 GMT';
+  nock('http://localhost:3030')
+    .head('/granules/granule-1.nc')
+    .reply(200, '', { 'Last-Modified': lastModified, 'Content-Length': '42' })
+    .head('/granules/granule-2.nc')
+    .reply(404);
+
+  const files = await httpProviderClient.statFiles([
+    { name: 'granule-1.nc', path: '/granules' },
+    { name: 'granule-2.nc', path: '/granules' },
+    { name: 'granule-3.nc', path: '/granules', time: 1000, size: 1 },
+  ]);
+
+  t.deepEqual(files, [
+    { name: 'granule-1.nc', path: '/granules', time: Date.parse(lastModified), size: 42 },
+    { name: 'granule-2.nc', path: '/granules' },
+    { name: 'granule-3.nc', path: '/granules', time: 1000, size: 1 },
+  ]);
+});
+
+test.serial('statFiles() adds the modification time and size from HEAD requests to files listed with undefined ones', async (t) => {
+  const { httpProviderClient } = t.context;
+  const lastModified = 'Mon, 03 Oct 2022 12:00:00 GMT';
+  nock('http://localhost:3030')
+    .head('/granules/granule-1.nc')
+    .reply(200, '', { 'Last-Modified': lastModified, 'Content-Length': '42' });
+
+  const files = await httpProviderClient.statFiles([
+    { name: 'granule-1.nc', path: '/granules', time: undefined, size: undefined },
+  ]);
+
+  t.deepEqual(files, [
+    { name: 'granule-1.nc', path: '/granules', time: Date.parse(lastModified), size: 42 },
+  ]);
+});
+
+test.serial('list() lists the files of a JSON index with the json listing mode', async (t) => {
+  nock('http://localhost:3030')
+    .get('/granules/index.json')
+    .reply(200, {
+      files: [
+        { name: 'granule-1.nc', size: 42, time: 1000, checksum: 'abcd', checksumType: 'md5' },
+      ],
+    });
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    httpListing: { mode: 'json' },
+  });
+
+  t.deepEqual(await httpProviderClient.list('/granules'), [
+    {
+      name: 'granule-1.nc',
+      path: '/granules',
+      size: 42,
+      time: 1000,
+      checksum: 'abcd',
+      checksumType: 'md5',
+    },
+  ]);
+});
+
+test.serial('list() lists the files of a checksum manifest with the manifest listing mode', async (t) => {
+  nock('http://localhost:3030')
+    .get('/granules/SHA256SUMS')
+    .reply(200, 'abcd  granule-1.nc\nef01  granule-2.nc\n');
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    httpListing: { mode: 'manifest', indexFile: 'SHA256SUMS' },
+  });
+
+  t.deepEqual(await httpProviderClient.list('/granules'), [
+    { name: 'granule-1.nc', path: '/granules', checksum: 'abcd', checksumType: 'sha256' },
+    { name: 'granule-2.nc', path: '/granules', checksum: 'ef01', checksumType: 'sha256' },
+  ]);
+});
+
+test.serial('list() lists the item assets of a STAC catalog with the stac listing mode', async (t) => {
+  const buildItem = (id) => ({
+    type: 'Feature',
+    id,
+    properties: {},
+    assets: { data: { href: `../data/${id}.nc`, 'file:size': 42 } },
+  });
+  nock('http://localhost:3030')
+    .get('/stac/catalog.json')
+    .reply(200, {
+      type: 'Catalog',
+      links: [
+        { rel: 'child', href: 'collection/collection.json' },
+        { rel: 'child', href: 'http://example.com/collection.json' },
+      ],
+    })
+    .get('/stac/collection/collection.json')
+    .reply(200, {
+      type: 'Collection',
+      links: [{ rel: 'items', href: 'items' }],
+    })
+    .get('/stac/collection/items')
+    .reply(200, {
+      type: 'FeatureCollection',
+      features: [buildItem('granule-1')],
+      links: [{ rel: 'next', href: 'items?page=2' }],
+    })
+    .get('/stac/collection/items')
+    .query({ page: 2 })
+    .reply(200, {
+      type: 'FeatureCollection',
+      features: [buildItem('granule-2')],
+      links: [{ rel: 'previous', href: 'items' }],
+    });
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    httpListing: { mode: 'stac' },
+  });
+
+  t.deepEqual(await httpProviderClient.list('/stac'), [
+    { name: 'granule-1.nc', path: '/stac/data', size: 42 },
+    { name: 'granule-2.nc', path: '/stac/data', size: 42 },
+  ]);
+  t.true(nock.isDone());
+});
+
+test.serial('list() throws a RemoteResourceError if the index of a structured listing cannot be fetched', async (t) => {
+  nock('http://localhost:3030')
+    .get('/granules/index.json')
+    .reply(404);
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    httpListing: { mode: 'json' },
+  });
+
+  await t.throwsAsync(
+    httpProviderClient.list('/granules'),
+    { instanceOf: errors.RemoteResourceError }
+  );
+});
+
+const createSecret = async (t, SecretString) => {
+  const secretId = randomId('provider-auth');
+  await secretsManager().createSecret({ Name: secretId, SecretString }).promise();
+  t.teardown(() => secretsManager().deleteSecret({
+    SecretId: secretId,
+    ForceDeleteWithoutRecovery: true,
+  }).promise());
+  return secretId;
+};
+
+test.serial('list() and download() send the bearer token of the provider secret with the bearer authentication type', async (t) => {
+  const secretId = await createSecret(t, 'provider-token\n');
+  nock('http://localhost:3030', { reqheaders: { authorization: 'Bearer provider-token' } })
+    .get('/granules/index.json')
+    .reply(200, [{ name: 'granule-1.nc' }])
+    .get('/granules/granule-1.nc')
+    .reply(200, 'granule-1');
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    httpListing: { mode: 'json' },
+    httpAuth: { type: 'bearer', secretId },
+  });
+
+  t.deepEqual(await httpProviderClient.list('/granules'), [{ name: 'granule-1.nc', path: '/granules' }]);
+
+  const localPath = path.join(tmpdir(), randomString());
+  try {
+    await httpProviderClient.download({ remotePath: '/granules/granule-1.nc', localPath });
+    t.is(await promisify(fs.readFile)(localPath, 'utf8'), 'granule-1');
+  } finally {
+    await promisify(fs.unlink)(localPath);
+  }
+  t.true(nock.isDone());
+});
+
+test.serial('the bearer token is only forwarded to allowed redirect hosts', async (t) => {
+  const secretId = await createSecret(t, 'provider-token');
+  nock('http://localhost:3030')
+    .get('/granules/granule-1.nc')
+    .reply(302, '', { Location: 'http://other-host:3030/granule-1.nc' })
+    .get('/granules/granule-2.nc')
+    .reply(302, '', { Location: 'http://allowed-host:3030/granule-2.nc' });
+  nock('http://other-host:3030', { badheaders: ['authorization'] })
+    .get('/granule-1.nc')
+    .reply(200, 'granule-1');
+  nock('http://allowed-host:3030', { reqheaders: { authorization: 'Bearer provider-token' } })
+    .get('/granule-2.nc')
+    .reply(200, 'granule-2');
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    allowedRedirects: ['allowed-host:3030'],
+    httpAuth: { type: 'bearer', secretId },
+  });
+
+  const localPath = path.join(tmpdir(), randomString());
+  try {
+    await httpProviderClient.download({ remotePath: '/granules/granule-1.nc', localPath });
+    await httpProviderClient.download({ remotePath: '/granules/granule-2.nc', localPath });
+    t.is(await promisify(fs.readFile)(localPath, 'utf8'), 'granule-2');
+  } finally {
+    await promisify(fs.unlink)(localPath);
+  }
+  t.true(nock.isDone());
+});
+
+test.serial('download() sends an Earthdata Login access token with the edl authentication type', async (t) => {
+  const secretId = await createSecret(t, JSON.stringify({
+    clientId: 'client-id',
+    clientPassword: 'client-password',
+    redirectUri: 'http://localhost:3030/login',
+    username: 'user',
+    password: 'user-password',
+  }));
+  nock('https://edl.example.com')
+    .get('/oauth/authorize')
+    .query({
+      client_id: 'client-id',
+      redirect_uri: 'http://localhost:3030/login',
+      response_type: 'code',
+    })
+    .basicAuth({ user: 'user', pass: 'user-password' })
+    .reply(302, '', { Location: 'http://localhost:3030/login?code=authorization-code' })
+    .post('/oauth/token', {
+      grant_type: 'authorization_code',
+      code: 'authorization-code',
+      redirect_uri: 'http://localhost:3030/login',
+    })
+    .basicAuth({ user: 'client-id', pass: 'client-password' })
+    .reply(200, { access_token: 'edl-token', refresh_token: 'refresh-token', expires_in: 3600 });
+  nock('http://localhost:3030', { reqheaders: { authorization: 'Bearer edl-token' } })
+    .get('/granules/granule-1.nc')
+    .times(2)
+    .reply(200, 'granule-1');
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    httpAuth: { type: 'edl', secretId, loginUrl: 'https://edl.example.com' },
+  });
+
+  const localPath = path.join(tmpdir(), randomString());
+  try {
+    await httpProviderClient.download({ remotePath: '/granules/granule-1.nc', localPath });
+    // The access token is reused by later requests
+    await httpProviderClient.download({ remotePath: '/granules/granule-1.nc', localPath });
+  } finally {
+    await promisify(fs.unlink)(localPath);
+  }
+  t.true(nock.isDone());
+});
+
+test.serial('the edl authentication type throws a RemoteResourceError if Earthdata Login does not authorize the user', async (t) => {
+  const secretId = await createSecret(t, JSON.stringify({
+    clientId: 'client-id',
+    clientPassword: 'client-password',
+    redirectUri: 'http://localhost:3030/login',
+    username: 'user',
+    password: 'wrong-password',
+  }));
+  nock('https://edl.example.com')
+    .get('/oauth/authorize')
+    .query(true)
+    .reply(401);
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    port: 3030,
+    httpAuth: { type: 'edl', secretId, loginUrl: 'https://edl.example.com' },
+  });
+
+  await t.throwsAsync(
+    httpProviderClient.setUpGotOptions(),
+    { instanceOf: errors.RemoteResourceError }
+  );
+});
+
+test.serial('setUpGotOptions() adds the client certificate of the provider secret with the certificate authentication type', async (t) => {
+  const secretId = await createSecret(t, JSON.stringify({
+    certificate: 'client-certificate',
+    key: 'client-key',
+    passphrase: 'key-passphrase',
+  }));
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'https',
+    host: 'localhost',
+    httpAuth: { type: 'certificate', secretId },
+  });
+
+  await httpProviderClient.setUpGotOptions();
+
+  t.like(httpProviderClient.gotOptions.https, {
+    certificate: 'client-certificate',
+    key: 'client-key',
+    passphrase: 'key-passphrase',
+  });
+  t.is(httpProviderClient.gotOptions.username, undefined);
+});
+
+test.serial('setUpGotOptions() throws a TypeError for an unsupported authentication type', async (t) => {
+  const httpProviderClient = new HttpProviderClient({
+    protocol: 'http',
+    host: 'localhost',
+    httpAuth: { type: 'digest' },
+  });
+
+  await t.throwsAsync(httpProviderClient.setUpGotOptions(), { instanceOf: TypeError });
+});
+
 test.serial('list succeeds if server wait time is unexpectedly slow', async (t) => {
   const httpProviderClient = new HttpProviderClient({
     protocol: 'http',
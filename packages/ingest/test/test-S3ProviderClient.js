@@ -88,6 +88,23 @@ test.serial('S3ProviderClient.download downloads a file to local disk when sourc
   t.is(fs.readFileSync(localPath).toString(), t.context.fileContent);
 });
 
+test.serial('S3ProviderClient.upload uploads a local file to the provider bucket', async (t) => {
+  const s3ProviderClient = new S3ProviderClient({ bucket: t.context.targetBucket });
+
+  const localPath = './tmp-upload.json';
+  fs.writeFileSync(localPath, t.context.fileContent);
+  t.teardown(() => fs.unlinkSync(localPath));
+
+  const uploadPath = `${randomString()}/${randomString()}.json`;
+  const s3uri = await s3ProviderClient.upload({ localPath, uploadPath });
+
+  t.is(s3uri, S3.buildS3Uri(t.context.targetBucket, uploadPath));
+  t.is(
+    await S3.getTextObject(t.context.targetBucket, uploadPath),
+    t.context.fileContent
+  );
+});
+
 test.serial('S3ProviderClient.sync syncs a file with a bucket parameter defined from the expected bucket', async (t) => {
   const s3ProviderClient = new S3ProviderClient({ bucket: 'fooBarFakeBucket' });
   const targetKey = 'target.json';
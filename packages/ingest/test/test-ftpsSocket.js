@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('ava');
+const createCert = require('create-cert');
+const net = require('net');
+const tls = require('tls');
+
+const { buildExplicitTlsSocketFactory } = require('../ftpsSocket');
+
+const readLine = (socket) => new Promise((resolve) => {
+  let text = '';
+  const onData = (chunk) => {
+    text += chunk.toString();
+    if (text.endsWith('\r\n')) {
+      socket.removeListener('data', onData);
+      resolve(text.trim());
+    }
+  };
+  socket.on('data', onData);
+});
+
+const waitForData = (socket) => new Promise((resolve, reject) => {
+  socket.once('data', (chunk) => resolve(chunk.toString()));
+  socket.once('error', reject);
+});
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+// A minimal FTPS server negotiating explicit TLS, which records the commands
+// it receives and replies 200 to commands after the negotiation
+const startFakeFtpsServer = async ({ key, cert }, authTlsReply = '234 AUTH TLS OK') => {
+  const commands = [];
+  const server = net.createServer(async (socket) => {
+    socket.write('220 Fake FTPS server ready\r\n');
+    commands.push(await readLine(socket));
+    socket.write(`${authTlsReply}\r\n`);
+    if (!authTlsReply.startsWith('234')) return;
+
+    const tlsSocket = new tls.TLSSocket(socket, { isServer: true, key, cert });
+    tlsSocket.on('data', (chunk) => {
+      chunk.toString().split('\r\n').filter(Boolean).forEach((command) => {
+        commands.push(command);
+        tlsSocket.write(`200 ${command} OK\r\n`);
+      });
+    });
+    tlsSocket.on('error', () => undefined);
+  });
+  const port = await listen(server);
+  return { server, port, commands };
+};
+
+test.before(async (t) => {
+  t.context.certificates = await createCert('ftps.example.com');
+});
+
+test('buildExplicitTlsSocketFactory() negotiates explicit TLS on the control connection', async (t) => {
+  const { certificates } = t.context;
+  const { server, port, commands } = await startFakeFtpsServer(certificates);
+  t.teardown(() => server.close());
+
+  const createSocket = buildExplicitTlsSocketFactory({
+    host: 'ftps.example.com',
+    tlsOptions: { ca: certificates.caCert },
+  });
+  let connected = false;
+  const controlSocket = createSocket({ host: '127.0.0.1', port }, () => {
+    connected = true;
+  });
+  t.teardown(() => controlSocket.destroy());
+
+  // Commands written during the negotiation are sent once it is complete
+  controlSocket.write('USER anonymous\r\n');
+  t.is(await waitForData(controlSocket), '200 USER anonymous OK\r\n');
+  t.true(connected);
+  t.deepEqual(commands, ['AUTH TLS', 'PBSZ 0', 'PROT P', 'USER anonymous']);
+});
+
+test('buildExplicitTlsSocketFactory() connects data connections with TLS', async (t) => {
+  const { certificates } = t.context;
+  const { server, port } = await startFakeFtpsServer(certificates);
+  t.teardown(() => server.close());
+  const dataServer = tls.createServer(
+    { key: certificates.key, cert: certificates.cert },
+    (socket) => socket.end('granule.nc\r\n')
+  );
+  const dataPort = await listen(dataServer);
+  t.teardown(() => dataServer.close());
+
+  const createSocket = buildExplicitTlsSocketFactory({
+    host: 'ftps.example.com',
+    tlsOptions: { ca: certificates.caCert },
+  });
+  const controlSocket = createSocket({ host: '127.0.0.1', port }, () => undefined);
+  t.teardown(() => controlSocket.destroy());
+  await new Promise((resolve) => controlSocket.once('connect', resolve));
+
+  const dataSocket = createSocket({ host: '127.0.0.1', port: dataPort });
+  t.is(await waitForData(dataSocket), 'granule.nc\r\n');
+  t.true(dataSocket.encrypted);
+});
+
+test('buildExplicitTlsSocketFactory() fails if the server refuses AUTH TLS', async (t) => {
+  const { certificates } = t.context;
+  const { server, port } = await startFakeFtpsServer(certificates, '502 Command not implemented');
+  t.teardown(() => server.close());
+
+  const createSocket = buildExplicitTlsSocketFactory({ host: 'ftps.example.com' });
+  const controlSocket = createSocket({ host: '127.0.0.1', port }, () => undefined);
+  const error = await new Promise((resolve) => controlSocket.once('error', resolve));
+  t.regex(error.message, /replied to AUTH TLS with: 502/);
+});
+
+test('buildExplicitTlsSocketFactory() fails if the server certificate is not trusted', async (t) => {
+  const { certificates } = t.context;
+  const { server, port } = await startFakeFtpsServer(certificates);
+  t.teardown(() => server.close());
+
+  const createSocket = buildExplicitTlsSocketFactory({ host: 'ftps.example.com' });
+  const controlSocket = createSocket({ host: '127.0.0.1', port }, () => undefined);
+  const error = await new Promise((resolve) => controlSocket.once('error', resolve));
+  t.regex(error.message, /certificate/);
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const test = require('ava');
+const { ValidationError } = require('@cumulus/errors');
+
+const {
+  decodeMultihash,
+  getIndexFilePath,
+  getManifestChecksumType,
+  getStacItemAssetFiles,
+  getStacItems,
+  getStacLinkUrls,
+  parseChecksumManifest,
+  parseJsonIndex,
+} = require('../httpListing');
+
+test('getIndexFilePath() joins the index file of the listing mode to the listed path', (t) => {
+  t.is(getIndexFilePath('/granules', { mode: 'json' }), '/granules/index.json');
+  t.is(getIndexFilePath('', { mode: 'stac' }), '/catalog.json');
+  t.is(getIndexFilePath('granules/', { mode: 'manifest' }), 'granules/MD5SUMS');
+  t.is(getIndexFilePath('/granules', { mode: 'json', indexFile: 'files/list.json' }), '/granules/files/list.json');
+});
+
+test('parseJsonIndex() parses arrays of files and objects with a files array', (t) => {
+  const files = [
+    {
+      name: 'granule-1.nc',
+      size: 42,
+      time: '2022-10-01T00:00:00Z',
+      checksum: 'abc',
+      checksumType: 'md5',
+    },
+    { name: '2022/granule-2.nc', time: 1000 },
+    { name: 'granule-3.nc', path: '/other' },
+  ];
+  const expected = [
+    {
+      name: 'granule-1.nc',
+      path: '/granules',
+      size: 42,
+      time: Date.parse('2022-10-01T00:00:00Z'),
+      checksum: 'abc',
+      checksumType: 'md5',
+    },
+    { name: 'granule-2.nc', path: '/granules/2022', time: 1000 },
+    { name: 'granule-3.nc', path: '/other' },
+  ];
+
+  t.deepEqual(parseJsonIndex(files, '/granules'), expected);
+  t.deepEqual(parseJsonIndex({ files }, '/granules'), expected);
+});
+
+test('parseJsonIndex() throws a ValidationError for invalid indexes', (t) => {
+  t.throws(() => parseJsonIndex({ items: [] }, '/granules'), { instanceOf: ValidationError });
+  t.throws(() => parseJsonIndex([{ size: 1 }], '/granules'), { instanceOf: ValidationError });
+});
+
+test('getManifestChecksumType() infers the checksum type from the manifest name', (t) => {
+  t.is(getManifestChecksumType('/granules/SHA256SUMS'), 'sha256');
+  t.is(getManifestChecksumType('md5sum.txt'), 'md5');
+  t.is(getManifestChecksumType('checksums.txt'), 'md5');
+});
+
+test('parseChecksumManifest() parses GNU and BSD format lines', (t) => {
+  const manifest = [
+    '# checksums',
+    'D41D8CD98F00B204E9800998ECF8427E  granule-1.nc',
+    '0cc175b9c0f1b6a831c399e269772661 *2022/granule-2.nc',
+    '',
+    'SHA256 (granule-3.nc) = e3b0c44298fc1c149afbf4c8996fb924',
+  ].join('\n');
+
+  t.deepEqual(parseChecksumManifest(manifest, '/granules', 'md5'), [
+    {
+      name: 'granule-1.nc',
+      path: '/granules',
+      checksum: 'd41d8cd98f00b204e9800998ecf8427e',
+      checksumType: 'md5',
+    },
+    {
+      name: 'granule-2.nc',
+      path: '/granules/2022',
+      checksum: '0cc175b9c0f1b6a831c399e269772661',
+      checksumType: 'md5',
+    },
+    {
+      name: 'granule-3.nc',
+      path: '/granules',
+      checksum: 'e3b0c44298fc1c149afbf4c8996fb924',
+      checksumType: 'sha256',
+    },
+  ]);
+});
+
+test('parseChecksumManifest() throws a ValidationError for invalid lines', (t) => {
+  t.throws(() => parseChecksumManifest('granule-1.nc', '/granules', 'md5'), { instanceOf: ValidationError });
+});
+
+test('decodeMultihash() decodes supported multihashes', (t) => {
+  t.deepEqual(decodeMultihash('1220ABCD'), { checksum: 'abcd', checksumType: 'sha256' });
+  t.deepEqual(decodeMultihash('d50110abcd'), { checksum: 'abcd', checksumType: 'md5' });
+  t.is(decodeMultihash('b220abcd'), undefined);
+});
+
+test('getStacLinkUrls() resolves the child, item and next links of a STAC document', (t) => {
+  const catalog = {
+    type: 'Catalog',
+    links: [
+      { rel: 'self', href: 'catalog.json' },
+      { rel: 'child', href: 'collection-1/collection.json' },
+      { rel: 'item', href: '/items/item-1.json' },
+      { rel: 'next', href: 'https://example.com/catalog.json?page=2' },
+    ],
+  };
+
+  t.deepEqual(getStacLinkUrls(catalog, 'https://example.com/stac/catalog.json'), [
+    'https://example.com/stac/collection-1/collection.json',
+    'https://example.com/items/item-1.json',
+    'https://example.com/catalog.json?page=2',
+  ]);
+});
+
+test('getStacItems() returns items and the features of item collections', (t) => {
+  const item = { type: 'Feature', assets: {} };
+  t.deepEqual(getStacItems(item), [item]);
+  t.deepEqual(getStacItems({ type: 'FeatureCollection', features: [item, item] }), [item, item]);
+  t.deepEqual(getStacItems({ type: 'Catalog' }), []);
+});
+
+test('getStacItemAssetFiles() lists the assets of an item hosted on the provider host without a query string', (t) => {
+  const item = {
+    type: 'Feature',
+    properties: { updated: '2022-10-01T00:00:00Z' },
+    assets: {
+      data: {
+        href: '../data/granule-1.nc',
+        'file:size': 42,
+        'file:checksum': '1220abcd',
+      },
+      metadata: {
+        href: 'https://example.com/data/granule-1.cmr.xml',
+        updated: '2022-10-02T00:00:00Z',
+      },
+      thumbnail: { href: 'https://other.example.com/granule-1.png' },
+      signed: { href: 'https://example.com/data/granule-1.h5?token=abcd' },
+    },
+  };
+
+  t.deepEqual(getStacItemAssetFiles(item, 'https://example.com/items/item-1.json', 'example.com'), [
+    {
+      name: 'granule-1.nc',
+      path: '/data',
+      size: 42,
+      time: Date.parse('2022-10-01T00:00:00Z'),
+      checksum: 'abcd',
+      checksumType: 'sha256',
+    },
+    {
+      name: 'granule-1.cmr.xml',
+      path: '/data',
+      time: Date.parse('2022-10-02T00:00:00Z'),
+    },
+  ]);
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('ava');
+const { ValidationError } = require('@cumulus/errors');
+
+const {
+  filterListedFiles,
+  listFiltersRequireFileStats,
+  parseModificationTimeBound,
+} = require('../listFilters');
+
+const now = Date.parse('2022-10-10T00:00:00Z');
+const day = 24 * 3600 * 1000;
+
+test('parseModificationTimeBound() parses ISO 8601 dates and durations before the current time', (t) => {
+  t.is(parseModificationTimeBound('2022-10-01T00:00:00Z', now), Date.parse('2022-10-01T00:00:00Z'));
+  t.is(parseModificationTimeBound('P3D', now), now - 3 * day);
+  t.is(parseModificationTimeBound('PT6H', now), now - 6 * 3600 * 1000);
+  t.is(parseModificationTimeBound('P1M', now), Date.parse('2022-09-10T00:00:00Z'));
+});
+
+test('parseModificationTimeBound() throws a ValidationError for invalid bounds', (t) => {
+  ['yesterday', 'P', 'P3X', '2022-13-01'].forEach((value) => {
+    t.throws(() => parseModificationTimeBound(value, now), { instanceOf: ValidationError });
+  });
+});
+
+test('listFiltersRequireFileStats() is true for modification time and size filters', (t) => {
+  t.true(listFiltersRequireFileStats({ modifiedAfter: 'P3D' }));
+  t.true(listFiltersRequireFileStats({ maxSize: 0 }));
+  t.false(listFiltersRequireFileStats({ exclude: '\\.tmp$' }));
+  t.false(listFiltersRequireFileStats({}));
+});
+
+test('filterListedFiles() keeps the files within the modification time window', (t) => {
+  const files = [
+    { name: 'old.nc', time: now - 5 * day },
+    { name: 'recent.nc', time: new Date(now - 2 * day) },
+    { name: 'new.nc', time: now - 1000 },
+    { name: 'untimed.nc' },
+  ];
+
+  t.deepEqual(
+    filterListedFiles(files, { modifiedAfter: 'P3D', modifiedBefore: 'PT1H' }, now).map(({ name }) => name),
+    ['recent.nc', 'untimed.nc']
+  );
+});
+
+test('filterListedFiles() keeps the files within the size range', (t) => {
+  const files = [
+    { name: 'empty.nc', size: 0 },
+    { name: 'small.nc', size: 10 },
+    { name: 'large.nc', size: 1000 },
+    { name: 'unsized.nc' },
+  ];
+
+  t.deepEqual(
+    filterListedFiles(files, { minSize: 1, maxSize: 10 }, now).map(({ name }) => name),
+    ['small.nc', 'unsized.nc']
+  );
+});
+
+test('filterListedFiles() drops the files whose name matches an exclude regular expression', (t) => {
+  const files = [
+    { name: 'granule.nc' },
+    { name: 'granule.nc.tmp' },
+    { name: '.granule.nc' },
+  ];
+
+  t.deepEqual(filterListedFiles(files, { exclude: '\\.tmp$' }), [files[0], files[2]]);
+  t.deepEqual(filterListedFiles(files, { exclude: ['\\.tmp$', '^\\.'] }), [files[0]]);
+  t.throws(() => filterListedFiles(files, { exclude: '(' }), { instanceOf: ValidationError });
+});
+
+test('filterListedFiles() returns all files without filters', (t) => {
+  const files = [{ name: 'granule.nc', size: 0, time: 0 }];
+  t.deepEqual(filterListedFiles(files), files);
+});
@@ -249,6 +249,8 @@ export const generateGranuleApiRecord = async ({
     granuleId,
     cmrLink,
     published = false,
+    cmrPublishStatus,
+    publishAt,
     createdAt,
   } = granule;
 
@@ -275,6 +277,8 @@ export const generateGranuleApiRecord = async ({
     files,
     error,
     published,
+    cmrPublishStatus,
+    publishAt,
     createdAt: createdAt || workflowStartTime,
     timestamp: recordTimestamp,
     updatedAt: recordUpdatedAt,
@@ -250,6 +250,57 @@ test('generateGranuleApiRecord() builds successful granule record', async (t) =>
   t.is(record.timeToPreprocess, 120 / 1000);
   t.is(record.processingStartDateTime, processingStartDateTime);
   t.is(record.processingEndDateTime, processingEndDateTime);
+  t.false('cmrPublishStatus' in record);
+});
+
+test('generateGranuleApiRecord() includes the CMR publish status of a granule queued for publication', async (t) => {
+  const {
+    collectionId,
+    workflowStartTime,
+  } = t.context;
+  const granule = {
+    ...granuleSuccess.payload.granules[0],
+    cmrLink: undefined,
+    published: false,
+    cmrPublishStatus: 'pending',
+  };
+
+  const record = await generateGranuleApiRecord({
+    granule,
+    collectionId,
+    workflowStartTime,
+    status: 'completed',
+    cmrUtils: t.context.fakeCmrUtils,
+  });
+
+  t.is(record.cmrPublishStatus, 'pending');
+  t.false(record.published);
+  t.false('cmrLink' in record);
+});
+
+test('generateGranuleApiRecord() includes the publication time of an embargoed granule', async (t) => {
+  const {
+    collectionId,
+    workflowStartTime,
+  } = t.context;
+  const publishAt = '2030-01-01T00:00:00.000Z';
+  const granule = {
+    ...granuleSuccess.payload.granules[0],
+    cmrLink: undefined,
+    published: false,
+    publishAt,
+  };
+
+  const record = await generateGranuleApiRecord({
+    granule,
+    collectionId,
+    workflowStartTime,
+    status: 'completed',
+    cmrUtils: t.context.fakeCmrUtils,
+  });
+
+  t.is(record.publishAt, publishAt);
+  t.false(record.published);
 });
 
 test('getGranuleCmrTemporalInfo() converts input CMR timestamps to standardized format', async (t) => {
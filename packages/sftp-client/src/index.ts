@@ -106,6 +106,23 @@ export class SftpClient {
     log.info(`Finished downloading ${remoteUrl} to ${localPath}`);
   }
 
+  /**
+   * Upload a local file to the remote server
+   *
+   * @param {string} localPath - the full path of the local file to upload
+   * @param {string} remotePath - the full remote destination file path
+   * @returns {Promise<void>}
+   */
+  async upload(localPath: string, remotePath: string): Promise<void> {
+    const remoteUrl = this.buildRemoteUrl(remotePath);
+
+    log.info(`Uploading ${localPath} to ${remoteUrl}`);
+
+    await this.sftp.fastPut(localPath, remotePath);
+
+    log.info(`Finished uploading ${localPath} to ${remoteUrl}`);
+  }
+
   async unlink(remotePath: string): Promise<void> {
     await this.sftp.delete(remotePath);
   }
@@ -1,6 +1,6 @@
 export type AsyncOperationStatus = 'RUNNING' | 'SUCCEEDED' | 'RUNNER_FAILED' | 'TASK_FAILED';
 
-export type AsyncOperationType = 'Migration Count Report' | 'Dead-Letter Processing' | 'ES Index' | 'Bulk Granules' | 'Bulk Granule Reingest' | 'Bulk Granule Delete' | 'Kinesis Replay' | 'Reconciliation Report' | 'SQS Replay';
+export type AsyncOperationType = 'Migration Count Report' | 'Dead-Letter Processing' | 'ES Index' | 'Bulk Granules' | 'Bulk Granule Reingest' | 'Bulk Granule Delete' | 'Bulk Granule CMR Update' | 'Kinesis Replay' | 'Reconciliation Report' | 'SQS Replay';
 
 export interface ApiAsyncOperation {
   id: string
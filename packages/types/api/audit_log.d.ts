@@ -0,0 +1,15 @@
+export type AuditLogOutcome = 'success' | 'failure';
+
+export interface ApiAuditLogEntry {
+  username?: string,
+  method: string,
+  route: string,
+  recordType: string,
+  recordId?: string,
+  requestBodyDigest?: string,
+  before?: object,
+  after?: object,
+  statusCode: number,
+  outcome: AuditLogOutcome,
+  createdAt: number
+}
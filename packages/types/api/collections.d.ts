@@ -25,6 +25,9 @@ export interface PartialCollectionRecord {
   sampleFileName?: string,
   tags?: string[],
   meta?: object,
+  ummC?: object,
+  published?: boolean,
+  cmrConceptId?: string,
   url_path?: string,
   version?: string,
   createdAt?: number,
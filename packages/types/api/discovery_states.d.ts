@@ -0,0 +1,14 @@
+export interface ApiDiscoveryStateCheckpoints {
+  [path: string]: number
+}
+
+export interface ApiDiscoveryState {
+  collectionId: string,
+  provider: string,
+  providerPath: string,
+  ruleName?: string,
+  lastModifiedAt?: number,
+  checkpoints?: ApiDiscoveryStateCheckpoints,
+  createdAt?: number,
+  updatedAt?: number
+}
@@ -0,0 +1,11 @@
+import { GranuleStatus } from './granules';
+
+export interface ApiGranuleHistoryEntry {
+  status: GranuleStatus,
+  published?: boolean,
+  executionArn?: string,
+  workflowName?: string,
+  error?: object,
+  actor?: string,
+  timestamp: number
+}
@@ -2,6 +2,8 @@ export type GranuleId = string;
 
 export type GranuleStatus = 'completed' | 'failed' | 'running' | 'queued';
 
+export type GranuleCmrPublishStatus = 'pending' | 'failed';
+
 export type GranuleTemporalInfo = {
   beginningDateTime: string
   endingDateTime: string
@@ -13,6 +15,8 @@ export interface MessageGranule {
   granuleId: string
   cmrLink?: string
   published?: boolean
+  cmrPublishStatus?: GranuleCmrPublishStatus
+  publishAt?: string
   status?: string
   sync_granule_duration?: number
   post_to_cmr_duration?: number
@@ -30,6 +34,8 @@ export type ApiGranule = {
   execution?: string
   cmrLink?: string
   published?: boolean
+  cmrPublishStatus?: GranuleCmrPublishStatus
+  publishAt?: string
   pdrName?: string
   provider?: string
   error?: Object
@@ -13,4 +13,14 @@ export interface ApiProvider {
   cmKeyId?: string,
   certificateUri?: string
   allowedRedirects?: string[]
+  httpListing?: {
+    mode?: 'html' | 'json' | 'stac' | 'manifest',
+    indexFile?: string,
+    checksumType?: string,
+  }
+  httpAuth?: {
+    type?: 'basic' | 'bearer' | 'edl' | 'certificate',
+    secretId?: string,
+    loginUrl?: string,
+  }
 }
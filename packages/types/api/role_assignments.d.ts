@@ -0,0 +1,10 @@
+export type ApiRole = 'read-only' | 'operator' | 'admin';
+
+export interface ApiRoleAssignment {
+  username: string,
+  role: ApiRole,
+  collectionId?: string,
+  provider?: string,
+  createdAt?: number,
+  updatedAt?: number
+}
@@ -1,4 +1,6 @@
-export type RuleType = 'kinesis' | 'onetime' | 'scheduled' | 'sns' | 'sqs';
+export type RuleType = 'http' | 'kinesis' | 'onetime' | 's3' | 'scheduled' | 'sns' | 'sqs';
+
+export type HttpRuleAuthType = 'hmac' | 'secret';
 
 export type RuleState = 'ENABLED' | 'DISABLED';
 
@@ -7,6 +9,11 @@ export interface Rule {
   arn?: string,
   logEventArn?: string
   value?: string,
+  prefix?: string,
+  suffix?: string,
+  authType?: HttpRuleAuthType,
+  payloadSchema?: object,
+  filterExpression?: string,
 }
 
 export interface RuleMeta {
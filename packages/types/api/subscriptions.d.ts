@@ -0,0 +1,37 @@
+export type ApiSubscriptionRecordType = 'granule' | 'execution' | 'pdr';
+
+export interface ApiSubscription {
+  name: string,
+  url: string,
+  recordTypes: ApiSubscriptionRecordType[],
+  collectionId?: string,
+  provider?: string,
+  statuses?: string[],
+  secret?: string,
+  enabled?: boolean,
+  createdAt?: number,
+  updatedAt?: number
+}
+
+export type ApiSubscriptionDeliveryStatus = 'pending' | 'succeeded' | 'dead_letter';
+
+export interface ApiSubscriptionDeliveryAttempt {
+  timestamp: number,
+  durationMs: number,
+  statusCode?: number,
+  error?: string
+}
+
+export interface ApiSubscriptionDelivery {
+  deliveryId: string,
+  subscription: string,
+  recordType: ApiSubscriptionRecordType,
+  recordId: string,
+  event?: string,
+  payload: object,
+  status: ApiSubscriptionDeliveryStatus,
+  attempts: ApiSubscriptionDeliveryAttempt[],
+  nextAttemptAt?: number,
+  createdAt: number,
+  updatedAt: number
+}
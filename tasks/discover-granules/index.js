@@ -4,13 +4,18 @@ const curry = require('lodash/curry');
 const get = require('lodash/get');
 const groupBy = require('lodash/groupBy');
 const isBoolean = require('lodash/isBoolean');
+const isNil = require('lodash/isNil');
 const map = require('lodash/map');
 const pick = require('lodash/pick');
+const pickBy = require('lodash/pickBy');
 const pMap = require('p-map');
 const Logger = require('@cumulus/logger');
+const discoveryStates = require('@cumulus/api-client/discoveryStates');
 const granules = require('@cumulus/api-client/granules');
 const { runCumulusTask } = require('@cumulus/cumulus-message-adapter-js');
-const { buildProviderClient } = require('@cumulus/ingest/providerClientUtils');
+const { listFilterKeys } = require('@cumulus/ingest/listFilters');
+const { buildProviderClient, listFilteredFiles } = require('@cumulus/ingest/providerClientUtils');
+const { constructCollectionId } = require('@cumulus/message/Collections');
 
 const logger = (logOptions) => new Logger({
   executions: process.env.EXECUTIONS,
@@ -32,10 +37,22 @@ const logger = (logOptions) => new Logger({
  * @param {number} [params.httpRequestTimeout=300] - seconds for http provider
  *   to wait before timing out
  * @param {string} params.path - the provider path to search
+ * @param {Object} [params.filters] - modification time, size and exclude
+ *   filters of the files, see `@cumulus/ingest/listFilters`
+ * @param {boolean} [params.statFiles] - whether to look up the modification
+ *   times and sizes the provider does not list, see
+ *   `@cumulus/ingest/providerClientUtils.listFilteredFiles`
  * @returns {Array<Object>} a list of discovered file objects
  */
 const listFiles = async (params) => {
-  const { providerConfig, useList, httpRequestTimeout = 300, path } = params;
+  const {
+    providerConfig,
+    useList,
+    httpRequestTimeout = 300,
+    path,
+    filters,
+    statFiles,
+  } = params;
   const provider = buildProviderClient({
     ...providerConfig,
     useList,
@@ -44,12 +61,132 @@ const listFiles = async (params) => {
 
   try {
     await provider.connect();
-    return await provider.list(path);
+    return await listFilteredFiles({ providerClient: provider, path, filters, statFiles });
   } finally {
     await provider.end();
   }
 };
 
+/**
+ * Get the modification time of a listed file, in milliseconds since the epoch
+ *
+ * @param {Object} file - a file listed by a provider client
+ * @param {number|string|Date} [file.time] - the listed modification time
+ * @returns {number|undefined} the modification time, or `undefined` if the
+ * provider did not list it
+ */
+const getFileModificationTime = ({ time }) => {
+  if (isNil(time)) return undefined;
+  const modificationTime = new Date(time).getTime();
+  return Number.isNaN(modificationTime) ? undefined : modificationTime;
+};
+
+/**
+ * Get the key of the discovery state of an incremental discovery: its
+ * collection, provider, provider path and rule
+ *
+ * @param {Object} config - the event config
+ * @returns {Object} the `collectionId`, `provider`, `providerPath` and
+ * `ruleName` of the discovery state
+ * @throws {Error} if the provider has no id
+ */
+const getDiscoveryStateKey = (config) => {
+  if (!config.provider.id) {
+    throw new Error('Incremental discovery requires the id of the provider');
+  }
+  return {
+    collectionId: constructCollectionId(config.collection.name, config.collection.version),
+    provider: config.provider.id,
+    providerPath: config.provider_path,
+    ruleName: config.incrementalDiscovery.ruleName || '',
+  };
+};
+
+/**
+ * Keep the files modified at or after the high-water mark of a discovery
+ * state.
+ *
+ * The mark of a file is the checkpoint of the directory it was listed in, or
+ * the `lastModifiedAt` of the state for directories without a checkpoint.
+ * Files modified at the mark itself are kept, as files written after the
+ * previous discovery may share its modification time. Files whose provider did
+ * not list a modification time are always kept.
+ *
+ * @param {Array<Object>} files - files listed by a provider client
+ * @param {Object} [discoveryState] - the discovery state, if any
+ * @returns {Array<Object>} the files modified at or after the mark
+ */
+const filterFilesModifiedSinceDiscoveryState = (files, discoveryState) => {
+  if (!discoveryState) return files;
+  const { lastModifiedAt, checkpoints = {} } = discoveryState;
+
+  return files.filter((file) => {
+    const modificationTime = getFileModificationTime(file);
+    const directory = file.path || '';
+    const mark = directory in checkpoints ? checkpoints[directory] : lastModifiedAt;
+    return modificationTime === undefined || mark === undefined || modificationTime >= mark;
+  });
+};
+
+/**
+ * Keep the granules with at least one file modified since the high-water mark
+ * of a discovery state, with all their listed files, so that a granule whose
+ * files were modified at different times is discovered whole
+ *
+ * @param {Object<Array>} filesByGranuleId - the listed files, grouped by
+ *   granule id
+ * @param {Object} [discoveryState] - the discovery state, if any
+ * @returns {Object<Array>} the files of the modified granules, grouped by
+ *   granule id
+ */
+const filterGranulesModifiedSinceDiscoveryState = (filesByGranuleId, discoveryState) =>
+  pickBy(
+    filesByGranuleId,
+    (files) => filterFilesModifiedSinceDiscoveryState(files, discoveryState).length > 0
+  );
+
+/**
+ * Log a warning if the provider did not return the modification time of some
+ * listed files, as incremental discovery discovers their granules on every run
+ *
+ * @param {Array<Object>} files - all the files listed by the provider client
+ * @returns {undefined}
+ */
+const warnOfFilesWithoutModificationTime = (files) => {
+  const count = files.filter((file) => getFileModificationTime(file) === undefined).length;
+  if (count > 0) {
+    logger().warn(`The provider returned no modification time for ${count} of ${files.length} listed files, their granules are discovered on every incremental discovery`);
+  }
+};
+
+/**
+ * Advance the high-water mark and directory checkpoints of a discovery state
+ * to the latest modification time of the listed files
+ *
+ * @param {Object} key - the key of the discovery state
+ * @param {Array<Object>} files - all the files listed by the provider client
+ * @param {Object} [discoveryState] - the previous discovery state, if any
+ * @returns {Object} the updated discovery state
+ */
+const advanceDiscoveryState = (key, files, discoveryState = {}) => {
+  let { lastModifiedAt } = discoveryState;
+  const checkpoints = { ...discoveryState.checkpoints };
+
+  files.forEach((file) => {
+    const modificationTime = getFileModificationTime(file);
+    if (modificationTime === undefined) return;
+    const directory = file.path || '';
+    checkpoints[directory] = Math.max(checkpoints[directory] || 0, modificationTime);
+    lastModifiedAt = Math.max(lastModifiedAt || 0, modificationTime);
+  });
+
+  return {
+    ...key,
+    ...(lastModifiedAt !== undefined && { lastModifiedAt }),
+    checkpoints,
+  };
+};
+
 /**
  * Given a regular expression and a file containing a name, extract the granule
  * id from the file's name
@@ -293,17 +430,41 @@ const handleDuplicates = async ({ filesByGranuleId, duplicateHandling, concurren
  *    is passed to the next task in the workflow
  */
 const discoverGranules = async ({ config }) => {
-  const discoveredFiles = await listFiles({
+  const incremental = get(config, 'incrementalDiscovery.enabled', false);
+  let discoveryStateKey;
+  let discoveryState;
+  if (incremental) {
+    discoveryStateKey = getDiscoveryStateKey(config);
+    discoveryState = await discoveryStates.getDiscoveryState({
+      prefix: process.env.STACKNAME,
+      ...discoveryStateKey,
+    });
+  }
+
+  const listedFiles = await listFiles({
     providerConfig: config.provider,
     useList: config.useList,
     httpRequestTimeout: config.httpRequestTimeout,
     path: config.provider_path,
+    filters: pick(config, listFilterKeys),
+    // Incremental discovery compares modification times, which HTTP
+    // providers only return in the headers of each file
+    statFiles: incremental,
   });
-
-  let filesByGranuleId = groupFilesByGranuleId(
+  if (incremental) {
+    warnOfFilesWithoutModificationTime(listedFiles);
+  }
+  const listedFilesByGranuleId = groupFilesByGranuleId(
     config.collection.granuleIdExtraction,
-    discoveredFiles
+    listedFiles
   );
+  let filesByGranuleId = filterGranulesModifiedSinceDiscoveryState(
+    listedFilesByGranuleId,
+    discoveryState
+  );
+  if (incremental) {
+    logger().info(`Discovered ${Object.keys(filesByGranuleId).length} of ${Object.keys(listedFilesByGranuleId).length} granules modified since the last discovery`);
+  }
 
   const duplicateHandling = config.duplicateGranuleHandling || 'replace';
   filesByGranuleId = await handleDuplicates({
@@ -315,6 +476,15 @@ const discoverGranules = async ({ config }) => {
   const discoveredGranules = map(filesByGranuleId, buildGranule(config));
 
   logger({ granules: discoveredGranules.map((g) => g.granuleId) }).info(`Discovered ${discoveredGranules.length} granules.`);
+
+  // The advanced discovery state is saved by the queue-granules task once the
+  // discovered granules are queued, so that a failed run discovers them again
+  if (incremental) {
+    return {
+      granules: discoveredGranules,
+      discoveryState: advanceDiscoveryState(discoveryStateKey, listedFiles, discoveryState),
+    };
+  }
   return { granules: discoveredGranules };
 };
 
@@ -329,9 +499,12 @@ const discoverGranules = async ({ config }) => {
 const handler = async (event, context) => await runCumulusTask(discoverGranules, event, context);
 
 module.exports = {
+  advanceDiscoveryState, // exported to support testing
   checkGranuleHasNoDuplicate, // exported to support testing
   discoverGranules,
   handler,
   filterDuplicates, // exported to support testing
+  filterFilesModifiedSinceDiscoveryState, // exported to support testing
+  filterGranulesModifiedSinceDiscoveryState, // exported to support testing
   handleDuplicates, // exported to support testing
 };
@@ -70,19 +70,29 @@ const fakeGranulesModule = {
   },
 };
 
+// This fakes the `@cumulus/api-client/discoveryStates` module so that tests can set the discovery
+// state returned by the Cumulus API.
+const fakeDiscoveryStatesModule = {
+  getDiscoveryState: sinon.stub(),
+};
+
 const pMapSpy = sinon.spy(pMap);
 
 // Import the discover-granules functions that we'll be testing, configuring them to use the fake
 // granules module and the fake logger.
 const {
+  advanceDiscoveryState,
   checkGranuleHasNoDuplicate,
   discoverGranules,
   filterDuplicates,
+  filterFilesModifiedSinceDiscoveryState,
+  filterGranulesModifiedSinceDiscoveryState,
   handleDuplicates,
 } = proxyquire(
   '..',
   {
     'p-map': pMapSpy,
+    '@cumulus/api-client/discoveryStates': fakeDiscoveryStatesModule,
     '@cumulus/api-client/granules': fakeGranulesModule,
     '@cumulus/logger': FakeLogger,
   }
@@ -97,6 +107,7 @@ async function assertDiscoveredGranules(t, output) {
 
 test.beforeEach(async (t) => {
   pMapSpy.resetHistory();
+  fakeDiscoveryStatesModule.getDiscoveryState.reset();
   process.env.oauth_provider = 'earthdata';
 
   t.context.event = await readJson(path.join(__dirname, 'fixtures', 'mur.json'));
@@ -311,6 +322,38 @@ test('discover granules without collection files config for .nc files using S3',
     output.granules.forEach(({ files }) => t.is(files.length, 1));
   }));
 
+test('discover granules using S3 only discovers the files matching the list filters',
+  discoverGranulesUsingS3(({ context: { event: { config } } }) => {
+    config.exclude = '\\.md5$';
+    config.modifiedAfter = 'P1D';
+    config.minSize = 1;
+    config.provider = {
+      id: 'MODAPS',
+      protocol: 's3',
+      host: config.sourceBucketName,
+    };
+  }, async (t, output) => {
+    await validateOutput(t, output);
+    t.is(output.granules.length, 3);
+    output.granules.forEach(({ files }) => {
+      t.is(files.length, 1);
+      t.true(files[0].name.endsWith('.nc'));
+    });
+  }));
+
+test('discover granules using S3 discovers no granules modified before the modification time window',
+  discoverGranulesUsingS3(({ context: { event: { config } } }) => {
+    config.modifiedAfter = new Date(Date.now() + 3600 * 1000).toISOString();
+    config.provider = {
+      id: 'MODAPS',
+      protocol: 's3',
+      host: config.sourceBucketName,
+    };
+  }, async (t, output) => {
+    await validateOutput(t, output);
+    t.is(output.granules.length, 0);
+  }));
+
 test('discover granules using S3 throws error when discovery fails',
   async (t) => {
     const assert = discoverGranulesUsingS3(({ context: { event: { config } } }) => {
@@ -325,6 +368,155 @@ test('discover granules using S3 throws error when discovery fails',
     await t.throwsAsync(assert(t), { name: 'NoSuchBucket' });
   });
 
+test.serial('incremental discovery of granules using S3 discovers all granules without a discovery state and outputs the advanced discovery state',
+  discoverGranulesUsingS3(({ context: { event: { config } } }) => {
+    config.incrementalDiscovery = { enabled: true, ruleName: 'hourly' };
+    config.provider = {
+      id: 'MODAPS',
+      protocol: 's3',
+      host: config.sourceBucketName,
+    };
+    fakeDiscoveryStatesModule.getDiscoveryState.resolves(undefined);
+  }, async (t, output) => {
+    await assertDiscoveredGranules(t, output);
+
+    const { config } = t.context.event;
+    const discoveryStateKey = {
+      collectionId: `${config.collection.name}___${config.collection.version}`,
+      provider: 'MODAPS',
+      providerPath: config.provider_path,
+      ruleName: 'hourly',
+    };
+    t.true(fakeDiscoveryStatesModule.getDiscoveryState.calledOnceWith(
+      sinon.match(discoveryStateKey)
+    ));
+    const { discoveryState } = output;
+    t.like(discoveryState, discoveryStateKey);
+    t.true(Number.isInteger(discoveryState.lastModifiedAt));
+    t.deepEqual(
+      discoveryState.checkpoints,
+      { [config.provider_path]: discoveryState.lastModifiedAt }
+    );
+  }));
+
+test.serial('incremental discovery of granules using S3 only discovers files modified after the discovery state',
+  discoverGranulesUsingS3((t) => {
+    const { config } = t.context.event;
+    config.incrementalDiscovery = { enabled: true };
+    config.provider = {
+      id: 'MODAPS',
+      protocol: 's3',
+      host: config.sourceBucketName,
+    };
+    t.context.lastModifiedAt = Date.now() + 3600 * 1000;
+    fakeDiscoveryStatesModule.getDiscoveryState.resolves({
+      lastModifiedAt: t.context.lastModifiedAt,
+    });
+  }, async (t, output) => {
+    await validateOutput(t, output);
+    t.is(output.granules.length, 0);
+
+    const { discoveryState } = output;
+    t.is(discoveryState.ruleName, '');
+    t.is(discoveryState.lastModifiedAt, t.context.lastModifiedAt);
+  }));
+
+test.serial('incremental discovery of granules using HTTP reads the modification times of the listed files', async (t) => {
+  const { event } = t.context;
+  event.config.provider_path = '/granules/fake_granules';
+  event.config.provider = {
+    id: 'MODAPS',
+    protocol: 'http',
+    host: '127.0.0.1',
+    port: 3030,
+  };
+  event.config.incrementalDiscovery = { enabled: true };
+  const lastModifiedAt = Date.now() + 3600 * 1000;
+  fakeDiscoveryStatesModule.getDiscoveryState.resolves({ lastModifiedAt });
+
+  logEvents = [];
+
+  let output;
+  try {
+    output = await discoverGranules(event);
+  } finally {
+    delete process.env.GRANULES;
+  }
+
+  await validateOutput(t, output);
+  t.is(output.granules.length, 0);
+  t.is(output.discoveryState.lastModifiedAt, lastModifiedAt);
+  t.true(Object.keys(output.discoveryState.checkpoints).length > 0);
+  t.false(logEvents.some(({ level }) => level === 'warn'));
+});
+
+test('filterFilesModifiedSinceDiscoveryState() keeps the files modified at or after the checkpoint of their directory or the high-water mark', (t) => {
+  const files = [
+    { name: 'older.nc', path: 'checkpointed', time: 900 },
+    { name: 'old.nc', path: 'checkpointed', time: 1000 },
+    { name: 'late.nc', path: 'checkpointed', time: 1500 },
+    { name: 'old.nc', path: 'new', time: 1500 },
+    { name: 'new.nc', path: 'new', time: 2500 },
+    { name: 'untimed.nc', path: 'new' },
+  ];
+  const discoveryState = {
+    lastModifiedAt: 2000,
+    checkpoints: { checkpointed: 1000 },
+  };
+
+  t.deepEqual(
+    filterFilesModifiedSinceDiscoveryState(files, discoveryState),
+    [files[1], files[2], files[4], files[5]]
+  );
+  t.deepEqual(filterFilesModifiedSinceDiscoveryState(files, undefined), files);
+});
+
+test('filterGranulesModifiedSinceDiscoveryState() keeps all the files of the granules with a modified file', (t) => {
+  const filesByGranuleId = {
+    modified: [
+      { name: 'modified.hdf', path: 'data', time: 1000 },
+      { name: 'modified.hdf.met', path: 'data', time: 3000 },
+    ],
+    unmodified: [
+      { name: 'unmodified.hdf', path: 'data', time: 1000 },
+      { name: 'unmodified.hdf.met', path: 'data', time: 1500 },
+    ],
+  };
+  const discoveryState = { lastModifiedAt: 2000 };
+
+  t.deepEqual(
+    filterGranulesModifiedSinceDiscoveryState(filesByGranuleId, discoveryState),
+    { modified: filesByGranuleId.modified }
+  );
+  t.deepEqual(
+    filterGranulesModifiedSinceDiscoveryState(filesByGranuleId, undefined),
+    filesByGranuleId
+  );
+});
+
+test('advanceDiscoveryState() advances the high-water mark and directory checkpoints to the latest modification times', (t) => {
+  const key = { collectionId: 'MOD09GQ___006', provider: 'MODAPS', providerPath: '/data', ruleName: '' };
+  const files = [
+    { name: 'a.nc', path: 'kept', time: new Date(500) },
+    { name: 'b.nc', path: 'updated', time: 3000 },
+    { name: 'c.nc', time: 2500 },
+    { name: 'untimed.nc', path: 'untimed' },
+  ];
+
+  t.deepEqual(
+    advanceDiscoveryState(key, files, {
+      lastModifiedAt: 2000,
+      checkpoints: { kept: 1000, updated: 2000 },
+    }),
+    {
+      ...key,
+      lastModifiedAt: 3000,
+      checkpoints: { kept: 1000, updated: 3000, '': 2500 },
+    }
+  );
+  t.deepEqual(advanceDiscoveryState(key, []), { ...key, checkpoints: {} });
+});
+
 test('handleDuplicates filters on duplicateHandling set to "skip"', async (t) => {
   const result = await handleDuplicates({
     filesByGranuleId: t.context.filesByGranuleId,
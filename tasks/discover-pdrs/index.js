@@ -1,9 +1,11 @@
 'use strict';
 
 const get = require('lodash/get');
+const pick = require('lodash/pick');
 const pFilter = require('p-filter');
 const { s3ObjectExists } = require('@cumulus/aws-client/S3');
-const { buildProviderClient } = require('@cumulus/ingest/providerClientUtils');
+const { listFilterKeys } = require('@cumulus/ingest/listFilters');
+const { buildProviderClient, listFilteredFiles } = require('@cumulus/ingest/providerClientUtils');
 const { runCumulusTask } = require('@cumulus/cumulus-message-adapter-js');
 
 /**
@@ -17,10 +19,12 @@ const { runCumulusTask } = require('@cumulus/cumulus-message-adapter-js');
  * @param {number} [params.httpRequestTimeout=300] - seconds for http provider
  * to wait before timing out
  * @param {string} params.path - the provider path to search
+ * @param {Object} [params.filters] - modification time, size and exclude
+ *   filters of the files, see `@cumulus/ingest/listFilters`
  * @returns {Array<Object>} a list of discovered file objects
  */
 const listFiles = async (params) => {
-  const { providerConfig, useList, path, httpRequestTimeout = 300 } = params;
+  const { providerConfig, useList, path, httpRequestTimeout = 300, filters } = params;
 
   const provider = buildProviderClient({
     ...providerConfig,
@@ -31,7 +35,7 @@ const listFiles = async (params) => {
   try {
     await provider.connect();
 
-    return await provider.list(path);
+    return await listFilteredFiles({ providerClient: provider, path, filters });
   } finally {
     await provider.end();
   }
@@ -57,6 +61,7 @@ const discoverPdrs = async ({ config }) => {
     useList: config.useList,
     httpRequestTimeout: config.httpRequestTimeout,
     path: config.provider_path,
+    filters: pick(config, listFilterKeys),
   });
 
   const discoveredPdrs = discoveredFiles.filter(isPdrFile);
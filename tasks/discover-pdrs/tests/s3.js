@@ -129,3 +129,41 @@ test.serial('test pdr discovery with S3 when all PDRs are new', async (t) => {
   await validateOutput(t, output);
   t.is(output.pdrs.length, 1);
 });
+
+test.serial('test pdr discovery with S3 only discovers the PDRs matching the list filters', async (t) => {
+  const { config } = t.context.event;
+  const pdrNames = ['small.PDR', 'large.PDR', 'excluded.PDR'];
+  await Promise.all(pdrNames.map((pdrName) =>
+    s3().putObject({
+      Bucket: config.provider.host,
+      Key: `${config.provider_path}/${pdrName}`,
+      Body: pdrName === 'large.PDR' ? 'x'.repeat(100) : 'PDR',
+    })));
+
+  config.maxSize = 10;
+  config.exclude = ['^excluded'];
+  config.modifiedAfter = 'P1D';
+  await validateConfig(t, config);
+
+  const output = await discoverPdrs(t.context.event);
+
+  await validateOutput(t, output);
+  t.deepEqual(output.pdrs.map(({ name }) => name), ['small.PDR']);
+});
+
+test.serial('test pdr discovery with S3 discovers no PDRs modified before the modification time window', async (t) => {
+  const { config } = t.context.event;
+  await s3().putObject({
+    Bucket: config.provider.host,
+    Key: `${config.provider_path}/${randomString()}.PDR`,
+    Body: 'test PDR body',
+  });
+
+  config.modifiedAfter = new Date(Date.now() + 3600 * 1000).toISOString();
+  await validateConfig(t, config);
+
+  const output = await discoverPdrs(t.context.event);
+
+  await validateOutput(t, output);
+  t.is(output.pdrs.length, 0);
+});
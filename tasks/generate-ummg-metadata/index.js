@@ -0,0 +1,226 @@
+'use strict';
+
+const cumulusMessageAdapter = require('@cumulus/cumulus-message-adapter-js');
+const get = require('lodash/get');
+const mergeWith = require('lodash/mergeWith');
+const path = require('path');
+
+const BucketsConfig = require('@cumulus/common/BucketsConfig');
+const log = require('@cumulus/common/log');
+const { validateUMMGSchema } = require('@cumulus/cmr-client');
+const {
+  constructRelatedUrls,
+  getS3UrlOfFile,
+  isCMRFile,
+  mapFileEtags,
+  uploadUMMGJSONCMRFile,
+} = require('@cumulus/cmrjs/cmr-utils');
+const { fetchDistributionBucketMap } = require('@cumulus/distribution-utils');
+const { ValidationError } = require('@cumulus/errors');
+
+const ummgVersion = '1.6.2';
+
+// UMM-G checksum algorithms, keyed by the lower case Cumulus checksum type
+// without dashes
+const checksumAlgorithms = {
+  adler32: 'Adler-32',
+  cksum: 'POSIX',
+  md5: 'MD5',
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512',
+};
+
+/**
+ * Build the UMM-G archive and distribution information of a granule file
+ *
+ * @param {Object} file - granule file
+ * @returns {Object} UMM-G file object
+ */
+function buildArchiveAndDistributionInformation(file) {
+  const archiveInformation = {
+    Name: file.fileName || path.basename(file.key),
+  };
+  if (file.size !== undefined) archiveInformation.SizeInBytes = file.size;
+
+  const algorithm = file.checksumType
+    && checksumAlgorithms[file.checksumType.toLowerCase().replace(/-/g, '')];
+  if (algorithm && file.checksum) {
+    archiveInformation.Checksum = { Value: `${file.checksum}`, Algorithm: algorithm };
+  }
+  return archiveInformation;
+}
+
+/**
+ * Build the CMR file object of the UMM-G metadata file of a granule, which
+ * is written next to the data file of the granule
+ *
+ * @param {Object} granule - granule
+ * @returns {Object} CMR file object with `bucket`, `key`, `fileName` and `type`
+ */
+function buildCmrFile(granule) {
+  const dataFile = granule.files.find((file) => file.type === 'data') || granule.files[0];
+  if (!dataFile) {
+    throw new ValidationError(`Granule ${granule.granuleId} has no files to generate UMM-G metadata for`);
+  }
+  const fileName = `${granule.granuleId}.cmr.json`;
+  return {
+    bucket: dataFile.bucket,
+    key: path.join(path.dirname(dataFile.key), fileName),
+    fileName,
+    type: 'metadata',
+  };
+}
+
+/**
+ * Build the UMM-G metadata of a granule. The template of the collection is
+ * the base of the metadata, and the values of the granule replace those of
+ * the template. Related URLs of the template are kept.
+ *
+ * @param {Object} params
+ * @param {Object} params.granule - granule
+ * @param {Object} params.collection - collection of the granule
+ * @param {Object[]} params.relatedUrls - related URLs of the granule files
+ * @param {string} [params.now] - current time, used for the provider dates
+ * @returns {Object} UMM-G metadata object
+ */
+function buildUMMGMetadata({
+  granule,
+  collection,
+  relatedUrls,
+  now = new Date().toISOString(),
+}) {
+  const template = get(collection, 'meta.ummgTemplate', {});
+  const granuleMetadata = {
+    GranuleUR: granule.granuleId,
+    ProviderDates: [
+      { Date: now, Type: 'Insert' },
+      { Date: now, Type: 'Update' },
+    ],
+    CollectionReference: {
+      ShortName: collection.name,
+      Version: collection.version,
+    },
+    DataGranule: {
+      ArchiveAndDistributionInformation: granule.files
+        .filter((file) => !isCMRFile(file))
+        .map(buildArchiveAndDistributionInformation),
+      ProductionDateTime: granule.productionDateTime || now,
+    },
+    RelatedUrls: [...get(template, 'RelatedUrls', []), ...relatedUrls],
+    MetadataSpecification: {
+      URL: `https://cdn.earthdata.nasa.gov/umm/granule/v${ummgVersion}`,
+      Name: 'UMM-G',
+      Version: ummgVersion,
+    },
+  };
+  if (granule.beginningDateTime) {
+    granuleMetadata.TemporalExtent = {
+      RangeDateTime: {
+        BeginningDateTime: granule.beginningDateTime,
+        ...(granule.endingDateTime && { EndingDateTime: granule.endingDateTime }),
+      },
+    };
+  }
+
+  // Lists of the granule replace those of the template instead of being merged
+  return mergeWith(
+    { DataGranule: { DayNightFlag: 'Unspecified' } },
+    template,
+    granuleMetadata,
+    (_, value) => (Array.isArray(value) ? value : undefined)
+  );
+}
+
+/**
+ * Generate and write the UMM-G metadata file of each granule which has no
+ * CMR metadata file. Granules which already have one are left unchanged.
+ *
+ * @param {Object} event - Lambda function payload
+ * @param {Object} event.config - the config object
+ * @param {Object} event.config.buckets - Buckets config
+ * @param {Object} event.config.collection - collection of the granules, whose
+ *    `meta.ummgTemplate` is the base of the generated metadata
+ * @param {string} event.config.distribution_endpoint - distribution endpoint
+ *    for the api
+ * @param {string} [event.config.cmrGranuleUrlType=both] - type of the related
+ *    URLs of the granule files
+ * @param {Object} [event.config.etags] - map of s3URIs to ETags
+ * @param {Object} event.input - a granules object containing an array of granules
+ * @returns {Promise<Object>} the granules, with their generated CMR files, and
+ *    the ETags of the generated CMR files
+ */
+async function generateUMMGMetadata(event) {
+  const config = event.config;
+  const bucketsConfig = new BucketsConfig(config.buckets);
+  const bucketTypes = Object.fromEntries(Object.values(bucketsConfig.buckets)
+    .map(({ name, type }) => [name, type]));
+  const cmrGranuleUrlType = get(config, 'cmrGranuleUrlType', 'both');
+  const incomingETags = config.etags || {};
+
+  const distributionBucketMap = await fetchDistributionBucketMap();
+  const generatedCmrFiles = [];
+
+  const granules = await Promise.all(event.input.granules.map(async (granule) => {
+    if (granule.files.some(isCMRFile)) {
+      log.info(`Granule ${granule.granuleId} has a CMR file, skipping UMM-G generation`);
+      return granule;
+    }
+
+    const cmrFile = buildCmrFile(granule);
+    const relatedUrls = constructRelatedUrls({
+      files: [...granule.files, cmrFile],
+      distEndpoint: config.distribution_endpoint,
+      bucketTypes,
+      cmrGranuleUrlType,
+      distributionBucketMap,
+      useDirectS3Type: true,
+    });
+    const metadataObject = buildUMMGMetadata({
+      granule,
+      collection: config.collection,
+      relatedUrls,
+    });
+
+    const errors = validateUMMGSchema(metadataObject);
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Generated UMM-G metadata of granule ${granule.granuleId} is invalid: ${JSON.stringify(errors)}`
+      );
+    }
+
+    const { ETag: etag } = await uploadUMMGJSONCMRFile(metadataObject, cmrFile);
+    log.info(`Wrote UMM-G metadata of granule ${granule.granuleId} to ${getS3UrlOfFile(cmrFile)}`);
+    generatedCmrFiles.push({ ...cmrFile, etag });
+
+    return {
+      ...granule,
+      files: [
+        ...granule.files,
+        { ...cmrFile, size: Buffer.byteLength(JSON.stringify(metadataObject)) },
+      ],
+    };
+  }));
+
+  return {
+    granules,
+    etags: { ...incomingETags, ...mapFileEtags(generatedCmrFiles) },
+  };
+}
+
+/**
+ * Lambda handler
+ *
+ * @param {Object} event      - a Cumulus Message
+ * @param {Object} context    - an AWS Lambda context
+ * @returns {Promise<Object>} - Returns output from task.
+ *                              See schemas/output.json for detailed output schema
+ */
+async function handler(event, context) {
+  return await cumulusMessageAdapter.runCumulusTask(generateUMMGMetadata, event, context);
+}
+
+exports.buildUMMGMetadata = buildUMMGMetadata;
+exports.generateUMMGMetadata = generateUMMGMetadata;
+exports.handler = handler;
@@ -0,0 +1,179 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('ava');
+
+const {
+  getJsonS3Object,
+  putJsonS3Object,
+  recursivelyDeleteS3Bucket,
+  s3ObjectExists,
+} = require('@cumulus/aws-client/S3');
+const { s3 } = require('@cumulus/aws-client/services');
+const {
+  randomId, randomString, validateConfig, validateInput, validateOutput,
+} = require('@cumulus/common/test-utils');
+const { getDistributionBucketMapKey } = require('@cumulus/distribution-utils');
+const { ValidationError } = require('@cumulus/errors');
+
+const { buildUMMGMetadata, generateUMMGMetadata } = require('..');
+
+function buildPayload(t) {
+  const payload = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'data', 'payload.json'), 'utf8')
+  );
+
+  const bucketNames = {
+    'cumulus-protected': t.context.protectedBucket,
+    'cumulus-public': t.context.publicBucket,
+  };
+  payload.config.buckets.protected.name = t.context.protectedBucket;
+  payload.config.buckets.public.name = t.context.publicBucket;
+  payload.input.granules.forEach((granule) => {
+    granule.files.forEach((file) => {
+      file.bucket = bucketNames[file.bucket];
+    });
+  });
+  return payload;
+}
+
+test.beforeEach(async (t) => {
+  t.context.protectedBucket = randomId('protected');
+  t.context.publicBucket = randomId('public');
+  t.context.systemBucket = randomId('system');
+  t.context.stackName = randomString();
+  await Promise.all([
+    s3().createBucket({ Bucket: t.context.protectedBucket }),
+    s3().createBucket({ Bucket: t.context.publicBucket }),
+    s3().createBucket({ Bucket: t.context.systemBucket }),
+  ]);
+  process.env.system_bucket = t.context.systemBucket;
+  process.env.stackName = t.context.stackName;
+  await putJsonS3Object(
+    t.context.systemBucket,
+    getDistributionBucketMapKey(t.context.stackName),
+    {
+      [t.context.protectedBucket]: t.context.protectedBucket,
+      [t.context.publicBucket]: t.context.publicBucket,
+    }
+  );
+});
+
+test.afterEach.always(async (t) => {
+  await recursivelyDeleteS3Bucket(t.context.protectedBucket);
+  await recursivelyDeleteS3Bucket(t.context.publicBucket);
+  await recursivelyDeleteS3Bucket(t.context.systemBucket);
+});
+
+test.serial('buildUMMGMetadata() builds UMM-G metadata from the granule and the collection template', (t) => {
+  const { config, input } = buildPayload(t);
+  const [granule] = input.granules;
+  const relatedUrls = [{ URL: 'https://example.com/granule.hdf', Type: 'GET DATA' }];
+  const now = '2022-08-01T00:00:00.000Z';
+
+  const metadata = buildUMMGMetadata({
+    granule,
+    collection: config.collection,
+    relatedUrls,
+    now,
+  });
+
+  t.like(metadata, {
+    GranuleUR: granule.granuleId,
+    CollectionReference: { ShortName: 'MOD11A1', Version: '006' },
+    TemporalExtent: {
+      RangeDateTime: {
+        BeginningDateTime: '2017-07-19T00:00:00.000Z',
+        EndingDateTime: '2017-07-19T23:59:59.000Z',
+      },
+    },
+    MetadataSpecification: { Version: '1.6.2' },
+  });
+  t.deepEqual(metadata.ProviderDates, [
+    { Date: now, Type: 'Insert' },
+    { Date: now, Type: 'Update' },
+  ]);
+  t.deepEqual(metadata.DataGranule, {
+    ArchiveAndDistributionInformation: [
+      {
+        Name: 'MOD11A1.A2017200.h19v04.006.2017201090724.hdf',
+        SizeInBytes: 2365478,
+        Checksum: { Value: '8b5a8cc0bcd7d8d9bd4e0a4a0f2cd6c6', Algorithm: 'MD5' },
+      },
+      {
+        Name: 'MOD11A1.A2017200.h19v04.006.2017201090724_1.jpg',
+        SizeInBytes: 15632,
+      },
+    ],
+    DayNightFlag: 'Day',
+    ProductionDateTime: '2017-07-20T09:07:24.000Z',
+  });
+  t.deepEqual(metadata.Platforms, config.collection.meta.ummgTemplate.Platforms);
+  t.deepEqual(metadata.RelatedUrls, [
+    ...config.collection.meta.ummgTemplate.RelatedUrls,
+    ...relatedUrls,
+  ]);
+});
+
+test.serial('buildUMMGMetadata() builds UMM-G metadata without a collection template', (t) => {
+  const { config, input } = buildPayload(t);
+  const granule = input.granules[1];
+  const now = '2022-08-01T00:00:00.000Z';
+
+  const metadata = buildUMMGMetadata({
+    granule,
+    collection: { name: config.collection.name, version: config.collection.version },
+    relatedUrls: [],
+    now,
+  });
+
+  t.is(metadata.TemporalExtent, undefined);
+  t.deepEqual(metadata.DataGranule, {
+    ArchiveAndDistributionInformation: [
+      { Name: 'MOD11A1.A2017200.h19v04.006.2017201090725.hdf' },
+    ],
+    DayNightFlag: 'Unspecified',
+    ProductionDateTime: now,
+  });
+});
+
+test.serial('generateUMMGMetadata() writes UMM-G metadata files for granules without one', async (t) => {
+  const payload = buildPayload(t);
+  await validateConfig(t, payload.config);
+  await validateInput(t, payload.input);
+
+  const output = await generateUMMGMetadata(payload);
+  await validateOutput(t, output);
+
+  const [granule, granuleWithCmrFile] = output.granules;
+  const cmrFile = granule.files[2];
+  t.like(cmrFile, {
+    bucket: t.context.protectedBucket,
+    key: 'MOD11A1/MOD11A1.A2017200.h19v04.006.2017201090724.cmr.json',
+    fileName: 'MOD11A1.A2017200.h19v04.006.2017201090724.cmr.json',
+    type: 'metadata',
+  });
+
+  const metadata = await getJsonS3Object(cmrFile.bucket, cmrFile.key);
+  t.is(metadata.GranuleUR, granule.granuleId);
+  t.is(cmrFile.size, Buffer.byteLength(JSON.stringify(metadata)));
+  t.true(metadata.RelatedUrls.some(({ URL }) => URL === `s3://${cmrFile.bucket}/${cmrFile.key}`));
+  t.regex(output.etags[`s3://${cmrFile.bucket}/${cmrFile.key}`], /"\S+"/);
+
+  t.deepEqual(granuleWithCmrFile, payload.input.granules[1]);
+  t.false(await s3ObjectExists({
+    Bucket: granuleWithCmrFile.files[1].bucket,
+    Key: granuleWithCmrFile.files[1].key,
+  }));
+});
+
+test.serial('generateUMMGMetadata() throws if the generated metadata is invalid', async (t) => {
+  const payload = buildPayload(t);
+  payload.config.collection.meta.ummgTemplate.DataGranule.DayNightFlag = 'Dusk';
+
+  await t.throwsAsync(
+    generateUMMGMetadata(payload),
+    { instanceOf: ValidationError, message: /DayNightFlag/ }
+  );
+});
@@ -8,11 +8,12 @@ const {
   metadataObjectFromCMRFile,
   publish2CMR,
   removeEtagsFromFileObjects,
+  validateCMRMetadata,
 } = require('@cumulus/cmrjs');
 const { getCmrSettings, getS3UrlOfFile } = require('@cumulus/cmrjs/cmr-utils');
 const log = require('@cumulus/common/log');
 const { removeNilProperties } = require('@cumulus/common/util');
-const { CMRMetaFileNotFound } = require('@cumulus/errors');
+const { CMRMetaFileNotFound, ValidationError } = require('@cumulus/errors');
 
 /**
  * Builds the output of the post-to-cmr task
@@ -40,6 +41,47 @@ function buildOutput(results, granules) {
   });
 }
 
+/**
+ * Builds the output of the post-to-cmr task when the CMR files are not
+ * published by the task. The granules with a CMR file are marked as not
+ * published, with the given fields stating when or how they are published.
+ *
+ * @param {Array<Object>} cmrFiles - CMR file objects with their granuleIds
+ * @param {Array<Object>} granules - list of granules
+ * @param {Object} fields - fields added to the granules with a CMR file
+ *
+ * @returns {Array<Object>} an updated array of granules
+ */
+function buildUnpublishedOutput(cmrFiles, granules, fields) {
+  const granuleIds = new Set(cmrFiles.map((cmrFile) => cmrFile.granuleId));
+
+  return granules.map((granule) => {
+    if (!granuleIds.has(granule.granuleId)) return granule;
+
+    return {
+      ...granule,
+      published: false,
+      ...fields,
+    };
+  });
+}
+
+/**
+ * Parse the embargo end time of the granules
+ *
+ * @param {string} [publishAt] - ISO 8601 date-time
+ * @returns {Date|undefined} the embargo end time, if any
+ * @throws {ValidationError} if the date-time is invalid
+ */
+function parsePublishAt(publishAt) {
+  if (!publishAt) return undefined;
+  const publishAtDate = new Date(publishAt);
+  if (Number.isNaN(publishAtDate.getTime())) {
+    throw new ValidationError(`Invalid publishAt ${publishAt}, expected an ISO 8601 date-time`);
+  }
+  return publishAtDate;
+}
+
 /**
  * Appends metadata object to each CMR file object.
  *
@@ -85,6 +127,26 @@ function checkForMetadata(granules, cmrFiles) {
   });
 }
 
+/**
+ * Validate the metadata of CMR files without publishing them
+ *
+ * @param {Array<Object>} cmrFiles - CMR file objects with their metadata
+ * @param {Object} cmrSettings - CMR credentials
+ * @throws {ValidationError} - Error listing the errors of each invalid file.
+ */
+async function validateCMRFiles(cmrFiles, cmrSettings) {
+  const results = await Promise.all(
+    cmrFiles.map((cmrFile) => validateCMRMetadata(cmrFile, cmrSettings))
+  );
+  const invalidFiles = results
+    .filter(({ errors }) => errors.length > 0)
+    .map(({ granuleId, filename, errors }) => ({ granuleId, filename, errors }));
+
+  if (invalidFiles.length > 0) {
+    throw new ValidationError(`Invalid CMR metadata: ${JSON.stringify(invalidFiles)}`);
+  }
+}
+
 /**
  * Post to CMR
  *
@@ -101,6 +163,12 @@ function checkForMetadata(granules, cmrFiles) {
  * @param {string} event.config.process - the process the granules went through
  * @param {string} event.config.stack - the deployment stack name
  * @param {boolean} event.config.skipMetaCheck - option to skip Meta file check
+ * @param {boolean} event.config.validateOnly - option to validate the metadata
+ *   files without publishing them
+ * @param {boolean} event.config.publishViaQueue - option to leave the
+ *   publication of the metadata files to the CMR publish queue of the stack
+ * @param {string} event.config.publishAt - embargo end time of the granules,
+ *   before which their metadata files are not published
  * @param {Object} event.input.granules - Object of all granules where granuleID
  *    is the key
  * @param {string} event.input.cmrRevisionId - CMR Revision ID
@@ -116,17 +184,44 @@ async function postToCMR(event) {
   const cmrFiles = granulesToCmrFileObjects(granules);
   log.debug(`Found ${cmrFiles.length} CMR files.`);
   if (!event.config.skipMetaCheck) checkForMetadata(granules, cmrFiles);
-  const updatedCMRFiles = await addMetadataObjects(cmrFiles);
 
-  log.info(`Publishing ${updatedCMRFiles.length} CMR files.`);
+  const publishAt = parsePublishAt(event.config.publishAt);
+  if (publishAt && publishAt.getTime() > Date.now()) {
+    log.info(`Embargoing ${cmrFiles.length} CMR files until ${publishAt.toISOString()}.`);
+    const outputGranules = buildUnpublishedOutput(cmrFiles, granules, {
+      publishAt: publishAt.toISOString(),
+    });
+    outputGranules.forEach(removeEtagsFromFileObjects);
+    return { granules: outputGranules };
+  }
 
-  const startTime = Date.now();
+  if (event.config.publishViaQueue) {
+    log.info(`Queueing ${cmrFiles.length} CMR files for publication.`);
+    const outputGranules = buildUnpublishedOutput(cmrFiles, granules, {
+      cmrPublishStatus: 'pending',
+    });
+    outputGranules.forEach(removeEtagsFromFileObjects);
+    return { granules: outputGranules };
+  }
+
+  const updatedCMRFiles = await addMetadataObjects(cmrFiles);
 
   const cmrSettings = await getCmrSettings({
     ...event.config.cmr,
     ...event.config.launchpad,
   });
 
+  if (event.config.validateOnly) {
+    log.info(`Validating ${updatedCMRFiles.length} CMR files.`);
+    await validateCMRFiles(updatedCMRFiles, cmrSettings);
+    granules.forEach(removeEtagsFromFileObjects);
+    return { granules };
+  }
+
+  log.info(`Publishing ${updatedCMRFiles.length} CMR files.`);
+
+  const startTime = Date.now();
+
   // post all meta files to CMR
   const results = await Promise.all(
     updatedCMRFiles.map((cmrFile) => publish2CMR(cmrFile, cmrSettings, cmrRevisionId))
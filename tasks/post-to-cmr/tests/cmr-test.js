@@ -190,6 +190,125 @@ test.serial('postToCMR succeeds with correct payload', async (t) => {
   });
 });
 
+test.serial('postToCMR with validateOnly outputs the input granules without publishing them', async (t) => {
+  const { bucket, payload } = t.context;
+  const newPayload = cloneDeep(payload);
+  newPayload.config.validateOnly = true;
+  const granuleId = newPayload.input.granules[0].granuleId;
+  const cmrFileKey = `${granuleId}.cmr.xml`;
+
+  sinon.stub(cmrClient.CMR.prototype, 'getToken');
+  const validateGranuleStub = sinon.stub(cmrClient.CMR.prototype, 'validateGranule').resolves([]);
+  const ingestGranuleStub = sinon.stub(cmrClient.CMR.prototype, 'ingestGranule').callsFake(resultThunk);
+  t.teardown(() => {
+    cmrClient.CMR.prototype.getToken.restore();
+    validateGranuleStub.restore();
+    ingestGranuleStub.restore();
+  });
+
+  await s3PutObject({
+    Bucket: bucket,
+    Key: cmrFileKey,
+    Body: fs.createReadStream(path.join(path.dirname(__filename), 'data', 'meta.xml')),
+  });
+
+  await validateConfig(t, newPayload.config);
+  const output = await postToCMR(newPayload);
+
+  t.deepEqual(output.granules, payload.input.granules);
+  t.true(validateGranuleStub.calledOnce);
+  t.false(ingestGranuleStub.called);
+});
+
+test.serial('postToCMR with validateOnly throws the validation errors of invalid metadata', async (t) => {
+  const { bucket, payload } = t.context;
+  const newPayload = cloneDeep(payload);
+  newPayload.config.validateOnly = true;
+  const granuleId = newPayload.input.granules[0].granuleId;
+  const cmrFileKey = `${granuleId}.cmr.xml`;
+  const cmrErrors = [{ path: [], errors: ['Line 1 - cvc-complex-type.2.4.a: Invalid content'] }];
+
+  sinon.stub(cmrClient.CMR.prototype, 'getToken');
+  const validateGranuleStub = sinon.stub(cmrClient.CMR.prototype, 'validateGranule').resolves(cmrErrors);
+  t.teardown(() => {
+    cmrClient.CMR.prototype.getToken.restore();
+    validateGranuleStub.restore();
+  });
+
+  await s3PutObject({
+    Bucket: bucket,
+    Key: cmrFileKey,
+    Body: fs.createReadStream(path.join(path.dirname(__filename), 'data', 'meta.xml')),
+  });
+
+  const error = await t.throwsAsync(postToCMR(newPayload), { name: 'ValidationError' });
+  t.deepEqual(
+    JSON.parse(error.message.replace('Invalid CMR metadata: ', '')),
+    [{
+      granuleId,
+      filename: buildS3Uri(bucket, cmrFileKey),
+      errors: [{ source: 'cmr', ...cmrErrors[0] }],
+    }]
+  );
+});
+
+test.serial('postToCMR with publishViaQueue marks the granules as pending publication without publishing them', async (t) => {
+  const { payload } = t.context;
+  const newPayload = cloneDeep(payload);
+  newPayload.config.publishViaQueue = true;
+
+  const ingestGranuleStub = sinon.stub(cmrClient.CMR.prototype, 'ingestGranule').callsFake(resultThunk);
+  t.teardown(() => ingestGranuleStub.restore());
+
+  await validateConfig(t, newPayload.config);
+  const output = await postToCMR(newPayload);
+  await validateOutput(t, output);
+
+  t.deepEqual(
+    output.granules,
+    payload.input.granules.map((granule) => ({
+      ...granule,
+      published: false,
+      cmrPublishStatus: 'pending',
+    }))
+  );
+  t.false(ingestGranuleStub.called);
+});
+
+test.serial('postToCMR with a future publishAt embargoes the granules without publishing them', async (t) => {
+  const { payload } = t.context;
+  const newPayload = cloneDeep(payload);
+  const publishAt = new Date(Date.now() + 24 * 3600 * 1000).toISOString();
+  newPayload.config.publishAt = publishAt;
+
+  const ingestGranuleStub = sinon.stub(cmrClient.CMR.prototype, 'ingestGranule').callsFake(resultThunk);
+  t.teardown(() => ingestGranuleStub.restore());
+
+  await validateConfig(t, newPayload.config);
+  const output = await postToCMR(newPayload);
+  await validateOutput(t, output);
+
+  t.deepEqual(
+    output.granules,
+    payload.input.granules.map((granule) => ({
+      ...granule,
+      published: false,
+      publishAt,
+    }))
+  );
+  t.false(ingestGranuleStub.called);
+});
+
+test.serial('postToCMR throws a ValidationError for an invalid publishAt', async (t) => {
+  const newPayload = cloneDeep(t.context.payload);
+  newPayload.config.publishAt = 'next tuesday';
+
+  await t.throwsAsync(
+    postToCMR(newPayload),
+    { name: 'ValidationError', message: /Invalid publishAt next tuesday/ }
+  );
+});
+
 test.serial('postToCMR immediately succeeds using metadata file ETag', async (t) => {
   const newPayload = cloneDeep(t.context.payload);
   const granuleId = newPayload.input.granules[0].granuleId;
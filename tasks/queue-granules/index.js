@@ -11,6 +11,7 @@ const { enqueueGranuleIngestMessage } = require('@cumulus/ingest/queue');
 const { constructCollectionId } = require('@cumulus/message/Collections');
 const { buildExecutionArn } = require('@cumulus/message/Executions');
 const {
+  discoveryStates: discoveryStatesApi,
   providers: providersApi,
   granules: granulesApi,
 } = require('@cumulus/api-client');
@@ -75,6 +76,7 @@ async function queueGranules(event, testMocks = {}) {
   const updateGranule = testMocks.updateGranuleMock || granulesApi.updateGranule;
   const enqueueGranuleIngestMessageFn
     = testMocks.enqueueGranuleIngestMessageMock || enqueueGranuleIngestMessage;
+  const putDiscoveryState = testMocks.putDiscoveryStateMock || discoveryStatesApi.putDiscoveryState;
 
   const collectionConfigStore = new CollectionConfigStore(
     event.config.internalBucket,
@@ -137,6 +139,16 @@ async function queueGranules(event, testMocks = {}) {
     { concurrency: pMapConcurrency }
   );
 
+  // The discovery state of an incremental discovery is only advanced once its
+  // granules are queued, so that granules failing to be queued are discovered
+  // again
+  if (event.input.discoveryState) {
+    await putDiscoveryState({
+      prefix: event.config.stackName,
+      discoveryState: event.input.discoveryState,
+    });
+  }
+
   const result = { running: executionArns };
   if (event.input.pdr) result.pdr = event.input.pdr;
   return result;
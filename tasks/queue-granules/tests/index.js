@@ -230,6 +230,70 @@ test.serial('The correct output is returned when no granules are queued', async
   t.is(output.running.length, 0);
 });
 
+test.serial('The discovery state of an incremental discovery is saved once the granules are queued', async (t) => {
+  const dataType = `data-type-${randomString().slice(0, 6)}`;
+  const version = '6';
+  await t.context.collectionConfigStore.put(dataType, version, { foo: 'bar' });
+
+  const { event } = t.context;
+  event.input.granules = [
+    {
+      dataType, version, granuleId: randomString(), files: [],
+    },
+  ];
+  event.input.discoveryState = {
+    collectionId: `${dataType}___${version}`,
+    provider: 'provider-name',
+    providerPath: '/data',
+    ruleName: '',
+    lastModifiedAt: 1000,
+    checkpoints: { '/data': 1000 },
+  };
+  await validateInput(t, event.input);
+
+  const enqueueGranuleIngestMessageMock = sinon.stub().resolves('arn');
+  const putDiscoveryStateMock = sinon.stub().resolves();
+  const output = await queueGranules(event, {
+    enqueueGranuleIngestMessageMock,
+    putDiscoveryStateMock,
+  });
+
+  await validateOutput(t, output);
+  t.true(putDiscoveryStateMock.calledOnceWithExactly({
+    prefix: t.context.stackName,
+    discoveryState: event.input.discoveryState,
+  }));
+  t.true(putDiscoveryStateMock.calledAfter(enqueueGranuleIngestMessageMock));
+});
+
+test.serial('The discovery state of an incremental discovery is not saved if the granules fail to be queued', async (t) => {
+  const dataType = `data-type-${randomString().slice(0, 6)}`;
+  const version = '6';
+  await t.context.collectionConfigStore.put(dataType, version, { foo: 'bar' });
+
+  const { event } = t.context;
+  event.input.granules = [
+    {
+      dataType, version, granuleId: randomString(), files: [],
+    },
+  ];
+  event.input.discoveryState = {
+    collectionId: `${dataType}___${version}`,
+    provider: 'provider-name',
+    providerPath: '/data',
+    ruleName: '',
+    lastModifiedAt: 1000,
+  };
+
+  const putDiscoveryStateMock = sinon.stub().resolves();
+  await t.throwsAsync(queueGranules(event, {
+    enqueueGranuleIngestMessageMock: sinon.stub().rejects(new Error('failed to queue')),
+    putDiscoveryStateMock,
+  }), { message: 'failed to queue' });
+
+  t.false(putDiscoveryStateMock.called);
+});
+
 test.serial('Granules are added to the queue', async (t) => {
   const dataType = `data-type-${randomString().slice(0, 6)}`;
   const version = '6';
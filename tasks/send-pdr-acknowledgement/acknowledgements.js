@@ -0,0 +1,189 @@
+'use strict';
+
+const path = require('path');
+const {
+  jsToPVL,
+  models: {
+    PVLRoot,
+    PVLDateTime,
+    PVLNumeric,
+    PVLTextString,
+  },
+} = require('@cumulus/pvl/t');
+
+const successfulDisposition = 'SUCCESSFUL';
+const defaultFailureDisposition = 'ECS INTERNAL ERROR';
+
+// Maps the name of the error recorded on a failed granule to the PAN
+// disposition defined in the SIPS interface control document
+const errorDispositions = {
+  ConnectionTimeout: 'NETWORK FAILURE',
+  DuplicateFile: 'DUPLICATE FILE NAME IN GRANULE',
+  FileNotFound: 'ALL FILE GROUPS/FILES NOT FOUND',
+  FTPError: 'FTP/KFTP FAILURE',
+  HostNotFound: 'UNABLE TO ESTABLISH FTP/KFTP CONNECTION',
+  InvalidChecksum: 'CHECKSUM VERIFICATION FAILURE',
+  RemoteResourceError: 'NETWORK FAILURE',
+  UnexpectedFileSize: 'POST-TRANSFER FILE SIZE CHECK FAILURE',
+};
+
+/**
+ * Whether the ingest of a granule is over, i.e. whether the granule has a
+ * final status rather than being running or queued
+ *
+ * @param {Object} granule - a Cumulus API granule record
+ * @returns {boolean}
+ */
+const isGranuleFinished = (granule) => !['running', 'queued'].includes(granule.status);
+
+/**
+ * Determine the PAN disposition of the files of a granule
+ *
+ * @param {Object} granule - a Cumulus API granule record
+ * @returns {string} the PAN disposition
+ */
+const getGranuleDisposition = (granule) => {
+  if (granule.status === 'completed') return successfulDisposition;
+
+  const errorName = granule.error ? granule.error.Error : undefined;
+  return errorDispositions[errorName] || defaultFailureDisposition;
+};
+
+/**
+ * Determine the PDRD disposition of a PDR processing exception
+ *
+ * @param {Object} exception - the exception caught by the workflow
+ * @returns {string} the PDRD disposition
+ */
+const getExceptionDisposition = (exception = {}) => {
+  if (exception.Error !== 'PDRParsingError') return defaultFailureDisposition;
+
+  let message = exception.Cause;
+  try {
+    message = JSON.parse(exception.Cause).errorMessage;
+  } catch (error) {
+    // Cause is not a serialized Lambda error, use it as is
+  }
+
+  return message ? message.toUpperCase() : defaultFailureDisposition;
+};
+
+/**
+ * Build the list of file dispositions for a set of granules. The directory of
+ * a file is its directory on the provider, taken from its `source` URL, or the
+ * provider path of the PDR for files without a `source`.
+ *
+ * @param {Array<Object>} granules - Cumulus API granule records
+ * @param {Date} timestamp - the time at which the granules were processed
+ * @param {string} [providerPath] - the provider path of the PDR
+ * @returns {Array<Object>} objects with `directory`, `name`, `disposition` and
+ *   `timestamp` properties
+ */
+const buildFileDispositions = (granules, timestamp, providerPath = '') =>
+  granules.flatMap((granule) => {
+    const disposition = getGranuleDisposition(granule);
+
+    return (granule.files || []).map((file) => {
+      const fileName = file.fileName || path.basename(file.key || file.source);
+      const directory = file.source
+        ? path.dirname(new URL(file.source).pathname)
+        : providerPath;
+
+      return {
+        directory,
+        name: fileName,
+        disposition,
+        timestamp: granule.updatedAt ? new Date(granule.updatedAt) : timestamp,
+      };
+    });
+  });
+
+/**
+ * Generate a short Production Acceptance Notification
+ *
+ * @param {string} disposition - the disposition shared by all the files of the PDR
+ * @param {Date} [timestamp] - the time of the disposition
+ * @returns {string} the PAN serialized as PVL
+ */
+const generateShortPan = (disposition, timestamp = new Date()) =>
+  jsToPVL(
+    new PVLRoot()
+      .add('MESSAGE_TYPE', new PVLTextString('SHORTPAN'))
+      .add('DISPOSITION', new PVLTextString(disposition))
+      .add('TIME_STAMP', new PVLDateTime(timestamp))
+  );
+
+/**
+ * Generate a long Production Acceptance Notification
+ *
+ * @param {Array<Object>} fileDispositions - see `buildFileDispositions`
+ * @returns {string} the PAN serialized as PVL
+ */
+const generateLongPan = (fileDispositions) => {
+  const pan = new PVLRoot()
+    .add('MESSAGE_TYPE', new PVLTextString('LONGPAN'))
+    .add('NO_OF_FILES', new PVLNumeric(fileDispositions.length));
+
+  fileDispositions.forEach((file) => {
+    pan
+      .add('FILE_DIRECTORY', new PVLTextString(file.directory))
+      .add('FILE_NAME', new PVLTextString(file.name))
+      .add('DISPOSITION', new PVLTextString(file.disposition))
+      .add('TIME_STAMP', new PVLDateTime(file.timestamp));
+  });
+
+  return jsToPVL(pan);
+};
+
+/**
+ * Generate a Production Acceptance Notification for the files of a PDR. A short
+ * PAN is generated if every file shares the same disposition, otherwise a long
+ * PAN is generated.
+ *
+ * @param {Array<Object>} granules - the Cumulus API granule records of the PDR
+ * @param {Date} [timestamp] - the time to use for files without a processing time
+ * @param {string} [providerPath] - the provider path of the PDR, see
+ *   `buildFileDispositions`
+ * @returns {{ messageType: string, body: string }} the PAN message type and contents
+ */
+const generatePan = (granules, timestamp = new Date(), providerPath = '') => {
+  const fileDispositions = buildFileDispositions(granules, timestamp, providerPath);
+  const dispositions = new Set(fileDispositions.map((file) => file.disposition));
+
+  if (dispositions.size <= 1) {
+    const [disposition = successfulDisposition] = [...dispositions];
+    return {
+      messageType: 'SHORTPAN',
+      body: generateShortPan(disposition, timestamp),
+    };
+  }
+
+  return {
+    messageType: 'LONGPAN',
+    body: generateLongPan(fileDispositions),
+  };
+};
+
+/**
+ * Generate a short PDR Discrepancy
+ *
+ * @param {string} disposition - the reason the PDR was rejected
+ * @returns {string} the PDRD serialized as PVL
+ */
+const generateShortPdrd = (disposition) =>
+  jsToPVL(
+    new PVLRoot()
+      .add('MESSAGE_TYPE', new PVLTextString('SHORTPDRD'))
+      .add('DISPOSITION', new PVLTextString(disposition))
+  );
+
+module.exports = {
+  buildFileDispositions,
+  generateLongPan,
+  generatePan,
+  generateShortPan,
+  generateShortPdrd,
+  getExceptionDisposition,
+  getGranuleDisposition,
+  isGranuleFinished,
+};
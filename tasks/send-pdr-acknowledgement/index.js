@@ -0,0 +1,171 @@
+'use strict';
+
+const cumulusMessageAdapter = require('@cumulus/cumulus-message-adapter-js');
+const fs = require('fs-extra');
+const isEmpty = require('lodash/isEmpty');
+const os = require('os');
+const path = require('path');
+const { buildProviderClient } = require('@cumulus/ingest/providerClientUtils');
+const { granules: granulesApi } = require('@cumulus/api-client');
+const log = require('@cumulus/common/log');
+const { IncompleteError } = require('@cumulus/errors');
+
+const {
+  generatePan,
+  generateShortPdrd,
+  getExceptionDisposition,
+  isGranuleFinished,
+} = require('./acknowledgements');
+
+const granulesPageSize = 100;
+
+/**
+ * Fetch all of the granules that were ingested from a PDR
+ *
+ * @param {Object} params
+ * @param {string} params.prefix - the name of the Cumulus stack
+ * @param {string} params.pdrName - the name of the PDR
+ * @returns {Promise<Array<Object>>} the Cumulus API granule records
+ */
+const fetchPdrGranules = async ({ prefix, pdrName }) => {
+  const granules = [];
+  let page = 1;
+  let results;
+
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await granulesApi.listGranules({
+      prefix,
+      query: {
+        pdrName,
+        fields: ['granuleId', 'status', 'error', 'files', 'updatedAt'],
+        limit: `${granulesPageSize}`,
+        page: `${page}`,
+      },
+    });
+    ({ results } = JSON.parse(response.body));
+    granules.push(...results);
+    page += 1;
+  } while (results.length === granulesPageSize);
+
+  return granules;
+};
+
+/**
+ * Build the name of the acknowledgement file for a PDR
+ *
+ * @param {string} pdrName - the name of the PDR
+ * @param {string} extension - the acknowledgement file extension, PAN or PDRD
+ * @returns {string} the acknowledgement file name
+ */
+const buildAcknowledgementName = (pdrName, extension) =>
+  `${pdrName.replace(/\.pdr$/i, '')}.${extension}`;
+
+/**
+ * Upload the contents of an acknowledgement file to the provider
+ *
+ * @param {Object} params
+ * @param {Object} params.provider - the provider config
+ * @param {string} params.uploadPath - the remote path to upload the file to
+ * @param {string} params.body - the contents of the acknowledgement file
+ * @returns {Promise<string>} the URL of the uploaded file
+ */
+const uploadAcknowledgement = async ({ provider, uploadPath, body }) => {
+  const localDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdr-acknowledgement-'));
+  const localPath = path.join(localDir, path.basename(uploadPath));
+  const providerClient = buildProviderClient(provider);
+
+  try {
+    await fs.writeFile(localPath, body);
+    await providerClient.connect();
+    return await providerClient.upload({ localPath, uploadPath });
+  } finally {
+    await providerClient.end();
+    await fs.remove(localDir);
+  }
+};
+
+/**
+ * Generate a PAN or PDRD for a PDR and deliver it back to the provider.
+ * If the workflow caught an exception while processing the PDR, a PDRD is
+ * generated. Otherwise a PAN is generated from the statuses of the granules
+ * ingested from the PDR, once none of them is running or queued anymore.
+ *
+ * See schemas/ for detailed input, config and output schemas
+ *
+ * @param {Object} event - Lambda event object
+ * @param {Object} event.config - configuration object for the task
+ * @param {string} event.config.stack - the name of the deployment stack
+ * @param {Object} event.config.provider - provider information
+ * @param {string} [event.config.remoteDir] - the provider directory to upload
+ *   the acknowledgement to, defaults to the directory of the PDR
+ * @param {Object} [event.config.exception] - the exception caught while processing the PDR
+ * @param {Object} event.input - the task input
+ * @param {Object} event.input.pdr - the PDR name and path
+ * @returns {Promise<Object>} the task input and a description of the delivered
+ *   acknowledgement
+ * @throws {IncompleteError} if granules of the PDR are still running or queued
+ */
+const sendPdrAcknowledgement = async (event) => {
+  const { config, input } = event;
+  const { pdr } = input;
+  const remoteDir = config.remoteDir || pdr.path;
+
+  let messageType;
+  let body;
+  let extension;
+
+  if (!isEmpty(config.exception)) {
+    messageType = 'SHORTPDRD';
+    body = generateShortPdrd(getExceptionDisposition(config.exception));
+    extension = 'PDRD';
+  } else {
+    const granules = await fetchPdrGranules({ prefix: config.stack, pdrName: pdr.name });
+    const unfinishedGranules = granules.filter((granule) => !isGranuleFinished(granule));
+    if (unfinishedGranules.length > 0) {
+      throw new IncompleteError(`Cannot send a PAN for PDR ${pdr.name} while ${unfinishedGranules.length} of its granules are running or queued`);
+    }
+    ({ messageType, body } = generatePan(granules, new Date(), pdr.path));
+    extension = 'PAN';
+  }
+
+  const name = buildAcknowledgementName(pdr.name, extension);
+  const uploadPath = path.join(remoteDir, name);
+
+  log.info(`Sending ${messageType} for PDR ${pdr.name} to ${uploadPath}`);
+
+  const url = await uploadAcknowledgement({
+    provider: config.provider,
+    uploadPath,
+    body,
+  });
+
+  return {
+    ...input,
+    acknowledgement: {
+      messageType,
+      name,
+      path: remoteDir,
+      url,
+    },
+  };
+};
+
+/**
+ * Lambda handler
+ *
+ * @param {Object} event      - a Cumulus Message
+ * @param {Object} context    - an AWS Lambda context
+ * @returns {Promise<Object>} - Returns output from task.
+ *                              See schemas/output.json for detailed output schema
+ */
+async function handler(event, context) {
+  return await cumulusMessageAdapter.runCumulusTask(sendPdrAcknowledgement, event, context);
+}
+
+module.exports = {
+  buildAcknowledgementName,
+  fetchPdrGranules,
+  handler,
+  sendPdrAcknowledgement,
+};
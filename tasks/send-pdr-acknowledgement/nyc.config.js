@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = {
+  extends: '../../nyc.config.js',
+  include: ['*.js'],
+};
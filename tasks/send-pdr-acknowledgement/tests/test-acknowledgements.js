@@ -0,0 +1,178 @@
+'use strict';
+
+const test = require('ava');
+const { pvlToJS } = require('@cumulus/pvl/t');
+
+const {
+  generatePan,
+  generateShortPdrd,
+  getExceptionDisposition,
+  getGranuleDisposition,
+  isGranuleFinished,
+} = require('../acknowledgements');
+
+const timestamp = new Date('2022-07-01T12:00:00.000Z');
+
+const buildGranule = (granuleId, status, error) => ({
+  granuleId,
+  status,
+  error,
+  updatedAt: timestamp.valueOf(),
+  files: [
+    {
+      fileName: `${granuleId}.hdf`,
+      source: `ftp://example.com/data/${granuleId}.hdf`,
+    },
+    {
+      fileName: `${granuleId}.hdf.met`,
+      source: `ftp://example.com/data/${granuleId}.hdf.met`,
+    },
+  ],
+});
+
+test('getGranuleDisposition() returns SUCCESSFUL for a completed granule', (t) => {
+  t.is(getGranuleDisposition(buildGranule('g1', 'completed')), 'SUCCESSFUL');
+});
+
+test('getGranuleDisposition() maps known granule errors to PAN dispositions', (t) => {
+  t.is(
+    getGranuleDisposition(buildGranule('g1', 'failed', { Error: 'InvalidChecksum' })),
+    'CHECKSUM VERIFICATION FAILURE'
+  );
+  t.is(
+    getGranuleDisposition(buildGranule('g1', 'failed', { Error: 'FileNotFound' })),
+    'ALL FILE GROUPS/FILES NOT FOUND'
+  );
+});
+
+test('getGranuleDisposition() returns a generic disposition for unknown errors', (t) => {
+  t.is(
+    getGranuleDisposition(buildGranule('g1', 'failed', { Error: 'SomethingElse' })),
+    'ECS INTERNAL ERROR'
+  );
+  t.is(getGranuleDisposition(buildGranule('g1', 'failed')), 'ECS INTERNAL ERROR');
+});
+
+test('generatePan() generates a short PAN if all files were successful', (t) => {
+  const { messageType, body } = generatePan(
+    [buildGranule('g1', 'completed'), buildGranule('g2', 'completed')],
+    timestamp
+  );
+
+  t.is(messageType, 'SHORTPAN');
+  t.is(
+    body,
+    'MESSAGE_TYPE = "SHORTPAN";\n'
+    + 'DISPOSITION = "SUCCESSFUL";\n'
+    + 'TIME_STAMP = 2022-07-01T12:00:00.000Z;\n'
+  );
+});
+
+test('generatePan() generates a short PAN with the shared failure disposition', (t) => {
+  const error = { Error: 'RemoteResourceError' };
+  const { messageType, body } = generatePan(
+    [buildGranule('g1', 'failed', error), buildGranule('g2', 'failed', error)],
+    timestamp
+  );
+
+  t.is(messageType, 'SHORTPAN');
+  t.is(pvlToJS(body).get('DISPOSITION').value, 'NETWORK FAILURE');
+});
+
+test('generatePan() generates a long PAN if file dispositions differ', (t) => {
+  const { messageType, body } = generatePan(
+    [
+      buildGranule('g1', 'completed'),
+      buildGranule('g2', 'failed', { Error: 'UnexpectedFileSize' }),
+    ],
+    timestamp
+  );
+
+  t.is(messageType, 'LONGPAN');
+
+  const pan = pvlToJS(body);
+  t.is(pan.get('MESSAGE_TYPE').value, 'LONGPAN');
+  t.is(pan.get('NO_OF_FILES').value, 4);
+  t.deepEqual(
+    pan.getAll('FILE_NAME').map(({ value }) => value),
+    ['g1.hdf', 'g1.hdf.met', 'g2.hdf', 'g2.hdf.met']
+  );
+  t.deepEqual(
+    pan.getAll('FILE_DIRECTORY').map(({ value }) => value),
+    ['/data', '/data', '/data', '/data']
+  );
+  t.deepEqual(
+    pan.getAll('DISPOSITION').map(({ value }) => value),
+    [
+      'SUCCESSFUL',
+      'SUCCESSFUL',
+      'POST-TRANSFER FILE SIZE CHECK FAILURE',
+      'POST-TRANSFER FILE SIZE CHECK FAILURE',
+    ]
+  );
+  t.is(pan.getAll('TIME_STAMP').length, 4);
+});
+
+test('generatePan() uses the provider path of the PDR for files without a source', (t) => {
+  const granule = buildGranule('g1', 'completed');
+  granule.files = [
+    { fileName: 'g1.hdf', bucket: 'protected', key: 'MOD09GQ/2022/g1.hdf' },
+  ];
+  const { body } = generatePan(
+    [granule, buildGranule('g2', 'failed', { Error: 'FileNotFound' })],
+    timestamp,
+    '/pdrs'
+  );
+
+  t.deepEqual(
+    pvlToJS(body).getAll('FILE_DIRECTORY').map(({ value }) => value),
+    ['/pdrs', '/data', '/data']
+  );
+});
+
+test('isGranuleFinished() returns false for running and queued granules', (t) => {
+  t.false(isGranuleFinished(buildGranule('g1', 'running')));
+  t.false(isGranuleFinished(buildGranule('g1', 'queued')));
+  t.true(isGranuleFinished(buildGranule('g1', 'completed')));
+  t.true(isGranuleFinished(buildGranule('g1', 'failed')));
+});
+
+test('generatePan() generates a successful short PAN if there are no files', (t) => {
+  const { messageType, body } = generatePan([], timestamp);
+
+  t.is(messageType, 'SHORTPAN');
+  t.is(pvlToJS(body).get('DISPOSITION').value, 'SUCCESSFUL');
+});
+
+test('getExceptionDisposition() uses the message of a PDRParsingError', (t) => {
+  const exception = {
+    Error: 'PDRParsingError',
+    Cause: JSON.stringify({
+      errorType: 'PDRParsingError',
+      errorMessage: 'INVALID FILE_TYPE PARAMETER : FOO',
+    }),
+  };
+
+  t.is(getExceptionDisposition(exception), 'INVALID FILE_TYPE PARAMETER : FOO');
+});
+
+test('getExceptionDisposition() handles a PDRParsingError with a plain string cause', (t) => {
+  const exception = {
+    Error: 'PDRParsingError',
+    Cause: 'DATA_VERSION is missing',
+  };
+
+  t.is(getExceptionDisposition(exception), 'DATA_VERSION IS MISSING');
+});
+
+test('getExceptionDisposition() returns a generic disposition for other errors', (t) => {
+  t.is(getExceptionDisposition({ Error: 'Error', Cause: 'boom' }), 'ECS INTERNAL ERROR');
+});
+
+test('generateShortPdrd() generates a short PDRD', (t) => {
+  t.is(
+    generateShortPdrd('MISSING FILE_CKSUM_VALUE PARAMETER'),
+    'MESSAGE_TYPE = "SHORTPDRD";\n'
+    + 'DISPOSITION = "MISSING FILE_CKSUM_VALUE PARAMETER";\n'
+  );
+});
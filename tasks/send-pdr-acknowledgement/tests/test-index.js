@@ -0,0 +1,185 @@
+'use strict';
+
+const fs = require('fs');
+const proxyquire = require('proxyquire');
+const sinon = require('sinon');
+const test = require('ava');
+const { pvlToJS } = require('@cumulus/pvl/t');
+const {
+  randomString,
+  validateConfig,
+  validateInput,
+  validateOutput,
+} = require('@cumulus/common/test-utils');
+
+const fakeGranulesApi = {};
+const fakeProviderClient = {};
+
+const { sendPdrAcknowledgement } = proxyquire(
+  '..',
+  {
+    '@cumulus/api-client': {
+      granules: fakeGranulesApi,
+    },
+    '@cumulus/ingest/providerClientUtils': {
+      buildProviderClient: () => fakeProviderClient,
+    },
+  }
+);
+
+test.beforeEach((t) => {
+  t.context.uploads = [];
+
+  fakeProviderClient.connect = sinon.stub().resolves();
+  fakeProviderClient.end = sinon.stub().resolves();
+  fakeProviderClient.upload = sinon.fake(({ localPath, uploadPath }) => {
+    t.context.uploads.push({
+      uploadPath,
+      body: fs.readFileSync(localPath, 'utf8'),
+    });
+    return Promise.resolve(`ftp://example.com/${uploadPath}`);
+  });
+
+  fakeGranulesApi.listGranules = sinon.stub().resolves({
+    body: JSON.stringify({
+      results: [{
+        granuleId: 'g1',
+        status: 'completed',
+        files: [{ fileName: 'g1.hdf', source: 'ftp://example.com/data/g1.hdf' }],
+      }],
+    }),
+  });
+
+  t.context.event = {
+    config: {
+      stack: randomString(),
+      provider: {
+        id: 'MODAPS',
+        protocol: 'ftp',
+        host: 'example.com',
+      },
+    },
+    input: {
+      pdr: {
+        name: 'MOD09GQ.PDR',
+        path: '/pdrs',
+      },
+    },
+  };
+});
+
+test.serial('sendPdrAcknowledgement() uploads a PAN to the directory of the PDR', async (t) => {
+  const { event } = t.context;
+  await validateConfig(t, event.config);
+  await validateInput(t, event.input);
+
+  const output = await sendPdrAcknowledgement(event);
+  await validateOutput(t, output);
+
+  t.true(fakeGranulesApi.listGranules.calledOnce);
+  t.is(fakeGranulesApi.listGranules.firstCall.args[0].prefix, event.config.stack);
+  t.is(fakeGranulesApi.listGranules.firstCall.args[0].query.pdrName, 'MOD09GQ.PDR');
+
+  t.is(t.context.uploads.length, 1);
+  t.is(t.context.uploads[0].uploadPath, '/pdrs/MOD09GQ.PAN');
+  t.is(pvlToJS(t.context.uploads[0].body).get('MESSAGE_TYPE').value, 'SHORTPAN');
+
+  t.true(fakeProviderClient.connect.calledOnce);
+  t.true(fakeProviderClient.end.calledOnce);
+
+  t.deepEqual(output, {
+    pdr: event.input.pdr,
+    acknowledgement: {
+      messageType: 'SHORTPAN',
+      name: 'MOD09GQ.PAN',
+      path: '/pdrs',
+      url: 'ftp://example.com//pdrs/MOD09GQ.PAN',
+    },
+  });
+});
+
+test.serial('sendPdrAcknowledgement() uploads to the configured remoteDir', async (t) => {
+  const { event } = t.context;
+  event.config.remoteDir = '/acknowledgements';
+
+  const output = await sendPdrAcknowledgement(event);
+
+  t.is(t.context.uploads[0].uploadPath, '/acknowledgements/MOD09GQ.PAN');
+  t.is(output.acknowledgement.path, '/acknowledgements');
+});
+
+test.serial('sendPdrAcknowledgement() fetches every page of PDR granules', async (t) => {
+  const { event } = t.context;
+  const buildGranules = (count, status) => [...new Array(count).keys()].map((i) => ({
+    granuleId: `${status}-${i}`,
+    status,
+    files: [{ fileName: `${status}-${i}.hdf`, source: `ftp://example.com/data/${status}-${i}.hdf` }],
+  }));
+
+  fakeGranulesApi.listGranules = sinon.stub();
+  fakeGranulesApi.listGranules.onFirstCall().resolves({
+    body: JSON.stringify({ results: buildGranules(100, 'completed') }),
+  });
+  fakeGranulesApi.listGranules.onSecondCall().resolves({
+    body: JSON.stringify({ results: buildGranules(2, 'failed') }),
+  });
+
+  const output = await sendPdrAcknowledgement(event);
+
+  t.is(fakeGranulesApi.listGranules.callCount, 2);
+  t.is(fakeGranulesApi.listGranules.secondCall.args[0].query.page, '2');
+  t.is(output.acknowledgement.messageType, 'LONGPAN');
+  t.is(pvlToJS(t.context.uploads[0].body).get('NO_OF_FILES').value, 102);
+});
+
+test.serial('sendPdrAcknowledgement() throws an IncompleteError while PDR granules are running or queued', async (t) => {
+  fakeGranulesApi.listGranules = sinon.stub().resolves({
+    body: JSON.stringify({
+      results: [
+        { granuleId: 'g1', status: 'completed', files: [] },
+        { granuleId: 'g2', status: 'running', files: [] },
+        { granuleId: 'g3', status: 'queued', files: [] },
+      ],
+    }),
+  });
+
+  await t.throwsAsync(
+    sendPdrAcknowledgement(t.context.event),
+    {
+      name: 'IncompleteWorkflowError',
+      message: 'Cannot send a PAN for PDR MOD09GQ.PDR while 2 of its granules are running or queued',
+    }
+  );
+  t.is(t.context.uploads.length, 0);
+});
+
+test.serial('sendPdrAcknowledgement() uploads a PDRD if an exception was caught', async (t) => {
+  const { event } = t.context;
+  event.config.exception = {
+    Error: 'PDRParsingError',
+    Cause: JSON.stringify({ errorMessage: 'DATA_TYPE is missing' }),
+  };
+  await validateConfig(t, event.config);
+
+  const output = await sendPdrAcknowledgement(event);
+  await validateOutput(t, output);
+
+  t.false(fakeGranulesApi.listGranules.called);
+  t.is(t.context.uploads[0].uploadPath, '/pdrs/MOD09GQ.PDRD');
+  t.is(
+    t.context.uploads[0].body,
+    'MESSAGE_TYPE = "SHORTPDRD";\nDISPOSITION = "DATA_TYPE IS MISSING";\n'
+  );
+  t.is(output.acknowledgement.messageType, 'SHORTPDRD');
+  t.is(output.acknowledgement.name, 'MOD09GQ.PDRD');
+});
+
+test.serial('sendPdrAcknowledgement() closes the provider connection if the upload fails', async (t) => {
+  fakeProviderClient.upload = sinon.stub().rejects(new Error('upload failed'));
+
+  await t.throwsAsync(
+    sendPdrAcknowledgement(t.context.event),
+    { message: 'upload failed' }
+  );
+  t.true(fakeProviderClient.end.calledOnce);
+});
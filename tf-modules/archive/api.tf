@@ -37,6 +37,7 @@ locals {
   api_secret_env_variables = {
       acquireTimeoutMillis             = var.rds_connection_timing_configuration.acquireTimeoutMillis
       API_BASE_URL                     = local.api_uri
+      API_DEFAULT_ROLE                 = var.api_default_role
       ASSERT_ENDPOINT                  = var.saml_assertion_consumer_service
       AsyncOperationTaskDefinition     = aws_ecs_task_definition.async_operation.arn
       backgroundQueueUrl               = var.background_queue_url
@@ -48,6 +49,7 @@ locals {
       cmr_oauth_provider               = var.cmr_oauth_provider
       cmr_password_secret_name         = length(var.cmr_password) == 0 ? null : aws_secretsmanager_secret.api_cmr_password.name
       cmr_provider                     = var.cmr_provider
+      cmr_publish_queue_url            = aws_sqs_queue.cmr_publish_queue.id
       cmr_username                     = var.cmr_username
       createRetryIntervalMillis        = var.rds_connection_timing_configuration.createRetryIntervalMillis
       createTimeoutMillis              = var.rds_connection_timing_configuration.createTimeoutMillis
@@ -89,6 +91,7 @@ locals {
       MigrationCountToolLambda         = var.postgres_migration_count_tool_function_arn
       oauth_user_group                 = var.oauth_user_group
       orca_api_uri                     = var.orca_api_uri
+      POSTGRES_SEARCH_ENDPOINTS        = join(",", var.postgres_search_endpoints)
       protected_buckets                = join(",", local.protected_buckets)
       provider_kms_key_id              = aws_kms_key.provider_kms_key.key_id
       public_buckets                   = join(",", local.public_buckets)
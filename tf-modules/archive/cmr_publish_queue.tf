@@ -0,0 +1,175 @@
+resource "aws_sqs_queue" "cmr_publish_dead_letter_queue" {
+  name                       = "${var.prefix}-cmrPublishDeadLetterQueue"
+  receive_wait_time_seconds  = 20
+  message_retention_seconds  = 1209600
+  visibility_timeout_seconds = 300
+  tags                       = var.tags
+}
+
+resource "aws_sqs_queue" "cmr_publish_queue" {
+  name                       = "${var.prefix}-cmrPublishQueue"
+  message_retention_seconds  = 1209600
+  visibility_timeout_seconds = 300
+  # The lambda dead-letters requests once they run out of attempts, the
+  # redrive policy only catches requests whose last attempt was interrupted
+  redrive_policy = jsonencode(
+    {
+      deadLetterTargetArn = aws_sqs_queue.cmr_publish_dead_letter_queue.arn
+      maxReceiveCount     = var.cmr_publish_max_attempts + 1
+  })
+  tags = var.tags
+}
+
+data "aws_iam_policy_document" "process_cmr_publish_queue_policy" {
+  statement {
+    actions = [
+      "dynamodb:DeleteItem",
+      "dynamodb:GetItem",
+      "dynamodb:PutItem",
+      "dynamodb:UpdateItem"
+    ]
+    resources = [var.dynamo_tables.granules.arn]
+  }
+
+  statement {
+    actions = [
+      "ec2:CreateNetworkInterface",
+      "ec2:DescribeNetworkInterfaces",
+      "ec2:DeleteNetworkInterface"
+    ]
+    resources = ["*"]
+  }
+
+  statement {
+    actions = [
+      "logs:CreateLogGroup",
+      "logs:CreateLogStream",
+      "logs:DescribeLogStreams",
+      "logs:PutLogEvents"
+    ]
+    resources = ["*"]
+  }
+
+  statement {
+    actions = [
+      "s3:GetObject*",
+    ]
+    resources = [for b in local.allowed_buckets: "arn:aws:s3:::${b}/*"]
+  }
+
+  statement {
+    actions = [
+      "sqs:ReceiveMessage",
+      "sqs:ChangeMessageVisibility",
+      "sqs:DeleteMessage",
+      "sqs:GetQueueUrl",
+      "sqs:GetQueueAttributes"
+    ]
+    resources = [aws_sqs_queue.cmr_publish_queue.arn]
+  }
+
+  statement {
+    actions   = ["sqs:SendMessage"]
+    resources = [aws_sqs_queue.cmr_publish_dead_letter_queue.arn]
+  }
+
+  statement {
+    actions = ["secretsmanager:GetSecretValue"]
+    resources = [
+      aws_secretsmanager_secret.api_cmr_password.arn,
+      aws_secretsmanager_secret.api_launchpad_passphrase.arn,
+      var.rds_user_access_secret_arn
+    ]
+  }
+
+  statement {
+    actions   = ["sns:Publish"]
+    resources = [aws_sns_topic.report_granules_topic.arn]
+  }
+}
+
+resource "aws_iam_role" "process_cmr_publish_queue_role" {
+  name                 = "${var.prefix}_process_cmr_publish_queue_role"
+  assume_role_policy   = data.aws_iam_policy_document.lambda_assume_role_policy.json
+  permissions_boundary = var.permissions_boundary_arn
+  tags                 = var.tags
+}
+
+resource "aws_iam_role_policy" "process_cmr_publish_queue_role_policy" {
+  name   = "${var.prefix}_process_cmr_publish_queue_lambda_role_policy"
+  role   = aws_iam_role.process_cmr_publish_queue_role.id
+  policy = data.aws_iam_policy_document.process_cmr_publish_queue_policy.json
+}
+
+resource "aws_lambda_function" "process_cmr_publish_queue" {
+  filename         = "${path.module}/../../packages/api/dist/processCmrPublishQueue/lambda.zip"
+  source_code_hash = filebase64sha256("${path.module}/../../packages/api/dist/processCmrPublishQueue/lambda.zip")
+  function_name    = "${var.prefix}-processCmrPublishQueue"
+  role             = aws_iam_role.process_cmr_publish_queue_role.arn
+  handler          = "index.handler"
+  runtime          = "nodejs14.x"
+  timeout          = 300
+  memory_size      = 512
+  # The CMR rate limits are enforced within each invocation, so invocations
+  # must not overlap
+  reserved_concurrent_executions = 1
+
+  environment {
+    variables = {
+      acquireTimeoutMillis               = var.rds_connection_timing_configuration.acquireTimeoutMillis
+      cmr_client_id                      = var.cmr_client_id
+      CMR_ENVIRONMENT                    = var.cmr_environment
+      CMR_HOST                           = var.cmr_custom_host
+      cmr_oauth_provider                 = var.cmr_oauth_provider
+      cmr_password_secret_name           = length(var.cmr_password) == 0 ? null : aws_secretsmanager_secret.api_cmr_password.name
+      cmr_provider                       = var.cmr_provider
+      cmr_publish_dead_letter_queue_url  = aws_sqs_queue.cmr_publish_dead_letter_queue.id
+      cmr_publish_default_rate_limit     = var.cmr_publish_default_rate_limit
+      cmr_publish_max_attempts           = var.cmr_publish_max_attempts
+      cmr_publish_queue_url              = aws_sqs_queue.cmr_publish_queue.id
+      cmr_publish_rate_limits            = jsonencode(var.cmr_publish_rate_limits)
+      cmr_username                       = var.cmr_username
+      createRetryIntervalMillis          = var.rds_connection_timing_configuration.createRetryIntervalMillis
+      createTimeoutMillis                = var.rds_connection_timing_configuration.createTimeoutMillis
+      databaseCredentialSecretArn        = var.rds_user_access_secret_arn
+      ES_HOST                            = var.elasticsearch_hostname
+      granule_sns_topic_arn              = aws_sns_topic.report_granules_topic.arn
+      GranulesTable                      = var.dynamo_tables.granules.name
+      idleTimeoutMillis                  = var.rds_connection_timing_configuration.idleTimeoutMillis
+      launchpad_api                      = var.launchpad_api
+      launchpad_certificate              = var.launchpad_certificate
+      launchpad_passphrase_secret_name   = length(var.launchpad_passphrase) == 0 ? null : aws_secretsmanager_secret.api_launchpad_passphrase.name
+      reapIntervalMillis                 = var.rds_connection_timing_configuration.reapIntervalMillis
+      stackName                          = var.prefix
+    }
+  }
+
+  dynamic "vpc_config" {
+    for_each = length(var.lambda_subnet_ids) == 0 ? [] : [1]
+    content {
+      subnet_ids = var.lambda_subnet_ids
+      security_group_ids = concat(local.lambda_security_group_ids, [var.rds_security_group])
+    }
+  }
+
+  tags = var.tags
+}
+
+resource "aws_cloudwatch_event_rule" "process_cmr_publish_queue" {
+  name                = "${var.prefix}_process_cmr_publish_queue"
+  schedule_expression = var.cmr_publish_queue_schedule_expression
+  tags                = var.tags
+}
+
+resource "aws_cloudwatch_event_target" "process_cmr_publish_queue" {
+  target_id = "process_cmr_publish_queue_lambda_target"
+  rule      = aws_cloudwatch_event_rule.process_cmr_publish_queue.name
+  arn       = aws_lambda_function.process_cmr_publish_queue.arn
+}
+
+resource "aws_lambda_permission" "process_cmr_publish_queue" {
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.process_cmr_publish_queue.arn
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.process_cmr_publish_queue.arn
+}
@@ -181,6 +181,19 @@ data "aws_iam_policy_document" "lambda_api_gateway_policy" {
     ]
   }
 
+  # Secrets authenticating the requests triggering http rules
+  statement {
+    actions   = ["secretsmanager:GetSecretValue"]
+    resources = ["arn:aws:secretsmanager:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:secret:${var.prefix}-rule-*"]
+  }
+
+  # Secrets of the authentication types of http and https providers, used by
+  # provider connection tests
+  statement {
+    actions   = ["secretsmanager:GetSecretValue"]
+    resources = ["arn:aws:secretsmanager:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:secret:${var.prefix}-provider-*"]
+  }
+
   statement {
     actions = [
       "iam:PassRole"
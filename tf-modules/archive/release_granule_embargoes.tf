@@ -0,0 +1,114 @@
+data "aws_iam_policy_document" "release_granule_embargoes_policy" {
+  statement {
+    actions = [
+      "dynamodb:DeleteItem",
+      "dynamodb:GetItem",
+      "dynamodb:PutItem",
+      "dynamodb:UpdateItem"
+    ]
+    resources = [var.dynamo_tables.granules.arn]
+  }
+
+  statement {
+    actions = [
+      "ec2:CreateNetworkInterface",
+      "ec2:DescribeNetworkInterfaces",
+      "ec2:DeleteNetworkInterface"
+    ]
+    resources = ["*"]
+  }
+
+  statement {
+    actions = [
+      "logs:CreateLogGroup",
+      "logs:CreateLogStream",
+      "logs:DescribeLogStreams",
+      "logs:PutLogEvents"
+    ]
+    resources = ["*"]
+  }
+
+  statement {
+    actions   = ["sqs:SendMessage"]
+    resources = [aws_sqs_queue.cmr_publish_queue.arn]
+  }
+
+  statement {
+    actions   = ["secretsmanager:GetSecretValue"]
+    resources = [var.rds_user_access_secret_arn]
+  }
+
+  statement {
+    actions   = ["sns:Publish"]
+    resources = [aws_sns_topic.report_granules_topic.arn]
+  }
+}
+
+resource "aws_iam_role" "release_granule_embargoes_role" {
+  name                 = "${var.prefix}_release_granule_embargoes_role"
+  assume_role_policy   = data.aws_iam_policy_document.lambda_assume_role_policy.json
+  permissions_boundary = var.permissions_boundary_arn
+  tags                 = var.tags
+}
+
+resource "aws_iam_role_policy" "release_granule_embargoes_role_policy" {
+  name   = "${var.prefix}_release_granule_embargoes_lambda_role_policy"
+  role   = aws_iam_role.release_granule_embargoes_role.id
+  policy = data.aws_iam_policy_document.release_granule_embargoes_policy.json
+}
+
+resource "aws_lambda_function" "release_granule_embargoes" {
+  filename         = "${path.module}/../../packages/api/dist/releaseGranuleEmbargoes/lambda.zip"
+  source_code_hash = filebase64sha256("${path.module}/../../packages/api/dist/releaseGranuleEmbargoes/lambda.zip")
+  function_name    = "${var.prefix}-releaseGranuleEmbargoes"
+  role             = aws_iam_role.release_granule_embargoes_role.arn
+  handler          = "index.handler"
+  runtime          = "nodejs14.x"
+  timeout          = 300
+  memory_size      = 512
+
+  environment {
+    variables = {
+      acquireTimeoutMillis        = var.rds_connection_timing_configuration.acquireTimeoutMillis
+      cmr_publish_queue_url       = aws_sqs_queue.cmr_publish_queue.id
+      createRetryIntervalMillis   = var.rds_connection_timing_configuration.createRetryIntervalMillis
+      createTimeoutMillis         = var.rds_connection_timing_configuration.createTimeoutMillis
+      databaseCredentialSecretArn = var.rds_user_access_secret_arn
+      ES_HOST                     = var.elasticsearch_hostname
+      granule_sns_topic_arn       = aws_sns_topic.report_granules_topic.arn
+      GranulesTable               = var.dynamo_tables.granules.name
+      idleTimeoutMillis           = var.rds_connection_timing_configuration.idleTimeoutMillis
+      reapIntervalMillis          = var.rds_connection_timing_configuration.reapIntervalMillis
+      stackName                   = var.prefix
+    }
+  }
+
+  dynamic "vpc_config" {
+    for_each = length(var.lambda_subnet_ids) == 0 ? [] : [1]
+    content {
+      subnet_ids = var.lambda_subnet_ids
+      security_group_ids = concat(local.lambda_security_group_ids, [var.rds_security_group])
+    }
+  }
+
+  tags = var.tags
+}
+
+resource "aws_cloudwatch_event_rule" "release_granule_embargoes" {
+  name                = "${var.prefix}_release_granule_embargoes"
+  schedule_expression = var.granule_embargo_release_schedule_expression
+  tags                = var.tags
+}
+
+resource "aws_cloudwatch_event_target" "release_granule_embargoes" {
+  target_id = "release_granule_embargoes_lambda_target"
+  rule      = aws_cloudwatch_event_rule.release_granule_embargoes.name
+  arn       = aws_lambda_function.release_granule_embargoes.arn
+}
+
+resource "aws_lambda_permission" "release_granule_embargoes" {
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.release_granule_embargoes.arn
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.release_granule_embargoes.arn
+}
@@ -92,6 +92,11 @@ data "aws_iam_policy_document" "sf_event_sqs_to_db_records_lambda" {
     ]
   }
 
+  statement {
+    actions   = ["sqs:SendMessage"]
+    resources = [aws_sqs_queue.cmr_publish_queue.arn]
+  }
+
   statement {
     actions = [
       "sqs:ReceiveMessage",
@@ -188,6 +193,7 @@ resource "aws_lambda_function" "sf_event_sqs_to_db_records" {
   environment {
     variables = {
       acquireTimeoutMillis           = var.rds_connection_timing_configuration.acquireTimeoutMillis
+      cmr_publish_queue_url          = aws_sqs_queue.cmr_publish_queue.id
       createRetryIntervalMillis      = var.rds_connection_timing_configuration.createRetryIntervalMillis
       createTimeoutMillis            = var.rds_connection_timing_configuration.createTimeoutMillis
       databaseCredentialSecretArn    = var.rds_user_access_secret_arn
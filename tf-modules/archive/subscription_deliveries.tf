@@ -0,0 +1,127 @@
+data "aws_iam_policy_document" "deliver_subscriptions_policy" {
+  statement {
+    actions   = ["kms:Decrypt"]
+    resources = [aws_kms_key.provider_kms_key.arn]
+  }
+
+  statement {
+    actions = [
+      "ec2:CreateNetworkInterface",
+      "ec2:DescribeNetworkInterfaces",
+      "ec2:DeleteNetworkInterface"
+    ]
+    resources = ["*"]
+  }
+
+  statement {
+    actions = [
+      "logs:CreateLogGroup",
+      "logs:CreateLogStream",
+      "logs:DescribeLogStreams",
+      "logs:PutLogEvents"
+    ]
+    resources = ["*"]
+  }
+
+  statement {
+    actions = [
+      "secretsmanager:GetSecretValue"
+    ]
+    resources = [var.rds_user_access_secret_arn]
+  }
+}
+
+resource "aws_iam_role" "deliver_subscriptions_role" {
+  name                 = "${var.prefix}_deliver_subscriptions_role"
+  assume_role_policy   = data.aws_iam_policy_document.lambda_assume_role_policy.json
+  permissions_boundary = var.permissions_boundary_arn
+  tags                 = var.tags
+}
+
+resource "aws_iam_role_policy" "deliver_subscriptions_role_policy" {
+  name   = "${var.prefix}_deliver_subscriptions_lambda_role_policy"
+  role   = aws_iam_role.deliver_subscriptions_role.id
+  policy = data.aws_iam_policy_document.deliver_subscriptions_policy.json
+}
+
+resource "aws_lambda_function" "deliver_subscriptions" {
+  filename         = "${path.module}/../../packages/api/dist/deliverSubscriptions/lambda.zip"
+  source_code_hash = filebase64sha256("${path.module}/../../packages/api/dist/deliverSubscriptions/lambda.zip")
+  function_name    = "${var.prefix}-deliverSubscriptions"
+  role             = aws_iam_role.deliver_subscriptions_role.arn
+  handler          = "index.handler"
+  runtime          = "nodejs14.x"
+  timeout          = 300
+  memory_size      = 512
+
+  environment {
+    variables = {
+      acquireTimeoutMillis               = var.rds_connection_timing_configuration.acquireTimeoutMillis
+      createRetryIntervalMillis          = var.rds_connection_timing_configuration.createRetryIntervalMillis
+      createTimeoutMillis                = var.rds_connection_timing_configuration.createTimeoutMillis
+      databaseCredentialSecretArn        = var.rds_user_access_secret_arn
+      execution_sns_topic_arn            = aws_sns_topic.report_executions_topic.arn
+      granule_sns_topic_arn              = aws_sns_topic.report_granules_topic.arn
+      idleTimeoutMillis                  = var.rds_connection_timing_configuration.idleTimeoutMillis
+      pdr_sns_topic_arn                  = aws_sns_topic.report_pdrs_topic.arn
+      reapIntervalMillis                 = var.rds_connection_timing_configuration.reapIntervalMillis
+      stackName                          = var.prefix
+      subscription_max_delivery_attempts = var.subscription_max_delivery_attempts
+    }
+  }
+
+  dynamic "vpc_config" {
+    for_each = length(var.lambda_subnet_ids) == 0 ? [] : [1]
+    content {
+      subnet_ids = var.lambda_subnet_ids
+      security_group_ids = compact([
+        aws_security_group.no_ingress_all_egress[0].id,
+        var.rds_security_group
+      ])
+    }
+  }
+
+  tags = var.tags
+}
+
+resource "aws_sns_topic_subscription" "deliver_subscriptions" {
+  for_each = {
+    executions = aws_sns_topic.report_executions_topic.arn
+    granules   = aws_sns_topic.report_granules_topic.arn
+    pdrs       = aws_sns_topic.report_pdrs_topic.arn
+  }
+  endpoint  = aws_lambda_function.deliver_subscriptions.arn
+  protocol  = "lambda"
+  topic_arn = each.value
+}
+
+resource "aws_lambda_permission" "deliver_subscriptions_sns" {
+  for_each = {
+    executions = aws_sns_topic.report_executions_topic.arn
+    granules   = aws_sns_topic.report_granules_topic.arn
+    pdrs       = aws_sns_topic.report_pdrs_topic.arn
+  }
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.deliver_subscriptions.arn
+  principal     = "sns.amazonaws.com"
+  source_arn    = each.value
+}
+
+resource "aws_cloudwatch_event_rule" "subscription_delivery_retries" {
+  name                = "${var.prefix}_subscription_delivery_retries"
+  schedule_expression = var.subscription_delivery_retry_schedule_expression
+  tags                = var.tags
+}
+
+resource "aws_cloudwatch_event_target" "subscription_delivery_retries" {
+  target_id = "deliver_subscriptions_lambda_target"
+  rule      = aws_cloudwatch_event_rule.subscription_delivery_retries.name
+  arn       = aws_lambda_function.deliver_subscriptions.arn
+}
+
+resource "aws_lambda_permission" "subscription_delivery_retries" {
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.deliver_subscriptions.arn
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.subscription_delivery_retries.arn
+}
@@ -158,6 +158,12 @@ variable "api_gateway_stage" {
   description = "The API Gateway stage to create"
 }
 
+variable "api_default_role" {
+  type        = string
+  default     = "admin"
+  description = "Role of API users without role assignments, or an empty string to deny them access"
+}
+
 variable "api_port" {
   type    = number
   default = null
@@ -269,6 +275,12 @@ variable "orca_api_uri" {
   default     = null
 }
 
+variable "postgres_search_endpoints" {
+  description = "Archive API endpoints whose list requests are served from PostgreSQL instead of Elasticsearch"
+  type        = list(string)
+  default     = []
+}
+
 variable "private_archive_api_gateway" {
   type = bool
   default = true
@@ -372,3 +384,51 @@ variable "es_index_shards" {
   type        = number
   default     = 2
 }
+
+## deliver_subscriptions lambda config
+
+variable "subscription_delivery_retry_schedule_expression" {
+  type    = string
+  default = "rate(1 minute)"
+  description = "Cloud Watch schedule for retrying failed subscription deliveries"
+}
+
+variable "subscription_max_delivery_attempts" {
+  type    = number
+  default = 8
+  description = "Number of attempts of a subscription delivery before it is dead-lettered"
+}
+
+## process_cmr_publish_queue lambda config
+
+variable "cmr_publish_queue_schedule_expression" {
+  type    = string
+  default = "rate(1 minute)"
+  description = "Cloud Watch schedule for processing the CMR publish queue"
+}
+
+variable "cmr_publish_max_attempts" {
+  type    = number
+  default = 10
+  description = "Number of attempts of a CMR publish or delete request before it is dead-lettered"
+}
+
+variable "cmr_publish_default_rate_limit" {
+  type    = number
+  default = 5
+  description = "Maximum number of CMR publish or delete requests per second of a CMR provider without a rate limit in cmr_publish_rate_limits"
+}
+
+variable "cmr_publish_rate_limits" {
+  type    = map(number)
+  default = {}
+  description = "Maximum number of CMR publish or delete requests per second, by CMR provider"
+}
+
+## release_granule_embargoes lambda config
+
+variable "granule_embargo_release_schedule_expression" {
+  type    = string
+  default = "rate(15 minutes)"
+  description = "Cloud Watch schedule for releasing the granules whose CMR publication embargo has expired"
+}
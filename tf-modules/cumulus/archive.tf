@@ -54,6 +54,8 @@ module "archive" {
 
   orca_api_uri       = var.orca_api_uri
 
+  postgres_search_endpoints = var.postgres_search_endpoints
+
   saml_entity_id                  = var.saml_entity_id
   saml_assertion_consumer_service = var.saml_assertion_consumer_service
   saml_idp_login                  = var.saml_idp_login
@@ -68,6 +70,7 @@ module "archive" {
   dynamo_tables = var.dynamo_tables
 
   api_port = var.archive_api_port
+  api_default_role = var.archive_api_default_role
   private_archive_api_gateway = var.private_archive_api_gateway
   api_gateway_stage = var.api_gateway_stage
   api_reserved_concurrency = var.archive_api_reserved_concurrency
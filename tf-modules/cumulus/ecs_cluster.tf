@@ -139,6 +139,12 @@ data "aws_iam_policy_document" "ecs_cluster_instance_policy" {
     ]
   }
 
+  # Secrets of the authentication types of http and https providers
+  statement {
+    actions   = ["secretsmanager:GetSecretValue"]
+    resources = ["arn:aws:secretsmanager:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:secret:${var.prefix}-provider-*"]
+  }
+
   statement {
     actions   = ["sns:Publish"]
     resources = [
@@ -33,6 +33,7 @@ data "aws_iam_policy_document" "lambda_processing_policy" {
       "ec2:CreateNetworkInterface",
       "sns:publish",
       "cloudformation:DescribeStacks",
+      "cloudwatch:PutMetricData",
       "dynamodb:ListTables",
       "ec2:DeleteNetworkInterface",
       "ec2:DescribeNetworkInterfaces",
@@ -149,6 +150,12 @@ data "aws_iam_policy_document" "lambda_processing_policy" {
       module.archive.launchpad_passphrase_secret_arn,
     ]
   }
+
+  # Secrets of the authentication types of http and https providers
+  statement {
+    actions   = ["secretsmanager:GetSecretValue"]
+    resources = ["arn:aws:secretsmanager:${data.aws_region.current.name}:${data.aws_caller_identity.current.account_id}:secret:${var.prefix}-provider-*"]
+  }
 }
 
 resource "aws_iam_role_policy" "lambda_processing" {
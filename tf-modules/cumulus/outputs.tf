@@ -67,6 +67,10 @@ output "files_to_granules_task" {
   value = module.ingest.files_to_granules_task
 }
 
+output "generate_ummg_metadata_task" {
+  value = module.ingest.generate_ummg_metadata_task
+}
+
 output "hello_world_task" {
   value = module.ingest.hello_world_task
 }
@@ -103,6 +107,10 @@ output "queue_workflow_task" {
   value = module.ingest.queue_workflow_task
 }
 
+output "send_pdr_acknowledgement_task" {
+  value = module.ingest.send_pdr_acknowledgement_task
+}
+
 output "sf_sqs_report_task" {
   value = module.ingest.sf_sqs_report_task
 }
@@ -187,6 +187,12 @@ variable "archive_api_port" {
   default     = null
 }
 
+variable "archive_api_default_role" {
+  description = "Role of archive API users without role assignments. Valid values are `read-only`, `operator`, `admin` and an empty string, which denies users without role assignments access to the API."
+  type        = string
+  default     = "admin"
+}
+
 variable "archive_api_reserved_concurrency" {
   description = "Reserved Concurrency for the API lambda function"
   type = number
@@ -431,6 +437,12 @@ variable "orca_api_uri" {
   default     = null
 }
 
+variable "postgres_search_endpoints" {
+  description = "Archive API endpoints whose list requests are served from PostgreSQL instead of Elasticsearch. Valid values are `collections`, `executions`, `granules`, `pdrs`, `providers` and `rules`."
+  type        = list(string)
+  default     = []
+}
+
 variable "permissions_boundary_arn" {
   description = "The ARN of an IAM permissions boundary to use when creating IAM policies"
   type        = string
@@ -34,6 +34,13 @@ output "files_to_granules_task" {
   }
 }
 
+output "generate_ummg_metadata_task" {
+  value = {
+    task_arn           = aws_lambda_function.generate_ummg_metadata_task.arn
+    last_modified_date = aws_lambda_function.generate_ummg_metadata_task.last_modified
+  }
+}
+
 output "hello_world_task" {
   value = {
     task_arn           = aws_lambda_function.hello_world_task.arn
@@ -131,6 +138,14 @@ output "schedule_sf_lambda_function_arn" {
   value = aws_lambda_function.schedule_sf.arn
 }
 
+output "send_pdr_acknowledgement_task" {
+  value = {
+    task_arn           = aws_lambda_function.send_pdr_acknowledgement_task.arn
+    task_log_group     = aws_cloudwatch_log_group.send_pdr_acknowledgement_task.name
+    last_modified_date = aws_lambda_function.send_pdr_acknowledgement_task.last_modified
+  }
+}
+
 output "sf_sqs_report_task" {
   value = {
     task_arn           = aws_lambda_function.sf_sqs_report_task.arn